@@ -7,10 +7,10 @@ import CheckInOut from '../models/CheckInOut.model.js';
 import EventManagerModel from '../models/EventManager.model.js'; // ✅ Fixed: consistent naming
 import EventModel from '../models/Event.model.js'; // ✅ Fixed: consistent naming
 import EventRegistration from '../models/EventRegistration.model.js';
+import NotificationModel from '../models/Notification.model.js';
+import AuditLogModel from '../models/AuditLog.model.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { successResponse, errorResponse } from '../helpers/response.js';
-import { setAuthCookie, clearAuthCookie } from '../helpers/cookie.js';
 import { pool, query } from '../config/db.js';
 import { 
   parseStudentFile, 
@@ -29,6 +29,15 @@ import {
   checkCumulativeLimit
 } from '../services/bulkRegistrationService.js';
 import { sanitizeString } from '../middleware/sanitizer.js';
+import NotificationService, { NotificationTrigger } from '../services/notification.js';
+import { publishRegistrationCount } from '../services/realtime.js';
+import { logAuditEvent, AuditEventType, getAuditRequestInfo } from '../utils/auditLogger.js';
+import AuthSessionService from '../services/authSession.service.js';
+import RankingSnapshotModel from '../models/RankingSnapshot.model.js';
+import { takeSnapshot, describeSnapshot, compareSnapshots } from '../services/rankingSnapshot.service.js';
+import AnomalyFlagModel, { ANOMALY_TYPES, FLAG_STATUSES } from '../models/AnomalyFlag.model.js';
+import { ANOMALY_THRESHOLDS, detectAnomalies, reviewFlag } from '../services/anomalyDetection.service.js';
+import { isUuid } from '../utils/uuid.js';
 
 /**
  * Admin Controller
@@ -57,17 +66,11 @@ const login = async (req, res, next) => {
       return errorResponse(res, 'Invalid credentials', 401);
     }
 
-    const token = jwt.sign(
-      { id: admin.id, email: admin.email, role: admin.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    // Set secure HTTP-Only cookie
-    setAuthCookie(res, token);
+    // Short-lived access token + refresh token, both also set as HTTP-Only cookies
+    const session = await AuthSessionService.startSession(req, res, 'ADMIN', admin);
 
     return successResponse(res, {
-      token,
+      ...session,
       admin: {
         id: admin.id,
         email: admin.email,
@@ -109,7 +112,7 @@ const getProfile = async (req, res, next) => {
  */
 const logout = async (req, res, next) => {
   try {
-    clearAuthCookie(res);
+    await AuthSessionService.endSession(req, res);
     return successResponse(res, null, 'Logout successful');
   } catch (error) {
     next(error);
@@ -336,6 +339,21 @@ const createEventManager = async (req, res, next) => {
       [adminId, eventManager.id]
     );
 
+    await logAuditEvent({
+      event_type: AuditEventType.MANAGER_CREATED,
+      user_id: adminId,
+      user_role: 'ADMIN',
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT_MANAGER',
+      resource_id: eventManager.id,
+      metadata: {
+        full_name: eventManager.full_name,
+        email: eventManager.email,
+        school_id: eventManager.school_id,
+        password_generated: !!eventManager.generated_password
+      }
+    });
+
     // Prepare response
     const responseData = {
       event_manager: {
@@ -483,6 +501,20 @@ const updateEventManager = async (req, res, next) => {
       values
     );
 
+    await logAuditEvent({
+      event_type: AuditEventType.MANAGER_UPDATED,
+      user_id: req.user.id,
+      user_role: 'ADMIN',
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT_MANAGER',
+      resource_id: id,
+      metadata: {
+        // Never log the password itself
+        updated_fields: Object.keys(req.body).filter((field) => req.body[field] !== undefined),
+        password_changed: !!password
+      }
+    });
+
     return successResponse(res, {
       event_manager: result[0]
     }, 'Event manager updated successfully');
@@ -518,7 +550,7 @@ const deleteEventManager = async (req, res, next) => {
 
     // Delete the event manager
     const result = await query(
-      'DELETE FROM event_managers WHERE id = $1 RETURNING id',
+      'DELETE FROM event_managers WHERE id = $1 RETURNING id, full_name, email',
       [id]
     );
 
@@ -526,6 +558,19 @@ const deleteEventManager = async (req, res, next) => {
       return errorResponse(res, 'Event manager not found', 404);
     }
 
+    await logAuditEvent({
+      event_type: AuditEventType.MANAGER_DELETED,
+      user_id: req.user.id,
+      user_role: 'ADMIN',
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT_MANAGER',
+      resource_id: id,
+      metadata: {
+        full_name: result[0].full_name,
+        email: result[0].email
+      }
+    });
+
     return successResponse(res, {
       deleted_id: id
     }, 'Event manager deleted successfully');
@@ -723,6 +768,27 @@ const approveEvent = async (req, res, next) => {
       });
     }
 
+    await logAuditEvent({
+      event_type: AuditEventType.EVENT_APPROVED,
+      user_id: adminId,
+      user_role: 'ADMIN',
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: event.id,
+      metadata: {
+        event_name: event.event_name,
+        event_code: event.event_code,
+        manager_id: event.created_by_manager_id
+      }
+    });
+
+    NotificationService.notifyEventManager(
+      NotificationTrigger.EVENT_APPROVED,
+      event.created_by_manager_id,
+      {},
+      { event_id: event.id }
+    );
+
     return successResponse(res, {
       event
     }, 'Event approved successfully');
@@ -760,6 +826,28 @@ const rejectEvent = async (req, res, next) => {
       });
     }
 
+    await logAuditEvent({
+      event_type: AuditEventType.EVENT_REJECTED,
+      user_id: adminId,
+      user_role: 'ADMIN',
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: event.id,
+      metadata: {
+        event_name: event.event_name,
+        event_code: event.event_code,
+        manager_id: event.created_by_manager_id,
+        rejection_reason
+      }
+    });
+
+    NotificationService.notifyEventManager(
+      NotificationTrigger.EVENT_REJECTED,
+      event.created_by_manager_id,
+      { reason: rejection_reason },
+      { event_id: event.id }
+    );
+
     return successResponse(res, {
       event
     }, 'Event rejected successfully');
@@ -1245,6 +1333,7 @@ const getEventSchoolRankings = async (req, res, next) => {
 
 /**
  * Publish event rankings (make visible to public)
+ * Freezes the current leaderboards as a new snapshot version; public leaderboards serve it
  * @route PATCH /api/admin/events/:id/publish-rankings
  */
 const publishRankings = async (req, res, next) => {
@@ -1257,6 +1346,9 @@ const publishRankings = async (req, res, next) => {
       return errorResponse(res, 'Event not found', 404);
     }
 
+    // Snapshot first so the public never sees published rankings without one
+    const snapshot = await takeSnapshot(event, req.user.id);
+
     // Update rankings_published to TRUE (force show)
     const updateQuery = `
       UPDATE events 
@@ -1269,12 +1361,32 @@ const publishRankings = async (req, res, next) => {
     const result = await query(updateQuery, [id]);
     const updatedEvent = result[0];
 
+    await logAuditEvent({
+      event_type: AuditEventType.RANKINGS_PUBLISHED,
+      user_id: req.user.id,
+      user_role: 'ADMIN',
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: id,
+      metadata: {
+        event_name: updatedEvent.event_name,
+        previous_value: event.rankings_published ?? null,
+        snapshot_version: snapshot.version
+      }
+    });
+
     return successResponse(res, {
       event_id: updatedEvent.id,
       event_name: updatedEvent.event_name,
       status: updatedEvent.status,
       rankings_published: updatedEvent.rankings_published,
-      message: 'Rankings are now visible to the public'
+      snapshot: {
+        ...describeSnapshot(snapshot),
+        stalls_count: snapshot.stalls.leaderboard.length,
+        students_count: snapshot.students.leaderboard.length,
+        schools_count: snapshot.schools.top_schools.length
+      },
+      message: `Rankings are now visible to the public (snapshot v${snapshot.version})`
     }, 'Rankings published successfully');
   } catch (error) {
     next(error);
@@ -1307,6 +1419,19 @@ const unpublishRankings = async (req, res, next) => {
     const result = await query(updateQuery, [id]);
     const updatedEvent = result[0];
 
+    await logAuditEvent({
+      event_type: AuditEventType.RANKINGS_UNPUBLISHED,
+      user_id: req.user.id,
+      user_role: 'ADMIN',
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: id,
+      metadata: {
+        event_name: updatedEvent.event_name,
+        previous_value: event.rankings_published ?? null
+      }
+    });
+
     return successResponse(res, {
       event_id: updatedEvent.id,
       event_name: updatedEvent.event_name,
@@ -1345,6 +1470,19 @@ const resetRankingsVisibility = async (req, res, next) => {
     const result = await query(updateQuery, [id]);
     const updatedEvent = result[0];
 
+    await logAuditEvent({
+      event_type: AuditEventType.RANKINGS_VISIBILITY_RESET,
+      user_id: req.user.id,
+      user_role: 'ADMIN',
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: id,
+      metadata: {
+        event_name: updatedEvent.event_name,
+        previous_value: event.rankings_published ?? null
+      }
+    });
+
     const autoStatus = updatedEvent.status === 'COMPLETED' 
       ? 'Rankings will be visible (event completed)' 
       : 'Rankings will be hidden until event completes';
@@ -1362,6 +1500,259 @@ const resetRankingsVisibility = async (req, res, next) => {
   }
 };
 
+/**
+ * List the ranking snapshots of an event (one per publication, newest first)
+ * @route GET /api/admin/events/:id/ranking-snapshots
+ */
+const getRankingSnapshots = async (req, res, next) => {
+  try {
+    const event = await EventModel.findById(req.params.id);
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+
+    const snapshots = await RankingSnapshotModel.listByEvent(event.id);
+
+    return successResponse(res, {
+      event_id: event.id,
+      event_name: event.event_name,
+      rankings_published: event.rankings_published ?? null,
+      snapshots: snapshots.map(snapshot => ({
+        ...describeSnapshot(snapshot),
+        stalls_count: parseInt(snapshot.stalls_count || 0),
+        students_count: parseInt(snapshot.students_count || 0),
+        schools_count: parseInt(snapshot.schools_count || 0)
+      })),
+      total: snapshots.length
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one ranking snapshot with its full leaderboards and ranking config
+ * @route GET /api/admin/events/:id/ranking-snapshots/:version
+ */
+const getRankingSnapshot = async (req, res, next) => {
+  try {
+    const version = parseInt(req.params.version);
+    if (!Number.isInteger(version) || version < 1) {
+      return errorResponse(res, 'Invalid snapshot version', 400);
+    }
+
+    const snapshot = await RankingSnapshotModel.findByVersion(req.params.id, version);
+    if (!snapshot) {
+      return errorResponse(res, 'Snapshot not found', 404);
+    }
+
+    return successResponse(res, {
+      event_id: snapshot.event_id,
+      ...describeSnapshot(snapshot),
+      ranking_config: snapshot.ranking_config,
+      stalls: snapshot.stalls,
+      students: snapshot.students,
+      schools: snapshot.schools
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Compare two ranking snapshots, or a snapshot with the live leaderboards
+ * Query: from (version, default latest), to (version or "live", default "live"), limit (default 10)
+ * @route GET /api/admin/events/:id/ranking-snapshots/compare
+ */
+const compareRankingSnapshots = async (req, res, next) => {
+  try {
+    const event = await EventModel.findById(req.params.id);
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+
+    let fromVersion = req.query.from !== undefined ? parseInt(req.query.from) : null;
+    if (fromVersion === null) {
+      const latest = await RankingSnapshotModel.findLatest(event.id);
+      if (!latest) {
+        return errorResponse(res, 'This event has no ranking snapshots yet', 404);
+      }
+      fromVersion = latest.version;
+    }
+    const toVersion = req.query.to === undefined || req.query.to === 'live' ? 'live' : parseInt(req.query.to);
+
+    if (!Number.isInteger(fromVersion) || fromVersion < 1 || (toVersion !== 'live' && (!Number.isInteger(toVersion) || toVersion < 1))) {
+      return errorResponse(res, 'from and to must be snapshot versions (to may also be "live")', 400);
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+    const result = await compareSnapshots(event, fromVersion, toVersion, limit);
+    if (result.error) {
+      return errorResponse(res, result.error, result.status);
+    }
+
+    return successResponse(res, {
+      event_id: event.id,
+      limit,
+      ...result
+    }, 'Ranking snapshots compared');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============================================================
+// ANOMALY DETECTION (Feedback & ranking review queue)
+// ============================================================
+
+/**
+ * Scan an event's feedback and rankings for suspicious patterns and refresh its review queue
+ * @route POST /api/admin/events/:id/anomalies/detect
+ */
+const detectEventAnomalies = async (req, res, next) => {
+  try {
+    const event = await EventModel.findById(req.params.id);
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+
+    const summary = await detectAnomalies(event.id);
+
+    return successResponse(res, {
+      event_id: event.id,
+      event_name: event.event_name,
+      ...summary,
+      thresholds: ANOMALY_THRESHOLDS
+    }, `Anomaly detection complete (${summary.new_flags} new flags)`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Review queue of an event (pending flags first)
+ * @route GET /api/admin/events/:id/anomalies?status=PENDING&type=FEEDBACK_BURST&page=1&limit=50
+ */
+const getEventAnomalies = async (req, res, next) => {
+  try {
+    const { status, type } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    if (status && !FLAG_STATUSES.includes(status)) {
+      return errorResponse(res, `status must be one of: ${FLAG_STATUSES.join(', ')}`, 400);
+    }
+    if (type && !ANOMALY_TYPES.includes(type)) {
+      return errorResponse(res, `type must be one of: ${ANOMALY_TYPES.join(', ')}`, 400);
+    }
+
+    const event = await EventModel.findById(req.params.id);
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+
+    const [{ flags, total }, counts] = await Promise.all([
+      AnomalyFlagModel.listByEvent(event.id, {
+        status: status || null,
+        anomaly_type: type || null,
+        limit,
+        offset: (page - 1) * limit
+      }),
+      AnomalyFlagModel.countByEvent(event.id)
+    ]);
+
+    const summary = Object.fromEntries(FLAG_STATUSES.map(flagStatus => [flagStatus, 0]));
+    counts.forEach(row => { summary[row.status] += parseInt(row.count); });
+
+    return successResponse(res, {
+      event_id: event.id,
+      event_name: event.event_name,
+      summary,
+      flags: flags.map(flag => ({
+        ...flag,
+        feedbacks_count: parseInt(flag.feedbacks_count || 0),
+        rankings_count: parseInt(flag.rankings_count || 0)
+      })),
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(total / limit),
+        total_records: total,
+        limit
+      }
+    }, 'Anomaly flags retrieved');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * One flag with the feedbacks and rankings it points at
+ * @route GET /api/admin/events/:id/anomalies/:flagId
+ */
+const getEventAnomaly = async (req, res, next) => {
+  try {
+    const flag = await AnomalyFlagModel.findById(req.params.id, req.params.flagId);
+    if (!flag) {
+      return errorResponse(res, 'Anomaly flag not found', 404);
+    }
+
+    const items = await AnomalyFlagModel.getItems(flag);
+
+    return successResponse(res, { flag, ...items }, 'Anomaly flag retrieved');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Review a flag: EXCLUDED removes its items from the rankings, DISMISSED keeps them
+ * @route PATCH /api/admin/events/:id/anomalies/:flagId
+ * @body { status: 'EXCLUDED' | 'DISMISSED', note? }
+ */
+const reviewEventAnomaly = async (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!['EXCLUDED', 'DISMISSED'].includes(status)) {
+      return errorResponse(res, 'status must be EXCLUDED or DISMISSED', 400);
+    }
+
+    const flag = await AnomalyFlagModel.findById(req.params.id, req.params.flagId);
+    if (!flag) {
+      return errorResponse(res, 'Anomaly flag not found', 404);
+    }
+
+    const result = await reviewFlag(flag, status, req.user.id, note ? sanitizeString(note) : null);
+
+    await logAuditEvent({
+      event_type: AuditEventType.ANOMALY_FLAG_REVIEWED,
+      user_id: req.user.id,
+      user_role: 'ADMIN',
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: flag.event_id,
+      metadata: {
+        flag_id: flag.id,
+        anomaly_type: flag.anomaly_type,
+        student_id: flag.student_id,
+        previous_status: flag.status,
+        new_status: status,
+        feedbacks_count: flag.feedback_ids.length,
+        rankings_count: flag.ranking_ids.length
+      }
+    });
+
+    return successResponse(res, {
+      flag: result.flag,
+      stalls_recounted: result.stalls_recounted
+    }, status === 'EXCLUDED'
+      ? 'Flagged activity excluded from rankings'
+      : 'Flag dismissed; activity counts towards rankings');
+  } catch (error) {
+    next(error);
+  }
+};
+
 // ============================================================
 // STUDENT BULK UPLOAD CONTROLLERS
 // ============================================================
@@ -1924,6 +2315,24 @@ const bulkRegisterStudents = async (req, res, next) => {
       RETURNING id
     `;
 
+    await logAuditEvent({
+      event_type: AuditEventType.BULK_REGISTRATION_COMPLETED,
+      user_id: adminId,
+      user_role: 'ADMIN',
+      ...getAuditRequestInfo(req),
+      resource_type: 'BULK_REGISTRATION',
+      resource_id: logEntry[0].id,
+      metadata: {
+        event_id: eventId,
+        event_name: event.event_name,
+        file_name: req.file.originalname,
+        successful: bulkResult.inserted,
+        failed: invalidRegistrationNumbers.length,
+        duplicates: existingStudentIds.length,
+        capacity_overridden: bypassCapacity
+      }
+    });
+
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
     return successResponse(res, {
@@ -2585,6 +2994,24 @@ const approveBulkRegistration = async (req, res, next) => {
       `;
     }
 
+    await logAuditEvent({
+      event_type: AuditEventType.BULK_REGISTRATION_APPROVED,
+      user_id: adminId,
+      user_role: 'ADMIN',
+      ...getAuditRequestInfo(req),
+      resource_type: 'BULK_REGISTRATION_REQUEST',
+      resource_id: requestId,
+      metadata: {
+        event_id: request.event_id,
+        event_name: event.event_name,
+        requested_by: request.requested_by_user_id,
+        total_attempted: request.total_count,
+        successful: bulkResult.inserted,
+        duplicates: bulkResult.duplicates,
+        failed: bulkResult.failed
+      }
+    });
+
     return successResponse(res, {
       request_id: requestId,
       status: 'APPROVED',
@@ -2666,6 +3093,22 @@ const rejectBulkRegistration = async (req, res, next) => {
       `;
     }
 
+    await logAuditEvent({
+      event_type: AuditEventType.BULK_REGISTRATION_REJECTED,
+      user_id: adminId,
+      user_role: 'ADMIN',
+      ...getAuditRequestInfo(req),
+      resource_type: 'BULK_REGISTRATION_REQUEST',
+      resource_id: requestId,
+      metadata: {
+        event_id: request.event_id,
+        requested_by: request.requested_by_user_id,
+        total_count: request.total_count,
+        reason_code: rejection_reason_code || 'CUSTOM',
+        reason_text: rejection_reason_text
+      }
+    });
+
     return successResponse(res, {
       request_id: requestId,
       status: 'REJECTED',
@@ -2734,6 +3177,22 @@ const updateEventCapacity = async (req, res, next) => {
       FROM events WHERE id = ${eventId}
     `;
 
+    await logAuditEvent({
+      event_type: AuditEventType.EVENT_CAPACITY_UPDATED,
+      user_id: req.user.id,
+      user_role: 'ADMIN',
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: eventId,
+      metadata: {
+        event_name: event.event_name,
+        old_capacity: event.max_capacity,
+        new_capacity: max_capacity,
+        current_registrations: event.current_registrations,
+        forced: !!force
+      }
+    });
+
     return successResponse(res, {
       event: updated[0],
       change_log: {
@@ -2818,7 +3277,7 @@ const cancelRegistration = async (req, res, next) => {
             refund_tiers: registration.refund_tiers
           };
 
-          const refundCalculation = calculateRefund(event, new Date());
+          const refundCalculation = calculateRefund(event, new Date(), registration.payment_amount);
 
           if (!refundCalculation.eligible) {
             await pool('ROLLBACK');
@@ -2858,37 +3317,57 @@ const cancelRegistration = async (req, res, next) => {
         await EventRegistration.cancel(registration.id);
       }
 
-      // Log admin action
-      await pool`
-        INSERT INTO audit_logs (
-          event_type,
-          user_id,
-          user_role,
-          resource_type,
-          resource_id,
-          metadata
-        ) VALUES (
-          'ADMIN_CANCEL_REGISTRATION',
-          ${adminId},
-          'ADMIN',
-          'REGISTRATION',
-          ${registrationId},
-          ${JSON.stringify({
-            student_id: registration.student_id,
-            event_id: registration.event_id,
-            event_name: registration.event_name,
-            reason: reason,
-            force_override: force,
-            refund_amount: refundInfo?.refund_amount
-          })}
-        )
-      `;
-
       // Promote from waitlist
       const waitlistResult = await promoteFromWaitlist(registration.event_id, 1);
 
       await pool('COMMIT');
 
+      await logAuditEvent({
+        event_type: AuditEventType.REGISTRATION_CANCELLED,
+        user_id: adminId,
+        user_role: 'ADMIN',
+        ...getAuditRequestInfo(req),
+        resource_type: 'REGISTRATION',
+        resource_id: registrationId,
+        metadata: {
+          student_id: registration.student_id,
+          event_id: registration.event_id,
+          event_name: registration.event_name,
+          reason: reason,
+          force_override: force,
+          refund_amount: refundInfo?.refund_amount
+        }
+      });
+
+      if (refundInfo) {
+        await logAuditEvent({
+          event_type: AuditEventType.REFUND_INITIATED,
+          user_id: adminId,
+          user_role: 'ADMIN',
+          ...getAuditRequestInfo(req),
+          resource_type: 'REGISTRATION',
+          resource_id: registrationId,
+          metadata: {
+            event_id: registration.event_id,
+            payment_id: registration.razorpay_payment_id,
+            ...refundInfo
+          }
+        });
+      }
+
+      NotificationService.notifyStudent(
+        refundInfo ? NotificationTrigger.REFUND_PROCESSED : NotificationTrigger.REGISTRATION_CANCELLED,
+        registration.student_id,
+        {
+          reason,
+          refund_amount: refundInfo?.refund_amount,
+          refund_id: refundInfo?.refund_id
+        },
+        { event_id: registration.event_id, registration_id: registration.id }
+      );
+
+      publishRegistrationCount(registration.event_id);
+
       return successResponse(res, {
         success: true,
         message: 'Registration cancelled by admin',
@@ -2931,36 +3410,34 @@ const cancelEvent = async (req, res, next) => {
     }
 
     // Delete event (cascade cancellations)
-    const result = await EventModel.delete(eventId, reason);
+    const { affected_registrations, ...result } = await EventModel.delete(eventId, reason);
+
+    await logAuditEvent({
+      event_type: AuditEventType.EVENT_CANCELLED,
+      user_id: adminId,
+      user_role: 'ADMIN',
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: eventId,
+      metadata: {
+        event_name: event.event_name,
+        event_code: event.event_code,
+        reason: reason,
+        registrations_affected: result.registrations_cancelled,
+        refunds_processed: result.refunds_processed,
+        total_refunded: result.total_refunded
+      }
+    });
 
-    // Log admin action
-    await pool`
-      INSERT INTO audit_logs (
-        event_type,
-        user_id,
-        user_role,
-        resource_type,
-        resource_id,
-        metadata
-      ) VALUES (
-        'ADMIN_CANCEL_EVENT',
-        ${adminId},
-        'ADMIN',
-        'EVENT',
-        ${eventId},
-        ${JSON.stringify({
-          event_name: event.event_name,
-          event_code: event.event_code,
-          reason: reason,
-          registrations_affected: result.registrations_cancelled,
-          refunds_processed: result.refunds_processed,
-          total_refunded: result.total_refunded
-        })}
-      )
-    `;
+    NotificationService.notifyEventCancelled(
+      eventId,
+      affected_registrations,
+      reason
+    );
 
     return successResponse(res, {
       ...result,
+      students_to_notify: affected_registrations.length,
       event_name: event.event_name,
       event_code: event.event_code,
       cancellation_reason: reason,
@@ -3298,6 +3775,269 @@ const getTopStalls = async (req, res, next) => {
   }
 };
 
+/**
+ * Get notification delivery log
+ * GET /api/admin/notifications?status=FAILED&trigger_type=EVENT_CANCELLED&page=1&limit=50
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const { status, trigger_type, channel, event_id, recipient_id } = req.query;
+
+    const result = await NotificationModel.getAll({
+      status,
+      trigger_type,
+      channel,
+      event_id,
+      recipient_id,
+      page: parseInt(req.query.page) || 1,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+
+    return successResponse(res, result, 'Notifications retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retry notifications
+ * POST /api/admin/notifications/retry
+ * Body: { notification_id } to requeue one FAILED notification, or empty to run all due retries
+ */
+const retryNotifications = async (req, res, next) => {
+  try {
+    const { notification_id } = req.body;
+
+    if (notification_id) {
+      const requeued = await NotificationModel.requeue(notification_id);
+      if (!requeued) {
+        return errorResponse(res, 'Notification not found or not in FAILED state', 404);
+      }
+    }
+
+    const result = await NotificationService.retryDue();
+
+    return successResponse(res, result, `Retried ${result.attempted} notifications (${result.sent} sent)`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============================================================
+// AUDIT LOGS
+// ============================================================
+
+/**
+ * Read and validate audit log filters from the query string
+ * @returns {Object} { filters } or { error }
+ */
+const parseAuditLogFilters = (queryParams) => {
+  const { user_id, user_role, resource_type, resource_id, event_type, from_date, to_date } = queryParams;
+
+  for (const [name, value] of Object.entries({ user_id, resource_id })) {
+    if (value && !isUuid(value)) {
+      return { error: `${name} must be a valid UUID` };
+    }
+  }
+
+  for (const [name, value] of Object.entries({ from_date, to_date })) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      return { error: `${name} must be a valid date` };
+    }
+  }
+
+  return {
+    filters: {
+      user_id,
+      user_role: user_role?.toUpperCase(),
+      resource_type: resource_type?.toUpperCase(),
+      resource_id,
+      event_type: event_type?.toUpperCase(),
+      from_date,
+      to_date
+    }
+  };
+};
+
+/**
+ * Get audit logs
+ * GET /api/admin/audit-logs?user_id=&user_role=&resource_type=&resource_id=&event_type=&from_date=&to_date=&page=1&limit=50
+ */
+const getAuditLogs = async (req, res, next) => {
+  try {
+    const { filters, error } = parseAuditLogFilters(req.query);
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const result = await AuditLogModel.getAll({
+      ...filters,
+      page: parseInt(req.query.page) || 1,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+
+    return successResponse(res, result, 'Audit logs retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export audit logs to CSV (same filters as getAuditLogs)
+ * GET /api/admin/audit-logs/export
+ */
+const exportAuditLogs = async (req, res, next) => {
+  try {
+    const { filters, error } = parseAuditLogFilters(req.query);
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const logs = await AuditLogModel.getForExport(filters);
+
+    const csvCell = (value) => {
+      if (value === null || value === undefined) return '';
+      let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      // Spreadsheet apps run text starting with = + - @ (or tab/CR) as a formula
+      if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const headers = [
+      'Log ID',
+      'Created At (IST)',
+      'Event Type',
+      'User Role',
+      'User ID',
+      'User Name',
+      'User Email',
+      'Resource Type',
+      'Resource ID',
+      'IP Address',
+      'User Agent',
+      'Metadata'
+    ];
+
+    const csvRows = [headers.join(',')];
+
+    logs.forEach(log => {
+      const createdAt = new Date(log.created_at).toLocaleString('en-IN', {
+        timeZone: 'Asia/Kolkata',
+        hour12: false
+      });
+
+      csvRows.push([
+        log.id,
+        createdAt,
+        log.event_type,
+        log.user_role,
+        log.user_id,
+        log.user_name,
+        log.user_email,
+        log.resource_type,
+        log.resource_id,
+        log.ip_address,
+        log.user_agent,
+        log.metadata
+      ].map(csvCell).join(','));
+    });
+
+    const csv = csvRows.join('\n');
+    const filename = `audit_logs_${new Date().toISOString().split('T')[0]}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============================================================
+// USER SESSIONS
+// ============================================================
+
+// Accounts whose sessions admins can see and revoke
+const SESSION_USER_ROLES = ['STUDENT', 'VOLUNTEER', 'EVENT_MANAGER'];
+
+/**
+ * Validate :userRole/:userId and load the account
+ * @returns {Promise<{ error: string, status: number }|{ account: Object }>}
+ */
+const findSessionUser = async (userRole, userId) => {
+  if (!SESSION_USER_ROLES.includes(userRole)) {
+    return { error: `user_role must be one of: ${SESSION_USER_ROLES.join(', ')}`, status: 400 };
+  }
+  if (!isUuid(userId)) {
+    return { error: 'Invalid user ID', status: 400 };
+  }
+
+  const account = await AuthSessionService.findAccount(userRole, userId);
+  if (!account) {
+    return { error: 'User not found', status: 404 };
+  }
+  return { account };
+};
+
+/**
+ * Get active sessions of a student, volunteer or event manager
+ * GET /api/admin/sessions/:userRole/:userId
+ */
+const getUserSessions = async (req, res, next) => {
+  try {
+    const { userRole, userId } = req.params;
+    const found = await findSessionUser(userRole, userId);
+    if (found.error) {
+      return errorResponse(res, found.error, found.status);
+    }
+
+    const sessions = await AuthSessionService.listSessions(userRole, userId);
+
+    return successResponse(res, { user_role: userRole, user_id: userId, sessions, total: sessions.length });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log out every session of a student, volunteer or event manager
+ * DELETE /api/admin/sessions/:userRole/:userId
+ */
+const revokeUserSessions = async (req, res, next) => {
+  try {
+    const { userRole, userId } = req.params;
+    const found = await findSessionUser(userRole, userId);
+    if (found.error) {
+      return errorResponse(res, found.error, found.status);
+    }
+
+    const revokedIds = await AuthSessionService.revokeAllSessions(userRole, userId, 'ADMIN_REVOKED', {
+      role: req.user.role,
+      id: req.user.id
+    });
+
+    await logAuditEvent({
+      event_type: AuditEventType.AUTH_SESSIONS_REVOKED_ALL,
+      user_id: req.user.id,
+      user_role: req.user.role,
+      ...getAuditRequestInfo(req),
+      resource_type: userRole,
+      resource_id: userId,
+      metadata: { revoked_sessions: revokedIds.length }
+    });
+
+    return successResponse(
+      res,
+      { user_role: userRole, user_id: userId, revoked_sessions: revokedIds.length },
+      `${revokedIds.length} session(s) logged out`
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 export default {
   login,
   logout,
@@ -3332,6 +4072,14 @@ export default {
   publishRankings,
   unpublishRankings,
   resetRankingsVisibility,
+  getRankingSnapshots,
+  getRankingSnapshot,
+  compareRankingSnapshots,
+  // Anomaly Detection
+  detectEventAnomalies,
+  getEventAnomalies,
+  getEventAnomaly,
+  reviewEventAnomaly,
   // Student Bulk Upload
   bulkUploadStudents,
   validateStudentUpload,
@@ -3360,4 +4108,13 @@ export default {
   // Analytics
   getTopSchools,
   getTopStalls,
+  // Notifications
+  getNotifications,
+  retryNotifications,
+  // Audit Logs
+  getAuditLogs,
+  exportAuditLogs,
+  // User Sessions
+  getUserSessions,
+  revokeUserSessions,
 };
@@ -0,0 +1,93 @@
+import AuthSessionService, { isValidSessionId } from '../services/authSession.service.js';
+import { successResponse, errorResponse } from '../helpers/response.js';
+import { logAuditEvent, AuditEventType, getAuditRequestInfo } from '../utils/auditLogger.js';
+
+/**
+ * Auth Controller
+ * Login sessions shared by all roles: refreshing access tokens, logging out,
+ * and listing/revoking the logged-in user's own sessions (devices)
+ */
+
+/**
+ * Exchange a refresh token for a new access token; the refresh token rotates
+ * Body (optional): { refresh_token } - browsers send the refresh_token cookie instead
+ * @route POST /api/auth/refresh
+ */
+const refresh = async (req, res, next) => {
+  try {
+    const result = await AuthSessionService.refreshSession(req, res);
+    if (result.error) {
+      return errorResponse(res, result.error, result.status);
+    }
+
+    return successResponse(res, result, 'Token refreshed');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log out the session of the presented refresh token (works after the access token expired)
+ * @route POST /api/auth/logout
+ */
+const logout = async (req, res, next) => {
+  try {
+    await AuthSessionService.endSession(req, res);
+    return successResponse(res, null, 'Logout successful');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the logged-in user's active sessions (device, IP, last seen)
+ * @route GET /api/auth/sessions
+ */
+const getMySessions = async (req, res, next) => {
+  try {
+    const sessions = await AuthSessionService.listSessions(req.user.role, req.user.id, req.user.sid);
+
+    return successResponse(res, { sessions, total: sessions.length });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log out one of the logged-in user's sessions (e.g. a lost phone)
+ * @route DELETE /api/auth/sessions/:sessionId
+ */
+const revokeMySession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    if (!isValidSessionId(sessionId)) {
+      return errorResponse(res, 'Invalid session ID', 400);
+    }
+
+    const revoked = await AuthSessionService.revokeOwnSession(req.user, sessionId);
+    if (!revoked) {
+      return errorResponse(res, 'Session not found', 404);
+    }
+
+    await logAuditEvent({
+      event_type: AuditEventType.AUTH_SESSION_REVOKED,
+      user_id: req.user.id,
+      user_role: req.user.role,
+      ...getAuditRequestInfo(req),
+      resource_type: 'AUTH_SESSION',
+      resource_id: sessionId,
+      metadata: { device_name: revoked.device_name, current: sessionId === req.user.sid }
+    });
+
+    return successResponse(res, { session_id: sessionId }, 'Session logged out');
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  refresh,
+  logout,
+  getMySessions,
+  revokeMySession
+};
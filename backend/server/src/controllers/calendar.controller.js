@@ -0,0 +1,93 @@
+import CalendarFeedModel from '../models/CalendarFeed.model.js';
+import CalendarService, { isValidFeedToken } from '../services/calendar.service.js';
+import { ICS_CONTENT_TYPE } from '../utils/icalendar.js';
+import { successResponse, errorResponse } from '../helpers/response.js';
+import { logAuditEvent, AuditEventType, getAuditRequestInfo } from '../utils/auditLogger.js';
+
+/**
+ * Calendar Controller
+ * iCalendar subscription feeds: logged-in users get their secret feed URL,
+ * calendar apps fetch the feed with only the token
+ */
+
+const buildFeedResponse = (req, feed) => ({
+  ...CalendarService.getFeedUrls(req, feed.token),
+  created_at: feed.created_at,
+  last_accessed_at: feed.last_accessed_at
+});
+
+/**
+ * Get (creating on first call) the logged-in user's feed URL
+ * @route GET /api/calendar/feed
+ */
+const getMyFeed = async (req, res, next) => {
+  try {
+    const feed = await CalendarService.getOrCreateFeed(req.user.role, req.user.id);
+
+    return successResponse(res, buildFeedResponse(req, feed));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the logged-in user's feed URL (the old URL stops working)
+ * @route POST /api/calendar/feed/regenerate
+ */
+const regenerateMyFeed = async (req, res, next) => {
+  try {
+    const feed = await CalendarService.regenerateFeed(req.user.role, req.user.id);
+
+    await logAuditEvent({
+      event_type: AuditEventType.CALENDAR_FEED_REGENERATED,
+      user_id: req.user.id,
+      user_role: req.user.role,
+      ...getAuditRequestInfo(req),
+      resource_type: 'CALENDAR_FEED',
+      resource_id: feed.id
+    });
+
+    return successResponse(
+      res,
+      buildFeedResponse(req, feed),
+      'Calendar feed URL regenerated. Update your calendar subscription with the new URL.'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Serve a feed to a calendar app
+ * @route GET /api/calendar/feeds/:token.ics
+ * @access Public (the token is the credential)
+ */
+const getFeed = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+    if (!isValidFeedToken(token)) {
+      return errorResponse(res, 'Calendar feed not found', 404);
+    }
+
+    const feed = await CalendarFeedModel.findByToken(token);
+    if (!feed) {
+      return errorResponse(res, 'Calendar feed not found', 404);
+    }
+
+    const calendar = await CalendarService.renderFeed(feed);
+    await CalendarFeedModel.touch(feed.id);
+
+    res.setHeader('Content-Type', ICS_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', 'inline; filename="sgtu-events.ics"');
+    res.setHeader('Cache-Control', 'private, no-cache');
+    return res.send(calendar);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getMyFeed,
+  regenerateMyFeed,
+  getFeed
+};
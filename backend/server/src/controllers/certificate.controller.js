@@ -0,0 +1,498 @@
+import CertificateModel from '../models/Certificate.model.js';
+import EventModel from '../models/Event.model.js';
+import CertificateService, {
+  TEMPLATE_PLACEHOLDERS,
+  checkEligibility,
+  getEffectiveTemplate,
+  isEventFinished,
+  issueCertificate,
+  normalizeVerificationCode
+} from '../services/certificate.service.js';
+import NotificationService, { NotificationTrigger } from '../services/notification.js';
+import { successResponse, errorResponse } from '../helpers/response.js';
+import { logAuditEvent, AuditEventType, getAuditRequestInfo } from '../utils/auditLogger.js';
+
+/**
+ * Certificate Controller
+ * Attendance certificates: template configuration, issuing, PDF download and public verification
+ */
+
+/**
+ * Load an event and check the caller may manage its certificates
+ * (admins: any event; event managers: events they created)
+ * @returns {Promise<Object|null>} Event, or null after sending the error response
+ */
+const loadManagedEvent = async (req, res) => {
+  const event = await EventModel.findById(req.params.eventId);
+  if (!event) {
+    errorResponse(res, 'Event not found', 404);
+    return null;
+  }
+
+  if (req.user.role !== 'ADMIN' && event.created_by_manager_id !== req.user.id) {
+    errorResponse(res, 'Unauthorized access to this event', 403);
+    return null;
+  }
+
+  return event;
+};
+
+/**
+ * Validate template fields from the request body
+ * @returns {Object} { data, error }
+ */
+const parseTemplateInput = (body) => {
+  const data = {};
+
+  for (const field of ['title', 'body_text', 'organization_name']) {
+    if (body[field] === undefined) continue;
+    const value = String(body[field]).trim();
+    if (!value) {
+      return { error: `${field} cannot be empty` };
+    }
+    data[field] = value;
+  }
+
+  if (data.title && data.title.length > 150) {
+    return { error: 'title must be at most 150 characters' };
+  }
+  if (data.organization_name && data.organization_name.length > 150) {
+    return { error: 'organization_name must be at most 150 characters' };
+  }
+  if (data.body_text && data.body_text.length > 2000) {
+    return { error: 'body_text must be at most 2000 characters' };
+  }
+
+  for (const field of ['signatory_name', 'signatory_title']) {
+    if (body[field] === undefined) continue;
+    const value = body[field] === null ? '' : String(body[field]).trim();
+    if (value.length > 100) {
+      return { error: `${field} must be at most 100 characters` };
+    }
+    data[field] = value || null;
+  }
+
+  if (body.accent_color !== undefined) {
+    if (!/^#[0-9A-Fa-f]{6}$/.test(String(body.accent_color))) {
+      return { error: 'accent_color must be a hex color like #1E3A8A' };
+    }
+    data.accent_color = String(body.accent_color);
+  }
+
+  if (body.min_attendance_minutes !== undefined) {
+    const minutes = Number(body.min_attendance_minutes);
+    if (!Number.isInteger(minutes) || minutes < 0) {
+      return { error: 'min_attendance_minutes must be a non-negative integer' };
+    }
+    data.min_attendance_minutes = minutes;
+  }
+
+  if (body.is_enabled !== undefined) {
+    if (typeof body.is_enabled !== 'boolean') {
+      return { error: 'is_enabled must be a boolean' };
+    }
+    data.is_enabled = body.is_enabled;
+  }
+
+  return { data };
+};
+
+/**
+ * Render a certificate and send it as a PDF attachment
+ */
+const sendCertificatePdf = async (req, res, certificate, template) => {
+  const verifyUrl = CertificateService.getVerifyUrl(req, certificate.verification_code);
+  const pdf = await CertificateService.renderCertificatePdf(certificate, template, verifyUrl);
+
+  await CertificateModel.incrementDownloads(certificate.id);
+
+  const filename = `certificate-${certificate.event_code || 'event'}-${certificate.registration_no || certificate.student_id}.pdf`
+    .replace(/[^A-Za-z0-9._-]/g, '_');
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Length', pdf.length);
+  return res.send(pdf);
+};
+
+/**
+ * Verify a certificate by its code
+ * @route GET /api/certificates/verify/:code
+ */
+const verifyCertificate = async (req, res, next) => {
+  try {
+    const code = normalizeVerificationCode(req.params.code);
+    if (!/^[A-Z0-9-]{4,20}$/.test(code)) {
+      return errorResponse(res, 'Invalid verification code', 400);
+    }
+
+    const certificate = await CertificateModel.findByCode(code);
+    if (!certificate) {
+      return errorResponse(res, 'No certificate found for this verification code', 404);
+    }
+
+    const isRevoked = !!certificate.revoked_at;
+
+    return successResponse(res, {
+      valid: !isRevoked,
+      status: isRevoked ? 'REVOKED' : 'VALID',
+      verification_code: certificate.verification_code,
+      student_name: certificate.student_name,
+      registration_no: certificate.registration_no,
+      school_name: certificate.school_name,
+      event_name: certificate.event_name,
+      event_code: certificate.event_code,
+      event_start_date: certificate.start_date,
+      event_end_date: certificate.end_date,
+      days_attended: certificate.days_attended,
+      time_spent_minutes: certificate.time_spent_minutes,
+      time_spent: CertificateService.formatDuration(certificate.time_spent_minutes),
+      issued_at: certificate.issued_at,
+      revoked_at: certificate.revoked_at,
+      revoked_reason: certificate.revoked_reason
+    }, isRevoked ? 'This certificate has been revoked' : 'Certificate is valid');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Certificates issued to the logged-in student
+ * @route GET /api/certificates/my
+ */
+const getMyCertificates = async (req, res, next) => {
+  try {
+    const certificates = await CertificateModel.findByStudent(req.user.id);
+    return successResponse(res, certificates);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download own certificate for an event (issued on first download if eligible)
+ * @route GET /api/certificates/events/:eventId/download
+ */
+const downloadMyCertificate = async (req, res, next) => {
+  try {
+    const { eventId } = req.params;
+    const studentId = req.user.id;
+
+    const event = await EventModel.findById(eventId);
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+
+    const template = await getEffectiveTemplate(eventId);
+    let certificate = await CertificateModel.findByEventAndStudent(eventId, studentId);
+
+    if (!certificate) {
+      const [attendance] = await CertificateModel.getAttendance(eventId, studentId);
+      const { eligible, reason } = checkEligibility(event, template, attendance || null);
+      if (!eligible) {
+        return errorResponse(res, reason, 403);
+      }
+
+      const issued = await issueCertificate(event, attendance, null);
+      if (issued.created) {
+        await logAuditEvent({
+          event_type: AuditEventType.CERTIFICATE_ISSUED,
+          user_id: studentId,
+          user_role: req.user.role,
+          ...getAuditRequestInfo(req),
+          resource_type: 'CERTIFICATE',
+          resource_id: issued.certificate.id,
+          metadata: {
+            event_id: eventId,
+            verification_code: issued.certificate.verification_code,
+            time_spent_minutes: issued.certificate.time_spent_minutes
+          }
+        });
+      }
+
+      certificate = await CertificateModel.findByEventAndStudent(eventId, studentId);
+    }
+
+    if (certificate.revoked_at) {
+      return errorResponse(res, 'This certificate has been revoked', 403);
+    }
+
+    return sendCertificatePdf(req, res, certificate, template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get certificate template for an event (defaults if not configured)
+ * @route GET /api/certificates/events/:eventId/template
+ */
+const getTemplate = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const template = await getEffectiveTemplate(event.id);
+
+    return successResponse(res, {
+      template,
+      is_default: !template.id,
+      placeholders: TEMPLATE_PLACEHOLDERS.map((key) => `{{${key}}}`)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create or update certificate template for an event
+ * @route PUT /api/certificates/events/:eventId/template
+ */
+const updateTemplate = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const { data, error } = parseTemplateInput(req.body || {});
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    if (Object.keys(data).length === 0) {
+      return errorResponse(res, 'No template fields provided', 400);
+    }
+
+    const template = await CertificateModel.upsertTemplate(event.id, data, req.user.id);
+
+    await logAuditEvent({
+      event_type: AuditEventType.CERTIFICATE_TEMPLATE_UPDATED,
+      user_id: req.user.id,
+      user_role: req.user.role,
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: event.id,
+      metadata: { fields: Object.keys(data) }
+    });
+
+    return successResponse(res, template, 'Certificate template saved');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Attendance and certificate status of every checked-in student
+ * @route GET /api/certificates/events/:eventId
+ */
+const getEventCertificates = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const template = await getEffectiveTemplate(event.id);
+    const [attendance, certificates] = await Promise.all([
+      CertificateModel.getAttendance(event.id),
+      CertificateModel.findByEvent(event.id)
+    ]);
+
+    const certificatesByStudent = new Map(certificates.map((c) => [c.student_id, c]));
+
+    const students = attendance.map((row) => {
+      const certificate = certificatesByStudent.get(row.student_id) || null;
+      const { eligible, reason } = checkEligibility(event, template, row);
+
+      return {
+        student_id: row.student_id,
+        full_name: row.full_name,
+        registration_no: row.registration_no,
+        school_name: row.school_name,
+        time_spent_minutes: row.time_spent_minutes,
+        days_attended: row.days_attended,
+        first_check_in_at: row.first_check_in_at,
+        last_check_out_at: row.last_check_out_at,
+        eligible,
+        ineligible_reason: reason,
+        certificate: certificate && {
+          id: certificate.id,
+          verification_code: certificate.verification_code,
+          issued_at: certificate.issued_at,
+          download_count: certificate.download_count,
+          revoked_at: certificate.revoked_at,
+          revoked_reason: certificate.revoked_reason
+        }
+      };
+    });
+
+    return successResponse(res, {
+      event_finished: isEventFinished(event),
+      min_attendance_minutes: template.min_attendance_minutes,
+      is_enabled: template.is_enabled,
+      summary: {
+        checked_in: students.length,
+        eligible: students.filter((s) => s.eligible).length,
+        issued: certificates.filter((c) => !c.revoked_at).length,
+        revoked: certificates.filter((c) => c.revoked_at).length
+      },
+      students
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue certificates to every eligible student who does not have one yet
+ * @route POST /api/certificates/events/:eventId/issue
+ */
+const issueEventCertificates = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const template = await getEffectiveTemplate(event.id);
+    if (!template.is_enabled) {
+      return errorResponse(res, 'Certificates are not enabled for this event', 400);
+    }
+    if (!isEventFinished(event)) {
+      return errorResponse(res, 'Certificates can only be issued after the event ends', 400);
+    }
+
+    const attendance = await CertificateModel.getAttendance(event.id);
+    let issued = 0;
+    let alreadyIssued = 0;
+    let ineligible = 0;
+
+    for (const row of attendance) {
+      if (row.certificate_id) {
+        alreadyIssued++;
+        continue;
+      }
+
+      if (!checkEligibility(event, template, row).eligible) {
+        ineligible++;
+        continue;
+      }
+
+      const result = await issueCertificate(event, row, req.user.id);
+      if (!result.created) {
+        alreadyIssued++;
+        continue;
+      }
+
+      issued++;
+
+      await logAuditEvent({
+        event_type: AuditEventType.CERTIFICATE_ISSUED,
+        user_id: req.user.id,
+        user_role: req.user.role,
+        ...getAuditRequestInfo(req),
+        resource_type: 'CERTIFICATE',
+        resource_id: result.certificate.id,
+        metadata: {
+          event_id: event.id,
+          student_id: row.student_id,
+          verification_code: result.certificate.verification_code,
+          time_spent_minutes: result.certificate.time_spent_minutes
+        }
+      });
+
+      NotificationService.notifyStudent(
+        NotificationTrigger.CERTIFICATE_ISSUED,
+        row.student_id,
+        { verification_code: result.certificate.verification_code },
+        { event_id: event.id, registration_id: row.registration_id }
+      );
+    }
+
+    return successResponse(res, {
+      issued,
+      already_issued: alreadyIssued,
+      ineligible,
+      total_checked_in: attendance.length
+    }, `${issued} certificate(s) issued`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a student's certificate (manager/admin)
+ * @route GET /api/certificates/events/:eventId/students/:studentId/download
+ */
+const downloadStudentCertificate = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const certificate = await CertificateModel.findByEventAndStudent(event.id, req.params.studentId);
+    if (!certificate) {
+      return errorResponse(res, 'Certificate not issued for this student', 404);
+    }
+
+    if (certificate.revoked_at) {
+      return errorResponse(res, 'This certificate has been revoked', 403);
+    }
+
+    const template = await getEffectiveTemplate(event.id);
+    return sendCertificatePdf(req, res, certificate, template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a student's certificate
+ * @route POST /api/certificates/events/:eventId/students/:studentId/revoke
+ */
+const revokeCertificate = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) {
+      return errorResponse(res, 'Revocation reason is required', 400);
+    }
+
+    const certificate = await CertificateModel.findByEventAndStudent(event.id, req.params.studentId);
+    if (!certificate) {
+      return errorResponse(res, 'Certificate not issued for this student', 404);
+    }
+
+    const revoked = await CertificateModel.revoke(certificate.id, reason);
+    if (!revoked) {
+      return errorResponse(res, 'Certificate is already revoked', 409);
+    }
+
+    await logAuditEvent({
+      event_type: AuditEventType.CERTIFICATE_REVOKED,
+      user_id: req.user.id,
+      user_role: req.user.role,
+      ...getAuditRequestInfo(req),
+      resource_type: 'CERTIFICATE',
+      resource_id: revoked.id,
+      metadata: {
+        event_id: event.id,
+        student_id: revoked.student_id,
+        verification_code: revoked.verification_code,
+        reason
+      }
+    });
+
+    return successResponse(res, revoked, 'Certificate revoked');
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  verifyCertificate,
+  getMyCertificates,
+  downloadMyCertificate,
+  getTemplate,
+  updateTemplate,
+  getEventCertificates,
+  issueEventCertificates,
+  downloadStudentCertificate,
+  revokeCertificate
+};
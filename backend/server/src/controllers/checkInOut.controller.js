@@ -2,6 +2,7 @@ import CheckInOut from '../models/CheckInOut.model.js';
 import Student from '../models/Student.model.js';
 import Stall from '../models/Stall.model.js';
 import Volunteer from '../models/Volunteer.model.js';
+import EventRegistrationModel from '../models/EventRegistration.model.js';
 import { successResponse, errorResponse } from '../helpers/response.js';
 import { query } from '../config/db.js';
 
@@ -173,33 +174,16 @@ const getRecordsByVolunteer = async (req, res, next) => {
 };
 
 /**
- * Get active check-ins (not checked out yet)
- * @route GET /api/check-in-out/active
+ * Get active check-ins (students currently inside an event)
+ * Uses per-event presence on event_registrations
+ * @route GET /api/check-in-out/active?event_id=
  */
 const getActiveCheckIns = async (req, res, next) => {
   try {
-    const allRecords = await CheckInOut.findAll();
-    // Filter for CHECKIN records that don't have a corresponding CHECKOUT
-    const activeRecords = allRecords.filter(record => record.scan_type === 'CHECKIN');
+    const { event_id } = req.query;
+    const activeCheckIns = await EventRegistrationModel.getActiveCheckIns({ event_id });
 
-    // Enrich with details
-    const enrichedRecords = await Promise.all(
-      activeRecords.map(async (record) => {
-        const [student, stall] = await Promise.all([
-          Student.findById(record.student_id, query),
-          record.stall_id ? Stall.findById(record.stall_id, query) : null
-        ]);
-        return {
-          ...record,
-          student_name: student ? student.full_name : 'Unknown',
-          student_registration_no: student ? student.registration_no : null,
-          stall_name: stall ? stall.stall_name : 'Unknown',
-          stall_number: stall ? stall.stall_number : null
-        };
-      })
-    );
-
-    return successResponse(res, enrichedRecords);
+    return successResponse(res, activeCheckIns);
   } catch (error) {
     next(error);
   }
@@ -9,10 +9,20 @@ import {
   EventManagerModel,
   EventModel,
   EventVolunteerModel,
-  EventRegistrationModel
+  EventRegistrationModel,
+  EventSessionModel,
+  PricingRuleModel,
+  TeamModel,
+  EventTemplateModel,
+  AuditLogModel,
+  VolunteerModel,
+  VolunteerScannerLockModel
 } from '../models/index.js';
 import EventRegistration from '../models/EventRegistration.model.js';
-import { logAuditEvent, AuditEventType } from '../utils/auditLogger.js';
+import { logAuditEvent, AuditEventType, getAuditRequestInfo } from '../utils/auditLogger.js';
+import NotificationService, { NotificationTrigger } from '../services/notification.js';
+import { publishRegistrationCount } from '../services/realtime.js';
+import AuthSessionService from '../services/authSession.service.js';
 import { uploadEventBanner, uploadEventImage } from '../services/cloudinary.js';
 import {
   parseEventRegistrationFile,
@@ -28,6 +38,141 @@ import {
   checkCumulativeLimit,
   getEligibilityStatus
 } from '../services/bulkRegistrationService.js';
+import { SESSION_TYPES } from '../models/EventSession.model.js';
+import { validatePricingRule } from '../services/pricing.service.js';
+import { validateTeamSettings, cancelTeamRegistration } from '../services/team.service.js';
+import { getEventQueueOverview } from '../services/stallQueue.service.js';
+import { summarizeCriteria } from '../services/feedbackQuestionnaire.service.js';
+import {
+  VolunteerPermission,
+  DEFAULT_PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  validatePermissions
+} from '../services/volunteerPermission.service.js';
+import {
+  buildEventSnapshot,
+  validateCopyInput,
+  createEventFromSnapshot
+} from '../services/eventTemplate.service.js';
+import { FORM_FIELD_TYPES, validateFormSchema, formatFormAnswer } from '../utils/registrationForm.js';
+
+// Events whose sessions, pricing rules and registration form can still be changed
+const EDITABLE_EVENT_STATUSES = ['DRAFT', 'PENDING_APPROVAL', 'REJECTED', 'APPROVED', 'ACTIVE'];
+
+/**
+ * Check the manager may create events (approved by admin and active)
+ * @returns {Promise<boolean>} false after sending the error response
+ */
+const ensureCanCreateEvents = async (res, managerId) => {
+  const manager = await EventManagerModel.findById(managerId);
+  if (!manager.is_approved_by_admin) {
+    errorResponse(res, 'Your account is not approved by admin. You cannot create events yet.', 403);
+    return false;
+  }
+
+  if (!manager.is_active) {
+    errorResponse(res, 'Your account is deactivated. Contact admin to reactivate.', 403);
+    return false;
+  }
+
+  return true;
+};
+
+// Copying checks the event code and stall numbers first, but another request can take them meanwhile
+const COPY_CONFLICT_MESSAGE = 'The event code or a stall number was taken while the copy was being created. Choose another and try again.';
+
+/**
+ * Summary of what was copied into a new event
+ */
+const summarizeCopy = (copy) => ({
+  event: copy.event,
+  copied: {
+    stalls: copy.stalls,
+    volunteers: copy.volunteers.length,
+    pricing_rules: copy.pricing_rules.length,
+    registration_form_fields: (copy.event.registration_form || []).length
+  },
+  skipped_volunteers: copy.skipped_volunteers
+});
+
+/**
+ * Validate session fields against the event schedule
+ * @param {Object} body - Request body
+ * @param {Object} event - Event row
+ * @param {Object|null} existing - Session being updated (null when creating)
+ * @returns {Object} { data, error }
+ */
+const validateSessionInput = (body, event, existing = null) => {
+  const data = {};
+
+  if (body.session_name !== undefined || !existing) {
+    const name = String(body.session_name || '').trim();
+    if (!name) {
+      return { error: 'session_name is required' };
+    }
+    if (name.length > 200) {
+      return { error: 'session_name must be at most 200 characters' };
+    }
+    data.session_name = name;
+  }
+
+  if (body.session_type !== undefined) {
+    const type = String(body.session_type).toUpperCase();
+    if (!SESSION_TYPES.includes(type)) {
+      return { error: `session_type must be one of: ${SESSION_TYPES.join(', ')}` };
+    }
+    data.session_type = type;
+  }
+
+  for (const field of ['description', 'venue']) {
+    if (body[field] !== undefined) {
+      data[field] = body[field] ? String(body[field]).trim() : null;
+    }
+  }
+  if (data.venue && data.venue.length > 200) {
+    return { error: 'venue must be at most 200 characters' };
+  }
+
+  if (body.capacity !== undefined) {
+    if (body.capacity === null || body.capacity === '') {
+      data.capacity = null;
+    } else {
+      const capacity = Number(body.capacity);
+      if (!Number.isInteger(capacity) || capacity < 1) {
+        return { error: 'capacity must be a positive integer (or null for unlimited)' };
+      }
+      data.capacity = capacity;
+    }
+  }
+
+  if (body.is_active !== undefined) {
+    data.is_active = body.is_active === true || body.is_active === 'true';
+  }
+
+  if (!existing && (!body.start_time || !body.end_time)) {
+    return { error: 'start_time and end_time are required' };
+  }
+
+  if (body.start_time !== undefined || body.end_time !== undefined) {
+    const startTime = new Date(body.start_time ?? existing.start_time);
+    const endTime = new Date(body.end_time ?? existing.end_time);
+
+    if (Number.isNaN(startTime.getTime()) || Number.isNaN(endTime.getTime())) {
+      return { error: 'start_time and end_time must be valid dates' };
+    }
+    if (endTime <= startTime) {
+      return { error: 'end_time must be after start_time' };
+    }
+    if (startTime < new Date(event.start_date) || endTime > new Date(event.end_date)) {
+      return { error: 'Session must be scheduled within the event dates' };
+    }
+
+    data.start_time = startTime;
+    data.end_time = endTime;
+  }
+
+  return { data };
+};
 
 class EventManagerController {
   /**
@@ -96,19 +241,8 @@ class EventManagerController {
         );
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        {
-          id: manager.id,
-          email: manager.email,
-          role: manager.role
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-      );
-
-      // Set HTTP-only cookie
-      setAuthCookie(res, token);
+      // Short-lived access token + refresh token, both also set as HTTP-only cookies
+      const session = await AuthSessionService.startSession(req, res, 'EVENT_MANAGER', manager);
 
       // Get school name if school_id exists
       let schoolName = null;
@@ -132,7 +266,7 @@ class EventManagerController {
             is_approved_by_admin: manager.is_approved_by_admin,
             total_events_created: manager.total_events_created
           },
-          token,
+          ...session,
           approval_status: manager.is_approved_by_admin 
             ? 'approved' 
             : 'pending_approval'
@@ -151,7 +285,7 @@ class EventManagerController {
    */
   static async logout(req, res) {
     try {
-      clearAuthCookie(res);
+      await AuthSessionService.endSession(req, res);
       return successResponse(res, null, 'Logged out successfully');
     } catch (error) {
       return errorResponse(res, error.message, 500);
@@ -186,22 +320,11 @@ class EventManagerController {
         return errorResponse(res, 'School does not match our records', 401);
       }
 
-      // Issue full access token after verification
-      const token = jwt.sign(
-        { 
-          id: manager.id, 
-          email: manager.email,
-          role: manager.role,
-          verified: true
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
-
-      setAuthCookie(res, token);
+      // Start a full session after verification
+      const session = await AuthSessionService.startSession(req, res, 'EVENT_MANAGER', manager, { verified: true });
 
       return successResponse(res, {
-        token,
+        ...session,
         verified: true,
         message: 'Identity verified. You can now reset your password.'
       }, 'Identity verified successfully');
@@ -464,6 +587,13 @@ class EventManagerController {
         }
       }
 
+      // Validate team settings (competition events registered by teams)
+      const teamSettings = validateTeamSettings(eventData);
+      if (teamSettings.error) {
+        return validationErrorResponse(res, [{ msg: teamSettings.error }]);
+      }
+      Object.assign(eventData, teamSettings.data);
+
       // Check if event code is unique
       const existing = await EventModel.findByCode(eventData.event_code);
       if (existing) {
@@ -499,6 +629,7 @@ class EventManagerController {
             event_type: AuditEventType.EVENT_CREATED,
             user_id: managerId,
             user_role: 'EVENT_MANAGER',
+            ...getAuditRequestInfo(req),
             resource_type: 'EVENT',
             resource_id: event.id,
             metadata: {
@@ -533,6 +664,7 @@ class EventManagerController {
         event_type: AuditEventType.EVENT_CREATED,
         user_id: managerId,
         user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
         resource_type: 'EVENT',
         resource_id: event.id,
         metadata: {
@@ -614,9 +746,12 @@ class EventManagerController {
           ev.assigned_location,
           ev.permissions,
           ev.total_scans_for_event,
-          ev.assigned_at
+          ev.assigned_at,
+          ev.session_id,
+          es.session_name
         FROM volunteers v
         INNER JOIN event_volunteers ev ON v.id = ev.volunteer_id
+        LEFT JOIN event_sessions es ON es.id = ev.session_id
         WHERE ev.event_id = $1 AND ev.is_active = true
         ORDER BY v.full_name ASC
       `, [eventId]);
@@ -643,9 +778,16 @@ class EventManagerController {
         ORDER BY st.stall_number ASC
       `, [eventId]);
 
+      const sessions = await EventSessionModel.findByEvent(eventId);
+
       return successResponse(res, { 
         event, 
         stats,
+        sessions: {
+          data: sessions,
+          total: sessions.length,
+          active: sessions.filter(s => s.is_active).length
+        },
         volunteers: {
           data: volunteers,
           total: volunteers.length
@@ -690,13 +832,19 @@ class EventManagerController {
         );
       }
 
-      const updated = await EventModel.update(eventId, req.body);
+      const teamSettings = validateTeamSettings(req.body, event);
+      if (teamSettings.error) {
+        return validationErrorResponse(res, [{ msg: teamSettings.error }]);
+      }
+
+      const updated = await EventModel.update(eventId, { ...req.body, ...teamSettings.data });
 
       // Log audit event
       await logAuditEvent({
         event_type: AuditEventType.EVENT_UPDATED,
         user_id: managerId,
         user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
         resource_type: 'EVENT',
         resource_id: eventId,
         metadata: {
@@ -733,13 +881,20 @@ class EventManagerController {
         return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      await EventModel.delete(eventId);
+      const result = await EventModel.delete(eventId);
+
+      NotificationService.notifyEventCancelled(
+        eventId,
+        result.affected_registrations,
+        'Event cancelled by organizer'
+      );
 
       // Log audit event
       await logAuditEvent({
         event_type: AuditEventType.EVENT_DELETED,
         user_id: managerId,
         user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
         resource_type: 'EVENT',
         resource_id: eventId,
         metadata: {
@@ -784,7 +939,10 @@ class EventManagerController {
         limit: parseInt(limit) || 50
       });
 
-      return successResponse(res, result);
+      return successResponse(res, {
+        ...result,
+        form_fields: event.registration_form || []
+      });
     } catch (error) {
       console.error('Get event registrations error:', error);
       return errorResponse(res, error.message, 500);
@@ -792,15 +950,14 @@ class EventManagerController {
   }
 
   /**
-   * Get event analytics
-   * GET /api/event-managers/events/:eventId/analytics
+   * Get event registration form schema
+   * GET /api/event-manager/events/:eventId/registration-form
    */
-  static async getEventAnalytics(req, res) {
+  static async getRegistrationForm(req, res) {
     try {
       const { eventId } = req.params;
       const managerId = req.user.id;
 
-      // Check ownership
       const event = await EventModel.findById(eventId);
       if (!event) {
         return errorResponse(res, 'Event not found', 404);
@@ -810,42 +967,35 @@ class EventManagerController {
         return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      // Get comprehensive analytics
-      const eventStats = await EventModel.getStats(eventId);
-      const registrationStats = await EventRegistrationModel.getStats(eventId);
-      const volunteerStats = await EventVolunteerModel.getEventStats(eventId);
-      const volunteerPerformance = await EventVolunteerModel.getVolunteerPerformance(eventId);
+      const answered = await query(
+        `SELECT COUNT(*)::int AS count FROM event_registrations
+         WHERE event_id = $1 AND form_responses <> '{}'::jsonb`,
+        [eventId]
+      );
 
       return successResponse(res, {
-        event: {
-          id: event.id,
-          event_name: event.event_name,
-          event_code: event.event_code,
-          status: event.status
-        },
-        stats: {
-          ...eventStats,
-          registrations: registrationStats,
-          volunteers: volunteerStats
-        },
-        volunteer_performance: volunteerPerformance
+        fields: event.registration_form || [],
+        field_types: FORM_FIELD_TYPES,
+        registrations_with_answers: answered[0]?.count || 0
       });
     } catch (error) {
-      console.error('Get event analytics error:', error);
+      console.error('Get registration form error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Submit event for admin approval
-   * POST /api/event-managers/events/:eventId/submit-for-approval
+   * Replace event registration form schema
+   * PUT /api/event-manager/events/:eventId/registration-form
+   * Body: { fields: [{ key, label, type, required, options, ...validation }] }
+   * Existing answers are kept; new required fields only apply to new registrations
    */
-  static async submitEventForApproval(req, res) {
+  static async updateRegistrationForm(req, res) {
     try {
       const { eventId } = req.params;
+      const { fields } = req.body;
       const managerId = req.user.id;
 
-      // Check ownership
       const event = await EventModel.findById(eventId);
       if (!event) {
         return errorResponse(res, 'Event not found', 404);
@@ -855,71 +1005,152 @@ class EventManagerController {
         return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      // Check if event is in DRAFT or REJECTED status
-      if (!['DRAFT', 'REJECTED'].includes(event.status)) {
-        return errorResponse(res, `Event cannot be submitted. Current status: ${event.status}`, 400);
+      if (!EDITABLE_EVENT_STATUSES.includes(event.status)) {
+        return errorResponse(res, `Cannot change the registration form of a ${event.status} event`, 400);
       }
 
-      // Check if event has at least one stall
-      const stallsQuery = 'SELECT COUNT(*) as count FROM stalls WHERE event_id = $1 AND is_active = true';
-      const stallResult = await query(stallsQuery, [eventId]);
-      const stallCount = parseInt(stallResult[0].count);
+      const validation = validateFormSchema(fields);
+      if (!validation.valid) {
+        return errorResponse(res, validation.error, 400);
+      }
 
-      if (stallCount === 0) {
-        return errorResponse(res, 'Event must have at least one stall before submission', 400);
+      const updated = await EventModel.updateRegistrationForm(eventId, validation.fields);
+
+      await logAuditEvent({
+        event_type: AuditEventType.REGISTRATION_FORM_UPDATED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        metadata: {
+          field_keys: validation.fields.map(field => field.key),
+          previous_field_keys: (event.registration_form || []).map(field => field.key)
+        }
+      });
+
+      return successResponse(res, { fields: updated.registration_form }, 'Registration form updated successfully');
+    } catch (error) {
+      console.error('Update registration form error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get teams of a team event with their members
+   * GET /api/event-manager/events/:eventId/teams?status=FORMING|REGISTERED|CANCELLED
+   */
+  static async getEventTeams(req, res) {
+    try {
+      const { eventId } = req.params;
+      const { status } = req.query;
+      const managerId = req.user.id;
+
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
       }
 
-      // Check if event has at least one volunteer
-      const volunteersQuery = 'SELECT COUNT(*) as count FROM event_volunteers WHERE event_id = $1';
-      const volunteerResult = await query(volunteersQuery, [eventId]);
-      const volunteerCount = parseInt(volunteerResult[0].count);
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
 
-      if (volunteerCount === 0) {
-        return errorResponse(res, 'Event must have at least one volunteer before submission', 400);
+      if (!event.is_team_event) {
+        return errorResponse(res, 'This is not a team event', 400);
       }
 
-      // Update event status to PENDING_APPROVAL and clear rejection reason if resubmitting
-      const updateData = { status: 'PENDING_APPROVAL' };
-      if (event.status === 'REJECTED') {
-        updateData.admin_rejection_reason = null;
+      if (status && !['FORMING', 'REGISTERED', 'CANCELLED'].includes(status)) {
+        return errorResponse(res, 'status must be FORMING, REGISTERED or CANCELLED', 400);
       }
-      await EventModel.update(eventId, updateData);
 
-      // Log audit event
+      const teams = await TeamModel.getEventTeams(eventId, { status: status || null });
+      for (const team of teams) {
+        team.members = await TeamModel.getMembers(team.id);
+      }
+
+      return successResponse(res, {
+        team_min_size: event.team_min_size,
+        team_max_size: event.team_max_size,
+        teams,
+        total: teams.length
+      });
+    } catch (error) {
+      console.error('Get event teams error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Clone an event into a new DRAFT event
+   * POST /api/event-manager/events/:eventId/clone
+   * Body: { event_code, event_name, start_date, end_date, registration_start_date,
+   *         registration_end_date, stall_number_prefix }
+   * Copies settings, refund tiers, registration form, stalls (new QR tokens),
+   * volunteer assignments and pricing rules; dates move with the new start date
+   */
+  static async cloneEvent(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      if (!(await ensureCanCreateEvents(res, managerId))) return;
+
+      const source = await EventModel.findById(eventId);
+      if (!source) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (source.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const snapshot = await buildEventSnapshot(source);
+      const { data, error, status } = await validateCopyInput(req.body || {}, snapshot);
+      if (error) {
+        return errorResponse(res, error, status);
+      }
+
+      const copy = await createEventFromSnapshot(snapshot, data, managerId, { cloned_from_event_id: source.id });
+
       await logAuditEvent({
-        event_type: AuditEventType.EVENT_STATUS_CHANGED,
+        event_type: AuditEventType.EVENT_CLONED,
         user_id: managerId,
         user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
         resource_type: 'EVENT',
-        resource_id: eventId,
+        resource_id: copy.event.id,
         metadata: {
-          old_status: 'DRAFT',
-          new_status: 'PENDING_APPROVAL',
-          event_name: event.event_name,
-          stall_count: stallCount,
-          volunteer_count: volunteerCount
-        },
-        ip_address: req.ip,
-        user_agent: req.get('user-agent')
+          source_event_id: source.id,
+          source_event_code: source.event_code,
+          event_code: copy.event.event_code,
+          stalls: copy.stalls.length,
+          volunteers: copy.volunteers.length,
+          pricing_rules: copy.pricing_rules.length
+        }
       });
 
-      return successResponse(res, null, 'Event submitted for admin approval successfully');
+      return successResponse(res, summarizeCopy(copy), `Event cloned from ${source.event_code}. Status: DRAFT`, 201);
     } catch (error) {
-      console.error('Submit event for approval error:', error);
+      // The incomplete copy has been removed; a unique clash means the code or a stall number was taken meanwhile
+      if (error.code === '23505') {
+        return errorResponse(res, COPY_CONFLICT_MESSAGE, 409);
+      }
+      console.error('Clone event error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Get comprehensive event analytics (for approved events only)
-   * GET /api/event-managers/events/:eventId/analytics
+   * Save an event as a reusable template
+   * POST /api/event-manager/events/:eventId/save-template
+   * Body: { template_name, description }
    */
-  static async getEventAnalytics(req, res) {
+  static async saveEventTemplate(req, res) {
     try {
       const { eventId } = req.params;
+      const { template_name, description } = req.body || {};
       const managerId = req.user.id;
 
-      // Check ownership
       const event = await EventModel.findById(eventId);
       if (!event) {
         return errorResponse(res, 'Event not found', 404);
@@ -929,1159 +1160,2429 @@ class EventManagerController {
         return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      // Only allow analytics for approved events
-      if (event.status !== 'APPROVED' && event.status !== 'ACTIVE' && event.status !== 'COMPLETED') {
-        return errorResponse(res, 'Analytics are only available for approved events', 400);
+      const name = typeof template_name === 'string' ? template_name.trim() : '';
+      if (!name || name.length > 150) {
+        return errorResponse(res, 'template_name is required (max 150 characters)', 400);
       }
 
-      // Get total registrations
-      const registrationsQuery = `
-        SELECT COUNT(*) as total, 
-               SUM(CASE WHEN payment_status = 'COMPLETED' OR payment_status = 'NOT_REQUIRED' THEN 1 ELSE 0 END) as paid,
-               SUM(CASE WHEN has_checked_in = TRUE THEN 1 ELSE 0 END) as attended
-        FROM event_registrations
-        WHERE event_id = $1
-      `;
-      const registrationResult = await query(registrationsQuery, [eventId]);
-      const registrations = {
-        total: parseInt(registrationResult[0].total) || 0,
-        paid: parseInt(registrationResult[0].paid) || 0,
-        attended: parseInt(registrationResult[0].attended) || 0
-      };
+      const snapshot = await buildEventSnapshot(event);
 
-      // Calculate revenue
-      const revenueQuery = `
-        SELECT COALESCE(SUM(payment_amount), 0) as total_revenue
-        FROM event_registrations
-        WHERE event_id = $1 AND payment_status = 'COMPLETED'
-      `;
-      const revenueResult = await query(revenueQuery, [eventId]);
-      const revenue = parseFloat(revenueResult[0].total_revenue) || 0;
+      let template;
+      try {
+        template = await EventTemplateModel.create(managerId, {
+          template_name: name,
+          description: typeof description === 'string' ? description.trim() || null : null,
+          source_event_id: event.id,
+          snapshot
+        });
+      } catch (createError) {
+        if (createError.code === '23505') {
+          return errorResponse(res, 'You already have a template with this name', 409);
+        }
+        throw createError;
+      }
 
-      // Get feedback stats - feedbacks are linked to stalls, so we need to get feedback for stalls belonging to this event
-      const feedbackQuery = `
-        SELECT 
-          COUNT(*) as total_feedbacks,
-          ROUND(AVG(f.rating), 2) as average_rating,
-          COUNT(CASE WHEN f.rating = 5 THEN 1 END) as rating_5,
-          COUNT(CASE WHEN f.rating = 4 THEN 1 END) as rating_4,
-          COUNT(CASE WHEN f.rating = 3 THEN 1 END) as rating_3,
-          COUNT(CASE WHEN f.rating = 2 THEN 1 END) as rating_2,
-          COUNT(CASE WHEN f.rating = 1 THEN 1 END) as rating_1
-        FROM feedbacks f
-        JOIN stalls s ON f.stall_id = s.id
-        WHERE s.event_id = $1
-      `;
-      const feedbackResult = await query(feedbackQuery, [eventId]);
-      const feedback = {
-        total_feedbacks: parseInt(feedbackResult[0].total_feedbacks) || 0,
-        average_rating: parseFloat(feedbackResult[0].average_rating) || 0,
-        rating_distribution: {
-          5: parseInt(feedbackResult[0].rating_5) || 0,
-          4: parseInt(feedbackResult[0].rating_4) || 0,
-          3: parseInt(feedbackResult[0].rating_3) || 0,
-          2: parseInt(feedbackResult[0].rating_2) || 0,
-          1: parseInt(feedbackResult[0].rating_1) || 0
+      await logAuditEvent({
+        event_type: AuditEventType.EVENT_TEMPLATE_SAVED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT_TEMPLATE',
+        resource_id: template.id,
+        metadata: {
+          template_name: name,
+          source_event_id: event.id,
+          stalls: snapshot.stalls.length,
+          volunteers: snapshot.volunteers.length,
+          pricing_rules: snapshot.pricing_rules.length
         }
-      };
+      });
 
-      // Get stall rankings - count votes per stall from rankings table
-      const rankingsQuery = `
-        SELECT r.stall_id, r.rank,
-               COUNT(*) as vote_count,
-               s.stall_name, s.stall_number, s.image_url,
-               sc.school_name
-        FROM rankings r
-        JOIN stalls s ON r.stall_id = s.id
-        LEFT JOIN schools sc ON s.school_id = sc.id
-        WHERE r.event_id = $1
-        GROUP BY r.stall_id, r.rank, s.stall_name, s.stall_number, s.image_url, sc.school_name
-        ORDER BY vote_count DESC, r.rank ASC
-        LIMIT 10
-      `;
-      const rankingsResult = await query(rankingsQuery, [eventId]);
-      const rankings = rankingsResult.map(r => ({
-        stall_id: r.stall_id,
-        stall_name: r.stall_name,
-        stall_number: r.stall_number,
-        stall_image: r.image_url,
-        school_name: r.school_name,
-        rank: r.rank,
-        total_votes: parseInt(r.vote_count) || 0,
-        percentage: 0
-      }));
-
-      // Get detailed stall statistics
-      const stallsQuery = `
-        SELECT 
-          s.id, s.stall_name, s.stall_number, s.image_url,
-          sc.school_name,
-          COUNT(DISTINCT f.id) as total_feedbacks,
-          ROUND(AVG(f.rating)::numeric, 2) as average_rating,
-          COUNT(CASE WHEN f.rating = 5 THEN 1 END) as rating_5,
-          COUNT(CASE WHEN f.rating = 4 THEN 1 END) as rating_4,
-          COUNT(CASE WHEN f.rating = 3 THEN 1 END) as rating_3,
-          COUNT(CASE WHEN f.rating = 2 THEN 1 END) as rating_2,
-          COUNT(CASE WHEN f.rating = 1 THEN 1 END) as rating_1,
-          (SELECT COUNT(*) FROM rankings rk WHERE rk.stall_id = s.id AND rk.event_id = $1) as ranking_votes
-        FROM stalls s
-        LEFT JOIN schools sc ON s.school_id = sc.id
-        LEFT JOIN feedbacks f ON s.id = f.stall_id
-        WHERE s.event_id = $1 AND s.is_active = true
-        GROUP BY s.id, sc.school_name
-        ORDER BY s.stall_number ASC
-      `;
-      const stallsResult = await query(stallsQuery, [eventId]);
-      const stalls = stallsResult.map(st => ({
-        stall_id: st.id,
-        stall_name: st.stall_name,
-        stall_number: st.stall_number,
-        stall_image: st.image_url,
-        school_name: st.school_name,
-        total_feedbacks: parseInt(st.total_feedbacks) || 0,
-        average_rating: parseFloat(st.average_rating) || 0,
-        rating_distribution: {
-          5: parseInt(st.rating_5) || 0,
-          4: parseInt(st.rating_4) || 0,
-          3: parseInt(st.rating_3) || 0,
-          2: parseInt(st.rating_2) || 0,
-          1: parseInt(st.rating_1) || 0
-        },
-        ranking_votes: parseInt(st.ranking_votes) || 0
-      }));
-
-      // Get volunteer statistics with scan details
-      const volunteersQuery = `
-        SELECT 
-          v.id, v.full_name as volunteer_name, v.email, v.phone,
-          COUNT(DISTINCT cio.id) as total_scans,
-          COUNT(DISTINCT CASE WHEN cio.scan_type = 'CHECK_IN' THEN cio.id END) as total_checkins,
-          COUNT(DISTINCT CASE WHEN cio.scan_type = 'CHECK_OUT' THEN cio.id END) as total_checkouts,
-          MIN(cio.scanned_at) as first_scan_time,
-          MAX(cio.scanned_at) as last_scan_time
-        FROM volunteers v
-        JOIN event_volunteers ev ON v.id = ev.volunteer_id
-        LEFT JOIN check_in_outs cio ON v.id = cio.volunteer_id AND cio.event_id = $1
-        WHERE ev.event_id = $1
-        GROUP BY v.id
-        ORDER BY total_scans DESC
-      `;
-      const volunteersResult = await query(volunteersQuery, [eventId]);
-      const volunteers = volunteersResult.map(vol => {
-        const totalScans = parseInt(vol.total_scans) || 0;
-        const firstScanTime = vol.first_scan_time ? new Date(vol.first_scan_time) : null;
-        const lastScanTime = vol.last_scan_time ? new Date(vol.last_scan_time) : null;
-        
-        let activeHours = 0;
-        let averageScansPerHour = 0;
-        
-        if (firstScanTime && lastScanTime && totalScans > 0) {
-          const diffMs = lastScanTime - firstScanTime;
-          activeHours = parseFloat((diffMs / (1000 * 60 * 60)).toFixed(2));
-          if (activeHours > 0) {
-            averageScansPerHour = parseFloat((totalScans / activeHours).toFixed(2));
-          }
-        }
-
-        return {
-          volunteer_id: vol.id,
-          volunteer_name: vol.volunteer_name,
-          email: vol.email,
-          phone: vol.phone,
-          total_scans: totalScans,
-          total_checkins: parseInt(vol.total_checkins) || 0,
-          total_checkouts: parseInt(vol.total_checkouts) || 0,
-          active_hours: activeHours,
-          average_scans_per_hour: averageScansPerHour,
-          first_scan_time: firstScanTime,
-          last_scan_time: lastScanTime
-        };
-      });
-
-      // Get check-in/out stats
-      const checkInOutQuery = `
-        SELECT 
-          COUNT(*) as total_scans,
-          COUNT(CASE WHEN check_type = 'CHECK_IN' THEN 1 END) as total_checkins,
-          COUNT(CASE WHEN check_type = 'CHECK_OUT' THEN 1 END) as total_checkouts
-        FROM check_in_out
-        WHERE event_id = $1
-      `;
-      const checkInOutResult = await query(checkInOutQuery, [eventId]);
-      const checkInOut = {
-        total_scans: parseInt(checkInOutResult[0].total_scans) || 0,
-        total_checkins: parseInt(checkInOutResult[0].total_checkins) || 0,
-        total_checkouts: parseInt(checkInOutResult[0].total_checkouts) || 0
-      };
-
-      return successResponse(res, {
-        event: {
-          id: event.id,
-          event_name: event.event_name,
-          event_code: event.event_code,
-          event_type: event.event_type,
-          status: event.status,
-          start_date: event.start_date,
-          end_date: event.end_date
-        },
-        registrations,
-        revenue,
-        feedback,
-        top_stalls: rankings,
-        stalls,
-        volunteers,
-        check_in_out: checkInOut
-      });
+      return successResponse(res, { template }, 'Event saved as template', 201);
     } catch (error) {
-      console.error('Get event analytics error:', error);
+      console.error('Save event template error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Get all schools
-   * GET /api/event-manager/schools
+   * List my event templates
+   * GET /api/event-manager/templates
    */
-  static async getAllSchools(req, res) {
+  static async getEventTemplates(req, res) {
     try {
-      const schools = await School.findAll(query);
+      const templates = await EventTemplateModel.findByManager(req.user.id);
 
-      return successResponse(res, {
-        schools,
-        total: schools.length
-      }, 'Schools retrieved successfully');
+      return successResponse(res, { templates, total: templates.length });
     } catch (error) {
-      console.error('Get schools error:', error);
+      console.error('Get event templates error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
 
-  // ============================================================
-  // BULK REGISTRATION METHODS
-  // ============================================================
-
   /**
-   * Check eligibility for bulk registration
-   * GET /api/event-manager/events/:eventId/bulk-register/check-eligibility
+   * Get an event template with its snapshot
+   * GET /api/event-manager/templates/:templateId
    */
-  static async checkEligibility(req, res) {
+  static async getEventTemplate(req, res) {
     try {
-      const { eventId } = req.params;
-      const managerId = req.user.id;
-
-      const eligibility = await getEligibilityStatus(eventId, managerId);
-
-      return successResponse(res, eligibility, 'Eligibility check completed');
+      const template = await EventTemplateModel.findById(req.params.templateId);
+      if (!template || template.manager_id !== req.user.id) {
+        return errorResponse(res, 'Template not found', 404);
+      }
 
+      return successResponse(res, { template });
     } catch (error) {
-      console.error('Check eligibility error:', error);
+      console.error('Get event template error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Validate bulk registration file (pre-upload check)
-   * POST /api/event-manager/events/:eventId/bulk-register/validate
+   * Delete an event template (events created from it are not affected)
+   * DELETE /api/event-manager/templates/:templateId
    */
-  static async validateBulkRegistration(req, res) {
+  static async deleteEventTemplate(req, res) {
     try {
-      const { eventId } = req.params;
       const managerId = req.user.id;
 
-      if (!req.file) {
-        return errorResponse(res, 'No file uploaded', 400);
+      const template = await EventTemplateModel.findById(req.params.templateId);
+      if (!template || template.manager_id !== managerId) {
+        return errorResponse(res, 'Template not found', 404);
       }
 
-    // Validate event eligibility
-    const { event } = await validateEventEligibility(eventId, managerId, 'EVENT_MANAGER');
-
-    // Parse Excel file
-    const parsed = await parseEventRegistrationFile(req.file.buffer);
+      await EventTemplateModel.delete(template.id);
 
-    if (parsed.errors.length > 0) {
-      return errorResponse(res, 'Excel file contains formatting errors', 400, {
-        errors: parsed.errors
+      await logAuditEvent({
+        event_type: AuditEventType.EVENT_TEMPLATE_DELETED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT_TEMPLATE',
+        resource_id: template.id,
+        metadata: { template_name: template.template_name }
       });
-    }
 
-    // Validate registration numbers format
-    const validation = validateEventRegistrationData(parsed.registrationNumbers);
-
-    if (!validation.valid) {
-      return successResponse(res, {
-        valid: false,
-        errors: validation.errors,
-        totalRows: validation.totalRows
-      }, 'Validation completed with errors');
+      return successResponse(res, null, 'Template deleted');
+    } catch (error) {
+      console.error('Delete event template error:', error);
+      return errorResponse(res, error.message, 500);
     }
+  }
 
-    // Fetch students from any school (no restriction)
-    const { validStudents, invalidRegistrationNumbers } = 
-      await validateAndFetchStudents(validation.validRegistrationNumbers, null);      // Check existing registrations
-      const studentIds = validStudents.map(s => s.id);
-      const existingStudentIds = await checkExistingRegistrations(eventId, studentIds);
+  /**
+   * Create a new DRAFT event from a template
+   * POST /api/event-manager/templates/:templateId/events
+   * Body: same as cloneEvent
+   */
+  static async createEventFromTemplate(req, res) {
+    try {
+      const managerId = req.user.id;
 
-      const duplicateCount = existingStudentIds.length;
-      const newRegistrations = validStudents.length - duplicateCount;
+      if (!(await ensureCanCreateEvents(res, managerId))) return;
 
-      // Check if requires approval (>200)
-      const requiresApproval = newRegistrations > 200;
+      const template = await EventTemplateModel.findById(req.params.templateId);
+      if (!template || template.manager_id !== managerId) {
+        return errorResponse(res, 'Template not found', 404);
+      }
 
-      // Check capacity
-      const capacityCheck = checkCapacityLimit(event, newRegistrations, false);
+      const { data, error, status } = await validateCopyInput(req.body || {}, template.snapshot);
+      if (error) {
+        return errorResponse(res, error, status);
+      }
 
-      return successResponse(res, {
-        valid: true,
-        summary: {
-          total_in_file: parsed.totalRows,
-          unique_in_file: parsed.uniqueCount,
-          duplicates_in_file: parsed.duplicateCount,
-          valid_students: validStudents.length,
-          invalid_students: invalidRegistrationNumbers.length,
-          already_registered: duplicateCount,
-          new_registrations: newRegistrations
-        },
-        requires_approval: requiresApproval,
-        capacity: {
-          current: event.current_registrations,
-          max: event.max_capacity,
-          after_upload: event.current_registrations + newRegistrations,
-          exceeds_capacity: !capacityCheck.allowed,
-          available_slots: capacityCheck.available_slots
-        },
-        errors: [
-          ...invalidRegistrationNumbers.map(regNo => ({
-            registration_no: regNo,
-            error: 'STUDENT_NOT_FOUND',
-            message: 'Student not found in system'
-          }))
-        ],
-        warnings: capacityCheck.allowed ? [] : [{
-          type: 'CAPACITY_WARNING',
-          message: capacityCheck.reason
-        }]
-      }, 'Validation completed successfully');
+      const copy = await createEventFromSnapshot(template.snapshot, data, managerId, {
+        created_from_template_id: template.id
+      });
+
+      await logAuditEvent({
+        event_type: AuditEventType.EVENT_CREATED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT',
+        resource_id: copy.event.id,
+        metadata: {
+          event_name: copy.event.event_name,
+          event_code: copy.event.event_code,
+          event_type: copy.event.event_type,
+          status: copy.event.status,
+          template_id: template.id,
+          template_name: template.template_name
+        }
+      });
 
+      return successResponse(res, summarizeCopy(copy), `Event created from template "${template.template_name}". Status: DRAFT`, 201);
     } catch (error) {
-      console.error('Validate bulk registration error:', error);
+      // The incomplete copy has been removed; a unique clash means the code or a stall number was taken meanwhile
+      if (error.code === '23505') {
+        return errorResponse(res, COPY_CONFLICT_MESSAGE, 409);
+      }
+      console.error('Create event from template error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Bulk register students to event (with restrictions)
-   * POST /api/event-manager/events/:eventId/bulk-register
+   * Get event analytics
+   * GET /api/event-managers/events/:eventId/analytics
    */
-  static async bulkRegisterStudents(req, res) {
-    const startTime = Date.now();
-
+  static async getEventAnalytics(req, res) {
     try {
       const { eventId } = req.params;
       const managerId = req.user.id;
 
-      if (!req.file) {
-        return errorResponse(res, 'No file uploaded', 400);
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
       }
 
-      // Check rate limits
-      const rateLimitCheck = await checkRateLimit(managerId, 'EVENT_MANAGER');
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      // Get comprehensive analytics
+      const eventStats = await EventModel.getStats(eventId);
+      const registrationStats = await EventRegistrationModel.getStats(eventId);
+      const volunteerStats = await EventVolunteerModel.getEventStats(eventId);
+      const volunteerPerformance = await EventVolunteerModel.getVolunteerPerformance(eventId);
+
+      return successResponse(res, {
+        event: {
+          id: event.id,
+          event_name: event.event_name,
+          event_code: event.event_code,
+          status: event.status
+        },
+        stats: {
+          ...eventStats,
+          registrations: registrationStats,
+          volunteers: volunteerStats
+        },
+        volunteer_performance: volunteerPerformance
+      });
+    } catch (error) {
+      console.error('Get event analytics error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Submit event for admin approval
+   * POST /api/event-managers/events/:eventId/submit-for-approval
+   */
+  static async submitEventForApproval(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      // Check if event is in DRAFT or REJECTED status
+      if (!['DRAFT', 'REJECTED'].includes(event.status)) {
+        return errorResponse(res, `Event cannot be submitted. Current status: ${event.status}`, 400);
+      }
+
+      // Check if event has at least one stall
+      const stallsQuery = 'SELECT COUNT(*) as count FROM stalls WHERE event_id = $1 AND is_active = true';
+      const stallResult = await query(stallsQuery, [eventId]);
+      const stallCount = parseInt(stallResult[0].count);
+
+      if (stallCount === 0) {
+        return errorResponse(res, 'Event must have at least one stall before submission', 400);
+      }
+
+      // Check if event has at least one volunteer
+      const volunteersQuery = 'SELECT COUNT(*) as count FROM event_volunteers WHERE event_id = $1';
+      const volunteerResult = await query(volunteersQuery, [eventId]);
+      const volunteerCount = parseInt(volunteerResult[0].count);
+
+      if (volunteerCount === 0) {
+        return errorResponse(res, 'Event must have at least one volunteer before submission', 400);
+      }
+
+      // Update event status to PENDING_APPROVAL and clear rejection reason if resubmitting
+      const updateData = { status: 'PENDING_APPROVAL' };
+      if (event.status === 'REJECTED') {
+        updateData.admin_rejection_reason = null;
+      }
+      await EventModel.update(eventId, updateData);
+
+      // Log audit event
+      await logAuditEvent({
+        event_type: AuditEventType.EVENT_STATUS_CHANGED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        metadata: {
+          old_status: 'DRAFT',
+          new_status: 'PENDING_APPROVAL',
+          event_name: event.event_name,
+          stall_count: stallCount,
+          volunteer_count: volunteerCount
+        },
+        ip_address: req.ip,
+        user_agent: req.get('user-agent')
+      });
+
+      return successResponse(res, null, 'Event submitted for admin approval successfully');
+    } catch (error) {
+      console.error('Submit event for approval error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get comprehensive event analytics (for approved events only)
+   * GET /api/event-managers/events/:eventId/analytics
+   */
+  static async getEventAnalytics(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      // Check ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      // Only allow analytics for approved events
+      if (event.status !== 'APPROVED' && event.status !== 'ACTIVE' && event.status !== 'COMPLETED') {
+        return errorResponse(res, 'Analytics are only available for approved events', 400);
+      }
+
+      // Get total registrations
+      const registrationsQuery = `
+        SELECT COUNT(*) as total, 
+               SUM(CASE WHEN payment_status = 'COMPLETED' OR payment_status = 'NOT_REQUIRED' THEN 1 ELSE 0 END) as paid,
+               SUM(CASE WHEN has_checked_in = TRUE THEN 1 ELSE 0 END) as attended
+        FROM event_registrations
+        WHERE event_id = $1
+      `;
+      const registrationResult = await query(registrationsQuery, [eventId]);
+      const registrations = {
+        total: parseInt(registrationResult[0].total) || 0,
+        paid: parseInt(registrationResult[0].paid) || 0,
+        attended: parseInt(registrationResult[0].attended) || 0
+      };
+
+      // Calculate revenue
+      const revenueQuery = `
+        SELECT COALESCE(SUM(payment_amount), 0) as total_revenue
+        FROM event_registrations
+        WHERE event_id = $1 AND payment_status = 'COMPLETED'
+      `;
+      const revenueResult = await query(revenueQuery, [eventId]);
+      const revenue = parseFloat(revenueResult[0].total_revenue) || 0;
+
+      // Get feedback stats - feedbacks are linked to stalls, so we need to get feedback for stalls belonging to this event
+      const feedbackQuery = `
+        SELECT 
+          COUNT(*) as total_feedbacks,
+          ROUND(AVG(f.rating), 2) as average_rating,
+          COUNT(CASE WHEN f.rating = 5 THEN 1 END) as rating_5,
+          COUNT(CASE WHEN f.rating = 4 THEN 1 END) as rating_4,
+          COUNT(CASE WHEN f.rating = 3 THEN 1 END) as rating_3,
+          COUNT(CASE WHEN f.rating = 2 THEN 1 END) as rating_2,
+          COUNT(CASE WHEN f.rating = 1 THEN 1 END) as rating_1
+        FROM feedbacks f
+        JOIN stalls s ON f.stall_id = s.id
+        WHERE s.event_id = $1
+      `;
+      const feedbackResult = await query(feedbackQuery, [eventId]);
+      const feedback = {
+        total_feedbacks: parseInt(feedbackResult[0].total_feedbacks) || 0,
+        average_rating: parseFloat(feedbackResult[0].average_rating) || 0,
+        rating_distribution: {
+          5: parseInt(feedbackResult[0].rating_5) || 0,
+          4: parseInt(feedbackResult[0].rating_4) || 0,
+          3: parseInt(feedbackResult[0].rating_3) || 0,
+          2: parseInt(feedbackResult[0].rating_2) || 0,
+          1: parseInt(feedbackResult[0].rating_1) || 0
+        }
+      };
+
+      // Get stall rankings - count votes per stall from rankings table
+      const rankingsQuery = `
+        SELECT r.stall_id, r.rank,
+               COUNT(*) as vote_count,
+               s.stall_name, s.stall_number, s.image_url,
+               sc.school_name
+        FROM rankings r
+        JOIN stalls s ON r.stall_id = s.id
+        LEFT JOIN schools sc ON s.school_id = sc.id
+        WHERE r.event_id = $1
+        GROUP BY r.stall_id, r.rank, s.stall_name, s.stall_number, s.image_url, sc.school_name
+        ORDER BY vote_count DESC, r.rank ASC
+        LIMIT 10
+      `;
+      const rankingsResult = await query(rankingsQuery, [eventId]);
+      const rankings = rankingsResult.map(r => ({
+        stall_id: r.stall_id,
+        stall_name: r.stall_name,
+        stall_number: r.stall_number,
+        stall_image: r.image_url,
+        school_name: r.school_name,
+        rank: r.rank,
+        total_votes: parseInt(r.vote_count) || 0,
+        percentage: 0
+      }));
+
+      // Get detailed stall statistics
+      const stallsQuery = `
+        SELECT 
+          s.id, s.stall_name, s.stall_number, s.image_url,
+          sc.school_name,
+          COUNT(DISTINCT f.id) as total_feedbacks,
+          ROUND(AVG(f.rating)::numeric, 2) as average_rating,
+          COUNT(CASE WHEN f.rating = 5 THEN 1 END) as rating_5,
+          COUNT(CASE WHEN f.rating = 4 THEN 1 END) as rating_4,
+          COUNT(CASE WHEN f.rating = 3 THEN 1 END) as rating_3,
+          COUNT(CASE WHEN f.rating = 2 THEN 1 END) as rating_2,
+          COUNT(CASE WHEN f.rating = 1 THEN 1 END) as rating_1,
+          (SELECT COUNT(*) FROM rankings rk WHERE rk.stall_id = s.id AND rk.event_id = $1) as ranking_votes
+        FROM stalls s
+        LEFT JOIN schools sc ON s.school_id = sc.id
+        LEFT JOIN feedbacks f ON s.id = f.stall_id
+        WHERE s.event_id = $1 AND s.is_active = true
+        GROUP BY s.id, sc.school_name
+        ORDER BY s.stall_number ASC
+      `;
+      const stallsResult = await query(stallsQuery, [eventId]);
+      const stalls = stallsResult.map(st => ({
+        stall_id: st.id,
+        stall_name: st.stall_name,
+        stall_number: st.stall_number,
+        stall_image: st.image_url,
+        school_name: st.school_name,
+        total_feedbacks: parseInt(st.total_feedbacks) || 0,
+        average_rating: parseFloat(st.average_rating) || 0,
+        rating_distribution: {
+          5: parseInt(st.rating_5) || 0,
+          4: parseInt(st.rating_4) || 0,
+          3: parseInt(st.rating_3) || 0,
+          2: parseInt(st.rating_2) || 0,
+          1: parseInt(st.rating_1) || 0
+        },
+        ranking_votes: parseInt(st.ranking_votes) || 0
+      }));
+
+      // Get volunteer statistics with scan details
+      const volunteersQuery = `
+        SELECT 
+          v.id, v.full_name as volunteer_name, v.email, v.phone,
+          COUNT(DISTINCT cio.id) as total_scans,
+          COUNT(DISTINCT CASE WHEN cio.scan_type = 'CHECK_IN' THEN cio.id END) as total_checkins,
+          COUNT(DISTINCT CASE WHEN cio.scan_type = 'CHECK_OUT' THEN cio.id END) as total_checkouts,
+          MIN(cio.scanned_at) as first_scan_time,
+          MAX(cio.scanned_at) as last_scan_time
+        FROM volunteers v
+        JOIN event_volunteers ev ON v.id = ev.volunteer_id
+        LEFT JOIN check_in_outs cio ON v.id = cio.volunteer_id AND cio.event_id = $1
+        WHERE ev.event_id = $1
+        GROUP BY v.id
+        ORDER BY total_scans DESC
+      `;
+      const volunteersResult = await query(volunteersQuery, [eventId]);
+      const volunteers = volunteersResult.map(vol => {
+        const totalScans = parseInt(vol.total_scans) || 0;
+        const firstScanTime = vol.first_scan_time ? new Date(vol.first_scan_time) : null;
+        const lastScanTime = vol.last_scan_time ? new Date(vol.last_scan_time) : null;
+        
+        let activeHours = 0;
+        let averageScansPerHour = 0;
+        
+        if (firstScanTime && lastScanTime && totalScans > 0) {
+          const diffMs = lastScanTime - firstScanTime;
+          activeHours = parseFloat((diffMs / (1000 * 60 * 60)).toFixed(2));
+          if (activeHours > 0) {
+            averageScansPerHour = parseFloat((totalScans / activeHours).toFixed(2));
+          }
+        }
+
+        return {
+          volunteer_id: vol.id,
+          volunteer_name: vol.volunteer_name,
+          email: vol.email,
+          phone: vol.phone,
+          total_scans: totalScans,
+          total_checkins: parseInt(vol.total_checkins) || 0,
+          total_checkouts: parseInt(vol.total_checkouts) || 0,
+          active_hours: activeHours,
+          average_scans_per_hour: averageScansPerHour,
+          first_scan_time: firstScanTime,
+          last_scan_time: lastScanTime
+        };
+      });
+
+      // Get check-in/out stats
+      const checkInOutQuery = `
+        SELECT 
+          COUNT(*) as total_scans,
+          COUNT(CASE WHEN check_type = 'CHECK_IN' THEN 1 END) as total_checkins,
+          COUNT(CASE WHEN check_type = 'CHECK_OUT' THEN 1 END) as total_checkouts
+        FROM check_in_out
+        WHERE event_id = $1
+      `;
+      const checkInOutResult = await query(checkInOutQuery, [eventId]);
+      const checkInOut = {
+        total_scans: parseInt(checkInOutResult[0].total_scans) || 0,
+        total_checkins: parseInt(checkInOutResult[0].total_checkins) || 0,
+        total_checkouts: parseInt(checkInOutResult[0].total_checkouts) || 0
+      };
+
+      return successResponse(res, {
+        event: {
+          id: event.id,
+          event_name: event.event_name,
+          event_code: event.event_code,
+          event_type: event.event_type,
+          status: event.status,
+          start_date: event.start_date,
+          end_date: event.end_date
+        },
+        registrations,
+        revenue,
+        feedback,
+        top_stalls: rankings,
+        stalls,
+        volunteers,
+        check_in_out: checkInOut
+      });
+    } catch (error) {
+      console.error('Get event analytics error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get all schools
+   * GET /api/event-manager/schools
+   */
+  static async getAllSchools(req, res) {
+    try {
+      const schools = await School.findAll(query);
+
+      return successResponse(res, {
+        schools,
+        total: schools.length
+      }, 'Schools retrieved successfully');
+    } catch (error) {
+      console.error('Get schools error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  // ============================================================
+  // BULK REGISTRATION METHODS
+  // ============================================================
+
+  /**
+   * Check eligibility for bulk registration
+   * GET /api/event-manager/events/:eventId/bulk-register/check-eligibility
+   */
+  static async checkEligibility(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      const eligibility = await getEligibilityStatus(eventId, managerId);
+
+      return successResponse(res, eligibility, 'Eligibility check completed');
+
+    } catch (error) {
+      console.error('Check eligibility error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Validate bulk registration file (pre-upload check)
+   * POST /api/event-manager/events/:eventId/bulk-register/validate
+   */
+  static async validateBulkRegistration(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      if (!req.file) {
+        return errorResponse(res, 'No file uploaded', 400);
+      }
+
+    // Validate event eligibility
+    const { event } = await validateEventEligibility(eventId, managerId, 'EVENT_MANAGER');
+
+    // Parse Excel file
+    const parsed = await parseEventRegistrationFile(req.file.buffer);
+
+    if (parsed.errors.length > 0) {
+      return errorResponse(res, 'Excel file contains formatting errors', 400, {
+        errors: parsed.errors
+      });
+    }
+
+    // Validate registration numbers format
+    const validation = validateEventRegistrationData(parsed.registrationNumbers);
+
+    if (!validation.valid) {
+      return successResponse(res, {
+        valid: false,
+        errors: validation.errors,
+        totalRows: validation.totalRows
+      }, 'Validation completed with errors');
+    }
+
+    // Fetch students from any school (no restriction)
+    const { validStudents, invalidRegistrationNumbers } = 
+      await validateAndFetchStudents(validation.validRegistrationNumbers, null);      // Check existing registrations
+      const studentIds = validStudents.map(s => s.id);
+      const existingStudentIds = await checkExistingRegistrations(eventId, studentIds);
+
+      const duplicateCount = existingStudentIds.length;
+      const newRegistrations = validStudents.length - duplicateCount;
+
+      // Check if requires approval (>200)
+      const requiresApproval = newRegistrations > 200;
+
+      // Check capacity
+      const capacityCheck = checkCapacityLimit(event, newRegistrations, false);
+
+      return successResponse(res, {
+        valid: true,
+        summary: {
+          total_in_file: parsed.totalRows,
+          unique_in_file: parsed.uniqueCount,
+          duplicates_in_file: parsed.duplicateCount,
+          valid_students: validStudents.length,
+          invalid_students: invalidRegistrationNumbers.length,
+          already_registered: duplicateCount,
+          new_registrations: newRegistrations
+        },
+        requires_approval: requiresApproval,
+        capacity: {
+          current: event.current_registrations,
+          max: event.max_capacity,
+          after_upload: event.current_registrations + newRegistrations,
+          exceeds_capacity: !capacityCheck.allowed,
+          available_slots: capacityCheck.available_slots
+        },
+        errors: [
+          ...invalidRegistrationNumbers.map(regNo => ({
+            registration_no: regNo,
+            error: 'STUDENT_NOT_FOUND',
+            message: 'Student not found in system'
+          }))
+        ],
+        warnings: capacityCheck.allowed ? [] : [{
+          type: 'CAPACITY_WARNING',
+          message: capacityCheck.reason
+        }]
+      }, 'Validation completed successfully');
+
+    } catch (error) {
+      console.error('Validate bulk registration error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Bulk register students to event (with restrictions)
+   * POST /api/event-manager/events/:eventId/bulk-register
+   */
+  static async bulkRegisterStudents(req, res) {
+    const startTime = Date.now();
+
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      if (!req.file) {
+        return errorResponse(res, 'No file uploaded', 400);
+      }
+
+      // Check rate limits
+      const rateLimitCheck = await checkRateLimit(managerId, 'EVENT_MANAGER');
       if (!rateLimitCheck.allowed) {
         return errorResponse(res, rateLimitCheck.reason, 429);
       }
 
-    // Validate event eligibility (ownership + status check)
-    const { event } = await validateEventEligibility(eventId, managerId, 'EVENT_MANAGER');
+    // Validate event eligibility (ownership + status check)
+    const { event } = await validateEventEligibility(eventId, managerId, 'EVENT_MANAGER');
+
+    // Parse Excel file
+    const parsed = await parseEventRegistrationFile(req.file.buffer);
+
+    if (parsed.errors.length > 0) {
+      return errorResponse(res, 'Excel file contains errors', 400, {
+        errors: parsed.errors.slice(0, 50)
+      });
+    }
+
+    // Validate data format
+    const validation = validateEventRegistrationData(parsed.registrationNumbers);
+
+    if (!validation.valid) {
+      return errorResponse(res, 'Validation failed', 422, {
+        errors: validation.errors.slice(0, 50)
+      });
+    }
+
+    // Fetch students from any school (no restriction)
+    const { validStudents, invalidRegistrationNumbers } = 
+      await validateAndFetchStudents(validation.validRegistrationNumbers, null);      if (validStudents.length === 0) {
+        return errorResponse(res, 'No valid students found in upload', 400);
+      }
+
+      // Check existing registrations
+      const studentIds = validStudents.map(s => s.id);
+      const existingStudentIds = await checkExistingRegistrations(eventId, studentIds);
+
+      // Filter out already registered students
+      const studentsToRegister = validStudents.filter(s => !existingStudentIds.includes(s.id));
+
+      if (studentsToRegister.length === 0) {
+        return errorResponse(res, 'All students are already registered for this event', 400);
+      }
+
+      // Check if requires approval (>200 students)
+      if (studentsToRegister.length > 200) {
+        // Create approval request
+        const studentData = studentsToRegister.map(s => ({
+          student_id: s.id,
+          registration_no: s.registration_no,
+          full_name: s.full_name
+        }));
+
+        // Create log entry (pending approval)
+        const logEntry = await pool`
+          INSERT INTO bulk_registration_logs (
+            event_id,
+            uploaded_by_user_id,
+            uploaded_by_role,
+            total_students_attempted,
+            file_name,
+            status
+          ) VALUES (
+            ${eventId},
+            ${managerId},
+            'EVENT_MANAGER',
+            ${parsed.totalRows},
+            ${req.file.originalname},
+            'PENDING_APPROVAL'
+          )
+          RETURNING id
+        `;
+
+        // Create approval request
+        const request = await pool`
+          INSERT INTO bulk_registration_requests (
+            event_id,
+            bulk_log_id,
+            requested_by_user_id,
+            requested_by_role,
+            total_count,
+            student_data
+          ) VALUES (
+            ${eventId},
+            ${logEntry[0].id},
+            ${managerId},
+            'EVENT_MANAGER',
+            ${studentsToRegister.length},
+            ${JSON.stringify(studentData)}
+          )
+          RETURNING id, expires_at
+        `;
+
+        await logAuditEvent({
+          event_type: AuditEventType.BULK_REGISTRATION_REQUESTED,
+          user_id: managerId,
+          user_role: 'EVENT_MANAGER',
+          ...getAuditRequestInfo(req),
+          resource_type: 'BULK_REGISTRATION_REQUEST',
+          resource_id: request[0].id,
+          metadata: {
+            event_id: eventId,
+            event_name: event.event_name,
+            file_name: req.file.originalname,
+            total_count: studentsToRegister.length
+          }
+        });
+
+        return successResponse(res, {
+          request_submitted: true,
+          request_id: request[0].id,
+          total_count: studentsToRegister.length,
+          status: 'PENDING',
+          expires_at: request[0].expires_at,
+          message: 'Request submitted for admin approval (exceeds 200 student threshold)'
+        }, 'Request submitted for admin approval');
+      }
+
+      // Check capacity (event managers cannot bypass)
+      const capacityCheck = checkCapacityLimit(event, studentsToRegister.length, false);
+
+      if (!capacityCheck.allowed) {
+        return errorResponse(res, capacityCheck.reason, 400, {
+          capacity: {
+            max: event.max_capacity,
+            current: event.current_registrations,
+            requested: studentsToRegister.length,
+            available: capacityCheck.available_slots
+          }
+        });
+      }
+
+      // Check cumulative limit
+      const cumulativeCheck = await checkCumulativeLimit(eventId, managerId, studentsToRegister.length);
+
+      // Perform bulk registration
+      const bulkResult = await EventRegistration.bulkCreate(
+        studentsToRegister,
+        eventId,
+        event.event_type,
+        { skip_capacity_check: false }
+      );
+
+      // Prepare error details
+      const errorDetails = [];
+
+      invalidRegistrationNumbers.forEach(regNo => {
+        errorDetails.push({
+          registration_no: regNo,
+          error: 'STUDENT_NOT_FOUND',
+          message: 'Student not found in system'
+        });
+      });
+
+      existingStudentIds.forEach(studentId => {
+        const student = validStudents.find(s => s.id === studentId);
+        if (student) {
+          errorDetails.push({
+            registration_no: student.registration_no,
+            error: 'ALREADY_REGISTERED',
+            message: 'Student already registered for this event'
+          });
+        }
+      });
+
+      // Create log entry
+      const logEntry = await pool`
+        INSERT INTO bulk_registration_logs (
+          event_id,
+          uploaded_by_user_id,
+          uploaded_by_role,
+          total_students_attempted,
+          successful_registrations,
+          failed_registrations,
+          duplicate_registrations,
+          file_name,
+          status,
+          attention_required,
+          error_details
+        ) VALUES (
+          ${eventId},
+          ${managerId},
+          'EVENT_MANAGER',
+          ${parsed.totalRows},
+          ${bulkResult.inserted},
+          ${invalidRegistrationNumbers.length},
+          ${existingStudentIds.length},
+          ${req.file.originalname},
+          ${bulkResult.inserted > 0 ? 'COMPLETED' : 'FAILED'},
+          ${cumulativeCheck.attention_required},
+          ${JSON.stringify(errorDetails)}
+        )
+        RETURNING id
+      `;
+
+      await logAuditEvent({
+        event_type: AuditEventType.BULK_REGISTRATION_COMPLETED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'BULK_REGISTRATION',
+        resource_id: logEntry[0].id,
+        metadata: {
+          event_id: eventId,
+          event_name: event.event_name,
+          file_name: req.file.originalname,
+          successful: bulkResult.inserted,
+          failed: invalidRegistrationNumbers.length,
+          duplicates: existingStudentIds.length
+        }
+      });
+
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+      return successResponse(res, {
+        log_id: logEntry[0].id,
+        summary: {
+          total_attempted: parsed.totalRows,
+          successful: bulkResult.inserted,
+          failed: invalidRegistrationNumbers.length,
+          duplicates: existingStudentIds.length,
+          duration: `${duration} seconds`
+        },
+        errors: errorDetails.slice(0, 100)
+      }, 'Bulk registration completed');
+
+    } catch (error) {
+      console.error('Bulk register students error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Download event registration template
+   * GET /api/event-manager/events/:eventId/bulk-register/template
+   */
+  static async downloadEventRegistrationTemplate(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      // Validate event eligibility
+      const { event, school_id } = await validateEventEligibility(eventId, managerId, 'EVENT_MANAGER');
+
+      // Fetch school name
+      const schools = await pool`
+        SELECT school_name FROM schools WHERE id = ${school_id}
+      `;
+
+      // Get rate limit status
+      const rateLimit = await checkRateLimit(managerId, 'EVENT_MANAGER');
+
+      // Get upload stats
+      const stats = await pool`
+        SELECT COUNT(*) as count FROM bulk_registration_logs
+        WHERE uploaded_by_user_id = ${managerId}
+          AND created_at > NOW() - INTERVAL '24 hours'
+      `;
+
+      const buffer = await generateEventRegistrationTemplate({
+        event_name: event.event_name,
+        event_code: event.event_code,
+        max_capacity: event.max_capacity,
+        current_registrations: event.current_registrations,
+        school_name: schools[0]?.school_name || 'Unknown',
+        today_uploads: parseInt(stats[0].count) || 0,
+        cooldown_active: !rateLimit.allowed
+      });
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename=event-registration-template-${event.event_code}.xlsx`);
+      res.send(buffer);
+
+    } catch (error) {
+      console.error('Download template error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Cancel a single event registration (Event Manager)
+   * POST /api/event-manager/events/:eventId/cancel-registration
+   * Access: EVENT_MANAGER (must own the event)
+   * Body: { registration_number: "EN2024001", reason: "Optional reason" }
+   */
+  static async cancelRegistration(req, res) {
+    try {
+      const { eventId } = req.params;
+      const { registration_number, reason } = req.body;
+      const managerId = req.user.id;
+
+      if (!registration_number) {
+        return errorResponse(res, 'Please provide registration_number', 400);
+      }
+
+      // Import pool dynamically
+      const { pool } = await import('../config/db.js');
+
+      await pool('BEGIN');
+
+      // Fetch event and verify ownership
+      const eventResults = await query(
+        'SELECT * FROM events WHERE id = $1',
+        [eventId]
+      );
+
+      if (eventResults.length === 0) {
+        await pool('ROLLBACK');
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      const event = eventResults[0];
+
+      // Verify event manager ownership
+      if (event.created_by_manager_id !== managerId) {
+        await pool('ROLLBACK');
+        return errorResponse(res, 'Access denied. You can only cancel registrations for events you created', 403);
+      }
+
+      // Fetch registration by student registration number using JOIN
+      const regResults = await query(
+        `SELECT er.* FROM event_registrations er
+         INNER JOIN students s ON er.student_id = s.id
+         WHERE s.registration_no = $1 AND er.event_id = $2`,
+        [registration_number, eventId]
+      );
+
+      if (regResults.length === 0) {
+        await pool('ROLLBACK');
+        return errorResponse(res, 'Registration not found', 404);
+      }
+
+      const registration = regResults[0];
+      const registrationId = registration.id;
+
+      // Check if already cancelled
+      if (registration.registration_status === 'CANCELLED') {
+        await pool('ROLLBACK');
+        return errorResponse(res, 'Registration already cancelled', 400);
+      }
+
+      // Calculate refund for paid events
+      let refundDetails = null;
+      let razorpayRefundId = null;
+      if (event.event_type === 'PAID' && registration.payment_status === 'COMPLETED') {
+        const { calculateRefund } = await import('../utils/refundCalculator.js');
+        refundDetails = calculateRefund(event, new Date(), registration.payment_amount);
+
+        if (refundDetails.eligible && refundDetails.amount > 0) {
+          // Process refund via PaymentService
+          const { default: PaymentService } = await import('../services/payment.js');
+          const refundResult = await PaymentService.processRefund({
+            payment_id: registration.razorpay_payment_id,
+            amount: refundDetails.amount,
+            notes: {
+              reason: `Event Manager Cancellation: ${reason || 'No reason provided'}`,
+              registration_id: registrationId
+            }
+          });
+
+          razorpayRefundId = refundResult.id;
+
+          // Update registration using model method (sets all refund fields)
+          await EventRegistrationModel.processRefund(
+            registrationId,
+            refundDetails.amount,
+            `Event Manager Cancellation: ${reason || 'No reason provided'}`
+          );
+        } else {
+          // No refund eligible - just cancel
+          await EventRegistrationModel.cancel(registrationId);
+        }
+      } else {
+        // Free event - just cancel
+        await EventRegistrationModel.cancel(registrationId);
+      }
+
+      // Decrement event capacity (team members share their captain's slot)
+      if (registration.team_role !== 'MEMBER') {
+        await query(
+          'UPDATE events SET current_registrations = current_registrations - 1 WHERE id = $1',
+          [eventId]
+        );
+
+        // Promote from waitlist if applicable
+        const { promoteFromWaitlist } = await import('../services/waitlist.service.js');
+        await promoteFromWaitlist(eventId, 1);
+      }
+
+      await pool('COMMIT');
+
+      // Cancelling a captain cancels the whole team
+      await cancelTeamRegistration(registration, {
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        reason: reason || 'Team registration cancelled by event organizer'
+      });
+
+      await logAuditEvent({
+        event_type: AuditEventType.REGISTRATION_CANCELLED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'REGISTRATION',
+        resource_id: registrationId,
+        metadata: {
+          student_id: registration.student_id,
+          registration_number,
+          event_id: eventId,
+          event_name: event.event_name,
+          reason: reason || null,
+          refund_amount: razorpayRefundId ? refundDetails.amount : 0
+        }
+      });
+
+      if (razorpayRefundId) {
+        await logAuditEvent({
+          event_type: AuditEventType.REFUND_INITIATED,
+          user_id: managerId,
+          user_role: 'EVENT_MANAGER',
+          ...getAuditRequestInfo(req),
+          resource_type: 'REGISTRATION',
+          resource_id: registrationId,
+          metadata: {
+            event_id: eventId,
+            payment_id: registration.razorpay_payment_id,
+            refund_id: razorpayRefundId,
+            refund_amount: refundDetails.amount,
+            refund_percent: refundDetails.percent
+          }
+        });
+      }
+
+      NotificationService.notifyStudent(
+        razorpayRefundId ? NotificationTrigger.REFUND_PROCESSED : NotificationTrigger.REGISTRATION_CANCELLED,
+        registration.student_id,
+        {
+          reason: reason || 'Cancelled by event organizer',
+          refund_amount: refundDetails?.amount,
+          refund_id: razorpayRefundId
+        },
+        { event_id: eventId, registration_id: registrationId }
+      );
+
+      publishRegistrationCount(eventId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Registration cancelled successfully',
+        data: {
+          registration_id: registrationId,
+          refund: refundDetails ? {
+            eligible: refundDetails.eligible,
+            amount: refundDetails.amount,
+            percent: refundDetails.percent,
+            razorpay_refund_id: razorpayRefundId
+          } : { eligible: false, amount: 0, percent: 0 }
+        }
+      });
+
+    } catch (error) {
+      await pool('ROLLBACK');
+      console.error('Cancel registration error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Bulk cancel event registrations (Event Manager)
+   * POST /api/event-manager/events/:eventId/bulk-cancel
+   * Access: EVENT_MANAGER (must own the event)
+   * Body: { registration_numbers: ["EN2024001", "EN2024002"] } - Array of student registration numbers
+   */
+  static async bulkCancelRegistrations(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+      const { reason } = req.body;
+
+      // Import pool dynamically
+      const { pool } = await import('../config/db.js');
+
+      // Verify event ownership
+      const eventResults = await query(
+        'SELECT * FROM events WHERE id = $1',
+        [eventId]
+      );
+
+      if (eventResults.length === 0) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      const event = eventResults[0];
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Access denied. You can only cancel registrations for events you created', 403);
+      }
+
+      // Get registration numbers from request body
+      let registrationNumbers = [];
+
+      if (req.body.registration_numbers && Array.isArray(req.body.registration_numbers)) {
+        registrationNumbers = req.body.registration_numbers.filter(regNo => regNo && regNo.trim());
+      } else {
+        return errorResponse(res, 'Please provide registration_numbers array', 400);
+      }
+
+      if (registrationNumbers.length === 0) {
+        return errorResponse(res, 'No valid registration numbers provided', 400);
+      }
+
+      // Process cancellations
+      const results = {
+        total: registrationNumbers.length,
+        successful: 0,
+        failed: 0,
+        errors: []
+      };
+
+      for (const registrationNumber of registrationNumbers) {
+        try {
+          await pool('BEGIN');
+
+          // Find registration by student registration number using JOIN
+          const regResults = await query(
+            `SELECT er.* FROM event_registrations er
+             INNER JOIN students s ON er.student_id = s.id
+             WHERE s.registration_no = $1 AND er.event_id = $2`,
+            [registrationNumber, eventId]
+          );
+
+          if (regResults.length === 0) {
+            results.failed++;
+            results.errors.push({
+              registration_number: registrationNumber,
+              error: 'Registration not found'
+            });
+            await pool('ROLLBACK');
+            continue;
+          }
+
+          const registration = regResults[0];
+
+          if (registration.registration_status === 'CANCELLED') {
+            results.failed++;
+            results.errors.push({
+              registration_number: registrationNumber,
+              error: 'Already cancelled'
+            });
+            await pool('ROLLBACK');
+            continue;
+          }
+
+          // Calculate refund for paid events
+          let refundedAmount = 0;
+          if (event.event_type === 'PAID' && registration.payment_status === 'COMPLETED') {
+            const { calculateRefund } = await import('../utils/refundCalculator.js');
+            const refundDetails = calculateRefund(event, new Date(), registration.payment_amount);
+
+            if (refundDetails.eligible && refundDetails.amount > 0) {
+              const { default: PaymentService } = await import('../services/payment.js');
+              await PaymentService.processRefund({
+                payment_id: registration.razorpay_payment_id,
+                amount: refundDetails.amount,
+                notes: {
+                  reason: `Bulk Cancellation: ${reason || 'No reason provided'}`,
+                  registration_id: registration.id
+                }
+              });
+
+              // Update using model method
+              await EventRegistrationModel.processRefund(
+                registration.id,
+                refundDetails.amount,
+                `Bulk Cancellation: ${reason || 'No reason provided'}`
+              );
+              refundedAmount = refundDetails.amount;
+            } else {
+              // No refund eligible
+              await EventRegistrationModel.cancel(registration.id);
+            }
+          } else {
+            // Free event
+            await EventRegistrationModel.cancel(registration.id);
+          }
+
+          // Decrement capacity (team members share their captain's slot)
+          if (registration.team_role !== 'MEMBER') {
+            await query(
+              'UPDATE events SET current_registrations = current_registrations - 1 WHERE id = $1',
+              [eventId]
+            );
+          }
+
+          await pool('COMMIT');
+          results.successful++;
+
+          await cancelTeamRegistration(registration, {
+            user_id: managerId,
+            user_role: 'EVENT_MANAGER',
+            reason: reason || 'Team registration cancelled by event organizer'
+          });
+
+          await logAuditEvent({
+            event_type: AuditEventType.REGISTRATION_CANCELLED,
+            user_id: managerId,
+            user_role: 'EVENT_MANAGER',
+            ...getAuditRequestInfo(req),
+            resource_type: 'REGISTRATION',
+            resource_id: registration.id,
+            metadata: {
+              student_id: registration.student_id,
+              registration_number: registrationNumber,
+              event_id: eventId,
+              reason: reason || null,
+              bulk: true,
+              refund_amount: refundedAmount
+            }
+          });
+
+          NotificationService.notifyStudent(
+            refundedAmount > 0 ? NotificationTrigger.REFUND_PROCESSED : NotificationTrigger.REGISTRATION_CANCELLED,
+            registration.student_id,
+            { reason: reason || 'Cancelled by event organizer', refund_amount: refundedAmount },
+            { event_id: eventId, registration_id: registration.id }
+          );
+
+        } catch (error) {
+          await pool('ROLLBACK');
+          results.failed++;
+          results.errors.push({
+            registration_number: registrationNumber,
+            error: error.message
+          });
+        }
+      }
+
+      // Promote from waitlist for all cancelled spots
+      if (results.successful > 0) {
+        const { promoteFromWaitlist } = await import('../services/waitlist.service.js');
+        await promoteFromWaitlist(eventId, results.successful);
+      }
+
+      publishRegistrationCount(eventId);
+
+      await logAuditEvent({
+        event_type: AuditEventType.BULK_CANCELLATION_COMPLETED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        metadata: {
+          event_name: event.event_name,
+          reason: reason || null,
+          total: results.total,
+          successful: results.successful,
+          failed: results.failed
+        }
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Bulk cancellation completed: ${results.successful} successful, ${results.failed} failed`,
+        data: results
+      });
+
+    } catch (error) {
+      console.error('Bulk cancel error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get registration details by registration number
+   * GET /api/event-manager/events/:eventId/registrations/by-number/:registrationNumber
+   * Access: EVENT_MANAGER (must own the event)
+   * Returns: Full registration details with student info for cancellation operations
+   */
+  static async getRegistrationByNumber(req, res) {
+    try {
+      const { eventId, registrationNumber } = req.params;
+      const managerId = req.user.id;
+
+      // Verify event ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Access denied. You can only view registrations for events you created', 403);
+      }
+
+      // Find registration using JOIN with students table
+      const registrations = await query(
+        `SELECT 
+           er.*,
+           s.full_name as student_name,
+           s.registration_no as student_registration_no,
+           s.email as student_email,
+           s.phone as student_phone,
+           s.school_id,
+           sc.school_name
+         FROM event_registrations er
+         INNER JOIN students s ON er.student_id = s.id
+         LEFT JOIN schools sc ON s.school_id = sc.id
+         WHERE s.registration_no = $1 AND er.event_id = $2`,
+        [registrationNumber, eventId]
+      );
+
+      if (registrations.length === 0) {
+        return errorResponse(res, 'Registration not found', 404);
+      }
+
+      return successResponse(res, registrations[0]);
+    } catch (error) {
+      console.error('Get registration by number error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Check if registration is cancellable and get refund details
+   * GET /api/event-manager/events/:eventId/registrations/check-cancellable/:registrationNumber
+   * Access: EVENT_MANAGER (must own the event)
+   * Returns: { cancellable: boolean, reason: string, refund: { eligible, amount, percent } }
+   */
+  static async checkCancellable(req, res) {
+    try {
+      const { eventId, registrationNumber } = req.params;
+      const managerId = req.user.id;
+
+      // Verify event ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Access denied', 403);
+      }
+
+      // Find registration
+      const registrations = await query(
+        `SELECT 
+           er.*,
+           s.full_name as student_name,
+           s.registration_no as student_registration_no
+         FROM event_registrations er
+         INNER JOIN students s ON er.student_id = s.id
+         WHERE s.registration_no = $1 AND er.event_id = $2`,
+        [registrationNumber, eventId]
+      );
+
+      if (registrations.length === 0) {
+        return errorResponse(res, 'Registration not found', 404);
+      }
+
+      const registration = registrations[0];
+
+      // Check if already cancelled
+      if (registration.registration_status === 'CANCELLED') {
+        return successResponse(res, {
+          cancellable: false,
+          reason: 'Registration is already cancelled',
+          refund: null,
+          registration: {
+            student_name: registration.student_name,
+            student_registration_no: registration.student_registration_no,
+            registration_status: registration.registration_status
+          }
+        });
+      }
+
+      // Calculate refund for paid events
+      let refundDetails = null;
+      if (event.event_type === 'PAID' && registration.payment_status === 'COMPLETED') {
+        const { calculateRefund } = await import('../utils/refundCalculator.js');
+        refundDetails = calculateRefund(event, new Date(), registration.payment_amount);
+      }
+
+      return successResponse(res, {
+        cancellable: true,
+        reason: 'Registration can be cancelled',
+        refund: refundDetails || { eligible: false, amount: 0, percent: 0 },
+        registration: {
+          student_name: registration.student_name,
+          student_registration_no: registration.student_registration_no,
+          registration_status: registration.registration_status,
+          payment_status: registration.payment_status,
+          payment_amount: registration.payment_amount
+        }
+      });
+    } catch (error) {
+      console.error('Check cancellable error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Search registrations by name, email, phone, or registration number
+   * GET /api/event-manager/events/:eventId/registrations/search?q=<query>
+   * Access: EVENT_MANAGER (must own the event)
+   * Returns: Filtered registrations matching search query
+   */
+  static async searchRegistrations(req, res) {
+    try {
+      const { eventId } = req.params;
+      const { q, page = 1, limit = 50 } = req.query;
+      const managerId = req.user.id;
+
+      if (!q || q.trim().length === 0) {
+        return errorResponse(res, 'Search query is required', 400);
+      }
+
+      const searchTerm = q.trim();
 
-    // Parse Excel file
-    const parsed = await parseEventRegistrationFile(req.file.buffer);
+      // Verify event ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
 
-    if (parsed.errors.length > 0) {
-      return errorResponse(res, 'Excel file contains errors', 400, {
-        errors: parsed.errors.slice(0, 50)
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Access denied', 403);
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      // Search across name, email, phone, registration_no and registration form answers
+      const results = await query(
+        `SELECT 
+           er.*,
+           s.full_name as student_name,
+           s.registration_no as student_registration_no,
+           s.email as student_email,
+           s.phone as student_phone,
+           COUNT(*) OVER() as total_count
+         FROM event_registrations er
+         INNER JOIN students s ON er.student_id = s.id
+         WHERE er.event_id = $1
+           AND (
+             LOWER(s.full_name) LIKE LOWER($2)
+             OR LOWER(s.email) LIKE LOWER($2)
+             OR s.phone LIKE $2
+             OR LOWER(s.registration_no) LIKE LOWER($2)
+             OR EXISTS (
+               SELECT 1 FROM jsonb_each_text(er.form_responses) answer
+               WHERE LOWER(answer.value) LIKE LOWER($2)
+             )
+           )
+         ORDER BY er.registered_at DESC
+         LIMIT $3 OFFSET $4`,
+        [eventId, `%${searchTerm}%`, parseInt(limit), offset]
+      );
+
+      return successResponse(res, {
+        data: results,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: results[0]?.total_count || 0,
+          totalPages: Math.ceil((results[0]?.total_count || 0) / parseInt(limit))
+        },
+        form_fields: event.registration_form || [],
+        search_query: searchTerm
       });
+    } catch (error) {
+      console.error('Search registrations error:', error);
+      return errorResponse(res, error.message, 500);
     }
+  }
 
-    // Validate data format
-    const validation = validateEventRegistrationData(parsed.registrationNumbers);
+  /**
+   * Get refund history for event
+   * GET /api/event-manager/events/:eventId/refunds
+   * Access: EVENT_MANAGER (must own the event)
+   * Returns: List of all refunds issued for the event
+   */
+  static async getRefundHistory(req, res) {
+    try {
+      const { eventId } = req.params;
+      const { page = 1, limit = 50 } = req.query;
+      const managerId = req.user.id;
 
-    if (!validation.valid) {
-      return errorResponse(res, 'Validation failed', 422, {
-        errors: validation.errors.slice(0, 50)
+      // Verify event ownership
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Access denied', 403);
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      // Get all refunded registrations
+      const refunds = await query(
+        `SELECT 
+           er.id as registration_id,
+           er.refund_amount,
+           er.refund_reason,
+           er.refunded_at,
+           er.payment_amount as original_amount,
+           er.razorpay_payment_id,
+           s.full_name as student_name,
+           s.registration_no as student_registration_no,
+           s.email as student_email,
+           s.phone as student_phone,
+           COUNT(*) OVER() as total_count
+         FROM event_registrations er
+         INNER JOIN students s ON er.student_id = s.id
+         WHERE er.event_id = $1
+           AND er.refund_initiated = TRUE
+           AND er.refund_amount IS NOT NULL
+         ORDER BY er.refunded_at DESC
+         LIMIT $2 OFFSET $3`,
+        [eventId, parseInt(limit), offset]
+      );
+
+      // Calculate summary stats
+      const summary = await query(
+        `SELECT 
+           COUNT(*) as total_refunds,
+           COALESCE(SUM(refund_amount), 0) as total_refunded,
+           COALESCE(AVG(refund_amount), 0) as average_refund
+         FROM event_registrations
+         WHERE event_id = $1
+           AND refund_initiated = TRUE
+           AND refund_amount IS NOT NULL`,
+        [eventId]
+      );
+
+      return successResponse(res, {
+        data: refunds,
+        summary: {
+          total_refunds: parseInt(summary[0]?.total_refunds || 0),
+          total_refunded: parseFloat(summary[0]?.total_refunded || 0),
+          average_refund: parseFloat(summary[0]?.average_refund || 0)
+        },
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: refunds[0]?.total_count || 0,
+          totalPages: Math.ceil((refunds[0]?.total_count || 0) / parseInt(limit))
+        }
       });
+    } catch (error) {
+      console.error('Get refund history error:', error);
+      return errorResponse(res, error.message, 500);
     }
+  }
 
-    // Fetch students from any school (no restriction)
-    const { validStudents, invalidRegistrationNumbers } = 
-      await validateAndFetchStudents(validation.validRegistrationNumbers, null);      if (validStudents.length === 0) {
-        return errorResponse(res, 'No valid students found in upload', 400);
+  /**
+   * Create session for an event (multi-session events)
+   * POST /api/event-manager/events/:eventId/sessions
+   * Body: { session_name, session_type, description, venue, start_time, end_time, capacity }
+   */
+  static async createSession(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
       }
 
-      // Check existing registrations
-      const studentIds = validStudents.map(s => s.id);
-      const existingStudentIds = await checkExistingRegistrations(eventId, studentIds);
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
 
-      // Filter out already registered students
-      const studentsToRegister = validStudents.filter(s => !existingStudentIds.includes(s.id));
+      if (!EDITABLE_EVENT_STATUSES.includes(event.status)) {
+        return errorResponse(res, `Cannot add sessions to a ${event.status} event`, 400);
+      }
 
-      if (studentsToRegister.length === 0) {
-        return errorResponse(res, 'All students are already registered for this event', 400);
+      const { data, error } = validateSessionInput(req.body, event);
+      if (error) {
+        return errorResponse(res, error, 400);
       }
 
-      // Check if requires approval (>200 students)
-      if (studentsToRegister.length > 200) {
-        // Create approval request
-        const studentData = studentsToRegister.map(s => ({
-          student_id: s.id,
-          registration_no: s.registration_no,
-          full_name: s.full_name
-        }));
+      if (data.venue) {
+        const overlap = await EventSessionModel.findVenueOverlap(eventId, data.venue, data.start_time, data.end_time);
+        if (overlap) {
+          return errorResponse(res, `Venue is already booked for "${overlap.session_name}" at that time`, 409);
+        }
+      }
 
-        // Create log entry (pending approval)
-        const logEntry = await pool`
-          INSERT INTO bulk_registration_logs (
-            event_id,
-            uploaded_by_user_id,
-            uploaded_by_role,
-            total_students_attempted,
-            file_name,
-            status
-          ) VALUES (
-            ${eventId},
-            ${managerId},
-            'EVENT_MANAGER',
-            ${parsed.totalRows},
-            ${req.file.originalname},
-            'PENDING_APPROVAL'
-          )
-          RETURNING id
-        `;
+      const session = await EventSessionModel.create(eventId, data);
 
-        // Create approval request
-        const request = await pool`
-          INSERT INTO bulk_registration_requests (
-            event_id,
-            bulk_log_id,
-            requested_by_user_id,
-            requested_by_role,
-            total_count,
-            student_data
-          ) VALUES (
-            ${eventId},
-            ${logEntry[0].id},
-            ${managerId},
-            'EVENT_MANAGER',
-            ${studentsToRegister.length},
-            ${JSON.stringify(studentData)}
-          )
-          RETURNING id, expires_at
-        `;
+      await logAuditEvent({
+        event_type: AuditEventType.SESSION_CREATED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        metadata: {
+          session_id: session.id,
+          session_name: session.session_name,
+          start_time: session.start_time,
+          end_time: session.end_time
+        }
+      });
 
-        return successResponse(res, {
-          request_submitted: true,
-          request_id: request[0].id,
-          total_count: studentsToRegister.length,
-          status: 'PENDING',
-          expires_at: request[0].expires_at,
-          message: 'Request submitted for admin approval (exceeds 200 student threshold)'
-        }, 'Request submitted for admin approval');
+      return successResponse(res, { session }, 'Session created successfully', 201);
+    } catch (error) {
+      console.error('Create session error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get sessions of an event with occupancy and attendance totals
+   * GET /api/event-manager/events/:eventId/sessions
+   */
+  static async getSessions(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
       }
 
-      // Check capacity (event managers cannot bypass)
-      const capacityCheck = checkCapacityLimit(event, studentsToRegister.length, false);
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const sessions = await EventSessionModel.findByEvent(eventId);
+
+      return successResponse(res, { sessions, total: sessions.length });
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Update session
+   * PUT /api/event-manager/events/:eventId/sessions/:sessionId
+   */
+  static async updateSession(req, res) {
+    try {
+      const { eventId, sessionId } = req.params;
+      const managerId = req.user.id;
 
-      if (!capacityCheck.allowed) {
-        return errorResponse(res, capacityCheck.reason, 400, {
-          capacity: {
-            max: event.max_capacity,
-            current: event.current_registrations,
-            requested: studentsToRegister.length,
-            available: capacityCheck.available_slots
-          }
-        });
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
       }
 
-      // Check cumulative limit
-      const cumulativeCheck = await checkCumulativeLimit(eventId, managerId, studentsToRegister.length);
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
 
-      // Perform bulk registration
-      const bulkResult = await EventRegistration.bulkCreate(
-        studentsToRegister,
-        eventId,
-        event.event_type,
-        { skip_capacity_check: false }
-      );
+      if (!EDITABLE_EVENT_STATUSES.includes(event.status)) {
+        return errorResponse(res, `Cannot change sessions of a ${event.status} event`, 400);
+      }
 
-      // Prepare error details
-      const errorDetails = [];
+      const session = await EventSessionModel.findById(sessionId);
+      if (!session || session.event_id !== eventId) {
+        return errorResponse(res, 'Session not found', 404);
+      }
 
-      invalidRegistrationNumbers.forEach(regNo => {
-        errorDetails.push({
-          registration_no: regNo,
-          error: 'STUDENT_NOT_FOUND',
-          message: 'Student not found in system'
-        });
-      });
+      const { data, error } = validateSessionInput(req.body, event, session);
+      if (error) {
+        return errorResponse(res, error, 400);
+      }
 
-      existingStudentIds.forEach(studentId => {
-        const student = validStudents.find(s => s.id === studentId);
-        if (student) {
-          errorDetails.push({
-            registration_no: student.registration_no,
-            error: 'ALREADY_REGISTERED',
-            message: 'Student already registered for this event'
-          });
+      const venue = data.venue !== undefined ? data.venue : session.venue;
+      if (venue && (data.venue !== undefined || data.start_time)) {
+        const overlap = await EventSessionModel.findVenueOverlap(
+          eventId,
+          venue,
+          data.start_time || session.start_time,
+          data.end_time || session.end_time,
+          sessionId
+        );
+        if (overlap) {
+          return errorResponse(res, `Venue is already booked for "${overlap.session_name}" at that time`, 409);
         }
-      });
-
-      // Create log entry
-      const logEntry = await pool`
-        INSERT INTO bulk_registration_logs (
-          event_id,
-          uploaded_by_user_id,
-          uploaded_by_role,
-          total_students_attempted,
-          successful_registrations,
-          failed_registrations,
-          duplicate_registrations,
-          file_name,
-          status,
-          attention_required,
-          error_details
-        ) VALUES (
-          ${eventId},
-          ${managerId},
-          'EVENT_MANAGER',
-          ${parsed.totalRows},
-          ${bulkResult.inserted},
-          ${invalidRegistrationNumbers.length},
-          ${existingStudentIds.length},
-          ${req.file.originalname},
-          ${bulkResult.inserted > 0 ? 'COMPLETED' : 'FAILED'},
-          ${cumulativeCheck.attention_required},
-          ${JSON.stringify(errorDetails)}
-        )
-        RETURNING id
-      `;
+      }
 
-      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      const updated = await EventSessionModel.update(sessionId, data);
 
-      return successResponse(res, {
-        log_id: logEntry[0].id,
-        summary: {
-          total_attempted: parsed.totalRows,
-          successful: bulkResult.inserted,
-          failed: invalidRegistrationNumbers.length,
-          duplicates: existingStudentIds.length,
-          duration: `${duration} seconds`
-        },
-        errors: errorDetails.slice(0, 100)
-      }, 'Bulk registration completed');
+      await logAuditEvent({
+        event_type: AuditEventType.SESSION_UPDATED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        metadata: {
+          session_id: sessionId,
+          session_name: updated.session_name,
+          updated_fields: Object.keys(data)
+        }
+      });
 
+      return successResponse(res, { session: updated }, 'Session updated successfully');
     } catch (error) {
-      console.error('Bulk register students error:', error);
+      console.error('Update session error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Download event registration template
-   * GET /api/event-manager/events/:eventId/bulk-register/template
+   * Delete session (only before anyone has attended it; deactivate it otherwise)
+   * DELETE /api/event-manager/events/:eventId/sessions/:sessionId
    */
-  static async downloadEventRegistrationTemplate(req, res) {
+  static async deleteSession(req, res) {
     try {
-      const { eventId } = req.params;
+      const { eventId, sessionId } = req.params;
       const managerId = req.user.id;
 
-      // Validate event eligibility
-      const { event, school_id } = await validateEventEligibility(eventId, managerId, 'EVENT_MANAGER');
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
 
-      // Fetch school name
-      const schools = await pool`
-        SELECT school_name FROM schools WHERE id = ${school_id}
-      `;
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
 
-      // Get rate limit status
-      const rateLimit = await checkRateLimit(managerId, 'EVENT_MANAGER');
+      const session = await EventSessionModel.findById(sessionId);
+      if (!session || session.event_id !== eventId) {
+        return errorResponse(res, 'Session not found', 404);
+      }
 
-      // Get upload stats
-      const stats = await pool`
-        SELECT COUNT(*) as count FROM bulk_registration_logs
-        WHERE uploaded_by_user_id = ${managerId}
-          AND created_at > NOW() - INTERVAL '24 hours'
-      `;
+      const attended = await EventSessionModel.countAttendance(sessionId);
+      if (attended > 0) {
+        return errorResponse(
+          res,
+          `Session has attendance for ${attended} student(s). Set is_active to false instead of deleting it.`,
+          409
+        );
+      }
 
-      const buffer = await generateEventRegistrationTemplate({
-        event_name: event.event_name,
-        event_code: event.event_code,
-        max_capacity: event.max_capacity,
-        current_registrations: event.current_registrations,
-        school_name: schools[0]?.school_name || 'Unknown',
-        today_uploads: parseInt(stats[0].count) || 0,
-        cooldown_active: !rateLimit.allowed
-      });
+      await EventSessionModel.delete(sessionId);
 
-      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-      res.setHeader('Content-Disposition', `attachment; filename=event-registration-template-${event.event_code}.xlsx`);
-      res.send(buffer);
+      await logAuditEvent({
+        event_type: AuditEventType.SESSION_DELETED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        metadata: {
+          session_id: sessionId,
+          session_name: session.session_name
+        }
+      });
 
+      return successResponse(res, null, 'Session deleted successfully');
     } catch (error) {
-      console.error('Download template error:', error);
+      console.error('Delete session error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Cancel a single event registration (Event Manager)
-   * POST /api/event-manager/events/:eventId/cancel-registration
-   * Access: EVENT_MANAGER (must own the event)
-   * Body: { registration_number: "EN2024001", reason: "Optional reason" }
+   * Get attendance of one session
+   * GET /api/event-manager/events/:eventId/sessions/:sessionId/attendance
    */
-  static async cancelRegistration(req, res) {
+  static async getSessionAttendance(req, res) {
     try {
-      const { eventId } = req.params;
-      const { registration_number, reason } = req.body;
+      const { eventId, sessionId } = req.params;
       const managerId = req.user.id;
 
-      if (!registration_number) {
-        return errorResponse(res, 'Please provide registration_number', 400);
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
       }
 
-      // Import pool dynamically
-      const { pool } = await import('../config/db.js');
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
 
-      await pool('BEGIN');
+      const session = await EventSessionModel.findById(sessionId);
+      if (!session || session.event_id !== eventId) {
+        return errorResponse(res, 'Session not found', 404);
+      }
 
-      // Fetch event and verify ownership
-      const eventResults = await query(
-        'SELECT * FROM events WHERE id = $1',
-        [eventId]
-      );
+      const attendance = await EventSessionModel.getAttendance(sessionId);
+      const totalMinutes = attendance.reduce((sum, row) => sum + row.total_time_spent_minutes, 0);
 
-      if (eventResults.length === 0) {
-        await pool('ROLLBACK');
+      return successResponse(res, {
+        session,
+        summary: {
+          attended: attendance.length,
+          currently_inside: attendance.filter(row => row.is_inside).length,
+          capacity: session.capacity,
+          total_time_spent_minutes: totalMinutes,
+          avg_time_spent_minutes: attendance.length > 0 ? Math.round(totalMinutes / attendance.length) : 0
+        },
+        attendance
+      });
+    } catch (error) {
+      console.error('Get session attendance error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Assign a volunteer to scan for a session (session_id: null moves them back to the event gate)
+   * PUT /api/event-manager/events/:eventId/volunteers/:volunteerId/session
+   * Body: { session_id }
+   */
+  static async assignVolunteerSession(req, res) {
+    try {
+      const { eventId, volunteerId } = req.params;
+      const { session_id = null } = req.body;
+      const managerId = req.user.id;
+
+      const event = await EventModel.findById(eventId);
+      if (!event) {
         return errorResponse(res, 'Event not found', 404);
       }
 
-      const event = eventResults[0];
-
-      // Verify event manager ownership
       if (event.created_by_manager_id !== managerId) {
-        await pool('ROLLBACK');
-        return errorResponse(res, 'Access denied. You can only cancel registrations for events you created', 403);
+        return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      // Fetch registration by student registration number using JOIN
-      const regResults = await query(
-        `SELECT er.* FROM event_registrations er
-         INNER JOIN students s ON er.student_id = s.id
-         WHERE s.registration_no = $1 AND er.event_id = $2`,
-        [registration_number, eventId]
-      );
+      if (session_id) {
+        const session = await EventSessionModel.findById(session_id);
+        if (!session || session.event_id !== eventId) {
+          return errorResponse(res, 'Session not found', 404);
+        }
+        if (!session.is_active) {
+          return errorResponse(res, 'Cannot assign volunteers to an inactive session', 400);
+        }
+      }
 
-      if (regResults.length === 0) {
-        await pool('ROLLBACK');
-        return errorResponse(res, 'Registration not found', 404);
+      const assignment = await EventVolunteerModel.updateSession(eventId, volunteerId, session_id);
+      if (!assignment) {
+        return errorResponse(res, 'Volunteer is not assigned to this event', 404);
       }
 
-      const registration = regResults[0];
-      const registrationId = registration.id;
+      await logAuditEvent({
+        event_type: AuditEventType.VOLUNTEER_ASSIGNED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        metadata: {
+          volunteer_id: volunteerId,
+          session_id
+        }
+      });
 
-      // Check if already cancelled
-      if (registration.registration_status === 'CANCELLED') {
-        await pool('ROLLBACK');
-        return errorResponse(res, 'Registration already cancelled', 400);
+      return successResponse(
+        res,
+        { assignment },
+        session_id ? 'Volunteer assigned to session' : 'Volunteer moved back to event gate scanning'
+      );
+    } catch (error) {
+      console.error('Assign volunteer session error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Assign an existing volunteer account (e.g. from another event) to this event
+   * Volunteers can work several events; when more than one is running they pick the event on the scanner
+   * POST /api/event-manager/events/:eventId/volunteers/assign
+   * Body: { email, assigned_location, permissions }
+   */
+  static async assignExistingVolunteer(req, res) {
+    try {
+      const { eventId } = req.params;
+      const { email, assigned_location = null } = req.body;
+      const managerId = req.user.id;
+
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
       }
 
-      // Calculate refund for paid events
-      let refundDetails = null;
-      let razorpayRefundId = null;
-      if (event.event_type === 'PAID' && registration.payment_status === 'COMPLETED') {
-        const { calculateRefund } = await import('../utils/refundCalculator.js');
-        refundDetails = calculateRefund(event);
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
 
-        if (refundDetails.eligible && refundDetails.amount > 0) {
-          // Process refund via PaymentService
-          const { default: PaymentService } = await import('../services/payment.service.js');
-          const refundResult = await PaymentService.processRefund(
-            registration.razorpay_payment_id,
-            refundDetails.amount,
-            `Event Manager Cancellation: ${reason || 'No reason provided'}`
-          );
+      if (['COMPLETED', 'CANCELLED', 'ARCHIVED'].includes(event.status)) {
+        return errorResponse(res, `Cannot assign volunteers to a ${event.status} event`, 400);
+      }
 
-          razorpayRefundId = refundResult.id;
+      if (!email) {
+        return errorResponse(res, 'Volunteer email is required', 400);
+      }
 
-          // Update registration using model method (sets all refund fields)
-          await EventRegistrationModel.processRefund(
-            registrationId,
-            refundDetails.amount,
-            `Event Manager Cancellation: ${reason || 'No reason provided'}`
-          );
-        } else {
-          // No refund eligible - just cancel
-          await EventRegistrationModel.cancel(registrationId);
-        }
-      } else {
-        // Free event - just cancel
-        await EventRegistrationModel.cancel(registrationId);
+      const { permissions, error } = req.body.permissions === undefined
+        ? { permissions: DEFAULT_PERMISSIONS }
+        : validatePermissions(req.body.permissions);
+      if (error) {
+        return errorResponse(res, error, 400);
       }
 
-      // Decrement event capacity
-      await query(
-        'UPDATE events SET current_registrations = current_registrations - 1 WHERE id = $1',
-        [eventId]
-      );
+      const volunteer = await VolunteerModel.findByEmail(email, query);
+      if (!volunteer) {
+        return errorResponse(res, 'Volunteer not found', 404);
+      }
+      if (!volunteer.is_active) {
+        return errorResponse(res, 'Volunteer account is inactive', 400);
+      }
 
-      // Promote from waitlist if applicable
-      const { promoteFromWaitlist } = await import('../services/waitlist.service.js');
-      await promoteFromWaitlist(eventId, 1);
+      const assignment = await EventVolunteerModel.assignVolunteer(eventId, volunteer.id, managerId, {
+        assigned_location,
+        permissions
+      });
 
-      await pool('COMMIT');
+      // Other events this volunteer works at the same time
+      const otherAssignments = await EventVolunteerModel.getVolunteerEvents(volunteer.id, { is_active: true });
+      const concurrentAssignments = otherAssignments
+        .filter(other => other.event_id !== eventId &&
+          !['COMPLETED', 'CANCELLED', 'ARCHIVED'].includes(other.event_status) &&
+          new Date(other.start_date) < new Date(event.end_date) &&
+          new Date(other.end_date) > new Date(event.start_date))
+        .map(other => ({
+          event_id: other.event_id,
+          event_name: other.event_name,
+          start_date: other.start_date,
+          end_date: other.end_date,
+          assigned_location: other.assigned_location
+        }));
 
-      return res.status(200).json({
-        success: true,
-        message: 'Registration cancelled successfully',
-        data: {
-          registration_id: registrationId,
-          refund: refundDetails ? {
-            eligible: refundDetails.eligible,
-            amount: refundDetails.amount,
-            percent: refundDetails.percent,
-            razorpay_refund_id: razorpayRefundId
-          } : { eligible: false, amount: 0, percent: 0 }
+      await logAuditEvent({
+        event_type: AuditEventType.VOLUNTEER_ASSIGNED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        metadata: {
+          volunteer_id: volunteer.id,
+          assigned_location,
+          permissions,
+          concurrent_event_ids: concurrentAssignments.map(other => other.event_id)
         }
       });
 
+      return successResponse(res, {
+        assignment,
+        volunteer: { id: volunteer.id, full_name: volunteer.full_name, email: volunteer.email },
+        concurrent_assignments: concurrentAssignments
+      }, 'Volunteer assigned to event', 201);
     } catch (error) {
-      await pool('ROLLBACK');
-      console.error('Cancel registration error:', error);
+      console.error('Assign existing volunteer error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Bulk cancel event registrations (Event Manager)
-   * POST /api/event-manager/events/:eventId/bulk-cancel
-   * Access: EVENT_MANAGER (must own the event)
-   * Body: { registration_numbers: ["EN2024001", "EN2024002"] } - Array of student registration numbers
+   * Remove a volunteer from this event (the volunteer account stays active)
+   * DELETE /api/event-manager/events/:eventId/volunteers/:volunteerId/assignment
    */
-  static async bulkCancelRegistrations(req, res) {
+  static async unassignVolunteer(req, res) {
     try {
-      const { eventId } = req.params;
+      const { eventId, volunteerId } = req.params;
       const managerId = req.user.id;
-      const { reason } = req.body;
-
-      // Import pool dynamically
-      const { pool } = await import('../config/db.js');
-
-      // Verify event ownership
-      const eventResults = await query(
-        'SELECT * FROM events WHERE id = $1',
-        [eventId]
-      );
 
-      if (eventResults.length === 0) {
+      const event = await EventModel.findById(eventId);
+      if (!event) {
         return errorResponse(res, 'Event not found', 404);
       }
 
-      const event = eventResults[0];
-
       if (event.created_by_manager_id !== managerId) {
-        return errorResponse(res, 'Access denied. You can only cancel registrations for events you created', 403);
-      }
-
-      // Get registration numbers from request body
-      let registrationNumbers = [];
-
-      if (req.body.registration_numbers && Array.isArray(req.body.registration_numbers)) {
-        registrationNumbers = req.body.registration_numbers.filter(regNo => regNo && regNo.trim());
-      } else {
-        return errorResponse(res, 'Please provide registration_numbers array', 400);
+        return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      if (registrationNumbers.length === 0) {
-        return errorResponse(res, 'No valid registration numbers provided', 400);
+      const assignment = await EventVolunteerModel.findAssignment(eventId, volunteerId);
+      if (!assignment) {
+        return errorResponse(res, 'Volunteer is not assigned to this event', 404);
       }
 
-      // Process cancellations
-      const results = {
-        total: registrationNumbers.length,
-        successful: 0,
-        failed: 0,
-        errors: []
-      };
+      await EventVolunteerModel.removeVolunteer(eventId, volunteerId);
+      await VolunteerScannerLockModel.deleteForAssignment(eventId, volunteerId);
 
-      for (const registrationNumber of registrationNumbers) {
-        try {
-          await pool('BEGIN');
+      await logAuditEvent({
+        event_type: AuditEventType.VOLUNTEER_REMOVED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        metadata: { volunteer_id: volunteerId }
+      });
 
-          // Find registration by student registration number using JOIN
-          const regResults = await query(
-            `SELECT er.* FROM event_registrations er
-             INNER JOIN students s ON er.student_id = s.id
-             WHERE s.registration_no = $1 AND er.event_id = $2`,
-            [registrationNumber, eventId]
-          );
+      return successResponse(res, null, 'Volunteer removed from event');
+    } catch (error) {
+      console.error('Unassign volunteer error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
 
-          if (regResults.length === 0) {
-            results.failed++;
-            results.errors.push({
-              registration_number: registrationNumber,
-              error: 'Registration not found'
-            });
-            await pool('ROLLBACK');
-            continue;
-          }
+  /**
+   * List volunteer permissions for the permission editor
+   * GET /api/event-manager/volunteer-permissions
+   */
+  static async getVolunteerPermissionOptions(req, res) {
+    try {
+      const permissions = Object.keys(VolunteerPermission).map(permission => ({
+        permission,
+        description: PERMISSION_DESCRIPTIONS[permission],
+        is_default: DEFAULT_PERMISSIONS.includes(permission)
+      }));
 
-          const registration = regResults[0];
+      return successResponse(res, { permissions, defaults: DEFAULT_PERMISSIONS });
+    } catch (error) {
+      console.error('Get volunteer permission options error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
 
-          if (registration.registration_status === 'CANCELLED') {
-            results.failed++;
-            results.errors.push({
-              registration_number: registrationNumber,
-              error: 'Already cancelled'
-            });
-            await pool('ROLLBACK');
-            continue;
-          }
+  /**
+   * Set what a volunteer may do at an event
+   * PUT /api/event-manager/events/:eventId/volunteers/:volunteerId/permissions
+   * Body: { permissions: ['SCAN', 'ENTRY_ONLY', ...] }
+   */
+  static async updateVolunteerPermissions(req, res) {
+    try {
+      const { eventId, volunteerId } = req.params;
+      const managerId = req.user.id;
 
-          // Calculate refund for paid events
-          if (event.event_type === 'PAID' && registration.payment_status === 'COMPLETED') {
-            const { calculateRefund } = await import('../utils/refundCalculator.js');
-            const refundDetails = calculateRefund(event);
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
 
-            if (refundDetails.eligible && refundDetails.amount > 0) {
-              const { default: PaymentService } = await import('../services/payment.service.js');
-              await PaymentService.processRefund(
-                registration.razorpay_payment_id,
-                refundDetails.amount,
-                `Bulk Cancellation: ${reason || 'No reason provided'}`
-              );
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
 
-              // Update using model method
-              await EventRegistrationModel.processRefund(
-                registration.id,
-                refundDetails.amount,
-                `Bulk Cancellation: ${reason || 'No reason provided'}`
-              );
-            } else {
-              // No refund eligible
-              await EventRegistrationModel.cancel(registration.id);
-            }
-          } else {
-            // Free event
-            await EventRegistrationModel.cancel(registration.id);
-          }
+      const { permissions, error } = validatePermissions(req.body.permissions);
+      if (error) {
+        return errorResponse(res, error, 400);
+      }
 
-          // Decrement capacity
-          await query(
-            'UPDATE events SET current_registrations = current_registrations - 1 WHERE id = $1',
-            [eventId]
-          );
+      const existing = await EventVolunteerModel.findAssignment(eventId, volunteerId);
+      if (!existing) {
+        return errorResponse(res, 'Volunteer is not assigned to this event', 404);
+      }
 
-          await pool('COMMIT');
-          results.successful++;
+      const assignment = await EventVolunteerModel.updatePermissions(eventId, volunteerId, permissions);
 
-        } catch (error) {
-          await pool('ROLLBACK');
-          results.failed++;
-          results.errors.push({
-            registration_number: registrationNumber,
-            error: error.message
-          });
+      await logAuditEvent({
+        event_type: AuditEventType.VOLUNTEER_PERMISSIONS_UPDATED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        metadata: {
+          volunteer_id: volunteerId,
+          previous_permissions: existing.permissions || DEFAULT_PERMISSIONS,
+          permissions
         }
+      });
+
+      return successResponse(res, { assignment }, 'Volunteer permissions updated');
+    } catch (error) {
+      console.error('Update volunteer permissions error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Volunteer actions refused for missing permissions (newest first)
+   * GET /api/event-manager/events/:eventId/volunteers/permission-denials?page=1&limit=50
+   */
+  static async getVolunteerPermissionDenials(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
       }
 
-      // Promote from waitlist for all cancelled spots
-      if (results.successful > 0) {
-        const { promoteFromWaitlist } = await import('../services/waitlist.service.js');
-        await promoteFromWaitlist(eventId, results.successful);
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      return res.status(200).json({
-        success: true,
-        message: `Bulk cancellation completed: ${results.successful} successful, ${results.failed} failed`,
-        data: results
+      const result = await AuditLogModel.getAll({
+        event_type: AuditEventType.VOLUNTEER_PERMISSION_DENIED,
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        page: parseInt(req.query.page) || 1,
+        limit: Math.min(parseInt(req.query.limit) || 50, 200)
       });
 
+      return successResponse(res, result);
     } catch (error) {
-      console.error('Bulk cancel error:', error);
+      console.error('Get volunteer permission denials error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Get registration details by registration number
-   * GET /api/event-manager/events/:eventId/registrations/by-number/:registrationNumber
-   * Access: EVENT_MANAGER (must own the event)
-   * Returns: Full registration details with student info for cancellation operations
+   * Turn walk-in registration at the gate on or off
+   * Allowed after approval too (unlike updateEvent) so it can be switched on the event day
+   * PUT /api/event-manager/events/:eventId/walk-ins
+   * Body: { allow_walk_ins }
    */
-  static async getRegistrationByNumber(req, res) {
+  static async updateWalkInSetting(req, res) {
     try {
-      const { eventId, registrationNumber } = req.params;
+      const { eventId } = req.params;
       const managerId = req.user.id;
+      const { allow_walk_ins } = req.body;
+
+      if (typeof allow_walk_ins !== 'boolean') {
+        return errorResponse(res, 'allow_walk_ins must be true or false', 400);
+      }
 
-      // Verify event ownership
       const event = await EventModel.findById(eventId);
       if (!event) {
         return errorResponse(res, 'Event not found', 404);
       }
 
       if (event.created_by_manager_id !== managerId) {
-        return errorResponse(res, 'Access denied. You can only view registrations for events you created', 403);
+        return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      // Find registration using JOIN with students table
-      const registrations = await query(
-        `SELECT 
-           er.*,
-           s.full_name as student_name,
-           s.registration_no as student_registration_no,
-           s.email as student_email,
-           s.phone as student_phone,
-           s.school_id,
-           sc.school_name
-         FROM event_registrations er
-         INNER JOIN students s ON er.student_id = s.id
-         LEFT JOIN schools sc ON s.school_id = sc.id
-         WHERE s.registration_no = $1 AND er.event_id = $2`,
-        [registrationNumber, eventId]
-      );
+      if (['COMPLETED', 'ARCHIVED', 'CANCELLED'].includes(event.status)) {
+        return errorResponse(res, `Cannot change walk-ins for a ${event.status.toLowerCase()} event`, 400);
+      }
 
-      if (registrations.length === 0) {
-        return errorResponse(res, 'Registration not found', 404);
+      if (allow_walk_ins && event.is_team_event) {
+        return errorResponse(res, 'Team events cannot take walk-ins', 400);
       }
 
-      return successResponse(res, registrations[0]);
+      const updated = await EventModel.update(eventId, { allow_walk_ins });
+
+      await logAuditEvent({
+        event_type: AuditEventType.EVENT_UPDATED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        metadata: {
+          updated_fields: ['allow_walk_ins'],
+          allow_walk_ins,
+          event_name: updated.event_name
+        }
+      });
+
+      return successResponse(
+        res,
+        { event: updated },
+        allow_walk_ins ? 'Walk-in registration enabled' : 'Walk-in registration disabled'
+      );
     } catch (error) {
-      console.error('Get registration by number error:', error);
+      console.error('Update walk-in setting error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Check if registration is cancellable and get refund details
-   * GET /api/event-manager/events/:eventId/registrations/check-cancellable/:registrationNumber
-   * Access: EVENT_MANAGER (must own the event)
-   * Returns: { cancellable: boolean, reason: string, refund: { eligible, amount, percent } }
+   * Create pricing rule for a PAID event
+   * POST /api/event-manager/events/:eventId/pricing-rules
+   * Body: { rule_name, rule_type, discount_type, discount_value, coupon_code, school_id,
+   *         min_group_size, valid_from, valid_until, max_uses, is_active }
    */
-  static async checkCancellable(req, res) {
+  static async createPricingRule(req, res) {
     try {
-      const { eventId, registrationNumber } = req.params;
+      const { eventId } = req.params;
       const managerId = req.user.id;
 
-      // Verify event ownership
       const event = await EventModel.findById(eventId);
       if (!event) {
         return errorResponse(res, 'Event not found', 404);
       }
 
       if (event.created_by_manager_id !== managerId) {
-        return errorResponse(res, 'Access denied', 403);
+        return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      // Find registration
-      const registrations = await query(
-        `SELECT 
-           er.*,
-           s.full_name as student_name,
-           s.registration_no as student_registration_no
-         FROM event_registrations er
-         INNER JOIN students s ON er.student_id = s.id
-         WHERE s.registration_no = $1 AND er.event_id = $2`,
-        [registrationNumber, eventId]
-      );
+      if (event.event_type !== 'PAID') {
+        return errorResponse(res, 'Pricing rules can only be added to PAID events', 400);
+      }
 
-      if (registrations.length === 0) {
-        return errorResponse(res, 'Registration not found', 404);
+      if (!EDITABLE_EVENT_STATUSES.includes(event.status)) {
+        return errorResponse(res, `Cannot add pricing rules to a ${event.status} event`, 400);
       }
 
-      const registration = registrations[0];
+      const { data, error } = validatePricingRule(req.body, event);
+      if (error) {
+        return errorResponse(res, error, 400);
+      }
 
-      // Check if already cancelled
-      if (registration.registration_status === 'CANCELLED') {
-        return successResponse(res, {
-          cancellable: false,
-          reason: 'Registration is already cancelled',
-          refund: null,
-          registration: {
-            student_name: registration.student_name,
-            student_registration_no: registration.student_registration_no,
-            registration_status: registration.registration_status
-          }
-        });
+      if (data.school_id && !(await School.findById(data.school_id, query))) {
+        return errorResponse(res, 'School not found', 404);
       }
 
-      // Calculate refund for paid events
-      let refundDetails = null;
-      if (event.event_type === 'PAID' && registration.payment_status === 'COMPLETED') {
-        const { calculateRefund } = await import('../utils/refundCalculator.js');
-        refundDetails = calculateRefund(event);
+      if (data.coupon_code && await PricingRuleModel.findByCouponCode(eventId, data.coupon_code)) {
+        return errorResponse(res, `Coupon code ${data.coupon_code} already exists for this event`, 409);
       }
 
-      return successResponse(res, {
-        cancellable: true,
-        reason: 'Registration can be cancelled',
-        refund: refundDetails || { eligible: false, amount: 0, percent: 0 },
-        registration: {
-          student_name: registration.student_name,
-          student_registration_no: registration.student_registration_no,
-          registration_status: registration.registration_status,
-          payment_status: registration.payment_status,
-          payment_amount: registration.payment_amount
+      const rule = await PricingRuleModel.create(eventId, data, managerId);
+
+      await logAuditEvent({
+        event_type: AuditEventType.PRICING_RULE_CREATED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        metadata: {
+          pricing_rule_id: rule.id,
+          rule_type: rule.rule_type,
+          discount_type: rule.discount_type,
+          discount_value: rule.discount_value,
+          coupon_code: rule.coupon_code
         }
       });
+
+      return successResponse(res, { pricing_rule: rule }, 'Pricing rule created successfully', 201);
     } catch (error) {
-      console.error('Check cancellable error:', error);
+      console.error('Create pricing rule error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Search registrations by name, email, phone, or registration number
-   * GET /api/event-manager/events/:eventId/registrations/search?q=<query>
-   * Access: EVENT_MANAGER (must own the event)
-   * Returns: Filtered registrations matching search query
+   * Get pricing rules of an event with usage and discount totals
+   * GET /api/event-manager/events/:eventId/pricing-rules
    */
-  static async searchRegistrations(req, res) {
+  static async getPricingRules(req, res) {
     try {
       const { eventId } = req.params;
-      const { q, page = 1, limit = 50 } = req.query;
       const managerId = req.user.id;
 
-      if (!q || q.trim().length === 0) {
-        return errorResponse(res, 'Search query is required', 400);
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
       }
 
-      const searchTerm = q.trim();
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const rules = await PricingRuleModel.findByEvent(eventId);
+
+      return successResponse(res, {
+        base_price: event.price,
+        currency: event.currency,
+        pricing_rules: rules,
+        total: rules.length
+      });
+    } catch (error) {
+      console.error('Get pricing rules error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Update pricing rule (rule_type cannot change)
+   * PUT /api/event-manager/events/:eventId/pricing-rules/:ruleId
+   */
+  static async updatePricingRule(req, res) {
+    try {
+      const { eventId, ruleId } = req.params;
+      const managerId = req.user.id;
 
-      // Verify event ownership
       const event = await EventModel.findById(eventId);
       if (!event) {
         return errorResponse(res, 'Event not found', 404);
       }
 
       if (event.created_by_manager_id !== managerId) {
-        return errorResponse(res, 'Access denied', 403);
+        return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      const offset = (parseInt(page) - 1) * parseInt(limit);
+      if (!EDITABLE_EVENT_STATUSES.includes(event.status)) {
+        return errorResponse(res, `Cannot change pricing rules of a ${event.status} event`, 400);
+      }
 
-      // Search across name, email, phone, and registration_no
-      const results = await query(
-        `SELECT 
-           er.*,
-           s.full_name as student_name,
-           s.registration_no as student_registration_no,
-           s.email as student_email,
-           s.phone as student_phone,
-           COUNT(*) OVER() as total_count
-         FROM event_registrations er
-         INNER JOIN students s ON er.student_id = s.id
-         WHERE er.event_id = $1
-           AND (
-             LOWER(s.full_name) LIKE LOWER($2)
-             OR LOWER(s.email) LIKE LOWER($2)
-             OR s.phone LIKE $2
-             OR LOWER(s.registration_no) LIKE LOWER($2)
-           )
-         ORDER BY er.registered_at DESC
-         LIMIT $3 OFFSET $4`,
-        [eventId, `%${searchTerm}%`, parseInt(limit), offset]
-      );
+      const rule = await PricingRuleModel.findById(ruleId);
+      if (!rule || rule.event_id !== eventId) {
+        return errorResponse(res, 'Pricing rule not found', 404);
+      }
 
-      return successResponse(res, {
-        data: results,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: results[0]?.total_count || 0,
-          totalPages: Math.ceil((results[0]?.total_count || 0) / parseInt(limit))
-        },
-        search_query: searchTerm
+      const { data, error } = validatePricingRule(req.body, event, rule);
+      if (error) {
+        return errorResponse(res, error, 400);
+      }
+
+      if (data.school_id && !(await School.findById(data.school_id, query))) {
+        return errorResponse(res, 'School not found', 404);
+      }
+
+      if (data.coupon_code && data.coupon_code !== rule.coupon_code &&
+          await PricingRuleModel.findByCouponCode(eventId, data.coupon_code)) {
+        return errorResponse(res, `Coupon code ${data.coupon_code} already exists for this event`, 409);
+      }
+
+      const updated = await PricingRuleModel.update(ruleId, data);
+
+      await logAuditEvent({
+        event_type: AuditEventType.PRICING_RULE_UPDATED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        metadata: {
+          pricing_rule_id: ruleId,
+          updated_fields: Object.keys(data)
+        }
       });
+
+      return successResponse(res, { pricing_rule: updated }, 'Pricing rule updated successfully');
     } catch (error) {
-      console.error('Search registrations error:', error);
+      console.error('Update pricing rule error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
 
   /**
-   * Get refund history for event
-   * GET /api/event-manager/events/:eventId/refunds
-   * Access: EVENT_MANAGER (must own the event)
-   * Returns: List of all refunds issued for the event
+   * Delete pricing rule (existing registrations keep the price they were charged)
+   * DELETE /api/event-manager/events/:eventId/pricing-rules/:ruleId
    */
-  static async getRefundHistory(req, res) {
+  static async deletePricingRule(req, res) {
     try {
-      const { eventId } = req.params;
-      const { page = 1, limit = 50 } = req.query;
+      const { eventId, ruleId } = req.params;
       const managerId = req.user.id;
 
-      // Verify event ownership
       const event = await EventModel.findById(eventId);
       if (!event) {
         return errorResponse(res, 'Event not found', 404);
       }
 
       if (event.created_by_manager_id !== managerId) {
-        return errorResponse(res, 'Access denied', 403);
+        return errorResponse(res, 'Unauthorized access to this event', 403);
       }
 
-      const offset = (parseInt(page) - 1) * parseInt(limit);
-
-      // Get all refunded registrations
-      const refunds = await query(
-        `SELECT 
-           er.id as registration_id,
-           er.refund_amount,
-           er.refund_reason,
-           er.refunded_at,
-           er.payment_amount as original_amount,
-           er.razorpay_payment_id,
-           s.full_name as student_name,
-           s.registration_no as student_registration_no,
-           s.email as student_email,
-           s.phone as student_phone,
-           COUNT(*) OVER() as total_count
-         FROM event_registrations er
-         INNER JOIN students s ON er.student_id = s.id
-         WHERE er.event_id = $1
-           AND er.refund_initiated = TRUE
-           AND er.refund_amount IS NOT NULL
-         ORDER BY er.refunded_at DESC
-         LIMIT $2 OFFSET $3`,
-        [eventId, parseInt(limit), offset]
-      );
+      const rule = await PricingRuleModel.findById(ruleId);
+      if (!rule || rule.event_id !== eventId) {
+        return errorResponse(res, 'Pricing rule not found', 404);
+      }
 
-      // Calculate summary stats
-      const summary = await query(
-        `SELECT 
-           COUNT(*) as total_refunds,
-           COALESCE(SUM(refund_amount), 0) as total_refunded,
-           COALESCE(AVG(refund_amount), 0) as average_refund
-         FROM event_registrations
-         WHERE event_id = $1
-           AND refund_initiated = TRUE
-           AND refund_amount IS NOT NULL`,
-        [eventId]
-      );
+      await PricingRuleModel.delete(ruleId);
 
-      return successResponse(res, {
-        data: refunds,
-        summary: {
-          total_refunds: parseInt(summary[0]?.total_refunds || 0),
-          total_refunded: parseFloat(summary[0]?.total_refunded || 0),
-          average_refund: parseFloat(summary[0]?.average_refund || 0)
-        },
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: refunds[0]?.total_count || 0,
-          totalPages: Math.ceil((refunds[0]?.total_count || 0) / parseInt(limit))
+      await logAuditEvent({
+        event_type: AuditEventType.PRICING_RULE_DELETED,
+        user_id: managerId,
+        user_role: 'EVENT_MANAGER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT',
+        resource_id: eventId,
+        metadata: {
+          pricing_rule_id: ruleId,
+          rule_name: rule.rule_name,
+          rule_type: rule.rule_type,
+          used_count: rule.used_count
         }
       });
+
+      return successResponse(res, null, 'Pricing rule deleted successfully');
     } catch (error) {
-      console.error('Get refund history error:', error);
+      console.error('Delete pricing rule error:', error);
       return errorResponse(res, error.message, 500);
     }
   }
@@ -2089,8 +3590,10 @@ class EventManagerController {
   /**
    * Get event attendance data with comprehensive filters
    * GET /api/event-manager/events/:eventId/attendance
-   * Query params: ?status=checked_in|checked_out|not_attended&search=&page=1&limit=50
-   * Returns: Detailed attendance records with check-in/check-out times, feedback stats
+   * Query params: ?status=checked_in|checked_out|not_attended&search=&session_id=&page=1&limit=50
+   * Returns: Detailed attendance records with check-in/check-out times, feedback stats,
+   *          per-student session totals and a per-session breakdown
+   * Check-in status and times refer to the event gate; session scans are counted per session
    */
   static async getEventAttendance(req, res) {
     try {
@@ -2100,7 +3603,8 @@ class EventManagerController {
         search,           // search by name, reg no, email
         school_id,        // filter by school
         has_feedback,     // filter by feedback given (true/false)
-        sort_by = 'check_in_time', // check_in_time, feedback_count, name
+        session_id,       // filter by session attended
+        sort_by = 'check_in_time', // check_in_time, feedback_count, name, session_time
         sort_order = 'DESC',
         page = 1, 
         limit = 50 
@@ -2131,12 +3635,12 @@ class EventManagerController {
         whereConditions.push(`EXISTS (
           SELECT 1 FROM check_in_outs cio_in 
           WHERE cio_in.student_id = s.id 
-            AND cio_in.event_id = er.event_id 
+            AND cio_in.event_id = er.event_id AND cio_in.session_id IS NULL 
             AND cio_in.scan_type = 'CHECKIN'
             AND NOT EXISTS (
               SELECT 1 FROM check_in_outs cio_out
               WHERE cio_out.student_id = s.id
-                AND cio_out.event_id = er.event_id
+                AND cio_out.event_id = er.event_id AND cio_out.session_id IS NULL
                 AND cio_out.scan_type = 'CHECKOUT'
                 AND cio_out.scanned_at > cio_in.scanned_at
             )
@@ -2146,7 +3650,7 @@ class EventManagerController {
         whereConditions.push(`EXISTS (
           SELECT 1 FROM check_in_outs cio 
           WHERE cio.student_id = s.id 
-            AND cio.event_id = er.event_id 
+            AND cio.event_id = er.event_id AND cio.session_id IS NULL 
             AND cio.scan_type = 'CHECKOUT'
         )`);
       } else if (status === 'not_attended') {
@@ -2154,7 +3658,7 @@ class EventManagerController {
         whereConditions.push(`NOT EXISTS (
           SELECT 1 FROM check_in_outs cio 
           WHERE cio.student_id = s.id 
-            AND cio.event_id = er.event_id 
+            AND cio.event_id = er.event_id AND cio.session_id IS NULL 
             AND cio.scan_type = 'CHECKIN'
         )`);
       }
@@ -2193,6 +3697,16 @@ class EventManagerController {
         )`);
       }
 
+      // Session filter (students who attended the session)
+      if (session_id) {
+        whereConditions.push(`EXISTS (
+          SELECT 1 FROM session_attendances sa
+          WHERE sa.student_id = s.id AND sa.event_id = er.event_id AND sa.session_id = $${paramIndex}
+        )`);
+        queryParams.push(session_id);
+        paramIndex++;
+      }
+
       // Build sort clause
       let sortClause = 'er.registered_at DESC';
       if (sort_by === 'check_in_time') {
@@ -2201,6 +3715,8 @@ class EventManagerController {
         sortClause = `feedback_count ${sort_order}, s.full_name ASC`;
       } else if (sort_by === 'name') {
         sortClause = `s.full_name ${sort_order}`;
+      } else if (sort_by === 'session_time') {
+        sortClause = `session_time_spent_minutes ${sort_order}, s.full_name ASC`;
       }
 
       // Main query with attendance details
@@ -2220,7 +3736,7 @@ class EventManagerController {
           (SELECT MIN(cio.scanned_at) 
            FROM check_in_outs cio 
            WHERE cio.student_id = s.id 
-             AND cio.event_id = er.event_id 
+             AND cio.event_id = er.event_id AND cio.session_id IS NULL 
              AND cio.scan_type = 'CHECKIN'
           ) as first_check_in,
           
@@ -2228,7 +3744,7 @@ class EventManagerController {
           (SELECT MAX(cio.scanned_at) 
            FROM check_in_outs cio 
            WHERE cio.student_id = s.id 
-             AND cio.event_id = er.event_id 
+             AND cio.event_id = er.event_id AND cio.session_id IS NULL 
              AND cio.scan_type = 'CHECKIN'
           ) as last_check_in,
           
@@ -2236,7 +3752,7 @@ class EventManagerController {
           (SELECT MAX(cio.scanned_at) 
            FROM check_in_outs cio 
            WHERE cio.student_id = s.id 
-             AND cio.event_id = er.event_id 
+             AND cio.event_id = er.event_id AND cio.session_id IS NULL 
              AND cio.scan_type = 'CHECKOUT'
           ) as last_check_out,
           
@@ -2244,7 +3760,7 @@ class EventManagerController {
           (SELECT COUNT(*) 
            FROM check_in_outs cio 
            WHERE cio.student_id = s.id 
-             AND cio.event_id = er.event_id 
+             AND cio.event_id = er.event_id AND cio.session_id IS NULL 
              AND cio.scan_type = 'CHECKIN'
           ) as total_check_ins,
           
@@ -2252,7 +3768,7 @@ class EventManagerController {
           (SELECT COUNT(*) 
            FROM check_in_outs cio 
            WHERE cio.student_id = s.id 
-             AND cio.event_id = er.event_id 
+             AND cio.event_id = er.event_id AND cio.session_id IS NULL 
              AND cio.scan_type = 'CHECKOUT'
           ) as total_check_outs,
           
@@ -2262,18 +3778,32 @@ class EventManagerController {
            JOIN stalls st ON f.stall_id = st.id
            WHERE f.student_id = s.id AND st.event_id = er.event_id
           ) as feedback_count,
-          
+
+          -- Time inside the event (gate entry to exit)
+          COALESCE(er.total_time_spent_minutes, 0) as total_time_spent_minutes,
+
+          -- Session attendance (time counted inside each session's schedule)
+          (SELECT COUNT(*)
+           FROM session_attendances sa
+           WHERE sa.student_id = s.id AND sa.event_id = er.event_id
+          ) as sessions_attended,
+
+          (SELECT COALESCE(SUM(sa.total_time_spent_minutes), 0)
+           FROM session_attendances sa
+           WHERE sa.student_id = s.id AND sa.event_id = er.event_id
+          ) as session_time_spent_minutes,
+
           -- Currently checked in status
           (
             SELECT COUNT(*) > 0
             FROM check_in_outs cio_in
             WHERE cio_in.student_id = s.id 
-              AND cio_in.event_id = er.event_id 
+              AND cio_in.event_id = er.event_id AND cio_in.session_id IS NULL 
               AND cio_in.scan_type = 'CHECKIN'
               AND NOT EXISTS (
                 SELECT 1 FROM check_in_outs cio_out
                 WHERE cio_out.student_id = s.id
-                  AND cio_out.event_id = er.event_id
+                  AND cio_out.event_id = er.event_id AND cio_out.session_id IS NULL
                   AND cio_out.scan_type = 'CHECKOUT'
                   AND cio_out.scanned_at > cio_in.scanned_at
               )
@@ -2302,7 +3832,7 @@ class EventManagerController {
             WHEN EXISTS (
               SELECT 1 FROM check_in_outs cio 
               WHERE cio.student_id = s.id 
-                AND cio.event_id = er.event_id 
+                AND cio.event_id = er.event_id AND cio.session_id IS NULL 
                 AND cio.scan_type = 'CHECKIN'
             ) THEN er.student_id 
           END) as total_attended,
@@ -2311,12 +3841,12 @@ class EventManagerController {
             WHEN EXISTS (
               SELECT 1 FROM check_in_outs cio_in 
               WHERE cio_in.student_id = s.id 
-                AND cio_in.event_id = er.event_id 
+                AND cio_in.event_id = er.event_id AND cio_in.session_id IS NULL 
                 AND cio_in.scan_type = 'CHECKIN'
                 AND NOT EXISTS (
                   SELECT 1 FROM check_in_outs cio_out
                   WHERE cio_out.student_id = s.id
-                    AND cio_out.event_id = er.event_id
+                    AND cio_out.event_id = er.event_id AND cio_out.session_id IS NULL
                     AND cio_out.scan_type = 'CHECKOUT'
                     AND cio_out.scanned_at > cio_in.scanned_at
                 )
@@ -2327,7 +3857,7 @@ class EventManagerController {
             WHEN EXISTS (
               SELECT 1 FROM check_in_outs cio 
               WHERE cio.student_id = s.id 
-                AND cio.event_id = er.event_id 
+                AND cio.event_id = er.event_id AND cio.session_id IS NULL 
                 AND cio.scan_type = 'CHECKOUT'
             ) THEN er.student_id 
           END) as total_checked_out,
@@ -2336,7 +3866,7 @@ class EventManagerController {
             WHEN NOT EXISTS (
               SELECT 1 FROM check_in_outs cio 
               WHERE cio.student_id = s.id 
-                AND cio.event_id = er.event_id 
+                AND cio.event_id = er.event_id AND cio.session_id IS NULL 
                 AND cio.scan_type = 'CHECKIN'
             ) THEN er.student_id 
           END) as not_attended
@@ -2372,7 +3902,7 @@ class EventManagerController {
             WHEN EXISTS (
               SELECT 1 FROM check_in_outs cio 
               WHERE cio.student_id = s.id 
-                AND cio.event_id = er.event_id 
+                AND cio.event_id = er.event_id AND cio.session_id IS NULL 
                 AND cio.scan_type = 'CHECKIN'
             ) THEN er.student_id 
           END) as attended
@@ -2386,6 +3916,9 @@ class EventManagerController {
 
       const schoolStats = await query(schoolStatsQuery, [eventId]);
 
+      // Per-session attendance (multi-session events)
+      const sessions = await EventSessionModel.findByEvent(eventId);
+
       return successResponse(res, {
         attendance_data: attendanceData,
         summary: stats,
@@ -2398,6 +3931,23 @@ class EventManagerController {
             ? parseFloat(((school.attended / school.registered) * 100).toFixed(2))
             : 0
         })),
+        session_breakdown: sessions.map(session => ({
+          session_id: session.id,
+          session_name: session.session_name,
+          session_type: session.session_type,
+          venue: session.venue,
+          start_time: session.start_time,
+          end_time: session.end_time,
+          capacity: session.capacity,
+          is_active: session.is_active,
+          attended: session.total_attended,
+          currently_inside: session.currently_inside,
+          total_time_spent_minutes: session.total_time_spent_minutes,
+          avg_time_spent_minutes: session.avg_time_spent_minutes,
+          attendance_rate: stats.total_registered > 0
+            ? parseFloat(((session.total_attended / stats.total_registered) * 100).toFixed(2))
+            : 0
+        })),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -2408,7 +3958,8 @@ class EventManagerController {
           status: status || 'all',
           search: search || null,
           school_id: school_id || null,
-          has_feedback: has_feedback || null
+          has_feedback: has_feedback || null,
+          session_id: session_id || null
         }
       });
     } catch (error) {
@@ -2469,7 +4020,7 @@ class EventManagerController {
           v.email as volunteer_email
         FROM check_in_outs cio
         LEFT JOIN volunteers v ON cio.volunteer_id = v.id
-        WHERE cio.student_id = $1 AND cio.event_id = $2
+        WHERE cio.student_id = $1 AND cio.event_id = $2 AND cio.session_id IS NULL
         ORDER BY cio.scanned_at ASC
       `;
       const checkInOutRecords = await query(checkInOutQuery, [studentId, eventId]);
@@ -2480,6 +4031,7 @@ class EventManagerController {
           f.id,
           f.rating,
           f.comment,
+          f.moderation_status,
           f.submitted_at,
           st.stall_name,
           st.stall_number,
@@ -2492,6 +4044,9 @@ class EventManagerController {
       `;
       const feedbackRecords = await query(feedbackQuery, [studentId, eventId]);
 
+      // Session attendance (multi-session events)
+      const sessionAttendance = await EventSessionModel.getStudentAttendance(eventId, studentId);
+
       // Calculate duration statistics and format check-in/out history
       const durations = [];
       const formattedHistory = [];
@@ -2570,9 +4125,13 @@ class EventManagerController {
           total_duration_minutes: totalDuration,
           average_duration_minutes: avgDuration, // Changed from average_visit_duration_minutes
           currently_checked_in: checkInOutRecords.length > 0 && 
-            checkInOutRecords[checkInOutRecords.length - 1].scan_type === 'CHECKIN'
+            checkInOutRecords[checkInOutRecords.length - 1].scan_type === 'CHECKIN',
+          sessions_attended: sessionAttendance.length,
+          session_time_spent_minutes: sessionAttendance
+            .reduce((sum, session) => sum + session.total_time_spent_minutes, 0)
         },
         check_in_out_history: formattedHistory, // Use formatted history
+        session_attendance: sessionAttendance,
         feedback_history: feedbackRecords
       });
     } catch (error) {
@@ -2611,16 +4170,22 @@ class EventManagerController {
           sc.school_name,
           er.registered_at,
           er.payment_status,
+          er.form_responses,
           (SELECT MIN(cio.scanned_at) FROM check_in_outs cio 
-           WHERE cio.student_id = s.id AND cio.event_id = $1 AND cio.scan_type = 'CHECKIN') as first_check_in,
+           WHERE cio.student_id = s.id AND cio.event_id = $1 AND cio.session_id IS NULL AND cio.scan_type = 'CHECKIN') as first_check_in,
           (SELECT MAX(cio.scanned_at) FROM check_in_outs cio 
-           WHERE cio.student_id = s.id AND cio.event_id = $1 AND cio.scan_type = 'CHECKOUT') as last_check_out,
+           WHERE cio.student_id = s.id AND cio.event_id = $1 AND cio.session_id IS NULL AND cio.scan_type = 'CHECKOUT') as last_check_out,
           (SELECT COUNT(*) FROM check_in_outs cio 
-           WHERE cio.student_id = s.id AND cio.event_id = $1 AND cio.scan_type = 'CHECKIN') as total_check_ins,
+           WHERE cio.student_id = s.id AND cio.event_id = $1 AND cio.session_id IS NULL AND cio.scan_type = 'CHECKIN') as total_check_ins,
           (SELECT COUNT(*) FROM feedbacks f JOIN stalls st ON f.stall_id = st.id
            WHERE f.student_id = s.id AND st.event_id = $1) as feedback_count,
+          COALESCE(er.total_time_spent_minutes, 0) as total_time_spent_minutes,
+          (SELECT COUNT(*) FROM session_attendances sa
+           WHERE sa.student_id = s.id AND sa.event_id = $1) as sessions_attended,
+          (SELECT COALESCE(SUM(sa.total_time_spent_minutes), 0) FROM session_attendances sa
+           WHERE sa.student_id = s.id AND sa.event_id = $1) as session_time_spent_minutes,
           CASE 
-            WHEN EXISTS (SELECT 1 FROM check_in_outs cio WHERE cio.student_id = s.id AND cio.event_id = $1 AND cio.scan_type = 'CHECKIN')
+            WHEN EXISTS (SELECT 1 FROM check_in_outs cio WHERE cio.student_id = s.id AND cio.event_id = $1 AND cio.session_id IS NULL AND cio.scan_type = 'CHECKIN')
             THEN 'ATTENDED'
             ELSE 'NOT ATTENDED'
           END as attendance_status
@@ -2632,6 +4197,7 @@ class EventManagerController {
       `;
 
       const attendanceData = await query(attendanceQuery, [eventId]);
+      const formFields = event.registration_form || [];
 
       // Create Excel workbook
       const ExcelJS = await import('exceljs');
@@ -2651,7 +4217,12 @@ class EventManagerController {
         { header: 'Last Check-Out', key: 'last_check_out', width: 20 },
         { header: 'Total Check-Ins', key: 'total_check_ins', width: 15 },
         { header: 'Feedbacks Given', key: 'feedback_count', width: 15 },
-        { header: 'Status', key: 'attendance_status', width: 15 }
+        { header: 'Time Spent (min)', key: 'total_time_spent_minutes', width: 15 },
+        { header: 'Sessions Attended', key: 'sessions_attended', width: 17 },
+        { header: 'Session Time (min)', key: 'session_time_spent_minutes', width: 18 },
+        { header: 'Status', key: 'attendance_status', width: 15 },
+        // One column per registration form question
+        ...formFields.map(field => ({ header: field.label, key: `form_${field.key}`, width: 25 }))
       ];
 
       // Style header row
@@ -2677,7 +4248,14 @@ class EventManagerController {
           last_check_out: record.last_check_out ? new Date(record.last_check_out).toLocaleString() : 'N/A',
           total_check_ins: record.total_check_ins || 0,
           feedback_count: record.feedback_count || 0,
-          attendance_status: record.attendance_status
+          total_time_spent_minutes: record.total_time_spent_minutes,
+          sessions_attended: parseInt(record.sessions_attended || 0),
+          session_time_spent_minutes: parseInt(record.session_time_spent_minutes || 0),
+          attendance_status: record.attendance_status,
+          ...Object.fromEntries(formFields.map(field => [
+            `form_${field.key}`,
+            formatFormAnswer(field, record.form_responses?.[field.key])
+          ]))
         });
       });
 
@@ -2696,7 +4274,35 @@ class EventManagerController {
   }
 
   /**
-   * Get all feedbacks for a specific stall
+   * Queue lengths across all stalls of the event (busiest first)
+   * GET /api/event-manager/events/:eventId/stall-queues
+   */
+  static async getStallQueues(req, res) {
+    try {
+      const { eventId } = req.params;
+      const managerId = req.user.id;
+
+      const event = await EventModel.findById(eventId);
+      if (!event) {
+        return errorResponse(res, 'Event not found', 404);
+      }
+
+      if (event.created_by_manager_id !== managerId) {
+        return errorResponse(res, 'Unauthorized access to this event', 403);
+      }
+
+      const overview = await getEventQueueOverview(eventId);
+
+      return successResponse(res, { event_id: eventId, ...overview });
+    } catch (error) {
+      console.error('Get stall queues error:', error);
+      return errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get all approved feedbacks for a specific stall
+   * Held and rejected comments are left out; they are handled in the moderation queue
    * GET /api/event-manager/events/:eventId/stalls/:stallId/feedbacks
    */
   static async getStallFeedbacks(req, res) {
@@ -2728,12 +4334,17 @@ class EventManagerController {
 
       const stall = stallCheck[0];
 
-      // Get all feedbacks for this stall with student info
+      // Get all approved feedbacks for this stall with student info
       const feedbacksQuery = `
         SELECT 
           f.id as feedback_id,
           f.rating,
+          f.criteria_ratings,
+          f.answers,
           f.comment,
+          f.comment_redacted,
+          f.stall_reply,
+          f.stall_replied_at,
           f.submitted_at as feedback_date,
           s.id as student_id,
           s.full_name as student_name,
@@ -2743,12 +4354,17 @@ class EventManagerController {
         FROM feedbacks f
         INNER JOIN students s ON f.student_id = s.id
         LEFT JOIN schools sc ON s.school_id = sc.id
-        WHERE f.stall_id = $1
+        WHERE f.stall_id = $1 AND f.moderation_status = 'APPROVED'
         ORDER BY f.submitted_at DESC
       `;
       
       const feedbacks = await query(feedbacksQuery, [stallId]);
 
+      const heldResult = await query(
+        `SELECT COUNT(*) as count FROM feedbacks WHERE stall_id = $1 AND moderation_status = 'PENDING'`,
+        [stallId]
+      );
+
       // Calculate summary stats
       const totalFeedbacks = feedbacks.length;
       const avgRating = totalFeedbacks > 0 
@@ -2774,7 +4390,11 @@ class EventManagerController {
         summary: {
           total_feedbacks: totalFeedbacks,
           average_rating: parseFloat(avgRating),
-          rating_distribution: ratingDistribution
+          rating_distribution: ratingDistribution,
+          held_for_review: parseInt(heldResult[0]?.count || 0),
+          criteria: event.feedback_questionnaire
+            ? summarizeCriteria(event.feedback_questionnaire, feedbacks)
+            : null
         },
         feedbacks: feedbacks.map(f => ({
           feedback_id: f.feedback_id,
@@ -2786,7 +4406,13 @@ class EventManagerController {
             school: f.student_school
           },
           rating: f.rating,
+          criteria_ratings: f.criteria_ratings,
+          answers: f.answers,
           comment: f.comment,
+          comment_redacted: f.comment_redacted,
+          reply: f.stall_reply
+            ? { text: f.stall_reply, date: f.stall_replied_at }
+            : null,
           date: f.feedback_date
         }))
       });
@@ -1,13 +1,56 @@
 import Feedback from '../models/Feedback.model.js';
 import Student from '../models/Student.model.js';
 import Stall from '../models/Stall.model.js';
+import EventModel from '../models/Event.model.js';
 import { successResponse, errorResponse } from '../helpers/response.js';
+import { publishToEvent, RealtimeMessage } from '../services/realtime.js';
+import {
+  DEFAULT_MODERATION_CONFIG,
+  DEFAULT_WORD_LIST,
+  MODERATION_STATUSES,
+  MODERATION_ACTIONS,
+  validateModerationConfig,
+  resolveModerationConfig,
+  applyModerationAction
+} from '../services/feedbackModeration.service.js';
+import {
+  validateQuestionnaire,
+  getQuestionnaire,
+  summarizeCriteria
+} from '../services/feedbackQuestionnaire.service.js';
+import { getVoteWeights } from '../services/rankingConfig.service.js';
+import { sanitizeString, sanitizeObject } from '../middleware/sanitizer.js';
+import { logAuditEvent, AuditEventType, getAuditRequestInfo } from '../utils/auditLogger.js';
+import { query } from '../config/db.js';
 
 /**
  * Feedback Controller
- * Handles feedback submission and retrieval
+ * Handles feedback submission and retrieval, per-event questionnaires,
+ * comment moderation and stall replies
  */
 
+const MAX_REPLY_LENGTH = 1000;
+
+/**
+ * Load an event and check the caller may moderate its feedback
+ * (admins: any event; event managers: events they created)
+ * @returns {Promise<Object|null>} Event, or null after sending the error response
+ */
+const loadManagedEvent = async (req, res) => {
+  const event = await EventModel.findById(req.params.eventId);
+  if (!event) {
+    errorResponse(res, 'Event not found', 404);
+    return null;
+  }
+
+  if (req.user.role !== 'ADMIN' && event.created_by_manager_id !== req.user.id) {
+    errorResponse(res, 'Unauthorized access to this event', 403);
+    return null;
+  }
+
+  return event;
+};
+
 /**
  * Submit feedback for a stall
  * @route POST /api/feedback
@@ -45,6 +88,15 @@ const submitFeedback = async (req, res, next) => {
 
     const newFeedback = await Feedback.create(feedbackData);
 
+    publishToEvent(stall.event_id, RealtimeMessage.FEEDBACK_SUBMITTED, {
+      feedback_id: newFeedback.id,
+      stall_id: stall.id,
+      stall_name: stall.stall_name,
+      stall_number: stall.stall_number,
+      rating: newFeedback.rating,
+      submitted_at: newFeedback.created_at
+    });
+
     return successResponse(res, {
       feedback_id: newFeedback.id,
       stall_name: stall.stall_name,
@@ -63,7 +115,7 @@ const submitFeedback = async (req, res, next) => {
 const getFeedbackByStall = async (req, res, next) => {
   try {
     const { stallId } = req.params;
-    const feedback = await Feedback.findByStallId(stallId);
+    const feedback = await Feedback.findPublicByStall(stallId, query);
     
     return successResponse(res, feedback);
   } catch (error) {
@@ -101,25 +153,31 @@ const getMyFeedback = async (req, res, next) => {
 
 /**
  * Get feedback statistics for a stall
+ * With an event questionnaire, `criteria` breaks the ratings down per criterion.
  * @route GET /api/feedback/stall/:stallId/stats
  */
 const getStallFeedbackStats = async (req, res, next) => {
   try {
     const { stallId } = req.params;
     
-    const stall = await Stall.findById(stallId);
+    const stall = await Stall.findById(stallId, query);
     if (!stall) {
       return errorResponse(res, 'Stall not found', 404);
     }
 
-    const feedback = await Feedback.findByStallId(stallId);
+    // Held and rejected feedback is not counted
+    const [feedback, questionnaire] = await Promise.all([
+      Feedback.findPublicByStall(stallId, query),
+      getQuestionnaire(stall.event_id)
+    ]);
     
     if (feedback.length === 0) {
       return successResponse(res, {
         stall_name: stall.stall_name,
         total_feedback: 0,
         average_rating: 0,
-        rating_breakdown: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+        rating_breakdown: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+        criteria: questionnaire ? summarizeCriteria(questionnaire, []) : null
       });
     }
 
@@ -135,7 +193,8 @@ const getStallFeedbackStats = async (req, res, next) => {
       stall_name: stall.stall_name,
       total_feedback: feedback.length,
       average_rating: parseFloat(averageRating),
-      rating_breakdown: ratingBreakdown
+      rating_breakdown: ratingBreakdown,
+      criteria: questionnaire ? summarizeCriteria(questionnaire, feedback) : null
     });
   } catch (error) {
     next(error);
@@ -208,6 +267,410 @@ const deleteFeedback = async (req, res, next) => {
   }
 };
 
+// ============================================================
+// QUESTIONNAIRES
+// ============================================================
+
+/**
+ * Get the feedback questionnaire of an event (null: a single 1-5 rating and a comment)
+ * @route GET /api/feedback/events/:eventId/questionnaire
+ */
+const getEventQuestionnaire = async (req, res, next) => {
+  try {
+    const event = await EventModel.findById(req.params.eventId);
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+
+    return successResponse(res, {
+      event_id: event.id,
+      questionnaire: event.feedback_questionnaire || null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save the feedback questionnaire of an event
+ * Body: { criteria: [{ key, label, description, weight, required }], questions: [{ key, label, description, required, max_length }] }
+ * Feedback already submitted keeps its answers; stats cover the criteria defined now.
+ * @route PUT /api/feedback/events/:eventId/questionnaire
+ */
+const updateEventQuestionnaire = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const { questionnaire, error } = validateQuestionnaire(sanitizeObject(req.body || {}));
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const saved = await EventModel.updateFeedbackQuestionnaire(event.id, questionnaire, req.user.id);
+
+    await logAuditEvent({
+      event_type: AuditEventType.FEEDBACK_QUESTIONNAIRE_UPDATED,
+      user_id: req.user.id,
+      user_role: req.user.role,
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: event.id,
+      metadata: { previous: event.feedback_questionnaire || null, questionnaire }
+    });
+
+    return successResponse(res, {
+      event_id: event.id,
+      questionnaire: saved.feedback_questionnaire
+    }, 'Feedback questionnaire saved');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove an event's questionnaire and go back to a single 1-5 rating
+ * @route DELETE /api/feedback/events/:eventId/questionnaire
+ */
+const deleteEventQuestionnaire = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    await EventModel.updateFeedbackQuestionnaire(event.id, null, req.user.id);
+
+    await logAuditEvent({
+      event_type: AuditEventType.FEEDBACK_QUESTIONNAIRE_UPDATED,
+      user_id: req.user.id,
+      user_role: req.user.role,
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: event.id,
+      metadata: { previous: event.feedback_questionnaire || null, questionnaire: null, reset: true }
+    });
+
+    return successResponse(res, {
+      event_id: event.id,
+      questionnaire: null
+    }, 'Feedback questionnaire removed; students give a single rating');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============================================================
+// MODERATION
+// ============================================================
+
+/**
+ * Get the moderation config of an event
+ * @route GET /api/feedback/events/:eventId/moderation/config
+ */
+const getModerationConfig = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    return successResponse(res, {
+      event_id: event.id,
+      config: resolveModerationConfig(event.moderation_config),
+      overrides: event.moderation_config || null,
+      is_default: !event.moderation_config,
+      defaults: DEFAULT_MODERATION_CONFIG,
+      default_word_list: DEFAULT_WORD_LIST
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save the moderation config of an event (replaces the saved overrides; omitted settings use defaults)
+ * Body: { enabled, use_default_word_list, word_list, allowed_words, word_list_action, hold_links, hold_all_comments }
+ * Applies to feedback submitted from now on.
+ * @route PUT /api/feedback/events/:eventId/moderation/config
+ */
+const updateModerationConfig = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const { config, error } = validateModerationConfig(req.body || {});
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const overrides = Object.keys(config).length > 0 ? config : null;
+    const saved = await EventModel.updateModerationConfig(event.id, overrides, req.user.id);
+
+    await logAuditEvent({
+      event_type: AuditEventType.MODERATION_CONFIG_UPDATED,
+      user_id: req.user.id,
+      user_role: req.user.role,
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: event.id,
+      metadata: { previous: event.moderation_config || null, config: overrides }
+    });
+
+    return successResponse(res, {
+      event_id: event.id,
+      config: resolveModerationConfig(saved.moderation_config),
+      overrides: saved.moderation_config || null,
+      is_default: !saved.moderation_config
+    }, 'Moderation config saved');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Drop an event's moderation overrides and go back to the default rules
+ * @route DELETE /api/feedback/events/:eventId/moderation/config
+ */
+const resetModerationConfig = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    await EventModel.updateModerationConfig(event.id, null, req.user.id);
+
+    await logAuditEvent({
+      event_type: AuditEventType.MODERATION_CONFIG_UPDATED,
+      user_id: req.user.id,
+      user_role: req.user.role,
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: event.id,
+      metadata: { previous: event.moderation_config || null, config: null, reset: true }
+    });
+
+    return successResponse(res, {
+      event_id: event.id,
+      config: DEFAULT_MODERATION_CONFIG,
+      is_default: true
+    }, 'Moderation config reset to defaults');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Moderation queue of an event, oldest first
+ * Query: ?status=PENDING|APPROVED|REJECTED (default PENDING)&stall_id=&page=1&limit=50
+ * @route GET /api/feedback/events/:eventId/moderation
+ */
+const getModerationQueue = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const status = String(req.query.status || 'PENDING').toUpperCase();
+    if (!MODERATION_STATUSES.includes(status)) {
+      return errorResponse(res, `status must be one of: ${MODERATION_STATUSES.join(', ')}`, 400);
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const [rows, counts] = await Promise.all([
+      Feedback.findForModeration(event.id, {
+        status,
+        stallId: req.query.stall_id || null,
+        limit,
+        offset: (page - 1) * limit
+      }, query),
+      Feedback.countByModerationStatus(event.id, query)
+    ]);
+
+    const summary = Object.fromEntries(MODERATION_STATUSES.map(s => [s, 0]));
+    counts.forEach(row => {
+      summary[row.moderation_status] = parseInt(row.count);
+    });
+
+    const total = parseInt(rows[0]?.total_count || 0);
+
+    return successResponse(res, {
+      event_id: event.id,
+      status,
+      summary,
+      feedbacks: rows.map(({ total_count, ...row }) => row),
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve, reject or redact a feedback comment
+ * Body: { action: APPROVE|REJECT|REDACT, note, comment }
+ * REDACT publishes the comment with the listed words masked, or with `comment` as given
+ * (non-empty, at most MAX_COMMENT_LENGTH characters);
+ * the original text is kept for moderators.
+ * @route PATCH /api/feedback/events/:eventId/moderation/:feedbackId
+ */
+const moderateFeedback = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const action = String(req.body.action || '').toUpperCase();
+    if (!MODERATION_ACTIONS.includes(action)) {
+      return errorResponse(res, `action must be one of: ${MODERATION_ACTIONS.join(', ')}`, 400);
+    }
+
+    const feedback = await Feedback.findByIdInEvent(event.id, req.params.feedbackId, query);
+    if (!feedback) {
+      return errorResponse(res, 'Feedback not found', 404);
+    }
+
+    const redactedComment = req.body.comment !== undefined ? sanitizeString(req.body.comment) : null;
+    const { changes, error } = applyModerationAction(
+      feedback,
+      action,
+      resolveModerationConfig(event.moderation_config),
+      redactedComment
+    );
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const updated = await Feedback.moderate(feedback.id, changes, {
+      id: req.user.id,
+      role: req.user.role,
+      note: req.body.note ? sanitizeString(req.body.note) : null
+    }, query);
+
+    // Only approved feedback counts towards the stall's totals and rankings
+    const wasCounted = feedback.moderation_status === 'APPROVED';
+    const isCounted = updated.moderation_status === 'APPROVED';
+    if (wasCounted !== isCounted) {
+      await Stall.recountRankingStats(event.id, [feedback.stall_id], await getVoteWeights(event.id), query);
+    }
+
+    await logAuditEvent({
+      event_type: AuditEventType.FEEDBACK_MODERATED,
+      user_id: req.user.id,
+      user_role: req.user.role,
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: event.id,
+      metadata: {
+        feedback_id: feedback.id,
+        stall_id: feedback.stall_id,
+        student_id: feedback.student_id,
+        action,
+        previous_status: feedback.moderation_status,
+        new_status: updated.moderation_status
+      }
+    });
+
+    return successResponse(res, {
+      id: updated.id,
+      stall_id: updated.stall_id,
+      comment: updated.comment,
+      original_comment: updated.original_comment,
+      comment_redacted: updated.comment_redacted,
+      moderation_status: updated.moderation_status,
+      moderation_reasons: updated.moderation_reasons,
+      moderation_note: updated.moderation_note,
+      moderated_at: updated.moderated_at
+    }, {
+      APPROVE: 'Feedback approved',
+      REJECT: 'Feedback rejected',
+      REDACT: 'Feedback redacted and approved'
+    }[action]);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Post or replace the stall's public reply to a feedback (one reply per feedback)
+ * Stalls have no login of their own, so the event's manager or an admin replies for them.
+ * Body: { reply }
+ * @route PUT /api/feedback/events/:eventId/feedbacks/:feedbackId/reply
+ */
+const setStallReply = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const reply = typeof req.body.reply === 'string' ? sanitizeString(req.body.reply.trim()) : '';
+    if (!reply) {
+      return errorResponse(res, 'reply is required', 400);
+    }
+    if (reply.length > MAX_REPLY_LENGTH) {
+      return errorResponse(res, `reply can be at most ${MAX_REPLY_LENGTH} characters`, 400);
+    }
+
+    const feedback = await Feedback.findByIdInEvent(event.id, req.params.feedbackId, query);
+    if (!feedback) {
+      return errorResponse(res, 'Feedback not found', 404);
+    }
+    if (feedback.moderation_status !== 'APPROVED') {
+      return errorResponse(res, 'Only approved feedback can be replied to', 400);
+    }
+
+    const updated = await Feedback.setStallReply(feedback.id, reply, req.user, query);
+
+    await logAuditEvent({
+      event_type: AuditEventType.FEEDBACK_REPLY_UPDATED,
+      user_id: req.user.id,
+      user_role: req.user.role,
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: event.id,
+      metadata: { feedback_id: feedback.id, stall_id: feedback.stall_id, replaced: !!feedback.stall_reply }
+    });
+
+    return successResponse(res, updated, feedback.stall_reply ? 'Reply updated' : 'Reply posted');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove the stall's reply to a feedback
+ * @route DELETE /api/feedback/events/:eventId/feedbacks/:feedbackId/reply
+ */
+const deleteStallReply = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const feedback = await Feedback.findByIdInEvent(event.id, req.params.feedbackId, query);
+    if (!feedback) {
+      return errorResponse(res, 'Feedback not found', 404);
+    }
+    if (!feedback.stall_reply) {
+      return errorResponse(res, 'This feedback has no reply', 404);
+    }
+
+    await Feedback.setStallReply(feedback.id, null, req.user, query);
+
+    await logAuditEvent({
+      event_type: AuditEventType.FEEDBACK_REPLY_UPDATED,
+      user_id: req.user.id,
+      user_role: req.user.role,
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: event.id,
+      metadata: { feedback_id: feedback.id, stall_id: feedback.stall_id, deleted: true }
+    });
+
+    return successResponse(res, null, 'Reply removed');
+  } catch (error) {
+    next(error);
+  }
+};
+
 export default {
   submitFeedback,
   getFeedbackByStall,
@@ -215,5 +678,17 @@ export default {
   getMyFeedback,
   getStallFeedbackStats,
   updateFeedback,
-  deleteFeedback
+  deleteFeedback,
+  // Questionnaires
+  getEventQuestionnaire,
+  updateEventQuestionnaire,
+  deleteEventQuestionnaire,
+  // Moderation
+  getModerationConfig,
+  updateModerationConfig,
+  resetModerationConfig,
+  getModerationQueue,
+  moderateFeedback,
+  setStallReply,
+  deleteStallReply
 };
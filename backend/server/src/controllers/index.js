@@ -10,6 +10,11 @@ import stallController from './stall.controller.js';
 import feedbackController from './feedback.controller.js';
 import rankingController from './ranking.controller.js';
 import checkInOutController from './checkInOut.controller.js';
+import paymentController from './payment.controller.js';
+import certificateController from './certificate.controller.js';
+import teamController from './team.controller.js';
+import calendarController from './calendar.controller.js';
+import authController from './auth.controller.js';
 
 export {
   adminController,
@@ -18,5 +23,10 @@ export {
   stallController,
   feedbackController,
   rankingController,
-  checkInOutController
+  checkInOutController,
+  paymentController,
+  certificateController,
+  teamController,
+  calendarController,
+  authController
 };
@@ -0,0 +1,117 @@
+import PasswordResetService, { getIdentifierField } from '../services/passwordReset.service.js';
+import { successResponse, errorResponse } from '../helpers/response.js';
+import { getAuditRequestInfo } from '../utils/auditLogger.js';
+
+/**
+ * Password Reset Controller
+ * Forgot-password flow by one-time code, shared by students, volunteers and event managers.
+ * Each role's router mounts the handlers created for its account type.
+ */
+
+/**
+ * Create the forgot-password handlers for an account type
+ * @param {string} accountType - STUDENT, VOLUNTEER or EVENT_MANAGER
+ * @returns {{ requestOtp: Function, verifyOtp: Function, resetPassword: Function }}
+ */
+export const createPasswordResetController = (accountType) => {
+  const identifierField = getIdentifierField(accountType);
+
+  const readIdentifier = (req) => {
+    const identifier = req.body?.[identifierField];
+    return typeof identifier === 'string' && identifier.trim() ? identifier : null;
+  };
+
+  /**
+   * Send a reset code to the account's registered email/phone
+   * Body: { registration_no } (students) or { email }
+   * @route POST /api/<role>/forgot-password
+   */
+  const requestOtp = async (req, res, next) => {
+    try {
+      const identifier = readIdentifier(req);
+      if (!identifier) {
+        return errorResponse(res, `${identifierField} is required`, 400);
+      }
+
+      const result = await PasswordResetService.requestOtp(accountType, identifier, getAuditRequestInfo(req));
+      if (result.error) {
+        return errorResponse(res, result.error, result.status);
+      }
+
+      const destination = result.channel === 'SMS' ? 'phone number' : 'email';
+      return successResponse(
+        res,
+        result,
+        `If an account matches, a reset code has been sent to its registered ${destination}.`
+      );
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Exchange the reset code for a reset token (valid 10 minutes, usable once)
+   * Body: { registration_no | email, otp } - students may also send { date_of_birth, pincode }
+   * (required when PASSWORD_RESET_REQUIRE_DOB_PINCODE=true)
+   * @route POST /api/<role>/forgot-password/verify
+   */
+  const verifyOtp = async (req, res, next) => {
+    try {
+      const identifier = readIdentifier(req);
+      const { otp, date_of_birth, pincode } = req.body || {};
+      if (!identifier || !otp) {
+        return errorResponse(res, `${identifierField} and otp are required`, 400);
+      }
+
+      const result = await PasswordResetService.verifyOtp(accountType, identifier, otp, { date_of_birth, pincode });
+      if (result.error) {
+        const details = result.attempts_remaining !== undefined ? { attempts_remaining: result.attempts_remaining } : null;
+        return errorResponse(res, result.error, result.status, details);
+      }
+
+      return successResponse(res, {
+        reset_token: result.reset_token,
+        [identifierField]: result.account[identifierField],
+        full_name: result.account.full_name,
+        expires_in: '10 minutes'
+      }, 'Reset code verified');
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Set a new password with the reset token
+   * Body: { reset_token, new_password, confirm_password }
+   * @route POST /api/<role>/forgot-password/reset
+   */
+  const resetPassword = async (req, res, next) => {
+    try {
+      const { reset_token, new_password, confirm_password } = req.body || {};
+      if (!reset_token || !new_password || !confirm_password) {
+        return errorResponse(res, 'Reset token and passwords are required', 400);
+      }
+      if (new_password !== confirm_password) {
+        return errorResponse(res, 'Passwords do not match', 400);
+      }
+
+      const result = await PasswordResetService.resetPassword(
+        accountType,
+        reset_token,
+        new_password,
+        getAuditRequestInfo(req)
+      );
+      if (result.error) {
+        return errorResponse(res, result.error, result.status);
+      }
+
+      return successResponse(res, null, 'Password reset successfully. Please login with your new password.');
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return { requestOtp, verifyOtp, resetPassword };
+};
+
+export default { createPasswordResetController };
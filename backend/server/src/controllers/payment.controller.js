@@ -0,0 +1,256 @@
+import crypto from 'crypto';
+import PaymentService from '../services/payment.js';
+import EventRegistrationModel from '../models/EventRegistration.model.js';
+import PaymentWebhookEventModel from '../models/PaymentWebhookEvent.model.js';
+import { successResponse, errorResponse } from '../helpers/response.js';
+import { logAuditEvent, AuditEventType } from '../utils/auditLogger.js';
+import NotificationService, { NotificationTrigger } from '../services/notification.js';
+import { settleCapturedPayment, SettlementStatus } from '../services/paymentSettlement.service.js';
+
+/**
+ * Payment Controller
+ * Handles Razorpay server-to-server callbacks
+ */
+
+/**
+ * Reconcile a parsed webhook event against event_registrations
+ * @param {Object} parsed - Result of PaymentService.handleWebhook
+ * @returns {Promise<Object>} { status, registration_id, message }
+ */
+const reconcileWebhookEvent = async (parsed) => {
+  switch (parsed.type) {
+    case 'payment_success':
+    case 'order_paid':
+    case 'payment_link_paid': {
+      // Walk-ins pay through a payment link; its order is Razorpay's, not ours
+      const registration = parsed.payment_link_id
+        ? await EventRegistrationModel.findByPaymentLinkId(parsed.payment_link_id)
+        : await EventRegistrationModel.findByOrderId(parsed.order_id);
+      if (!registration) {
+        return {
+          status: 'IGNORED',
+          message: parsed.payment_link_id
+            ? `No registration for payment link ${parsed.payment_link_id}`
+            : `No registration for order ${parsed.order_id}`
+        };
+      }
+
+      const settlement = await settleCapturedPayment(registration, {
+        razorpay_payment_id: parsed.payment_id || 'verified_via_webhook',
+        razorpay_signature: 'verified_via_webhook',
+        source: 'razorpay_webhook'
+      });
+
+      if (settlement.status === SettlementStatus.COMPLETED) {
+        await logAuditEvent({
+          event_type: AuditEventType.PAYMENT_COMPLETED,
+          user_id: null,
+          user_role: 'SYSTEM',
+          resource_type: 'REGISTRATION',
+          resource_id: registration.id,
+          metadata: {
+            source: 'razorpay_webhook',
+            order_id: parsed.order_id,
+            payment_id: parsed.payment_id || null,
+            ...(parsed.payment_link_id && { payment_link_id: parsed.payment_link_id })
+          }
+        });
+      }
+
+      const messages = {
+        [SettlementStatus.COMPLETED]: 'Payment completed',
+        [SettlementStatus.RECOVERED]: 'Late payment completed the expired registration',
+        [SettlementStatus.REFUNDED]: 'Late payment refunded; no seat left',
+        [SettlementStatus.ALREADY_SETTLED]: `Registration already ${settlement.registration.payment_status}`,
+        [SettlementStatus.UNMATCHED]: 'Late payment has no payment ID; refund it manually'
+      };
+
+      return {
+        status: settlement.status === SettlementStatus.ALREADY_SETTLED ? 'IGNORED' : 'PROCESSED',
+        registration_id: registration.id,
+        message: messages[settlement.status]
+      };
+    }
+
+    case 'payment_failed': {
+      const registration = await EventRegistrationModel.findByOrderId(parsed.order_id);
+      if (!registration) {
+        return { status: 'IGNORED', message: `No registration for order ${parsed.order_id}` };
+      }
+
+      if (registration.payment_status !== 'PENDING') {
+        return {
+          status: 'IGNORED',
+          registration_id: registration.id,
+          message: `Registration already ${registration.payment_status}`
+        };
+      }
+
+      // Razorpay lets the student retry on the same order, so the registration stays
+      // PENDING (seat held) and only expires if no attempt succeeds in time
+      await logAuditEvent({
+        event_type: AuditEventType.PAYMENT_FAILED,
+        user_id: null,
+        user_role: 'SYSTEM',
+        resource_type: 'REGISTRATION',
+        resource_id: registration.id,
+        metadata: {
+          source: 'razorpay_webhook',
+          order_id: parsed.order_id,
+          payment_id: parsed.payment_id,
+          error_code: parsed.error_code,
+          error_description: parsed.error_description
+        }
+      });
+
+      return {
+        status: 'PROCESSED',
+        registration_id: registration.id,
+        message: 'Payment attempt failed; registration still pending'
+      };
+    }
+
+    case 'refund_processed': {
+      const registration = await EventRegistrationModel.findByPaymentId(parsed.payment_id);
+      if (!registration) {
+        return { status: 'IGNORED', message: `No registration for payment ${parsed.payment_id}` };
+      }
+
+      // Automatic refund of a payment captured after the registration expired
+      if (registration.payment_status === 'FAILED' && registration.razorpay_refund_id === parsed.refund_id) {
+        const settled = await EventRegistrationModel.markLatePaymentRefundProcessed(registration.id, parsed.refund_id);
+        return {
+          status: settled ? 'PROCESSED' : 'IGNORED',
+          registration_id: registration.id,
+          message: settled ? `Refund ${parsed.refund_id} recorded` : `Refund ${parsed.refund_id} already recorded`
+        };
+      }
+
+      if (registration.payment_status !== 'COMPLETED') {
+        return {
+          status: 'IGNORED',
+          registration_id: registration.id,
+          message: `Registration already ${registration.payment_status}`
+        };
+      }
+
+      await EventRegistrationModel.processRefund(
+        registration.id,
+        parsed.amount,
+        registration.refund_reason || `Razorpay refund ${parsed.refund_id} processed`
+      );
+
+      await logAuditEvent({
+        event_type: AuditEventType.REFUND_PROCESSED,
+        user_id: null,
+        user_role: 'SYSTEM',
+        resource_type: 'REGISTRATION',
+        resource_id: registration.id,
+        metadata: {
+          source: 'razorpay_webhook',
+          payment_id: parsed.payment_id,
+          refund_id: parsed.refund_id,
+          amount: parsed.amount
+        }
+      });
+
+      // Student cancellations already notify when Razorpay accepts the refund synchronously
+      if (registration.refund_status !== 'PROCESSED') {
+        NotificationService.notifyStudent(
+          NotificationTrigger.REFUND_PROCESSED,
+          registration.student_id,
+          { refund_amount: parsed.amount, refund_id: parsed.refund_id },
+          { event_id: registration.event_id, registration_id: registration.id }
+        );
+      }
+
+      return {
+        status: 'PROCESSED',
+        registration_id: registration.id,
+        message: `Refund ${parsed.refund_id} recorded`
+      };
+    }
+
+    default:
+      return { status: 'IGNORED', message: `Unhandled event type: ${parsed.event_type}` };
+  }
+};
+
+/**
+ * Razorpay webhook
+ * Verifies X-Razorpay-Signature against the raw body, stores the delivery
+ * and reconciles the matching registration. Retries of a finished delivery are no-ops;
+ * one left unfinished by a crashed attempt is processed again once its claim lapses.
+ * @route POST /api/payment/webhook
+ */
+const handleRazorpayWebhook = async (req, res, next) => {
+  try {
+    const signature = req.get('x-razorpay-signature');
+    if (!signature || !req.rawBody) {
+      return errorResponse(res, 'Missing webhook signature', 400);
+    }
+
+    if (!PaymentService.verifyWebhookSignature(req.rawBody, signature)) {
+      return errorResponse(res, 'Invalid webhook signature', 401);
+    }
+
+    const payload = req.body;
+    const paymentEntity = payload.payload?.payment?.entity;
+
+    // Razorpay sends a unique event ID per event (same ID on retries)
+    const eventId = req.get('x-razorpay-event-id') ||
+      crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+    const delivery = await PaymentWebhookEventModel.recordDelivery({
+      event_id: eventId,
+      event_type: payload.event,
+      razorpay_order_id: paymentEntity?.order_id || payload.payload?.order?.entity?.id || null,
+      razorpay_payment_id: paymentEntity?.id || payload.payload?.refund?.entity?.payment_id || null,
+      payload
+    });
+
+    if (!delivery) {
+      // Still claimed by another attempt: a non-2xx makes Razorpay retry after the lease ends
+      const existing = await PaymentWebhookEventModel.findByEventId(eventId);
+      if (existing?.status === 'RECEIVED') {
+        console.log(`⏳ [RAZORPAY WEBHOOK] Delivery still in progress, asking for a retry: ${eventId}`);
+        return errorResponse(res, 'Webhook delivery is still being processed', 409);
+      }
+
+      console.log(`🔁 [RAZORPAY WEBHOOK] Duplicate delivery ignored: ${eventId}`);
+      return successResponse(res, { event_id: eventId, duplicate: true }, 'Webhook already processed');
+    }
+
+    let outcome;
+    try {
+      const parsed = await PaymentService.handleWebhook(payload);
+      outcome = await reconcileWebhookEvent(parsed);
+    } catch (processingError) {
+      console.error('❌ [RAZORPAY WEBHOOK] Reconciliation failed:', processingError);
+      await PaymentWebhookEventModel.markFinished(delivery.id, 'FAILED', {
+        message: processingError.message
+      });
+      // Non-2xx makes Razorpay retry; the FAILED row lets that retry through
+      return errorResponse(res, 'Webhook processing failed', 500);
+    }
+
+    await PaymentWebhookEventModel.markFinished(delivery.id, outcome.status, {
+      registration_id: outcome.registration_id,
+      message: outcome.message
+    });
+
+    console.log(`✅ [RAZORPAY WEBHOOK] ${payload.event} ${outcome.status}: ${outcome.message}`);
+
+    return successResponse(res, {
+      event_id: eventId,
+      status: outcome.status,
+      registration_id: outcome.registration_id || null
+    }, 'Webhook processed');
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  handleRazorpayWebhook
+};
@@ -1,13 +1,66 @@
 import Ranking from '../models/Ranking.model.js';
 import Stall from '../models/Stall.model.js';
+import EventModel from '../models/Event.model.js';
+import RankingSnapshotModel from '../models/RankingSnapshot.model.js';
+import { notExcludedFeedback, notExcludedRanking } from '../models/AnomalyFlag.model.js';
+import {
+  DEFAULT_RANKING_CONFIG,
+  TIE_BREAKERS,
+  validateRankingConfig,
+  loadRankingConfig,
+  getVoteWeights
+} from '../services/rankingConfig.service.js';
+import {
+  getStallLeaderboard,
+  getStudentLeaderboard,
+  getSchoolLeaderboard,
+  describeStallFormula,
+  describeStudentFormula,
+  describeSchoolFormula,
+  previewLeaderboards
+} from '../services/leaderboard.service.js';
+import { getSnapshotLeaderboard } from '../services/rankingSnapshot.service.js';
 import { successResponse, errorResponse } from '../helpers/response.js';
+import { logAuditEvent, AuditEventType, getAuditRequestInfo } from '../utils/auditLogger.js';
 import { query } from '../config/db.js';
 
 /**
  * Ranking Controller
- * Handles ranking operations and leaderboard
+ * Handles ranking operations, leaderboards and the per-event ranking config
  */
 
+/**
+ * Load an event with its effective ranking config
+ * @param {string} eventId - Event UUID
+ * @returns {Promise<Object|null>} { event, ranking }, or null if the event does not exist
+ */
+const loadEventRanking = async (eventId) => {
+  const event = await EventModel.findById(eventId);
+  if (!event) return null;
+
+  return { event, ranking: await loadRankingConfig(event) };
+};
+
+/**
+ * Load an event and check the caller may change its ranking config
+ * (admins: any event; event managers: events they created)
+ * @returns {Promise<Object|null>} Event, or null after sending the error response
+ */
+const loadManagedEvent = async (req, res) => {
+  const event = await EventModel.findById(req.params.eventId);
+  if (!event) {
+    errorResponse(res, 'Event not found', 404);
+    return null;
+  }
+
+  if (req.user.role !== 'ADMIN' && event.created_by_manager_id !== req.user.id) {
+    errorResponse(res, 'Unauthorized access to this event', 403);
+    return null;
+  }
+
+  return event;
+};
+
 /**
  * Get all rankings for specific event (EVENT_MANAGER/ADMIN)
  * @route GET /api/ranking/:eventId
@@ -85,160 +138,31 @@ const getRankingByStall = async (req, res, next) => {
 };
 
 /**
- * Get top N stalls using comprehensive weighted scoring
- * @route GET /api/ranking/top/:limit
- * Formula: 
- *   - Ranking Votes: Rank1(×5) + Rank2(×3) + Rank3(×1) [Max weight: 40%]
- *   - Avg Rating: (1-5 stars) × 20 [Max weight: 35%]
- *   - Total Feedbacks: Count × 0.1 [Max weight: 15%]
- *   - Unique Visitors: Count × 0.05 [Max weight: 10%]
- * Total Score = (ranking_score×0.4) + (rating_score×0.35) + (feedback_score×0.15) + (visitor_score×0.1)
+ * Get top N stalls using the event's weighted scoring (services/rankingConfig.service.js)
+ * @route GET /api/ranking/:eventId/stalls/top/:limit
+ * Default formula:
+ *   - Ranking Votes: Rank1(×5) + Rank2(×3) + Rank3(×1) [Weight: 40%]
+ *   - Avg Rating: (1-5 stars) × 20 [Weight: 35%]
+ *   - Total Feedbacks: Count × 0.1 [Weight: 15%]
+ *   - Unique Visitors: Count × 0.05 [Weight: 10%]
+ * Each metric is normalized against the best stall (0-100) before weighting
  */
 const getTopRankings = async (req, res, next) => {
   try {
     const { eventId, limit } = req.params;
     const limitNum = parseInt(limit) || 10;
 
-    // Comprehensive stall scoring query with event filtering
-    const queryText = `
-      WITH stall_metrics AS (
-        SELECT 
-          st.id as stall_id,
-          st.stall_name,
-          st.stall_number,
-          sc.school_name,
-          st.location,
-          
-          -- Ranking votes (Category 2)
-          COALESCE(st.rank_1_votes, 0) as rank_1_votes,
-          COALESCE(st.rank_2_votes, 0) as rank_2_votes,
-          COALESCE(st.rank_3_votes, 0) as rank_3_votes,
-          
-          -- Feedback metrics (Category 1)
-          COUNT(DISTINCT f.id) as total_feedbacks,
-          COALESCE(AVG(f.rating), 0) as avg_rating,
-          
-          -- Visitor metrics (unique students who gave feedback)
-          COUNT(DISTINCT f.student_id) as unique_visitors,
-          
-          -- Comment engagement (comments show deeper interest)
-          COUNT(DISTINCT f.id) FILTER (WHERE f.comment IS NOT NULL AND LENGTH(f.comment) > 0) as feedback_with_comments
-          
-        FROM stalls st
-        LEFT JOIN schools sc ON st.school_id = sc.id
-        LEFT JOIN feedbacks f ON st.id = f.stall_id AND f.event_id = $2
-        WHERE st.is_active = true AND st.event_id = $2
-        GROUP BY st.id, st.stall_name, st.stall_number, sc.school_name, st.location,
-                 st.rank_1_votes, st.rank_2_votes, st.rank_3_votes
-      ),
-      normalized_scores AS (
-        SELECT 
-          *,
-          
-          -- 1️⃣ RANKING SCORE (40% weight) - Weighted voting system
-          --    Rank 1 = 5 points, Rank 2 = 3 points, Rank 3 = 1 point
-          ((rank_1_votes * 5) + (rank_2_votes * 3) + (rank_3_votes * 1)) as ranking_points,
-          
-          -- 2️⃣ RATING SCORE (35% weight) - Average star rating × 20
-          (avg_rating * 20) as rating_points,
-          
-          -- 3️⃣ FEEDBACK SCORE (15% weight) - Total feedback count × 0.1
-          (total_feedbacks * 0.1) as feedback_points,
-          
-          -- 4️⃣ VISITOR SCORE (10% weight) - Unique visitors × 0.05
-          (unique_visitors * 0.05) as visitor_points
-          
-        FROM stall_metrics
-      ),
-      max_values AS (
-        SELECT 
-          GREATEST(MAX(ranking_points), 1) as max_ranking,
-          GREATEST(MAX(rating_points), 1) as max_rating,
-          GREATEST(MAX(feedback_points), 1) as max_feedback,
-          GREATEST(MAX(visitor_points), 1) as max_visitor
-        FROM normalized_scores
-      )
-      SELECT 
-        ns.*,
-        
-        -- Normalize each metric to 0-100 scale, then apply weights
-        ((ns.ranking_points / mv.max_ranking * 100) * 0.40) as weighted_ranking_score,
-        ((ns.rating_points / mv.max_rating * 100) * 0.35) as weighted_rating_score,
-        ((ns.feedback_points / mv.max_feedback * 100) * 0.15) as weighted_feedback_score,
-        ((ns.visitor_points / mv.max_visitor * 100) * 0.10) as weighted_visitor_score,
-        
-        -- TOTAL SCORE (0-100)
-        (
-          ((ns.ranking_points / mv.max_ranking * 100) * 0.40) +
-          ((ns.rating_points / mv.max_rating * 100) * 0.35) +
-          ((ns.feedback_points / mv.max_feedback * 100) * 0.15) +
-          ((ns.visitor_points / mv.max_visitor * 100) * 0.10)
-        ) as final_score
-        
-      FROM normalized_scores ns, max_values mv
-      WHERE (ns.total_feedbacks > 0 OR ns.rank_1_votes > 0 OR ns.rank_2_votes > 0 OR ns.rank_3_votes > 0)
-      ORDER BY final_score DESC, avg_rating DESC, total_feedbacks DESC
-      LIMIT $1
-    `;
+    const loaded = await loadEventRanking(eventId);
+    if (!loaded) {
+      return errorResponse(res, 'Event not found', 404);
+    }
 
-    const results = await query(queryText, [limitNum, eventId]);
-
-    // Format response with detailed breakdown
-    const leaderboard = results.map((stall, index) => ({
-      position: index + 1,
-      stall_id: stall.stall_id,
-      stall_name: stall.stall_name,
-      stall_number: stall.stall_number,
-      school_name: stall.school_name,
-      location: stall.location,
-      
-      // Final Score
-      final_score: parseFloat(stall.final_score).toFixed(2),
-      
-      // Score Breakdown
-      score_breakdown: {
-        ranking_score: parseFloat(stall.weighted_ranking_score).toFixed(2),
-        rating_score: parseFloat(stall.weighted_rating_score).toFixed(2),
-        feedback_score: parseFloat(stall.weighted_feedback_score).toFixed(2),
-        visitor_score: parseFloat(stall.weighted_visitor_score).toFixed(2)
-      },
-      
-      // Raw Metrics
-      metrics: {
-        ranking_votes: {
-          rank_1: parseInt(stall.rank_1_votes),
-          rank_2: parseInt(stall.rank_2_votes),
-          rank_3: parseInt(stall.rank_3_votes),
-          total_points: parseFloat(stall.ranking_points).toFixed(0)
-        },
-        feedback: {
-          avg_rating: parseFloat(stall.avg_rating).toFixed(2),
-          total_feedbacks: parseInt(stall.total_feedbacks),
-          feedbacks_with_comments: parseInt(stall.feedback_with_comments),
-          comment_rate: stall.total_feedbacks > 0 
-            ? (parseInt(stall.feedback_with_comments) / parseInt(stall.total_feedbacks) * 100).toFixed(1) + '%'
-            : '0%'
-        },
-        visitors: {
-          unique_visitors: parseInt(stall.unique_visitors)
-        }
-      }
-    }));
+    const leaderboard = (await getStallLeaderboard(eventId, loaded.ranking)).slice(0, limitNum);
 
     return successResponse(res, {
       leaderboard,
       total_stalls: leaderboard.length,
-      scoring_formula: {
-        description: 'Comprehensive weighted scoring system',
-        weights: {
-          ranking_votes: '40%',
-          average_rating: '35%',
-          feedback_count: '15%',
-          unique_visitors: '10%'
-        },
-        ranking_points: 'Rank1(×5) + Rank2(×3) + Rank3(×1)',
-        max_score: 100
-      }
+      scoring_formula: describeStallFormula(loaded.ranking.config)
     }, `Top ${limitNum} stalls calculated successfully`);
   } catch (error) {
     next(error);
@@ -271,12 +195,14 @@ const updateRanking = async (req, res, next) => {
 
 /**
  * Calculate and update comprehensive stall rankings (admin only)
- * @route POST /api/ranking/calculate
+ * @route POST /api/ranking/:eventId/calculate
  * Updates stalls table with ranking votes, feedback stats, and weighted scores
+ * (only APPROVED feedback counts; feedback and rankings of EXCLUDED anomaly flags are left out)
  */
 const calculateRankings = async (req, res, next) => {
   try {
     const { eventId } = req.params;
+    const voteWeights = await getVoteWeights(eventId);
 
     // Calculate comprehensive metrics for event stalls
     const queryText = `
@@ -297,14 +223,15 @@ const calculateRankings = async (req, res, next) => {
           -- Average rating
           COALESCE(AVG(f.rating), 0) as avg_rating,
           
-          -- Weighted score (ranking votes only for backward compatibility)
-          (COUNT(DISTINCT r.id) FILTER (WHERE r.rank = 1) * 5 +
-           COUNT(DISTINCT r.id) FILTER (WHERE r.rank = 2) * 3 +
-           COUNT(DISTINCT r.id) FILTER (WHERE r.rank = 3) * 1) as weighted_score
+          -- Weighted score (ranking votes only, with the event's vote weights)
+          (COUNT(DISTINCT r.id) FILTER (WHERE r.rank = 1) * $2::numeric +
+           COUNT(DISTINCT r.id) FILTER (WHERE r.rank = 2) * $3::numeric +
+           COUNT(DISTINCT r.id) FILTER (WHERE r.rank = 3) * $4::numeric) as weighted_score
           
         FROM stalls st
-        LEFT JOIN rankings r ON st.id = r.stall_id AND r.event_id = $1
+        LEFT JOIN rankings r ON st.id = r.stall_id AND r.event_id = $1 AND ${notExcludedRanking('r', '$1')}
         LEFT JOIN feedbacks f ON st.id = f.stall_id AND f.event_id = $1
+          AND f.moderation_status = 'APPROVED' AND ${notExcludedFeedback('f', '$1')}
         WHERE st.is_active = true AND st.event_id = $1
         GROUP BY st.id, st.stall_name, st.stall_number
       )
@@ -312,7 +239,7 @@ const calculateRankings = async (req, res, next) => {
       ORDER BY weighted_score DESC, avg_rating DESC
     `;
 
-    const stallScores = await query(queryText, [eventId]);
+    const stallScores = await query(queryText, [eventId, voteWeights.rank_1, voteWeights.rank_2, voteWeights.rank_3]);
 
     // Batch update stalls table
     const updatePromises = stallScores.map(stall => 
@@ -456,227 +383,33 @@ const deleteRanking = async (req, res, next) => {
 };
 
 /**
- * Get top N students using comprehensive engagement scoring
- * @route GET /api/ranking/students/top/:limit
- * Formula (3-Day Event, 200 Stalls):
- *   - Event Duration: Progressive scoring 0-24 hours (6h/day optimal) [Weight: 30%]
- *   - Feedback Quantity: Progressive scoring 0-180 feedbacks (90% coverage) [Weight: 25%]
- *   - Feedback Quality: Comment depth & helpfulness [Weight: 20%]
+ * Get top N students using the event's engagement scoring (services/rankingConfig.service.js)
+ * @route GET /api/ranking/:eventId/students/top/:limit
+ * Default formula (targets derived from the event's days and stalls):
+ *   - Event Duration: Progressive scoring up to 8h per event day [Weight: 30%]
+ *   - Feedback Quantity: Progressive scoring up to 90% of the event's stalls [Weight: 25%]
+ *   - Feedback Quality: Comments over 20 chars & comment depth [Weight: 20%]
  *   - Engagement: Rankings + visits + multi-day attendance [Weight: 15%]
  *   - Consistency: Balanced participation across days [Weight: 10%]
  * Total Score = weighted sum of progressive metrics
+ * Only APPROVED feedback counts; feedback and rankings of EXCLUDED anomaly flags do not
  */
 const getTopStudents = async (req, res, next) => {
   try {
     const { eventId, limit } = req.params;
     const limitNum = parseInt(limit) || 10;
 
-    const queryText = `
-      WITH student_metrics AS (
-        SELECT 
-          s.id as student_id,
-          s.registration_no,
-          s.full_name,
-          sc.school_name,
-          
-          -- Duration metric (3-day event: up to 24 hours realistic)
-          COALESCE(SUM(co.duration_minutes), 0) as total_duration_minutes,
-          
-          -- Feedback metrics (200 stalls, 90% coverage = 180 max)
-          COUNT(DISTINCT f.id) as total_feedbacks,
-          COUNT(DISTINCT f.id) FILTER (WHERE f.comment IS NOT NULL AND LENGTH(f.comment) > 20) as quality_feedbacks,
-          COALESCE(AVG(LENGTH(f.comment)), 0) as avg_comment_length,
-          
-          -- Ranking participation for this event
-          COALESCE((SELECT has_completed_ranking FROM student_event_rankings WHERE student_id = s.id AND event_id = $2), false) as completed_ranking,
-          
-          -- Visit frequency (consistency across days)
-          COUNT(DISTINCT co.id) as total_visits,
-          
-          -- Multi-day consistency (visits spread across multiple days)
-          COUNT(DISTINCT DATE(co.scanned_at)) as unique_days_attended,
-          
-          -- Account age
-          EXTRACT(EPOCH FROM (NOW() - s.created_at)) / 3600 as account_age_hours
-          
-        FROM students s
-        LEFT JOIN schools sc ON s.school_id = sc.id
-        LEFT JOIN feedbacks f ON s.id = f.student_id AND f.event_id = $2
-        LEFT JOIN check_in_outs co ON s.id = co.student_id AND co.event_id = $2
-        GROUP BY s.id, s.registration_no, s.full_name, sc.school_name, s.created_at
-      ),
-      scored_students AS (
-        SELECT 
-          *,
-          
-          -- 1️⃣ DURATION SCORE (30% weight) - Progressive scoring for 3-day event
-          --    Optimal: 18 hours (6h/day), Max: 24 hours (8h/day)
-          CASE 
-            WHEN total_duration_minutes >= 1440 THEN 100  -- 24+ hours = perfect
-            WHEN total_duration_minutes >= 1080 THEN 90 + ((total_duration_minutes - 1080) / 360.0 * 10)  -- 18-24h (90-100)
-            WHEN total_duration_minutes >= 720 THEN 75 + ((total_duration_minutes - 720) / 360.0 * 15)   -- 12-18h (75-90)
-            WHEN total_duration_minutes >= 360 THEN 50 + ((total_duration_minutes - 360) / 360.0 * 25)   -- 6-12h (50-75)
-            ELSE (total_duration_minutes / 360.0 * 50)  -- 0-6h (0-50)
-          END as duration_score,
-          
-          -- 2️⃣ FEEDBACK QUANTITY SCORE (25% weight) - Progressive scoring
-          --    Optimal: 120 feedbacks (40/day), Max: 180 (60/day, 90% of stalls)
-          CASE 
-            WHEN total_feedbacks >= 180 THEN 100  -- 90%+ coverage = perfect
-            WHEN total_feedbacks >= 120 THEN 85 + ((total_feedbacks - 120) / 60.0 * 15)  -- 120-180 (85-100)
-            WHEN total_feedbacks >= 80 THEN 70 + ((total_feedbacks - 80) / 40.0 * 15)    -- 80-120 (70-85)
-            WHEN total_feedbacks >= 40 THEN 50 + ((total_feedbacks - 40) / 40.0 * 20)    -- 40-80 (50-70)
-            ELSE (total_feedbacks / 40.0 * 50)  -- 0-40 (0-50)
-          END as feedback_quantity_score,
-          
-          -- 3️⃣ FEEDBACK QUALITY SCORE (20% weight) - Comment quality matters
-          --    Quality = (quality_feedbacks / total_feedbacks) × 60% + comment_depth × 40%
-          CASE 
-            WHEN total_feedbacks > 0 THEN
-              (
-                -- Quality rate (60% of quality score) - comments >20 chars
-                ((quality_feedbacks::DECIMAL / GREATEST(total_feedbacks, 1)) * 60) +
-                -- Comment depth (40% of quality score) - avg length capped at 150
-                (LEAST(avg_comment_length, 150) / 150.0 * 40)
-              )
-            ELSE 0
-          END as feedback_quality_score,
-          
-          -- 4️⃣ ENGAGEMENT SCORE (15% weight) - Multi-faceted participation
-          --    Ranking completion (40 pts) + Visit frequency (30 pts) + Multi-day (30 pts)
-          (
-            (completed_ranking * 40) +                                    -- 40 pts for rankings
-            (LEAST(total_visits, 15) / 15.0 * 30) +                      -- 30 pts for 15+ visits
-            (LEAST(unique_days_attended, 3) / 3.0 * 30)                  -- 30 pts for all 3 days
-          ) as engagement_score,
-          
-          -- 5️⃣ CONSISTENCY SCORE (10% weight) - Balanced participation
-          --    Rewards regular visits across days, not one marathon session
-          CASE 
-            WHEN total_visits >= 6 AND unique_days_attended >= 2 THEN
-              -- Good: multiple days + reasonable session lengths
-              LEAST(
-                ((total_duration_minutes::DECIMAL / GREATEST(total_visits, 1)) / 180.0 * 50) +  -- Avg session length
-                ((unique_days_attended::DECIMAL / 3.0) * 50),                                    -- Multi-day bonus
-                100
-              )
-            WHEN total_visits > 0 THEN
-              -- Okay: at least participated, but could be better
-              LEAST((total_duration_minutes::DECIMAL / GREATEST(total_visits, 1)) / 180.0 * 100, 100)
-            ELSE 0
-          END as consistency_score
-          
-        FROM student_metrics
-        WHERE total_feedbacks > 0 OR total_duration_minutes > 0 OR completed_ranking = 1
-      )
-      SELECT 
-        *,
-        
-        -- Weighted final scores
-        (duration_score * 0.30) as weighted_duration,
-        (feedback_quantity_score * 0.25) as weighted_feedback_qty,
-        (feedback_quality_score * 0.20) as weighted_feedback_qual,
-        (engagement_score * 0.15) as weighted_engagement,
-        (consistency_score * 0.10) as weighted_consistency,
-        
-        -- FINAL SCORE (0-100)
-        (
-          (duration_score * 0.30) +
-          (feedback_quantity_score * 0.25) +
-          (feedback_quality_score * 0.20) +
-          (engagement_score * 0.15) +
-          (consistency_score * 0.10)
-        ) as final_score
-        
-      FROM scored_students
-      ORDER BY final_score DESC, total_feedbacks DESC, total_duration_minutes DESC
-      LIMIT $1
-    `;
-
-    const results = await query(queryText, [limitNum, eventId]);
+    const loaded = await loadEventRanking(eventId);
+    if (!loaded) {
+      return errorResponse(res, 'Event not found', 404);
+    }
 
-    const leaderboard = results.map((student, index) => ({
-      position: index + 1,
-      student_id: student.student_id,
-      registration_no: student.registration_no,
-      full_name: student.full_name,
-      school_name: student.school_name,
-      
-      // Final Score
-      final_score: parseFloat(student.final_score).toFixed(2),
-      
-      // Score Breakdown (detailed component scores)
-      score_breakdown: {
-        duration_score: parseFloat(student.weighted_duration).toFixed(2),
-        feedback_quantity_score: parseFloat(student.weighted_feedback_qty).toFixed(2),
-        feedback_quality_score: parseFloat(student.weighted_feedback_qual).toFixed(2),
-        engagement_score: parseFloat(student.weighted_engagement).toFixed(2),
-        consistency_score: parseFloat(student.weighted_consistency).toFixed(2)
-      },
-      
-      // Raw Metrics
-      metrics: {
-        event_participation: {
-          total_duration_minutes: parseInt(student.total_duration_minutes),
-          duration_formatted: `${Math.floor(student.total_duration_minutes / 60)}h ${student.total_duration_minutes % 60}m`,
-          total_visits: parseInt(student.total_visits),
-          unique_days_attended: parseInt(student.unique_days_attended || 0),
-          avg_duration_per_visit: student.total_visits > 0 
-            ? (student.total_duration_minutes / student.total_visits).toFixed(1) + ' min'
-            : '0 min'
-        },
-        feedback_stats: {
-          total_feedbacks: parseInt(student.total_feedbacks),
-          quality_feedbacks: parseInt(student.quality_feedbacks),
-          avg_comment_length: parseFloat(student.avg_comment_length).toFixed(0),
-          quality_rate: student.total_feedbacks > 0
-            ? (student.quality_feedbacks / student.total_feedbacks * 100).toFixed(1) + '%'
-            : '0%',
-          coverage_rate: ((student.total_feedbacks / 200) * 100).toFixed(1) + '%'  // % of 200 stalls
-        },
-        engagement: {
-          completed_ranking: student.completed_ranking === 1,
-          account_age_hours: parseFloat(student.account_age_hours).toFixed(1)
-        }
-      }
-    }));
+    const leaderboard = (await getStudentLeaderboard(eventId, loaded.ranking)).slice(0, limitNum);
 
     return successResponse(res, {
       leaderboard,
       total_students: leaderboard.length,
-      scoring_formula: {
-        description: 'Progressive engagement scoring for 3-day event with 200 stalls',
-        event_context: {
-          total_days: 3,
-          total_stalls: 200,
-          max_duration: '24 hours (8h/day)',
-          optimal_duration: '18 hours (6h/day)',
-          max_feedbacks: '180 (90% coverage)',
-          optimal_feedbacks: '120 (40/day)'
-        },
-        weights: {
-          event_duration: '30%',
-          feedback_quantity: '25%',
-          feedback_quality: '20%',
-          engagement_activities: '15%',
-          consistency: '10%'
-        },
-        progressive_scoring: {
-          duration_tiers: [
-            '0-6h: 0-50 pts (minimum participation)',
-            '6-12h: 50-75 pts (good engagement)',
-            '12-18h: 75-90 pts (excellent commitment)',
-            '18-24h: 90-100 pts (exceptional dedication)'
-          ],
-          feedback_tiers: [
-            '0-40: 0-50 pts (casual visitor)',
-            '40-80: 50-70 pts (engaged participant)',
-            '80-120: 70-85 pts (active contributor)',
-            '120-180: 85-100 pts (comprehensive coverage)'
-          ]
-        },
-        max_score: 100
-      }
+      scoring_formula: describeStudentFormula(loaded.ranking.config, loaded.ranking.context)
     }, `Top ${limitNum} students calculated successfully`);
   } catch (error) {
     next(error);
@@ -686,92 +419,32 @@ const getTopStudents = async (req, res, next) => {
 /**
  * Get top N schools using student ranking participation
  * @route GET /api/ranking/:eventId/schools/top/:limit
- * Schools earn points when their stalls are ranked by their own students
+ * Schools earn the event's vote weights when their stalls are ranked by their own students
+ * (rankings of EXCLUDED anomaly flags do not count)
  */
 const getTopSchools = async (req, res, next) => {
   try {
     const { eventId, limit } = req.params;
     const limitNum = parseInt(limit) || 10;
 
-    const queryText = `
-      SELECT 
-        sc.id as school_id,
-        sc.school_name,
-        COUNT(DISTINCT ser.student_id) as total_students_ranked,
-        SUM(CASE WHEN st.school_id = sc.id THEN 
-          CASE r.rank
-            WHEN 1 THEN 5
-            WHEN 2 THEN 3
-            WHEN 3 THEN 1
-            ELSE 0
-          END
-        ELSE 0 END) as school_score,
-        SUM(CASE WHEN st.school_id = sc.id AND r.rank = 1 THEN 1 ELSE 0 END) as rank_1_count,
-        SUM(CASE WHEN st.school_id = sc.id AND r.rank = 2 THEN 1 ELSE 0 END) as rank_2_count,
-        SUM(CASE WHEN st.school_id = sc.id AND r.rank = 3 THEN 1 ELSE 0 END) as rank_3_count,
-        COUNT(DISTINCT CASE WHEN st.school_id = sc.id THEN st.id END) as ranked_stalls_count
-      FROM schools sc
-      LEFT JOIN students s ON s.school_id = sc.id
-      LEFT JOIN student_event_rankings ser ON ser.student_id = s.id AND ser.event_id = $1 AND ser.has_completed_ranking = true
-      LEFT JOIN rankings r ON r.student_id = s.id AND r.event_id = $1
-      LEFT JOIN stalls st ON r.stall_id = st.id
-      WHERE ser.has_completed_ranking = true
-      GROUP BY sc.id, sc.school_name
-      HAVING SUM(CASE WHEN st.school_id = sc.id THEN 
-        CASE r.rank
-          WHEN 1 THEN 5
-          WHEN 2 THEN 3
-          WHEN 3 THEN 1
-          ELSE 0
-        END
-      ELSE 0 END) > 0
-      ORDER BY school_score DESC, total_students_ranked DESC
-      LIMIT $2
-    `;
-
-    const topSchools = await query(queryText, [eventId, limitNum]);
-
-    // Get overall stats
-    const statsQuery = `
-      SELECT 
-        COUNT(DISTINCT ser.student_id) as total_students_participated,
-        COUNT(DISTINCT sc.id) as total_schools_participated,
-        COUNT(DISTINCT st.id) as total_stalls_ranked
-      FROM student_event_rankings ser
-      JOIN students s ON ser.student_id = s.id
-      JOIN rankings r ON r.student_id = s.id AND r.event_id = $1
-      JOIN stalls st ON r.stall_id = st.id
-      JOIN schools sc ON s.school_id = sc.id
-      WHERE ser.event_id = $1 AND ser.has_completed_ranking = true
-    `;
+    const loaded = await loadEventRanking(eventId);
+    if (!loaded) {
+      return errorResponse(res, 'Event not found', 404);
+    }
 
-    const stats = await query(statsQuery, [eventId]);
+    const [topSchools, stats] = await Promise.all([
+      getSchoolLeaderboard(eventId, loaded.ranking),
+      Ranking.getSchoolLeaderboardStats(eventId, query)
+    ]);
 
     return successResponse(res, {
       event_id: eventId,
-      top_schools: topSchools.map((school, index) => ({
-        position: index + 1,
-        school_id: school.school_id,
-        school_name: school.school_name,
-        total_score: parseInt(school.school_score),
-        breakdown: {
-          rank_1_votes: parseInt(school.rank_1_count),
-          rank_2_votes: parseInt(school.rank_2_count),
-          rank_3_votes: parseInt(school.rank_3_count)
-        },
-        students_participated: parseInt(school.total_students_ranked),
-        stalls_ranked: parseInt(school.ranked_stalls_count)
-      })),
-      scoring_system: {
-        rank_1: '5 points',
-        rank_2: '3 points',
-        rank_3: '1 point',
-        description: 'Schools earn points when their stalls are ranked by students from their own school'
-      },
+      top_schools: topSchools.slice(0, limitNum),
+      scoring_system: describeSchoolFormula(loaded.ranking.config),
       overall_stats: {
-        total_students_participated: parseInt(stats[0]?.total_students_participated || 0),
-        total_schools_participated: parseInt(stats[0]?.total_schools_participated || 0),
-        total_stalls_ranked: parseInt(stats[0]?.total_stalls_ranked || 0)
+        total_students_participated: parseInt(stats?.total_students_participated || 0),
+        total_schools_participated: parseInt(stats?.total_schools_participated || 0),
+        total_stalls_ranked: parseInt(stats?.total_stalls_ranked || 0)
       }
     }, 'Top schools retrieved successfully');
   } catch (error) {
@@ -779,6 +452,54 @@ const getTopSchools = async (req, res, next) => {
   }
 };
 
+/**
+ * Serve a public leaderboard from the event's latest published snapshot.
+ * Events whose rankings were never published by an admin (visible automatically
+ * once completed) are scored live.
+ */
+const servePublishedLeaderboard = async (req, res, next, board, liveHandler) => {
+  try {
+    const snapshot = await RankingSnapshotModel.findLatest(req.params.eventId);
+    if (!snapshot) {
+      return liveHandler(req, res, next);
+    }
+
+    const limitNum = parseInt(req.params.limit) || 10;
+
+    return successResponse(
+      res,
+      getSnapshotLeaderboard(snapshot, board, limitNum),
+      `Top ${limitNum} ${board} (published rankings v${snapshot.version})`
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Public stall leaderboard (published snapshot, or live)
+ * @route GET /api/ranking/:eventId/stalls/top/:limit
+ */
+const getPublishedStallRankings = (req, res, next) => (
+  servePublishedLeaderboard(req, res, next, 'stalls', getTopRankings)
+);
+
+/**
+ * Public student leaderboard (published snapshot, or live)
+ * @route GET /api/ranking/:eventId/students/top/:limit
+ */
+const getPublishedStudentRankings = (req, res, next) => (
+  servePublishedLeaderboard(req, res, next, 'students', getTopStudents)
+);
+
+/**
+ * Public school leaderboard (published snapshot, or live)
+ * @route GET /api/ranking/:eventId/schools/top/:limit
+ */
+const getPublishedSchoolRankings = (req, res, next) => (
+  servePublishedLeaderboard(req, res, next, 'schools', getTopSchools)
+);
+
 /**
  * Get student's own submitted ranking for specific event
  * @route GET /api/ranking/:eventId/my-ranking
@@ -870,81 +591,24 @@ const getAllEventsRankingsSummary = async (req, res, next) => {
     const platformStats = await query(platformStatsQuery);
     
     // Get top performers for each event
+    const schoolTotals = new Map();
     const rankingsByEvent = await Promise.all(events.map(async (event) => {
-      // Get top stall for this event
-      const topStallQuery = `
-        WITH stall_metrics AS (
-          SELECT 
-            st.id as stall_id,
-            st.stall_name,
-            sc.school_name,
-            COALESCE(st.rank_1_votes, 0) as rank_1_votes,
-            COALESCE(st.rank_2_votes, 0) as rank_2_votes,
-            COALESCE(st.rank_3_votes, 0) as rank_3_votes,
-            COUNT(DISTINCT f.id) as total_feedbacks,
-            COALESCE(AVG(f.rating), 0) as avg_rating,
-            COUNT(DISTINCT f.student_id) as unique_visitors
-          FROM stalls st
-          LEFT JOIN schools sc ON st.school_id = sc.id
-          LEFT JOIN feedbacks f ON st.id = f.stall_id AND f.event_id = $1
-          WHERE st.is_active = true AND st.event_id = $1
-          GROUP BY st.id, st.stall_name, sc.school_name, st.rank_1_votes, st.rank_2_votes, st.rank_3_votes
-        ),
-        normalized_scores AS (
-          SELECT 
-            *,
-            ((rank_1_votes * 5) + (rank_2_votes * 3) + (rank_3_votes * 1)) as ranking_points,
-            (avg_rating * 20) as rating_points,
-            (total_feedbacks * 0.1) as feedback_points,
-            (unique_visitors * 0.05) as visitor_points
-          FROM stall_metrics
-        ),
-        max_values AS (
-          SELECT 
-            GREATEST(MAX(ranking_points), 1) as max_ranking,
-            GREATEST(MAX(rating_points), 1) as max_rating,
-            GREATEST(MAX(feedback_points), 1) as max_feedback,
-            GREATEST(MAX(visitor_points), 1) as max_visitor
-          FROM normalized_scores
-        )
-        SELECT 
-          ns.stall_name,
-          ns.school_name,
-          (
-            ((ns.ranking_points / mv.max_ranking * 100) * 0.40) +
-            ((ns.rating_points / mv.max_rating * 100) * 0.35) +
-            ((ns.feedback_points / mv.max_feedback * 100) * 0.15) +
-            ((ns.visitor_points / mv.max_visitor * 100) * 0.10)
-          ) as final_score
-        FROM normalized_scores ns, max_values mv
-        WHERE (ns.total_feedbacks > 0 OR ns.rank_1_votes > 0 OR ns.rank_2_votes > 0 OR ns.rank_3_votes > 0)
-        ORDER BY final_score DESC
-        LIMIT 1
-      `;
-      const topStall = await query(topStallQuery, [event.event_id]);
-      
-      // Get top student for this event (simplified calculation)
-      const topStudentQuery = `
-        SELECT 
-          st.full_name,
-          sc.school_name,
-          COALESCE(
-            (EXTRACT(EPOCH FROM SUM(c.check_out_time - c.check_in_time)) / 3600 * 0.3) +
-            (COUNT(DISTINCT f.id) * 0.25) +
-            (COUNT(DISTINCT r.id) * 0.1),
-            0
-          ) as final_score
-        FROM students st
-        INNER JOIN event_registrations er ON st.id = er.student_id AND er.event_id = $1 AND er.payment_status IN ('COMPLETED', 'NOT_REQUIRED')
-        LEFT JOIN schools sc ON st.school_id = sc.id
-        LEFT JOIN check_in_out c ON c.student_id = st.id AND c.event_id = $1
-        LEFT JOIN feedbacks f ON f.student_id = st.id AND f.event_id = $1
-        LEFT JOIN rankings r ON r.student_id = st.id AND r.event_id = $1
-        GROUP BY st.id, st.full_name, sc.school_name
-        ORDER BY final_score DESC
-        LIMIT 1
-      `;
-      const topStudent = await query(topStudentQuery, [event.event_id]);
+      // Top stall/student and school points with this event's ranking config
+      const loaded = await loadEventRanking(event.event_id);
+      const [stallLeaderboard, studentLeaderboard, schoolLeaderboard] = loaded
+        ? await Promise.all([
+          getStallLeaderboard(event.event_id, loaded.ranking),
+          getStudentLeaderboard(event.event_id, loaded.ranking),
+          getSchoolLeaderboard(event.event_id, loaded.ranking)
+        ])
+        : [[], [], []];
+      const topStall = stallLeaderboard[0];
+      const topStudent = studentLeaderboard[0];
+      schoolLeaderboard.forEach((school) => {
+        const totals = schoolTotals.get(school.school_id) || { school_name: school.school_name, total_points: 0 };
+        totals.total_points += school.total_score;
+        schoolTotals.set(school.school_id, totals);
+      });
       
       return {
         event_id: event.event_id,
@@ -955,15 +619,15 @@ const getAllEventsRankingsSummary = async (req, res, next) => {
         students_participated: parseInt(event.students_participated || 0),
         stalls_ranked: parseInt(event.stalls_ranked || 0),
         completion_rate: `${event.completion_rate || 0}%`,
-        top_stall: topStall[0] ? {
-          stall_name: topStall[0].stall_name,
-          school_name: topStall[0].school_name,
-          final_score: parseFloat(topStall[0].final_score || 0).toFixed(2)
+        top_stall: topStall ? {
+          stall_name: topStall.stall_name,
+          school_name: topStall.school_name,
+          final_score: topStall.final_score
         } : null,
-        top_student: topStudent[0] ? {
-          full_name: topStudent[0].full_name,
-          school_name: topStudent[0].school_name,
-          final_score: parseFloat(topStudent[0].final_score || 0).toFixed(2)
+        top_student: topStudent ? {
+          full_name: topStudent.full_name,
+          school_name: topStudent.school_name,
+          final_score: topStudent.final_score
         } : null
       };
     }));
@@ -1000,31 +664,8 @@ const getAllEventsRankingsSummary = async (req, res, next) => {
     `;
     const highestParticipation = await query(highestParticipationQuery);
     
-    // Get top school across all events
-    const topSchoolAcrossEventsQuery = `
-      SELECT 
-        sc.school_name,
-        SUM(CASE WHEN st.school_id = sc.id THEN 
-          CASE r.rank
-            WHEN 1 THEN 5
-            WHEN 2 THEN 3
-            WHEN 3 THEN 1
-            ELSE 0
-          END
-        ELSE 0 END) as total_points
-      FROM schools sc
-      LEFT JOIN students s ON s.school_id = sc.id
-      LEFT JOIN student_event_rankings ser ON ser.student_id = s.id AND ser.has_completed_ranking = true
-      LEFT JOIN rankings r ON r.student_id = s.id
-      LEFT JOIN stalls st ON r.stall_id = st.id
-      LEFT JOIN events e ON r.event_id = e.id
-      WHERE e.status IN ('APPROVED', 'ACTIVE', 'COMPLETED')
-        AND ser.has_completed_ranking = true
-      GROUP BY sc.id, sc.school_name
-      ORDER BY total_points DESC
-      LIMIT 1
-    `;
-    const topSchool = await query(topSchoolAcrossEventsQuery);
+    // Top school across all events (each event scored with its own vote weights)
+    const topSchool = [...schoolTotals.values()].sort((x, y) => y.total_points - x.total_points)[0];
     
     return successResponse(res, {
       total_events_with_rankings: parseInt(platformStats[0]?.total_events_with_rankings || 0),
@@ -1040,9 +681,9 @@ const getAllEventsRankingsSummary = async (req, res, next) => {
           event_name: highestParticipation[0].event_name,
           percentage: `${highestParticipation[0].participation_rate}%`
         } : null,
-        top_school_across_events: topSchool[0] ? {
-          school_name: topSchool[0].school_name,
-          total_points: parseInt(topSchool[0].total_points || 0)
+        top_school_across_events: topSchool ? {
+          school_name: topSchool.school_name,
+          total_points: Number(topSchool.total_points.toFixed(2))
         } : null
       }
     }, 'Platform-wide ranking summary retrieved successfully');
@@ -1107,6 +748,142 @@ const getRankingsByEvent = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the ranking config of an event: effective formulas, saved overrides and defaults
+ * @route GET /api/ranking/:eventId/config
+ */
+const getRankingConfig = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const ranking = await loadRankingConfig(event);
+
+    return successResponse(res, {
+      event_id: event.id,
+      config: ranking.config,
+      overrides: ranking.overrides,
+      is_default: ranking.is_default,
+      event_context: ranking.context,
+      defaults: DEFAULT_RANKING_CONFIG,
+      tie_breaker_fields: TIE_BREAKERS,
+      updated_at: event.ranking_config_updated_at || null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save the ranking config of an event (replaces the saved overrides; omitted settings use defaults)
+ * Body: { vote_weights, stalls, students, schools }
+ * @route PUT /api/ranking/:eventId/config
+ */
+const updateRankingConfig = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const { config, error } = validateRankingConfig(req.body || {});
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const overrides = Object.keys(config).length > 0 ? config : null;
+    const saved = await EventModel.updateRankingConfig(event.id, overrides, req.user.id);
+    const ranking = await loadRankingConfig(event, saved.ranking_config);
+
+    // Cached stall scores follow the new vote weights
+    await Stall.refreshWeightedScores({ event_id: event.id }, ranking.config.vote_weights, query);
+
+    await logAuditEvent({
+      event_type: AuditEventType.RANKING_CONFIG_UPDATED,
+      user_id: req.user.id,
+      user_role: req.user.role,
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: event.id,
+      metadata: { previous: event.ranking_config || null, config: overrides }
+    });
+
+    return successResponse(res, {
+      event_id: event.id,
+      config: ranking.config,
+      overrides: ranking.overrides,
+      is_default: ranking.is_default
+    }, 'Ranking config saved');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Drop an event's ranking overrides and go back to the default formulas
+ * @route DELETE /api/ranking/:eventId/config
+ */
+const resetRankingConfig = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    await EventModel.updateRankingConfig(event.id, null, req.user.id);
+    const ranking = await loadRankingConfig(event, null);
+    await Stall.refreshWeightedScores({ event_id: event.id }, ranking.config.vote_weights, query);
+
+    await logAuditEvent({
+      event_type: AuditEventType.RANKING_CONFIG_UPDATED,
+      user_id: req.user.id,
+      user_role: req.user.role,
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT',
+      resource_id: event.id,
+      metadata: { previous: event.ranking_config || null, config: null, reset: true }
+    });
+
+    return successResponse(res, {
+      event_id: event.id,
+      config: ranking.config,
+      is_default: true
+    }, 'Ranking config reset to defaults');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Preview how the leaderboards would change with a proposed config (nothing is saved)
+ * Body: { config: { vote_weights, stalls, students, schools }, limit }
+ * @route POST /api/ranking/:eventId/config/preview
+ */
+const previewRankingConfig = async (req, res, next) => {
+  try {
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    const { config: proposedOverrides, limit } = req.body || {};
+    const { config, error } = validateRankingConfig(proposedOverrides || {});
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+    const current = await loadRankingConfig(event);
+    const proposed = await loadRankingConfig(event, config);
+
+    const leaderboards = await previewLeaderboards(event.id, current, proposed, limitNum);
+
+    return successResponse(res, {
+      event_id: event.id,
+      limit: limitNum,
+      current_config: current.config,
+      proposed_config: proposed.config,
+      ...leaderboards
+    }, 'Ranking config preview generated');
+  } catch (error) {
+    next(error);
+  }
+};
+
 export default {
   getAllRankings,
   getRankingByStall,
@@ -1115,9 +892,16 @@ export default {
   getTopStudentRankings: getTopStudents,
   getTopStudents,
   getTopSchools,
+  getPublishedStallRankings,
+  getPublishedStudentRankings,
+  getPublishedSchoolRankings,
   getMyRanking,
   updateRanking,
   calculateRankings,
+  getRankingConfig,
+  updateRankingConfig,
+  resetRankingConfig,
+  previewRankingConfig,
   createRanking,
   deleteRanking,
   // Admin cross-event methods
@@ -5,13 +5,40 @@ import Feedback from '../models/Feedback.model.js';
 import Ranking from '../models/Ranking.model.js';
 import StudentEventRanking from '../models/StudentEventRanking.model.js';
 import EventModel from '../models/Event.model.js';
-import EventRegistrationModel from '../models/EventRegistration.model.js';
+import EventRegistrationModel, { DISCOUNT_LIMIT_REACHED } from '../models/EventRegistration.model.js';
+import EventSessionModel from '../models/EventSession.model.js';
+import TeamModel from '../models/Team.model.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import QRCodeService from '../services/qrCode.js';
 import PaymentService from '../services/payment.js';
-import { successResponse, errorResponse } from '../helpers/response.js';
-import { setAuthCookie, clearAuthCookie } from '../helpers/cookie.js';
+import { calculatePrice } from '../services/pricing.service.js';
+import { settleCapturedPayment, SettlementStatus } from '../services/paymentSettlement.service.js';
+import {
+  getTeamForRegistration,
+  completeTeamRegistration,
+  cancelTeamRegistration
+} from '../services/team.service.js';
+import { uploadRegistrationFile } from '../services/cloudinary.js';
+import { validateFormResponses } from '../utils/registrationForm.js';
+import { ICS_CONTENT_TYPE } from '../utils/icalendar.js';
+import { renderEventCalendar } from '../services/calendar.service.js';
+import { getVoteWeights } from '../services/rankingConfig.service.js';
+import { getModerationConfig, screenFeedback, MAX_COMMENT_LENGTH } from '../services/feedbackModeration.service.js';
+import { getQuestionnaire, validateFeedbackResponse } from '../services/feedbackQuestionnaire.service.js';
+import NotificationService, { NotificationTrigger } from '../services/notification.js';
+import PasswordResetService from '../services/passwordReset.service.js';
+import AuthSessionService from '../services/authSession.service.js';
+import { publishToEvent, publishRegistrationCount, RealtimeMessage } from '../services/realtime.js';
+import {
+  joinQueue,
+  leaveQueue,
+  getStudentTokens,
+  getStallQueueSummary,
+  isValidQueueId
+} from '../services/stallQueue.service.js';
+import { successResponse, errorResponse, validationErrorResponse } from '../helpers/response.js';
+import { getAuditRequestInfo } from '../utils/auditLogger.js';
 import { query } from '../config/db.js';
 
 /**
@@ -47,28 +74,26 @@ const login = async (req, res, next) => {
 
     // Check if password reset is required (first-time login or admin-forced reset)
     if (student.password_reset_required) {
+      // Proves the password was entered; exchanged at /verify-reset-credentials with DOB + pincode
+      const loginToken = jwt.sign(
+        { id: student.id, registration_no: student.registration_no, purpose: 'first_login' },
+        process.env.JWT_SECRET,
+        { expiresIn: '10m' }
+      );
+
       return successResponse(res, {
         requires_password_reset: true,
         registration_no: student.registration_no,
+        login_token: loginToken,
         message: 'Please reset your password to continue'
       }, 'Password reset required');
     }
 
-    const token = jwt.sign(
-      { 
-        id: student.id, 
-        registration_no: student.registration_no, 
-        role: student.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    // Set secure HTTP-Only cookie
-    setAuthCookie(res, token);
+    // Short-lived access token + refresh token, both also set as HTTP-Only cookies
+    const session = await AuthSessionService.startSession(req, res, 'STUDENT', student);
 
     return successResponse(res, {
-      token,
+      ...session,
       student: {
         id: student.id,
         full_name: student.full_name,
@@ -116,7 +141,7 @@ const getProfile = async (req, res, next) => {
  */
 const logout = async (req, res, next) => {
   try {
-    clearAuthCookie(res);
+    await AuthSessionService.endSession(req, res);
     return successResponse(res, null, 'Logout successful');
   } catch (error) {
     next(error);
@@ -304,41 +329,16 @@ const scanStall = async (req, res, next) => {
       return errorResponse(res, 'Student not found. Please login again.', 404);
     }
     
-    if (!student.is_inside_event) {
-      return errorResponse(res, 'You must be checked in at the event to scan stalls', 403);
-    }
-
-    // Get current event from active check-in
-    const activeCheckInResult = await query(
-      `SELECT event_id FROM check_in_outs 
-       WHERE student_id = $1 AND scan_type = 'CHECKIN' 
-       ORDER BY scanned_at DESC LIMIT 1`,
-      [req.user.id]
-    );
+    // Presence is tracked per event - the student must be inside the stall's event
+    const registration = stall.event_id
+      ? await EventRegistrationModel.findByEventAndStudent(stall.event_id, req.user.id)
+      : null;
 
-    if (!activeCheckInResult || activeCheckInResult.length === 0) {
-      return errorResponse(res, 'No active check-in found. Please check in first.', 403);
+    if (!registration || !registration.is_inside_event) {
+      return errorResponse(res, 'You must be checked in at the event to scan stalls', 403);
     }
 
-    let currentEventId = activeCheckInResult[0].event_id;
-
-    // If event_id is NULL in check_in record (legacy data), use the stall's event_id
-    // This is safe because student is already verified as inside the event
-    if (!currentEventId) {
-      console.log('[SCAN-STALL] Check-in event_id is NULL, using stall event_id as fallback');
-      currentEventId = stall.event_id;
-    }
-
-    // Validate stall belongs to current event (convert both to string for proper UUID comparison)
-    const stallEventId = stall.event_id ? String(stall.event_id) : null;
-    const checkedInEventId = currentEventId ? String(currentEventId) : null;
-    
-    console.log('[SCAN-STALL] Stall event_id:', stallEventId);
-    console.log('[SCAN-STALL] Student checked-in event_id:', checkedInEventId);
-    
-    if (stallEventId !== checkedInEventId) {
-      return errorResponse(res, 'This stall does not belong to your current checked-in event', 403);
-    }
+    const currentEventId = stall.event_id;
 
     // Check if student already gave feedback to this stall in this event
     const existingFeedbackQuery = await query(
@@ -346,6 +346,13 @@ const scanStall = async (req, res, next) => {
       [req.user.id, stall.id, currentEventId]
     );
     const existingFeedback = existingFeedbackQuery.length > 0 ? existingFeedbackQuery[0] : null;
+
+    // Queue at this stall, so the student can join it (POST /stall-queue/join)
+    const [queue, myTokens, questionnaire] = await Promise.all([
+      getStallQueueSummary(stall.id),
+      getStudentTokens(req.user.id, { event_id: currentEventId }),
+      getQuestionnaire(currentEventId)
+    ]);
     
     return successResponse(res, {
       stall: {
@@ -357,10 +364,20 @@ const scanStall = async (req, res, next) => {
         location: stall.location
       },
       already_reviewed: !!existingFeedback,
+      // Feedback form of the event (null: a single 1-5 rating and a comment)
+      questionnaire,
       existing_feedback: existingFeedback ? {
         rating: existingFeedback.rating,
+        criteria_ratings: existingFeedback.criteria_ratings,
+        answers: existingFeedback.answers,
         comment: existingFeedback.comment,
         submitted_at: existingFeedback.submitted_at
+      } : null,
+      queue: queue ? {
+        waiting: queue.waiting,
+        last_token_called: queue.last_token_called,
+        estimated_wait_minutes: queue.estimated_wait_minutes,
+        my_token: myTokens.find(token => token.stall.id === stall.id) || null
       } : null
     }, 'Stall scanned successfully');
   } catch (error) {
@@ -370,19 +387,20 @@ const scanStall = async (req, res, next) => {
 
 /**
  * Submit feedback for a stall
+ * Body: { stall_id, rating, comment } or, when the event has a questionnaire,
+ * { stall_id, criteria: { key: 1-5 }, answers: { key: text }, comment }
  * @route POST /api/student/submit-feedback
  */
 const submitFeedback = async (req, res, next) => {
   try {
-    const { stall_id, rating, comment } = req.body;
+    const { stall_id, comment } = req.body;
 
-    // Validation
-    if (!stall_id || !rating) {
-      return errorResponse(res, 'Stall ID and rating are required', 400);
+    // Validation (ratings are checked against the stall's event questionnaire below)
+    if (!stall_id) {
+      return errorResponse(res, 'Stall ID is required', 400);
     }
-
-    if (rating < 1 || rating > 5) {
-      return errorResponse(res, 'Rating must be between 1 and 5', 400);
+    if (typeof comment === 'string' && comment.trim().length > MAX_COMMENT_LENGTH) {
+      return errorResponse(res, `Comment can be at most ${MAX_COMMENT_LENGTH} characters`, 400);
     }
 
     // Check if student is inside event
@@ -396,33 +414,25 @@ const submitFeedback = async (req, res, next) => {
       return errorResponse(res, 'Student not found. Please login again.', 404);
     }
     
-    if (!student.is_inside_event) {
-      return errorResponse(res, 'You must be checked in at the event to submit feedback', 403);
+    const stall = await Stall.findById(stall_id, query);
+    if (!stall) {
+      return errorResponse(res, 'Stall not found', 404);
     }
 
-    // Get current event from active check-in
-    const activeCheckInResult = await query(
-      `SELECT event_id FROM check_in_outs 
-       WHERE student_id = $1 AND scan_type = 'CHECKIN' 
-       ORDER BY scanned_at DESC LIMIT 1`,
-      [req.user.id]
-    );
+    // Presence is tracked per event - the student must be inside the stall's event
+    const registration = stall.event_id
+      ? await EventRegistrationModel.findByEventAndStudent(stall.event_id, req.user.id)
+      : null;
 
-    if (!activeCheckInResult || activeCheckInResult.length === 0) {
-      return errorResponse(res, 'No active check-in found. Please check in first.', 403);
+    if (!registration || !registration.is_inside_event) {
+      return errorResponse(res, 'You must be checked in at the event to submit feedback', 403);
     }
 
-    // Check if stall exists first (we need it for fallback event_id)
-    const stall = await Stall.findById(stall_id, query);
-    if (!stall) {
-      return errorResponse(res, 'Stall not found', 404);
-    }
+    const currentEventId = stall.event_id;
 
-    // Get current event ID, fallback to stall's event_id if NULL (legacy data)
-    let currentEventId = activeCheckInResult[0].event_id;
-    if (!currentEventId) {
-      console.log('[SUBMIT-FEEDBACK] Check-in event_id is NULL, using stall event_id as fallback');
-      currentEventId = stall.event_id;
+    const response = validateFeedbackResponse(await getQuestionnaire(currentEventId), req.body);
+    if (response.error) {
+      return errorResponse(res, response.error, 400);
     }
 
     // Get stall count for current event (dynamic limit)
@@ -438,37 +448,53 @@ const submitFeedback = async (req, res, next) => {
       );
     }
 
-    // Validate stall belongs to current event (convert both to string for proper UUID comparison)
-    const stallEventId = stall.event_id ? String(stall.event_id) : null;
-    const checkedInEventId = currentEventId ? String(currentEventId) : null;
-    
-    if (stallEventId !== checkedInEventId) {
-      return errorResponse(res, 'This stall does not belong to your current checked-in event', 403);
-    }
-
     // Check if already gave feedback to this stall
     const existingFeedback = await Feedback.findByStudentAndStall(req.user.id, stall_id, query);
     if (existingFeedback) {
       return errorResponse(res, 'You have already submitted feedback for this stall', 409);
     }
 
+    // Screen the comment and answers with the event's moderation rules
+    const screened = screenFeedback(comment, response.answers, await getModerationConfig(currentEventId));
+    if (screened.blocked) {
+      return errorResponse(res, 'Your feedback contains words that are not allowed. Please rephrase it.', 400);
+    }
+
     // Create feedback with event_id
     const feedback = await Feedback.create({
       student_id: req.user.id,
       stall_id: stall_id,
-      rating: rating,
-      comment: comment || null,
-      event_id: currentEventId
+      rating: response.rating,
+      criteria_ratings: response.criteria_ratings,
+      answers: screened.answers,
+      original_answers: screened.original_answers,
+      comment: screened.comment,
+      event_id: currentEventId,
+      moderation_status: screened.moderation_status,
+      moderation_reasons: screened.moderation_reasons,
+      original_comment: screened.original_comment,
+      comment_redacted: screened.comment_redacted
     }, query);
 
     // Increment student's feedback count
     await Student.incrementFeedbackCount(req.user.id, query);
 
-    // Increment stall's feedback count
-    await query(
-      'UPDATE stalls SET total_feedback_count = total_feedback_count + 1 WHERE id = $1',
-      [stall_id]
-    );
+    // Increment stall's feedback count (held feedback is counted once a moderator approves it)
+    if (feedback.moderation_status === 'APPROVED') {
+      await query(
+        'UPDATE stalls SET total_feedback_count = total_feedback_count + 1 WHERE id = $1',
+        [stall_id]
+      );
+    }
+
+    publishToEvent(currentEventId, RealtimeMessage.FEEDBACK_SUBMITTED, {
+      feedback_id: feedback.id,
+      stall_id: stall.id,
+      stall_name: stall.stall_name,
+      stall_number: stall.stall_number,
+      rating: feedback.rating,
+      submitted_at: feedback.submitted_at
+    });
 
     return successResponse(res, {
       feedback: {
@@ -476,7 +502,10 @@ const submitFeedback = async (req, res, next) => {
         stall_name: stall.stall_name,
         stall_number: stall.stall_number,
         rating: feedback.rating,
+        criteria_ratings: feedback.criteria_ratings,
+        answers: feedback.answers,
         comment: feedback.comment,
+        moderation_status: feedback.moderation_status,
         submitted_at: feedback.submitted_at
       },
       event_stats: {
@@ -484,7 +513,9 @@ const submitFeedback = async (req, res, next) => {
         feedbacks_given_in_event: feedbackCount + 1,
         remaining_feedbacks_in_event: stallCount - (feedbackCount + 1)
       }
-    }, 'Feedback submitted successfully', 201);
+    }, feedback.moderation_status === 'PENDING'
+      ? 'Feedback submitted; it will be visible once it is reviewed'
+      : 'Feedback submitted successfully', 201);
   } catch (error) {
     next(error);
   }
@@ -547,16 +578,118 @@ const getMyVisits = async (req, res, next) => {
       feedback_count: parseInt(visit.feedback_count) || 0
     }));
 
+    // 4) Stall queues the student is waiting in
+    const queues = await getStudentTokens(studentId);
+
     return successResponse(res, {
       total_event_visits: totalEventVisits, // number of events checked into
       total_feedbacks: totalFeedbacks, // total feedbacks given across all events
-      visits // list of events visited with check-in time and feedback counts
+      visits, // list of events visited with check-in time and feedback counts
+      queues // open stall queue tokens with position and estimated wait
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Join a stall's virtual queue by scanning its QR code
+ * Returns the student's token with position and estimated wait (the existing token if already queued)
+ * Body: { stall_qr_token }
+ * @route POST /api/student/stall-queue/join
+ */
+const joinStallQueue = async (req, res, next) => {
+  try {
+    const { stall_qr_token } = req.body;
+
+    if (!stall_qr_token) {
+      return errorResponse(res, 'Stall QR code is required', 400);
+    }
+
+    const stallDecoded = QRCodeService.verifyStallQRToken(stall_qr_token);
+    if (!stallDecoded || !stallDecoded.valid) {
+      return errorResponse(res, 'Invalid stall QR code', 400);
+    }
+
+    const stall = await Stall.findByQRToken(stall_qr_token, query);
+    if (!stall) {
+      return errorResponse(res, 'Stall not found', 404);
+    }
+
+    // Presence is tracked per event - the student must be inside the stall's event
+    const registration = stall.event_id
+      ? await EventRegistrationModel.findByEventAndStudent(stall.event_id, req.user.id)
+      : null;
+
+    if (!registration || !registration.is_inside_event) {
+      return errorResponse(res, 'You must be checked in at the event to join a stall queue', 403);
+    }
+
+    const result = await joinQueue(stall, req.user.id);
+    if (result.error) {
+      return errorResponse(res, result.error, result.status);
+    }
+
+    return successResponse(
+      res,
+      { token: result.token },
+      result.already_queued
+        ? `You are already in this queue (token ${result.token.token_number})`
+        : `You are token ${result.token.token_number} at ${stall.stall_name}`,
+      result.already_queued ? 200 : 201
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Student's stall queue tokens with position and estimated wait
+ * Query: event_id (optional), include_closed=true for served/expired/left tokens too
+ * @route GET /api/student/stall-queue
+ */
+const getMyQueueTokens = async (req, res, next) => {
+  try {
+    const { event_id, include_closed } = req.query;
+
+    if (event_id && !isValidQueueId(event_id)) {
+      return errorResponse(res, 'Invalid event_id', 400);
+    }
+
+    const tokens = await getStudentTokens(req.user.id, {
+      event_id: event_id || null,
+      include_closed: include_closed === 'true'
+    });
+
+    return successResponse(res, { tokens });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Leave a stall queue
+ * @route DELETE /api/student/stall-queue/:tokenId
+ */
+const leaveStallQueue = async (req, res, next) => {
+  try {
+    const { tokenId } = req.params;
+
+    if (!isValidQueueId(tokenId)) {
+      return errorResponse(res, 'Invalid queue token ID', 400);
+    }
+
+    const result = await leaveQueue(req.user.id, tokenId);
+    if (result.error) {
+      return errorResponse(res, result.error, result.status);
+    }
+
+    return successResponse(res, { token: result.token }, 'You left the queue');
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get student's school stalls for ranking (Category 2)
  * @route GET /api/student/my-school-stalls
@@ -851,13 +984,19 @@ const submitSchoolRanking = async (req, res, next) => {
         await query(
           `UPDATE stalls 
            SET ${columnName} = ${columnName} + 1,
-               weighted_score = (rank_1_votes * 5) + (rank_2_votes * 3) + (rank_3_votes * 1),
                updated_at = NOW()
            WHERE id = $1`,
           [ranking.stall_id]
         );
       }
 
+      // Cached weighted scores use the event's vote weights
+      await Stall.refreshWeightedScores(
+        { stall_ids: rankings.map(r => r.stall_id) },
+        await getVoteWeights(currentEventId),
+        query
+      );
+
       await query('COMMIT');
 
       const rankedStallsQuery = `
@@ -958,17 +1097,18 @@ const getMySchoolRanking = async (req, res, next) => {
 };
 
 /**
- * Verify reset credentials - Step 1 of password reset
- * Validates DOB and pincode before allowing password reset
+ * Verify reset credentials - first-time login (password_reset_required)
+ * Validates DOB and pincode on top of the password checked at login (login_token).
+ * Forgotten passwords go through POST /forgot-password instead.
  * @route POST /api/student/verify-reset-credentials
  */
 const verifyResetCredentials = async (req, res, next) => {
   try {
-    const { registration_no, date_of_birth, pincode } = req.body;
+    const { login_token, date_of_birth, pincode } = req.body;
 
     // Validate required fields
-    if (!registration_no || !date_of_birth || !pincode) {
-      return errorResponse(res, 'Registration number, date of birth, and pincode are required', 400);
+    if (!login_token || !date_of_birth || !pincode) {
+      return errorResponse(res, 'Login token, date of birth, and pincode are required', 400);
     }
 
     // Validate pincode format using model validation method
@@ -981,34 +1121,42 @@ const verifyResetCredentials = async (req, res, next) => {
       return errorResponse(res, 'Invalid date of birth format or age requirement not met', 400);
     }
 
-    // Debug: Log the input values
-    console.log('🔍 Verify Reset Credentials Input:', {
-      registration_no,
-      date_of_birth,
-      pincode,
-      pincode_type: typeof pincode,
-      dob_type: typeof date_of_birth
-    });
+    let decoded;
+    try {
+      decoded = jwt.verify(login_token, process.env.JWT_SECRET);
+    } catch (err) {
+      if (err.name === 'TokenExpiredError') {
+        return errorResponse(res, 'Your login session has expired. Please log in again.', 401);
+      }
+      return errorResponse(res, 'Invalid login token', 401);
+    }
+    if (decoded.purpose !== 'first_login') {
+      return errorResponse(res, 'Invalid login token', 401);
+    }
 
     // Verify credentials match
     const student = await Student.verifyResetCredentials(
-      registration_no,
+      decoded.registration_no,
       date_of_birth,
       pincode,
       query
     );
 
-    console.log('🔍 Query Result:', student ? 'Found student' : 'No match');
-
-    if (!student) {
+    if (!student || student.id !== decoded.id) {
       return errorResponse(res, 'Invalid credentials. Please check your details.', 401);
     }
 
-    // Generate temporary reset token (valid for 10 minutes)
+    if (!student.password_reset_required) {
+      return errorResponse(res, 'Password has already been set. Please log in.', 400);
+    }
+
+    // Generate temporary reset token (valid for 10 minutes, until the password is set)
     const resetToken = jwt.sign(
       { 
         id: student.id, 
+        account_type: 'STUDENT',
         registration_no: student.registration_no,
+        first_login: true,
         purpose: 'password_reset' 
       },
       process.env.JWT_SECRET,
@@ -1022,16 +1170,14 @@ const verifyResetCredentials = async (req, res, next) => {
       expires_in: '10 minutes'
     }, 'Credentials verified successfully');
   } catch (error) {
-    console.error('❌ Error in verifyResetCredentials:', error.message);
-    console.error('Stack:', error.stack);
     next(error);
   }
 };
 
 /**
- * Reset password - Step 2 of password reset
- * Updates password using the reset token
- * @route POST /api/student/reset-password
+ * Reset password - last step of first-time login and of the forgot-password flow
+ * Updates password using a reset token (usable once) and logs the student in
+ * @route POST /api/student/reset-password (also POST /api/student/forgot-password/reset)
  */
 const resetPassword = async (req, res, next) => {
   try {
@@ -1052,45 +1198,27 @@ const resetPassword = async (req, res, next) => {
       return errorResponse(res, 'Password must be at least 8 characters with at least one letter and one number', 400);
     }
 
-    // Verify reset token
-    let decoded;
-    try {
-      decoded = jwt.verify(reset_token, process.env.JWT_SECRET);
-      
-      if (decoded.purpose !== 'password_reset') {
-        return errorResponse(res, 'Invalid reset token', 401);
-      }
-    } catch (err) {
-      if (err.name === 'TokenExpiredError') {
-        return errorResponse(res, 'Reset token has expired. Please verify credentials again.', 401);
-      }
-      return errorResponse(res, 'Invalid reset token', 401);
+    // Verify reset token (from /verify-reset-credentials or /forgot-password/verify)
+    const consumed = await PasswordResetService.consumeResetToken('STUDENT', reset_token);
+    if (consumed.error) {
+      return errorResponse(res, consumed.error, consumed.status);
     }
 
     // Reset password
-    const updatedStudent = await Student.resetPassword(decoded.id, new_password, query);
+    const updatedStudent = await Student.resetPassword(consumed.user_id, new_password, query);
 
     if (!updatedStudent) {
       return errorResponse(res, 'Failed to reset password', 500);
     }
 
-    // Generate new auth token
-    const authToken = jwt.sign(
-      { 
-        id: updatedStudent.id, 
-        registration_no: updatedStudent.registration_no, 
-        email: updatedStudent.email,
-        role: updatedStudent.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    await PasswordResetService.logPasswordReset('STUDENT', updatedStudent.id, getAuditRequestInfo(req));
 
-    // Set secure HTTP-Only cookie
-    setAuthCookie(res, authToken);
+    // Log out every other device, then start a fresh session here
+    await AuthSessionService.revokeAllSessions('STUDENT', updatedStudent.id, 'PASSWORD_RESET');
+    const session = await AuthSessionService.startSession(req, res, 'STUDENT', updatedStudent);
 
     return successResponse(res, {
-      token: authToken,
+      ...session,
       student: {
         id: updatedStudent.id,
         full_name: updatedStudent.full_name,
@@ -1185,6 +1313,12 @@ const getEventDetails = async (req, res, next) => {
     // Check registration status
     const registrationStatus = await EventModel.isRegistrationOpen(eventId);
 
+    // Schedule of active sessions (multi-session events)
+    const sessions = await EventSessionModel.findByEvent(eventId, { activeOnly: true });
+
+    // Team events: the student's team (captain registers it once enough members accepted)
+    const team = event.is_team_event ? await TeamModel.findByEventAndStudent(eventId, studentId) : null;
+
     return successResponse(res, {
       event: {
         ...event,
@@ -1194,6 +1328,18 @@ const getEventDetails = async (req, res, next) => {
       },
       is_registered: isConfirmedRegistration,
       registration: registration || null,
+      sessions: sessions.map(session => ({
+        id: session.id,
+        session_name: session.session_name,
+        session_type: session.session_type,
+        description: session.description,
+        venue: session.venue,
+        start_time: session.start_time,
+        end_time: session.end_time,
+        capacity: session.capacity,
+        currently_inside: session.currently_inside
+      })),
+      team,
       registration_open: registrationStatus.open,
       registration_message: registrationStatus.reason || 'Registration is open'
     });
@@ -1202,13 +1348,68 @@ const getEventDetails = async (req, res, next) => {
   }
 };
 
+/**
+ * Download an event as .ics for adding to a calendar app
+ * Shows as cancelled when the event or the student's registration is cancelled
+ * @route GET /api/student/events/:eventId/calendar.ics
+ */
+const downloadEventCalendar = async (req, res, next) => {
+  try {
+    const { eventId } = req.params;
+
+    const event = await EventModel.findById(eventId);
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+
+    // Registrations still awaiting payment are not reflected in the calendar entry
+    const registration = await EventRegistrationModel.findByEventAndStudent(eventId, req.user.id);
+    const calendar = renderEventCalendar(
+      event,
+      registration && registration.payment_status !== 'PENDING' ? registration : null
+    );
+
+    const filename = `${event.event_code || 'event'}.ics`.replace(/[^A-Za-z0-9._-]/g, '_');
+
+    res.setHeader('Content-Type', ICS_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(calendar);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Validate answers to the event's registration form and upload attached files
+ * @param {Object} event - Event row (registration_form)
+ * @param {Object} answers - { [field key]: value } from the request body
+ * @param {Object} storedResponses - Answers saved by a previous payment attempt
+ * @returns {Promise<Object>} { errors } when invalid, otherwise { responses } ready to store
+ */
+const prepareFormResponses = async (event, answers, storedResponses = {}) => {
+  const { valid, errors, responses, uploads } = validateFormResponses(event.registration_form, answers, storedResponses);
+  if (!valid) {
+    return { errors };
+  }
+
+  for (const upload of uploads) {
+    const url = await uploadRegistrationFile(upload.data, event.id);
+    responses[upload.key] = { url, mime_type: upload.mime_type, size_bytes: upload.size_bytes };
+  }
+
+  return { responses };
+};
+
 /**
  * Register for free event
+ * Body: { form_responses, team_id } - answers to the event's registration form;
+ *   team_id is required for team events (captain registers the whole team)
  * @route POST /api/student/events/:eventId/register
  */
 const registerForFreeEvent = async (req, res, next) => {
   try {
     const { eventId } = req.params;
+    const { form_responses, team_id } = req.body || {};
     const studentId = req.user.id;
 
     // Get event details
@@ -1237,6 +1438,16 @@ const registerForFreeEvent = async (req, res, next) => {
       return errorResponse(res, 'You are already registered for this event', 400);
     }
 
+    // Team events: one registration per team, made by the captain
+    let team = null;
+    if (event.is_team_event) {
+      const teamCheck = await getTeamForRegistration(event, team_id, studentId);
+      if (teamCheck.error) {
+        return errorResponse(res, teamCheck.error, teamCheck.status);
+      }
+      team = teamCheck.team;
+    }
+
     // ✅ CRITICAL: Check event capacity before registration
     if (event.max_capacity && event.current_registrations >= event.max_capacity) {
       if (event.waitlist_enabled) {
@@ -1256,16 +1467,36 @@ const registerForFreeEvent = async (req, res, next) => {
 
     console.log(`✅ [REGISTRATION] Capacity check passed: ${event.current_registrations}/${event.max_capacity || 'unlimited'}`);
 
+    const form = await prepareFormResponses(event, form_responses);
+    if (form.errors) {
+      return validationErrorResponse(res, form.errors);
+    }
+
     // Create registration
     const registration = await EventRegistrationModel.createFreeRegistration(
       eventId,
-      studentId
+      studentId,
+      form.responses,
+      { team_id: team ? team.id : null }
+    );
+
+    const teamMembers = await completeTeamRegistration(registration);
+
+    NotificationService.notifyStudent(
+      registration.registration_status === 'WAITLISTED'
+        ? NotificationTrigger.REGISTRATION_WAITLISTED
+        : NotificationTrigger.REGISTRATION_CONFIRMED,
+      studentId,
+      {},
+      { event_id: eventId, registration_id: registration.id }
     );
 
+    publishRegistrationCount(eventId);
+
     return successResponse(
       res,
-      { registration },
-      'Successfully registered for the event',
+      teamMembers ? { registration, team_members_registered: teamMembers.length } : { registration },
+      team ? `Team "${team.team_name}" registered for the event` : 'Successfully registered for the event',
       201
     );
   } catch (error) {
@@ -1273,13 +1504,48 @@ const registerForFreeEvent = async (req, res, next) => {
   }
 };
 
+/**
+ * Preview the price the student would pay (pricing rules and optional coupon applied)
+ * @route GET /api/student/events/:eventId/price?coupon_code=
+ */
+const getEventPrice = async (req, res, next) => {
+  try {
+    const { eventId } = req.params;
+    const { coupon_code } = req.query;
+    const studentId = req.user.id;
+
+    const event = await EventModel.findById(eventId);
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+
+    if (event.event_type !== 'PAID') {
+      return errorResponse(res, 'This is a free event', 400);
+    }
+
+    const student = await Student.findById(studentId, query);
+    const existing = await EventRegistrationModel.findByEventAndStudent(eventId, studentId);
+
+    const pricing = await calculatePrice(event, student, {
+      couponCode: coupon_code,
+      registrationId: existing ? existing.id : null
+    });
+
+    return successResponse(res, pricing);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Initiate payment for paid event
+ * Body: { coupon_code (optional), form_responses, team_id (team events: captain pays once for the team) }
  * @route POST /api/student/events/:eventId/payment/initiate
  */
 const initiatePaidEventPayment = async (req, res, next) => {
   try {
     const { eventId } = req.params;
+    const { coupon_code, form_responses, team_id } = req.body || {};
     const studentId = req.user.id;
 
     // Get event details
@@ -1308,6 +1574,15 @@ const initiatePaidEventPayment = async (req, res, next) => {
       return errorResponse(res, 'You are already registered for this event', 400);
     }
 
+    let team = null;
+    if (event.is_team_event) {
+      const teamCheck = await getTeamForRegistration(event, team_id, studentId);
+      if (teamCheck.error) {
+        return errorResponse(res, teamCheck.error, teamCheck.status);
+      }
+      team = teamCheck.team;
+    }
+
     // ✅ CRITICAL: Check event capacity before payment initiation
     if (event.max_capacity && event.current_registrations >= event.max_capacity) {
       if (event.waitlist_enabled) {
@@ -1330,9 +1605,32 @@ const initiatePaidEventPayment = async (req, res, next) => {
     // Get student details
     const student = await Student.findById(studentId, query);
 
+    // Price with the best applicable pricing rule (early-bird, coupon, school, group)
+    const pricing = await calculatePrice(event, student, {
+      couponCode: coupon_code,
+      registrationId: existing ? existing.id : null
+    });
+
+    if (pricing.coupon && !pricing.coupon.valid) {
+      return errorResponse(res, pricing.coupon.reason, 400);
+    }
+
+    // A retry keeps the answers (and uploaded files) of the previous attempt unless replaced
+    const form = await prepareFormResponses(event, form_responses, existing?.form_responses);
+    if (form.errors) {
+      return validationErrorResponse(res, form.errors);
+    }
+
+    const paymentPricing = {
+      base_amount: pricing.base_amount,
+      discount_amount: pricing.discount_amount,
+      rule: pricing.rule,
+      coupon_code: pricing.coupon?.applied ? pricing.coupon.code : null
+    };
+
     // Create Razorpay order
     const order = await PaymentService.createOrder({
-      amount: event.price,
+      amount: pricing.final_amount,
       currency: event.currency,
       event_id: eventId,
       student_id: studentId,
@@ -1340,24 +1638,44 @@ const initiatePaidEventPayment = async (req, res, next) => {
     });
 
     // Create or update registration record
+    // The seat and the pricing rule's usage limit are checked again when it is written
     let registration;
-    if (existing && existing.payment_status === 'PENDING') {
-      // Update existing pending registration
-      registration = await EventRegistrationModel.completePayment(existing.id, {
-        razorpay_payment_id: null,
-        razorpay_signature: null
-      });
-    } else {
-      // Create new registration
-      registration = await EventRegistrationModel.createPaidRegistration(
-        eventId,
-        studentId,
-        {
-          amount: event.price,
+    try {
+      if (existing && ['PENDING', 'FAILED'].includes(existing.payment_status)) {
+        // Retry on an unpaid (or expired) registration - attach the new order
+        registration = await EventRegistrationModel.reopenPaidRegistration(existing.id, {
+          amount: pricing.final_amount,
           currency: event.currency,
-          razorpay_order_id: order.order_id
-        }
-      );
+          razorpay_order_id: order.order_id,
+          pricing: paymentPricing,
+          form_responses: form.responses,
+          team_id: team ? team.id : null
+        });
+      } else {
+        // Create new registration
+        registration = await EventRegistrationModel.createPaidRegistration(
+          eventId,
+          studentId,
+          {
+            amount: pricing.final_amount,
+            currency: event.currency,
+            razorpay_order_id: order.order_id,
+            pricing: paymentPricing,
+            form_responses: form.responses,
+            team_id: team ? team.id : null
+          }
+        );
+      }
+    } catch (error) {
+      if (error.message.startsWith('Event is full') || error.message === DISCOUNT_LIMIT_REACHED) {
+        return errorResponse(res, error.message, 409);
+      }
+      throw error;
+    }
+
+    if (team) {
+      // Members are registered once the captain's payment completes
+      await TeamModel.setCaptainRegistration(team.id, registration.id);
     }
 
     return successResponse(
@@ -1365,6 +1683,7 @@ const initiatePaidEventPayment = async (req, res, next) => {
       {
         order,
         registration_id: registration.id,
+        pricing,
         razorpay_key: PaymentService.getPublicKey(),
         student: {
           name: student.full_name,
@@ -1431,11 +1750,24 @@ const verifyPayment = async (req, res, next) => {
       return errorResponse(res, 'Unauthorized', 403);
     }
 
-    // Complete payment
-    const updated = await EventRegistrationModel.completePayment(registration.id, {
+    const settlement = await settleCapturedPayment(registration, {
       razorpay_payment_id,
-      razorpay_signature
+      razorpay_signature,
+      source: 'checkout_callback'
     });
+    const updated = settlement.registration;
+
+    if (settlement.status === SettlementStatus.REFUNDED) {
+      return errorResponse(
+        res,
+        'Your payment arrived after the registration expired and the event is now full. The payment has been refunded.',
+        409
+      );
+    }
+    if (settlement.status === SettlementStatus.UNMATCHED ||
+        (settlement.status === SettlementStatus.ALREADY_SETTLED && updated.payment_status !== 'COMPLETED')) {
+      return errorResponse(res, `Registration is ${updated.registration_status.toLowerCase()}. Please contact support.`, 409);
+    }
 
     return successResponse(
       res,
@@ -1504,11 +1836,22 @@ const checkPaymentStatus = async (req, res, next) => {
         paymentId = successfulPayment.id;
       }
 
-      // Complete payment in database
-      const updated = await EventRegistrationModel.completePayment(registration.id, {
+      const settlement = await settleCapturedPayment(registration, {
         razorpay_payment_id: paymentId || 'verified_via_api',
-        razorpay_signature: 'verified_via_order_status'
+        razorpay_signature: 'verified_via_order_status',
+        source: 'payment_status_check'
       });
+      const updated = settlement.registration;
+
+      if (settlement.status === SettlementStatus.REFUNDED) {
+        return successResponse(res, {
+          status: 'refunded',
+          registration: updated
+        }, 'Your payment arrived after the registration expired and the event is now full. The payment has been refunded.');
+      }
+      if (updated.payment_status !== 'COMPLETED') {
+        return errorResponse(res, `Registration is ${updated.registration_status.toLowerCase()}. Please contact support.`, 409);
+      }
 
       console.log(`✅ [CHECK STATUS] Registration completed successfully!`);
 
@@ -1574,6 +1917,10 @@ const cancelEventRegistration = async (req, res, next) => {
       return errorResponse(res, 'Registration already cancelled', 400);
     }
 
+    if (registration.team_role === 'MEMBER') {
+      return errorResponse(res, 'Team registrations can only be cancelled by the team captain', 400);
+    }
+
     // Get event details
     const event = await EventModel.findById(eventId);
     if (!event) {
@@ -1588,7 +1935,7 @@ const cancelEventRegistration = async (req, res, next) => {
     // Calculate refund info for paid events
     let refundInfo = null;
     if (event.event_type === 'PAID' && registration.payment_status === 'COMPLETED') {
-      const paidAmount = parseFloat(registration.amount_paid || event.price || 0);
+      const paidAmount = parseFloat(registration.payment_amount ?? event.price ?? 0);
       
       // Simple refund policy: 
       // - More than 7 days before: 100% refund
@@ -1681,6 +2028,35 @@ const cancelEventRegistration = async (req, res, next) => {
 
     console.log(`✅ Registration cancelled successfully`);
 
+    // A captain cancelling cancels the whole team
+    await cancelTeamRegistration(registration, {
+      user_id: studentId,
+      user_role: 'STUDENT',
+      reason: 'Your team captain cancelled the team registration'
+    });
+
+    if (razorpayRefund) {
+      NotificationService.notifyStudent(
+        NotificationTrigger.REFUND_PROCESSED,
+        studentId,
+        {
+          refund_amount: refundInfo.refund_amount,
+          refund_id: razorpayRefund.id,
+          reason: refundInfo.refund_reason
+        },
+        { event_id: eventId, registration_id: registration.id }
+      );
+    } else {
+      NotificationService.notifyStudent(
+        NotificationTrigger.REGISTRATION_CANCELLED,
+        studentId,
+        { reason: 'Cancelled at your request' },
+        { event_id: eventId, registration_id: registration.id }
+      );
+    }
+
+    publishRegistrationCount(eventId);
+
     return successResponse(res, {
       cancelled: true,
       event_name: event.event_name,
@@ -1707,19 +2083,24 @@ const cancelEventRegistration = async (req, res, next) => {
  * Submit feedback for event-scoped operation
  * @route POST /api/student/events/:eventId/submit-feedback
  * Dynamic limit based on stall count in event
+ * Ratings follow the event questionnaire when it has one (criteria and answers instead of rating)
  */
 const submitEventFeedback = async (req, res, next) => {
   try {
-    const { stall_id, rating, comment } = req.body;
+    const { stall_id, comment } = req.body;
     const { eventId, user, activeCheckIn } = req;
 
     // Validation
-    if (!stall_id || !rating) {
-      return errorResponse(res, 'Stall ID and rating are required', 400);
+    if (!stall_id) {
+      return errorResponse(res, 'Stall ID is required', 400);
+    }
+    if (typeof comment === 'string' && comment.trim().length > MAX_COMMENT_LENGTH) {
+      return errorResponse(res, `Comment can be at most ${MAX_COMMENT_LENGTH} characters`, 400);
     }
 
-    if (rating < 1 || rating > 5) {
-      return errorResponse(res, 'Rating must be between 1 and 5', 400);
+    const response = validateFeedbackResponse(await getQuestionnaire(eventId), req.body);
+    if (response.error) {
+      return errorResponse(res, response.error, 400);
     }
 
     // Get dynamic feedback limit based on stall count in this event
@@ -1754,23 +2135,47 @@ const submitEventFeedback = async (req, res, next) => {
       return errorResponse(res, 'You have already submitted feedback for this stall', 409);
     }
 
+    // Screen the comment and answers with the event's moderation rules
+    const screened = screenFeedback(comment, response.answers, await getModerationConfig(eventId));
+    if (screened.blocked) {
+      return errorResponse(res, 'Your feedback contains words that are not allowed. Please rephrase it.', 400);
+    }
+
     // Create feedback with event_id
     const feedback = await Feedback.create({
       student_id: user.id,
       stall_id: stall_id,
-      rating: rating,
-      comment: comment || null,
-      event_id: eventId
+      rating: response.rating,
+      criteria_ratings: response.criteria_ratings,
+      answers: screened.answers,
+      original_answers: screened.original_answers,
+      comment: screened.comment,
+      event_id: eventId,
+      moderation_status: screened.moderation_status,
+      moderation_reasons: screened.moderation_reasons,
+      original_comment: screened.original_comment,
+      comment_redacted: screened.comment_redacted
     }, query);
 
-    // Increment stall's feedback count
-    await query(
-      `UPDATE stalls 
-       SET total_feedback_count = total_feedback_count + 1,
-           updated_at = NOW()
-       WHERE id = $1`,
-      [stall_id]
-    );
+    // Increment stall's feedback count (held feedback is counted once a moderator approves it)
+    if (feedback.moderation_status === 'APPROVED') {
+      await query(
+        `UPDATE stalls 
+         SET total_feedback_count = total_feedback_count + 1,
+             updated_at = NOW()
+         WHERE id = $1`,
+        [stall_id]
+      );
+    }
+
+    publishToEvent(eventId, RealtimeMessage.FEEDBACK_SUBMITTED, {
+      feedback_id: feedback.id,
+      stall_id: stall.id,
+      stall_name: stall.stall_name,
+      stall_number: stall.stall_number,
+      rating: feedback.rating,
+      submitted_at: feedback.submitted_at
+    });
 
     return successResponse(res, {
       feedback,
@@ -1780,7 +2185,9 @@ const submitEventFeedback = async (req, res, next) => {
         max_feedbacks: stallCount,
         remaining: stallCount - feedbackCount - 1
       }
-    }, 'Feedback submitted successfully');
+    }, feedback.moderation_status === 'PENDING'
+      ? 'Feedback submitted; it will be visible once it is reviewed'
+      : 'Feedback submitted successfully');
   } catch (error) {
     next(error);
   }
@@ -1800,9 +2207,13 @@ const getEventVisits = async (req, res, next) => {
     // Get stall count for this event
     const stallCount = await Stall.countByEvent(eventId, query);
 
+    // Stall queue tokens in this event (open ones first)
+    const queues = await getStudentTokens(user.id, { event_id: eventId, include_closed: true });
+
     return successResponse(res, {
       event_id: eventId,
       feedbacks: feedbacks,
+      queues,
       stats: {
         total_feedbacks: feedbacks.length,
         max_allowed: stallCount,
@@ -1907,13 +2318,19 @@ const submitEventRanking = async (req, res, next) => {
         await query(
           `UPDATE stalls 
            SET ${columnName} = ${columnName} + 1,
-               weighted_score = (rank_1_votes * 3) + (rank_2_votes * 2) + (rank_3_votes * 1),
                updated_at = NOW()
            WHERE id = $1`,
           [ranking.stall_id]
         );
       }
 
+      // Cached weighted scores use the event's vote weights
+      await Stall.refreshWeightedScores(
+        { stall_ids: rankings.map(r => r.stall_id) },
+        await getVoteWeights(eventId),
+        query
+      );
+
       await query('COMMIT');
 
       return successResponse(res, {
@@ -1975,6 +2392,9 @@ export default {
   scanStall,
   submitFeedback,
   getMyVisits,
+  joinStallQueue,
+  getMyQueueTokens,
+  leaveStallQueue,
   getMySchoolStalls,
   submitSchoolRanking,
   getMySchoolRanking,
@@ -1983,7 +2403,9 @@ export default {
   // Event-related methods
   getAvailableEvents,
   getEventDetails,
+  downloadEventCalendar,
   registerForFreeEvent,
+  getEventPrice,
   initiatePaidEventPayment,
   verifyPayment,
   checkPaymentStatus,
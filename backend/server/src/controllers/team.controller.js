@@ -0,0 +1,440 @@
+import Student from '../models/Student.model.js';
+import EventModel from '../models/Event.model.js';
+import EventRegistrationModel from '../models/EventRegistration.model.js';
+import TeamModel from '../models/Team.model.js';
+import { validateTeamName } from '../services/team.service.js';
+import NotificationService, { NotificationTrigger } from '../services/notification.js';
+import { successResponse, errorResponse } from '../helpers/response.js';
+import { logAuditEvent, AuditEventType, getAuditRequestInfo } from '../utils/auditLogger.js';
+import { query } from '../config/db.js';
+
+/**
+ * Team Controller
+ * Teams for competition events: the captain creates the team and invites members by
+ * registration number; members accept through their own login. The captain then
+ * registers (and for PAID events pays) once for the whole team.
+ */
+
+/**
+ * Whether a student holds an active (not cancelled) registration for an event
+ */
+const hasActiveRegistration = async (eventId, studentId) => {
+  const registration = await EventRegistrationModel.findByEventAndStudent(eventId, studentId);
+  return !!registration && registration.registration_status !== 'CANCELLED';
+};
+
+/**
+ * Load a team that can still change its roster (FORMING, no payment in progress)
+ * @returns {Promise<Object|null>} Team, or null after sending the error response
+ */
+const loadFormingTeam = async (res, teamId) => {
+  const team = await TeamModel.findById(teamId);
+  if (!team) {
+    errorResponse(res, 'Team not found', 404);
+    return null;
+  }
+
+  if (team.status !== 'FORMING') {
+    errorResponse(res, `Team is ${team.status.toLowerCase()}; its members can no longer change`, 400);
+    return null;
+  }
+
+  if (team.captain_registration_id) {
+    const registration = await EventRegistrationModel.findById(team.captain_registration_id);
+    if (registration && registration.payment_status === 'PENDING' && registration.registration_status !== 'CANCELLED') {
+      errorResponse(res, 'The captain\'s payment for this team is in progress. Members cannot change until it completes or fails.', 409);
+      return null;
+    }
+  }
+
+  return team;
+};
+
+/**
+ * Team with members and whether it can register
+ */
+const buildTeamResponse = async (team) => {
+  const members = await TeamModel.getMembers(team.id);
+
+  return {
+    team,
+    members,
+    can_register: team.status === 'FORMING' &&
+      team.accepted_count >= team.team_min_size &&
+      team.accepted_count <= team.team_max_size
+  };
+};
+
+/**
+ * Create a team for a team event (the creator becomes captain)
+ * Body: { team_name }
+ * @route POST /api/teams/events/:eventId
+ */
+const createTeam = async (req, res, next) => {
+  try {
+    const { eventId } = req.params;
+    const studentId = req.user.id;
+
+    const event = await EventModel.findById(eventId);
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+
+    if (!event.is_team_event) {
+      return errorResponse(res, 'This event does not use team registration', 400);
+    }
+
+    const registrationStatus = await EventModel.isRegistrationOpen(eventId);
+    if (!registrationStatus.open) {
+      return errorResponse(res, registrationStatus.reason, 400);
+    }
+
+    const { name, error } = validateTeamName(req.body?.team_name);
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    if (await hasActiveRegistration(eventId, studentId)) {
+      return errorResponse(res, 'You are already registered for this event', 400);
+    }
+
+    const currentTeam = await TeamModel.findByEventAndStudent(eventId, studentId);
+    if (currentTeam) {
+      return errorResponse(res, `You are already in team "${currentTeam.team_name}" for this event`, 409);
+    }
+
+    let team;
+    try {
+      team = await TeamModel.create(eventId, studentId, name);
+    } catch (createError) {
+      if (createError.code === '23505') {
+        return errorResponse(res, 'A team with this name already exists for this event', 409);
+      }
+      throw createError;
+    }
+
+    await logAuditEvent({
+      event_type: AuditEventType.TEAM_CREATED,
+      user_id: studentId,
+      user_role: 'STUDENT',
+      ...getAuditRequestInfo(req),
+      resource_type: 'TEAM',
+      resource_id: team.id,
+      metadata: { event_id: eventId, team_name: name }
+    });
+
+    const created = await TeamModel.findById(team.id);
+
+    return successResponse(res, await buildTeamResponse(created), 'Team created. Invite members by registration number.', 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the logged-in student's team for an event
+ * @route GET /api/teams/events/:eventId/my
+ */
+const getMyTeam = async (req, res, next) => {
+  try {
+    const team = await TeamModel.findByEventAndStudent(req.params.eventId, req.user.id);
+    if (!team) {
+      return successResponse(res, { team: null, members: [], can_register: false }, 'You are not in a team for this event');
+    }
+
+    return successResponse(res, await buildTeamResponse(team));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a team (accepted or invited members only)
+ * @route GET /api/teams/:teamId
+ */
+const getTeam = async (req, res, next) => {
+  try {
+    const team = await TeamModel.findById(req.params.teamId);
+    if (!team) {
+      return errorResponse(res, 'Team not found', 404);
+    }
+
+    const membership = await TeamModel.findMembership(team.id, req.user.id);
+    if (!membership || !['ACCEPTED', 'INVITED'].includes(membership.status)) {
+      return errorResponse(res, 'You are not a member of this team', 403);
+    }
+
+    return successResponse(res, await buildTeamResponse(team));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invite a student to the team by registration number (captain only)
+ * Body: { registration_no }
+ * @route POST /api/teams/:teamId/invites
+ */
+const inviteMember = async (req, res, next) => {
+  try {
+    const studentId = req.user.id;
+    const registrationNo = String(req.body?.registration_no || '').trim();
+
+    if (!registrationNo) {
+      return errorResponse(res, 'registration_no is required', 400);
+    }
+
+    const team = await loadFormingTeam(res, req.params.teamId);
+    if (!team) return;
+
+    if (team.captain_student_id !== studentId) {
+      return errorResponse(res, 'Only the team captain can invite members', 403);
+    }
+
+    if (team.accepted_count + team.invited_count >= team.team_max_size) {
+      return errorResponse(
+        res,
+        `Team already has ${team.accepted_count} members and ${team.invited_count} pending invites (max ${team.team_max_size})`,
+        400
+      );
+    }
+
+    const invitee = await Student.findByRegistrationNo(registrationNo, query);
+    if (!invitee) {
+      return errorResponse(res, 'No student found with this registration number', 404);
+    }
+
+    if (invitee.id === studentId) {
+      return errorResponse(res, 'You are already the captain of this team', 400);
+    }
+
+    if (await hasActiveRegistration(team.event_id, invitee.id)) {
+      return errorResponse(res, 'This student is already registered for the event', 409);
+    }
+
+    const inviteeTeam = await TeamModel.findByEventAndStudent(team.event_id, invitee.id);
+    if (inviteeTeam) {
+      return errorResponse(res, 'This student is already in a team for this event', 409);
+    }
+
+    const member = await TeamModel.invite(team, invitee.id);
+    if (!member) {
+      return errorResponse(res, 'This student has already been invited to the team', 409);
+    }
+
+    NotificationService.notifyStudent(
+      NotificationTrigger.TEAM_INVITE,
+      invitee.id,
+      { team_name: team.team_name, captain_name: team.captain_name },
+      { event_id: team.event_id }
+    );
+
+    return successResponse(
+      res,
+      {
+        invite: {
+          ...member,
+          full_name: invitee.full_name,
+          registration_no: invitee.registration_no
+        }
+      },
+      `Invite sent to ${invitee.full_name}`,
+      201
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pending team invites of the logged-in student
+ * @route GET /api/teams/invites
+ */
+const getMyInvites = async (req, res, next) => {
+  try {
+    const invites = await TeamModel.getStudentInvites(req.user.id);
+
+    return successResponse(res, { invites, total: invites.length });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load an invite addressed to the logged-in student
+ * @returns {Promise<Object|null>} Membership row, or null after sending the error response
+ */
+const loadOwnInvite = async (req, res) => {
+  const member = await TeamModel.findMember(req.params.memberId);
+  if (!member || member.student_id !== req.user.id) {
+    errorResponse(res, 'Invite not found', 404);
+    return null;
+  }
+
+  if (member.status !== 'INVITED') {
+    errorResponse(res, `Invite already ${member.status.toLowerCase()}`, 400);
+    return null;
+  }
+
+  return member;
+};
+
+/**
+ * Accept a team invite (declines the student's other invites for the event)
+ * @route POST /api/teams/invites/:memberId/accept
+ */
+const acceptInvite = async (req, res, next) => {
+  try {
+    const member = await loadOwnInvite(req, res);
+    if (!member) return;
+
+    const team = await loadFormingTeam(res, member.team_id);
+    if (!team) return;
+
+    if (await hasActiveRegistration(team.event_id, req.user.id)) {
+      return errorResponse(res, 'You are already registered for this event', 409);
+    }
+
+    const currentTeam = await TeamModel.findByEventAndStudent(team.event_id, req.user.id);
+    if (currentTeam) {
+      return errorResponse(res, `You are already in team "${currentTeam.team_name}" for this event`, 409);
+    }
+
+    const accepted = await TeamModel.acceptInvite(member, team.team_max_size);
+    if (!accepted) {
+      return errorResponse(res, `Team is full (max ${team.team_max_size} members)`, 409);
+    }
+
+    const updated = await TeamModel.findById(team.id);
+
+    return successResponse(res, await buildTeamResponse(updated), `You joined team "${team.team_name}"`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decline a team invite
+ * @route POST /api/teams/invites/:memberId/decline
+ */
+const declineInvite = async (req, res, next) => {
+  try {
+    const member = await loadOwnInvite(req, res);
+    if (!member) return;
+
+    const declined = await TeamModel.updateMemberStatus(member.id, 'DECLINED', ['INVITED']);
+    if (!declined) {
+      return errorResponse(res, 'Invite is no longer pending', 400);
+    }
+
+    return successResponse(res, { invite: declined }, 'Invite declined');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a member or withdraw a pending invite (captain only)
+ * @route DELETE /api/teams/:teamId/members/:memberId
+ */
+const removeMember = async (req, res, next) => {
+  try {
+    const team = await loadFormingTeam(res, req.params.teamId);
+    if (!team) return;
+
+    if (team.captain_student_id !== req.user.id) {
+      return errorResponse(res, 'Only the team captain can remove members', 403);
+    }
+
+    const member = await TeamModel.findMember(req.params.memberId);
+    if (!member || member.team_id !== team.id) {
+      return errorResponse(res, 'Member not found in this team', 404);
+    }
+
+    if (member.role === 'CAPTAIN') {
+      return errorResponse(res, 'The captain cannot be removed. Disband the team instead.', 400);
+    }
+
+    const removed = await TeamModel.updateMemberStatus(member.id, 'REMOVED', ['INVITED', 'ACCEPTED']);
+    if (!removed) {
+      return errorResponse(res, 'Member is no longer in the team', 400);
+    }
+
+    return successResponse(res, { member: removed }, 'Member removed from the team');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Leave a team (members only; the captain disbands instead)
+ * @route POST /api/teams/:teamId/leave
+ */
+const leaveTeam = async (req, res, next) => {
+  try {
+    const team = await loadFormingTeam(res, req.params.teamId);
+    if (!team) return;
+
+    if (team.captain_student_id === req.user.id) {
+      return errorResponse(res, 'The captain cannot leave the team. Disband it instead.', 400);
+    }
+
+    const membership = await TeamModel.findMembership(team.id, req.user.id);
+    if (!membership || membership.status !== 'ACCEPTED') {
+      return errorResponse(res, 'You are not a member of this team', 403);
+    }
+
+    await TeamModel.updateMemberStatus(membership.id, 'LEFT', ['ACCEPTED']);
+
+    return successResponse(res, null, `You left team "${team.team_name}"`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Disband a team that has not registered yet (captain only)
+ * @route DELETE /api/teams/:teamId
+ */
+const disbandTeam = async (req, res, next) => {
+  try {
+    const team = await loadFormingTeam(res, req.params.teamId);
+    if (!team) return;
+
+    if (team.captain_student_id !== req.user.id) {
+      return errorResponse(res, 'Only the team captain can disband the team', 403);
+    }
+
+    const cancelled = await TeamModel.cancel(team.id);
+    if (!cancelled) {
+      return errorResponse(res, 'Team can no longer be disbanded', 400);
+    }
+
+    await logAuditEvent({
+      event_type: AuditEventType.TEAM_CANCELLED,
+      user_id: req.user.id,
+      user_role: 'STUDENT',
+      ...getAuditRequestInfo(req),
+      resource_type: 'TEAM',
+      resource_id: team.id,
+      metadata: { event_id: team.event_id, team_name: team.team_name, disbanded: true }
+    });
+
+    return successResponse(res, { team: cancelled }, 'Team disbanded');
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  createTeam,
+  getMyTeam,
+  getTeam,
+  inviteMember,
+  getMyInvites,
+  acceptInvite,
+  declineInvite,
+  removeMember,
+  leaveTeam,
+  disbandTeam
+};
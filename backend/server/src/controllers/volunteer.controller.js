@@ -3,12 +3,53 @@ import Student from '../models/Student.model.js';
 import Stall from '../models/Stall.model.js';
 import CheckInOut from '../models/CheckInOut.model.js';
 import EventVolunteerModel from '../models/EventVolunteer.model.js';
-import EventRegistrationModel from '../models/EventRegistration.model.js';
+import EventRegistrationModel, { DISCOUNT_LIMIT_REACHED } from '../models/EventRegistration.model.js';
+import OfflineScanSyncModel, { OfflineScanResult } from '../models/OfflineScanSync.model.js';
 import QRCodeService from '../services/qrCode.js';
+import EventSessionModel from '../models/EventSession.model.js';
+import TeamModel from '../models/Team.model.js';
+import VolunteerScannerLockModel from '../models/VolunteerScannerLock.model.js';
+import EventModel from '../models/Event.model.js';
+import {
+  applyGateScan,
+  applySessionScan,
+  getSessionScanError,
+  verifyPendingPayment,
+  MAX_VISIT_MINUTES
+} from '../services/gateScan.service.js';
+import {
+  VolunteerPermission,
+  hasPermission,
+  getScanDenial,
+  recordPermissionDenied
+} from '../services/volunteerPermission.service.js';
+import {
+  getStallQueue as loadStallQueue,
+  callNextToken,
+  serveToken,
+  getEventQueueOverview,
+  isValidQueueId
+} from '../services/stallQueue.service.js';
+import {
+  resolveScanAssignment,
+  getScannerLock,
+  getAssignmentScanError,
+  describeAssignment,
+  isValidEventId,
+  ScanAssignmentError,
+  LIVE_EVENT_STATUSES
+} from '../services/scanAssignment.service.js';
+import { logAuditEvent, AuditEventType, getAuditRequestInfo } from '../utils/auditLogger.js';
+import { publishToEvent, publishOccupancy, publishRegistrationCount, RealtimeMessage } from '../services/realtime.js';
+import AuthSessionService from '../services/authSession.service.js';
+import PaymentService from '../services/payment.js';
+import { calculatePrice } from '../services/pricing.service.js';
+import NotificationService, { NotificationTrigger } from '../services/notification.js';
+import { validateFormResponses } from '../utils/registrationForm.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-import { successResponse, errorResponse } from '../helpers/response.js';
-import { setAuthCookie, clearAuthCookie } from '../helpers/cookie.js';
+import { successResponse, errorResponse, validationErrorResponse } from '../helpers/response.js';
+import { setAuthCookie } from '../helpers/cookie.js';
 import { query } from '../config/db.js';
 
 /**
@@ -73,21 +114,11 @@ const login = async (req, res, next) => {
       }, 'Identity verification required');
     }
 
-    const token = jwt.sign(
-      { 
-        id: volunteer.id, 
-        email: volunteer.email,
-        role: volunteer.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    // Set secure HTTP-Only cookie
-    setAuthCookie(res, token);
+    // Short-lived access token + refresh token, both also set as HTTP-Only cookies
+    const session = await AuthSessionService.startSession(req, res, 'VOLUNTEER', volunteer);
 
     return successResponse(res, {
-      token,
+      ...session,
       volunteer: {
         id: volunteer.id,
         email: volunteer.email,
@@ -130,22 +161,11 @@ const register = async (req, res, next) => {
       assigned_location
     }, query);
 
-    // Generate token
-    const token = jwt.sign(
-      { 
-        id: newVolunteer.id, 
-        email: newVolunteer.email,
-        role: newVolunteer.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    // Set secure HTTP-Only cookie
-    setAuthCookie(res, token);
+    // Start a session for the new account
+    const session = await AuthSessionService.startSession(req, res, 'VOLUNTEER', newVolunteer);
 
     return successResponse(res, {
-      token,
+      ...session,
       volunteer: {
         id: newVolunteer.id,
         email: newVolunteer.email,
@@ -191,13 +211,147 @@ const getProfile = async (req, res, next) => {
  */
 const logout = async (req, res, next) => {
   try {
-    clearAuthCookie(res);
+    await AuthSessionService.endSession(req, res);
     return successResponse(res, null, 'Logout successful');
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Audit a scan refused by the volunteer's permissions for the event
+ * @param {Object} req - Express request
+ * @param {Object} assignment - event_volunteers row
+ * @param {Object} denial - { permission, message } from getScanDenial
+ * @param {string|null} action - ENTRY or EXIT the scan would have recorded
+ * @param {Object} metadata - Extra details (student_id, session_id, offline)
+ * @returns {Promise<void>}
+ */
+const recordScanDenied = (req, assignment, denial, action, metadata = {}) => recordPermissionDenied({
+  volunteerId: req.user.id,
+  eventId: assignment.event_id,
+  permission: denial.permission,
+  action: action ? `SCAN_${action}` : 'SCAN',
+  requestInfo: getAuditRequestInfo(req),
+  metadata
+});
+
+/**
+ * Scan a student into or out of the volunteer's assigned session
+ * Entry/exit is decided by the student's presence in that session; the event gate state is untouched
+ * @param {Object} context - { student, registration, volunteer, assignment }
+ * @returns {Promise<Object>} Express response
+ */
+const scanIntoSession = async (req, res, { student, registration, volunteer, assignment }) => {
+  const session = await EventSessionModel.findById(assignment.session_id);
+  if (!session) {
+    return errorResponse(res, 'Your session assignment is no longer valid. Contact your event manager.', 403);
+  }
+
+  const attendance = await EventSessionModel.findAttendance(session.id, student.id);
+  const isEntry = attendance?.is_inside !== true;
+
+  // Entry-only / exit-only session doors
+  const denial = getScanDenial(assignment, isEntry ? 'ENTRY' : 'EXIT');
+  if (denial) {
+    await recordScanDenied(req, assignment, denial, isEntry ? 'ENTRY' : 'EXIT', { student_id: student.id, session_id: session.id });
+    return errorResponse(res, denial.message, 403);
+  }
+
+  const sessionError = getSessionScanError(session, isEntry);
+  if (sessionError) {
+    return errorResponse(res, sessionError, 403);
+  }
+
+  if (isEntry && session.capacity && await EventSessionModel.countInside(session.id) >= session.capacity) {
+    return errorResponse(res, `Session "${session.session_name}" is full (capacity ${session.capacity})`, 409);
+  }
+
+  const scan = await applySessionScan({
+    student,
+    registration,
+    session,
+    attendance,
+    volunteerId: req.user.id
+  });
+
+  if (!scan) {
+    return errorResponse(res, 'This QR code was just scanned or the session just filled up. Please try again.', 409);
+  }
+
+  const { action, attendance: updatedAttendance, student: updatedStudent, record } = scan;
+  const durationMinutes = scan.duration_minutes;
+
+  console.log(`✅ [SCAN] Session ${action} for ${student.full_name}: ${session.session_name}`);
+
+  publishToEvent(session.event_id, RealtimeMessage.SCAN, {
+    action,
+    scan_id: record.id,
+    session_id: session.id,
+    session_name: session.session_name,
+    student_id: student.id,
+    student_name: student.full_name,
+    registration_no: student.registration_no,
+    volunteer_id: req.user.id,
+    volunteer_name: volunteer?.full_name || null,
+    duration_minutes: action === 'EXIT' ? durationMinutes : null,
+    scanned_at: record.scanned_at
+  });
+
+  const responseData = {
+    student: {
+      id: updatedStudent.id,
+      full_name: updatedStudent.full_name,
+      registration_no: updatedStudent.registration_no,
+      school_name: student.school_name,
+      is_inside_session: updatedAttendance.is_inside,
+      total_scan_count: updatedStudent.total_scan_count
+    },
+    action,
+    event: {
+      id: assignment.event_id,
+      event_name: assignment.event_name
+    },
+    session: {
+      id: session.id,
+      session_name: session.session_name,
+      venue: session.venue,
+      start_time: session.start_time,
+      end_time: session.end_time,
+      capacity: session.capacity,
+      check_in_count: updatedAttendance.check_in_count,
+      total_time_spent_minutes: updatedAttendance.total_time_spent_minutes
+    },
+    scan_details: {
+      timestamp: new Date().toISOString(),
+      volunteer_id: req.user.id,
+      volunteer_email: req.user.email
+    }
+  };
+
+  // Team events: show the volunteer where the rest of the team is
+  if (registration.team_id) {
+    responseData.team = await TeamModel.getScanStatus(registration.team_id);
+  }
+
+  if (action === 'ENTRY') {
+    responseData.student.check_in_time = updatedAttendance.last_check_in_at;
+    responseData.message = `Welcome to ${session.session_name}, ${student.full_name}!`;
+  } else {
+    responseData.student.check_out_time = updatedAttendance.last_check_out_at;
+    responseData.student.duration_minutes = durationMinutes;
+    responseData.student.duration_formatted = `${Math.floor(durationMinutes / 60)}h ${durationMinutes % 60}m`;
+    responseData.message = `Goodbye ${student.full_name}! You attended ${session.session_name} for ${responseData.student.duration_formatted}.`;
+  }
+
+  return successResponse(
+    res,
+    responseData,
+    action === 'ENTRY' ? 'Student checked in to session' : 'Student checked out of session',
+    action === 'ENTRY' ? 201 : 200
+  );
+};
+
 /**
  * Smart scan - Automatically handles check-in OR check-out
  * @route POST /api/volunteer/scan/student
@@ -222,15 +376,20 @@ const logout = async (req, res, next) => {
  * 6. Update volunteer scan count
  * 
  * @param {string} req.body.qr_code_token - JWT token from student's QR code
+ * @param {string} [req.body.event_id] - Event chosen on the scanner (required when several assignments are running)
+ * @param {string} [req.body.location] - Gate the scanner is at (checked against the assigned location)
  * @returns {Object} Student info, action type (ENTRY/EXIT), scan details
  */
 const scanStudentQR = async (req, res, next) => {
   try {
-    const { qr_code_token } = req.body;
+    const { qr_code_token, event_id = null, location = null } = req.body;
 
     if (!qr_code_token) {
       return errorResponse(res, 'QR code token is required', 400);
     }
+    if (event_id && !isValidEventId(event_id)) {
+      return errorResponse(res, 'Invalid event_id', 400);
+    }
 
     console.log('🔍 [SCAN] Received QR token (first 50 chars):', qr_code_token.substring(0, 50) + '...');
 
@@ -279,36 +438,66 @@ const scanStudentQR = async (req, res, next) => {
     // 🔒 CRITICAL: STRICT Multi-Event Context Validation (MANDATORY)
     // ========================================================================
     // New Rule: Volunteers MUST be assigned to an event to scan QR codes
-    // No more global scanning - every scan must be event-specific
+    // No more global scanning - every scan must be event-specific.
+    // With several assignments the scanner picks the event (event_id or lock);
+    // an ambiguous scan is rejected instead of landing in the wrong event.
     // ========================================================================
-    const volunteerAssignment = await EventVolunteerModel.findActiveAssignment(req.user.id);
+    const resolution = await resolveScanAssignment(req.user.id, {
+      eventId: event_id,
+      location,
+      lock: await getScannerLock(req.user)
+    });
 
-    if (!volunteerAssignment) {
-      console.log('❌ [SCAN] Volunteer has no active event assignment');
-      return errorResponse(res, 
-        'You are not assigned to any active event. Please contact your event manager.', 
-        403
-      );
+    if (resolution.error) {
+      console.log(`❌ [SCAN] No event for this scan: ${resolution.error}`);
+      return errorResponse(res, resolution.error, resolution.status, {
+        code: resolution.code,
+        ...(resolution.candidates && { candidates: resolution.candidates })
+      });
     }
 
+    const volunteerAssignment = resolution.assignment;
+
     console.log(`🎯 [SCAN] Volunteer assigned to event: ${volunteerAssignment.event_name} (${volunteerAssignment.event_type})`);
+
+    // 🔒 The assignment's permission set decides whether this volunteer may scan at all
+    const scanDenial = getScanDenial(volunteerAssignment, null);
+    if (scanDenial) {
+      console.log(`❌ [SCAN] Volunteer lacks ${scanDenial.permission} for event: ${volunteerAssignment.event_name}`);
+      await recordScanDenied(req, volunteerAssignment, scanDenial, null, { student_id: student.id });
+      return errorResponse(res, scanDenial.message, 403);
+    }
     
     // Verify student is registered for THIS specific event
-    const registration = await EventRegistrationModel.findByEventAndStudent(
+    let registration = await EventRegistrationModel.findByEventAndStudent(
       volunteerAssignment.event_id,
       student.id
     );
 
     if (!registration) {
       console.log(`❌ [SCAN] Student not registered for event: ${volunteerAssignment.event_name}`);
+      // Tell the scanner it can register the student on the spot instead
+      const walkInAvailable = volunteerAssignment.allow_walk_ins === true &&
+        hasPermission(volunteerAssignment, VolunteerPermission.ONSPOT_REGISTER);
       return errorResponse(res, 
         `You are not registered for this event.`, 
-        403
+        403,
+        walkInAvailable ? { code: 'NOT_REGISTERED', walk_in_available: true } : null
       );
     }
 
     // For paid events, verify payment is completed
     if (registration.registration_type === 'PAID') {
+      // Volunteers with VERIFY_PAYMENTS re-check a pending payment with the gateway first
+      const verifiedRegistration = registration.payment_status !== 'COMPLETED' &&
+        hasPermission(volunteerAssignment, VolunteerPermission.VERIFY_PAYMENTS)
+        ? await verifyPendingPayment(registration)
+        : null;
+      if (verifiedRegistration) {
+        console.log(`✅ [SCAN] Pending payment confirmed with gateway for ${student.full_name}`);
+        registration = verifiedRegistration;
+      }
+
       if (registration.payment_status !== 'COMPLETED') {
         console.log(`❌ [SCAN] Payment not completed for paid event`);
         return errorResponse(res, 
@@ -322,80 +511,64 @@ const scanStudentQR = async (req, res, next) => {
     console.log(`✅ [SCAN] Student authorized for event: ${volunteerAssignment.event_name}`);
     const eventContext = volunteerAssignment;
 
-    // 4️⃣ 🎯 SMART LOGIC: Determine action based on current status
-    const isCurrentlyInside = student.is_inside_event;
-    const action = isCurrentlyInside ? 'EXIT' : 'ENTRY';
-    
-    console.log(`🎯 [SCAN] Current status: ${isCurrentlyInside ? 'INSIDE' : 'OUTSIDE'}`);
-    console.log(`🎯 [SCAN] Action to perform: ${action}`);
+    // Session-scoped volunteers scan students into their session, not through the event gate
+    if (eventContext.session_id) {
+      return await scanIntoSession(req, res, { student, registration, volunteer, assignment: eventContext });
+    }
 
-    // 5️⃣ Store the check-in time BEFORE updating (for duration calculation)
-    const previousCheckInTime = student.last_checkin_at;
+    // 4️⃣ 🎯 SMART LOGIC: Entry or exit decided by this event's presence state
+    console.log(`🎯 [SCAN] Current status in ${eventContext.event_name}: ${registration.is_inside_event ? 'INSIDE' : 'OUTSIDE'}`);
 
-    // 6️⃣ Process check-in/out FIRST (toggles is_inside_event automatically and updates timestamps)
-    const updatedStudent = await Student.processCheckInOut(student.id, query);
+    // Entry-only / exit-only gates
+    const expectedAction = registration.is_inside_event === true ? 'EXIT' : 'ENTRY';
+    const gateDenial = getScanDenial(eventContext, expectedAction);
+    if (gateDenial) {
+      console.log(`❌ [SCAN] ${expectedAction} refused at ${gateDenial.permission} gate`);
+      await recordScanDenied(req, eventContext, gateDenial, expectedAction, { student_id: student.id });
+      return errorResponse(res, gateDenial.message, 403);
+    }
 
-    // 7️⃣ Calculate duration AFTER checkout using the previous check-in time
-    let durationMinutes = 0;
-    let checkInOutRecord = null;
+    // 5️⃣ Update presence, student record, check-in/out log and volunteer scan count
+    const scan = await applyGateScan({
+      student,
+      registration,
+      volunteerId: req.user.id,
+      eventId: eventContext.event_id // ✅ MANDATORY event context
+    });
 
-    if (action === 'ENTRY') {
-      // 🔥 FIX: Save check-in record to database with event context
-      checkInOutRecord = await CheckInOut.create({
-        student_id: student.id,
-        volunteer_id: req.user.id,
-        event_id: eventContext.event_id, // ✅ MANDATORY event context
-        scan_type: 'CHECKIN',
-        scan_number: updatedStudent.total_scan_count,
-        duration_minutes: null
-      }, query);
-      
-      console.log('✅ [DB] Check-in record saved:', checkInOutRecord.id);
-      console.log(`✅ [DB] Event context recorded: ${eventContext.event_name}`);
-      
-    } else if (action === 'EXIT' && previousCheckInTime) {
-      const MAX_DURATION_HOURS = 10;
-      const MAX_DURATION_MINUTES = MAX_DURATION_HOURS * 60; // 600 minutes
-      
-      const checkInTime = new Date(previousCheckInTime);
-      const checkOutTime = new Date(updatedStudent.last_checkout_at);
-      const actualDurationMinutes = Math.floor((checkOutTime - checkInTime) / (1000 * 60));
-      
-      // Cap duration at 10 hours
-      durationMinutes = Math.min(actualDurationMinutes, MAX_DURATION_MINUTES);
-      const wasCapped = actualDurationMinutes > MAX_DURATION_MINUTES;
-      
+    if (!scan) {
+      console.log('⚠️ [SCAN] Presence changed by a concurrent scan, rejecting duplicate');
+      return errorResponse(res, 'This QR code was just scanned. Please try again.', 409);
+    }
+
+    const { action, registration: updatedRegistration, student: updatedStudent, record: checkInOutRecord } = scan;
+    const durationMinutes = scan.duration_minutes;
+
+    console.log(`✅ [DB] ${action === 'ENTRY' ? 'Check-in' : 'Check-out'} record saved:`, checkInOutRecord.id);
+    if (action === 'EXIT') {
+      const actualDurationMinutes = scan.actual_duration_minutes;
       console.log(`⏱️ [SCAN] Actual duration: ${actualDurationMinutes} minutes (${Math.floor(actualDurationMinutes / 60)}h ${actualDurationMinutes % 60}m)`);
-      if (wasCapped) {
-        console.log(`⚠️ [SCAN] Duration capped at ${MAX_DURATION_HOURS} hours for leaderboard fairness`);
+      if (actualDurationMinutes > MAX_VISIT_MINUTES) {
+        console.log(`⚠️ [SCAN] Duration capped at ${MAX_VISIT_MINUTES / 60} hours for leaderboard fairness`);
       }
-      console.log(`⏱️ [SCAN] Check-in: ${checkInTime.toISOString()}, Check-out: ${checkOutTime.toISOString()}`);
-      
-      // 🔥 FIX: Save check-out record to database with event context
-      checkInOutRecord = await CheckInOut.create({
-        student_id: student.id,
-        volunteer_id: req.user.id,
-        event_id: eventContext.event_id, // ✅ MANDATORY event context
-        scan_type: 'CHECKOUT',
-        scan_number: updatedStudent.total_scan_count,
-        duration_minutes: durationMinutes // Capped duration
-      }, query);
-      
-      console.log('✅ [DB] Check-out record saved:', checkInOutRecord.id);
-      console.log(`✅ [DB] Event context recorded: ${eventContext.event_name}`);
-      
-      // Update total active duration with CAPPED duration
-      await Student.updateActiveDuration(student.id, durationMinutes, query);
     }
 
-    // 8️⃣ Update volunteer's scan count
-    await query(
-      'UPDATE volunteers SET total_scans_performed = total_scans_performed + 1 WHERE id = $1',
-      [req.user.id]
-    );
-
     console.log(`✅ [SCAN] ${action} successful for ${student.full_name}`);
 
+    // Live dashboards (not awaited - never blocks the gate)
+    publishToEvent(eventContext.event_id, RealtimeMessage.SCAN, {
+      action,
+      scan_id: checkInOutRecord.id,
+      student_id: student.id,
+      student_name: student.full_name,
+      registration_no: student.registration_no,
+      volunteer_id: req.user.id,
+      volunteer_name: volunteer?.full_name || null,
+      duration_minutes: action === 'EXIT' ? durationMinutes : null,
+      scanned_at: checkInOutRecord.scanned_at
+    });
+    publishOccupancy(eventContext.event_id);
+
     // 9️⃣ Return different response based on action
     const responseData = {
       student: {
@@ -403,10 +576,16 @@ const scanStudentQR = async (req, res, next) => {
         full_name: updatedStudent.full_name,
         registration_no: updatedStudent.registration_no,
         school_name: updatedStudent.school_name,
-        is_inside_event: updatedStudent.is_inside_event,
+        is_inside_event: updatedRegistration.is_inside_event,
         total_scan_count: updatedStudent.total_scan_count
       },
       action: action,
+      event: {
+        id: eventContext.event_id,
+        event_name: eventContext.event_name,
+        check_in_count: updatedRegistration.check_in_count,
+        total_time_spent_minutes: updatedRegistration.total_time_spent_minutes
+      },
       scan_details: {
         timestamp: new Date().toISOString(),
         volunteer_id: req.user.id,
@@ -414,12 +593,17 @@ const scanStudentQR = async (req, res, next) => {
       }
     };
 
+    // Team events: show the volunteer where the rest of the team is
+    if (registration.team_id) {
+      responseData.team = await TeamModel.getScanStatus(registration.team_id);
+    }
+
     // Add action-specific fields
     if (action === 'ENTRY') {
-      responseData.student.check_in_time = updatedStudent.last_checkin_at;
+      responseData.student.check_in_time = updatedRegistration.last_check_in_at;
       responseData.message = `Welcome ${student.full_name}! Enjoy the event.`;
     } else {
-      responseData.student.check_out_time = updatedStudent.last_checkout_at;
+      responseData.student.check_out_time = updatedRegistration.last_check_out_at;
       responseData.student.duration_minutes = durationMinutes;
       responseData.student.duration_formatted = `${Math.floor(durationMinutes / 60)}h ${durationMinutes % 60}m`;
       responseData.message = `Goodbye ${student.full_name}! You spent ${responseData.student.duration_formatted} at the event.`;
@@ -440,6 +624,691 @@ const scanStudentQR = async (req, res, next) => {
   }
 };
 
+// Walk-in payment links close 10 minutes before the pending registration expires, so a
+// payment can't land on an expired registration. Razorpay needs expire_by at least
+// 15 minutes out; with a shorter pending window late payments are settled (or refunded)
+// by the payment settlement service.
+const WALK_IN_LINK_MINUTES = Math.max((parseInt(process.env.PAYMENT_PENDING_EXPIRY_MINUTES) || 30) - 10, 16);
+
+/**
+ * Verify a student QR token (rotating first, static as fallback)
+ * @param {string} token - Scanned QR code token
+ * @returns {Promise<Object|null>} Decoded token, or null if invalid
+ */
+const decodeStudentQR = async (token) => {
+  let decoded = QRCodeService.verifyRotatingStudentToken(token);
+  if (!decoded.valid && decoded.isStatic) {
+    decoded = await QRCodeService.verifyStudentQRToken(token);
+  }
+  return decoded?.valid ? decoded : null;
+};
+
+/**
+ * Check a just-registered walk-in through the gate
+ * @param {Object} context - { student, registration, volunteer, assignment }
+ * @returns {Promise<Object>} Express response
+ */
+const checkInWalkIn = async (req, res, { student, registration, volunteer, assignment }) => {
+  const scan = await applyGateScan({
+    student,
+    registration,
+    volunteerId: req.user.id,
+    eventId: assignment.event_id
+  });
+
+  if (!scan) {
+    return errorResponse(res, 'This QR code was just scanned. Please try again.', 409);
+  }
+
+  const { registration: updatedRegistration, student: updatedStudent, record } = scan;
+
+  publishToEvent(assignment.event_id, RealtimeMessage.SCAN, {
+    action: scan.action,
+    scan_id: record.id,
+    student_id: student.id,
+    student_name: student.full_name,
+    registration_no: student.registration_no,
+    volunteer_id: req.user.id,
+    volunteer_name: volunteer?.full_name || null,
+    duration_minutes: null,
+    scanned_at: record.scanned_at,
+    walk_in: true
+  });
+  publishOccupancy(assignment.event_id);
+
+  return successResponse(
+    res,
+    {
+      status: 'CHECKED_IN',
+      student: {
+        id: updatedStudent.id,
+        full_name: updatedStudent.full_name,
+        registration_no: updatedStudent.registration_no,
+        school_name: updatedStudent.school_name,
+        is_inside_event: updatedRegistration.is_inside_event,
+        check_in_time: updatedRegistration.last_check_in_at
+      },
+      action: scan.action,
+      registration: updatedRegistration,
+      event: {
+        id: assignment.event_id,
+        event_name: assignment.event_name,
+        check_in_count: updatedRegistration.check_in_count
+      },
+      message: `Welcome ${student.full_name}! Enjoy the event.`
+    },
+    'Walk-in registered and checked in',
+    201
+  );
+};
+
+/**
+ * Register an unregistered student at the gate and check them in
+ * Needs the ONSPOT_REGISTER permission and an event with walk-ins enabled.
+ * FREE events register and check in at once. PAID events send the student a Razorpay
+ * payment link; scanning them here again once it is paid checks them in.
+ * Body: { qr_code_token, event_id?, location?, form_responses? }
+ * @route POST /api/volunteer/scan/walk-in
+ */
+const registerWalkIn = async (req, res, next) => {
+  try {
+    const { qr_code_token, event_id = null, location = null, form_responses } = req.body || {};
+
+    if (!qr_code_token) {
+      return errorResponse(res, 'QR code token is required', 400);
+    }
+    if (event_id && !isValidEventId(event_id)) {
+      return errorResponse(res, 'Invalid event_id', 400);
+    }
+
+    const decoded = await decodeStudentQR(qr_code_token);
+    if (!decoded) {
+      return errorResponse(res, 'Invalid QR code', 400);
+    }
+
+    const student = await Student.findByRegistrationNo(decoded.registration_no, query);
+    if (!student) {
+      return errorResponse(res, `Student not found. Registration: ${decoded.registration_no}`, 404);
+    }
+
+    const volunteer = await Volunteer.findById(req.user.id, query);
+    if (volunteer && !volunteer.is_active) {
+      return errorResponse(res, 'Your volunteer account is inactive. Contact admin.', 403);
+    }
+
+    const resolution = await resolveScanAssignment(req.user.id, {
+      eventId: event_id,
+      location,
+      lock: await getScannerLock(req.user)
+    });
+    if (resolution.error) {
+      return errorResponse(res, resolution.error, resolution.status, {
+        code: resolution.code,
+        ...(resolution.candidates && { candidates: resolution.candidates })
+      });
+    }
+    const assignment = resolution.assignment;
+
+    if (!hasPermission(assignment, VolunteerPermission.ONSPOT_REGISTER)) {
+      await recordPermissionDenied({
+        volunteerId: req.user.id,
+        eventId: assignment.event_id,
+        permission: VolunteerPermission.ONSPOT_REGISTER,
+        action: 'WALK_IN_REGISTER',
+        requestInfo: getAuditRequestInfo(req),
+        metadata: { student_id: student.id }
+      });
+      return errorResponse(res, 'You do not have permission to register walk-ins for this event. Contact your event manager.', 403);
+    }
+
+    // A walk-in enters the event, so the volunteer must be able to check students in here
+    const gateDenial = getScanDenial(assignment, 'ENTRY');
+    if (gateDenial) {
+      await recordScanDenied(req, assignment, gateDenial, 'ENTRY', { student_id: student.id, walk_in: true });
+      return errorResponse(res, gateDenial.message, 403);
+    }
+    if (assignment.session_id) {
+      return errorResponse(res, 'Walk-ins are registered at the event gate, not at a session', 400);
+    }
+
+    const event = await EventModel.findById(assignment.event_id);
+    if (!event.allow_walk_ins) {
+      return errorResponse(res, 'Walk-in registration is not enabled for this event', 403);
+    }
+    if (event.is_team_event) {
+      return errorResponse(res, 'Team events do not take walk-ins. The team captain must register online.', 400);
+    }
+
+    let existing = await EventRegistrationModel.findByEventAndStudent(event.id, student.id);
+
+    // An unpaid registration may have been paid since (walk-in link or the student's own order)
+    if (existing?.registration_type === 'PAID' && existing.payment_status === 'PENDING') {
+      const paid = await verifyPendingPayment(existing);
+      if (paid) {
+        return await checkInWalkIn(req, res, { student, registration: paid, volunteer, assignment });
+      }
+      if (existing.razorpay_payment_link_id && existing.registration_status === 'CONFIRMED') {
+        return successResponse(res, {
+          status: 'PAYMENT_PENDING',
+          registration_id: existing.id,
+          payment_link: {
+            url: existing.payment_link_url,
+            amount: existing.payment_amount,
+            currency: existing.payment_currency
+          }
+        }, 'Payment not received yet. Ask the student to complete the payment link and scan again.');
+      }
+    }
+
+    const reopenable = existing?.registration_type === 'PAID' && ['PENDING', 'FAILED'].includes(existing.payment_status);
+    if (existing && !reopenable) {
+      if (existing.registration_status === 'CONFIRMED') {
+        return errorResponse(res, 'Student is already registered. Scan them at the gate instead.', 409, { code: 'ALREADY_REGISTERED' });
+      }
+      return errorResponse(res, `Student has a ${existing.registration_status.toLowerCase()} registration for this event. Contact the event manager.`, 409);
+    }
+
+    const registrationStatus = await EventModel.isRegistrationOpen(event.id);
+    if (!registrationStatus.open) {
+      return errorResponse(res, registrationStatus.reason, 403);
+    }
+
+    const form = validateFormResponses(event.registration_form, form_responses, existing?.form_responses);
+    if (!form.valid) {
+      return validationErrorResponse(res, form.errors);
+    }
+    if (form.uploads.length > 0) {
+      return errorResponse(res, 'This event needs file uploads. The student must register online.', 400);
+    }
+
+    if (event.event_type === 'FREE') {
+      let registration;
+      try {
+        registration = await EventRegistrationModel.createFreeRegistration(
+          event.id,
+          student.id,
+          form.responses,
+          { walk_in_by: req.user.id }
+        );
+      } catch (error) {
+        if (error.message.startsWith('Event is full')) {
+          return errorResponse(res, error.message, 409);
+        }
+        throw error;
+      }
+
+      await logAuditEvent({
+        event_type: AuditEventType.WALK_IN_REGISTERED,
+        user_id: req.user.id,
+        user_role: 'VOLUNTEER',
+        ...getAuditRequestInfo(req),
+        resource_type: 'EVENT_REGISTRATION',
+        resource_id: registration.id,
+        metadata: { event_id: event.id, student_id: student.id, registration_type: 'FREE' }
+      });
+      NotificationService.notifyStudent(
+        NotificationTrigger.REGISTRATION_CONFIRMED,
+        student.id,
+        {},
+        { event_id: event.id, registration_id: registration.id }
+      );
+      publishRegistrationCount(event.id);
+
+      return await checkInWalkIn(req, res, { student, registration, volunteer, assignment });
+    }
+
+    // PAID: no coupons at the gate, but pricing rules (school, early-bird...) still apply
+    const pricing = await calculatePrice(event, student, {
+      registrationId: existing ? existing.id : null
+    });
+
+    const link = await PaymentService.createPaymentLink({
+      amount: pricing.final_amount,
+      currency: event.currency,
+      description: `Walk-in registration: ${event.event_name}`,
+      customer: {
+        name: student.full_name,
+        email: student.email,
+        contact: student.phone
+      },
+      event_id: event.id,
+      event_code: event.event_code,
+      student_id: student.id,
+      expire_by: new Date(Date.now() + WALK_IN_LINK_MINUTES * 60 * 1000)
+    });
+
+    const paymentData = {
+      amount: pricing.final_amount,
+      currency: event.currency,
+      pricing: {
+        base_amount: pricing.base_amount,
+        discount_amount: pricing.discount_amount,
+        rule: pricing.rule,
+        coupon_code: null
+      },
+      form_responses: form.responses,
+      payment_link: link,
+      walk_in_by: req.user.id
+    };
+
+    let registration;
+    try {
+      registration = existing
+        ? await EventRegistrationModel.reopenPaidRegistration(existing.id, paymentData)
+        : await EventRegistrationModel.createPaidRegistration(event.id, student.id, paymentData);
+    } catch (error) {
+      if (error.message.startsWith('Event is full') || error.message === DISCOUNT_LIMIT_REACHED) {
+        return errorResponse(res, error.message, 409);
+      }
+      throw error;
+    }
+
+    await logAuditEvent({
+      event_type: AuditEventType.WALK_IN_REGISTERED,
+      user_id: req.user.id,
+      user_role: 'VOLUNTEER',
+      ...getAuditRequestInfo(req),
+      resource_type: 'EVENT_REGISTRATION',
+      resource_id: registration.id,
+      metadata: {
+        event_id: event.id,
+        student_id: student.id,
+        registration_type: 'PAID',
+        amount: pricing.final_amount,
+        payment_link_id: link.id
+      }
+    });
+    publishRegistrationCount(event.id);
+
+    return successResponse(
+      res,
+      {
+        status: 'PAYMENT_PENDING',
+        registration_id: registration.id,
+        payment_link: {
+          url: link.short_url,
+          amount: link.amount,
+          currency: link.currency,
+          expires_at: link.expire_by
+        },
+        pricing
+      },
+      'Payment link sent to the student. Scan again once it is paid to check them in.',
+      201
+    );
+  } catch (error) {
+    console.error('❌ [WALK-IN] Error:', error);
+    next(error);
+  }
+};
+
+// Offline sync limits (env-configurable)
+const MAX_SYNC_BATCH_SIZE = 200;
+const OFFLINE_SCAN_MAX_AGE_HOURS = parseInt(process.env.OFFLINE_SCAN_MAX_AGE_HOURS) || 24;
+const OFFLINE_SCAN_DUPLICATE_SECONDS = parseInt(process.env.OFFLINE_SCAN_DUPLICATE_SECONDS) || 60;
+const CLOCK_SKEW_TOLERANCE_MS = 2 * 60 * 1000;
+const SYNCABLE_EVENT_STATUSES = ['APPROVED', 'ACTIVE', 'COMPLETED'];
+
+/**
+ * Apply one queued offline scan
+ * Mirrors scanStudentQR, but validates against the time the scan happened on the device
+ * @param {Object} scan - { qr_code_token, scannedAt, event_id, location }
+ * @param {Object} context - { volunteerId, resolveAssignment, denyScan }
+ * @returns {Promise<Object>} { result, message, action, event_id, student, check_in_out_id }
+ */
+const applyOfflineScan = async (scan, { volunteerId, resolveAssignment, denyScan }) => {
+  const { scannedAt } = scan;
+
+  if (Number.isNaN(scannedAt.getTime())) {
+    return { result: OfflineScanResult.REJECTED, message: 'Invalid scanned_at timestamp' };
+  }
+  if (scannedAt.getTime() - Date.now() > CLOCK_SKEW_TOLERANCE_MS) {
+    return { result: OfflineScanResult.REJECTED, message: 'Scan time is in the future. Check the device clock.' };
+  }
+  if (Date.now() - scannedAt.getTime() > OFFLINE_SCAN_MAX_AGE_HOURS * 60 * 60 * 1000) {
+    return { result: OfflineScanResult.REJECTED, message: `Scan is older than ${OFFLINE_SCAN_MAX_AGE_HOURS} hours` };
+  }
+
+  // QR grace window is checked against the scan time, not the sync time
+  let decoded = QRCodeService.verifyRotatingStudentToken(scan.qr_code_token, scannedAt);
+  if (!decoded.valid && decoded.isStatic) {
+    decoded = await QRCodeService.verifyStudentQRToken(scan.qr_code_token);
+  }
+  if (!decoded || !decoded.valid) {
+    return {
+      result: OfflineScanResult.REJECTED,
+      message: decoded?.expired ? 'QR code had expired when scanned' : 'Invalid QR code'
+    };
+  }
+
+  // Assignment removed or event closed since the scan: CONFLICT; wrong time, gate or ambiguous event: REJECTED
+  const resolution = await resolveAssignment(scan);
+  if (resolution.error) {
+    const changed = [ScanAssignmentError.NOT_ASSIGNED, ScanAssignmentError.EVENT_NOT_LIVE].includes(resolution.code);
+    return {
+      result: changed ? OfflineScanResult.CONFLICT : OfflineScanResult.REJECTED,
+      event_id: scan.event_id || null,
+      message: resolution.error
+    };
+  }
+  const { assignment } = resolution;
+
+  const scanDenial = getScanDenial(assignment, null);
+  if (scanDenial) {
+    await denyScan(assignment, scanDenial, null, { client_scan_id: scan.client_scan_id });
+    return { result: OfflineScanResult.REJECTED, event_id: assignment.event_id, message: scanDenial.message };
+  }
+
+  const student = await Student.findByRegistrationNo(decoded.registration_no, query);
+  if (!student) {
+    return {
+      result: OfflineScanResult.REJECTED,
+      event_id: assignment.event_id,
+      message: `Student not found. Registration: ${decoded.registration_no}`
+    };
+  }
+
+  const studentInfo = { id: student.id, full_name: student.full_name, registration_no: student.registration_no };
+  const registration = await EventRegistrationModel.findByEventAndStudent(assignment.event_id, student.id);
+
+  if (!registration) {
+    return {
+      result: OfflineScanResult.REJECTED,
+      event_id: assignment.event_id,
+      student: studentInfo,
+      message: 'Student is not registered for this event'
+    };
+  }
+  if (registration.registration_type === 'PAID' && registration.payment_status !== 'COMPLETED') {
+    return {
+      result: OfflineScanResult.REJECTED,
+      event_id: assignment.event_id,
+      student: studentInfo,
+      message: `Payment pending for "${assignment.event_name}"`
+    };
+  }
+
+  // Session-scoped assignments scan into the session instead of the event gate
+  const session = assignment.session_id ? await EventSessionModel.findById(assignment.session_id) : null;
+  if (assignment.session_id && !session) {
+    return {
+      result: OfflineScanResult.CONFLICT,
+      event_id: assignment.event_id,
+      student: studentInfo,
+      message: 'Your session assignment no longer exists'
+    };
+  }
+
+  const attendance = session ? await EventSessionModel.findAttendance(session.id, student.id) : null;
+  const presence = session ? attendance || {} : registration;
+
+  // Compare with the latest entry/exit already recorded (online scans, other devices, auto check-out)
+  const lastChange = [presence.last_check_in_at, presence.last_check_out_at]
+    .filter(Boolean)
+    .map((date) => new Date(date).getTime())
+    .reduce((latest, time) => Math.max(latest, time), 0);
+
+  if (lastChange && Math.abs(scannedAt.getTime() - lastChange) <= OFFLINE_SCAN_DUPLICATE_SECONDS * 1000) {
+    return {
+      result: OfflineScanResult.DUPLICATE,
+      event_id: assignment.event_id,
+      student: studentInfo,
+      message: `Student was already scanned within ${OFFLINE_SCAN_DUPLICATE_SECONDS} seconds of this scan`
+    };
+  }
+  if (scannedAt.getTime() < lastChange) {
+    return {
+      result: OfflineScanResult.CONFLICT,
+      event_id: assignment.event_id,
+      student: studentInfo,
+      message: 'A newer entry/exit was already recorded for this student'
+    };
+  }
+
+  // Entry-only / exit-only gates and session doors
+  const isInside = session ? attendance?.is_inside === true : registration.is_inside_event === true;
+  const expectedAction = isInside ? 'EXIT' : 'ENTRY';
+  const gateDenial = getScanDenial(assignment, expectedAction);
+  if (gateDenial) {
+    await denyScan(assignment, gateDenial, expectedAction, {
+      client_scan_id: scan.client_scan_id,
+      student_id: student.id,
+      session_id: session?.id || null
+    });
+    return {
+      result: OfflineScanResult.REJECTED,
+      event_id: assignment.event_id,
+      student: studentInfo,
+      message: gateDenial.message
+    };
+  }
+
+  if (session) {
+    const isEntry = attendance?.is_inside !== true;
+    const sessionError = getSessionScanError(session, isEntry, scannedAt);
+    if (sessionError) {
+      return {
+        result: OfflineScanResult.REJECTED,
+        event_id: assignment.event_id,
+        student: studentInfo,
+        message: sessionError
+      };
+    }
+    if (isEntry && session.capacity && await EventSessionModel.countInside(session.id) >= session.capacity) {
+      return {
+        result: OfflineScanResult.REJECTED,
+        event_id: assignment.event_id,
+        student: studentInfo,
+        message: `Session "${session.session_name}" is full`
+      };
+    }
+  }
+
+  const applied = session
+    ? await applySessionScan({ student, registration, session, attendance, volunteerId, scannedAt })
+    : await applyGateScan({
+      student,
+      registration,
+      volunteerId,
+      eventId: assignment.event_id,
+      scannedAt
+    });
+
+  if (!applied) {
+    return {
+      result: OfflineScanResult.DUPLICATE,
+      event_id: assignment.event_id,
+      student: studentInfo,
+      message: session ? 'Student was scanned concurrently or the session filled up' : 'Student was scanned concurrently'
+    };
+  }
+
+  const place = session ? ` ${applied.action === 'ENTRY' ? 'to' : 'of'} ${session.session_name}` : '';
+
+  return {
+    result: OfflineScanResult.APPLIED,
+    event_id: assignment.event_id,
+    session_id: session?.id || null,
+    student: studentInfo,
+    action: applied.action,
+    check_in_out_id: applied.record.id,
+    duration_minutes: applied.action === 'EXIT' ? applied.duration_minutes : null,
+    scanned_at: applied.record.scanned_at,
+    message: applied.action === 'ENTRY'
+      ? `${student.full_name} checked in${place}`
+      : `${student.full_name} checked out${place} after ${applied.duration_minutes} minutes`
+  };
+};
+
+/**
+ * Shape a stored offline_scan_syncs row like a fresh sync result
+ */
+const formatSyncResult = (row, extra = {}) => ({
+  client_scan_id: row.client_scan_id,
+  result: row.result,
+  action: row.action,
+  event_id: row.event_id,
+  student: row.student_id
+    ? { id: row.student_id, full_name: row.student_name, registration_no: row.registration_no }
+    : null,
+  check_in_out_id: row.check_in_out_id,
+  message: row.message,
+  ...extra
+});
+
+/**
+ * Sync scans queued while the scanner was offline
+ * Scans are applied in scan-time order. Each (device_id, client_scan_id) is applied once;
+ * re-sending it returns the stored result, so the device can safely retry a whole batch.
+ * @route POST /api/volunteer/scan/sync
+ */
+const syncOfflineScans = async (req, res, next) => {
+  try {
+    const { device_id, event_id: defaultEventId = null, location: defaultLocation = null, scans } = req.body;
+
+    if (!device_id || typeof device_id !== 'string' || device_id.length > 100) {
+      return errorResponse(res, 'device_id is required', 400);
+    }
+    if (!Array.isArray(scans) || scans.length === 0) {
+      return errorResponse(res, 'scans must be a non-empty array', 400);
+    }
+    if (scans.length > MAX_SYNC_BATCH_SIZE) {
+      return errorResponse(res, `A sync batch can contain at most ${MAX_SYNC_BATCH_SIZE} scans`, 400);
+    }
+
+    const invalidScan = scans.find((scan) =>
+      !scan || !scan.client_scan_id || String(scan.client_scan_id).length > 100 || !scan.qr_code_token || !scan.scanned_at
+    );
+    if (invalidScan) {
+      return errorResponse(res, 'Every scan needs client_scan_id, qr_code_token and scanned_at', 400);
+    }
+
+    const volunteer = await Volunteer.findById(req.user.id, query);
+    if (volunteer && !volunteer.is_active) {
+      return errorResponse(res, 'Your volunteer account is inactive. Contact admin.', 403);
+    }
+
+    // Scans without an event_id go to the scanner's locked event, or the only assignment open at scan time
+    const lock = await getScannerLock(req.user);
+    const assignments = new Map();
+    let activeAssignments = null;
+    const resolveAssignment = (scan) => resolveScanAssignment(req.user.id, {
+      eventId: scan.event_id,
+      location: scan.location,
+      lock: scan.event_id ? null : lock,
+      scannedAt: scan.scannedAt,
+      statuses: SYNCABLE_EVENT_STATUSES,
+      findAssignment: async (eventId) => {
+        if (!assignments.has(eventId)) {
+          assignments.set(eventId, await EventVolunteerModel.findAssignment(eventId, req.user.id));
+        }
+        return assignments.get(eventId);
+      },
+      listAssignments: async () => {
+        if (!activeAssignments) {
+          activeAssignments = await EventVolunteerModel.getVolunteerEvents(req.user.id, { is_active: true });
+        }
+        return activeAssignments;
+      }
+    });
+
+    const ordered = scans
+      .map((scan, index) => ({
+        client_scan_id: String(scan.client_scan_id),
+        qr_code_token: scan.qr_code_token,
+        event_id: scan.event_id || defaultEventId,
+        location: scan.location || defaultLocation,
+        scannedAt: new Date(scan.scanned_at),
+        index
+      }))
+      .sort((a, b) => (a.scannedAt.getTime() || 0) - (b.scannedAt.getTime() || 0) || a.index - b.index);
+
+    const results = [];
+    const touchedEvents = new Set();
+
+    for (const scan of ordered) {
+      const previous = await OfflineScanSyncModel.findByClientScan(device_id, scan.client_scan_id);
+      if (previous) {
+        results.push(formatSyncResult(previous, { replayed: true }));
+        continue;
+      }
+
+      let outcome;
+      try {
+        outcome = await applyOfflineScan(scan, {
+          volunteerId: req.user.id,
+          resolveAssignment,
+          denyScan: (assignment, denial, action, metadata) => (
+            recordScanDenied(req, assignment, denial, action, { ...metadata, offline: true, device_id })
+          )
+        });
+      } catch (error) {
+        // One bad scan must not block the rest of the queue; the device retries it next sync
+        console.error(`❌ [SCAN SYNC] ${scan.client_scan_id} failed:`, error.message);
+        results.push({ client_scan_id: scan.client_scan_id, result: 'ERROR', message: 'Scan could not be processed. Retry later.' });
+        continue;
+      }
+
+      const stored = await OfflineScanSyncModel.record({
+        device_id,
+        client_scan_id: scan.client_scan_id,
+        client_scanned_at: Number.isNaN(scan.scannedAt.getTime()) ? new Date() : scan.scannedAt,
+        volunteer_id: req.user.id,
+        event_id: outcome.event_id,
+        student_id: outcome.student?.id,
+        result: outcome.result,
+        action: outcome.action,
+        check_in_out_id: outcome.check_in_out_id,
+        message: outcome.message
+      });
+
+      if (outcome.result === OfflineScanResult.APPLIED) {
+        touchedEvents.add(outcome.event_id);
+        publishToEvent(outcome.event_id, RealtimeMessage.SCAN, {
+          action: outcome.action,
+          scan_id: outcome.check_in_out_id,
+          session_id: outcome.session_id,
+          student_id: outcome.student.id,
+          student_name: outcome.student.full_name,
+          registration_no: outcome.student.registration_no,
+          volunteer_id: req.user.id,
+          volunteer_name: volunteer?.full_name || null,
+          duration_minutes: outcome.duration_minutes,
+          scanned_at: outcome.scanned_at,
+          offline: true
+        });
+      }
+
+      results.push({
+        client_scan_id: scan.client_scan_id,
+        result: outcome.result,
+        action: outcome.action || null,
+        event_id: outcome.event_id || null,
+        student: outcome.student || null,
+        check_in_out_id: outcome.check_in_out_id || null,
+        message: outcome.message,
+        replayed: !stored
+      });
+    }
+
+    for (const eventId of touchedEvents) {
+      publishOccupancy(eventId);
+    }
+
+    const summary = results.reduce((counts, { result }) => {
+      counts[result] = (counts[result] || 0) + 1;
+      return counts;
+    }, { total: results.length });
+
+    console.log(`🔄 [SCAN SYNC] Device ${device_id}: ${JSON.stringify(summary)}`);
+
+    return successResponse(res, { device_id, summary, results }, 'Offline scans synced');
+  } catch (error) {
+    console.error('❌ [SCAN SYNC] Error:', error);
+    next(error);
+  }
+};
+
 /**
  * Scan stall QR code and verify
  * @route POST /api/volunteer/scan/stall
@@ -480,6 +1349,160 @@ const scanStallQR = async (req, res, next) => {
 
 
 
+/**
+ * Load a stall the volunteer runs the queue for (STALL_QUEUE on the stall's event)
+ * Sends the error response itself and returns null when not allowed
+ * @returns {Promise<Object|null>} Stall
+ */
+const findQueueStall = async (req, res) => {
+  const { stallId } = req.params;
+  if (!isValidQueueId(stallId)) {
+    errorResponse(res, 'Invalid stall ID', 400);
+    return null;
+  }
+
+  const stall = await Stall.findById(stallId, query);
+  if (!stall || !stall.event_id) {
+    errorResponse(res, 'Stall not found', 404);
+    return null;
+  }
+
+  const assignment = await EventVolunteerModel.findAssignment(stall.event_id, req.user.id);
+  if (!assignment) {
+    errorResponse(res, 'You are not assigned to this stall\'s event', 403);
+    return null;
+  }
+
+  if (!hasPermission(assignment, VolunteerPermission.STALL_QUEUE)) {
+    await recordPermissionDenied({
+      volunteerId: req.user.id,
+      eventId: stall.event_id,
+      permission: VolunteerPermission.STALL_QUEUE,
+      action: 'STALL_QUEUE',
+      requestInfo: getAuditRequestInfo(req),
+      metadata: { stall_id: stall.id, path: req.originalUrl }
+    });
+    errorResponse(res, 'You do not have permission to run stall queues for this event. Contact your event manager.', 403);
+    return null;
+  }
+
+  return stall;
+};
+
+/**
+ * Live queue of a stall: counters, called tokens and who is waiting
+ * @route GET /api/volunteer/stalls/:stallId/queue
+ */
+const getStallQueue = async (req, res, next) => {
+  try {
+    const stall = await findQueueStall(req, res);
+    if (!stall) return;
+
+    const queue = await loadStallQueue(stall);
+
+    return successResponse(res, {
+      stall: {
+        id: stall.id,
+        stall_number: stall.stall_number,
+        stall_name: stall.stall_name,
+        location: stall.location
+      },
+      ...queue
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Call the next token in a stall's queue
+ * @route POST /api/volunteer/stalls/:stallId/queue/call-next
+ */
+const callNextQueueToken = async (req, res, next) => {
+  try {
+    const stall = await findQueueStall(req, res);
+    if (!stall) return;
+
+    const token = await callNextToken(stall, req.user.id);
+    if (!token) {
+      return successResponse(res, { token: null }, 'Nobody is waiting in this queue');
+    }
+
+    const student = await Student.findById(token.student_id, query);
+
+    return successResponse(res, {
+      token: {
+        id: token.id,
+        token_number: token.token_number,
+        status: token.status,
+        called_at: token.called_at,
+        claim_expires_at: token.claim_expires_at,
+        student_name: student?.full_name || null,
+        registration_no: student?.registration_no || null
+      }
+    }, `Now serving token ${token.token_number}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a called token served (the student reached the stall)
+ * @route POST /api/volunteer/stalls/:stallId/queue/:tokenId/serve
+ */
+const serveQueueToken = async (req, res, next) => {
+  try {
+    if (!isValidQueueId(req.params.tokenId)) {
+      return errorResponse(res, 'Invalid queue token ID', 400);
+    }
+
+    const stall = await findQueueStall(req, res);
+    if (!stall) return;
+
+    const result = await serveToken(stall, req.params.tokenId);
+    if (result.error) {
+      return errorResponse(res, result.error, result.status);
+    }
+
+    return successResponse(res, { token: result.token }, `Token ${result.token.token_number} served`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue lengths of every stall in an assigned event (needs STALL_QUEUE there)
+ * @route GET /api/volunteer/events/:eventId/stall-queues
+ */
+const getEventStallQueues = async (req, res, next) => {
+  try {
+    const { eventId } = req.params;
+    if (!isValidEventId(eventId)) {
+      return errorResponse(res, 'Invalid event ID', 400);
+    }
+
+    const assignment = await EventVolunteerModel.findAssignment(eventId, req.user.id);
+    if (!assignment) {
+      return errorResponse(res, 'You are not assigned to this event', 403);
+    }
+    if (!hasPermission(assignment, VolunteerPermission.STALL_QUEUE)) {
+      await recordPermissionDenied({
+        volunteerId: req.user.id,
+        eventId,
+        permission: VolunteerPermission.STALL_QUEUE,
+        action: 'STALL_QUEUE',
+        requestInfo: getAuditRequestInfo(req),
+        metadata: { path: req.originalUrl }
+      });
+      return errorResponse(res, 'You do not have permission to run stall queues for this event. Contact your event manager.', 403);
+    }
+
+    return successResponse(res, await getEventQueueOverview(eventId));
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get volunteer's check-in history
  * @route GET /api/volunteer/history
@@ -492,9 +1515,32 @@ const getHistory = async (req, res, next) => {
       return errorResponse(res, 'Volunteer not found', 404);
     }
 
-    // Try to get volunteer's current active event assignment (multi-event system)
-    const assignment = await EventVolunteerModel.findActiveAssignment(req.user.id, query);
-    
+    // History of the requested event, the scanner's locked event, or the current assignment
+    const { event_id } = req.query;
+    if (event_id && !isValidEventId(event_id)) {
+      return errorResponse(res, 'Invalid event_id', 400);
+    }
+    const lock = event_id ? null : await getScannerLock(req.user);
+    const assignment = event_id || lock
+      ? await EventVolunteerModel.findAssignment(event_id || lock.event_id, req.user.id)
+      : await EventVolunteerModel.findActiveAssignment(req.user.id);
+    if (event_id && !assignment) {
+      return errorResponse(res, 'You are not assigned to this event', 403);
+    }
+
+    // The history lists the students this volunteer checked in and out
+    if (assignment && !hasPermission(assignment, VolunteerPermission.VIEW_STUDENTS)) {
+      await recordPermissionDenied({
+        volunteerId: req.user.id,
+        eventId: assignment.event_id,
+        permission: VolunteerPermission.VIEW_STUDENTS,
+        action: 'VIEW_HISTORY',
+        requestInfo: getAuditRequestInfo(req),
+        metadata: { path: req.originalUrl }
+      });
+      return errorResponse(res, 'You do not have permission to view student check-in/out records for this event. Contact your event manager.', 403);
+    }
+
     let history;
     let eventInfo = {};
 
@@ -561,6 +1607,97 @@ const getAssignedEvents = async (req, res, next) => {
   }
 };
 
+/**
+ * Scanner state: the event/gate this login session is locked to and the
+ * assignments the volunteer can scan for (with why each is closed, if it is)
+ * @route GET /api/volunteer/scanner
+ */
+const getScanner = async (req, res, next) => {
+  try {
+    const lock = await getScannerLock(req.user);
+    const assignments = await EventVolunteerModel.getVolunteerEvents(req.user.id, { is_active: true });
+
+    const events = assignments
+      .filter(assignment => LIVE_EVENT_STATUSES.includes(assignment.event_status))
+      .map(assignment => {
+        const scanError = getAssignmentScanError(assignment);
+        return {
+          ...describeAssignment(assignment),
+          open_for_scanning: !scanError,
+          closed_reason: scanError?.message || null
+        };
+      });
+    const openCount = events.filter(event => event.open_for_scanning).length;
+
+    return successResponse(res, {
+      lock,
+      events,
+      // Scans must carry event_id (or the scanner must be locked) while more than one event is open
+      selection_required: !lock && openCount > 1
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lock this login session's scanner to one event and gate
+ * Body: { event_id, location? }
+ * @route PUT /api/volunteer/scanner
+ */
+const lockScanner = async (req, res, next) => {
+  try {
+    const { event_id, location = null } = req.body;
+
+    if (!event_id || !isValidEventId(event_id)) {
+      return errorResponse(res, 'A valid event_id is required', 400);
+    }
+    if (location !== null && (typeof location !== 'string' || location.trim().length === 0 || location.length > 100)) {
+      return errorResponse(res, 'location must be a non-empty string of at most 100 characters', 400);
+    }
+    if (!req.user.sid) {
+      return errorResponse(res, 'Log in again to lock this scanner', 400);
+    }
+
+    const assignment = await EventVolunteerModel.findAssignment(event_id, req.user.id);
+    if (!assignment) {
+      return errorResponse(res, 'You are not assigned to this event', 404);
+    }
+
+    // A scanner can be set up before the gates open; event status and gate must already fit
+    const scanError = getAssignmentScanError(assignment, { location, requireLocation: true });
+    if (scanError && scanError.code !== ScanAssignmentError.OUTSIDE_SCAN_WINDOW) {
+      return errorResponse(res, scanError.message, 403, { code: scanError.code });
+    }
+
+    await VolunteerScannerLockModel.upsert({
+      auth_session_id: req.user.sid,
+      volunteer_id: req.user.id,
+      event_id,
+      location: location ? location.trim() : null
+    });
+
+    const lock = await VolunteerScannerLockModel.findBySession(req.user.sid);
+    return successResponse(res, { lock, event: describeAssignment(assignment) }, `Scanner locked to ${assignment.event_name}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove this login session's scanner lock
+ * @route DELETE /api/volunteer/scanner
+ */
+const unlockScanner = async (req, res, next) => {
+  try {
+    const unlocked = req.user.sid ? await VolunteerScannerLockModel.delete(req.user.sid) : false;
+
+    return successResponse(res, { unlocked }, unlocked ? 'Scanner unlocked' : 'Scanner was not locked');
+  } catch (error) {
+    next(error);
+  }
+};
+
 // ============================================================
 // MANAGEMENT OPERATIONS (Admin and Event Manager only)
 // ============================================================
@@ -858,22 +1995,11 @@ const verifyIdentity = async (req, res, next) => {
       return errorResponse(res, 'Phone number does not match our records', 401);
     }
 
-    // Issue full access token after verification
-    const token = jwt.sign(
-      { 
-        id: volunteer.id, 
-        email: volunteer.email,
-        role: volunteer.role,
-        verified: true
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    setAuthCookie(res, token);
+    // Start a full session after verification
+    const session = await AuthSessionService.startSession(req, res, 'VOLUNTEER', volunteer, { verified: true });
 
     return successResponse(res, {
-      token,
+      ...session,
       verified: true,
       message: 'Identity verified. You can now reset your password.'
     }, 'Identity verified successfully');
@@ -898,6 +2024,11 @@ const resetPassword = async (req, res, next) => {
       return errorResponse(res, 'Password must be at least 6 characters', 400);
     }
 
+    // The login token only opens identity verification, which issues the session used here
+    if (req.user.requires_verification) {
+      return errorResponse(res, 'Please verify your identity first', 403);
+    }
+
     // Get volunteer
     const volunteer = await Volunteer.findById(req.user.id, query);
     if (!volunteer) {
@@ -972,10 +2103,19 @@ export default {
   logout,
   getProfile,
   scanStudentQR,  // ✅ Universal scanner - handles ALL scenarios
+  syncOfflineScans,  // Batched replay of scans queued offline
+  registerWalkIn,
   scanStallQR,
+  getStallQueue,
+  callNextQueueToken,
+  serveQueueToken,
+  getEventStallQueues,
   getHistory,
   // Multi-event support
   getAssignedEvents,  // Volunteers can see their assigned events
+  getScanner,         // Scanner lock + events open for scanning
+  lockScanner,
+  unlockScanner,
   // Management operations (ADMIN, EVENT_MANAGER only)
   getAllVolunteers,
   getVolunteerById,
@@ -9,6 +9,8 @@
  */
 const COOKIE_CONFIG = {
   TOKEN_NAME: 'token',
+  REFRESH_TOKEN_NAME: 'refresh_token',
+  REFRESH_PATH: '/api/auth', // Only sent to the refresh/logout endpoints
   MAX_AGE: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
   PATH: '/',
   
@@ -73,6 +75,48 @@ export const getTokenFromCookie = (req) => {
   return req.cookies?.[COOKIE_CONFIG.TOKEN_NAME] || null;
 };
 
+/**
+ * Set refresh token cookie (scoped to /api/auth)
+ * @param {Object} res - Express response object
+ * @param {string} refreshToken - Refresh token to store
+ * @param {number} maxAge - Cookie lifetime in milliseconds
+ * @returns {void}
+ */
+export const setRefreshCookie = (res, refreshToken, maxAge) => {
+  if (!refreshToken) {
+    throw new Error('Refresh token is required to set refresh cookie');
+  }
+
+  res.cookie(COOKIE_CONFIG.REFRESH_TOKEN_NAME, refreshToken, {
+    ...COOKIE_CONFIG.options,
+    maxAge,
+    path: COOKIE_CONFIG.REFRESH_PATH
+  });
+};
+
+/**
+ * Clear refresh token cookie (logout)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+export const clearRefreshCookie = (res) => {
+  res.clearCookie(COOKIE_CONFIG.REFRESH_TOKEN_NAME, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: COOKIE_CONFIG.REFRESH_PATH
+  });
+};
+
+/**
+ * Get refresh token from cookie
+ * @param {Object} req - Express request object
+ * @returns {string|null} Refresh token or null if not found
+ */
+export const getRefreshTokenFromCookie = (req) => {
+  return req.cookies?.[COOKIE_CONFIG.REFRESH_TOKEN_NAME] || null;
+};
+
 /**
  * Check if token exists in cookie
  * @param {Object} req - Express request object
@@ -92,5 +136,8 @@ export default {
   clearAuthCookie,
   getTokenFromCookie,
   hasAuthCookie,
+  setRefreshCookie,
+  clearRefreshCookie,
+  getRefreshTokenFromCookie,
   COOKIE_CONFIG
 };
@@ -4,6 +4,7 @@ import helmet from 'helmet';
 import compression from 'compression';
 import cookieParser from 'cookie-parser';
 import dotenv from 'dotenv';
+import { MAX_FILE_SIZE_MB } from './utils/registrationForm.js';
 
 // Load environment variables
 dotenv.config();
@@ -30,7 +31,18 @@ app.use(cors({
 console.log('🌍 CORS: Allowing ALL origins (open mode)');
 app.use(compression());
 app.use(cookieParser()); // Parse cookies
-app.use(express.json());
+// Registration forms send file answers as base64 data URIs (4/3 of the file size),
+// so registration routes take bodies up to the largest allowed file
+app.use(
+  ['/api/student/events/:eventId/register', '/api/student/events/:eventId/payment/initiate'],
+  express.json({ limit: `${Math.ceil(MAX_FILE_SIZE_MB * 4 / 3) + 1}mb` })
+);
+// Keep the raw body alongside the parsed JSON (needed for Razorpay webhook signature verification)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Health check endpoint
@@ -50,6 +62,7 @@ app.get('/api', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
+      auth: '/api/auth',
       students: '/api/student',
       volunteers: '/api/volunteer',
       stalls: '/api/stall',
@@ -57,7 +70,12 @@ app.get('/api', (req, res) => {
       feedback: '/api/feedback',
       ranking: '/api/ranking',
       checkInOut: '/api/check-in-out',
-      eventManagers: '/api/event-managers' 
+      eventManagers: '/api/event-managers',
+      payment: '/api/payment',
+      certificates: '/api/certificates',
+      teams: '/api/teams',
+      calendar: '/api/calendar',
+      websocket: WS_PATH
     }
   });
 });
@@ -71,10 +89,18 @@ import {
   feedbackRoutes,
   rankingRoutes,
   checkInOutRoutes,
-  eventManagerRoutes
+  eventManagerRoutes,
+  paymentRoutes,
+  certificateRoutes,
+  teamRoutes,
+  calendarRoutes,
+  authRoutes
 } from './routes/index.js';
+import { startLifecycleScheduler, stopLifecycleScheduler } from './services/eventLifecycle.service.js';
+import { attachRealtimeServer, closeRealtimeServer, WS_PATH } from './services/realtime.js';
 
 // Use routes
+app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/student', studentRoutes);
 app.use('/api/volunteer', volunteerRoutes);
@@ -83,6 +109,10 @@ app.use('/api/feedback', feedbackRoutes);
 app.use('/api/ranking', rankingRoutes);
 app.use('/api/check-in-out', checkInOutRoutes);
 app.use('/api/event-manager', eventManagerRoutes); 
+app.use('/api/payment', paymentRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -109,28 +139,39 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   if (process.env.NODE_ENV === 'production') {
     console.log(`✅ Server ready on port ${PORT}`);
   } else {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📡 API available at http://localhost:${PORT}/api`);
     console.log(`💚 Health check at http://localhost:${PORT}/health`);
+    console.log(`🔌 WebSocket at ws://localhost:${PORT}${WS_PATH}`);
     console.log(`🎓 SGT University Event Management System`);
     console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🔗 CORS allowed from: ${process.env.CLIENT_URL || 'http://localhost:3000'}`);
   }
+
+  // Event status transitions, auto check-out and expiry of stale requests/payments
+  startLifecycleScheduler();
 });
 
+// Live scan/occupancy updates for dashboards (same JWT cookie as the REST API)
+attachRealtimeServer(server);
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopLifecycleScheduler();
+  closeRealtimeServer();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  stopLifecycleScheduler();
+  closeRealtimeServer();
   process.exit(0);
-});``
+});
 
 export default app;
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import { getTokenFromCookie } from '../helpers/cookie.js';
+import { isSessionActive } from '../services/authSession.service.js';
 
 /**
  * Authentication & Authorization Middleware
@@ -21,6 +22,8 @@ import { getTokenFromCookie } from '../helpers/cookie.js';
  * @middleware
  * @description 
  * - Validates JWT token signature and expiration
+ * - Requires a login session (`sid` claim) that has not been logged out or revoked;
+ *   tokens without one (issued before sessions existed) are refused
  * - Extracts user payload (id, email, role) and attaches to req.user
  * - Does NOT check user role (use authorizeRoles for that)
  * 
@@ -30,11 +33,39 @@ import { getTokenFromCookie } from '../helpers/cookie.js';
  * 
  * @returns {void}
  * 
- * @throws {401} - Missing token
- * @throws {403} - Invalid or expired token
+ * @throws {401} - Missing token, or no active session (code SESSION_REVOKED)
+ * @throws {403} - Invalid or expired token (expired: code TOKEN_EXPIRED, refresh at POST /api/auth/refresh),
+ *                 or a single-purpose token (password reset, first login, limited access, identity verification)
  * @throws {500} - Authentication error
  */
-export const authenticateToken = (req, res, next) => {
+export const authenticateToken = (req, res, next) => authenticate(req, res, next, { allowLimitedAccess: false });
+
+/**
+ * Same as authenticateToken, but also accepts the short-lived token an event manager
+ * (`limited_access`) or volunteer (`requires_verification`) gets when a password reset
+ * is required (identity check and password reset routes only)
+ * @middleware
+ */
+export const authenticateLimitedToken = (req, res, next) => authenticate(req, res, next, { allowLimitedAccess: true });
+
+/**
+ * Tokens issued at login while a password reset is pending; they have no session
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {boolean}
+ */
+const isLimitedToken = (decoded) => Boolean(decoded.limited_access || decoded.requires_verification);
+
+/**
+ * Single-purpose tokens are never login sessions: password reset tokens (`purpose`,
+ * `first_login`) and, unless the route allows it, limited tokens
+ * @param {Object} decoded - Verified JWT payload
+ * @param {boolean} allowLimitedAccess
+ * @returns {boolean}
+ */
+const isRestrictedToken = (decoded, allowLimitedAccess = false) =>
+  Boolean(decoded.purpose || decoded.first_login || (isLimitedToken(decoded) && !allowLimitedAccess));
+
+const authenticate = async (req, res, next, { allowLimitedAccess }) => {
   try {
     // Try to get token from HTTP-Only cookie first (more secure for browsers)
     let token = getTokenFromCookie(req);
@@ -55,18 +86,43 @@ export const authenticateToken = (req, res, next) => {
     }
 
     // Verify token
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-      if (err) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      if (err.name === 'TokenExpiredError') {
         return res.status(403).json({
           success: false,
-          message: 'Invalid or expired token'
+          message: 'Access token expired',
+          code: 'TOKEN_EXPIRED'
         });
       }
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
 
-      // Attach user data to request
-      req.user = decoded;
-      next();
-    });
+    if (isRestrictedToken(decoded, allowLimitedAccess)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This token cannot be used to sign in'
+      });
+    }
+
+    // Full-access tokens stop working as soon as their session is revoked; a token
+    // without a session can't be revoked, so it is not accepted at all
+    if (!isLimitedToken(decoded) && !(decoded.sid && await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or was logged out. Please login again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    // Attach user data to request
+    req.user = decoded;
+    next();
   } catch (error) {
     return res.status(500).json({
       success: false,
@@ -126,7 +182,7 @@ export const authorizeRoles = (...roles) => {
  * Optional authentication - doesn't fail if no token
  * @middleware
  */
-export const optionalAuth = (req, res, next) => {
+export const optionalAuth = async (req, res, next) => {
   try {
     // Try cookie first
     let token = getTokenFromCookie(req);
@@ -138,11 +194,14 @@ export const optionalAuth = (req, res, next) => {
     }
 
     if (token) {
-      jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-        if (!err) {
+      try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (!isRestrictedToken(decoded) && decoded.sid && await isSessionActive(decoded.sid)) {
           req.user = decoded;
         }
-      });
+      } catch {
+        // Invalid token - continue unauthenticated
+      }
     }
 
     next();
@@ -153,6 +212,7 @@ export const optionalAuth = (req, res, next) => {
 
 export default {
   authenticateToken,
+  authenticateLimitedToken,
   authorizeRoles,
   optionalAuth
 };
@@ -5,8 +5,8 @@
 
 import Event from '../models/Event.model.js';
 import EventRegistration from '../models/EventRegistration.model.js';
-import CheckInOut from '../models/CheckInOut.model.js';
 import { errorResponse } from '../helpers/response.js';
+import { isUuid } from '../utils/uuid.js';
 
 /**
  * Middleware: Validates that the event exists and is accessible
@@ -21,25 +21,17 @@ export const requireEventContext = async (req, res, next) => {
 
     // Validate eventId format
     if (!eventId) {
-      return res.status(400).json(
-        errorResponse('Event ID is required', 400)
-      );
+      return errorResponse(res, 'Event ID is required', 400);
     }
 
-    // UUID format validation (basic check)
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-    if (!uuidRegex.test(eventId)) {
-      return res.status(400).json(
-        errorResponse('Invalid event ID format', 400)
-      );
+    if (!isUuid(eventId)) {
+      return errorResponse(res, 'Invalid event ID format', 400);
     }
 
     // Check if event exists
     const event = await Event.findById(eventId);
     if (!event) {
-      return res.status(404).json(
-        errorResponse('Event not found', 404)
-      );
+      return errorResponse(res, 'Event not found', 404);
     }
 
     // Attach event to request for downstream middleware/controllers
@@ -49,9 +41,7 @@ export const requireEventContext = async (req, res, next) => {
     next();
   } catch (error) {
     console.error('requireEventContext error:', error);
-    return res.status(500).json(
-      errorResponse('Error validating event context', 500)
-    );
+    return errorResponse(res, 'Error validating event context', 500);
   }
 };
 
@@ -67,28 +57,18 @@ export const requireEventRegistration = async (req, res, next) => {
     const { eventId, user } = req;
 
     // Check if student is registered for this event
-    const registration = await EventRegistration.findByStudentAndEvent(
-      user.id,
-      eventId
+    const registration = await EventRegistration.findByEventAndStudent(
+      eventId,
+      user.id
     );
 
     if (!registration) {
-      return res.status(403).json(
-        errorResponse(
-          'You are not registered for this event. Please register first.',
-          403
-        )
-      );
+      return errorResponse(res, 'You are not registered for this event. Please register first.', 403);
     }
 
     // Check payment status for paid events
-    if (req.event.event_type === 'PAID' && registration.payment_status !== 'PAID') {
-      return res.status(402).json(
-        errorResponse(
-          'Payment required. Please complete payment to access this event.',
-          402
-        )
-      );
+    if (req.event.event_type === 'PAID' && registration.payment_status !== 'COMPLETED') {
+      return errorResponse(res, 'Payment required. Please complete payment to access this event.', 402);
     }
 
     // Attach registration to request
@@ -97,47 +77,37 @@ export const requireEventRegistration = async (req, res, next) => {
     next();
   } catch (error) {
     console.error('requireEventRegistration error:', error);
-    return res.status(500).json(
-      errorResponse('Error validating event registration', 500)
-    );
+    return errorResponse(res, 'Error validating event registration', 500);
   }
 };
 
 /**
- * Middleware: Validates that the student has an active check-in for the event
+ * Middleware: Validates that the student is currently inside the event
  * Requires: authenticateToken, authorizeRoles('STUDENT'), requireEventContext, requireEventRegistration
- * Attaches active check-in data to req.activeCheckIn
+ * Attaches presence data (from the event registration) to req.activeCheckIn
  * 
  * Usage: Add after requireEventRegistration for operations that require physical presence
  */
 export const requireActiveCheckIn = async (req, res, next) => {
   try {
-    const { eventId, user } = req;
+    const { registration } = req;
 
-    // Find the most recent check-in for this student in this event
-    const activeCheckIn = await CheckInOut.findActiveCheckInForEvent(
-      user.id,
-      eventId
-    );
-
-    if (!activeCheckIn) {
-      return res.status(403).json(
-        errorResponse(
-          'You must be checked in to the event to perform this action. Please scan your QR code at the entrance.',
-          403
-        )
-      );
+    // Presence is tracked per event on the registration row
+    if (!registration || !registration.is_inside_event) {
+      return errorResponse(res, 'You must be checked in to the event to perform this action. Please scan your QR code at the entrance.', 403);
     }
 
     // Attach active check-in to request
-    req.activeCheckIn = activeCheckIn;
+    req.activeCheckIn = {
+      registration_id: registration.id,
+      event_id: registration.event_id,
+      checked_in_at: registration.last_check_in_at
+    };
 
     next();
   } catch (error) {
     console.error('requireActiveCheckIn error:', error);
-    return res.status(500).json(
-      errorResponse('Error validating active check-in', 500)
-    );
+    return errorResponse(res, 'Error validating active check-in', 500);
   }
 };
 
@@ -0,0 +1,46 @@
+/**
+ * Volunteer Permission Middleware
+ * Enforces event_volunteers.permissions on volunteer routes; other roles pass through
+ */
+
+import { errorResponse } from '../helpers/response.js';
+import { getAuditRequestInfo } from '../utils/auditLogger.js';
+import { isUuid } from '../utils/uuid.js';
+import { volunteerHasPermission, recordPermissionDenied } from '../services/volunteerPermission.service.js';
+
+/**
+ * Middleware: Requires the volunteer to hold a permission
+ * Checks the assignment of ?event_id= when given, otherwise any active assignment
+ * Denied attempts are audited for the event manager
+ *
+ * Usage: Add after authenticateToken and authorizeRoles
+ * @param {string} permission - VolunteerPermission value
+ */
+export const requireVolunteerPermission = (permission) => async (req, res, next) => {
+  try {
+    if (req.user?.role !== 'VOLUNTEER') {
+      return next();
+    }
+
+    const eventId = isUuid(req.query.event_id) ? req.query.event_id : null;
+    if (await volunteerHasPermission(req.user.id, permission, eventId)) {
+      return next();
+    }
+
+    await recordPermissionDenied({
+      volunteerId: req.user.id,
+      eventId,
+      permission,
+      action: permission,
+      requestInfo: getAuditRequestInfo(req),
+      metadata: { path: req.originalUrl }
+    });
+
+    return errorResponse(res, 'You do not have permission to perform this action. Contact your event manager.', 403);
+  } catch (error) {
+    console.error('requireVolunteerPermission error:', error);
+    return errorResponse(res, 'Error checking volunteer permissions', 500);
+  }
+};
+
+export default requireVolunteerPermission;
@@ -0,0 +1,50 @@
+-- ============================================================
+-- Migration: Add payment_webhook_events table
+-- Version: 017
+-- Description: Stores every delivered Razorpay webhook event so that
+--              retried deliveries are recognised and skipped
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- Razorpay delivery identity (X-Razorpay-Event-Id header)
+    event_id VARCHAR(100) UNIQUE NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+
+    -- References extracted from the payload
+    razorpay_order_id VARCHAR(100),
+    razorpay_payment_id VARCHAR(100),
+    registration_id UUID REFERENCES event_registrations(id) ON DELETE SET NULL,
+
+    -- Processing state
+    status VARCHAR(20) DEFAULT 'RECEIVED' CHECK (status IN (
+        'RECEIVED',   -- Stored, reconciliation in progress
+        'PROCESSED',  -- Registration updated
+        'IGNORED',    -- Nothing to update (unknown order, already reconciled, unhandled type)
+        'FAILED'      -- Reconciliation threw; a retried delivery will be processed again
+    )),
+    result_message TEXT,
+    attempts INTEGER DEFAULT 1,
+
+    -- Raw payload for troubleshooting
+    payload JSONB DEFAULT '{}'::jsonb,
+
+    received_at TIMESTAMP DEFAULT NOW(),
+    processed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_type ON payment_webhook_events(event_type);
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_status ON payment_webhook_events(status);
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_order ON payment_webhook_events(razorpay_order_id);
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_received_at ON payment_webhook_events(received_at DESC);
+
+COMMENT ON TABLE payment_webhook_events IS 'Razorpay webhook deliveries, used for idempotent payment reconciliation';
+COMMENT ON COLUMN payment_webhook_events.event_id IS 'Razorpay event ID from the X-Razorpay-Event-Id header';
+COMMENT ON COLUMN payment_webhook_events.status IS 'RECEIVED, PROCESSED, IGNORED or FAILED';
+
+-- Verify migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 017: payment_webhook_events table created successfully';
+END $$;
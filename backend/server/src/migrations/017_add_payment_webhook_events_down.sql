@@ -0,0 +1,14 @@
+-- Migration Rollback: Remove payment_webhook_events table
+-- Rollback for 017_add_payment_webhook_events.sql
+
+DROP INDEX IF EXISTS idx_payment_webhook_events_received_at;
+DROP INDEX IF EXISTS idx_payment_webhook_events_order;
+DROP INDEX IF EXISTS idx_payment_webhook_events_status;
+DROP INDEX IF EXISTS idx_payment_webhook_events_type;
+
+DROP TABLE IF EXISTS payment_webhook_events;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 017: payment_webhook_events table removed';
+END $$;
@@ -0,0 +1,65 @@
+-- ============================================================
+-- Migration: Add notifications table
+-- Version: 018
+-- Description: Delivery log for email/SMS notifications
+--              (registration confirmed, waitlist promotion, event
+--              cancelled/approved/rejected, refunds)
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- What triggered the notification (template key)
+    trigger_type VARCHAR(50) NOT NULL,
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('EMAIL', 'SMS')),
+
+    -- Recipient
+    recipient_type VARCHAR(20) NOT NULL CHECK (recipient_type IN ('STUDENT', 'EVENT_MANAGER', 'VOLUNTEER', 'ADMIN')),
+    recipient_id UUID,
+    destination VARCHAR(255) NOT NULL, -- Email address or phone number
+
+    -- Rendered content
+    subject VARCHAR(255),
+    body TEXT NOT NULL,
+
+    -- Related records
+    event_id UUID REFERENCES events(id) ON DELETE SET NULL,
+    registration_id UUID REFERENCES event_registrations(id) ON DELETE SET NULL,
+
+    -- Delivery tracking
+    provider VARCHAR(20) NOT NULL,
+    status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN (
+        'PENDING',  -- Queued, not yet attempted (or waiting for retry)
+        'SENT',     -- Accepted by provider
+        'FAILED'    -- Gave up after max_attempts
+    )),
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    last_error TEXT,
+    provider_message_id VARCHAR(255),
+    next_retry_at TIMESTAMP,
+    sent_at TIMESTAMP,
+
+    metadata JSONB DEFAULT '{}'::jsonb,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_status ON notifications(status);
+CREATE INDEX IF NOT EXISTS idx_notifications_trigger ON notifications(trigger_type);
+CREATE INDEX IF NOT EXISTS idx_notifications_recipient ON notifications(recipient_type, recipient_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_event ON notifications(event_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_retry ON notifications(next_retry_at) WHERE status = 'PENDING';
+CREATE INDEX IF NOT EXISTS idx_notifications_created_at ON notifications(created_at DESC);
+
+COMMENT ON TABLE notifications IS 'Email/SMS delivery log with retry tracking';
+COMMENT ON COLUMN notifications.trigger_type IS 'Template key, e.g. REGISTRATION_CONFIRMED, WAITLIST_PROMOTED, EVENT_CANCELLED';
+COMMENT ON COLUMN notifications.provider IS 'Provider adapter used: smtp, sms_gateway, console';
+COMMENT ON COLUMN notifications.next_retry_at IS 'When a PENDING notification with failed attempts becomes eligible for retry';
+
+-- Verify migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 018: notifications table created successfully';
+END $$;
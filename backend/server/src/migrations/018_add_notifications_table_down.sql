@@ -0,0 +1,16 @@
+-- Migration Rollback: Remove notifications table
+-- Rollback for 018_add_notifications_table.sql
+
+DROP INDEX IF EXISTS idx_notifications_created_at;
+DROP INDEX IF EXISTS idx_notifications_retry;
+DROP INDEX IF EXISTS idx_notifications_event;
+DROP INDEX IF EXISTS idx_notifications_recipient;
+DROP INDEX IF EXISTS idx_notifications_trigger;
+DROP INDEX IF EXISTS idx_notifications_status;
+
+DROP TABLE IF EXISTS notifications;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 018: notifications table removed';
+END $$;
@@ -0,0 +1,62 @@
+-- ============================================================
+-- Migration: Per-event presence on event_registrations
+-- Version: 019
+-- Description: Tracks inside/outside state, last check-in/out and
+--              time spent per registration instead of the global
+--              students.is_inside_event flag. Backfills from check_in_outs.
+-- ============================================================
+
+ALTER TABLE event_registrations
+  ADD COLUMN IF NOT EXISTS is_inside_event BOOLEAN DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS last_check_out_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_event_registrations_inside
+  ON event_registrations(event_id) WHERE is_inside_event = TRUE;
+
+COMMENT ON COLUMN event_registrations.is_inside_event IS 'TRUE while the student is checked in to this event';
+COMMENT ON COLUMN event_registrations.last_check_out_at IS 'Timestamp of the most recent exit scan for this event';
+
+-- Backfill counters and timestamps from existing scans
+WITH scan_totals AS (
+  SELECT
+    student_id,
+    event_id,
+    COUNT(*) FILTER (WHERE scan_type = 'CHECKIN') AS check_in_count,
+    MAX(scanned_at) FILTER (WHERE scan_type = 'CHECKIN') AS last_check_in_at,
+    MAX(scanned_at) FILTER (WHERE scan_type = 'CHECKOUT') AS last_check_out_at,
+    COALESCE(SUM(duration_minutes) FILTER (WHERE scan_type = 'CHECKOUT'), 0) AS total_minutes
+  FROM check_in_outs
+  WHERE event_id IS NOT NULL
+  GROUP BY student_id, event_id
+),
+last_scan AS (
+  SELECT DISTINCT ON (student_id, event_id)
+    student_id,
+    event_id,
+    scan_type
+  FROM check_in_outs
+  WHERE event_id IS NOT NULL
+  ORDER BY student_id, event_id, scanned_at DESC
+)
+UPDATE event_registrations er
+SET
+  check_in_count = st.check_in_count,
+  has_checked_in = st.check_in_count > 0,
+  last_check_in_at = st.last_check_in_at,
+  last_check_out_at = st.last_check_out_at,
+  total_time_spent_minutes = st.total_minutes,
+  is_inside_event = (ls.scan_type = 'CHECKIN'),
+  updated_at = NOW()
+FROM scan_totals st
+JOIN last_scan ls ON ls.student_id = st.student_id AND ls.event_id = st.event_id
+WHERE er.student_id = st.student_id
+  AND er.event_id = st.event_id;
+
+-- Verify migration
+DO $$
+DECLARE
+    inside_count INTEGER;
+BEGIN
+    SELECT COUNT(*) INTO inside_count FROM event_registrations WHERE is_inside_event = TRUE;
+    RAISE NOTICE 'Migration 019: per-event presence added (% registrations currently inside)', inside_count;
+END $$;
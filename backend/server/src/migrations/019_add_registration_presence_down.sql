@@ -0,0 +1,14 @@
+-- Migration Rollback: Remove per-event presence columns
+-- Rollback for 019_add_registration_presence.sql
+-- Note: backfilled check_in_count/last_check_in_at/total_time_spent_minutes values are kept
+
+DROP INDEX IF EXISTS idx_event_registrations_inside;
+
+ALTER TABLE event_registrations
+  DROP COLUMN IF EXISTS last_check_out_at,
+  DROP COLUMN IF EXISTS is_inside_event;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 019: per-event presence columns removed';
+END $$;
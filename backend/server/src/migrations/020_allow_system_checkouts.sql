@@ -0,0 +1,22 @@
+-- ============================================================
+-- Migration: Allow system (scheduler) check-outs
+-- Version: 020
+-- Description: The lifecycle scheduler checks out students still inside
+--              an event when it ends. Those scans have no volunteer, so
+--              check_in_outs.volunteer_id becomes nullable (it already
+--              used ON DELETE SET NULL) and auto check-outs are flagged.
+-- ============================================================
+
+ALTER TABLE check_in_outs
+  ALTER COLUMN volunteer_id DROP NOT NULL;
+
+ALTER TABLE check_in_outs
+  ADD COLUMN IF NOT EXISTS is_auto_checkout BOOLEAN DEFAULT FALSE;
+
+COMMENT ON COLUMN check_in_outs.is_auto_checkout IS 'TRUE when the lifecycle scheduler checked the student out at event end';
+
+-- Verify migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 020: check_in_outs accepts system check-outs';
+END $$;
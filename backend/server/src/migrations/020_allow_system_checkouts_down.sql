@@ -0,0 +1,16 @@
+-- Migration Rollback: Disallow system check-outs
+-- Rollback for 020_allow_system_checkouts.sql
+-- Note: auto check-out rows have no volunteer and are removed first
+
+DELETE FROM check_in_outs WHERE volunteer_id IS NULL;
+
+ALTER TABLE check_in_outs
+  DROP COLUMN IF EXISTS is_auto_checkout;
+
+ALTER TABLE check_in_outs
+  ALTER COLUMN volunteer_id SET NOT NULL;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 020: system check-outs removed';
+END $$;
@@ -0,0 +1,48 @@
+-- ============================================================
+-- Migration: Offline volunteer scan sync
+-- Version: 021
+-- Description: Per-scan results for scans queued offline by the volunteer
+--              scanner and replayed through POST /api/volunteer/scan/sync.
+--              (device_id, client_scan_id) makes replays idempotent.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS offline_scan_syncs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- Identity of the queued scan on the device
+    device_id VARCHAR(100) NOT NULL,
+    client_scan_id VARCHAR(100) NOT NULL,
+    client_scanned_at TIMESTAMP NOT NULL,
+
+    volunteer_id UUID REFERENCES volunteers(id) ON DELETE SET NULL,
+    event_id UUID REFERENCES events(id) ON DELETE SET NULL,
+    student_id UUID REFERENCES students(id) ON DELETE SET NULL,
+
+    -- Outcome of the replay
+    result VARCHAR(20) NOT NULL CHECK (result IN (
+        'APPLIED',    -- Check-in/out recorded
+        'DUPLICATE',  -- Same student scanned again within the duplicate window
+        'CONFLICT',   -- Newer scans already recorded, or volunteer assignment changed
+        'REJECTED'    -- Invalid/expired QR, not registered, payment pending, bad timestamp
+    )),
+    action VARCHAR(10) CHECK (action IN ('ENTRY', 'EXIT')),
+    check_in_out_id UUID REFERENCES check_in_outs(id) ON DELETE SET NULL,
+    message TEXT,
+
+    synced_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(device_id, client_scan_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_offline_scan_syncs_volunteer ON offline_scan_syncs(volunteer_id, synced_at DESC);
+CREATE INDEX IF NOT EXISTS idx_offline_scan_syncs_event ON offline_scan_syncs(event_id);
+CREATE INDEX IF NOT EXISTS idx_offline_scan_syncs_result ON offline_scan_syncs(result) WHERE result <> 'APPLIED';
+
+COMMENT ON TABLE offline_scan_syncs IS 'Results of volunteer scans queued offline and replayed in batch';
+COMMENT ON COLUMN offline_scan_syncs.client_scanned_at IS 'Device time of the scan; QR grace window and durations use this, not sync time';
+
+-- Verify migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 021: offline_scan_syncs table created successfully';
+END $$;
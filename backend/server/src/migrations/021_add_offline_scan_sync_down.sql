@@ -0,0 +1,13 @@
+-- Migration Rollback: Remove offline scan sync log
+-- Rollback for 021_add_offline_scan_sync.sql
+
+DROP INDEX IF EXISTS idx_offline_scan_syncs_result;
+DROP INDEX IF EXISTS idx_offline_scan_syncs_event;
+DROP INDEX IF EXISTS idx_offline_scan_syncs_volunteer;
+
+DROP TABLE IF EXISTS offline_scan_syncs;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 021: offline_scan_syncs table removed';
+END $$;
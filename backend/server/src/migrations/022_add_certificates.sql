@@ -0,0 +1,73 @@
+-- ============================================================
+-- Migration: Attendance certificates
+-- Version: 022
+-- Description: Per-event certificate template (configured by the event manager)
+--              and issued certificates with a public verification code
+-- ============================================================
+
+-- ============================================================
+-- CERTIFICATE_TEMPLATES TABLE (one per event)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS certificate_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_id UUID NOT NULL UNIQUE REFERENCES events(id) ON DELETE CASCADE,
+
+    -- Content ({{placeholders}} are filled per student)
+    title VARCHAR(150) NOT NULL DEFAULT 'Certificate of Participation',
+    body_text TEXT NOT NULL DEFAULT 'This is to certify that {{student_name}} ({{registration_no}}) of {{school_name}} participated in {{event_name}} held on {{event_dates}}, spending {{time_spent}} at the event.',
+    organization_name VARCHAR(150) NOT NULL DEFAULT 'SGT University',
+    signatory_name VARCHAR(100),
+    signatory_title VARCHAR(100),
+    accent_color VARCHAR(7) NOT NULL DEFAULT '#1E3A8A' CHECK (accent_color ~ '^#[0-9A-Fa-f]{6}$'),
+
+    -- Eligibility
+    min_attendance_minutes INTEGER NOT NULL DEFAULT 0 CHECK (min_attendance_minutes >= 0),
+
+    is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_by_user_id UUID,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- ============================================================
+-- CERTIFICATES TABLE (one per student per event)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS certificates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    registration_id UUID REFERENCES event_registrations(id) ON DELETE SET NULL,
+
+    verification_code VARCHAR(20) NOT NULL UNIQUE,
+
+    -- Snapshot at issue time (the certificate must not change if the student or event is edited)
+    student_name VARCHAR(255) NOT NULL,
+    registration_no VARCHAR(50),
+    school_name VARCHAR(255),
+    event_name VARCHAR(255) NOT NULL,
+    event_code VARCHAR(50),
+    first_check_in_at TIMESTAMP,
+    last_check_out_at TIMESTAMP,
+    days_attended INTEGER NOT NULL DEFAULT 0,
+    time_spent_minutes INTEGER NOT NULL DEFAULT 0,
+
+    issued_at TIMESTAMP DEFAULT NOW(),
+    issued_by_user_id UUID,
+    download_count INTEGER NOT NULL DEFAULT 0,
+    revoked_at TIMESTAMP,
+    revoked_reason TEXT,
+
+    UNIQUE(event_id, student_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_certificates_student ON certificates(student_id);
+CREATE INDEX IF NOT EXISTS idx_certificates_event ON certificates(event_id, issued_at DESC);
+
+COMMENT ON TABLE certificate_templates IS 'Per-event certificate layout and minimum attendance for eligibility';
+COMMENT ON TABLE certificates IS 'Issued attendance certificates; verification_code is checked by GET /api/certificates/verify/:code';
+
+-- Verify migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 022: certificate_templates and certificates tables created successfully';
+END $$;
@@ -0,0 +1,13 @@
+-- Migration Rollback: Remove attendance certificates
+-- Rollback for 022_add_certificates.sql
+
+DROP INDEX IF EXISTS idx_certificates_event;
+DROP INDEX IF EXISTS idx_certificates_student;
+
+DROP TABLE IF EXISTS certificates;
+DROP TABLE IF EXISTS certificate_templates;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 022: certificate tables removed';
+END $$;
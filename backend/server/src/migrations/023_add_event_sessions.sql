@@ -0,0 +1,87 @@
+-- ============================================================
+-- Migration: Event sessions (multi-day / multi-session events)
+-- Version: 023
+-- Description: Sessions (keynote, workshop, hackathon...) inside an event with
+--              their own schedule, venue and capacity; per-session attendance
+--              recorded by volunteers assigned to the session
+-- ============================================================
+
+-- ============================================================
+-- EVENT_SESSIONS TABLE
+-- ============================================================
+CREATE TABLE IF NOT EXISTS event_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+
+    session_name VARCHAR(200) NOT NULL,
+    session_type VARCHAR(20) NOT NULL DEFAULT 'OTHER' CHECK (session_type IN (
+        'KEYNOTE', 'WORKSHOP', 'HACKATHON', 'TALK', 'PANEL', 'COMPETITION', 'OTHER'
+    )),
+    description TEXT,
+    venue VARCHAR(200),
+
+    start_time TIMESTAMP NOT NULL,
+    end_time TIMESTAMP NOT NULL,
+
+    -- Maximum students inside at once (NULL = unlimited)
+    capacity INTEGER CHECK (capacity IS NULL OR capacity > 0),
+
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    CONSTRAINT event_sessions_time_check CHECK (end_time > start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_sessions_event ON event_sessions(event_id, start_time);
+
+-- ============================================================
+-- SESSION_ATTENDANCES TABLE (presence per student per session)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS session_attendances (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES event_sessions(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    registration_id UUID REFERENCES event_registrations(id) ON DELETE SET NULL,
+
+    is_inside BOOLEAN NOT NULL DEFAULT FALSE,
+    check_in_count INTEGER NOT NULL DEFAULT 0,
+    first_check_in_at TIMESTAMP,
+    last_check_in_at TIMESTAMP,
+    last_check_out_at TIMESTAMP,
+
+    -- Minutes inside the session window (time before start / after end is not counted)
+    total_time_spent_minutes INTEGER NOT NULL DEFAULT 0,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(session_id, student_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_attendances_event ON session_attendances(event_id, student_id);
+CREATE INDEX IF NOT EXISTS idx_session_attendances_inside
+  ON session_attendances(session_id) WHERE is_inside = TRUE;
+
+-- ============================================================
+-- SESSION CONTEXT ON SCANS AND VOLUNTEER ASSIGNMENTS
+-- ============================================================
+ALTER TABLE check_in_outs
+  ADD COLUMN IF NOT EXISTS session_id UUID REFERENCES event_sessions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_checkinout_session ON check_in_outs(session_id) WHERE session_id IS NOT NULL;
+
+ALTER TABLE event_volunteers
+  ADD COLUMN IF NOT EXISTS session_id UUID REFERENCES event_sessions(id) ON DELETE SET NULL;
+
+COMMENT ON TABLE event_sessions IS 'Scheduled sessions inside an event (own venue, time window and capacity)';
+COMMENT ON TABLE session_attendances IS 'Per-session presence and time spent, updated by session-scoped volunteer scans';
+COMMENT ON COLUMN check_in_outs.session_id IS 'Set for session scans; NULL for event gate entry/exit';
+COMMENT ON COLUMN event_volunteers.session_id IS 'When set, the volunteer scans students into this session instead of the event gate';
+
+-- Verify migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 023: event_sessions and session_attendances tables created successfully';
+END $$;
@@ -0,0 +1,19 @@
+-- Migration Rollback: Remove event sessions
+-- Rollback for 023_add_event_sessions.sql
+
+ALTER TABLE event_volunteers DROP COLUMN IF EXISTS session_id;
+
+DROP INDEX IF EXISTS idx_checkinout_session;
+ALTER TABLE check_in_outs DROP COLUMN IF EXISTS session_id;
+
+DROP INDEX IF EXISTS idx_session_attendances_inside;
+DROP INDEX IF EXISTS idx_session_attendances_event;
+DROP TABLE IF EXISTS session_attendances;
+
+DROP INDEX IF EXISTS idx_event_sessions_event;
+DROP TABLE IF EXISTS event_sessions;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 023: event_sessions and session_attendances tables removed';
+END $$;
@@ -0,0 +1,77 @@
+-- ============================================================
+-- Migration: Pricing rules for PAID events
+-- Version: 024
+-- Description: Early-bird windows, coupon codes, per-school discounts and group
+--              rates managed by event managers; the computed price and the rule
+--              applied are stored on event_registrations
+-- ============================================================
+
+-- ============================================================
+-- EVENT_PRICING_RULES TABLE
+-- ============================================================
+CREATE TABLE IF NOT EXISTS event_pricing_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+
+    rule_name VARCHAR(150) NOT NULL,
+    rule_type VARCHAR(20) NOT NULL CHECK (rule_type IN ('EARLY_BIRD', 'COUPON', 'SCHOOL', 'GROUP')),
+
+    -- PERCENT: discount_value% off, FLAT: discount_value off the event price
+    discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('PERCENT', 'FLAT')),
+    discount_value DECIMAL(10, 2) NOT NULL CHECK (discount_value > 0),
+
+    -- COUPON: code students enter at checkout (stored upper-case)
+    coupon_code VARCHAR(50),
+    -- SCHOOL: students of this school
+    school_id UUID REFERENCES schools(id) ON DELETE CASCADE,
+    -- GROUP: applies once the student's school has this many registrations (including theirs)
+    min_group_size INTEGER CHECK (min_group_size IS NULL OR min_group_size >= 2),
+
+    -- Validity window (EARLY_BIRD requires valid_until as its cutoff)
+    valid_from TIMESTAMP,
+    valid_until TIMESTAMP,
+
+    -- Maximum registrations priced with this rule (NULL = unlimited)
+    max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by_manager_id UUID REFERENCES event_managers(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    CONSTRAINT event_pricing_rules_window_check CHECK (
+        valid_from IS NULL OR valid_until IS NULL OR valid_until > valid_from
+    ),
+    CONSTRAINT event_pricing_rules_type_check CHECK (
+        (rule_type = 'EARLY_BIRD' AND valid_until IS NOT NULL) OR
+        (rule_type = 'COUPON' AND coupon_code IS NOT NULL) OR
+        (rule_type = 'SCHOOL' AND school_id IS NOT NULL) OR
+        (rule_type = 'GROUP' AND min_group_size IS NOT NULL)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_rules_event ON event_pricing_rules(event_id, is_active);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pricing_rules_coupon
+    ON event_pricing_rules(event_id, coupon_code)
+    WHERE coupon_code IS NOT NULL;
+
+-- ============================================================
+-- EVENT_REGISTRATIONS: price breakdown
+-- payment_amount stays the amount charged; refunds are calculated against it
+-- ============================================================
+ALTER TABLE event_registrations
+    ADD COLUMN IF NOT EXISTS base_amount DECIMAL(10, 2),
+    ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS pricing_rule_id UUID REFERENCES event_pricing_rules(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS pricing_rule_type VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS pricing_rule_name VARCHAR(150),
+    ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_registrations_pricing_rule
+    ON event_registrations(pricing_rule_id)
+    WHERE pricing_rule_id IS NOT NULL;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 024: event_pricing_rules table and registration price breakdown added';
+END $$;
@@ -0,0 +1,20 @@
+-- Migration Rollback: Remove pricing rules
+-- Rollback for 024_add_pricing_rules.sql
+
+DROP INDEX IF EXISTS idx_registrations_pricing_rule;
+ALTER TABLE event_registrations
+    DROP COLUMN IF EXISTS coupon_code,
+    DROP COLUMN IF EXISTS pricing_rule_name,
+    DROP COLUMN IF EXISTS pricing_rule_type,
+    DROP COLUMN IF EXISTS pricing_rule_id,
+    DROP COLUMN IF EXISTS discount_amount,
+    DROP COLUMN IF EXISTS base_amount;
+
+DROP INDEX IF EXISTS idx_pricing_rules_coupon;
+DROP INDEX IF EXISTS idx_pricing_rules_event;
+DROP TABLE IF EXISTS event_pricing_rules;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 024: event_pricing_rules table and registration price breakdown removed';
+END $$;
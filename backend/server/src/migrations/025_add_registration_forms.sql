@@ -0,0 +1,19 @@
+-- ============================================================
+-- Migration: Custom registration forms
+-- Version: 025
+-- Description: Per-event registration form schema (typed fields: text, select,
+--              checkbox, file, number) and the answers stored on each registration
+-- ============================================================
+
+-- Form schema: [{ key, label, type, required, options, ...validation }]
+ALTER TABLE events
+    ADD COLUMN IF NOT EXISTS registration_form JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Answers keyed by field key; file answers are { url, mime_type, size_bytes }
+ALTER TABLE event_registrations
+    ADD COLUMN IF NOT EXISTS form_responses JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 025: events.registration_form and event_registrations.form_responses added';
+END $$;
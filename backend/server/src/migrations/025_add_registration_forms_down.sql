@@ -0,0 +1,10 @@
+-- Migration Rollback: Remove custom registration forms
+-- Rollback for 025_add_registration_forms.sql
+
+ALTER TABLE event_registrations DROP COLUMN IF EXISTS form_responses;
+ALTER TABLE events DROP COLUMN IF EXISTS registration_form;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 025: registration_form and form_responses columns removed';
+END $$;
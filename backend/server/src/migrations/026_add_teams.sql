@@ -0,0 +1,159 @@
+-- ============================================================
+-- Migration: Team registrations
+-- Version: 026
+-- Description: Teams with a captain for competition events. Members are invited by
+--              registration number and confirm through their own login. A registered
+--              team takes one capacity slot and (for PAID events) one payment by the captain.
+-- ============================================================
+
+-- ============================================================
+-- EVENTS: team configuration
+-- ============================================================
+ALTER TABLE events
+    ADD COLUMN IF NOT EXISTS is_team_event BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS team_min_size INTEGER,
+    ADD COLUMN IF NOT EXISTS team_max_size INTEGER;
+
+ALTER TABLE events DROP CONSTRAINT IF EXISTS events_team_size_check;
+ALTER TABLE events ADD CONSTRAINT events_team_size_check CHECK (
+    is_team_event = FALSE OR (
+        team_min_size IS NOT NULL AND team_max_size IS NOT NULL AND
+        team_min_size >= 1 AND team_max_size >= team_min_size
+    )
+);
+
+-- ============================================================
+-- TEAMS TABLE
+-- ============================================================
+CREATE TABLE IF NOT EXISTS teams (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    team_name VARCHAR(100) NOT NULL,
+    captain_student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+
+    -- FORMING: inviting members; REGISTERED: registrations created; CANCELLED: disbanded
+    status VARCHAR(20) NOT NULL DEFAULT 'FORMING' CHECK (status IN ('FORMING', 'REGISTERED', 'CANCELLED')),
+
+    -- Captain's registration: holds the capacity slot and the payment
+    captain_registration_id UUID REFERENCES event_registrations(id) ON DELETE SET NULL,
+
+    registered_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_teams_event_name
+    ON teams(event_id, LOWER(team_name))
+    WHERE status <> 'CANCELLED';
+CREATE INDEX IF NOT EXISTS idx_teams_event_status ON teams(event_id, status);
+
+-- ============================================================
+-- TEAM_MEMBERS TABLE (captain included, role = CAPTAIN)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS team_members (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+
+    role VARCHAR(10) NOT NULL DEFAULT 'MEMBER' CHECK (role IN ('CAPTAIN', 'MEMBER')),
+    status VARCHAR(20) NOT NULL DEFAULT 'INVITED' CHECK (status IN (
+        'INVITED', 'ACCEPTED', 'DECLINED', 'REMOVED', 'LEFT', 'EXPIRED'
+    )),
+
+    invited_at TIMESTAMP DEFAULT NOW(),
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE (team_id, student_id)
+);
+
+-- A student belongs to at most one team per event
+CREATE UNIQUE INDEX IF NOT EXISTS idx_team_members_one_team
+    ON team_members(event_id, student_id)
+    WHERE status = 'ACCEPTED';
+CREATE INDEX IF NOT EXISTS idx_team_members_student ON team_members(student_id, status);
+
+-- ============================================================
+-- EVENT_REGISTRATIONS: team link
+-- ============================================================
+ALTER TABLE event_registrations
+    ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS team_role VARCHAR(10) CHECK (team_role IS NULL OR team_role IN ('CAPTAIN', 'MEMBER'));
+
+CREATE INDEX IF NOT EXISTS idx_registrations_team ON event_registrations(team_id) WHERE team_id IS NOT NULL;
+
+-- ============================================================
+-- Registration counter: a team takes one capacity slot
+-- Member registrations still count towards total_registrations and student stats
+-- ============================================================
+CREATE OR REPLACE FUNCTION update_event_registration_count()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        -- Increment registration count (team members share the captain's slot)
+        UPDATE events 
+        SET current_registrations = current_registrations
+                + CASE WHEN NEW.team_role = 'MEMBER' THEN 0 ELSE 1 END,
+            total_registrations = total_registrations + 1,
+            updated_at = NOW()
+        WHERE id = NEW.event_id;
+        
+        -- If paid event and payment completed, update revenue
+        IF NEW.registration_type = 'PAID' AND NEW.payment_status = 'COMPLETED' THEN
+            UPDATE events 
+            SET total_paid_registrations = total_paid_registrations + 1,
+                total_revenue = total_revenue + NEW.payment_amount,
+                updated_at = NOW()
+            WHERE id = NEW.event_id;
+        END IF;
+        
+        -- Update student stats
+        UPDATE students 
+        SET total_events_registered = total_events_registered + 1,
+            updated_at = NOW()
+        WHERE id = NEW.student_id;
+        
+    ELSIF TG_OP = 'UPDATE' THEN
+        -- If payment status changed to COMPLETED
+        IF OLD.payment_status != 'COMPLETED' AND NEW.payment_status = 'COMPLETED' THEN
+            UPDATE events 
+            SET total_paid_registrations = total_paid_registrations + 1,
+                total_revenue = total_revenue + NEW.payment_amount,
+                updated_at = NOW()
+            WHERE id = NEW.event_id;
+            
+            UPDATE students 
+            SET total_paid_events = total_paid_events + 1,
+                total_spent_on_events = total_spent_on_events + NEW.payment_amount,
+                updated_at = NOW()
+            WHERE id = NEW.student_id;
+        END IF;
+        
+        -- If refund processed
+        IF OLD.payment_status != 'REFUNDED' AND NEW.payment_status = 'REFUNDED' THEN
+            UPDATE events 
+            SET total_revenue = total_revenue - NEW.refund_amount,
+                updated_at = NOW()
+            WHERE id = NEW.event_id;
+        END IF;
+        
+    ELSIF TG_OP = 'DELETE' THEN
+        -- Decrement registration count
+        UPDATE events 
+        SET current_registrations = current_registrations
+                - CASE WHEN OLD.team_role = 'MEMBER' THEN 0 ELSE 1 END,
+            updated_at = NOW()
+        WHERE id = OLD.event_id;
+    END IF;
+    
+    RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 026: teams and team_members tables, team config on events, team link on registrations';
+END $$;
@@ -0,0 +1,89 @@
+-- Migration Rollback: Remove team registrations
+-- Rollback for 026_add_teams.sql
+
+-- Restore the registration counter from 005 (one slot per registration)
+CREATE OR REPLACE FUNCTION update_event_registration_count()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        -- Increment registration count
+        UPDATE events 
+        SET current_registrations = current_registrations + 1,
+            total_registrations = total_registrations + 1,
+            updated_at = NOW()
+        WHERE id = NEW.event_id;
+        
+        -- If paid event and payment completed, update revenue
+        IF NEW.registration_type = 'PAID' AND NEW.payment_status = 'COMPLETED' THEN
+            UPDATE events 
+            SET total_paid_registrations = total_paid_registrations + 1,
+                total_revenue = total_revenue + NEW.payment_amount,
+                updated_at = NOW()
+            WHERE id = NEW.event_id;
+        END IF;
+        
+        -- Update student stats
+        UPDATE students 
+        SET total_events_registered = total_events_registered + 1,
+            updated_at = NOW()
+        WHERE id = NEW.student_id;
+        
+    ELSIF TG_OP = 'UPDATE' THEN
+        -- If payment status changed to COMPLETED
+        IF OLD.payment_status != 'COMPLETED' AND NEW.payment_status = 'COMPLETED' THEN
+            UPDATE events 
+            SET total_paid_registrations = total_paid_registrations + 1,
+                total_revenue = total_revenue + NEW.payment_amount,
+                updated_at = NOW()
+            WHERE id = NEW.event_id;
+            
+            UPDATE students 
+            SET total_paid_events = total_paid_events + 1,
+                total_spent_on_events = total_spent_on_events + NEW.payment_amount,
+                updated_at = NOW()
+            WHERE id = NEW.student_id;
+        END IF;
+        
+        -- If refund processed
+        IF OLD.payment_status != 'REFUNDED' AND NEW.payment_status = 'REFUNDED' THEN
+            UPDATE events 
+            SET total_revenue = total_revenue - NEW.refund_amount,
+                updated_at = NOW()
+            WHERE id = NEW.event_id;
+        END IF;
+        
+    ELSIF TG_OP = 'DELETE' THEN
+        -- Decrement registration count
+        UPDATE events 
+        SET current_registrations = current_registrations - 1,
+            updated_at = NOW()
+        WHERE id = OLD.event_id;
+    END IF;
+    
+    RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql;
+
+DROP INDEX IF EXISTS idx_registrations_team;
+ALTER TABLE event_registrations
+    DROP COLUMN IF EXISTS team_role,
+    DROP COLUMN IF EXISTS team_id;
+
+DROP INDEX IF EXISTS idx_team_members_student;
+DROP INDEX IF EXISTS idx_team_members_one_team;
+DROP TABLE IF EXISTS team_members;
+
+DROP INDEX IF EXISTS idx_teams_event_status;
+DROP INDEX IF EXISTS idx_teams_event_name;
+DROP TABLE IF EXISTS teams;
+
+ALTER TABLE events DROP CONSTRAINT IF EXISTS events_team_size_check;
+ALTER TABLE events
+    DROP COLUMN IF EXISTS team_max_size,
+    DROP COLUMN IF EXISTS team_min_size,
+    DROP COLUMN IF EXISTS is_team_event;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 026: teams and team_members tables removed';
+END $$;
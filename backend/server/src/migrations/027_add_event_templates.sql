@@ -0,0 +1,45 @@
+-- ============================================================
+-- Migration: Reusable event templates
+-- Version: 027
+-- Description: Named templates saved by event managers from an existing event.
+--              The snapshot holds the event settings, stalls, volunteer assignments,
+--              refund tiers, pricing rules and registration form; new events are
+--              created from it (or cloned directly from an event) as DRAFT.
+-- ============================================================
+
+-- ============================================================
+-- EVENT_TEMPLATES TABLE
+-- ============================================================
+CREATE TABLE IF NOT EXISTS event_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    manager_id UUID NOT NULL REFERENCES event_managers(id) ON DELETE CASCADE,
+
+    template_name VARCHAR(150) NOT NULL,
+    description TEXT,
+
+    -- Event the template was saved from (kept for reference only)
+    source_event_id UUID REFERENCES events(id) ON DELETE SET NULL,
+
+    -- { event, stalls, volunteers, pricing_rules } - dates are shifted relative to
+    -- event.start_date when a new event is created from the template
+    snapshot JSONB NOT NULL,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_templates_manager ON event_templates(manager_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_templates_name
+    ON event_templates(manager_id, LOWER(template_name));
+
+-- ============================================================
+-- EVENTS: where a copy came from
+-- ============================================================
+ALTER TABLE events
+    ADD COLUMN IF NOT EXISTS cloned_from_event_id UUID REFERENCES events(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS created_from_template_id UUID REFERENCES event_templates(id) ON DELETE SET NULL;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 027: event_templates table, clone/template source columns on events';
+END $$;
@@ -0,0 +1,15 @@
+-- Migration Rollback: Remove event templates
+-- Rollback for 027_add_event_templates.sql
+
+ALTER TABLE events
+    DROP COLUMN IF EXISTS created_from_template_id,
+    DROP COLUMN IF EXISTS cloned_from_event_id;
+
+DROP INDEX IF EXISTS idx_event_templates_name;
+DROP INDEX IF EXISTS idx_event_templates_manager;
+DROP TABLE IF EXISTS event_templates;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 027: event_templates table and clone source columns removed';
+END $$;
@@ -0,0 +1,31 @@
+-- ============================================================
+-- Migration: Calendar feeds
+-- Version: 028
+-- Description: Per-user secret tokens for iCalendar (.ics) subscription URLs.
+--              Students, volunteers and event managers each get one token; the
+--              feed URL carries no other credentials, so regenerating the token
+--              revokes the old URL.
+-- ============================================================
+
+-- ============================================================
+-- CALENDAR_FEED_TOKENS TABLE
+-- ============================================================
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- Owner of the feed (students, volunteers or event_managers row)
+    user_role VARCHAR(20) NOT NULL CHECK (user_role IN ('STUDENT', 'VOLUNTEER', 'EVENT_MANAGER')),
+    user_id UUID NOT NULL,
+
+    token VARCHAR(64) NOT NULL UNIQUE,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_accessed_at TIMESTAMP,
+
+    CONSTRAINT unique_calendar_feed_user UNIQUE (user_role, user_id)
+);
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 028: calendar_feed_tokens table';
+END $$;
@@ -0,0 +1,9 @@
+-- Migration Rollback: Remove calendar feeds
+-- Rollback for 028_add_calendar_feeds.sql
+
+DROP TABLE IF EXISTS calendar_feed_tokens;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 028: calendar_feed_tokens table removed';
+END $$;
@@ -0,0 +1,43 @@
+-- ============================================================
+-- Migration: Password reset OTPs
+-- Version: 029
+-- Description: One-time codes for self-service password reset of students,
+--              volunteers and event managers. Only a keyed hash of the code is
+--              stored; each code expires, allows a limited number of attempts
+--              and can be exchanged for one password change.
+-- ============================================================
+
+-- ============================================================
+-- PASSWORD_RESET_OTPS TABLE
+-- ============================================================
+CREATE TABLE IF NOT EXISTS password_reset_otps (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- Account being recovered (students, volunteers or event_managers row)
+    user_role VARCHAR(20) NOT NULL CHECK (user_role IN ('STUDENT', 'VOLUNTEER', 'EVENT_MANAGER')),
+    user_id UUID NOT NULL,
+
+    -- HMAC-SHA256 of the code (hex)
+    otp_hash VARCHAR(64) NOT NULL,
+
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('EMAIL', 'SMS')),
+    destination VARCHAR(100) NOT NULL,
+
+    expires_at TIMESTAMP NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+
+    verified_at TIMESTAMP,         -- Code matched; a reset token was issued
+    password_reset_at TIMESTAMP,   -- Reset token used to change the password
+    invalidated_at TIMESTAMP,      -- Superseded by a newer code or too many attempts
+
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_otps_user
+    ON password_reset_otps(user_role, user_id, created_at DESC);
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 029: password_reset_otps table';
+END $$;
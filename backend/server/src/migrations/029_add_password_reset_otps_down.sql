@@ -0,0 +1,10 @@
+-- Migration Rollback: Remove password reset OTPs
+-- Rollback for 029_add_password_reset_otps.sql
+
+DROP INDEX IF EXISTS idx_password_reset_otps_user;
+DROP TABLE IF EXISTS password_reset_otps;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 029: password_reset_otps table removed';
+END $$;
@@ -0,0 +1,49 @@
+-- ============================================================
+-- Migration: Auth sessions
+-- Version: 030
+-- Description: Server-side login sessions backing short-lived access tokens.
+--              Each session holds the hash of its current refresh token, which
+--              rotates on every refresh; presenting an already-rotated token
+--              revokes the session (reuse detection). Revoked sessions are
+--              rejected by authenticateToken.
+-- ============================================================
+
+-- ============================================================
+-- AUTH_SESSIONS TABLE
+-- ============================================================
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- Logged-in account (admins, students, volunteers or event_managers row)
+    user_role VARCHAR(20) NOT NULL CHECK (user_role IN ('ADMIN', 'STUDENT', 'VOLUNTEER', 'EVENT_MANAGER')),
+    user_id UUID NOT NULL,
+
+    -- SHA-256 of the current and the previous refresh token secret (hex);
+    -- the token itself is "<session id>.<secret>"
+    refresh_token_hash VARCHAR(64) NOT NULL,
+    previous_token_hash VARCHAR(64),
+    rotated_at TIMESTAMP,
+    rotation_count INTEGER NOT NULL DEFAULT 0,
+
+    -- Device the session was created from / last refreshed from
+    device_name VARCHAR(100),
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_seen_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(30) CHECK (revoked_reason IN ('LOGOUT', 'USER_REVOKED', 'ADMIN_REVOKED', 'TOKEN_REUSE', 'PASSWORD_RESET', 'ACCOUNT_INACTIVE')),
+    revoked_by_role VARCHAR(20),
+    revoked_by_id UUID
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user
+    ON auth_sessions(user_role, user_id, last_seen_at DESC);
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 030: auth_sessions table';
+END $$;
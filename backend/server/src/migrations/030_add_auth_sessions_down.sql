@@ -0,0 +1,10 @@
+-- Migration Rollback: Remove auth sessions
+-- Rollback for 030_add_auth_sessions.sql
+
+DROP INDEX IF EXISTS idx_auth_sessions_user;
+DROP TABLE IF EXISTS auth_sessions;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 030: auth_sessions table removed';
+END $$;
@@ -0,0 +1,32 @@
+-- ============================================================
+-- Migration: Volunteer scanner locks
+-- Version: 031
+-- Description: Volunteers can hold several concurrent event assignments.
+--              A scanner (one login session) can be locked to one event and
+--              gate so every scan from it lands in that event; scans without
+--              a lock or an explicit event_id are rejected when more than one
+--              assignment is running.
+-- ============================================================
+
+-- ============================================================
+-- VOLUNTEER_SCANNER_LOCKS TABLE
+-- ============================================================
+CREATE TABLE IF NOT EXISTS volunteer_scanner_locks (
+    -- One lock per login session (device); logging out removes it
+    auth_session_id UUID PRIMARY KEY REFERENCES auth_sessions(id) ON DELETE CASCADE,
+    volunteer_id UUID NOT NULL REFERENCES volunteers(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+
+    -- Gate/desk the scanner is at (checked against event_volunteers.assigned_location)
+    location VARCHAR(100),
+
+    locked_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_volunteer_scanner_locks_volunteer
+    ON volunteer_scanner_locks(volunteer_id);
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 031: volunteer_scanner_locks table';
+END $$;
@@ -0,0 +1,10 @@
+-- Migration Rollback: Remove volunteer scanner locks
+-- Rollback for 031_add_volunteer_scanner_locks.sql
+
+DROP INDEX IF EXISTS idx_volunteer_scanner_locks_volunteer;
+DROP TABLE IF EXISTS volunteer_scanner_locks;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 031: volunteer_scanner_locks table removed';
+END $$;
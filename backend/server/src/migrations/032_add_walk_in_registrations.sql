@@ -0,0 +1,37 @@
+-- ============================================================
+-- Migration: Walk-in registrations
+-- Version: 032
+-- Description: Events can allow walk-ins: a volunteer with the ONSPOT_REGISTER
+--              permission registers an unregistered student at the gate and
+--              checks them in in one step. PAID walk-ins pay through a Razorpay
+--              payment link instead of a checkout order. Walk-in registrations
+--              are flagged for analytics.
+-- ============================================================
+
+-- ============================================================
+-- EVENTS: walk-in setting
+-- ============================================================
+ALTER TABLE events
+    ADD COLUMN IF NOT EXISTS allow_walk_ins BOOLEAN DEFAULT FALSE;
+
+-- ============================================================
+-- EVENT_REGISTRATIONS: walk-in flag and payment link
+-- ============================================================
+ALTER TABLE event_registrations
+    ADD COLUMN IF NOT EXISTS is_walk_in BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS registered_by_volunteer_id UUID REFERENCES volunteers(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS razorpay_payment_link_id VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS payment_link_url TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_event_registrations_payment_link
+    ON event_registrations(razorpay_payment_link_id)
+    WHERE razorpay_payment_link_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_event_registrations_walk_in
+    ON event_registrations(event_id)
+    WHERE is_walk_in = TRUE;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 032: walk-in registrations (events.allow_walk_ins, event_registrations.is_walk_in, payment links)';
+END $$;
@@ -0,0 +1,19 @@
+-- Migration Rollback: Remove walk-in registrations
+-- Rollback for 032_add_walk_in_registrations.sql
+
+DROP INDEX IF EXISTS idx_event_registrations_walk_in;
+DROP INDEX IF EXISTS idx_event_registrations_payment_link;
+
+ALTER TABLE event_registrations
+    DROP COLUMN IF EXISTS payment_link_url,
+    DROP COLUMN IF EXISTS razorpay_payment_link_id,
+    DROP COLUMN IF EXISTS registered_by_volunteer_id,
+    DROP COLUMN IF EXISTS is_walk_in;
+
+ALTER TABLE events
+    DROP COLUMN IF EXISTS allow_walk_ins;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 032: walk-in registrations removed';
+END $$;
@@ -0,0 +1,56 @@
+-- ============================================================
+-- Migration: Stall queues
+-- Version: 033
+-- Description: Virtual queue per stall. Students join by scanning the
+--              stall QR and get a token number; stall volunteers call the
+--              next token. A called token that is not claimed in time
+--              expires.
+-- ============================================================
+
+-- Last token number handed out at each stall (tokens count up per stall)
+ALTER TABLE stalls ADD COLUMN IF NOT EXISTS queue_last_token INTEGER DEFAULT 0;
+
+-- ============================================================
+-- STALL_QUEUE_TOKENS TABLE
+-- ============================================================
+CREATE TABLE IF NOT EXISTS stall_queue_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    stall_id UUID NOT NULL REFERENCES stalls(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    token_number INTEGER NOT NULL,
+
+    -- WAITING -> CALLED -> SERVED, or EXPIRED (not claimed in time / event over) / LEFT (student left the queue)
+    status VARCHAR(20) NOT NULL DEFAULT 'WAITING' CHECK (status IN (
+        'WAITING', 'CALLED', 'SERVED', 'EXPIRED', 'LEFT'
+    )),
+
+    joined_at TIMESTAMP DEFAULT NOW(),
+    called_at TIMESTAMP,
+    called_by_volunteer_id UUID REFERENCES volunteers(id) ON DELETE SET NULL,
+    -- Deadline for a called token to be claimed at the stall
+    claim_expires_at TIMESTAMP,
+    served_at TIMESTAMP,
+    closed_at TIMESTAMP,
+
+    UNIQUE (stall_id, token_number)
+);
+
+-- One open token per student per stall
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stall_queue_tokens_open_student
+    ON stall_queue_tokens(stall_id, student_id)
+    WHERE status IN ('WAITING', 'CALLED');
+
+CREATE INDEX IF NOT EXISTS idx_stall_queue_tokens_stall_status
+    ON stall_queue_tokens(stall_id, status, token_number);
+
+CREATE INDEX IF NOT EXISTS idx_stall_queue_tokens_student
+    ON stall_queue_tokens(student_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_stall_queue_tokens_event
+    ON stall_queue_tokens(event_id, status);
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 033: stall_queue_tokens table and stalls.queue_last_token';
+END $$;
@@ -0,0 +1,15 @@
+-- Migration Rollback: Remove stall queues
+-- Rollback for 033_add_stall_queues.sql
+
+DROP INDEX IF EXISTS idx_stall_queue_tokens_event;
+DROP INDEX IF EXISTS idx_stall_queue_tokens_student;
+DROP INDEX IF EXISTS idx_stall_queue_tokens_stall_status;
+DROP INDEX IF EXISTS idx_stall_queue_tokens_open_student;
+DROP TABLE IF EXISTS stall_queue_tokens;
+
+ALTER TABLE stalls DROP COLUMN IF EXISTS queue_last_token;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 033: stall_queue_tokens table removed';
+END $$;
@@ -0,0 +1,21 @@
+-- ============================================================
+-- Migration: Per-event ranking configuration
+-- Version: 034
+-- Description: Ranking formula overrides per event (vote weights, metric weights,
+--              duration/feedback targets, quality thresholds, tie-breakers)
+-- ============================================================
+
+-- Only the overridden settings are stored; NULL = default formulas
+-- (see services/rankingConfig.service.js for the shape and the defaults)
+ALTER TABLE events
+    ADD COLUMN IF NOT EXISTS ranking_config JSONB,
+    ADD COLUMN IF NOT EXISTS ranking_config_updated_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS ranking_config_updated_by UUID;
+
+COMMENT ON COLUMN events.ranking_config IS 'Ranking formula overrides for the stall, student and school leaderboards (NULL = defaults)';
+COMMENT ON COLUMN events.ranking_config_updated_by IS 'Admin or event manager who last saved the ranking config';
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 034: events.ranking_config added';
+END $$;
@@ -0,0 +1,12 @@
+-- Migration Rollback: Remove per-event ranking configuration
+-- Rollback for 034_add_ranking_configs.sql
+
+ALTER TABLE events
+    DROP COLUMN IF EXISTS ranking_config_updated_by,
+    DROP COLUMN IF EXISTS ranking_config_updated_at,
+    DROP COLUMN IF EXISTS ranking_config;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 034: ranking_config columns removed';
+END $$;
@@ -0,0 +1,49 @@
+-- ============================================================
+-- Migration: Ranking snapshots
+-- Version: 035
+-- Description: Immutable, versioned copies of the stall, student and school
+--              leaderboards taken when an admin publishes an event's rankings
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS ranking_snapshots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    -- Full leaderboards as served by the ranking API, with their scoring descriptions
+    stalls JSONB NOT NULL,
+    students JSONB NOT NULL,
+    schools JSONB NOT NULL,
+    -- Effective ranking config the leaderboards were scored with
+    ranking_config JSONB NOT NULL,
+    published_by_admin_id UUID REFERENCES admins(id) ON DELETE SET NULL,
+    published_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    UNIQUE (event_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ranking_snapshots_event ON ranking_snapshots(event_id, version DESC);
+
+-- Snapshots never change once taken (only the publisher link may be cleared)
+CREATE OR REPLACE FUNCTION prevent_ranking_snapshot_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (NEW.event_id, NEW.version, NEW.stalls, NEW.students, NEW.schools, NEW.ranking_config, NEW.published_at)
+       IS DISTINCT FROM
+       (OLD.event_id, OLD.version, OLD.stalls, OLD.students, OLD.schools, OLD.ranking_config, OLD.published_at) THEN
+        RAISE EXCEPTION 'Ranking snapshots cannot be modified';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_ranking_snapshots_immutable ON ranking_snapshots;
+CREATE TRIGGER trg_ranking_snapshots_immutable
+    BEFORE UPDATE ON ranking_snapshots
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_ranking_snapshot_update();
+
+COMMENT ON TABLE ranking_snapshots IS 'Leaderboards frozen at each publication of an event''s rankings (public ranking routes serve the latest)';
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 035: ranking_snapshots table created successfully';
+END $$;
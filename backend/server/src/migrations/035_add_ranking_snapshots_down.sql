@@ -0,0 +1,11 @@
+-- Migration Rollback: Remove ranking snapshots
+-- Rollback for 035_add_ranking_snapshots.sql
+
+DROP TRIGGER IF EXISTS trg_ranking_snapshots_immutable ON ranking_snapshots;
+DROP FUNCTION IF EXISTS prevent_ranking_snapshot_update();
+DROP TABLE IF EXISTS ranking_snapshots;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 035: ranking_snapshots table removed';
+END $$;
@@ -0,0 +1,45 @@
+-- ============================================================
+-- Migration: Anomaly flags
+-- Version: 036
+-- Description: Review queue of suspicious feedback and ranking activity
+--              (feedback bursts, copy-pasted comments, rankings from students
+--              who were barely inside, same-school vote rings)
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS anomaly_flags (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    anomaly_type VARCHAR(30) NOT NULL
+        CHECK (anomaly_type IN ('FEEDBACK_BURST', 'DUPLICATE_COMMENT', 'LOW_DURATION_RANKING', 'VOTE_RING')),
+    -- Identifies the detected pattern, so re-running detection refreshes the same pending flag
+    fingerprint VARCHAR(64) NOT NULL,
+    -- Student behind the pattern (NULL for vote rings, which span several students)
+    student_id UUID REFERENCES students(id) ON DELETE CASCADE,
+    school_id UUID REFERENCES schools(id) ON DELETE SET NULL,
+    -- Flagged items (excluded from rankings once the flag is EXCLUDED)
+    feedback_ids UUID[] NOT NULL DEFAULT '{}',
+    ranking_ids UUID[] NOT NULL DEFAULT '{}',
+    details JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING'
+        CHECK (status IN ('PENDING', 'EXCLUDED', 'DISMISSED')),
+    reviewed_by_admin_id UUID REFERENCES admins(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    review_note TEXT,
+    detected_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_detected_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- One pending flag per pattern; reviewed flags are kept as decided
+CREATE UNIQUE INDEX IF NOT EXISTS idx_anomaly_flags_pending_pattern
+    ON anomaly_flags(event_id, anomaly_type, fingerprint)
+    WHERE status = 'PENDING';
+
+CREATE INDEX IF NOT EXISTS idx_anomaly_flags_event_status ON anomaly_flags(event_id, status);
+CREATE INDEX IF NOT EXISTS idx_anomaly_flags_student ON anomaly_flags(student_id);
+
+COMMENT ON TABLE anomaly_flags IS 'Suspicious feedback and ranking patterns awaiting admin review (EXCLUDED items do not count towards rankings)';
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 036: anomaly_flags table created successfully';
+END $$;
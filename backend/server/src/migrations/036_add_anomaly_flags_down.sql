@@ -0,0 +1,9 @@
+-- Migration Rollback: Remove anomaly flags
+-- Rollback for 036_add_anomaly_flags.sql
+
+DROP TABLE IF EXISTS anomaly_flags;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 036: anomaly_flags table removed';
+END $$;
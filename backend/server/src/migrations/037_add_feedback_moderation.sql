@@ -0,0 +1,42 @@
+-- ============================================================
+-- Migration: Feedback moderation
+-- Version: 037
+-- Description: Moderation state of feedback comments (held for review, approved,
+--              rejected, redacted), per-event word list and rules, and one public
+--              reply per feedback from the stall's side
+-- ============================================================
+
+-- Existing feedback was visible before moderation existed, so it starts APPROVED
+ALTER TABLE feedbacks
+    ADD COLUMN IF NOT EXISTS moderation_status VARCHAR(20) NOT NULL DEFAULT 'APPROVED'
+        CHECK (moderation_status IN ('PENDING', 'APPROVED', 'REJECTED')),
+    -- Why the filter held the comment (e.g. WORD_LIST, LINK, HOLD_ALL)
+    ADD COLUMN IF NOT EXISTS moderation_reasons TEXT[] NOT NULL DEFAULT '{}',
+    -- Comment as written, kept when the public comment is redacted
+    ADD COLUMN IF NOT EXISTS original_comment TEXT,
+    ADD COLUMN IF NOT EXISTS comment_redacted BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS moderated_by UUID,
+    ADD COLUMN IF NOT EXISTS moderated_by_role VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS moderation_note TEXT,
+    -- Public reply posted for the stall (one per feedback)
+    ADD COLUMN IF NOT EXISTS stall_reply TEXT,
+    ADD COLUMN IF NOT EXISTS stall_reply_by UUID,
+    ADD COLUMN IF NOT EXISTS stall_reply_by_role VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS stall_replied_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_feedbacks_event_moderation ON feedbacks(event_id, moderation_status);
+
+-- Moderation overrides of an event (NULL = default word list and rules)
+ALTER TABLE events
+    ADD COLUMN IF NOT EXISTS moderation_config JSONB,
+    ADD COLUMN IF NOT EXISTS moderation_config_updated_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS moderation_config_updated_by UUID;
+
+COMMENT ON COLUMN feedbacks.moderation_status IS 'PENDING: held for review; only APPROVED feedback is shown to stalls and counted in rankings';
+COMMENT ON COLUMN events.moderation_config IS 'Feedback moderation overrides: word list and hold/redact/block rules';
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 037: feedback moderation columns added successfully';
+END $$;
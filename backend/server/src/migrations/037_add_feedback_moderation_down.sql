@@ -0,0 +1,28 @@
+-- Migration Rollback: Remove feedback moderation
+-- Rollback for 037_add_feedback_moderation.sql
+
+DROP INDEX IF EXISTS idx_feedbacks_event_moderation;
+
+ALTER TABLE feedbacks
+    DROP COLUMN IF EXISTS moderation_status,
+    DROP COLUMN IF EXISTS moderation_reasons,
+    DROP COLUMN IF EXISTS original_comment,
+    DROP COLUMN IF EXISTS comment_redacted,
+    DROP COLUMN IF EXISTS moderated_by,
+    DROP COLUMN IF EXISTS moderated_by_role,
+    DROP COLUMN IF EXISTS moderated_at,
+    DROP COLUMN IF EXISTS moderation_note,
+    DROP COLUMN IF EXISTS stall_reply,
+    DROP COLUMN IF EXISTS stall_reply_by,
+    DROP COLUMN IF EXISTS stall_reply_by_role,
+    DROP COLUMN IF EXISTS stall_replied_at;
+
+ALTER TABLE events
+    DROP COLUMN IF EXISTS moderation_config,
+    DROP COLUMN IF EXISTS moderation_config_updated_at,
+    DROP COLUMN IF EXISTS moderation_config_updated_by;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 037: feedback moderation columns removed';
+END $$;
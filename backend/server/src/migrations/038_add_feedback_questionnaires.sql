@@ -0,0 +1,28 @@
+-- ============================================================
+-- Migration: Feedback questionnaires
+-- Version: 038
+-- Description: Per-event feedback questionnaire (weighted rating criteria and
+--              short-answer questions) and the answers stored with each feedback
+-- ============================================================
+
+-- Questionnaire of an event (NULL = a single 1-5 rating and a comment)
+ALTER TABLE events
+    ADD COLUMN IF NOT EXISTS feedback_questionnaire JSONB,
+    ADD COLUMN IF NOT EXISTS feedback_questionnaire_updated_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS feedback_questionnaire_updated_by UUID;
+
+ALTER TABLE feedbacks
+    -- Criterion key -> 1-5 rating; feedbacks.rating holds their weighted average (rounded)
+    ADD COLUMN IF NOT EXISTS criteria_ratings JSONB,
+    -- Question key -> short answer
+    ADD COLUMN IF NOT EXISTS answers JSONB,
+    -- Answers as written, kept when the public answers are redacted
+    ADD COLUMN IF NOT EXISTS original_answers JSONB;
+
+COMMENT ON COLUMN events.feedback_questionnaire IS 'Feedback questionnaire: { criteria: [{ key, label, weight, required }], questions: [{ key, label, required, max_length }] }';
+COMMENT ON COLUMN feedbacks.criteria_ratings IS 'Per-criterion 1-5 ratings from the event questionnaire';
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 038: feedback questionnaires added';
+END $$;
@@ -0,0 +1,17 @@
+-- Migration Rollback: Remove feedback questionnaires
+-- Rollback for 038_add_feedback_questionnaires.sql
+
+ALTER TABLE feedbacks
+    DROP COLUMN IF EXISTS criteria_ratings,
+    DROP COLUMN IF EXISTS answers,
+    DROP COLUMN IF EXISTS original_answers;
+
+ALTER TABLE events
+    DROP COLUMN IF EXISTS feedback_questionnaire,
+    DROP COLUMN IF EXISTS feedback_questionnaire_updated_at,
+    DROP COLUMN IF EXISTS feedback_questionnaire_updated_by;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 038: feedback questionnaire columns removed';
+END $$;
@@ -0,0 +1,19 @@
+-- ============================================================
+-- Migration: Payment webhook claims
+-- Version: 039
+-- Description: Records when a webhook delivery was last claimed for processing,
+--              so a delivery left in RECEIVED by a crashed attempt can be retried
+-- ============================================================
+
+ALTER TABLE payment_webhook_events
+    ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP DEFAULT NOW();
+
+UPDATE payment_webhook_events SET claimed_at = received_at WHERE claimed_at IS NULL;
+
+COMMENT ON COLUMN payment_webhook_events.claimed_at IS 'Start of the latest processing attempt; a RECEIVED row older than the lease is claimed again';
+
+-- Verify migration
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration 039: payment_webhook_events.claimed_at added successfully';
+END $$;
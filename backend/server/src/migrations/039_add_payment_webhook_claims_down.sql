@@ -0,0 +1,10 @@
+-- Migration Rollback: Remove payment webhook claims
+-- Rollback for 039_add_payment_webhook_claims.sql
+
+ALTER TABLE payment_webhook_events
+    DROP COLUMN IF EXISTS claimed_at;
+
+DO $$
+BEGIN
+    RAISE NOTICE 'Rollback 039: payment_webhook_events.claimed_at removed';
+END $$;
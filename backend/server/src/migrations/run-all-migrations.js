@@ -105,6 +105,144 @@ const MIGRATIONS = [
     name: 'Refund Configuration',
     file: '014_add_refund_configuration.sql',
     description: 'Adds cancellation_deadline_hours, refund_tiers, cancellation_reason, cancelled_at to events table'
+  },
+  {
+    id: '017',
+    name: 'Payment Webhook Events',
+    file: '017_add_payment_webhook_events.sql',
+    description: 'Adds payment_webhook_events table for idempotent Razorpay webhook reconciliation'
+  },
+  {
+    id: '018',
+    name: 'Notifications',
+    file: '018_add_notifications_table.sql',
+    description: 'Adds notifications table (email/SMS delivery log with retries)'
+  },
+  {
+    id: '019',
+    name: 'Registration Presence',
+    file: '019_add_registration_presence.sql',
+    description: 'Adds per-event is_inside_event/last_check_out_at to event_registrations (backfilled from check_in_outs)'
+  },
+  {
+    id: '020',
+    name: 'System Check-Outs',
+    file: '020_allow_system_checkouts.sql',
+    description: 'Makes check_in_outs.volunteer_id nullable and adds is_auto_checkout for scheduler check-outs'
+  },
+  {
+    id: '021',
+    name: 'Offline Scan Sync',
+    file: '021_add_offline_scan_sync.sql',
+    description: 'Adds offline_scan_syncs table (per-scan results of batched offline volunteer scans)'
+  },
+  {
+    id: '022',
+    name: 'Attendance Certificates',
+    file: '022_add_certificates.sql',
+    description: 'Adds certificate_templates and certificates tables (PDF certificates with verification codes)'
+  },
+  {
+    id: '023',
+    name: 'Event Sessions',
+    file: '023_add_event_sessions.sql',
+    description: 'Adds event_sessions and session_attendances tables, session_id on check_in_outs and event_volunteers'
+  },
+  {
+    id: '024',
+    name: 'Pricing Rules',
+    file: '024_add_pricing_rules.sql',
+    description: 'Adds event_pricing_rules table (early-bird, coupon, school, group) and price breakdown on event_registrations'
+  },
+  {
+    id: '025',
+    name: 'Registration Forms',
+    file: '025_add_registration_forms.sql',
+    description: 'Adds events.registration_form (custom fields) and event_registrations.form_responses'
+  },
+  {
+    id: '026',
+    name: 'Team Registrations',
+    file: '026_add_teams.sql',
+    description: 'Adds teams and team_members tables, team size config on events, team link on registrations (one slot per team)'
+  },
+  {
+    id: '027',
+    name: 'Event Templates',
+    file: '027_add_event_templates.sql',
+    description: 'Adds event_templates (saved event snapshots) and clone/template source columns on events'
+  },
+  {
+    id: '028',
+    name: 'Calendar Feeds',
+    file: '028_add_calendar_feeds.sql',
+    description: 'Adds calendar_feed_tokens for per-user iCalendar subscription URLs'
+  },
+  {
+    id: '029',
+    name: 'Password Reset OTPs',
+    file: '029_add_password_reset_otps.sql',
+    description: 'Adds password_reset_otps (hashed one-time codes for self-service password reset)'
+  },
+  {
+    id: '030',
+    name: 'Auth Sessions',
+    file: '030_add_auth_sessions.sql',
+    description: 'Adds auth_sessions (rotating refresh tokens, device list and session revocation)'
+  },
+  {
+    id: '031',
+    name: 'Volunteer Scanner Locks',
+    file: '031_add_volunteer_scanner_locks.sql',
+    description: 'Adds volunteer_scanner_locks (scanner locked to one event/gate per login session)'
+  },
+  {
+    id: '032',
+    name: 'Walk-in Registrations',
+    file: '032_add_walk_in_registrations.sql',
+    description: 'Adds events.allow_walk_ins and walk-in/payment-link columns on event_registrations'
+  },
+  {
+    id: '033',
+    name: 'Stall Queues',
+    file: '033_add_stall_queues.sql',
+    description: 'Adds stall_queue_tokens (virtual queue per stall) and stalls.queue_last_token'
+  },
+  {
+    id: '034',
+    name: 'Ranking Configs',
+    file: '034_add_ranking_configs.sql',
+    description: 'Adds events.ranking_config (per-event ranking formula overrides)'
+  },
+  {
+    id: '035',
+    name: 'Ranking Snapshots',
+    file: '035_add_ranking_snapshots.sql',
+    description: 'Adds ranking_snapshots (immutable leaderboards taken when rankings are published)'
+  },
+  {
+    id: '036',
+    name: 'Anomaly Flags',
+    file: '036_add_anomaly_flags.sql',
+    description: 'Adds anomaly_flags (review queue of suspicious feedback and rankings)'
+  },
+  {
+    id: '037',
+    name: 'Feedback Moderation',
+    file: '037_add_feedback_moderation.sql',
+    description: 'Adds feedback moderation status, stall replies and events.moderation_config'
+  },
+  {
+    id: '038',
+    name: 'Feedback Questionnaires',
+    file: '038_add_feedback_questionnaires.sql',
+    description: 'Adds events.feedback_questionnaire and per-criterion ratings and answers on feedbacks'
+  },
+  {
+    id: '039',
+    name: 'Payment Webhook Claims',
+    file: '039_add_payment_webhook_claims.sql',
+    description: 'Adds payment_webhook_events.claimed_at so stalled deliveries are processed again'
   }
 ];
 
@@ -0,0 +1,409 @@
+// AnomalyFlag Model - Suspicious feedback and ranking patterns queued for admin review
+import { pool } from '../config/db.js';
+
+export const ANOMALY_TYPES = ['FEEDBACK_BURST', 'DUPLICATE_COMMENT', 'LOW_DURATION_RANKING', 'VOTE_RING'];
+export const FLAG_STATUSES = ['PENDING', 'EXCLUDED', 'DISMISSED'];
+
+/**
+ * SQL condition keeping feedbacks of EXCLUDED flags out of a query
+ * @param {string} alias - Alias of the feedbacks table
+ * @param {string} eventParam - Placeholder of the event id (e.g. '$1')
+ */
+export const notExcludedFeedback = (alias, eventParam) => `NOT EXISTS (
+  SELECT 1 FROM anomaly_flags af
+  WHERE af.event_id = ${eventParam} AND af.status = 'EXCLUDED' AND ${alias}.id = ANY(af.feedback_ids)
+)`;
+
+/**
+ * SQL condition keeping rankings of EXCLUDED flags out of a query
+ * @param {string} alias - Alias of the rankings table
+ * @param {string} eventParam - Placeholder of the event id (e.g. '$1')
+ */
+export const notExcludedRanking = (alias, eventParam) => `NOT EXISTS (
+  SELECT 1 FROM anomaly_flags af
+  WHERE af.event_id = ${eventParam} AND af.status = 'EXCLUDED' AND ${alias}.id = ANY(af.ranking_ids)
+)`;
+
+class AnomalyFlag {
+  /**
+   * Students submitting feedback faster than a human could: feedbacks sent less than
+   * minIntervalSeconds after the student's previous one, when there are at least minBurstSize
+   */
+  static async findFeedbackBursts(eventId, minIntervalSeconds, minBurstSize) {
+    return await pool(
+      `WITH ordered AS (
+         SELECT
+           id,
+           student_id,
+           submitted_at,
+           EXTRACT(EPOCH FROM (submitted_at - LAG(submitted_at) OVER (
+             PARTITION BY student_id ORDER BY submitted_at
+           ))) AS gap_seconds
+         FROM feedbacks
+         WHERE event_id = $1
+       )
+       SELECT
+         o.student_id,
+         s.school_id,
+         ARRAY_AGG(o.id ORDER BY o.submitted_at) AS feedback_ids,
+         COUNT(*) AS fast_feedbacks,
+         MIN(o.gap_seconds) AS min_gap_seconds,
+         AVG(o.gap_seconds) AS avg_gap_seconds,
+         MIN(o.submitted_at) AS first_submitted_at,
+         MAX(o.submitted_at) AS last_submitted_at
+       FROM ordered o
+       JOIN students s ON s.id = o.student_id
+       WHERE o.gap_seconds < $2
+       GROUP BY o.student_id, s.school_id
+       HAVING COUNT(*) >= $3`,
+      [eventId, minIntervalSeconds, minBurstSize]
+    );
+  }
+
+  /**
+   * Students pasting the same comment (case and spacing ignored) on several stalls;
+   * every copy after the first is flagged
+   */
+  static async findDuplicateComments(eventId, minCommentLength, minStalls) {
+    return await pool(
+      `WITH normalized AS (
+         SELECT
+           id,
+           student_id,
+           stall_id,
+           LOWER(REGEXP_REPLACE(BTRIM(comment), '\\s+', ' ', 'g')) AS normalized_comment,
+           ROW_NUMBER() OVER (
+             PARTITION BY student_id, LOWER(REGEXP_REPLACE(BTRIM(comment), '\\s+', ' ', 'g'))
+             ORDER BY submitted_at
+           ) AS copy_number
+         FROM feedbacks
+         WHERE event_id = $1 AND comment IS NOT NULL AND LENGTH(BTRIM(comment)) >= $2
+       ),
+       repeated AS (
+         SELECT student_id, normalized_comment
+         FROM normalized
+         GROUP BY student_id, normalized_comment
+         HAVING COUNT(DISTINCT stall_id) >= $3
+       )
+       SELECT
+         n.student_id,
+         s.school_id,
+         ARRAY_AGG(n.id ORDER BY n.normalized_comment, n.copy_number) FILTER (WHERE n.copy_number > 1) AS feedback_ids,
+         COUNT(DISTINCT n.normalized_comment) AS repeated_comments,
+         COUNT(DISTINCT n.stall_id) AS stalls_count,
+         (ARRAY_AGG(LEFT(n.normalized_comment, 120) ORDER BY n.copy_number))[1] AS sample_comment
+       FROM normalized n
+       JOIN repeated r ON r.student_id = n.student_id AND r.normalized_comment = n.normalized_comment
+       JOIN students s ON s.id = n.student_id
+       GROUP BY n.student_id, s.school_id`,
+      [eventId, minCommentLength, minStalls]
+    );
+  }
+
+  /**
+   * Rankings submitted less than minMinutesInside after the student's first check-in
+   * (or without any check-in). Time since the first check-in is an upper bound of the
+   * time spent inside, so only rankings that were surely rushed are returned.
+   */
+  static async findLowDurationRankings(eventId, minMinutesInside) {
+    return await pool(
+      `WITH ballots AS (
+         SELECT
+           student_id,
+           ARRAY_AGG(id ORDER BY rank) AS ranking_ids,
+           MIN(submitted_at) AS submitted_at
+         FROM rankings
+         WHERE event_id = $1
+         GROUP BY student_id
+       )
+       SELECT
+         b.student_id,
+         s.school_id,
+         b.ranking_ids,
+         b.submitted_at,
+         fc.first_check_in,
+         EXTRACT(EPOCH FROM (b.submitted_at - fc.first_check_in)) / 60 AS minutes_inside
+       FROM ballots b
+       JOIN students s ON s.id = b.student_id
+       LEFT JOIN LATERAL (
+         SELECT MIN(c.scanned_at) AS first_check_in
+         FROM check_in_outs c
+         WHERE c.student_id = b.student_id
+           AND c.event_id = $1
+           AND c.scan_type = 'CHECKIN'
+           AND c.scanned_at <= b.submitted_at
+       ) fc ON true
+       WHERE fc.first_check_in IS NULL
+          OR b.submitted_at - fc.first_check_in < $2::int * INTERVAL '1 minute'`,
+      [eventId, minMinutesInside]
+    );
+  }
+
+  /**
+   * Groups of at least minRingSize students of one school submitting the same top 3
+   * with less than windowMinutes between consecutive ballots
+   */
+  static async findVoteRings(eventId, windowMinutes, minRingSize) {
+    return await pool(
+      `WITH ballots AS (
+         SELECT
+           r.student_id,
+           s.school_id,
+           STRING_AGG(r.stall_id::text, ',' ORDER BY r.rank) AS ballot,
+           ARRAY_AGG(r.id ORDER BY r.rank) AS ranking_ids,
+           MIN(r.submitted_at) AS submitted_at
+         FROM rankings r
+         JOIN students s ON s.id = r.student_id
+         WHERE r.event_id = $1 AND s.school_id IS NOT NULL
+         GROUP BY r.student_id, s.school_id
+       ),
+       chained AS (
+         SELECT
+           *,
+           CASE
+             WHEN LAG(submitted_at) OVER w IS NULL
+               OR submitted_at - LAG(submitted_at) OVER w > $2::int * INTERVAL '1 minute'
+             THEN 1 ELSE 0
+           END AS starts_ring
+         FROM ballots
+         WINDOW w AS (PARTITION BY school_id, ballot ORDER BY submitted_at)
+       ),
+       rings AS (
+         SELECT
+           *,
+           SUM(starts_ring) OVER (PARTITION BY school_id, ballot ORDER BY submitted_at) AS ring_no
+         FROM chained
+       )
+       SELECT
+         rg.school_id,
+         rg.ballot,
+         MD5(rg.school_id::text || ':' || rg.ballot || ':' || MIN(rg.submitted_at)::text) AS fingerprint,
+         ARRAY_AGG(DISTINCT rg.student_id) AS student_ids,
+         ARRAY_AGG(rid) AS ranking_ids,
+         COUNT(DISTINCT rg.student_id) AS ring_size,
+         MIN(rg.submitted_at) AS first_submitted_at,
+         MAX(rg.submitted_at) AS last_submitted_at
+       FROM rings rg
+       CROSS JOIN LATERAL UNNEST(rg.ranking_ids) AS rid
+       GROUP BY rg.school_id, rg.ballot, rg.ring_no
+       HAVING COUNT(DISTINCT rg.student_id) >= $3`,
+      [eventId, windowMinutes, minRingSize]
+    );
+  }
+
+  /**
+   * Create a pending flag, or refresh the pending flag of the same pattern
+   * @param {Object} data - { event_id, anomaly_type, fingerprint, student_id, school_id, feedback_ids, ranking_ids, details }
+   * @returns {Promise<Object>} Flag, with `inserted` true when it is new
+   */
+  static async upsertPending(data) {
+    const result = await pool(
+      `INSERT INTO anomaly_flags (
+         event_id, anomaly_type, fingerprint, student_id, school_id, feedback_ids, ranking_ids, details
+       )
+       VALUES ($1, $2, $3, $4, $5, $6::uuid[], $7::uuid[], $8::jsonb)
+       ON CONFLICT (event_id, anomaly_type, fingerprint) WHERE status = 'PENDING'
+       DO UPDATE SET
+         student_id = EXCLUDED.student_id,
+         school_id = EXCLUDED.school_id,
+         feedback_ids = EXCLUDED.feedback_ids,
+         ranking_ids = EXCLUDED.ranking_ids,
+         details = EXCLUDED.details,
+         last_detected_at = NOW()
+       RETURNING *, (xmax = 0) AS inserted`,
+      [
+        data.event_id,
+        data.anomaly_type,
+        data.fingerprint,
+        data.student_id || null,
+        data.school_id || null,
+        data.feedback_ids || [],
+        data.ranking_ids || [],
+        JSON.stringify(data.details || {})
+      ]
+    );
+
+    return result[0];
+  }
+
+  /**
+   * Drop pending flags of an event that the latest detection run no longer found
+   * @param {string} eventId - Event UUID
+   * @param {Array<string>} keepIds - Flags found by the run
+   * @returns {Promise<number>} Flags removed
+   */
+  static async deleteStalePending(eventId, keepIds) {
+    const result = await pool(
+      `DELETE FROM anomaly_flags
+       WHERE event_id = $1 AND status = 'PENDING' AND NOT (id = ANY($2::uuid[]))
+       RETURNING id`,
+      [eventId, keepIds]
+    );
+
+    return result.length;
+  }
+
+  /**
+   * Reviewed (EXCLUDED or DISMISSED) flags of an event with their items
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Array>}
+   */
+  static async findReviewedByEvent(eventId) {
+    return await pool(
+      `SELECT id, anomaly_type, fingerprint, feedback_ids, ranking_ids
+       FROM anomaly_flags
+       WHERE event_id = $1 AND status <> 'PENDING'`,
+      [eventId]
+    );
+  }
+
+  /**
+   * Review queue of an event
+   * @param {string} eventId - Event UUID
+   * @param {Object} filters - { status, anomaly_type, limit, offset }
+   * @returns {Promise<Object>} { flags, total }
+   */
+  static async listByEvent(eventId, filters = {}) {
+    const { status = null, anomaly_type = null, limit = 50, offset = 0 } = filters;
+
+    const flags = await pool(
+      `SELECT
+         af.*,
+         cardinality(af.feedback_ids) AS feedbacks_count,
+         cardinality(af.ranking_ids) AS rankings_count,
+         s.full_name AS student_name,
+         s.registration_no,
+         sc.school_name,
+         a.full_name AS reviewed_by_name
+       FROM anomaly_flags af
+       LEFT JOIN students s ON af.student_id = s.id
+       LEFT JOIN schools sc ON af.school_id = sc.id
+       LEFT JOIN admins a ON af.reviewed_by_admin_id = a.id
+       WHERE af.event_id = $1
+         AND ($2::text IS NULL OR af.status = $2)
+         AND ($3::text IS NULL OR af.anomaly_type = $3)
+       ORDER BY (af.status = 'PENDING') DESC, af.last_detected_at DESC
+       LIMIT $4 OFFSET $5`,
+      [eventId, status, anomaly_type, limit, offset]
+    );
+
+    const counts = await pool(
+      `SELECT COUNT(*) AS total
+       FROM anomaly_flags
+       WHERE event_id = $1
+         AND ($2::text IS NULL OR status = $2)
+         AND ($3::text IS NULL OR anomaly_type = $3)`,
+      [eventId, status, anomaly_type]
+    );
+
+    return { flags, total: parseInt(counts[0]?.total || 0) };
+  }
+
+  /**
+   * Flag counts of an event by status and type
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Array>} [{ status, anomaly_type, count }]
+   */
+  static async countByEvent(eventId) {
+    return await pool(
+      `SELECT status, anomaly_type, COUNT(*) AS count
+       FROM anomaly_flags
+       WHERE event_id = $1
+       GROUP BY status, anomaly_type`,
+      [eventId]
+    );
+  }
+
+  /**
+   * Find a flag of an event
+   * @param {string} eventId - Event UUID
+   * @param {string} flagId - Flag UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(eventId, flagId) {
+    const result = await pool`
+      SELECT af.*, s.full_name AS student_name, s.registration_no, sc.school_name,
+             a.full_name AS reviewed_by_name
+      FROM anomaly_flags af
+      LEFT JOIN students s ON af.student_id = s.id
+      LEFT JOIN schools sc ON af.school_id = sc.id
+      LEFT JOIN admins a ON af.reviewed_by_admin_id = a.id
+      WHERE af.event_id = ${eventId} AND af.id = ${flagId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Feedbacks and rankings a flag points at, for the reviewer
+   * @param {Object} flag - anomaly_flags row
+   * @returns {Promise<Object>} { feedbacks, rankings }
+   */
+  static async getItems(flag) {
+    const [feedbacks, rankings] = await Promise.all([
+      pool(
+        `SELECT f.id, f.student_id, s.full_name AS student_name, f.stall_id, st.stall_name,
+                st.stall_number, f.rating, f.comment, f.submitted_at
+         FROM feedbacks f
+         LEFT JOIN students s ON f.student_id = s.id
+         LEFT JOIN stalls st ON f.stall_id = st.id
+         WHERE f.id = ANY($1::uuid[])
+         ORDER BY f.submitted_at`,
+        [flag.feedback_ids]
+      ),
+      pool(
+        `SELECT r.id, r.student_id, s.full_name AS student_name, s.registration_no, r.stall_id,
+                st.stall_name, st.stall_number, r.rank, r.submitted_at
+         FROM rankings r
+         LEFT JOIN students s ON r.student_id = s.id
+         LEFT JOIN stalls st ON r.stall_id = st.id
+         WHERE r.id = ANY($1::uuid[])
+         ORDER BY r.submitted_at, r.student_id, r.rank`,
+        [flag.ranking_ids]
+      )
+    ]);
+
+    return { feedbacks, rankings };
+  }
+
+  /**
+   * Stalls whose feedback or votes a flag touches
+   * @param {Object} flag - anomaly_flags row
+   * @returns {Promise<Array<string>>}
+   */
+  static async getAffectedStallIds(flag) {
+    const result = await pool(
+      `SELECT stall_id FROM feedbacks WHERE id = ANY($1::uuid[])
+       UNION
+       SELECT stall_id FROM rankings WHERE id = ANY($2::uuid[])`,
+      [flag.feedback_ids, flag.ranking_ids]
+    );
+
+    return result.map(row => row.stall_id);
+  }
+
+  /**
+   * Record an admin's decision on a flag
+   * @param {string} flagId - Flag UUID
+   * @param {string} status - EXCLUDED or DISMISSED
+   * @param {string} adminId - Reviewing admin
+   * @param {string|null} note - Reviewer note
+   * @returns {Promise<Object|null>}
+   */
+  static async review(flagId, status, adminId, note) {
+    const result = await pool`
+      UPDATE anomaly_flags
+      SET status = ${status},
+          reviewed_by_admin_id = ${adminId},
+          reviewed_at = NOW(),
+          review_note = ${note}
+      WHERE id = ${flagId}
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+}
+
+export default AnomalyFlag;
@@ -0,0 +1,158 @@
+// AuditLog Model - Persistent audit trail (written by utils/auditLogger.js)
+import { pool } from '../config/db.js';
+
+/**
+ * Build WHERE clause for audit log filters
+ * @param {Object} filters - { user_id, user_role, resource_type, resource_id, event_type, from_date, to_date }
+ * @returns {Object} { whereClause, params }
+ */
+const buildFilters = (filters) => {
+  const { user_id, user_role, resource_type, resource_id, event_type, from_date, to_date } = filters;
+
+  const conditions = [];
+  const params = [];
+
+  if (user_id) {
+    params.push(user_id);
+    conditions.push(`al.user_id = $${params.length}`);
+  }
+
+  if (user_role) {
+    params.push(user_role);
+    conditions.push(`al.user_role = $${params.length}`);
+  }
+
+  if (resource_type) {
+    params.push(resource_type);
+    conditions.push(`al.resource_type = $${params.length}`);
+  }
+
+  if (resource_id) {
+    params.push(resource_id);
+    conditions.push(`al.resource_id = $${params.length}`);
+  }
+
+  // Accepts one type or a comma-separated list
+  if (event_type) {
+    params.push(String(event_type).split(',').map((type) => type.trim()).filter(Boolean));
+    conditions.push(`al.event_type = ANY($${params.length})`);
+  }
+
+  if (from_date) {
+    params.push(from_date);
+    conditions.push(`al.created_at >= $${params.length}`);
+  }
+
+  if (to_date) {
+    params.push(to_date);
+    conditions.push(`al.created_at <= $${params.length}`);
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+// Resolve the actor's name from whichever table matches their role
+const ACTOR_COLUMNS = `
+  COALESCE(a.full_name, em.full_name, v.full_name, s.full_name) AS user_name,
+  COALESCE(a.email, em.email, v.email, s.email) AS user_email
+`;
+
+const ACTOR_JOINS = `
+  LEFT JOIN admins a ON al.user_role = 'ADMIN' AND a.id = al.user_id
+  LEFT JOIN event_managers em ON al.user_role = 'EVENT_MANAGER' AND em.id = al.user_id
+  LEFT JOIN volunteers v ON al.user_role = 'VOLUNTEER' AND v.id = al.user_id
+  LEFT JOIN students s ON al.user_role = 'STUDENT' AND s.id = al.user_id
+`;
+
+class AuditLog {
+  /**
+   * Insert audit log entry
+   * @param {Object} data - { event_type, user_id, user_role, resource_type, resource_id,
+   *                          metadata, ip_address, user_agent }
+   * @returns {Promise<Object>}
+   */
+  static async create(data) {
+    const {
+      event_type,
+      user_id = null,
+      user_role,
+      resource_type,
+      resource_id,
+      metadata = {},
+      ip_address = null,
+      user_agent = null
+    } = data;
+
+    const result = await pool(
+      `INSERT INTO audit_logs
+         (event_type, user_id, user_role, resource_type, resource_id, metadata, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [event_type, user_id, user_role, resource_type, resource_id, JSON.stringify(metadata), ip_address, user_agent]
+    );
+
+    return result[0];
+  }
+
+  /**
+   * Get audit logs, newest first (admin)
+   * @param {Object} filters - { user_id, user_role, resource_type, resource_id, event_type,
+   *                             from_date, to_date, page, limit }
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  static async getAll(filters = {}) {
+    const { page = 1, limit = 50 } = filters;
+    const offset = (page - 1) * limit;
+    const { whereClause, params } = buildFilters(filters);
+
+    params.push(limit, offset);
+
+    const result = await pool(
+      `SELECT al.*, ${ACTOR_COLUMNS}, COUNT(*) OVER() AS total_count
+       FROM audit_logs al
+       ${ACTOR_JOINS}
+       ${whereClause}
+       ORDER BY al.created_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    const total = parseInt(result[0]?.total_count || 0);
+
+    return {
+      data: result,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get audit logs for export, newest first
+   * @param {Object} filters - Same filters as getAll (no pagination)
+   * @param {number} maxRows - Row cap for a single export
+   * @returns {Promise<Array>}
+   */
+  static async getForExport(filters = {}, maxRows = 50000) {
+    const { whereClause, params } = buildFilters(filters);
+    params.push(maxRows);
+
+    return pool(
+      `SELECT al.*, ${ACTOR_COLUMNS}
+       FROM audit_logs al
+       ${ACTOR_JOINS}
+       ${whereClause}
+       ORDER BY al.created_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+  }
+}
+
+export default AuditLog;
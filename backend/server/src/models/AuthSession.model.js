@@ -0,0 +1,147 @@
+// AuthSession Model - Server-side login sessions behind refresh tokens
+import { pool } from '../config/db.js';
+
+class AuthSession {
+  /**
+   * Create a session
+   * @param {Object} data - { user_role, user_id, refresh_token_hash, device_name, user_agent, ip_address, expires_at }
+   * @returns {Promise<Object>}
+   */
+  static async create(data) {
+    const {
+      user_role,
+      user_id,
+      refresh_token_hash,
+      device_name = null,
+      user_agent = null,
+      ip_address = null,
+      expires_at
+    } = data;
+
+    const result = await pool`
+      INSERT INTO auth_sessions (user_role, user_id, refresh_token_hash, device_name, user_agent, ip_address, expires_at)
+      VALUES (${user_role}, ${user_id}, ${refresh_token_hash}, ${device_name}, ${user_agent}, ${ip_address}, ${expires_at})
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Find session by ID
+   * @param {string} sessionId - Session UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(sessionId) {
+    const result = await pool`
+      SELECT * FROM auth_sessions WHERE id = ${sessionId} LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Active (not revoked, not expired) sessions of a user, most recently used first
+   * @param {string} userRole - ADMIN, STUDENT, VOLUNTEER or EVENT_MANAGER
+   * @param {string} userId - User UUID
+   * @returns {Promise<Array>}
+   */
+  static async findActiveByUser(userRole, userId) {
+    return await pool`
+      SELECT id, device_name, user_agent, ip_address, created_at, last_seen_at, expires_at
+      FROM auth_sessions
+      WHERE user_role = ${userRole} AND user_id = ${userId}
+        AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY last_seen_at DESC
+    `;
+  }
+
+  /**
+   * Replace the refresh token of an active session, only if the presented one is still current
+   * @param {string} sessionId - Session UUID
+   * @param {string} currentHash - Hash of the presented refresh token
+   * @param {Object} data - { refresh_token_hash, user_agent, ip_address, expires_at }
+   * @returns {Promise<Object|null>} Updated row, or null if the token was already rotated
+   */
+  static async rotate(sessionId, currentHash, data) {
+    const { refresh_token_hash, user_agent = null, ip_address = null, expires_at } = data;
+
+    const result = await pool`
+      UPDATE auth_sessions
+      SET previous_token_hash = refresh_token_hash,
+          refresh_token_hash = ${refresh_token_hash},
+          rotated_at = NOW(),
+          rotation_count = rotation_count + 1,
+          last_seen_at = NOW(),
+          user_agent = COALESCE(${user_agent}, user_agent),
+          ip_address = COALESCE(${ip_address}, ip_address),
+          expires_at = ${expires_at}
+      WHERE id = ${sessionId} AND refresh_token_hash = ${currentHash}
+        AND revoked_at IS NULL AND expires_at > NOW()
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Record activity on a session
+   * @param {string} sessionId - Session UUID
+   * @returns {Promise<boolean>} False if the session is revoked, expired or unknown
+   */
+  static async touch(sessionId) {
+    const result = await pool`
+      UPDATE auth_sessions
+      SET last_seen_at = NOW()
+      WHERE id = ${sessionId} AND revoked_at IS NULL AND expires_at > NOW()
+      RETURNING id
+    `;
+
+    return result.length > 0;
+  }
+
+  /**
+   * Revoke a session
+   * @param {string} sessionId - Session UUID
+   * @param {string} reason - LOGOUT, USER_REVOKED, ADMIN_REVOKED, TOKEN_REUSE, PASSWORD_RESET or ACCOUNT_INACTIVE
+   * @param {Object} [revokedBy] - { role, id } of the user revoking it
+   * @returns {Promise<Object|null>} Revoked row, or null if it was not active
+   */
+  static async revoke(sessionId, reason, revokedBy = {}) {
+    const result = await pool`
+      UPDATE auth_sessions
+      SET revoked_at = NOW(),
+          revoked_reason = ${reason},
+          revoked_by_role = ${revokedBy.role || null},
+          revoked_by_id = ${revokedBy.id || null}
+      WHERE id = ${sessionId} AND revoked_at IS NULL
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userRole - ADMIN, STUDENT, VOLUNTEER or EVENT_MANAGER
+   * @param {string} userId - User UUID
+   * @param {string} reason - USER_REVOKED, ADMIN_REVOKED or PASSWORD_RESET
+   * @param {Object} [revokedBy] - { role, id } of the user revoking them
+   * @returns {Promise<Array<string>>} IDs of the revoked sessions
+   */
+  static async revokeAllForUser(userRole, userId, reason, revokedBy = {}) {
+    const result = await pool`
+      UPDATE auth_sessions
+      SET revoked_at = NOW(),
+          revoked_reason = ${reason},
+          revoked_by_role = ${revokedBy.role || null},
+          revoked_by_id = ${revokedBy.id || null}
+      WHERE user_role = ${userRole} AND user_id = ${userId} AND revoked_at IS NULL
+      RETURNING id
+    `;
+
+    return result.map(row => row.id);
+  }
+}
+
+export default AuthSession;
@@ -0,0 +1,67 @@
+// CalendarFeed Model - Secret tokens behind per-user iCalendar subscription URLs
+import { pool } from '../config/db.js';
+
+class CalendarFeed {
+  /**
+   * Find the feed token of a user
+   * @param {string} userRole - STUDENT, VOLUNTEER or EVENT_MANAGER
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findByUser(userRole, userId) {
+    const result = await pool`
+      SELECT * FROM calendar_feed_tokens
+      WHERE user_role = ${userRole} AND user_id = ${userId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Find feed by token
+   * @param {string} token - Token from the feed URL
+   * @returns {Promise<Object|null>}
+   */
+  static async findByToken(token) {
+    const result = await pool`
+      SELECT * FROM calendar_feed_tokens WHERE token = ${token} LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Set a user's token, replacing (and so revoking) any previous one
+   * @param {string} userRole - STUDENT, VOLUNTEER or EVENT_MANAGER
+   * @param {string} userId - User UUID
+   * @param {string} token - New token
+   * @returns {Promise<Object>}
+   */
+  static async upsert(userRole, userId, token) {
+    const result = await pool`
+      INSERT INTO calendar_feed_tokens (user_role, user_id, token)
+      VALUES (${userRole}, ${userId}, ${token})
+      ON CONFLICT (user_role, user_id) DO UPDATE SET
+        token = EXCLUDED.token,
+        created_at = NOW(),
+        last_accessed_at = NULL
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Record that a calendar app fetched the feed
+   * @param {string} feedId - Feed UUID
+   * @returns {Promise<void>}
+   */
+  static async touch(feedId) {
+    await pool`
+      UPDATE calendar_feed_tokens SET last_accessed_at = NOW() WHERE id = ${feedId}
+    `;
+  }
+}
+
+export default CalendarFeed;
@@ -0,0 +1,225 @@
+// Certificate Model - Attendance certificates and per-event certificate templates
+import { pool } from '../config/db.js';
+
+class Certificate {
+  /**
+   * Get certificate template for an event
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async getTemplate(eventId) {
+    const result = await pool`
+      SELECT * FROM certificate_templates WHERE event_id = ${eventId} LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Create or update the certificate template for an event
+   * Omitted fields keep their current (or default) value
+   * @param {string} eventId - Event UUID
+   * @param {Object} data - { title, body_text, organization_name, signatory_name, signatory_title,
+   *                          accent_color, min_attendance_minutes, is_enabled }
+   * @param {string} userId - Manager/admin making the change
+   * @returns {Promise<Object>}
+   */
+  static async upsertTemplate(eventId, data, userId) {
+    const {
+      title = null,
+      body_text = null,
+      organization_name = null,
+      signatory_name,
+      signatory_title,
+      accent_color = null,
+      min_attendance_minutes = null,
+      is_enabled = null
+    } = data;
+
+    // Create the row with column defaults first, then apply only the provided fields
+    await pool`
+      INSERT INTO certificate_templates (event_id, updated_by_user_id)
+      VALUES (${eventId}, ${userId})
+      ON CONFLICT (event_id) DO NOTHING
+    `;
+
+    const result = await pool`
+      UPDATE certificate_templates SET
+        title = COALESCE(${title}, title),
+        body_text = COALESCE(${body_text}, body_text),
+        organization_name = COALESCE(${organization_name}, organization_name),
+        signatory_name = CASE WHEN ${signatory_name !== undefined}
+                              THEN ${signatory_name ?? null} ELSE signatory_name END,
+        signatory_title = CASE WHEN ${signatory_title !== undefined}
+                               THEN ${signatory_title ?? null} ELSE signatory_title END,
+        accent_color = COALESCE(${accent_color}, accent_color),
+        min_attendance_minutes = COALESCE(${min_attendance_minutes}::int, min_attendance_minutes),
+        is_enabled = COALESCE(${is_enabled}::boolean, is_enabled),
+        updated_by_user_id = ${userId},
+        updated_at = NOW()
+      WHERE event_id = ${eventId}
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Attendance per confirmed registration of an event
+   * Time spent comes from event_registrations; first/last scan and days attended from check_in_outs
+   * @param {string} eventId - Event UUID
+   * @param {string|null} studentId - Limit to one student
+   * @returns {Promise<Array>}
+   */
+  static async getAttendance(eventId, studentId = null) {
+    return pool`
+      SELECT
+        er.id AS registration_id,
+        er.student_id,
+        s.full_name,
+        s.registration_no,
+        sc.school_name,
+        COALESCE(er.total_time_spent_minutes, 0) AS time_spent_minutes,
+        cio.first_check_in_at,
+        cio.last_check_out_at,
+        COALESCE(cio.days_attended, 0)::int AS days_attended,
+        c.id AS certificate_id,
+        c.verification_code
+      FROM event_registrations er
+      JOIN students s ON s.id = er.student_id
+      LEFT JOIN schools sc ON sc.id = s.school_id
+      LEFT JOIN LATERAL (
+        SELECT
+          MIN(scanned_at) FILTER (WHERE scan_type = 'CHECKIN') AS first_check_in_at,
+          MAX(scanned_at) FILTER (WHERE scan_type = 'CHECKOUT') AS last_check_out_at,
+          COUNT(DISTINCT scanned_at::date) AS days_attended
+        FROM check_in_outs
+        WHERE event_id = er.event_id AND student_id = er.student_id
+      ) cio ON TRUE
+      LEFT JOIN certificates c ON c.event_id = er.event_id AND c.student_id = er.student_id
+      WHERE er.event_id = ${eventId}
+        AND er.registration_status = 'CONFIRMED'
+        AND er.has_checked_in = TRUE
+        AND (${studentId}::uuid IS NULL OR er.student_id = ${studentId})
+      ORDER BY s.full_name ASC
+    `;
+  }
+
+  /**
+   * Insert certificate
+   * Returns null if the student already has a certificate for the event or the code is taken
+   * @param {Object} data - Certificate snapshot fields
+   * @returns {Promise<Object|null>}
+   */
+  static async create(data) {
+    const result = await pool`
+      INSERT INTO certificates (
+        event_id, student_id, registration_id, verification_code,
+        student_name, registration_no, school_name, event_name, event_code,
+        first_check_in_at, last_check_out_at, days_attended, time_spent_minutes, issued_by_user_id
+      )
+      VALUES (
+        ${data.event_id}, ${data.student_id}, ${data.registration_id}, ${data.verification_code},
+        ${data.student_name}, ${data.registration_no}, ${data.school_name}, ${data.event_name}, ${data.event_code},
+        ${data.first_check_in_at}, ${data.last_check_out_at}, ${data.days_attended}, ${data.time_spent_minutes},
+        ${data.issued_by_user_id}
+      )
+      ON CONFLICT DO NOTHING
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Find certificate by verification code (with event dates)
+   * @param {string} code - Verification code
+   * @returns {Promise<Object|null>}
+   */
+  static async findByCode(code) {
+    const result = await pool`
+      SELECT c.*, e.start_date, e.end_date, e.venue
+      FROM certificates c
+      JOIN events e ON e.id = c.event_id
+      WHERE c.verification_code = ${code}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Find a student's certificate for an event
+   * @param {string} eventId - Event UUID
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findByEventAndStudent(eventId, studentId) {
+    const result = await pool`
+      SELECT c.*, e.start_date, e.end_date, e.venue
+      FROM certificates c
+      JOIN events e ON e.id = c.event_id
+      WHERE c.event_id = ${eventId} AND c.student_id = ${studentId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Certificates issued for an event
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Array>}
+   */
+  static async findByEvent(eventId) {
+    return pool`
+      SELECT * FROM certificates
+      WHERE event_id = ${eventId}
+      ORDER BY student_name ASC
+    `;
+  }
+
+  /**
+   * Certificates held by a student
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Array>}
+   */
+  static async findByStudent(studentId) {
+    return pool`
+      SELECT c.*, e.start_date, e.end_date, e.venue
+      FROM certificates c
+      JOIN events e ON e.id = c.event_id
+      WHERE c.student_id = ${studentId}
+      ORDER BY c.issued_at DESC
+    `;
+  }
+
+  /**
+   * Count a download
+   * @param {string} id - Certificate UUID
+   */
+  static async incrementDownloads(id) {
+    await pool`
+      UPDATE certificates SET download_count = download_count + 1 WHERE id = ${id}
+    `;
+  }
+
+  /**
+   * Revoke a certificate (verification then reports it as revoked)
+   * @param {string} id - Certificate UUID
+   * @param {string} reason - Why it was revoked
+   * @returns {Promise<Object|null>}
+   */
+  static async revoke(id, reason) {
+    const result = await pool`
+      UPDATE certificates
+      SET revoked_at = NOW(), revoked_reason = ${reason}
+      WHERE id = ${id} AND revoked_at IS NULL
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+}
+
+export default Certificate;
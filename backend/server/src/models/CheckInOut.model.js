@@ -11,6 +11,8 @@ class CheckInOutModel {
     this.scanned_at = data.scanned_at;
     this.duration_minutes = data.duration_minutes;
     this.event_id = data.event_id;
+    this.is_auto_checkout = data.is_auto_checkout;
+    this.session_id = data.session_id;
     // Join fields
     this.student_name = data.student_name;
     this.registration_no = data.registration_no;
@@ -80,18 +82,22 @@ class CheckInOutModel {
   static async create(data, customSql = sql) {
     const queryStr = `
       INSERT INTO check_in_outs (
-        student_id, volunteer_id, scan_type, scan_number, event_id, scanned_at, duration_minutes
+        student_id, volunteer_id, scan_type, scan_number, event_id, scanned_at, duration_minutes, is_auto_checkout,
+        session_id
       )
-      VALUES ($1, $2, $3, $4, $5, NOW(), $6)
+      VALUES ($1, $2, $3, $4, $5, COALESCE($8::timestamptz, NOW()), $6, $7, $9)
       RETURNING *
     `;
     const results = await customSql(queryStr, [
       data.student_id,
-      data.volunteer_id,
+      data.volunteer_id || null,
       data.scan_type,
       data.scan_number,
       data.event_id || null,
-      data.duration_minutes || null
+      data.duration_minutes || null,
+      data.is_auto_checkout || false,
+      data.scanned_at || null,
+      data.session_id || null
     ]);
     return new CheckInOutModel(results[0]);
   }
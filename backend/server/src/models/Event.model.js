@@ -25,12 +25,18 @@ class Event {
       registration_end_date,
       max_capacity = null,
       waitlist_enabled = false,
+      allow_walk_ins = false,
+      is_team_event = false,
+      team_min_size = null,
+      team_max_size = null,
       refund_policy = null,
       refund_enabled = false,
       cancellation_deadline_hours = 24,
       refund_tiers = null,
       banner_image_url = null,
-      event_images = []
+      event_images = [],
+      cloned_from_event_id = null,
+      created_from_template_id = null
     } = eventData;
 
     // Validation
@@ -70,9 +76,11 @@ class Event {
         event_name, event_code, description, event_type, price, currency,
         event_category, tags, venue,
         start_date, end_date, registration_start_date, registration_end_date,
-        max_capacity, waitlist_enabled,
+        max_capacity, waitlist_enabled, allow_walk_ins,
+        is_team_event, team_min_size, team_max_size,
         refund_policy, refund_enabled, cancellation_deadline_hours, refund_tiers,
         banner_image_url, event_images,
+        cloned_from_event_id, created_from_template_id,
         created_by_manager_id,
         status
       )
@@ -80,9 +88,11 @@ class Event {
         ${event_name}, ${event_code}, ${description}, ${event_type}, ${price}, ${currency},
         ${event_category}, ${tags}, ${venue},
         ${start_date}, ${end_date}, ${registration_start_date}, ${registration_end_date},
-        ${max_capacity}, ${waitlist_enabled},
+        ${max_capacity}, ${waitlist_enabled}, ${allow_walk_ins},
+        ${is_team_event}, ${team_min_size}, ${team_max_size},
         ${refund_policy}, ${refund_enabled}, ${cancellation_deadline_hours}, ${refund_tiers},
         ${banner_image_url}, ${event_images},
+        ${cloned_from_event_id}, ${created_from_template_id},
         ${managerId},
         'DRAFT'
       )
@@ -138,7 +148,8 @@ class Event {
       'event_name', 'description', 'event_type', 'price', 'currency',
       'event_category', 'tags', 'venue',
       'start_date', 'end_date', 'registration_start_date', 'registration_end_date',
-      'max_capacity', 'waitlist_enabled', 'is_visible',
+      'max_capacity', 'waitlist_enabled', 'allow_walk_ins', 'is_visible',
+      'is_team_event', 'team_min_size', 'team_max_size',
       'refund_policy', 'refund_enabled',
       'banner_image_url', 'event_images',
       'status', 'admin_rejection_reason'
@@ -177,6 +188,82 @@ class Event {
     return result[0];
   }
 
+  /**
+   * Replace the registration form schema (validated by utils/registrationForm.js)
+   * @param {string} eventId - Event UUID
+   * @param {Array} fields - Normalized form fields
+   * @returns {Promise<Object|null>}
+   */
+  static async updateRegistrationForm(eventId, fields) {
+    const result = await pool`
+      UPDATE events
+      SET registration_form = ${JSON.stringify(fields)}::jsonb, updated_at = NOW()
+      WHERE id = ${eventId}
+      RETURNING id, registration_form
+    `;
+    return result[0] || null;
+  }
+
+  /**
+   * Replace the ranking formula overrides (validated by services/rankingConfig.service.js)
+   * @param {string} eventId - Event UUID
+   * @param {Object|null} config - Overrides, or null to go back to the defaults
+   * @param {string} userId - Admin or event manager saving it
+   * @returns {Promise<Object|null>}
+   */
+  static async updateRankingConfig(eventId, config, userId) {
+    const result = await pool`
+      UPDATE events
+      SET ranking_config = ${config ? JSON.stringify(config) : null}::jsonb,
+          ranking_config_updated_at = NOW(),
+          ranking_config_updated_by = ${userId},
+          updated_at = NOW()
+      WHERE id = ${eventId}
+      RETURNING id, ranking_config, ranking_config_updated_at, ranking_config_updated_by
+    `;
+    return result[0] || null;
+  }
+
+  /**
+   * Replace the feedback moderation overrides (validated by services/feedbackModeration.service.js)
+   * @param {string} eventId - Event UUID
+   * @param {Object|null} config - Overrides, or null to go back to the defaults
+   * @param {string} userId - Admin or event manager saving it
+   * @returns {Promise<Object|null>}
+   */
+  static async updateModerationConfig(eventId, config, userId) {
+    const result = await pool`
+      UPDATE events
+      SET moderation_config = ${config ? JSON.stringify(config) : null}::jsonb,
+          moderation_config_updated_at = NOW(),
+          moderation_config_updated_by = ${userId},
+          updated_at = NOW()
+      WHERE id = ${eventId}
+      RETURNING id, moderation_config, moderation_config_updated_at, moderation_config_updated_by
+    `;
+    return result[0] || null;
+  }
+
+  /**
+   * Replace the feedback questionnaire (validated by services/feedbackQuestionnaire.service.js)
+   * @param {string} eventId - Event UUID
+   * @param {Object|null} questionnaire - Questionnaire, or null for the single 1-5 rating
+   * @param {string} userId - Admin or event manager saving it
+   * @returns {Promise<Object|null>}
+   */
+  static async updateFeedbackQuestionnaire(eventId, questionnaire, userId) {
+    const result = await pool`
+      UPDATE events
+      SET feedback_questionnaire = ${questionnaire ? JSON.stringify(questionnaire) : null}::jsonb,
+          feedback_questionnaire_updated_at = NOW(),
+          feedback_questionnaire_updated_by = ${userId},
+          updated_at = NOW()
+      WHERE id = ${eventId}
+      RETURNING id, feedback_questionnaire, feedback_questionnaire_updated_at, feedback_questionnaire_updated_by
+    `;
+    return result[0] || null;
+  }
+
   /**
    * Admin approve event
    * @param {string} eventId - Event UUID
@@ -499,6 +586,7 @@ class Event {
          e.start_date, e.end_date,
          e.registration_start_date, e.registration_end_date,
          e.max_capacity, e.current_registrations, e.waitlist_enabled,
+         e.is_team_event, e.team_min_size, e.team_max_size,
          e.status, e.banner_image_url, e.event_images,
          e.refund_policy, e.refund_enabled,
          (e.max_capacity IS NOT NULL AND e.current_registrations >= e.max_capacity) as is_full,
@@ -589,6 +677,7 @@ class Event {
       let refundCount = 0;
       let totalRefunded = 0;
       const failedRefunds = [];
+      const affectedRegistrations = [];
 
       // Cancel all registrations
       for (const reg of registrations) {
@@ -609,9 +698,19 @@ class Event {
 
             refundCount++;
             totalRefunded += parseFloat(reg.payment_amount);
+            affectedRegistrations.push({
+              registration_id: reg.id,
+              student_id: reg.student_id,
+              refund_amount: parseFloat(reg.payment_amount)
+            });
           } else {
             // Cancel free registrations or pending payments
             await EventRegistrationModel.cancel(reg.id);
+            affectedRegistrations.push({
+              registration_id: reg.id,
+              student_id: reg.student_id,
+              refund_amount: 0
+            });
           }
           cancelledCount++;
         } catch (error) {
@@ -643,7 +742,8 @@ class Event {
         paid_cancellations: refundCount,
         refunds_processed: refundCount,
         total_refunded: totalRefunded,
-        failed_refunds: failedRefunds
+        failed_refunds: failedRefunds,
+        affected_registrations: affectedRegistrations
       };
     } catch (error) {
       await pool('ROLLBACK');
@@ -652,6 +752,34 @@ class Event {
     }
   }
 
+  /**
+   * Remove a DRAFT event that was never used (e.g. a copy that failed halfway)
+   * Stalls, volunteer assignments and pricing rules go with it (ON DELETE CASCADE)
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<boolean>} True if the event was removed
+   */
+  static async discardDraft(eventId) {
+    const result = await pool`
+      WITH removed AS (
+        DELETE FROM events
+        WHERE id = ${eventId}
+          AND status = 'DRAFT'
+          AND NOT EXISTS (SELECT 1 FROM event_registrations WHERE event_id = ${eventId})
+        RETURNING id, created_by_manager_id
+      ),
+      -- total_events_created is only ever incremented by the insert trigger
+      manager AS (
+        UPDATE event_managers m
+        SET total_events_created = GREATEST(m.total_events_created - 1, 0), updated_at = NOW()
+        FROM removed
+        WHERE m.id = removed.created_by_manager_id
+      )
+      SELECT id FROM removed
+    `;
+
+    return result.length > 0;
+  }
+
   /**
    * Check if registration is open
    * @param {string} eventId - Event UUID
@@ -1,119 +1,187 @@
 // EventRegistration Model - Student registrations for events (free/paid)
 import { pool } from '../config/db.js';
 
+// Thrown when the pricing rule a price was calculated with used up its max_uses meanwhile
+export const DISCOUNT_LIMIT_REACHED = 'Discount usage limit reached. Please try again to get the current price.';
+
 class EventRegistration {
   /**
    * Create registration for free event
    * @param {string} eventId - Event UUID
    * @param {string} studentId - Student UUID
+   * @param {Object} formResponses - Validated registration form answers
+   * @param {Object} options - { team_id, walk_in_by }
+   *   team_id: registers a team captain (no waitlist for teams)
+   *   walk_in_by: volunteer registering a walk-in at the gate (no waitlist for walk-ins)
    * @returns {Promise<Object>}
    */
-  static async createFreeRegistration(eventId, studentId) {
-    await pool('BEGIN');
-    try {
-      // Check event capacity before registration
-      const event = await pool(
-        `SELECT max_capacity, current_registrations, waitlist_enabled
-         FROM events
-         WHERE id = $1 AND status IN ('APPROVED', 'ACTIVE')
-         LIMIT 1`,
-        [eventId]
-      );
+  static async createFreeRegistration(eventId, studentId, formResponses = {}, options = {}) {
+    const teamId = options.team_id || null;
+    const walkInBy = options.walk_in_by || null;
 
-      if (event.length === 0) {
-        throw new Error('Event not found or not accepting registrations');
-      }
+    // One statement: the event row lock makes concurrent registrations take seats one at a time
+    // (the seat itself is counted by the update_event_registration_count() trigger)
+    const result = await pool`
+      WITH event AS (
+        SELECT
+          id,
+          waitlist_enabled,
+          (max_capacity IS NOT NULL AND current_registrations >= max_capacity) AS is_full
+        FROM events
+        WHERE id = ${eventId} AND status IN ('APPROVED', 'ACTIVE')
+        FOR UPDATE
+      ),
+      inserted AS (
+        INSERT INTO event_registrations (
+          event_id, student_id, registration_type, payment_status, registration_status, form_responses,
+          team_id, team_role, is_walk_in, registered_by_volunteer_id
+        )
+        SELECT
+          event.id,
+          ${studentId},
+          CASE WHEN event.is_full THEN 'WAITLIST' ELSE 'FREE' END,
+          'NOT_REQUIRED',
+          CASE WHEN event.is_full THEN 'WAITLISTED' ELSE 'CONFIRMED' END,
+          ${JSON.stringify(formResponses)}::jsonb,
+          ${teamId}::uuid,
+          CASE WHEN ${teamId}::uuid IS NULL THEN NULL ELSE 'CAPTAIN' END,
+          ${walkInBy}::uuid IS NOT NULL,
+          ${walkInBy}::uuid
+        FROM event
+        -- Teams and walk-ins never join the waitlist
+        WHERE NOT event.is_full
+          OR (event.waitlist_enabled AND ${teamId}::uuid IS NULL AND ${walkInBy}::uuid IS NULL)
+        RETURNING *
+      )
+      SELECT event.is_full AS event_is_full, event.waitlist_enabled AS event_waitlist_enabled, inserted.*
+      FROM event
+      LEFT JOIN inserted ON TRUE
+    `;
 
-      const { max_capacity, current_registrations, waitlist_enabled } = event[0];
+    if (result.length === 0) {
+      throw new Error('Event not found or not accepting registrations');
+    }
 
-      // Check if event is full
-      if (max_capacity !== null && current_registrations >= max_capacity) {
-        if (!waitlist_enabled) {
-          throw new Error('Event is full and waitlist is not enabled');
-        }
-        // Register to waitlist
-        const result = await pool(
-          `INSERT INTO event_registrations (
-             event_id, student_id, registration_type, payment_status, registration_status
-           )
-           VALUES (
-             $1, $2, 'WAITLIST', 'NOT_REQUIRED', 'WAITLISTED'
-           )
-           RETURNING *`,
-          [eventId, studentId]
-        );
-        await pool('COMMIT');
-        return result[0];
+    const { event_is_full, event_waitlist_enabled, ...registration } = result[0];
+    if (!registration.id) {
+      if (!event_waitlist_enabled) {
+        throw new Error('Event is full and waitlist is not enabled');
       }
-
-      const result = await pool(
-        `INSERT INTO event_registrations (
-           event_id, student_id, registration_type, payment_status
-         )
-         VALUES (
-           $1, $2, 'FREE', 'NOT_REQUIRED'
-         )
-         RETURNING *`,
-        [eventId, studentId]
-      );
-
-      // Note: Event counters are automatically updated by database trigger
-      // See: update_event_registration_count() trigger in 005_add_multi_event_support.sql
-
-      await pool('COMMIT');
-      return result[0];
-    } catch (error) {
-      await pool('ROLLBACK');
-      throw error;
+      throw new Error(teamId
+        ? 'Event is full. Teams cannot join the waitlist'
+        : 'Event is full. Walk-ins cannot join the waitlist');
     }
+
+    return registration;
   }
 
   /**
    * Create registration for paid event (payment pending)
    * @param {string} eventId - Event UUID
    * @param {string} studentId - Student UUID
-   * @param {Object} paymentData - { amount, currency, razorpay_order_id }
+   * @param {Object} paymentData - { amount, currency, razorpay_order_id, pricing, form_responses, team_id, payment_link, walk_in_by }
+   *   pricing: { base_amount, discount_amount, rule, coupon_code } from the pricing service
+   *   team_id: set when a team captain pays for the whole team
+   *   payment_link: { id, short_url } when paying by Razorpay payment link instead of an order
+   *   walk_in_by: volunteer registering a walk-in at the gate
    * @returns {Promise<Object>}
+   * @throws {Error} DISCOUNT_LIMIT_REACHED when pricing.rule reached its max_uses since the price was calculated
    */
   static async createPaidRegistration(eventId, studentId, paymentData) {
-    const { amount, currency, razorpay_order_id } = paymentData;
-
-    // Check event capacity before registration
-    const event = await pool`
-      SELECT max_capacity, current_registrations, waitlist_enabled
-      FROM events
-      WHERE id = ${eventId} AND status IN ('APPROVED', 'ACTIVE')
-      LIMIT 1
-    `;
+    const {
+      amount,
+      currency,
+      razorpay_order_id = null,
+      pricing = null,
+      form_responses = {},
+      team_id = null,
+      payment_link = null,
+      walk_in_by = null
+    } = paymentData;
+
+    const ruleId = pricing?.rule?.id ?? null;
+
+    // Locked on the pricing rule, then on the event row like createFreeRegistration.
+    // Each query of the transaction takes a fresh snapshot, so the rule's usage count includes
+    // registrations committed while waiting for its lock. A full event still takes a pending
+    // payment registration when it has a waitlist; payment is processed only if a spot becomes available
+    const [, result] = await pool.transaction([
+      pool`SELECT id FROM event_pricing_rules WHERE id = ${ruleId}::uuid FOR UPDATE`,
+      pool`
+        WITH event AS (
+          SELECT
+            id,
+            waitlist_enabled,
+            (max_capacity IS NOT NULL AND current_registrations >= max_capacity) AS is_full
+          FROM events
+          WHERE id = ${eventId} AND status IN ('APPROVED', 'ACTIVE')
+          FOR UPDATE
+        ),
+        rule_check AS (
+          SELECT ${ruleId}::uuid IS NULL OR EXISTS (
+            SELECT 1 FROM event_pricing_rules pr
+            WHERE pr.id = ${ruleId}::uuid
+              AND (pr.max_uses IS NULL OR (
+                SELECT COUNT(*) FROM event_registrations er
+                WHERE er.pricing_rule_id = pr.id
+                  AND er.registration_status = 'CONFIRMED'
+                  AND er.payment_status IN ('PENDING', 'COMPLETED')
+              ) < pr.max_uses)
+          ) AS rule_available
+        ),
+        inserted AS (
+          INSERT INTO event_registrations (
+            event_id, student_id, registration_type, payment_status,
+            razorpay_order_id, payment_amount, payment_currency,
+            base_amount, discount_amount, pricing_rule_id, pricing_rule_type, pricing_rule_name, coupon_code,
+            form_responses, team_id, team_role,
+            razorpay_payment_link_id, payment_link_url, is_walk_in, registered_by_volunteer_id
+          )
+          SELECT
+            event.id, ${studentId}, 'PAID', 'PENDING',
+            ${razorpay_order_id}, ${amount}, ${currency},
+            ${pricing?.base_amount ?? amount}, ${pricing?.discount_amount ?? 0},
+            ${ruleId}::uuid, ${pricing?.rule?.rule_type ?? null},
+            ${pricing?.rule?.rule_name ?? null}, ${pricing?.coupon_code ?? null},
+            ${JSON.stringify(form_responses)}::jsonb,
+            ${team_id}::uuid, ${team_id ? 'CAPTAIN' : null},
+            ${payment_link?.id ?? null}, ${payment_link?.short_url ?? null}, ${!!walk_in_by}, ${walk_in_by}::uuid
+          FROM event, rule_check
+          WHERE rule_check.rule_available
+            -- Teams and walk-ins never join the waitlist
+            AND (NOT event.is_full
+              OR (event.waitlist_enabled AND ${team_id}::uuid IS NULL AND ${walk_in_by}::uuid IS NULL))
+          RETURNING *
+        )
+        SELECT
+          event.is_full AS event_is_full,
+          event.waitlist_enabled AS event_waitlist_enabled,
+          rule_check.rule_available AS pricing_rule_available,
+          inserted.*
+        FROM event
+        CROSS JOIN rule_check
+        LEFT JOIN inserted ON TRUE
+      `
+    ]);
 
-    if (event.length === 0) {
+    if (result.length === 0) {
       throw new Error('Event not found or not accepting registrations');
     }
 
-    const { max_capacity, current_registrations, waitlist_enabled } = event[0];
-
-    // Check if event is full
-    if (max_capacity !== null && current_registrations >= max_capacity) {
-      if (!waitlist_enabled) {
+    const { event_is_full, event_waitlist_enabled, pricing_rule_available, ...registration } = result[0];
+    if (!registration.id) {
+      if (!pricing_rule_available) {
+        throw new Error(DISCOUNT_LIMIT_REACHED);
+      }
+      if (!event_waitlist_enabled) {
         throw new Error('Event is full and waitlist is not enabled');
       }
-      // For paid events, we still create a pending payment registration even for waitlist
-      // Payment will be processed only if spot becomes available
+      throw new Error(team_id
+        ? 'Event is full. Teams cannot join the waitlist'
+        : 'Event is full. Walk-ins cannot join the waitlist');
     }
 
-    const result = await pool`
-      INSERT INTO event_registrations (
-        event_id, student_id, registration_type, payment_status,
-        razorpay_order_id, payment_amount, payment_currency
-      )
-      VALUES (
-        ${eventId}, ${studentId}, 'PAID', 'PENDING',
-        ${razorpay_order_id}, ${amount}, ${currency}
-      )
-      RETURNING *
-    `;
-
-    return result[0];
+    return registration;
   }
 
   /**
@@ -159,22 +227,275 @@ class EventRegistration {
   }
 
   /**
-   * Mark payment as failed
+   * Give up on a pending payment and release its seat
+   * One statement, so the seat is released exactly once
    * @param {string} registrationId - Registration UUID
-   * @returns {Promise<Object>}
+   * @returns {Promise<Object|null>} Failed registration, or null if it was not pending
    */
   static async failPayment(registrationId) {
+    const result = await pool`
+      WITH failed AS (
+        UPDATE event_registrations 
+        SET 
+          payment_status = 'FAILED',
+          registration_status = 'CANCELLED',
+          updated_at = NOW()
+        WHERE id = ${registrationId}
+          AND payment_status = 'PENDING'
+          AND registration_status = 'CONFIRMED'
+        RETURNING *
+      ),
+      -- The registration trigger only decrements on DELETE
+      released AS (
+        UPDATE events e
+        SET current_registrations = GREATEST(e.current_registrations - 1, 0),
+            updated_at = NOW()
+        FROM failed
+        WHERE e.id = failed.event_id
+      )
+      SELECT * FROM failed
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Expire paid registrations whose payment was never completed
+   * Releases the seat held by each registration
+   * @param {number} olderThanMinutes - Age after which a pending payment is abandoned
+   * @returns {Promise<Array>} Expired registrations
+   */
+  static async expirePendingPayments(olderThanMinutes) {
+    // One statement, so each expired registration releases its seat exactly once
+    return pool`
+      WITH expired AS (
+        UPDATE event_registrations 
+        SET 
+          registration_status = 'EXPIRED',
+          payment_status = 'FAILED',
+          updated_at = NOW()
+        WHERE registration_type = 'PAID'
+          AND payment_status = 'PENDING'
+          AND registration_status = 'CONFIRMED'
+          AND registered_at < NOW() - (${olderThanMinutes} || ' minutes')::interval
+        RETURNING *
+      ),
+      -- The registration trigger only decrements on DELETE
+      released AS (
+        UPDATE events e
+        SET current_registrations = GREATEST(e.current_registrations - counts.count, 0),
+            updated_at = NOW()
+        FROM (
+          SELECT event_id, COUNT(*)::int AS count FROM expired GROUP BY event_id
+        ) counts
+        WHERE e.id = counts.event_id
+      )
+      SELECT * FROM expired
+    `;
+  }
+
+  /**
+   * Complete an expired registration whose payment was captured after it expired
+   * Only when the event is still open and has a free seat; the seat is re-taken
+   * in the same statement.
+   * @param {string} registrationId - Registration UUID
+   * @param {Object} paymentData - { razorpay_payment_id, razorpay_signature }
+   * @returns {Promise<Object|null>} Confirmed registration, or null if it can't be recovered
+   */
+  static async recoverLatePayment(registrationId, paymentData) {
+    const { razorpay_payment_id, razorpay_signature } = paymentData;
+
+    const result = await pool`
+      WITH recovered AS (
+        UPDATE event_registrations r
+        SET 
+          payment_status = 'COMPLETED',
+          razorpay_payment_id = ${razorpay_payment_id},
+          razorpay_signature = ${razorpay_signature},
+          payment_completed_at = NOW(),
+          registration_status = 'CONFIRMED',
+          updated_at = NOW()
+        WHERE r.id = ${registrationId}
+          AND r.payment_status = 'FAILED'
+          AND r.registration_status = 'EXPIRED'
+          AND EXISTS (
+            SELECT 1 FROM events e
+            WHERE e.id = r.event_id
+              AND e.status IN ('APPROVED', 'ACTIVE')
+              AND (e.max_capacity IS NULL OR e.current_registrations < e.max_capacity)
+            FOR UPDATE
+          )
+        RETURNING r.*
+      ),
+      -- Expiry released the seat, so take it back
+      seat AS (
+        UPDATE events e
+        SET current_registrations = e.current_registrations + 1,
+            updated_at = NOW()
+        FROM recovered
+        WHERE e.id = recovered.event_id
+      )
+      SELECT * FROM recovered
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Record the automatic refund of a payment captured on a registration that
+   * could not be recovered. The registration stays FAILED: it never counted
+   * towards revenue, so it must not go through the REFUNDED trigger path.
+   * @param {string} registrationId - Registration UUID
+   * @param {string} paymentId - Razorpay payment ID that was refunded
+   * @param {Object} refund - Result of PaymentService.processRefund
+   * @param {string} reason - Refund reason
+   * @returns {Promise<Object|null>} Updated registration, or null if this payment was already recorded
+   */
+  static async recordLatePaymentRefund(registrationId, paymentId, refund, reason) {
     const result = await pool`
       UPDATE event_registrations 
       SET 
-        payment_status = 'FAILED',
-        registration_status = 'CANCELLED',
+        razorpay_payment_id = ${paymentId},
+        refund_amount = ${refund.amount},
+        refund_status = ${refund.status === 'processed' ? 'PROCESSED' : 'PENDING'},
+        razorpay_refund_id = ${refund.id},
+        refund_reason = ${reason},
+        refund_initiated = TRUE,
+        refunded_at = NOW(),
         updated_at = NOW()
       WHERE id = ${registrationId}
+        AND payment_status = 'FAILED'
+        AND razorpay_payment_id IS DISTINCT FROM ${paymentId}
       RETURNING *
     `;
 
-    return result[0];
+    return result[0] || null;
+  }
+
+  /**
+   * Mark an automatic late-payment refund as settled once Razorpay confirms it
+   * @param {string} registrationId - Registration UUID
+   * @param {string} refundId - Razorpay refund ID
+   * @returns {Promise<Object|null>}
+   */
+  static async markLatePaymentRefundProcessed(registrationId, refundId) {
+    const result = await pool`
+      UPDATE event_registrations 
+      SET refund_status = 'PROCESSED', refunded_at = NOW(), updated_at = NOW()
+      WHERE id = ${registrationId}
+        AND payment_status = 'FAILED'
+        AND razorpay_refund_id = ${refundId}
+        AND refund_status = 'PENDING'
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Start a new payment attempt on an existing unpaid registration
+   * Re-takes the seat if the previous attempt had expired or been cancelled
+   * @param {string} registrationId - Registration UUID
+   * @param {Object} paymentData - Same as createPaidRegistration
+   * @returns {Promise<Object>}
+   * @throws {Error} DISCOUNT_LIMIT_REACHED as createPaidRegistration
+   */
+  static async reopenPaidRegistration(registrationId, paymentData) {
+    const {
+      amount,
+      currency,
+      razorpay_order_id = null,
+      pricing = null,
+      form_responses = {},
+      team_id = null,
+      payment_link = null,
+      walk_in_by = null
+    } = paymentData;
+
+    const ruleId = pricing?.rule?.id ?? null;
+
+    // The pricing rule lock comes first, as in createPaidRegistration; then one statement
+    // applies the registration lock, the update and the seat together
+    const [, result] = await pool.transaction([
+      pool`SELECT id FROM event_pricing_rules WHERE id = ${ruleId}::uuid FOR UPDATE`,
+      pool`
+        WITH previous AS (
+          SELECT id, event_id, registration_status FROM event_registrations
+          WHERE id = ${registrationId}
+            AND payment_status IN ('PENDING', 'FAILED')
+          FOR UPDATE
+        ),
+        -- Uses held by this registration's previous attempt don't count (payment retries)
+        rule_check AS (
+          SELECT ${ruleId}::uuid IS NULL OR EXISTS (
+            SELECT 1 FROM event_pricing_rules pr
+            WHERE pr.id = ${ruleId}::uuid
+              AND (pr.max_uses IS NULL OR (
+                SELECT COUNT(*) FROM event_registrations er
+                WHERE er.pricing_rule_id = pr.id
+                  AND er.registration_status = 'CONFIRMED'
+                  AND er.payment_status IN ('PENDING', 'COMPLETED')
+                  AND er.id <> ${registrationId}
+              ) < pr.max_uses)
+          ) AS rule_available
+        ),
+        reopened AS (
+          UPDATE event_registrations r
+          SET 
+            payment_status = 'PENDING',
+            registration_status = 'CONFIRMED',
+            razorpay_order_id = ${razorpay_order_id},
+            razorpay_payment_id = NULL,
+            razorpay_signature = NULL,
+            payment_amount = ${amount},
+            payment_currency = ${currency},
+            base_amount = ${pricing?.base_amount ?? amount},
+            discount_amount = ${pricing?.discount_amount ?? 0},
+            pricing_rule_id = ${ruleId}::uuid,
+            pricing_rule_type = ${pricing?.rule?.rule_type ?? null},
+            pricing_rule_name = ${pricing?.rule?.rule_name ?? null},
+            coupon_code = ${pricing?.coupon_code ?? null},
+            form_responses = ${JSON.stringify(form_responses)}::jsonb,
+            team_id = ${team_id},
+            team_role = ${team_id ? 'CAPTAIN' : null},
+            razorpay_payment_link_id = ${payment_link?.id ?? null},
+            payment_link_url = ${payment_link?.short_url ?? null},
+            is_walk_in = ${!!walk_in_by},
+            registered_by_volunteer_id = ${walk_in_by},
+            registered_at = NOW(),
+            updated_at = NOW()
+          FROM previous, rule_check
+          WHERE r.id = previous.id
+            AND rule_check.rule_available
+          RETURNING r.*
+        ),
+        -- Expired or cancelled attempts had released their seat
+        seat AS (
+          UPDATE events e
+          SET current_registrations = current_registrations + 1, updated_at = NOW()
+          FROM previous
+          JOIN reopened ON reopened.id = previous.id
+          WHERE e.id = previous.event_id
+            AND previous.registration_status <> 'CONFIRMED'
+        )
+        SELECT
+          EXISTS (SELECT 1 FROM previous) AS registration_found,
+          rule_check.rule_available AS pricing_rule_available,
+          reopened.*
+        FROM rule_check
+        LEFT JOIN reopened ON TRUE
+      `
+    ]);
+
+    const { registration_found, pricing_rule_available, ...registration } = result[0];
+    if (!registration.id) {
+      if (registration_found && !pricing_rule_available) {
+        throw new Error(DISCOUNT_LIMIT_REACHED);
+      }
+      throw new Error('Registration not found or payment already completed');
+    }
+
+    return registration;
   }
 
   /**
@@ -233,6 +554,36 @@ class EventRegistration {
     return result[0] || null;
   }
 
+  /**
+   * Find registration by Razorpay payment link ID (walk-ins paying at the gate)
+   * @param {string} paymentLinkId - Razorpay payment link ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findByPaymentLinkId(paymentLinkId) {
+    const result = await pool`
+      SELECT * FROM event_registrations 
+      WHERE razorpay_payment_link_id = ${paymentLinkId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Find registration by Razorpay payment ID
+   * @param {string} paymentId - Razorpay payment ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findByPaymentId(paymentId) {
+    const result = await pool`
+      SELECT * FROM event_registrations
+      WHERE razorpay_payment_id = ${paymentId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
   /**
    * Check if student is registered for event
    * @param {string} eventId - Event UUID
@@ -285,7 +636,9 @@ class EventRegistration {
          e.start_date,
          e.end_date,
          e.status as event_status,
-         e.banner_image_url
+         e.banner_image_url,
+         e.description as event_description,
+         e.updated_at as event_updated_at
        FROM event_registrations er
        LEFT JOIN events e ON er.event_id = e.id
        WHERE ${whereClause}
@@ -354,23 +707,141 @@ class EventRegistration {
   }
 
   /**
-   * Record check-in for event
+   * Record check-in (entry) for event
+   * Only applies while the student is outside this event, so concurrent scans can't double-enter
    * @param {string} registrationId - Registration UUID
-   * @returns {Promise<Object>}
+   * @param {Date|null} at - Scan time (offline scans); defaults to now
+   * @returns {Promise<Object|null>} Updated registration, or null if already inside
    */
-  static async recordCheckIn(registrationId) {
+  static async recordCheckIn(registrationId, at = null) {
     const result = await pool`
       UPDATE event_registrations 
       SET 
         has_checked_in = TRUE,
+        is_inside_event = TRUE,
         check_in_count = check_in_count + 1,
-        last_check_in_at = NOW(),
+        last_check_in_at = COALESCE(${at}::timestamptz, NOW()),
         updated_at = NOW()
       WHERE id = ${registrationId}
+        AND COALESCE(is_inside_event, FALSE) = FALSE
       RETURNING *
     `;
 
-    return result[0];
+    return result[0] || null;
+  }
+
+  /**
+   * Record check-out (exit) for event
+   * Duration is measured from this registration's last check-in and capped at maxMinutes
+   * @param {string} registrationId - Registration UUID
+   * @param {number} maxMinutes - Cap for a single visit
+   * @param {Date|null} at - Scan time (offline scans); defaults to now
+   * @returns {Promise<Object|null>} Updated registration with duration_minutes and actual_duration_minutes,
+   *                                 or null if not inside
+   */
+  static async recordCheckOut(registrationId, maxMinutes, at = null) {
+    const result = await pool`
+      WITH visit AS (
+        SELECT
+          id,
+          COALESCE(${at}::timestamptz, NOW())::timestamp AS checked_out_at,
+          GREATEST(FLOOR(EXTRACT(EPOCH FROM (
+            COALESCE(${at}::timestamptz, NOW())::timestamp - COALESCE(last_check_in_at, NOW())
+          )) / 60), 0)::int AS actual_duration_minutes
+        FROM event_registrations
+        WHERE id = ${registrationId}
+          AND is_inside_event = TRUE
+      )
+      UPDATE event_registrations er
+      SET 
+        is_inside_event = FALSE,
+        last_check_out_at = visit.checked_out_at,
+        total_time_spent_minutes = COALESCE(er.total_time_spent_minutes, 0)
+          + LEAST(visit.actual_duration_minutes, ${maxMinutes}),
+        updated_at = NOW()
+      FROM visit
+      WHERE er.id = visit.id
+      RETURNING
+        er.*,
+        visit.actual_duration_minutes,
+        LEAST(visit.actual_duration_minutes, ${maxMinutes})::int AS duration_minutes
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Check out every student still inside an event that has ended
+   * Visits are closed at the event's end_date (or now, if earlier) and capped at maxMinutes
+   * @param {string} eventId - Event UUID
+   * @param {number} maxMinutes - Cap for a single visit
+   * @returns {Promise<Array>} Updated registrations with duration_minutes
+   */
+  static async autoCheckOut(eventId, maxMinutes) {
+    return pool`
+      WITH visit AS (
+        SELECT
+          er.id,
+          LEAST(NOW(), e.end_date) AS checked_out_at,
+          GREATEST(FLOOR(EXTRACT(EPOCH FROM (
+            LEAST(NOW(), e.end_date) - COALESCE(er.last_check_in_at, LEAST(NOW(), e.end_date))
+          )) / 60), 0)::int AS actual_duration_minutes
+        FROM event_registrations er
+        JOIN events e ON er.event_id = e.id
+        WHERE er.event_id = ${eventId}
+          AND er.is_inside_event = TRUE
+      )
+      UPDATE event_registrations er
+      SET 
+        is_inside_event = FALSE,
+        last_check_out_at = visit.checked_out_at,
+        total_time_spent_minutes = COALESCE(er.total_time_spent_minutes, 0)
+          + LEAST(visit.actual_duration_minutes, ${maxMinutes}),
+        updated_at = NOW()
+      FROM visit
+      WHERE er.id = visit.id
+      RETURNING
+        er.*,
+        LEAST(visit.actual_duration_minutes, ${maxMinutes})::int AS duration_minutes
+    `;
+  }
+
+  /**
+   * Get students currently inside events
+   * @param {Object} filters - { event_id }
+   * @returns {Promise<Array>}
+   */
+  static async getActiveCheckIns(filters = {}) {
+    const { event_id } = filters;
+
+    const conditions = ['er.is_inside_event = TRUE'];
+    const params = [];
+
+    if (event_id) {
+      params.push(event_id);
+      conditions.push(`er.event_id = $${params.length}`);
+    }
+
+    return pool(
+      `SELECT 
+         er.id as registration_id,
+         er.event_id,
+         er.student_id,
+         er.last_check_in_at,
+         er.check_in_count,
+         er.total_time_spent_minutes,
+         FLOOR(EXTRACT(EPOCH FROM (NOW() - er.last_check_in_at)) / 60)::int as minutes_inside,
+         e.event_name,
+         e.event_code,
+         s.full_name as student_name,
+         s.registration_no as student_registration_no
+       FROM event_registrations er
+       JOIN events e ON er.event_id = e.id
+       JOIN students s ON er.student_id = s.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY er.last_check_in_at DESC`,
+      params
+    );
   }
 
   /**
@@ -478,6 +949,8 @@ class EventRegistration {
         COUNT(*) FILTER (WHERE payment_status = 'COMPLETED') as completed_payments,
         COUNT(*) FILTER (WHERE payment_status = 'PENDING') as pending_payments,
         COUNT(*) FILTER (WHERE has_checked_in = TRUE) as total_check_ins,
+        COUNT(*) FILTER (WHERE is_walk_in = TRUE) as walk_in_registrations,
+        COUNT(*) FILTER (WHERE is_walk_in = TRUE AND has_checked_in = TRUE) as walk_in_check_ins,
         COALESCE(SUM(payment_amount) FILTER (WHERE payment_status = 'COMPLETED'), 0) as total_revenue,
         COALESCE(AVG(total_time_spent_minutes) FILTER (WHERE has_checked_in = TRUE), 0) as avg_time_spent
       FROM event_registrations
@@ -487,6 +960,30 @@ class EventRegistration {
     return result[0] || null;
   }
 
+  /**
+   * Live registration and occupancy counts for dashboards
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async getLiveCounts(eventId) {
+    const result = await pool`
+      SELECT 
+        e.max_capacity,
+        e.current_registrations,
+        COUNT(er.id) FILTER (WHERE er.registration_status = 'CONFIRMED') as confirmed_registrations,
+        COUNT(er.id) FILTER (WHERE er.registration_status = 'WAITLISTED') as waitlisted_registrations,
+        COUNT(er.id) FILTER (WHERE er.payment_status = 'PENDING' AND er.registration_status = 'CONFIRMED') as pending_payments,
+        COUNT(er.id) FILTER (WHERE er.is_inside_event = TRUE) as currently_inside,
+        COUNT(er.id) FILTER (WHERE er.has_checked_in = TRUE) as total_checked_in
+      FROM events e
+      LEFT JOIN event_registrations er ON er.event_id = e.id
+      WHERE e.id = ${eventId}
+      GROUP BY e.id
+    `;
+
+    return result[0] || null;
+  }
+
   /**
    * Delete registration (hard delete - for cleanup only)
    * @param {string} registrationId - Registration UUID
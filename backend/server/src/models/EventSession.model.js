@@ -0,0 +1,365 @@
+// EventSession Model - Sessions inside an event and per-session attendance
+import { pool } from '../config/db.js';
+
+export const SESSION_TYPES = ['KEYNOTE', 'WORKSHOP', 'HACKATHON', 'TALK', 'PANEL', 'COMPETITION', 'OTHER'];
+
+class EventSession {
+  /**
+   * Create session
+   * @param {string} eventId - Event UUID
+   * @param {Object} data - { session_name, session_type, description, venue, start_time, end_time, capacity }
+   * @returns {Promise<Object>}
+   */
+  static async create(eventId, data) {
+    const {
+      session_name,
+      session_type = 'OTHER',
+      description = null,
+      venue = null,
+      start_time,
+      end_time,
+      capacity = null
+    } = data;
+
+    const result = await pool`
+      INSERT INTO event_sessions (
+        event_id, session_name, session_type, description, venue, start_time, end_time, capacity
+      )
+      VALUES (
+        ${eventId}, ${session_name}, ${session_type}, ${description}, ${venue},
+        ${start_time}, ${end_time}, ${capacity}
+      )
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Find session by ID
+   * @param {string} sessionId - Session UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(sessionId) {
+    const result = await pool`
+      SELECT * FROM event_sessions WHERE id = ${sessionId} LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Sessions of an event in schedule order, with live occupancy and attendance totals
+   * @param {string} eventId - Event UUID
+   * @param {Object} options - { activeOnly }
+   * @returns {Promise<Array>}
+   */
+  static async findByEvent(eventId, { activeOnly = false } = {}) {
+    return pool`
+      SELECT
+        es.*,
+        COALESCE(sa.currently_inside, 0)::int AS currently_inside,
+        COALESCE(sa.total_attended, 0)::int AS total_attended,
+        COALESCE(sa.total_time_spent_minutes, 0)::int AS total_time_spent_minutes,
+        COALESCE(sa.avg_time_spent_minutes, 0)::int AS avg_time_spent_minutes,
+        COALESCE(ev.volunteer_count, 0)::int AS volunteer_count
+      FROM event_sessions es
+      LEFT JOIN (
+        SELECT
+          session_id,
+          COUNT(*) FILTER (WHERE is_inside) AS currently_inside,
+          COUNT(*) AS total_attended,
+          SUM(total_time_spent_minutes) AS total_time_spent_minutes,
+          ROUND(AVG(total_time_spent_minutes)) AS avg_time_spent_minutes
+        FROM session_attendances
+        WHERE event_id = ${eventId}
+        GROUP BY session_id
+      ) sa ON sa.session_id = es.id
+      LEFT JOIN (
+        SELECT session_id, COUNT(*) AS volunteer_count
+        FROM event_volunteers
+        WHERE event_id = ${eventId} AND is_active = TRUE AND session_id IS NOT NULL
+        GROUP BY session_id
+      ) ev ON ev.session_id = es.id
+      WHERE es.event_id = ${eventId}
+        AND (${activeOnly} = FALSE OR es.is_active = TRUE)
+      ORDER BY es.start_time ASC, es.session_name ASC
+    `;
+  }
+
+  /**
+   * Check for a session at the same venue overlapping the given window
+   * @param {string} eventId - Event UUID
+   * @param {string} venue - Venue name
+   * @param {Date|string} startTime
+   * @param {Date|string} endTime
+   * @param {string|null} excludeSessionId - Session being updated
+   * @returns {Promise<Object|null>} Overlapping session
+   */
+  static async findVenueOverlap(eventId, venue, startTime, endTime, excludeSessionId = null) {
+    const result = await pool`
+      SELECT id, session_name, start_time, end_time
+      FROM event_sessions
+      WHERE event_id = ${eventId}
+        AND is_active = TRUE
+        AND LOWER(venue) = LOWER(${venue})
+        AND start_time < ${endTime}
+        AND end_time > ${startTime}
+        AND (${excludeSessionId}::uuid IS NULL OR id <> ${excludeSessionId})
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Update session (only provided fields)
+   * @param {string} sessionId - Session UUID
+   * @param {Object} updates - Any of session_name, session_type, description, venue,
+   *                           start_time, end_time, capacity, is_active
+   * @returns {Promise<Object|null>}
+   */
+  static async update(sessionId, updates) {
+    const allowedFields = [
+      'session_name', 'session_type', 'description', 'venue',
+      'start_time', 'end_time', 'capacity', 'is_active'
+    ];
+
+    const fields = [];
+    const values = [];
+
+    for (const field of allowedFields) {
+      if (updates[field] !== undefined) {
+        values.push(updates[field]);
+        fields.push(`${field} = $${values.length}`);
+      }
+    }
+
+    if (fields.length === 0) {
+      return this.findById(sessionId);
+    }
+
+    values.push(sessionId);
+
+    const result = await pool(
+      `UPDATE event_sessions
+       SET ${fields.join(', ')}, updated_at = NOW()
+       WHERE id = $${values.length}
+       RETURNING *`,
+      values
+    );
+
+    return result[0] || null;
+  }
+
+  /**
+   * Delete session (attendance rows cascade; scans keep their row with session_id cleared)
+   * @param {string} sessionId - Session UUID
+   * @returns {Promise<boolean>}
+   */
+  static async delete(sessionId) {
+    const result = await pool`
+      DELETE FROM event_sessions WHERE id = ${sessionId} RETURNING id
+    `;
+
+    return result.length > 0;
+  }
+
+  /**
+   * Number of students who have attended the session
+   * @param {string} sessionId - Session UUID
+   * @returns {Promise<number>}
+   */
+  static async countAttendance(sessionId) {
+    const result = await pool`
+      SELECT COUNT(*)::int AS count FROM session_attendances WHERE session_id = ${sessionId}
+    `;
+
+    return result[0]?.count || 0;
+  }
+
+  /**
+   * Number of students currently inside the session
+   * @param {string} sessionId - Session UUID
+   * @returns {Promise<number>}
+   */
+  static async countInside(sessionId) {
+    const result = await pool`
+      SELECT COUNT(*)::int AS count
+      FROM session_attendances
+      WHERE session_id = ${sessionId} AND is_inside = TRUE
+    `;
+
+    return result[0]?.count || 0;
+  }
+
+  /**
+   * Find a student's attendance row for a session
+   * @param {string} sessionId - Session UUID
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findAttendance(sessionId, studentId) {
+    const result = await pool`
+      SELECT * FROM session_attendances
+      WHERE session_id = ${sessionId} AND student_id = ${studentId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Record entry into a session
+   * Guarded: returns null if the student is already inside or the session is at capacity
+   * @param {Object} session - Session row
+   * @param {Object} registration - event_registrations row
+   * @param {Date|null} at - Scan time (offline scans); defaults to now
+   * @returns {Promise<Object|null>} Updated attendance row
+   */
+  static async recordCheckIn(session, registration, at = null) {
+    const result = await pool`
+      INSERT INTO session_attendances (
+        session_id, event_id, student_id, registration_id,
+        is_inside, check_in_count, first_check_in_at, last_check_in_at
+      )
+      SELECT
+        ${session.id}, ${session.event_id}, ${registration.student_id}, ${registration.id},
+        TRUE, 1, COALESCE(${at}::timestamptz, NOW()), COALESCE(${at}::timestamptz, NOW())
+      WHERE ${session.capacity}::int IS NULL OR (
+        SELECT COUNT(*) FROM session_attendances
+        WHERE session_id = ${session.id} AND is_inside = TRUE
+      ) < ${session.capacity}::int
+      ON CONFLICT (session_id, student_id) DO UPDATE SET
+        is_inside = TRUE,
+        check_in_count = session_attendances.check_in_count + 1,
+        last_check_in_at = EXCLUDED.last_check_in_at,
+        updated_at = NOW()
+      WHERE session_attendances.is_inside = FALSE
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Record exit from a session
+   * Only time inside the session window counts: the visit is clipped to [start_time, end_time]
+   * @param {Object} session - Session row
+   * @param {string} studentId - Student UUID
+   * @param {Date|null} at - Scan time (offline scans); defaults to now
+   * @returns {Promise<Object|null>} Updated attendance with duration_minutes and actual_duration_minutes,
+   *                                 or null if not inside
+   */
+  static async recordCheckOut(session, studentId, at = null) {
+    const result = await pool`
+      WITH visit AS (
+        SELECT
+          sa.id,
+          COALESCE(${at}::timestamptz, NOW())::timestamp AS checked_out_at,
+          GREATEST(FLOOR(EXTRACT(EPOCH FROM (
+            COALESCE(${at}::timestamptz, NOW())::timestamp - COALESCE(sa.last_check_in_at, NOW())
+          )) / 60), 0)::int AS actual_duration_minutes,
+          GREATEST(FLOOR(EXTRACT(EPOCH FROM (
+            LEAST(COALESCE(${at}::timestamptz, NOW())::timestamp, es.end_time)
+              - GREATEST(COALESCE(sa.last_check_in_at, NOW()), es.start_time)
+          )) / 60), 0)::int AS duration_minutes
+        FROM session_attendances sa
+        JOIN event_sessions es ON es.id = sa.session_id
+        WHERE sa.session_id = ${session.id}
+          AND sa.student_id = ${studentId}
+          AND sa.is_inside = TRUE
+      )
+      UPDATE session_attendances sa
+      SET
+        is_inside = FALSE,
+        last_check_out_at = visit.checked_out_at,
+        total_time_spent_minutes = sa.total_time_spent_minutes + visit.duration_minutes,
+        updated_at = NOW()
+      FROM visit
+      WHERE sa.id = visit.id
+      RETURNING sa.*, visit.duration_minutes, visit.actual_duration_minutes
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Check out every student still inside a session that has ended (closed at end_time)
+   * @returns {Promise<Array>} Updated attendance rows with duration_minutes
+   */
+  static async autoCheckOutEnded() {
+    return pool`
+      WITH visit AS (
+        SELECT
+          sa.id,
+          es.end_time AS checked_out_at,
+          GREATEST(FLOOR(EXTRACT(EPOCH FROM (
+            es.end_time - GREATEST(COALESCE(sa.last_check_in_at, es.end_time), es.start_time)
+          )) / 60), 0)::int AS duration_minutes
+        FROM session_attendances sa
+        JOIN event_sessions es ON es.id = sa.session_id
+        WHERE sa.is_inside = TRUE
+          AND es.end_time <= NOW()
+      )
+      UPDATE session_attendances sa
+      SET
+        is_inside = FALSE,
+        last_check_out_at = visit.checked_out_at,
+        total_time_spent_minutes = sa.total_time_spent_minutes + visit.duration_minutes,
+        updated_at = NOW()
+      FROM visit
+      WHERE sa.id = visit.id
+      RETURNING sa.*, visit.duration_minutes
+    `;
+  }
+
+  /**
+   * Attendance list for one session
+   * @param {string} sessionId - Session UUID
+   * @returns {Promise<Array>}
+   */
+  static async getAttendance(sessionId) {
+    return pool`
+      SELECT
+        sa.*,
+        s.full_name AS student_name,
+        s.registration_no,
+        sc.school_name
+      FROM session_attendances sa
+      JOIN students s ON s.id = sa.student_id
+      LEFT JOIN schools sc ON sc.id = s.school_id
+      WHERE sa.session_id = ${sessionId}
+      ORDER BY sa.first_check_in_at ASC
+    `;
+  }
+
+  /**
+   * A student's attendance in every session of an event
+   * @param {string} eventId - Event UUID
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Array>}
+   */
+  static async getStudentAttendance(eventId, studentId) {
+    return pool`
+      SELECT
+        es.id AS session_id,
+        es.session_name,
+        es.session_type,
+        es.venue,
+        es.start_time,
+        es.end_time,
+        sa.is_inside,
+        sa.check_in_count,
+        sa.first_check_in_at,
+        sa.last_check_out_at,
+        COALESCE(sa.total_time_spent_minutes, 0) AS total_time_spent_minutes
+      FROM session_attendances sa
+      JOIN event_sessions es ON es.id = sa.session_id
+      WHERE sa.event_id = ${eventId} AND sa.student_id = ${studentId}
+      ORDER BY es.start_time ASC
+    `;
+  }
+}
+
+export default EventSession;
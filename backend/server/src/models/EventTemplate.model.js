@@ -0,0 +1,82 @@
+// EventTemplate Model - Named event snapshots event managers create new events from
+import { pool } from '../config/db.js';
+
+class EventTemplate {
+  /**
+   * Save a template
+   * @param {string} managerId - Owning event manager UUID
+   * @param {Object} data - { template_name, description, source_event_id, snapshot }
+   * @returns {Promise<Object>}
+   */
+  static async create(managerId, data) {
+    const { template_name, description = null, source_event_id = null, snapshot } = data;
+
+    const result = await pool`
+      INSERT INTO event_templates (manager_id, template_name, description, source_event_id, snapshot)
+      VALUES (${managerId}, ${template_name}, ${description}, ${source_event_id}, ${JSON.stringify(snapshot)}::jsonb)
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Find template by ID
+   * @param {string} templateId - Template UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(templateId) {
+    const result = await pool`
+      SELECT t.*, e.event_name AS source_event_name, e.event_code AS source_event_code
+      FROM event_templates t
+      LEFT JOIN events e ON e.id = t.source_event_id
+      WHERE t.id = ${templateId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Templates of an event manager (without the snapshot body)
+   * @param {string} managerId - Event manager UUID
+   * @returns {Promise<Array>}
+   */
+  static async findByManager(managerId) {
+    return pool`
+      SELECT
+        t.id,
+        t.template_name,
+        t.description,
+        t.source_event_id,
+        e.event_name AS source_event_name,
+        e.event_code AS source_event_code,
+        t.snapshot->'event'->>'event_type' AS event_type,
+        t.snapshot->'event'->>'event_category' AS event_category,
+        jsonb_array_length(COALESCE(t.snapshot->'stalls', '[]'::jsonb)) AS stall_count,
+        jsonb_array_length(COALESCE(t.snapshot->'volunteers', '[]'::jsonb)) AS volunteer_count,
+        jsonb_array_length(COALESCE(t.snapshot->'pricing_rules', '[]'::jsonb)) AS pricing_rule_count,
+        t.created_at,
+        t.updated_at
+      FROM event_templates t
+      LEFT JOIN events e ON e.id = t.source_event_id
+      WHERE t.manager_id = ${managerId}
+      ORDER BY t.created_at DESC
+    `;
+  }
+
+  /**
+   * Delete template (events created from it keep their data)
+   * @param {string} templateId - Template UUID
+   * @returns {Promise<boolean>}
+   */
+  static async delete(templateId) {
+    const result = await pool`
+      DELETE FROM event_templates WHERE id = ${templateId} RETURNING id
+    `;
+
+    return result.length > 0;
+  }
+}
+
+export default EventTemplate;
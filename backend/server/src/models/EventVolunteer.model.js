@@ -64,11 +64,19 @@ class EventVolunteer {
         ev.*,
         e.event_name,
         e.event_code,
+        e.event_type,
+        e.price,
+        e.currency,
+        e.start_date,
+        e.end_date,
+        e.allow_walk_ins,
         e.status as event_status,
-        em.full_name as assigned_by_name
+        em.full_name as assigned_by_name,
+        es.session_name
       FROM event_volunteers ev
       LEFT JOIN events e ON ev.event_id = e.id
       LEFT JOIN event_managers em ON ev.assigned_by_manager_id = em.id
+      LEFT JOIN event_sessions es ON ev.session_id = es.id
       WHERE ev.event_id = ${eventId} 
         AND ev.volunteer_id = ${volunteerId}
         AND ev.is_active = TRUE
@@ -94,10 +102,12 @@ class EventVolunteer {
         v.email as volunteer_email,
         v.phone as volunteer_phone,
         v.assigned_location as volunteer_default_location,
-        em.full_name as assigned_by_name
+        em.full_name as assigned_by_name,
+        es.session_name
       FROM event_volunteers ev
       LEFT JOIN volunteers v ON ev.volunteer_id = v.id
       LEFT JOIN event_managers em ON ev.assigned_by_manager_id = em.id
+      LEFT JOIN event_sessions es ON ev.session_id = es.id
       WHERE ev.event_id = ${eventId}
         AND ev.is_active = ${is_active}
       ORDER BY ev.assigned_at DESC
@@ -133,17 +143,27 @@ class EventVolunteer {
          e.event_code,
          e.event_type,
          e.event_category,
+         e.price,
+         e.currency,
          e.venue,
          e.start_date,
          e.end_date,
+         e.allow_walk_ins,
          e.status as event_status,
+         e.description as event_description,
+         e.updated_at as event_updated_at,
          e.current_registrations,
          e.max_capacity,
          em.full_name as manager_name,
-         em.email as manager_email
+         em.email as manager_email,
+         es.session_name,
+         es.venue as session_venue,
+         es.start_time as session_start_time,
+         es.end_time as session_end_time
        FROM event_volunteers ev
        LEFT JOIN events e ON ev.event_id = e.id
        LEFT JOIN event_managers em ON e.created_by_manager_id = em.id
+       LEFT JOIN event_sessions es ON ev.session_id = es.id
        WHERE ${whereClause}
        ORDER BY e.start_date ASC`,
       params
@@ -202,6 +222,28 @@ class EventVolunteer {
     return result[0];
   }
 
+  /**
+   * Assign volunteer to a session of the event (null = back to the event gate)
+   * @param {string} eventId - Event UUID
+   * @param {string} volunteerId - Volunteer UUID
+   * @param {string|null} sessionId - Session UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async updateSession(eventId, volunteerId, sessionId) {
+    const result = await pool`
+      UPDATE event_volunteers 
+      SET 
+        session_id = ${sessionId},
+        updated_at = NOW()
+      WHERE event_id = ${eventId} 
+        AND volunteer_id = ${volunteerId}
+        AND is_active = TRUE
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
   /**
    * Increment scan count for volunteer in event
    * @param {string} eventId - Event UUID
@@ -364,9 +406,11 @@ class EventVolunteer {
         e.event_type,
         e.price,
         e.currency,
-        e.status as event_status
+        e.status as event_status,
+        es.session_name
       FROM event_volunteers ev
       LEFT JOIN events e ON ev.event_id = e.id
+      LEFT JOIN event_sessions es ON ev.session_id = es.id
       WHERE ev.volunteer_id = ${volunteerId}
         AND ev.is_active = TRUE
         AND e.status IN ('APPROVED', 'ACTIVE')
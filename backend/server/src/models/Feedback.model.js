@@ -8,6 +8,12 @@ class FeedbackModel {
     this.comment = data.comment;
     this.submitted_at = data.submitted_at;
     this.event_id = data.event_id;
+    this.moderation_status = data.moderation_status;
+    this.comment_redacted = data.comment_redacted;
+    this.stall_reply = data.stall_reply;
+    this.stall_replied_at = data.stall_replied_at;
+    this.criteria_ratings = data.criteria_ratings;
+    this.answers = data.answers;
     // Join fields
     this.student_name = data.student_name;
     this.registration_no = data.registration_no;
@@ -19,9 +25,11 @@ class FeedbackModel {
   static async create(data, sql) {
     const query = `
       INSERT INTO feedbacks (
-        student_id, stall_id, rating, comment, event_id, submitted_at
+        student_id, stall_id, rating, comment, event_id, submitted_at,
+        moderation_status, moderation_reasons, original_comment, comment_redacted,
+        criteria_ratings, answers, original_answers
       )
-      VALUES ($1, $2, $3, $4, $5, NOW())
+      VALUES ($1, $2, $3, $4, $5, NOW(), $6, $7::text[], $8, $9, $10::jsonb, $11::jsonb, $12::jsonb)
       RETURNING *
     `;
     const results = await sql(query, [
@@ -29,7 +37,14 @@ class FeedbackModel {
       data.stall_id,
       data.rating,
       data.comment || null,
-      data.event_id || null
+      data.event_id || null,
+      data.moderation_status || 'APPROVED',
+      data.moderation_reasons || [],
+      data.original_comment || null,
+      data.comment_redacted || false,
+      data.criteria_ratings ? JSON.stringify(data.criteria_ratings) : null,
+      data.answers ? JSON.stringify(data.answers) : null,
+      data.original_answers ? JSON.stringify(data.original_answers) : null
     ]);
     return new FeedbackModel(results[0]);
   }
@@ -173,6 +188,118 @@ class FeedbackModel {
     const results = await sql(query, [eventId]);
     return results.map(row => new FeedbackModel(row));
   }
+
+  // Approved feedback of a stall as the public sees it (no student details)
+  static async findPublicByStall(stallId, sql) {
+    const query = `
+      SELECT f.id, f.rating, f.criteria_ratings, f.answers, f.comment, f.comment_redacted,
+        f.submitted_at, f.stall_reply, f.stall_replied_at
+      FROM feedbacks f
+      WHERE f.stall_id = $1 AND f.moderation_status = 'APPROVED'
+      ORDER BY f.submitted_at DESC
+    `;
+    return await sql(query, [stallId]);
+  }
+
+  // Find a feedback of an event
+  static async findByIdInEvent(eventId, feedbackId, sql) {
+    const query = `
+      SELECT f.*,
+        s.full_name as student_name,
+        s.registration_no,
+        st.stall_name,
+        st.stall_number
+      FROM feedbacks f
+      LEFT JOIN students s ON f.student_id = s.id
+      LEFT JOIN stalls st ON f.stall_id = st.id
+      WHERE f.event_id = $1 AND f.id = $2
+      LIMIT 1
+    `;
+    const results = await sql(query, [eventId, feedbackId]);
+    return results[0] || null;
+  }
+
+  // Moderation queue of an event (status: PENDING, APPROVED or REJECTED; stallId optional)
+  static async findForModeration(eventId, { status, stallId = null, limit = 50, offset = 0 }, sql) {
+    const query = `
+      SELECT f.id, f.rating, f.criteria_ratings, f.answers, f.original_answers,
+        f.comment, f.original_comment, f.comment_redacted,
+        f.moderation_status, f.moderation_reasons, f.moderated_by, f.moderated_by_role,
+        f.moderated_at, f.moderation_note, f.submitted_at,
+        f.stall_reply, f.stall_replied_at,
+        s.id as student_id,
+        s.full_name as student_name,
+        s.registration_no,
+        st.id as stall_id,
+        st.stall_name,
+        st.stall_number,
+        COUNT(*) OVER() as total_count
+      FROM feedbacks f
+      LEFT JOIN students s ON f.student_id = s.id
+      LEFT JOIN stalls st ON f.stall_id = st.id
+      WHERE f.event_id = $1
+        AND f.moderation_status = $2
+        AND ($3::uuid IS NULL OR f.stall_id = $3::uuid)
+      ORDER BY f.submitted_at ASC
+      LIMIT $4 OFFSET $5
+    `;
+    return await sql(query, [eventId, status, stallId, limit, offset]);
+  }
+
+  // Feedback counts of an event by moderation status
+  static async countByModerationStatus(eventId, sql) {
+    const query = `
+      SELECT moderation_status, COUNT(*) as count
+      FROM feedbacks
+      WHERE event_id = $1
+      GROUP BY moderation_status
+    `;
+    return await sql(query, [eventId]);
+  }
+
+  // Record a moderation decision
+  // changes: { moderation_status, comment?, original_comment?, comment_redacted? }
+  static async moderate(id, changes, moderator, sql) {
+    const query = `
+      UPDATE feedbacks
+      SET moderation_status = $2,
+          comment = CASE WHEN $3::boolean THEN $4 ELSE comment END,
+          original_comment = CASE WHEN $3::boolean THEN $5 ELSE original_comment END,
+          comment_redacted = CASE WHEN $3::boolean THEN true ELSE comment_redacted END,
+          moderated_by = $6,
+          moderated_by_role = $7,
+          moderated_at = NOW(),
+          moderation_note = $8
+      WHERE id = $1
+      RETURNING *
+    `;
+    const results = await sql(query, [
+      id,
+      changes.moderation_status,
+      !!changes.comment_redacted,
+      changes.comment ?? null,
+      changes.original_comment ?? null,
+      moderator.id,
+      moderator.role,
+      moderator.note ?? null
+    ]);
+    return results[0] || null;
+  }
+
+  // Set or clear (reply = null) the stall's public reply to a feedback
+  static async setStallReply(id, reply, user, sql) {
+    const query = `
+      UPDATE feedbacks
+      SET stall_reply = $2,
+          stall_reply_by = CASE WHEN $2::text IS NULL THEN NULL ELSE $3::uuid END,
+          stall_reply_by_role = CASE WHEN $2::text IS NULL THEN NULL ELSE $4 END,
+          stall_replied_at = CASE WHEN $2::text IS NULL THEN NULL ELSE NOW() END
+      WHERE id = $1
+      RETURNING id, stall_id, event_id, stall_reply, stall_reply_by, stall_reply_by_role, stall_replied_at
+    `;
+    const results = await sql(query, [id, reply, user.id, user.role]);
+    return results[0] || null;
+  }
 }
 
 export default FeedbackModel;
@@ -0,0 +1,204 @@
+// Notification Model - Email/SMS delivery log with retry tracking
+import { pool } from '../config/db.js';
+
+class Notification {
+  /**
+   * Create notification log entry (status PENDING)
+   * @param {Object} data - { trigger_type, channel, recipient_type, recipient_id, destination,
+   *                          subject, body, event_id, registration_id, provider, metadata }
+   * @returns {Promise<Object>}
+   */
+  static async create(data) {
+    const {
+      trigger_type,
+      channel,
+      recipient_type,
+      recipient_id = null,
+      destination,
+      subject = null,
+      body,
+      event_id = null,
+      registration_id = null,
+      provider,
+      max_attempts = 3,
+      metadata = {}
+    } = data;
+
+    const result = await pool(
+      `INSERT INTO notifications (
+         trigger_type, channel, recipient_type, recipient_id, destination,
+         subject, body, event_id, registration_id, provider, max_attempts, metadata
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [
+        trigger_type, channel, recipient_type, recipient_id, destination,
+        subject, body, event_id, registration_id, provider, max_attempts,
+        JSON.stringify(metadata)
+      ]
+    );
+
+    return result[0];
+  }
+
+  /**
+   * Mark notification as delivered
+   * @param {string} id - Notification UUID
+   * @param {string|null} providerMessageId - Message ID returned by provider
+   * @returns {Promise<Object>}
+   */
+  static async markSent(id, providerMessageId = null) {
+    const result = await pool`
+      UPDATE notifications
+      SET
+        status = 'SENT',
+        attempts = attempts + 1,
+        provider_message_id = ${providerMessageId},
+        last_error = NULL,
+        next_retry_at = NULL,
+        sent_at = NOW(),
+        updated_at = NOW()
+      WHERE id = ${id}
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Record a failed attempt
+   * Stays PENDING with exponential backoff until max_attempts is reached, then FAILED
+   * @param {string} id - Notification UUID
+   * @param {string} errorMessage - Provider error
+   * @returns {Promise<Object>}
+   */
+  static async markAttemptFailed(id, errorMessage) {
+    const result = await pool`
+      UPDATE notifications
+      SET
+        attempts = attempts + 1,
+        last_error = ${errorMessage},
+        status = CASE WHEN attempts + 1 >= max_attempts THEN 'FAILED' ELSE 'PENDING' END,
+        next_retry_at = CASE
+          WHEN attempts + 1 >= max_attempts THEN NULL
+          ELSE NOW() + (POWER(2, attempts + 1) || ' minutes')::interval
+        END,
+        updated_at = NOW()
+      WHERE id = ${id}
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Claim notifications due for retry
+   * Their next_retry_at moves on a few minutes, so the scheduler and the admin
+   * retry endpoint never pick up the same row at once
+   * @param {number} limit - Max rows
+   * @returns {Promise<Array>}
+   */
+  static async findDueForRetry(limit = 50) {
+    return pool`
+      UPDATE notifications
+      SET next_retry_at = NOW() + INTERVAL '5 minutes',
+          updated_at = NOW()
+      WHERE id IN (
+        SELECT id FROM notifications
+        WHERE status = 'PENDING'
+          AND attempts > 0
+          AND next_retry_at <= NOW()
+        ORDER BY next_retry_at ASC
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+  }
+
+  /**
+   * Reset a FAILED notification so it is retried
+   * @param {string} id - Notification UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async requeue(id) {
+    const result = await pool`
+      UPDATE notifications
+      SET
+        status = 'PENDING',
+        max_attempts = attempts + 1,
+        next_retry_at = NOW(),
+        updated_at = NOW()
+      WHERE id = ${id}
+        AND status = 'FAILED'
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Get delivery log (admin)
+   * @param {Object} filters - { status, trigger_type, channel, event_id, recipient_id, page, limit }
+   * @returns {Promise<Object>}
+   */
+  static async getAll(filters = {}) {
+    const { status, trigger_type, channel, event_id, recipient_id, page = 1, limit = 50 } = filters;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    if (trigger_type) {
+      params.push(trigger_type);
+      conditions.push(`trigger_type = $${params.length}`);
+    }
+
+    if (channel) {
+      params.push(channel);
+      conditions.push(`channel = $${params.length}`);
+    }
+
+    if (event_id) {
+      params.push(event_id);
+      conditions.push(`event_id = $${params.length}`);
+    }
+
+    if (recipient_id) {
+      params.push(recipient_id);
+      conditions.push(`recipient_id = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    params.push(limit, offset);
+
+    const result = await pool(
+      `SELECT *, COUNT(*) OVER() as total_count
+       FROM notifications
+       ${whereClause}
+       ORDER BY created_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    const total = parseInt(result[0]?.total_count || 0);
+
+    return {
+      data: result,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+export default Notification;
@@ -0,0 +1,69 @@
+// OfflineScanSync Model - Results of volunteer scans queued offline and replayed in batch
+import { pool } from '../config/db.js';
+
+export const OfflineScanResult = {
+  APPLIED: 'APPLIED',
+  DUPLICATE: 'DUPLICATE',
+  CONFLICT: 'CONFLICT',
+  REJECTED: 'REJECTED'
+};
+
+class OfflineScanSync {
+  /**
+   * Find the stored result of a previously synced scan
+   * @param {string} deviceId - Scanner device ID
+   * @param {string} clientScanId - Scan ID generated on the device
+   * @returns {Promise<Object|null>}
+   */
+  static async findByClientScan(deviceId, clientScanId) {
+    const result = await pool`
+      SELECT oss.*, s.full_name AS student_name, s.registration_no
+      FROM offline_scan_syncs oss
+      LEFT JOIN students s ON oss.student_id = s.id
+      WHERE oss.device_id = ${deviceId}
+        AND oss.client_scan_id = ${clientScanId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Store the result of a synced scan
+   * Returns null if the same (device_id, client_scan_id) was stored concurrently.
+   * @param {Object} data - { device_id, client_scan_id, client_scanned_at, volunteer_id, event_id,
+   *                          student_id, result, action, check_in_out_id, message }
+   * @returns {Promise<Object|null>}
+   */
+  static async record(data) {
+    const {
+      device_id,
+      client_scan_id,
+      client_scanned_at,
+      volunteer_id,
+      event_id = null,
+      student_id = null,
+      result,
+      action = null,
+      check_in_out_id = null,
+      message = null
+    } = data;
+
+    const rows = await pool`
+      INSERT INTO offline_scan_syncs (
+        device_id, client_scan_id, client_scanned_at, volunteer_id, event_id,
+        student_id, result, action, check_in_out_id, message
+      )
+      VALUES (
+        ${device_id}, ${client_scan_id}, ${client_scanned_at}::timestamptz, ${volunteer_id}, ${event_id},
+        ${student_id}, ${result}, ${action}, ${check_in_out_id}, ${message}
+      )
+      ON CONFLICT (device_id, client_scan_id) DO NOTHING
+      RETURNING *
+    `;
+
+    return rows[0] || null;
+  }
+}
+
+export default OfflineScanSync;
@@ -0,0 +1,123 @@
+// PasswordResetOtp Model - Hashed one-time codes for self-service password reset
+import { pool } from '../config/db.js';
+
+class PasswordResetOtp {
+  /**
+   * Store a new code, invalidating the account's earlier unused codes
+   * @param {Object} data - { user_role, user_id, otp_hash, channel, destination, expires_at, ip_address }
+   * @returns {Promise<Object>}
+   */
+  static async create(data) {
+    const { user_role, user_id, otp_hash, channel, destination, expires_at, ip_address = null } = data;
+
+    await pool`
+      UPDATE password_reset_otps
+      SET invalidated_at = NOW()
+      WHERE user_role = ${user_role} AND user_id = ${user_id}
+        AND verified_at IS NULL AND invalidated_at IS NULL
+    `;
+
+    const result = await pool`
+      INSERT INTO password_reset_otps (user_role, user_id, otp_hash, channel, destination, expires_at, ip_address)
+      VALUES (${user_role}, ${user_id}, ${otp_hash}, ${channel}, ${destination}, ${expires_at}, ${ip_address})
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Find OTP by ID
+   * @param {string} otpId - OTP UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(otpId) {
+    const result = await pool`
+      SELECT * FROM password_reset_otps WHERE id = ${otpId} LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Latest code of an account that can still be verified
+   * @param {string} userRole - STUDENT, VOLUNTEER or EVENT_MANAGER
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findActive(userRole, userId) {
+    const result = await pool`
+      SELECT * FROM password_reset_otps
+      WHERE user_role = ${userRole} AND user_id = ${userId}
+        AND verified_at IS NULL AND invalidated_at IS NULL
+        AND expires_at > NOW()
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Record a failed attempt; the code is invalidated once maxAttempts is reached
+   * @param {string} otpId - OTP UUID
+   * @param {number} maxAttempts
+   * @returns {Promise<Object>} Updated row
+   */
+  static async recordFailedAttempt(otpId, maxAttempts) {
+    const result = await pool`
+      UPDATE password_reset_otps
+      SET attempts = attempts + 1,
+          invalidated_at = CASE WHEN attempts + 1 >= ${maxAttempts} THEN NOW() ELSE invalidated_at END
+      WHERE id = ${otpId}
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Invalidate a code (e.g. it could not be delivered)
+   * @param {string} otpId - OTP UUID
+   * @returns {Promise<void>}
+   */
+  static async invalidate(otpId) {
+    await pool`
+      UPDATE password_reset_otps SET invalidated_at = NOW() WHERE id = ${otpId}
+    `;
+  }
+
+  /**
+   * Mark a code as verified (only once)
+   * @param {string} otpId - OTP UUID
+   * @returns {Promise<Object|null>} Updated row, or null if already used
+   */
+  static async markVerified(otpId) {
+    const result = await pool`
+      UPDATE password_reset_otps
+      SET verified_at = NOW()
+      WHERE id = ${otpId} AND verified_at IS NULL AND invalidated_at IS NULL
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Mark the reset token of a verified code as used (only once)
+   * @param {string} otpId - OTP UUID
+   * @returns {Promise<Object|null>} Updated row, or null if already used
+   */
+  static async markPasswordReset(otpId) {
+    const result = await pool`
+      UPDATE password_reset_otps
+      SET password_reset_at = NOW()
+      WHERE id = ${otpId} AND verified_at IS NOT NULL AND password_reset_at IS NULL
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+}
+
+export default PasswordResetOtp;
@@ -0,0 +1,85 @@
+// PaymentWebhookEvent Model - Razorpay webhook deliveries (idempotency log)
+import { pool } from '../config/db.js';
+
+// A RECEIVED delivery not finished within this time is treated as abandoned (crash, timeout)
+export const WEBHOOK_CLAIM_LEASE_MINUTES = 5;
+
+class PaymentWebhookEvent {
+  /**
+   * Record a webhook delivery and claim it for processing
+   * Returns null when the event was already received and is finished, or is still being
+   * processed by another attempt. A FAILED delivery, or a RECEIVED one whose claim is older
+   * than WEBHOOK_CLAIM_LEASE_MINUTES, is claimed again.
+   * @param {Object} data - { event_id, event_type, razorpay_order_id, razorpay_payment_id, payload }
+   * @returns {Promise<Object|null>}
+   */
+  static async recordDelivery(data) {
+    const {
+      event_id,
+      event_type,
+      razorpay_order_id = null,
+      razorpay_payment_id = null,
+      payload = {}
+    } = data;
+
+    const result = await pool(
+      `INSERT INTO payment_webhook_events (
+         event_id, event_type, razorpay_order_id, razorpay_payment_id, payload
+       )
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (event_id) DO UPDATE
+         SET status = 'RECEIVED',
+             attempts = payment_webhook_events.attempts + 1,
+             result_message = NULL,
+             claimed_at = NOW()
+         WHERE payment_webhook_events.status = 'FAILED'
+            OR (payment_webhook_events.status = 'RECEIVED'
+                AND payment_webhook_events.claimed_at < NOW() - make_interval(mins => $6))
+       RETURNING *`,
+      [event_id, event_type, razorpay_order_id, razorpay_payment_id, JSON.stringify(payload), WEBHOOK_CLAIM_LEASE_MINUTES]
+    );
+
+    return result[0] || null;
+  }
+
+  /**
+   * Mark a delivery as finished
+   * @param {string} id - Webhook event row UUID
+   * @param {string} status - PROCESSED, IGNORED or FAILED
+   * @param {Object} details - { registration_id, message }
+   * @returns {Promise<Object>}
+   */
+  static async markFinished(id, status, details = {}) {
+    const { registration_id = null, message = null } = details;
+
+    const result = await pool`
+      UPDATE payment_webhook_events
+      SET
+        status = ${status},
+        registration_id = COALESCE(${registration_id}, registration_id),
+        result_message = ${message},
+        processed_at = NOW()
+      WHERE id = ${id}
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Find delivery by Razorpay event ID
+   * @param {string} eventId - Razorpay event ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findByEventId(eventId) {
+    const result = await pool`
+      SELECT * FROM payment_webhook_events
+      WHERE event_id = ${eventId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+}
+
+export default PaymentWebhookEvent;
@@ -0,0 +1,225 @@
+// PricingRule Model - Discount rules for PAID events (early-bird, coupon, school, group)
+import { pool } from '../config/db.js';
+
+export const PRICING_RULE_TYPES = ['EARLY_BIRD', 'COUPON', 'SCHOOL', 'GROUP'];
+export const DISCOUNT_TYPES = ['PERCENT', 'FLAT'];
+
+class PricingRule {
+  /**
+   * Create pricing rule
+   * @param {string} eventId - Event UUID
+   * @param {Object} data - { rule_name, rule_type, discount_type, discount_value, coupon_code,
+   *                          school_id, min_group_size, valid_from, valid_until, max_uses, is_active }
+   * @param {string} managerId - Creating event manager UUID
+   * @returns {Promise<Object>}
+   */
+  static async create(eventId, data, managerId) {
+    const {
+      rule_name,
+      rule_type,
+      discount_type,
+      discount_value,
+      coupon_code = null,
+      school_id = null,
+      min_group_size = null,
+      valid_from = null,
+      valid_until = null,
+      max_uses = null,
+      is_active = true
+    } = data;
+
+    const result = await pool`
+      INSERT INTO event_pricing_rules (
+        event_id, rule_name, rule_type, discount_type, discount_value,
+        coupon_code, school_id, min_group_size, valid_from, valid_until,
+        max_uses, is_active, created_by_manager_id
+      )
+      VALUES (
+        ${eventId}, ${rule_name}, ${rule_type}, ${discount_type}, ${discount_value},
+        ${coupon_code}, ${school_id}, ${min_group_size}, ${valid_from}, ${valid_until},
+        ${max_uses}, ${is_active}, ${managerId}
+      )
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Find pricing rule by ID (with usage count)
+   * @param {string} ruleId - Rule UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(ruleId) {
+    const result = await pool`
+      SELECT
+        pr.*,
+        (
+          SELECT COUNT(*)::int FROM event_registrations er
+          WHERE er.pricing_rule_id = pr.id
+            AND er.registration_status = 'CONFIRMED'
+            AND er.payment_status IN ('PENDING', 'COMPLETED')
+        ) AS used_count
+      FROM event_pricing_rules pr
+      WHERE pr.id = ${ruleId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * All pricing rules of an event with usage counts
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Array>}
+   */
+  static async findByEvent(eventId) {
+    return pool`
+      SELECT
+        pr.*,
+        sc.school_name,
+        COALESCE(usage.used_count, 0)::int AS used_count,
+        COALESCE(usage.paid_count, 0)::int AS paid_count,
+        COALESCE(usage.total_discount, 0)::numeric AS total_discount
+      FROM event_pricing_rules pr
+      LEFT JOIN schools sc ON sc.id = pr.school_id
+      LEFT JOIN (
+        SELECT
+          pricing_rule_id,
+          COUNT(*) FILTER (WHERE payment_status IN ('PENDING', 'COMPLETED')) AS used_count,
+          COUNT(*) FILTER (WHERE payment_status = 'COMPLETED') AS paid_count,
+          SUM(discount_amount) FILTER (WHERE payment_status = 'COMPLETED') AS total_discount
+        FROM event_registrations
+        WHERE event_id = ${eventId}
+          AND pricing_rule_id IS NOT NULL
+          AND registration_status = 'CONFIRMED'
+        GROUP BY pricing_rule_id
+      ) usage ON usage.pricing_rule_id = pr.id
+      WHERE pr.event_id = ${eventId}
+      ORDER BY pr.created_at ASC
+    `;
+  }
+
+  /**
+   * Find a coupon rule by code (case-insensitive)
+   * @param {string} eventId - Event UUID
+   * @param {string} couponCode - Code entered by the student
+   * @returns {Promise<Object|null>}
+   */
+  static async findByCouponCode(eventId, couponCode) {
+    const result = await pool`
+      SELECT * FROM event_pricing_rules
+      WHERE event_id = ${eventId}
+        AND rule_type = 'COUPON'
+        AND coupon_code = UPPER(${couponCode})
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Active rules of an event that are inside their validity window and under their usage limit
+   * Uses held by the student's own unpaid registration are not counted (payment retries)
+   * @param {string} eventId - Event UUID
+   * @param {Object} options - { at, excludeRegistrationId }
+   * @returns {Promise<Array>} Rules with used_count
+   */
+  static async findAvailable(eventId, { at = new Date(), excludeRegistrationId = null } = {}) {
+    return pool`
+      SELECT pr.*, COALESCE(usage.used_count, 0)::int AS used_count
+      FROM event_pricing_rules pr
+      LEFT JOIN (
+        SELECT pricing_rule_id, COUNT(*) AS used_count
+        FROM event_registrations
+        WHERE event_id = ${eventId}
+          AND pricing_rule_id IS NOT NULL
+          AND registration_status = 'CONFIRMED'
+          AND payment_status IN ('PENDING', 'COMPLETED')
+          AND (${excludeRegistrationId}::uuid IS NULL OR id <> ${excludeRegistrationId})
+        GROUP BY pricing_rule_id
+      ) usage ON usage.pricing_rule_id = pr.id
+      WHERE pr.event_id = ${eventId}
+        AND pr.is_active = TRUE
+        AND (pr.valid_from IS NULL OR pr.valid_from <= ${at})
+        AND (pr.valid_until IS NULL OR pr.valid_until > ${at})
+        AND (pr.max_uses IS NULL OR COALESCE(usage.used_count, 0) < pr.max_uses)
+    `;
+  }
+
+  /**
+   * Number of active registrations from a school for an event (group rates)
+   * @param {string} eventId - Event UUID
+   * @param {string} schoolId - School UUID
+   * @param {string} excludeStudentId - Student being priced
+   * @returns {Promise<number>}
+   */
+  static async countSchoolRegistrations(eventId, schoolId, excludeStudentId) {
+    const result = await pool`
+      SELECT COUNT(*)::int AS count
+      FROM event_registrations er
+      JOIN students s ON s.id = er.student_id
+      WHERE er.event_id = ${eventId}
+        AND s.school_id = ${schoolId}
+        AND er.student_id <> ${excludeStudentId}
+        AND er.registration_status = 'CONFIRMED'
+        AND er.payment_status IN ('PENDING', 'COMPLETED')
+    `;
+
+    return result[0]?.count || 0;
+  }
+
+  /**
+   * Update pricing rule (only provided fields)
+   * @param {string} ruleId - Rule UUID
+   * @param {Object} updates - Any of the create fields except rule_type
+   * @returns {Promise<Object|null>}
+   */
+  static async update(ruleId, updates) {
+    const allowedFields = [
+      'rule_name', 'discount_type', 'discount_value', 'coupon_code', 'school_id',
+      'min_group_size', 'valid_from', 'valid_until', 'max_uses', 'is_active'
+    ];
+
+    const fields = [];
+    const values = [];
+
+    for (const field of allowedFields) {
+      if (updates[field] !== undefined) {
+        values.push(updates[field]);
+        fields.push(`${field} = $${values.length}`);
+      }
+    }
+
+    if (fields.length === 0) {
+      return this.findById(ruleId);
+    }
+
+    values.push(ruleId);
+
+    const result = await pool(
+      `UPDATE event_pricing_rules
+       SET ${fields.join(', ')}, updated_at = NOW()
+       WHERE id = $${values.length}
+       RETURNING *`,
+      values
+    );
+
+    return result[0] || null;
+  }
+
+  /**
+   * Delete pricing rule (registrations keep their stored price breakdown)
+   * @param {string} ruleId - Rule UUID
+   * @returns {Promise<boolean>}
+   */
+  static async delete(ruleId) {
+    const result = await pool`
+      DELETE FROM event_pricing_rules WHERE id = ${ruleId} RETURNING id
+    `;
+
+    return result.length > 0;
+  }
+}
+
+export default PricingRule;
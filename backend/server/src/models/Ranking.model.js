@@ -1,4 +1,6 @@
 // Ranking Model - Student rankings for stalls (Category 2 - One-time top 3)
+import { notExcludedFeedback, notExcludedRanking } from './AnomalyFlag.model.js';
+
 class RankingModel {
   constructor(data) {
     this.id = data.id;
@@ -254,6 +256,134 @@ class RankingModel {
     const results = await query(queryText);
     return results[0];
   }
+
+  // Leaderboard inputs: vote, feedback and visitor counts of the event's active stalls with any activity
+  // (only APPROVED feedback counts, without EXCLUDED anomaly flags; cached votes are recounted when a flag is reviewed)
+  static async getStallLeaderboardMetrics(eventId, query) {
+    const queryText = `
+      SELECT
+        st.id as stall_id,
+        st.stall_name,
+        st.stall_number,
+        sc.school_name,
+        st.location,
+        COALESCE(st.rank_1_votes, 0) as rank_1_votes,
+        COALESCE(st.rank_2_votes, 0) as rank_2_votes,
+        COALESCE(st.rank_3_votes, 0) as rank_3_votes,
+        COUNT(DISTINCT f.id) as total_feedbacks,
+        COALESCE(AVG(f.rating), 0) as avg_rating,
+        COUNT(DISTINCT f.student_id) as unique_visitors,
+        COUNT(DISTINCT f.id) FILTER (WHERE f.comment IS NOT NULL AND LENGTH(f.comment) > 0) as feedback_with_comments
+      FROM stalls st
+      LEFT JOIN schools sc ON st.school_id = sc.id
+      LEFT JOIN feedbacks f ON st.id = f.stall_id AND f.event_id = $1
+        AND f.moderation_status = 'APPROVED' AND ${notExcludedFeedback('f', '$1')}
+      WHERE st.is_active = true AND st.event_id = $1
+      GROUP BY st.id, st.stall_name, st.stall_number, sc.school_name, st.location,
+               st.rank_1_votes, st.rank_2_votes, st.rank_3_votes
+      HAVING COUNT(f.id) > 0 OR COALESCE(st.rank_1_votes, 0) + COALESCE(st.rank_2_votes, 0) + COALESCE(st.rank_3_votes, 0) > 0
+    `;
+    return await query(queryText, [eventId]);
+  }
+
+  // Leaderboard inputs: attendance, feedback and ranking participation of students active at the event
+  // (comments longer than minCommentLength count as quality feedback; only APPROVED feedback counts,
+  // and feedback and rankings of EXCLUDED anomaly flags do not)
+  static async getStudentLeaderboardMetrics(eventId, minCommentLength, query) {
+    const queryText = `
+      WITH visit_stats AS (
+        SELECT
+          student_id,
+          COALESCE(SUM(duration_minutes), 0) as total_duration_minutes,
+          COUNT(*) as total_visits,
+          COUNT(DISTINCT DATE(scanned_at)) as unique_days_attended
+        FROM check_in_outs
+        WHERE event_id = $1
+        GROUP BY student_id
+      ),
+      feedback_stats AS (
+        SELECT
+          student_id,
+          COUNT(*) as total_feedbacks,
+          COUNT(*) FILTER (WHERE comment IS NOT NULL AND LENGTH(comment) > $2) as quality_feedbacks,
+          COALESCE(AVG(LENGTH(comment)), 0) as avg_comment_length
+        FROM feedbacks f
+        WHERE event_id = $1 AND moderation_status = 'APPROVED' AND ${notExcludedFeedback('f', '$1')}
+        GROUP BY student_id
+      ),
+      excluded_ballots AS (
+        SELECT DISTINCT r.student_id
+        FROM rankings r
+        JOIN anomaly_flags af ON af.event_id = $1 AND af.status = 'EXCLUDED' AND r.id = ANY(af.ranking_ids)
+        WHERE r.event_id = $1
+      )
+      SELECT
+        s.id as student_id,
+        s.registration_no,
+        s.full_name,
+        sc.school_name,
+        COALESCE(vs.total_duration_minutes, 0) as total_duration_minutes,
+        COALESCE(vs.total_visits, 0) as total_visits,
+        COALESCE(vs.unique_days_attended, 0) as unique_days_attended,
+        COALESCE(fs.total_feedbacks, 0) as total_feedbacks,
+        COALESCE(fs.quality_feedbacks, 0) as quality_feedbacks,
+        COALESCE(fs.avg_comment_length, 0) as avg_comment_length,
+        (COALESCE(ser.has_completed_ranking, false) AND eb.student_id IS NULL) as completed_ranking,
+        EXTRACT(EPOCH FROM (NOW() - s.created_at)) / 3600 as account_age_hours
+      FROM students s
+      LEFT JOIN schools sc ON s.school_id = sc.id
+      LEFT JOIN visit_stats vs ON vs.student_id = s.id
+      LEFT JOIN feedback_stats fs ON fs.student_id = s.id
+      LEFT JOIN student_event_rankings ser ON ser.student_id = s.id AND ser.event_id = $1
+      LEFT JOIN excluded_ballots eb ON eb.student_id = s.id
+      WHERE COALESCE(fs.total_feedbacks, 0) > 0
+         OR COALESCE(vs.total_duration_minutes, 0) > 0
+         OR (ser.has_completed_ranking = true AND eb.student_id IS NULL)
+    `;
+    return await query(queryText, [eventId, minCommentLength]);
+  }
+
+  // Leaderboard inputs: votes each school's students gave to their own school's stalls
+  // (rankings of EXCLUDED anomaly flags do not count)
+  static async getSchoolLeaderboardMetrics(eventId, query) {
+    const queryText = `
+      SELECT
+        sc.id as school_id,
+        sc.school_name,
+        COUNT(DISTINCT r.student_id) as total_students_ranked,
+        COUNT(r.id) FILTER (WHERE st.school_id = sc.id AND r.rank = 1) as rank_1_count,
+        COUNT(r.id) FILTER (WHERE st.school_id = sc.id AND r.rank = 2) as rank_2_count,
+        COUNT(r.id) FILTER (WHERE st.school_id = sc.id AND r.rank = 3) as rank_3_count,
+        COUNT(DISTINCT st.id) FILTER (WHERE st.school_id = sc.id) as ranked_stalls_count
+      FROM schools sc
+      LEFT JOIN students s ON s.school_id = sc.id
+      LEFT JOIN student_event_rankings ser ON ser.student_id = s.id AND ser.event_id = $1 AND ser.has_completed_ranking = true
+      LEFT JOIN rankings r ON r.student_id = s.id AND r.event_id = $1 AND ${notExcludedRanking('r', '$1')}
+      LEFT JOIN stalls st ON r.stall_id = st.id
+      WHERE ser.has_completed_ranking = true
+      GROUP BY sc.id, sc.school_name
+      HAVING COUNT(r.id) FILTER (WHERE st.school_id = sc.id) > 0
+    `;
+    return await query(queryText, [eventId]);
+  }
+
+  // Participation totals shown next to the school leaderboard
+  static async getSchoolLeaderboardStats(eventId, query) {
+    const queryText = `
+      SELECT
+        COUNT(DISTINCT ser.student_id) as total_students_participated,
+        COUNT(DISTINCT sc.id) as total_schools_participated,
+        COUNT(DISTINCT st.id) as total_stalls_ranked
+      FROM student_event_rankings ser
+      JOIN students s ON ser.student_id = s.id
+      JOIN rankings r ON r.student_id = s.id AND r.event_id = $1 AND ${notExcludedRanking('r', '$1')}
+      JOIN stalls st ON r.stall_id = st.id
+      JOIN schools sc ON s.school_id = sc.id
+      WHERE ser.event_id = $1 AND ser.has_completed_ranking = true
+    `;
+    const results = await query(queryText, [eventId]);
+    return results[0];
+  }
 }
 
 export default RankingModel;
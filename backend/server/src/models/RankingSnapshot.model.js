@@ -0,0 +1,104 @@
+// RankingSnapshot Model - Leaderboards frozen when an event's rankings are published
+import { pool } from '../config/db.js';
+
+// Listing columns: everything except the leaderboards themselves
+const SUMMARY_COLUMNS = `
+  rs.id,
+  rs.event_id,
+  rs.version,
+  rs.published_by_admin_id,
+  a.full_name AS published_by_name,
+  rs.published_at,
+  jsonb_array_length(rs.stalls->'leaderboard') AS stalls_count,
+  jsonb_array_length(rs.students->'leaderboard') AS students_count,
+  jsonb_array_length(rs.schools->'top_schools') AS schools_count
+`;
+
+class RankingSnapshot {
+  /**
+   * Store the next version of an event's leaderboards
+   * @param {Object} data - { event_id, stalls, students, schools, ranking_config, published_by_admin_id }
+   * @returns {Promise<Object>} New snapshot
+   */
+  static async create(data) {
+    const { event_id, stalls, students, schools, ranking_config, published_by_admin_id } = data;
+
+    // Publishes of one event are serialized on the event row; each query of the transaction
+    // takes a fresh snapshot, so the next version counts snapshots committed while waiting
+    const [, result] = await pool.transaction([
+      pool`SELECT id FROM events WHERE id = ${event_id} FOR UPDATE`,
+      pool`
+        INSERT INTO ranking_snapshots (
+          event_id, version, stalls, students, schools, ranking_config, published_by_admin_id
+        )
+        SELECT
+          ${event_id},
+          COALESCE(MAX(version), 0) + 1,
+          ${JSON.stringify(stalls)}::jsonb,
+          ${JSON.stringify(students)}::jsonb,
+          ${JSON.stringify(schools)}::jsonb,
+          ${JSON.stringify(ranking_config)}::jsonb,
+          ${published_by_admin_id}
+        FROM ranking_snapshots
+        WHERE event_id = ${event_id}
+        RETURNING *
+      `
+    ]);
+
+    return result[0];
+  }
+
+  /**
+   * Latest snapshot of an event (the one public leaderboards serve)
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findLatest(eventId) {
+    const result = await pool`
+      SELECT rs.*, a.full_name AS published_by_name
+      FROM ranking_snapshots rs
+      LEFT JOIN admins a ON rs.published_by_admin_id = a.id
+      WHERE rs.event_id = ${eventId}
+      ORDER BY rs.version DESC
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * One version of an event's snapshots
+   * @param {string} eventId - Event UUID
+   * @param {number} version - Snapshot version
+   * @returns {Promise<Object|null>}
+   */
+  static async findByVersion(eventId, version) {
+    const result = await pool`
+      SELECT rs.*, a.full_name AS published_by_name
+      FROM ranking_snapshots rs
+      LEFT JOIN admins a ON rs.published_by_admin_id = a.id
+      WHERE rs.event_id = ${eventId} AND rs.version = ${version}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Snapshots of an event without their leaderboards, newest first
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Array>}
+   */
+  static async listByEvent(eventId) {
+    return await pool(
+      `SELECT ${SUMMARY_COLUMNS}
+       FROM ranking_snapshots rs
+       LEFT JOIN admins a ON rs.published_by_admin_id = a.id
+       WHERE rs.event_id = $1
+       ORDER BY rs.version DESC`,
+      [eventId]
+    );
+  }
+}
+
+export default RankingSnapshot;
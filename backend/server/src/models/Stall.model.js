@@ -1,5 +1,6 @@
 // Stall Model - Event stalls with static QR codes
 import QRCodeService from '../services/qrCode.js';
+import { notExcludedFeedback, notExcludedRanking } from './AnomalyFlag.model.js';
 
 class StallModel {
   constructor(data) {
@@ -271,6 +272,75 @@ class StallModel {
     return results.length > 0 ? new StallModel(results[0]) : null;
   }
 
+  // Recalculate cached weighted scores from the vote counts with an event's vote weights
+  // filter: { event_id } for every stall of an event, or { stall_ids } for some stalls
+  static async refreshWeightedScores(filter, voteWeights, sql) {
+    const { event_id = null, stall_ids = null } = filter;
+    if (!event_id && !stall_ids?.length) return 0;
+
+    const query = `
+      UPDATE stalls
+      SET weighted_score = COALESCE(rank_1_votes, 0) * $3::numeric +
+                           COALESCE(rank_2_votes, 0) * $4::numeric +
+                           COALESCE(rank_3_votes, 0) * $5::numeric,
+          updated_at = NOW()
+      WHERE ($1::uuid IS NULL OR event_id = $1::uuid)
+        AND ($2::uuid[] IS NULL OR id = ANY($2::uuid[]))
+      RETURNING id
+    `;
+    const results = await sql(query, [
+      event_id,
+      stall_ids,
+      voteWeights.rank_1,
+      voteWeights.rank_2,
+      voteWeights.rank_3
+    ]);
+    return results.length;
+  }
+
+  // Recount votes, feedback count and weighted score of some stalls from the event's rankings
+  // and APPROVED feedbacks, leaving out items of EXCLUDED anomaly flags
+  static async recountRankingStats(eventId, stallIds, voteWeights, sql) {
+    if (!stallIds?.length) return 0;
+
+    const query = `
+      UPDATE stalls st
+      SET rank_1_votes = v.rank_1_votes,
+          rank_2_votes = v.rank_2_votes,
+          rank_3_votes = v.rank_3_votes,
+          total_feedback_count = v.total_feedback_count,
+          weighted_score = v.rank_1_votes * $3::numeric +
+                           v.rank_2_votes * $4::numeric +
+                           v.rank_3_votes * $5::numeric,
+          updated_at = NOW()
+      FROM (
+        SELECT
+          s.id,
+          (SELECT COUNT(*) FROM rankings r
+           WHERE r.stall_id = s.id AND r.event_id = $1 AND r.rank = 1 AND ${notExcludedRanking('r', '$1')}) as rank_1_votes,
+          (SELECT COUNT(*) FROM rankings r
+           WHERE r.stall_id = s.id AND r.event_id = $1 AND r.rank = 2 AND ${notExcludedRanking('r', '$1')}) as rank_2_votes,
+          (SELECT COUNT(*) FROM rankings r
+           WHERE r.stall_id = s.id AND r.event_id = $1 AND r.rank = 3 AND ${notExcludedRanking('r', '$1')}) as rank_3_votes,
+          (SELECT COUNT(*) FROM feedbacks f
+           WHERE f.stall_id = s.id AND f.event_id = $1 AND f.moderation_status = 'APPROVED'
+             AND ${notExcludedFeedback('f', '$1')}) as total_feedback_count
+        FROM stalls s
+        WHERE s.id = ANY($2::uuid[]) AND s.event_id = $1
+      ) v
+      WHERE st.id = v.id
+      RETURNING st.id
+    `;
+    const results = await sql(query, [
+      eventId,
+      stallIds,
+      voteWeights.rank_1,
+      voteWeights.rank_2,
+      voteWeights.rank_3
+    ]);
+    return results.length;
+  }
+
   // Leaderboard: Top stalls by feedback count (Category 1)
   static async getTopByFeedback(limit = 200, sql) {
     const query = `
@@ -0,0 +1,265 @@
+// StallQueueToken Model - Virtual queue tokens handed out at stalls
+import { pool } from '../config/db.js';
+
+// Open tokens are still in the queue; the rest are closed
+export const OPEN_TOKEN_STATUSES = ['WAITING', 'CALLED'];
+
+/**
+ * Pace of a stall: average minutes between the recent calls made there
+ * Expects the stall id as s.id and the sample window/size as $1/$2
+ */
+const CALL_PACE_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT EXTRACT(EPOCH FROM (MAX(recent.called_at) - MIN(recent.called_at))) / 60
+             / NULLIF(COUNT(*) - 1, 0) AS avg_call_interval_minutes
+    FROM (
+      SELECT called_at FROM stall_queue_tokens
+      WHERE stall_id = s.id AND called_at > NOW() - ($1 || ' minutes')::interval
+      ORDER BY called_at DESC
+      LIMIT $2
+    ) recent
+  ) pace ON TRUE
+`;
+
+class StallQueueToken {
+  /**
+   * Hand out the next token number of a stall
+   * @param {Object} data - { stall_id, event_id, student_id }
+   * @returns {Promise<Object>} New WAITING token
+   */
+  static async create(data) {
+    const { stall_id, event_id, student_id } = data;
+
+    const result = await pool`
+      WITH next_token AS (
+        UPDATE stalls
+        SET queue_last_token = COALESCE(queue_last_token, 0) + 1
+        WHERE id = ${stall_id}
+        RETURNING queue_last_token
+      )
+      INSERT INTO stall_queue_tokens (stall_id, event_id, student_id, token_number)
+      SELECT ${stall_id}, ${event_id}, ${student_id}, queue_last_token FROM next_token
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Find token by ID
+   * @param {string} tokenId - Token UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(tokenId) {
+    const result = await pool`
+      SELECT * FROM stall_queue_tokens WHERE id = ${tokenId} LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Open token of a student at a stall
+   * @param {string} stallId - Stall UUID
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findOpen(stallId, studentId) {
+    const result = await pool`
+      SELECT * FROM stall_queue_tokens
+      WHERE stall_id = ${stallId} AND student_id = ${studentId}
+        AND status = ANY(${OPEN_TOKEN_STATUSES})
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Count a student's open tokens across stalls
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<number>}
+   */
+  static async countOpenByStudent(studentId) {
+    const result = await pool`
+      SELECT COUNT(*) AS count FROM stall_queue_tokens
+      WHERE student_id = ${studentId} AND status = ANY(${OPEN_TOKEN_STATUSES})
+    `;
+
+    return parseInt(result[0]?.count || 0);
+  }
+
+  /**
+   * A student's tokens with stall details, queue position (WAITING only) and stall pace
+   * @param {string} studentId - Student UUID
+   * @param {Object} options - { event_id, include_closed, pace_window_minutes, pace_sample_size }
+   * @returns {Promise<Array>} Open tokens first, newest first
+   */
+  static async findByStudent(studentId, options = {}) {
+    const {
+      event_id = null,
+      include_closed = false,
+      pace_window_minutes = 120,
+      pace_sample_size = 10
+    } = options;
+
+    return await pool(
+      `SELECT
+         t.*,
+         s.stall_number,
+         s.stall_name,
+         s.location AS stall_location,
+         e.event_name,
+         CASE WHEN t.status = 'WAITING' THEN (
+           SELECT COUNT(*) FROM stall_queue_tokens w
+           WHERE w.stall_id = t.stall_id AND w.status = 'WAITING' AND w.token_number < t.token_number
+         ) + 1 END::INTEGER AS position,
+         pace.avg_call_interval_minutes
+       FROM stall_queue_tokens t
+       JOIN stalls s ON t.stall_id = s.id
+       LEFT JOIN events e ON t.event_id = e.id
+       ${CALL_PACE_JOIN}
+       WHERE t.student_id = $3
+         AND ($4::uuid IS NULL OR t.event_id = $4::uuid)
+         AND ($5::boolean OR t.status = ANY($6))
+       ORDER BY (t.status = ANY($6)) DESC, t.joined_at DESC
+       LIMIT 50`,
+      [pace_window_minutes, pace_sample_size, studentId, event_id, include_closed, OPEN_TOKEN_STATUSES]
+    );
+  }
+
+  /**
+   * Open tokens of a stall in call order (CALLED first, then WAITING) with student details
+   * @param {string} stallId - Stall UUID
+   * @returns {Promise<Array>}
+   */
+  static async getOpenByStall(stallId) {
+    return await pool`
+      SELECT
+        t.*,
+        st.full_name AS student_name,
+        st.registration_no
+      FROM stall_queue_tokens t
+      JOIN students st ON t.student_id = st.id
+      WHERE t.stall_id = ${stallId} AND t.status = ANY(${OPEN_TOKEN_STATUSES})
+      ORDER BY (t.status = 'CALLED') DESC, t.token_number ASC
+    `;
+  }
+
+  /**
+   * Queue counters and pace per stall
+   * @param {Object} filter - { event_id } for every active stall of an event, or { stall_id } for one stall
+   * @param {Object} options - { pace_window_minutes, pace_sample_size }
+   * @returns {Promise<Array>} Busiest stalls first
+   */
+  static async getStallSummaries(filter, options = {}) {
+    const { event_id = null, stall_id = null } = filter;
+    const { pace_window_minutes = 120, pace_sample_size = 10 } = options;
+
+    return await pool(
+      `SELECT
+         s.id AS stall_id,
+         s.stall_number,
+         s.stall_name,
+         s.location,
+         COALESCE(s.queue_last_token, 0) AS last_token_issued,
+         COUNT(t.id) FILTER (WHERE t.status = 'WAITING')::INTEGER AS waiting_count,
+         COUNT(t.id) FILTER (WHERE t.status = 'CALLED')::INTEGER AS called_count,
+         COUNT(t.id) FILTER (WHERE t.status = 'SERVED')::INTEGER AS served_count,
+         COUNT(t.id) FILTER (WHERE t.status = 'EXPIRED')::INTEGER AS expired_count,
+         COUNT(t.id) FILTER (WHERE t.status = 'LEFT')::INTEGER AS left_count,
+         MAX(t.token_number) FILTER (WHERE t.called_at IS NOT NULL) AS last_token_called,
+         MIN(t.joined_at) FILTER (WHERE t.status = 'WAITING') AS oldest_waiting_since,
+         pace.avg_call_interval_minutes
+       FROM stalls s
+       LEFT JOIN stall_queue_tokens t ON t.stall_id = s.id
+       ${CALL_PACE_JOIN}
+       WHERE ($3::uuid IS NULL OR (s.event_id = $3::uuid AND s.is_active = TRUE))
+         AND ($4::uuid IS NULL OR s.id = $4::uuid)
+       GROUP BY s.id, pace.avg_call_interval_minutes
+       ORDER BY waiting_count DESC, s.stall_number ASC`,
+      [pace_window_minutes, pace_sample_size, event_id, stall_id]
+    );
+  }
+
+  /**
+   * Call the lowest WAITING token of a stall
+   * @param {string} stallId - Stall UUID
+   * @param {string} volunteerId - Volunteer calling it
+   * @param {number} claimMinutes - Minutes the student has to reach the stall
+   * @returns {Promise<Object|null>} Called token, or null if nobody is waiting
+   */
+  static async callNext(stallId, volunteerId, claimMinutes) {
+    const result = await pool`
+      UPDATE stall_queue_tokens
+      SET status = 'CALLED',
+          called_at = NOW(),
+          called_by_volunteer_id = ${volunteerId},
+          claim_expires_at = NOW() + (${claimMinutes} || ' minutes')::interval
+      WHERE id = (
+        SELECT id FROM stall_queue_tokens
+        WHERE stall_id = ${stallId} AND status = 'WAITING'
+        ORDER BY token_number ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Close an open token
+   * @param {string} tokenId - Token UUID
+   * @param {string} status - SERVED, EXPIRED or LEFT
+   * @param {Array<string>} fromStatuses - Statuses the token may be closed from
+   * @returns {Promise<Object|null>} Closed token, or null if it was not in fromStatuses
+   */
+  static async close(tokenId, status, fromStatuses = OPEN_TOKEN_STATUSES) {
+    const result = await pool`
+      UPDATE stall_queue_tokens
+      SET status = ${status},
+          served_at = CASE WHEN ${status} = 'SERVED' THEN NOW() ELSE served_at END,
+          closed_at = NOW()
+      WHERE id = ${tokenId} AND status = ANY(${fromStatuses})
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Expire called tokens not claimed before their deadline
+   * @param {string|null} stallId - Limit to one stall (null = all stalls)
+   * @returns {Promise<Array>} Expired tokens
+   */
+  static async expireUnclaimed(stallId = null) {
+    return await pool`
+      UPDATE stall_queue_tokens
+      SET status = 'EXPIRED', closed_at = NOW()
+      WHERE status = 'CALLED'
+        AND claim_expires_at < NOW()
+        AND (${stallId}::uuid IS NULL OR stall_id = ${stallId}::uuid)
+      RETURNING *
+    `;
+  }
+
+  /**
+   * Expire open tokens of events that are no longer running
+   * @returns {Promise<Array>} Expired tokens
+   */
+  static async expireForEndedEvents() {
+    return await pool`
+      UPDATE stall_queue_tokens t
+      SET status = 'EXPIRED', closed_at = NOW()
+      FROM events e
+      WHERE t.event_id = e.id
+        AND t.status = ANY(${OPEN_TOKEN_STATUSES})
+        AND e.status NOT IN ('APPROVED', 'ACTIVE')
+      RETURNING t.*
+    `;
+  }
+}
+
+export default StallQueueToken;
@@ -299,23 +299,29 @@ class StudentModel {
     return results.length > 0 ? new StudentModel(results[0]) : null;
   }
 
-  // Process check-in/check-out (odd/even logic)
-  static async processCheckInOut(id, sql) {
+  // Record a gate scan. Presence is tracked per event on event_registrations;
+  // the student-level flag and timestamps only mirror the most recent scan.
+  static async recordGateScan(id, isEntry, sql, scannedAt = null) {
+    const query = `
+      UPDATE students
+      SET total_scan_count = total_scan_count + 1,
+          is_inside_event = $2,
+          last_checkin_at = CASE WHEN $2 THEN COALESCE($3::timestamptz, NOW()) ELSE last_checkin_at END,
+          last_checkout_at = CASE WHEN $2 THEN last_checkout_at ELSE COALESCE($3::timestamptz, NOW()) END,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const results = await sql(query, [id, isEntry, scannedAt]);
+    return results.length > 0 ? new StudentModel(results[0]) : null;
+  }
+
+  // Count a scan that does not move the student through the event gate (session scans).
+  // Keeps total_scan_count in step with check_in_outs.scan_number.
+  static async incrementScanCount(id, sql) {
     const query = `
       UPDATE students
       SET total_scan_count = total_scan_count + 1,
-          is_inside_event = CASE 
-            WHEN (total_scan_count + 1) % 2 = 1 THEN true
-            ELSE false
-          END,
-          last_checkin_at = CASE 
-            WHEN (total_scan_count + 1) % 2 = 1 THEN NOW()
-            ELSE last_checkin_at
-          END,
-          last_checkout_at = CASE 
-            WHEN (total_scan_count + 1) % 2 = 0 THEN NOW()
-            ELSE last_checkout_at
-          END,
           updated_at = NOW()
       WHERE id = $1
       RETURNING *
@@ -0,0 +1,439 @@
+// Team Model - Teams for competition events (captain + invited members)
+import { pool } from '../config/db.js';
+
+class Team {
+  /**
+   * Create team with the creating student as captain
+   * @param {string} eventId - Event UUID
+   * @param {string} captainStudentId - Student UUID
+   * @param {string} teamName
+   * @returns {Promise<Object>}
+   */
+  static async create(eventId, captainStudentId, teamName) {
+    // One statement, so a team never exists without its captain
+    const result = await pool`
+      WITH team AS (
+        INSERT INTO teams (event_id, team_name, captain_student_id)
+        VALUES (${eventId}, ${teamName}, ${captainStudentId})
+        RETURNING *
+      ),
+      captain AS (
+        INSERT INTO team_members (team_id, event_id, student_id, role, status, responded_at)
+        SELECT team.id, team.event_id, team.captain_student_id, 'CAPTAIN', 'ACCEPTED', NOW()
+        FROM team
+      )
+      SELECT * FROM team
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Find team by ID with event team settings and member counts
+   * @param {string} teamId - Team UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(teamId) {
+    const result = await pool`
+      SELECT
+        t.*,
+        e.event_name,
+        e.event_code,
+        e.event_type,
+        e.status AS event_status,
+        e.team_min_size,
+        e.team_max_size,
+        s.full_name AS captain_name,
+        s.registration_no AS captain_registration_no,
+        COUNT(tm.id) FILTER (WHERE tm.status = 'ACCEPTED')::int AS accepted_count,
+        COUNT(tm.id) FILTER (WHERE tm.status = 'INVITED')::int AS invited_count
+      FROM teams t
+      JOIN events e ON e.id = t.event_id
+      JOIN students s ON s.id = t.captain_student_id
+      LEFT JOIN team_members tm ON tm.team_id = t.id
+      WHERE t.id = ${teamId}
+      GROUP BY t.id, e.id, s.id
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Find the team a student belongs to (accepted member) for an event
+   * @param {string} eventId - Event UUID
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findByEventAndStudent(eventId, studentId) {
+    const result = await pool`
+      SELECT t.id
+      FROM team_members tm
+      JOIN teams t ON t.id = tm.team_id
+      WHERE tm.event_id = ${eventId}
+        AND tm.student_id = ${studentId}
+        AND tm.status = 'ACCEPTED'
+        AND t.status <> 'CANCELLED'
+      LIMIT 1
+    `;
+
+    return result[0] ? this.findById(result[0].id) : null;
+  }
+
+  /**
+   * Members of a team (including pending invites) with presence at the event
+   * @param {string} teamId - Team UUID
+   * @returns {Promise<Array>}
+   */
+  static async getMembers(teamId) {
+    return pool`
+      SELECT
+        tm.id,
+        tm.student_id,
+        tm.role,
+        tm.status,
+        tm.invited_at,
+        tm.responded_at,
+        s.full_name,
+        s.registration_no,
+        s.email,
+        sc.school_name,
+        er.id AS registration_id,
+        er.registration_status,
+        COALESCE(er.is_inside_event, FALSE) AS is_inside_event,
+        COALESCE(er.has_checked_in, FALSE) AS has_checked_in
+      FROM team_members tm
+      JOIN students s ON s.id = tm.student_id
+      LEFT JOIN schools sc ON sc.id = s.school_id
+      LEFT JOIN event_registrations er ON er.team_id = tm.team_id AND er.student_id = tm.student_id
+      WHERE tm.team_id = ${teamId}
+        AND tm.status IN ('ACCEPTED', 'INVITED')
+      ORDER BY (tm.role = 'CAPTAIN') DESC, tm.status ASC, s.full_name ASC
+    `;
+  }
+
+  /**
+   * Find a membership row
+   * @param {string} memberId - team_members UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findMember(memberId) {
+    const result = await pool`
+      SELECT * FROM team_members WHERE id = ${memberId} LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Find a student's membership row in a team
+   * @param {string} teamId - Team UUID
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findMembership(teamId, studentId) {
+    const result = await pool`
+      SELECT * FROM team_members
+      WHERE team_id = ${teamId} AND student_id = ${studentId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Invite a student (re-invites someone who previously declined, left or was removed)
+   * @param {Object} team - Team row
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Object|null>} Membership row, or null if already invited/accepted
+   */
+  static async invite(team, studentId) {
+    const result = await pool`
+      INSERT INTO team_members (team_id, event_id, student_id, role, status)
+      VALUES (${team.id}, ${team.event_id}, ${studentId}, 'MEMBER', 'INVITED')
+      ON CONFLICT (team_id, student_id) DO UPDATE SET
+        status = 'INVITED',
+        invited_at = NOW(),
+        responded_at = NULL,
+        updated_at = NOW()
+      WHERE team_members.status NOT IN ('INVITED', 'ACCEPTED')
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Accept an invite; other pending invites of the student for the same event are declined
+   * Guarded against the team filling up between invite and acceptance
+   * @param {Object} member - team_members row (status INVITED)
+   * @param {number} maxSize - Event team_max_size
+   * @returns {Promise<Object|null>} Updated membership, or null if the team is full
+   */
+  static async acceptInvite(member, maxSize) {
+    // Each query of the transaction takes a fresh snapshot, so once the team lock is
+    // held the count includes acceptances committed while waiting for it
+    const [, accepted] = await pool.transaction([
+      pool`SELECT id FROM teams WHERE id = ${member.team_id} FOR UPDATE`,
+      pool`
+        UPDATE team_members
+        SET status = 'ACCEPTED', responded_at = NOW(), updated_at = NOW()
+        WHERE id = ${member.id}
+          AND status = 'INVITED'
+          AND (
+            SELECT COUNT(*) FROM team_members
+            WHERE team_id = ${member.team_id} AND status = 'ACCEPTED'
+          ) < ${maxSize}
+        RETURNING *
+      `,
+      pool`
+        UPDATE team_members
+        SET status = 'DECLINED', responded_at = NOW(), updated_at = NOW()
+        WHERE event_id = ${member.event_id}
+          AND student_id = ${member.student_id}
+          AND status = 'INVITED'
+          AND id <> ${member.id}
+          AND EXISTS (SELECT 1 FROM team_members WHERE id = ${member.id} AND status = 'ACCEPTED')
+      `
+    ]);
+
+    return accepted[0] || null;
+  }
+
+  /**
+   * Change a membership status (decline, leave, remove)
+   * @param {string} memberId - team_members UUID
+   * @param {string} status - DECLINED | LEFT | REMOVED
+   * @param {Array<string>} fromStatuses - Statuses the change applies to
+   * @returns {Promise<Object|null>}
+   */
+  static async updateMemberStatus(memberId, status, fromStatuses) {
+    const result = await pool`
+      UPDATE team_members
+      SET status = ${status}, responded_at = NOW(), updated_at = NOW()
+      WHERE id = ${memberId}
+        AND status = ANY(${fromStatuses})
+        AND role = 'MEMBER'
+      RETURNING *
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Pending invites for a student
+   * @param {string} studentId - Student UUID
+   * @returns {Promise<Array>}
+   */
+  static async getStudentInvites(studentId) {
+    return pool`
+      SELECT
+        tm.id,
+        tm.team_id,
+        tm.invited_at,
+        t.team_name,
+        t.event_id,
+        e.event_name,
+        e.event_code,
+        e.start_date,
+        e.team_max_size,
+        s.full_name AS captain_name,
+        s.registration_no AS captain_registration_no
+      FROM team_members tm
+      JOIN teams t ON t.id = tm.team_id
+      JOIN events e ON e.id = t.event_id
+      JOIN students s ON s.id = t.captain_student_id
+      WHERE tm.student_id = ${studentId}
+        AND tm.status = 'INVITED'
+        AND t.status = 'FORMING'
+      ORDER BY tm.invited_at DESC
+    `;
+  }
+
+  /**
+   * Teams of an event with member counts (event manager view)
+   * @param {string} eventId - Event UUID
+   * @param {Object} filters - { status }
+   * @returns {Promise<Array>}
+   */
+  static async getEventTeams(eventId, { status = null } = {}) {
+    return pool`
+      SELECT
+        t.*,
+        s.full_name AS captain_name,
+        s.registration_no AS captain_registration_no,
+        er.payment_status AS captain_payment_status,
+        COUNT(tm.id) FILTER (WHERE tm.status = 'ACCEPTED')::int AS accepted_count,
+        COUNT(tm.id) FILTER (WHERE tm.status = 'INVITED')::int AS invited_count
+      FROM teams t
+      JOIN students s ON s.id = t.captain_student_id
+      LEFT JOIN event_registrations er ON er.id = t.captain_registration_id
+      LEFT JOIN team_members tm ON tm.team_id = t.id
+      WHERE t.event_id = ${eventId}
+        AND (${status}::text IS NULL OR t.status = ${status})
+      GROUP BY t.id, s.id, er.id
+      ORDER BY t.created_at ASC
+    `;
+  }
+
+  /**
+   * Link the captain's (pending payment) registration to the team
+   * @param {string} teamId - Team UUID
+   * @param {string} registrationId - Registration UUID
+   * @returns {Promise<Object>}
+   */
+  static async setCaptainRegistration(teamId, registrationId) {
+    const result = await pool`
+      UPDATE teams
+      SET captain_registration_id = ${registrationId}, updated_at = NOW()
+      WHERE id = ${teamId}
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Register a team: creates registrations for all accepted members that share the
+   * captain's registration (and its capacity slot), expires pending invites and
+   * marks the team REGISTERED
+   * @param {Object} team - Team row
+   * @param {Object} captainRegistration - Captain's confirmed registration
+   * @returns {Promise<Array|null>} Member registrations created, or null if already registered
+   */
+  static async registerMembers(team, captainRegistration) {
+    // One statement: only the call that moves the team out of FORMING registers members
+    const rows = await pool`
+      WITH registered AS (
+        UPDATE teams
+        SET status = 'REGISTERED', captain_registration_id = ${captainRegistration.id},
+            registered_at = NOW(), updated_at = NOW()
+        WHERE id = ${team.id} AND status = 'FORMING'
+        RETURNING id
+      ),
+      members AS (
+        INSERT INTO event_registrations (
+          event_id, student_id, registration_type, payment_status, team_id, team_role
+        )
+        SELECT ${team.event_id}, tm.student_id, ${captainRegistration.registration_type}, 'NOT_REQUIRED', tm.team_id, 'MEMBER'
+        FROM team_members tm
+        JOIN registered ON registered.id = tm.team_id
+        WHERE tm.status = 'ACCEPTED' AND tm.role = 'MEMBER'
+        -- A member may hold a cancelled registration from an earlier attempt
+        ON CONFLICT (event_id, student_id) DO UPDATE SET
+          registration_status = 'CONFIRMED',
+          registration_type = EXCLUDED.registration_type,
+          payment_status = 'NOT_REQUIRED',
+          team_id = EXCLUDED.team_id,
+          team_role = 'MEMBER',
+          cancelled_at = NULL,
+          registered_at = NOW(),
+          updated_at = NOW()
+        WHERE event_registrations.registration_status = 'CANCELLED'
+        RETURNING *
+      ),
+      expired AS (
+        UPDATE team_members tm
+        SET status = 'EXPIRED', updated_at = NOW()
+        FROM registered
+        WHERE tm.team_id = registered.id AND tm.status = 'INVITED'
+      )
+      SELECT registered.id AS registered_team_id, members.*
+      FROM registered
+      LEFT JOIN members ON TRUE
+    `;
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return rows
+      .filter(row => row.id)
+      .map(({ registered_team_id, ...registration }) => registration);
+  }
+
+  /**
+   * Disband a team that has not registered yet
+   * @param {string} teamId - Team UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async cancel(teamId) {
+    const result = await pool`
+      WITH cancelled AS (
+        UPDATE teams
+        SET status = 'CANCELLED', cancelled_at = NOW(), updated_at = NOW()
+        WHERE id = ${teamId} AND status = 'FORMING'
+        RETURNING *
+      ),
+      released AS (
+        UPDATE team_members tm
+        SET status = CASE WHEN tm.status = 'INVITED' THEN 'EXPIRED' ELSE 'LEFT' END, updated_at = NOW()
+        FROM cancelled
+        WHERE tm.team_id = cancelled.id AND tm.status IN ('INVITED', 'ACCEPTED')
+      )
+      SELECT * FROM cancelled
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Cancel a registered team after the captain cancelled their registration
+   * @param {string} teamId - Team UUID
+   * @returns {Promise<Array>} Member registrations cancelled
+   */
+  static async cancelRegistration(teamId) {
+    return pool`
+      WITH cancelled AS (
+        UPDATE teams
+        SET status = 'CANCELLED', cancelled_at = NOW(), updated_at = NOW()
+        WHERE id = ${teamId} AND status <> 'CANCELLED'
+      )
+      UPDATE event_registrations
+      SET registration_status = 'CANCELLED', cancelled_at = NOW(), updated_at = NOW()
+      WHERE team_id = ${teamId} AND team_role = 'MEMBER' AND registration_status <> 'CANCELLED'
+      RETURNING *
+    `;
+  }
+
+  /**
+   * Team presence summary shown to volunteers when scanning a member
+   * @param {string} teamId - Team UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async getScanStatus(teamId) {
+    const team = await this.findById(teamId);
+    if (!team) {
+      return null;
+    }
+
+    const members = await pool`
+      SELECT
+        er.student_id,
+        er.team_role,
+        er.registration_status,
+        COALESCE(er.is_inside_event, FALSE) AS is_inside_event,
+        COALESCE(er.has_checked_in, FALSE) AS has_checked_in,
+        s.full_name,
+        s.registration_no
+      FROM event_registrations er
+      JOIN students s ON s.id = er.student_id
+      WHERE er.team_id = ${teamId}
+        AND er.registration_status = 'CONFIRMED'
+      ORDER BY (er.team_role = 'CAPTAIN') DESC, s.full_name ASC
+    `;
+
+    return {
+      team_id: team.id,
+      team_name: team.team_name,
+      status: team.status,
+      captain_name: team.captain_name,
+      members_total: members.length,
+      members_inside: members.filter(member => member.is_inside_event).length,
+      members_checked_in: members.filter(member => member.has_checked_in).length,
+      members
+    };
+  }
+}
+
+export default Team;
@@ -0,0 +1,75 @@
+// VolunteerScannerLock Model - Event/gate a volunteer's scanner (login session) is locked to
+import { pool } from '../config/db.js';
+
+class VolunteerScannerLock {
+  /**
+   * Lock of a login session, with the event it points to
+   * @param {string} authSessionId - Auth session UUID
+   * @returns {Promise<Object|null>}
+   */
+  static async findBySession(authSessionId) {
+    const result = await pool`
+      SELECT vsl.*, e.event_name, e.event_code
+      FROM volunteer_scanner_locks vsl
+      LEFT JOIN events e ON vsl.event_id = e.id
+      WHERE vsl.auth_session_id = ${authSessionId}
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  }
+
+  /**
+   * Lock a login session to an event/gate (replaces an existing lock)
+   * @param {Object} data - { auth_session_id, volunteer_id, event_id, location }
+   * @returns {Promise<Object>}
+   */
+  static async upsert(data) {
+    const { auth_session_id, volunteer_id, event_id, location = null } = data;
+
+    const result = await pool`
+      INSERT INTO volunteer_scanner_locks (auth_session_id, volunteer_id, event_id, location)
+      VALUES (${auth_session_id}, ${volunteer_id}, ${event_id}, ${location})
+      ON CONFLICT (auth_session_id)
+      DO UPDATE SET
+        event_id = EXCLUDED.event_id,
+        location = EXCLUDED.location,
+        locked_at = NOW()
+      RETURNING *
+    `;
+
+    return result[0];
+  }
+
+  /**
+   * Remove the lock of a login session
+   * @param {string} authSessionId - Auth session UUID
+   * @returns {Promise<boolean>} False if the session was not locked
+   */
+  static async delete(authSessionId) {
+    const result = await pool`
+      DELETE FROM volunteer_scanner_locks WHERE auth_session_id = ${authSessionId}
+      RETURNING auth_session_id
+    `;
+
+    return result.length > 0;
+  }
+
+  /**
+   * Remove a volunteer's locks on an event (assignment removed)
+   * @param {string} eventId - Event UUID
+   * @param {string} volunteerId - Volunteer UUID
+   * @returns {Promise<number>} Number of locks removed
+   */
+  static async deleteForAssignment(eventId, volunteerId) {
+    const result = await pool`
+      DELETE FROM volunteer_scanner_locks
+      WHERE event_id = ${eventId} AND volunteer_id = ${volunteerId}
+      RETURNING auth_session_id
+    `;
+
+    return result.length;
+  }
+}
+
+export default VolunteerScannerLock;
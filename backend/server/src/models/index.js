@@ -12,6 +12,22 @@ import EventModel from './Event.model.js';
 import EventRegistrationModel from './EventRegistration.model.js';
 import EventVolunteerModel from './EventVolunteer.model.js';
 import StudentEventRankingModel from './StudentEventRanking.model.js';
+import PaymentWebhookEventModel from './PaymentWebhookEvent.model.js';
+import NotificationModel from './Notification.model.js';
+import OfflineScanSyncModel from './OfflineScanSync.model.js';
+import AuditLogModel from './AuditLog.model.js';
+import CertificateModel from './Certificate.model.js';
+import EventSessionModel from './EventSession.model.js';
+import PricingRuleModel from './PricingRule.model.js';
+import TeamModel from './Team.model.js';
+import EventTemplateModel from './EventTemplate.model.js';
+import CalendarFeedModel from './CalendarFeed.model.js';
+import PasswordResetOtpModel from './PasswordResetOtp.model.js';
+import AuthSessionModel from './AuthSession.model.js';
+import VolunteerScannerLockModel from './VolunteerScannerLock.model.js';
+import StallQueueTokenModel from './StallQueueToken.model.js';
+import RankingSnapshotModel from './RankingSnapshot.model.js';
+import AnomalyFlagModel from './AnomalyFlag.model.js';
 
 // Named exports (preferred for production - tree-shaking support)
 export {
@@ -27,5 +43,21 @@ export {
   EventModel,
   EventRegistrationModel,
   EventVolunteerModel,
-  StudentEventRankingModel
+  StudentEventRankingModel,
+  PaymentWebhookEventModel,
+  NotificationModel,
+  OfflineScanSyncModel,
+  AuditLogModel,
+  CertificateModel,
+  EventSessionModel,
+  PricingRuleModel,
+  TeamModel,
+  EventTemplateModel,
+  CalendarFeedModel,
+  PasswordResetOtpModel,
+  AuthSessionModel,
+  VolunteerScannerLockModel,
+  StallQueueTokenModel,
+  RankingSnapshotModel,
+  AnomalyFlagModel
 };
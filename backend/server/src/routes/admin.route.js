@@ -380,6 +380,59 @@ router.patch('/events/:id/unpublish-rankings', adminController.unpublishRankings
  */
 router.patch('/events/:id/reset-rankings-visibility', adminController.resetRankingsVisibility);
 
+/**
+ * @route   GET /api/admin/events/:id/ranking-snapshots
+ * @desc    Ranking snapshots taken at each publication (version, publisher, time, counts)
+ * @access  Private (ADMIN)
+ */
+router.get('/events/:id/ranking-snapshots', adminController.getRankingSnapshots);
+
+/**
+ * @route   GET /api/admin/events/:id/ranking-snapshots/compare
+ * @desc    Position changes between two snapshots (?from=&to=, to may be "live")
+ * @access  Private (ADMIN)
+ */
+router.get('/events/:id/ranking-snapshots/compare', adminController.compareRankingSnapshots);
+
+/**
+ * @route   GET /api/admin/events/:id/ranking-snapshots/:version
+ * @desc    One snapshot with its full leaderboards and ranking config
+ * @access  Private (ADMIN)
+ */
+router.get('/events/:id/ranking-snapshots/:version', adminController.getRankingSnapshot);
+
+// ============================================================
+// ANOMALY DETECTION (Feedback & ranking review queue)
+// ============================================================
+
+/**
+ * @route   POST /api/admin/events/:id/anomalies/detect
+ * @desc    Flag feedback bursts, copy-pasted comments, rushed rankings and vote rings
+ * @access  Private (ADMIN)
+ */
+router.post('/events/:id/anomalies/detect', adminController.detectEventAnomalies);
+
+/**
+ * @route   GET /api/admin/events/:id/anomalies
+ * @desc    Review queue of flagged activity (?status=&type=&page=&limit=)
+ * @access  Private (ADMIN)
+ */
+router.get('/events/:id/anomalies', adminController.getEventAnomalies);
+
+/**
+ * @route   GET /api/admin/events/:id/anomalies/:flagId
+ * @desc    One flag with its feedbacks and rankings
+ * @access  Private (ADMIN)
+ */
+router.get('/events/:id/anomalies/:flagId', adminController.getEventAnomaly);
+
+/**
+ * @route   PATCH /api/admin/events/:id/anomalies/:flagId
+ * @desc    Exclude the flagged activity from rankings, or dismiss the flag
+ * @access  Private (ADMIN)
+ */
+router.patch('/events/:id/anomalies/:flagId', adminController.reviewEventAnomaly);
+
 // ============================================================
 // SEARCH AND PLATFORM REFUNDS
 // ============================================================
@@ -405,4 +458,58 @@ router.get('/events/search', adminController.searchEvents);
  */
 router.get('/refunds', adminController.getPlatformRefunds);
 
+// ============================================================
+// NOTIFICATIONS
+// ============================================================
+
+/**
+ * @route   GET /api/admin/notifications?status=FAILED&trigger_type=&channel=&event_id=&page=1&limit=50
+ * @desc    Email/SMS delivery log
+ * @access  Private (ADMIN)
+ */
+router.get('/notifications', adminController.getNotifications);
+
+/**
+ * @route   POST /api/admin/notifications/retry
+ * @desc    Retry due notifications (optionally requeue one FAILED notification by notification_id)
+ * @access  Private (ADMIN)
+ */
+router.post('/notifications/retry', adminController.retryNotifications);
+
+// ============================================================
+// AUDIT LOGS
+// ============================================================
+
+/**
+ * @route   GET /api/admin/audit-logs?user_id=&user_role=&resource_type=&resource_id=&event_type=&from_date=&to_date=&page=1&limit=50
+ * @desc    Audit trail (event_type accepts a comma-separated list)
+ * @access  Private (ADMIN)
+ */
+router.get('/audit-logs', adminController.getAuditLogs);
+
+/**
+ * @route   GET /api/admin/audit-logs/export
+ * @desc    Export filtered audit trail as CSV
+ * @access  Private (ADMIN)
+ */
+router.get('/audit-logs/export', adminController.exportAuditLogs);
+
+// ============================================================
+// USER SESSIONS
+// ============================================================
+
+/**
+ * @route   GET /api/admin/sessions/:userRole/:userId
+ * @desc    Active sessions of a STUDENT, VOLUNTEER or EVENT_MANAGER
+ * @access  Private (ADMIN)
+ */
+router.get('/sessions/:userRole/:userId', adminController.getUserSessions);
+
+/**
+ * @route   DELETE /api/admin/sessions/:userRole/:userId
+ * @desc    Log out every session of a STUDENT, VOLUNTEER or EVENT_MANAGER
+ * @access  Private (ADMIN)
+ */
+router.delete('/sessions/:userRole/:userId', adminController.revokeUserSessions);
+
 export default router;
@@ -0,0 +1,45 @@
+import express from 'express';
+const router = express.Router();
+import authController from '../controllers/auth.controller.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+import { SESSION_ROLES } from '../services/authSession.service.js';
+
+/**
+ * Auth Routes
+ * Login sessions for all roles (logins stay on each role's router)
+ */
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    New access token + rotated refresh token (refresh_token cookie or body)
+ * @access  Public (refresh-token-protected)
+ */
+router.post('/refresh', apiLimiter, authController.refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Log out the session of the refresh token and clear auth cookies
+ * @access  Public (refresh-token-protected)
+ */
+router.post('/logout', apiLimiter, authController.logout);
+
+// 🔒 Protected routes (require authentication)
+router.use(authenticateToken);
+router.use(authorizeRoles(...SESSION_ROLES));
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Own active sessions with device, IP and last seen (current one flagged)
+ * @access  Private (ADMIN, STUDENT, VOLUNTEER, EVENT_MANAGER)
+ */
+router.get('/sessions', authController.getMySessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Log out one of own sessions
+ * @access  Private (ADMIN, STUDENT, VOLUNTEER, EVENT_MANAGER)
+ */
+router.delete('/sessions/:sessionId', authController.revokeMySession);
+
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+const router = express.Router();
+import calendarController from '../controllers/calendar.controller.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+import { FEED_ROLES } from '../services/calendar.service.js';
+
+/**
+ * Calendar Routes
+ * iCalendar (.ics) subscription feeds for students, volunteers and event managers
+ */
+
+/**
+ * @route   GET /api/calendar/feeds/:token.ics
+ * @desc    Calendar feed for subscription in calendar apps (token from GET /feed)
+ * @access  Public (token-protected)
+ */
+router.get('/feeds/:token.ics', apiLimiter, calendarController.getFeed);
+
+// 🔒 Protected routes (require authentication)
+router.use(authenticateToken);
+router.use(authorizeRoles(...FEED_ROLES));
+
+/**
+ * @route   GET /api/calendar/feed
+ * @desc    Own feed URL (feed_url, webcal_url); created on first call
+ * @access  Private (STUDENT, VOLUNTEER, EVENT_MANAGER)
+ */
+router.get('/feed', calendarController.getMyFeed);
+
+/**
+ * @route   POST /api/calendar/feed/regenerate
+ * @desc    Replace own feed URL; the previous URL stops working
+ * @access  Private (STUDENT, VOLUNTEER, EVENT_MANAGER)
+ */
+router.post('/feed/regenerate', calendarController.regenerateMyFeed);
+
+export default router;
@@ -0,0 +1,87 @@
+import express from 'express';
+const router = express.Router();
+import certificateController from '../controllers/certificate.controller.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+
+/**
+ * Certificate Routes
+ * Attendance certificates (PDF) with public verification
+ */
+
+/**
+ * @route   GET /api/certificates/verify/:code
+ * @desc    Verify a certificate by the code printed on it (also encoded in its QR)
+ * @access  Public
+ */
+router.get('/verify/:code', apiLimiter, certificateController.verifyCertificate);
+
+// 🔒 Protected routes (require authentication)
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/certificates/my
+ * @desc    Certificates issued to the logged-in student
+ * @access  Private (STUDENT)
+ */
+router.get('/my', authorizeRoles('STUDENT'), certificateController.getMyCertificates);
+
+/**
+ * @route   GET /api/certificates/events/:eventId/download
+ * @desc    Download own certificate PDF (issued on first download if attendance qualifies)
+ * @access  Private (STUDENT)
+ */
+router.get('/events/:eventId/download', authorizeRoles('STUDENT'), certificateController.downloadMyCertificate);
+
+/**
+ * @route   GET /api/certificates/events/:eventId/template
+ * @desc    Get certificate template (defaults if not configured) and available placeholders
+ * @access  Private (EVENT_MANAGER owner, ADMIN)
+ */
+router.get('/events/:eventId/template', authorizeRoles('EVENT_MANAGER', 'ADMIN'), certificateController.getTemplate);
+
+/**
+ * @route   PUT /api/certificates/events/:eventId/template
+ * @desc    Create/update template: title, body_text, organization_name, signatory_name,
+ *          signatory_title, accent_color, min_attendance_minutes, is_enabled
+ * @access  Private (EVENT_MANAGER owner, ADMIN)
+ */
+router.put('/events/:eventId/template', authorizeRoles('EVENT_MANAGER', 'ADMIN'), certificateController.updateTemplate);
+
+/**
+ * @route   GET /api/certificates/events/:eventId
+ * @desc    Attendance, eligibility and certificate status of checked-in students
+ * @access  Private (EVENT_MANAGER owner, ADMIN)
+ */
+router.get('/events/:eventId', authorizeRoles('EVENT_MANAGER', 'ADMIN'), certificateController.getEventCertificates);
+
+/**
+ * @route   POST /api/certificates/events/:eventId/issue
+ * @desc    Issue certificates to all eligible students and notify them
+ * @access  Private (EVENT_MANAGER owner, ADMIN)
+ */
+router.post('/events/:eventId/issue', authorizeRoles('EVENT_MANAGER', 'ADMIN'), certificateController.issueEventCertificates);
+
+/**
+ * @route   GET /api/certificates/events/:eventId/students/:studentId/download
+ * @desc    Download a student's certificate PDF
+ * @access  Private (EVENT_MANAGER owner, ADMIN)
+ */
+router.get(
+  '/events/:eventId/students/:studentId/download',
+  authorizeRoles('EVENT_MANAGER', 'ADMIN'),
+  certificateController.downloadStudentCertificate
+);
+
+/**
+ * @route   POST /api/certificates/events/:eventId/students/:studentId/revoke
+ * @desc    Revoke a student's certificate (body: { reason })
+ * @access  Private (EVENT_MANAGER owner, ADMIN)
+ */
+router.post(
+  '/events/:eventId/students/:studentId/revoke',
+  authorizeRoles('EVENT_MANAGER', 'ADMIN'),
+  certificateController.revokeCertificate
+);
+
+export default router;
@@ -4,7 +4,8 @@ import EventManagerController from '../controllers/eventManager.controller.js';
 import StallController from '../controllers/stall.controller.js';
 import VolunteerController from '../controllers/volunteer.controller.js';
 import RankingController from '../controllers/ranking.controller.js';
-import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { createPasswordResetController } from '../controllers/passwordReset.controller.js';
+import { authenticateToken, authenticateLimitedToken, authorizeRoles } from '../middleware/auth.js';
 import { authLimiter, apiLimiter, eventCreationLimiter } from '../middleware/rateLimiter.js';
 import { sanitizeBody, sanitizeQuery } from '../middleware/sanitizer.js';
 import upload, { handleUploadErrors } from '../middleware/uploadExcel.js';
@@ -35,14 +36,37 @@ router.post('/login', authLimiter, EventManagerController.login);
  * @desc    Verify identity using phone + school_id (for password reset)
  * @access  Public (with limited token)
  */
-router.post('/verify-identity', authLimiter, authenticateToken, EventManagerController.verifyIdentity);
+router.post('/verify-identity', authLimiter, authenticateLimitedToken, authorizeRoles('EVENT_MANAGER'), EventManagerController.verifyIdentity);
 
 /**
  * @route   POST /api/event-manager/reset-password
  * @desc    Reset password after identity verification
  * @access  Public (with verified token)
  */
-router.post('/reset-password', authLimiter, authenticateToken, EventManagerController.resetPassword);
+router.post('/reset-password', authLimiter, authenticateLimitedToken, authorizeRoles('EVENT_MANAGER'), EventManagerController.resetPassword);
+
+const passwordReset = createPasswordResetController('EVENT_MANAGER');
+
+/**
+ * @route   POST /api/event-manager/forgot-password
+ * @desc    Send a password reset code to the registered email/phone (body: { email })
+ * @access  Public
+ */
+router.post('/forgot-password', authLimiter, passwordReset.requestOtp);
+
+/**
+ * @route   POST /api/event-manager/forgot-password/verify
+ * @desc    Exchange the reset code for a single-use reset token (body: { email, otp })
+ * @access  Public
+ */
+router.post('/forgot-password/verify', authLimiter, passwordReset.verifyOtp);
+
+/**
+ * @route   POST /api/event-manager/forgot-password/reset
+ * @desc    Set a new password (body: { reset_token, new_password, confirm_password })
+ * @access  Public (with reset token)
+ */
+router.post('/forgot-password/reset', authLimiter, passwordReset.resetPassword);
 
 // ============================================================
 // PROTECTED ROUTES (Require authentication + EVENT_MANAGER role)
@@ -122,23 +146,98 @@ router.put('/events/:eventId', EventManagerController.updateEvent);
  */
 router.delete('/events/:eventId', EventManagerController.deleteEvent);
 
+// ============================================================
+// EVENT DUPLICATION & TEMPLATES
+// ============================================================
+
+/**
+ * @route   POST /api/event-manager/events/:eventId/clone
+ * @desc    Clone an event into a new DRAFT event with stalls (new QR tokens), volunteer
+ *          assignments, refund tiers, pricing rules and registration form
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @body    { event_code, start_date, end_date, event_name?, registration_start_date?, registration_end_date?, stall_number_prefix }
+ * @note    Omitted registration dates and pricing rule windows keep their offset from the start date
+ */
+router.post('/events/:eventId/clone', EventManagerController.cloneEvent);
+
+/**
+ * @route   POST /api/event-manager/events/:eventId/save-template
+ * @desc    Save the event's setup as a named template
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @body    { template_name, description }
+ */
+router.post('/events/:eventId/save-template', EventManagerController.saveEventTemplate);
+
+/**
+ * @route   GET /api/event-manager/templates
+ * @desc    List my event templates with stall/volunteer/pricing rule counts
+ * @access  Private (EVENT_MANAGER)
+ */
+router.get('/templates', EventManagerController.getEventTemplates);
+
+/**
+ * @route   GET /api/event-manager/templates/:templateId
+ * @desc    Get a template with its full snapshot
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.get('/templates/:templateId', EventManagerController.getEventTemplate);
+
+/**
+ * @route   POST /api/event-manager/templates/:templateId/events
+ * @desc    Create a new DRAFT event from a template
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @body    Same as clone
+ */
+router.post('/templates/:templateId/events', EventManagerController.createEventFromTemplate);
+
+/**
+ * @route   DELETE /api/event-manager/templates/:templateId
+ * @desc    Delete a template (events created from it are unaffected)
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.delete('/templates/:templateId', EventManagerController.deleteEventTemplate);
+
 // ============================================================
 // REGISTRATION MANAGEMENT ROUTES
 // ============================================================
 
+/**
+ * @route   GET /api/event-manager/events/:eventId/registration-form
+ * @desc    Get registration form schema (custom questions students answer when registering)
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.get('/events/:eventId/registration-form', EventManagerController.getRegistrationForm);
+
+/**
+ * @route   PUT /api/event-manager/events/:eventId/registration-form
+ * @desc    Replace registration form schema
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @body    { fields: [{ key, label, type: text|select|checkbox|file|number, required, options, min_length, max_length, pattern, format, min, max, integer, allowed_file_types, max_file_size_mb }] }
+ */
+router.put('/events/:eventId/registration-form', EventManagerController.updateRegistrationForm);
+
+/**
+ * @route   GET /api/event-manager/events/:eventId/teams
+ * @desc    Get teams of a team event with captain payment status and members
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @query   status (FORMING | REGISTERED | CANCELLED)
+ */
+router.get('/events/:eventId/teams', EventManagerController.getEventTeams);
+
 /**
  * @route   GET /api/event-manager/events/:eventId/registrations
- * @desc    Get event registrations
+ * @desc    Get event registrations (with registration form answers)
  * @access  Private (EVENT_MANAGER - owner only)
+ * @returns { data: [], pagination, form_fields }
  */
 router.get('/events/:eventId/registrations', EventManagerController.getEventRegistrations);
 
 /**
  * @route   GET /api/event-manager/events/:eventId/registrations/search
- * @desc    Search registrations by name, email, phone, or registration number
+ * @desc    Search registrations by name, email, phone, registration number or form answers
  * @access  Private (EVENT_MANAGER - owner only)
  * @query   q (required) - Search term, page, limit
- * @returns { data: [], pagination, search_query }
+ * @returns { data: [], pagination, form_fields, search_query }
  * @example /events/123/registrations/search?q=john&page=1&limit=20
  */
 router.get('/events/:eventId/registrations/search',
@@ -318,6 +417,17 @@ router.get('/events/:eventId/stalls/:stallId/feedbacks',
   EventManagerController.getStallFeedbacks
 );
 
+/**
+ * @route   GET /api/event-manager/events/:eventId/stall-queues
+ * @desc    Virtual queue length, pace and estimated wait of every stall (busiest first)
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @returns { stalls[], totals: { waiting, called, served, stalls_with_queue } }
+ */
+router.get('/events/:eventId/stall-queues',
+  validateEventOwnershipForViewOnly,
+  EventManagerController.getStallQueues
+);
+
 /**
  * @route   POST /api/event-manager/events/:eventId/volunteers/create
  * @desc    Create volunteer for event (alias for POST /api/volunteer)
@@ -368,6 +478,168 @@ router.delete('/events/:eventId/volunteers/:volunteerId/delete',
   VolunteerController.deleteVolunteer
 );
 
+/**
+ * @route   PUT /api/event-manager/events/:eventId/volunteers/:volunteerId/session
+ * @desc    Assign volunteer to scan for a session (body: { session_id }, null = event gate)
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.put('/events/:eventId/volunteers/:volunteerId/session',
+  EventManagerController.assignVolunteerSession
+);
+
+/**
+ * @route   POST /api/event-manager/events/:eventId/volunteers/assign
+ * @desc    Assign an existing volunteer account to this event (body: { email, assigned_location, permissions })
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @note    Volunteers can hold several concurrent assignments; the response lists overlapping ones
+ */
+router.post('/events/:eventId/volunteers/assign',
+  EventManagerController.assignExistingVolunteer
+);
+
+/**
+ * @route   DELETE /api/event-manager/events/:eventId/volunteers/:volunteerId/assignment
+ * @desc    Remove a volunteer from this event (account stays active for other events)
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.delete('/events/:eventId/volunteers/:volunteerId/assignment',
+  EventManagerController.unassignVolunteer
+);
+
+/**
+ * @route   GET /api/event-manager/volunteer-permissions
+ * @desc    Volunteer permissions with descriptions and the defaults for new assignments
+ * @access  Private (EVENT_MANAGER)
+ */
+router.get('/volunteer-permissions',
+  EventManagerController.getVolunteerPermissionOptions
+);
+
+/**
+ * @route   GET /api/event-manager/events/:eventId/volunteers/permission-denials
+ * @desc    Volunteer scans/lookups refused for missing permissions (paginated)
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.get('/events/:eventId/volunteers/permission-denials',
+  EventManagerController.getVolunteerPermissionDenials
+);
+
+/**
+ * @route   PUT /api/event-manager/events/:eventId/volunteers/:volunteerId/permissions
+ * @desc    Set volunteer permissions (body: { permissions }), e.g. ['SCAN', 'ENTRY_ONLY']
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @note    ENTRY_ONLY/EXIT_ONLY/VERIFY_PAYMENTS require SCAN; ENTRY_ONLY and EXIT_ONLY are exclusive
+ */
+router.put('/events/:eventId/volunteers/:volunteerId/permissions',
+  EventManagerController.updateVolunteerPermissions
+);
+
+/**
+ * @route   PUT /api/event-manager/events/:eventId/walk-ins
+ * @desc    Allow volunteers with ONSPOT_REGISTER to register walk-ins at the gate (body: { allow_walk_ins })
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @note    Can be changed after approval; not available for team events
+ */
+router.put('/events/:eventId/walk-ins',
+  EventManagerController.updateWalkInSetting
+);
+
+// ============================================================
+// SESSION ROUTES (Multi-day / Multi-session Events)
+// ============================================================
+
+/**
+ * @route   POST /api/event-manager/events/:eventId/sessions
+ * @desc    Create session (keynote, workshop, hackathon...) with its own venue, schedule and capacity
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @body    { session_name, session_type, description, venue, start_time, end_time, capacity }
+ * @note    Session must fall within the event dates; venues cannot be double-booked
+ */
+router.post('/events/:eventId/sessions',
+  EventManagerController.createSession
+);
+
+/**
+ * @route   GET /api/event-manager/events/:eventId/sessions
+ * @desc    Get event sessions with live occupancy, attendance totals and volunteer counts
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.get('/events/:eventId/sessions',
+  EventManagerController.getSessions
+);
+
+/**
+ * @route   PUT /api/event-manager/events/:eventId/sessions/:sessionId
+ * @desc    Update session (any field, including is_active)
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.put('/events/:eventId/sessions/:sessionId',
+  EventManagerController.updateSession
+);
+
+/**
+ * @route   DELETE /api/event-manager/events/:eventId/sessions/:sessionId
+ * @desc    Delete session
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @note    Sessions with attendance cannot be deleted; deactivate them instead
+ */
+router.delete('/events/:eventId/sessions/:sessionId',
+  EventManagerController.deleteSession
+);
+
+/**
+ * @route   GET /api/event-manager/events/:eventId/sessions/:sessionId/attendance
+ * @desc    Get session attendance with time spent per student
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @returns { session, summary, attendance[] }
+ */
+router.get('/events/:eventId/sessions/:sessionId/attendance',
+  EventManagerController.getSessionAttendance
+);
+
+// ============================================================
+// PRICING RULE ROUTES (PAID Events: Early-bird, Coupons, School & Group Rates)
+// ============================================================
+
+/**
+ * @route   POST /api/event-manager/events/:eventId/pricing-rules
+ * @desc    Create pricing rule (EARLY_BIRD, COUPON, SCHOOL or GROUP) with PERCENT or FLAT discount
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @body    { rule_name, rule_type, discount_type, discount_value, coupon_code, school_id, min_group_size, valid_from, valid_until, max_uses }
+ * @note    Rules do not stack - students are charged with the single best applicable rule
+ */
+router.post('/events/:eventId/pricing-rules',
+  EventManagerController.createPricingRule
+);
+
+/**
+ * @route   GET /api/event-manager/events/:eventId/pricing-rules
+ * @desc    Get pricing rules with usage counts and total discount given
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.get('/events/:eventId/pricing-rules',
+  EventManagerController.getPricingRules
+);
+
+/**
+ * @route   PUT /api/event-manager/events/:eventId/pricing-rules/:ruleId
+ * @desc    Update pricing rule (any field except rule_type, including is_active)
+ * @access  Private (EVENT_MANAGER - owner only)
+ */
+router.put('/events/:eventId/pricing-rules/:ruleId',
+  EventManagerController.updatePricingRule
+);
+
+/**
+ * @route   DELETE /api/event-manager/events/:eventId/pricing-rules/:ruleId
+ * @desc    Delete pricing rule
+ * @access  Private (EVENT_MANAGER - owner only)
+ * @note    Registrations already priced with the rule keep their charged amount
+ */
+router.delete('/events/:eventId/pricing-rules/:ruleId',
+  EventManagerController.deletePricingRule
+);
+
 // ============================================================
 // RANKING ROUTES (View Rankings for Own Events)
 // ============================================================
@@ -452,8 +724,8 @@ router.post('/events/:eventId/bulk-cancel',
  * @route   GET /api/event-manager/events/:eventId/attendance
  * @desc    Get comprehensive event attendance data with filters
  * @access  Private (EVENT_MANAGER - owner only)
- * @query   status=checked_in|checked_out|not_attended, search=, school_id=, has_feedback=true|false, sort_by=check_in_time|feedback_count|name, page=1, limit=50
- * @returns { attendance_data[], summary, school_breakdown[], pagination, filters_applied }
+ * @query   status=checked_in|checked_out|not_attended, search=, school_id=, session_id=, has_feedback=true|false, sort_by=check_in_time|feedback_count|name|session_time, page=1, limit=50
+ * @returns { attendance_data[], summary, school_breakdown[], session_breakdown[], pagination, filters_applied }
  * @note    Shows who attended, who didn't, check-in/out times, feedback stats
  */
 router.get('/events/:eventId/attendance',
@@ -464,7 +736,7 @@ router.get('/events/:eventId/attendance',
  * @route   GET /api/event-manager/events/:eventId/attendance/:studentId
  * @desc    Get detailed attendance timeline for specific student
  * @access  Private (EVENT_MANAGER - owner only)
- * @returns { student, attendance_summary, check_in_out_history[], feedback_history[] }
+ * @returns { student, attendance_summary, check_in_out_history[], session_attendance[], feedback_history[] }
  * @note    Complete timeline with durations, volunteer names, feedback details
  */
 router.get('/events/:eventId/attendance/:studentId',
@@ -476,7 +748,7 @@ router.get('/events/:eventId/attendance/:studentId',
  * @desc    Export attendance data to Excel
  * @access  Private (EVENT_MANAGER - owner only)
  * @returns Excel file with complete attendance data
- * @note    Includes registration, check-in/out times, feedback counts
+ * @note    Includes registration, check-in/out times, feedback counts and registration form answers
  */
 router.get('/events/:eventId/attendance/export',
   EventManagerController.exportAttendance
@@ -11,6 +11,7 @@ import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
 // 🔓 Public routes - View feedback (no auth required)
 router.get('/stall/:stallId', feedbackController.getFeedbackByStall);
 router.get('/stall/:stallId/stats', feedbackController.getStallFeedbackStats);
+router.get('/events/:eventId/questionnaire', feedbackController.getEventQuestionnaire);
 
 // 🔒 Protected routes (require authentication)
 router.use(authenticateToken);
@@ -24,4 +25,19 @@ router.delete('/:id', authorizeRoles('STUDENT', 'ADMIN'), feedbackController.del
 // Admin/staff views
 router.get('/student/:studentId', authorizeRoles('ADMIN', 'EVENT_MANAGER'), feedbackController.getFeedbackByStudent);
 
+// Feedback questionnaires (admins: any event; event managers: their own events)
+router.put('/events/:eventId/questionnaire', authorizeRoles('ADMIN', 'EVENT_MANAGER'), feedbackController.updateEventQuestionnaire);
+router.delete('/events/:eventId/questionnaire', authorizeRoles('ADMIN', 'EVENT_MANAGER'), feedbackController.deleteEventQuestionnaire);
+
+// Comment moderation (admins: any event; event managers: their own events)
+router.get('/events/:eventId/moderation/config', authorizeRoles('ADMIN', 'EVENT_MANAGER'), feedbackController.getModerationConfig);
+router.put('/events/:eventId/moderation/config', authorizeRoles('ADMIN', 'EVENT_MANAGER'), feedbackController.updateModerationConfig);
+router.delete('/events/:eventId/moderation/config', authorizeRoles('ADMIN', 'EVENT_MANAGER'), feedbackController.resetModerationConfig);
+router.get('/events/:eventId/moderation', authorizeRoles('ADMIN', 'EVENT_MANAGER'), feedbackController.getModerationQueue);
+router.patch('/events/:eventId/moderation/:feedbackId', authorizeRoles('ADMIN', 'EVENT_MANAGER'), feedbackController.moderateFeedback);
+
+// Stall replies (posted by the event's manager or an admin on the stall's behalf)
+router.put('/events/:eventId/feedbacks/:feedbackId/reply', authorizeRoles('ADMIN', 'EVENT_MANAGER'), feedbackController.setStallReply);
+router.delete('/events/:eventId/feedbacks/:feedbackId/reply', authorizeRoles('ADMIN', 'EVENT_MANAGER'), feedbackController.deleteStallReply);
+
 export default router;
@@ -11,6 +11,11 @@ import feedbackRoutes from './feedback.route.js';
 import rankingRoutes from './ranking.route.js';
 import checkInOutRoutes from './checkInOut.route.js';
 import eventManagerRoutes from './eventManager.route.js';
+import paymentRoutes from './payment.route.js';
+import certificateRoutes from './certificate.route.js';
+import teamRoutes from './team.route.js';
+import calendarRoutes from './calendar.route.js';
+import authRoutes from './auth.route.js';
 
 export {
   adminRoutes,
@@ -20,5 +25,10 @@ export {
   feedbackRoutes,
   rankingRoutes,
   checkInOutRoutes,
-  eventManagerRoutes
+  eventManagerRoutes,
+  paymentRoutes,
+  certificateRoutes,
+  teamRoutes,
+  calendarRoutes,
+  authRoutes
 };
@@ -0,0 +1,17 @@
+import express from 'express';
+const router = express.Router();
+import paymentController from '../controllers/payment.controller.js';
+
+/**
+ * Payment Routes
+ * Server-to-server callbacks from Razorpay
+ */
+
+/**
+ * @route   POST /api/payment/webhook
+ * @desc    Razorpay webhook (payment.captured, payment.failed, refund.processed, order.paid)
+ * @access  Public (verified by X-Razorpay-Signature over the raw body)
+ */
+router.post('/webhook', paymentController.handleRazorpayWebhook);
+
+export default router;
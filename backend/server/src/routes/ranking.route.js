@@ -18,25 +18,28 @@ import { checkRankingsPublished } from '../middleware/rankingVisibility.js';
  * @route   GET /api/ranking/:eventId/stalls/top/:limit
  * @desc    Get top N stalls leaderboard for event
  * @access  Public (if rankings published or event completed)
- * @note    Visibility controlled by checkRankingsPublished middleware
+ * @note    Visibility controlled by checkRankingsPublished middleware; served from the
+ *          latest published snapshot when the admin has published the rankings
  */
-router.get('/:eventId/stalls/top/:limit', checkRankingsPublished, rankingController.getTopRankings);
+router.get('/:eventId/stalls/top/:limit', checkRankingsPublished, rankingController.getPublishedStallRankings);
 
 /**
  * @route   GET /api/ranking/:eventId/students/top/:limit
  * @desc    Get top N students leaderboard for event
  * @access  Public (if rankings published or event completed)
- * @note    Visibility controlled by checkRankingsPublished middleware
+ * @note    Visibility controlled by checkRankingsPublished middleware; served from the
+ *          latest published snapshot when the admin has published the rankings
  */
-router.get('/:eventId/students/top/:limit', checkRankingsPublished, rankingController.getTopStudents);
+router.get('/:eventId/students/top/:limit', checkRankingsPublished, rankingController.getPublishedStudentRankings);
 
 /**
  * @route   GET /api/ranking/:eventId/schools/top/:limit
  * @desc    Get top N schools leaderboard for event (school competition)
  * @access  Public (if rankings published or event completed)
- * @note    Visibility controlled by checkRankingsPublished middleware
+ * @note    Visibility controlled by checkRankingsPublished middleware; served from the
+ *          latest published snapshot when the admin has published the rankings
  */
-router.get('/:eventId/schools/top/:limit', checkRankingsPublished, rankingController.getTopSchools);
+router.get('/:eventId/schools/top/:limit', checkRankingsPublished, rankingController.getPublishedSchoolRankings);
 
 // ============================================================
 // STUDENT ROUTES (Submit and view rankings)
@@ -84,6 +87,34 @@ router.get('/:eventId/stall/:stallId', authorizeRoles('EVENT_MANAGER', 'ADMIN'),
  */
 router.post('/:eventId/calculate', authorizeRoles('EVENT_MANAGER', 'ADMIN'), rankingController.calculateRankings);
 
+/**
+ * @route   GET /api/ranking/:eventId/config
+ * @desc    Ranking formulas of the event (effective config, saved overrides, defaults)
+ * @access  Private (EVENT_MANAGER own events, ADMIN)
+ */
+router.get('/:eventId/config', authorizeRoles('EVENT_MANAGER', 'ADMIN'), rankingController.getRankingConfig);
+
+/**
+ * @route   PUT /api/ranking/:eventId/config
+ * @desc    Save vote weights, metric weights, targets, quality thresholds and tie-breakers
+ * @access  Private (EVENT_MANAGER own events, ADMIN)
+ */
+router.put('/:eventId/config', authorizeRoles('EVENT_MANAGER', 'ADMIN'), rankingController.updateRankingConfig);
+
+/**
+ * @route   DELETE /api/ranking/:eventId/config
+ * @desc    Go back to the default ranking formulas
+ * @access  Private (EVENT_MANAGER own events, ADMIN)
+ */
+router.delete('/:eventId/config', authorizeRoles('EVENT_MANAGER', 'ADMIN'), rankingController.resetRankingConfig);
+
+/**
+ * @route   POST /api/ranking/:eventId/config/preview
+ * @desc    Compare the current leaderboards with those of a proposed config (not saved)
+ * @access  Private (EVENT_MANAGER own events, ADMIN)
+ */
+router.post('/:eventId/config/preview', authorizeRoles('EVENT_MANAGER', 'ADMIN'), rankingController.previewRankingConfig);
+
 // ============================================================
 // ADMIN ONLY ROUTES (Direct database edits)
 // ============================================================
@@ -1,7 +1,9 @@
 import express from 'express';
 const router = express.Router();
 import studentController from '../controllers/student.controller.js';
+import { createPasswordResetController } from '../controllers/passwordReset.controller.js';
 import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { authLimiter } from '../middleware/rateLimiter.js';
 import { 
   requireEventContext, 
   requireEventRegistration, 
@@ -16,9 +18,18 @@ import {
 
 // 🔓 Public routes (no authentication)
 router.post('/login', studentController.login);
+
+// First-time login: login_token from /login + date of birth + pincode -> reset token
 router.post('/verify-reset-credentials', studentController.verifyResetCredentials);
 router.post('/reset-password', studentController.resetPassword);
 
+// Forgot password: reset code sent to the registered email/phone, then a single-use reset token.
+// Date of birth + pincode are an optional second factor on the verify step.
+const passwordReset = createPasswordResetController('STUDENT');
+router.post('/forgot-password', authLimiter, passwordReset.requestOtp);
+router.post('/forgot-password/verify', authLimiter, passwordReset.verifyOtp);
+router.post('/forgot-password/reset', authLimiter, studentController.resetPassword);
+
 // 🔒 Apply authentication + STUDENT authorization to all routes below
 router.use(authenticateToken);
 router.use(authorizeRoles('STUDENT'));
@@ -35,6 +46,11 @@ router.post('/scan-stall', studentController.scanStall);
 router.post('/submit-feedback', studentController.submitFeedback);
 router.get('/my-visits', studentController.getMyVisits);
 
+// Stall queues: join by scanning the stall QR, then watch position / estimated wait
+router.post('/stall-queue/join', studentController.joinStallQueue);
+router.get('/stall-queue', studentController.getMyQueueTokens);
+router.delete('/stall-queue/:tokenId', studentController.leaveStallQueue);
+
 // School ranking routes (Category 2 - students rank their own school's stalls)
 router.get('/my-school-stalls', studentController.getMySchoolStalls);
 router.post('/submit-school-ranking', studentController.submitSchoolRanking);
@@ -58,6 +74,13 @@ router.get('/events', studentController.getAvailableEvents);
  */
 router.get('/events/:eventId', studentController.getEventDetails);
 
+/**
+ * @route   GET /api/student/events/:eventId/calendar.ics
+ * @desc    Download event as .ics (cancelled events/registrations as STATUS:CANCELLED)
+ * @access  Private (STUDENT)
+ */
+router.get('/events/:eventId/calendar.ics', studentController.downloadEventCalendar);
+
 /**
  * @route   POST /api/student/events/:eventId/register
  * @desc    Register for free event
@@ -65,9 +88,16 @@ router.get('/events/:eventId', studentController.getEventDetails);
  */
 router.post('/events/:eventId/register', studentController.registerForFreeEvent);
 
+/**
+ * @route   GET /api/student/events/:eventId/price
+ * @desc    Preview price for paid event with pricing rules applied (query: coupon_code)
+ * @access  Private (STUDENT)
+ */
+router.get('/events/:eventId/price', studentController.getEventPrice);
+
 /**
  * @route   POST /api/student/events/:eventId/payment/initiate
- * @desc    Initiate payment for paid event
+ * @desc    Initiate payment for paid event (body: { coupon_code } optional)
  * @access  Private (STUDENT)
  */
 router.post('/events/:eventId/payment/initiate', studentController.initiatePaidEventPayment);
@@ -107,12 +137,7 @@ router.get('/my-events', studentController.getMyRegisteredEvents);
  */
 router.get('/events/:eventId/qr-code', studentController.getEventQRCode);
 
-/**
- * @route   POST /api/student/events/:eventId/payment/webhook
- * @desc    Razorpay payment webhook
- * @access  Public (Razorpay callback)
- */
-// Note: Webhook route should be handled separately with signature verification
+// Note: Razorpay webhook is served separately at POST /api/payment/webhook (see payment.route.js)
 
 // ============================================================
 // EVENT-SCOPED ROUTES (NEW - Professional Implementation)
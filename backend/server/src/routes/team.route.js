@@ -0,0 +1,89 @@
+import express from 'express';
+const router = express.Router();
+import teamController from '../controllers/team.controller.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+
+/**
+ * Team Routes
+ * Team registrations for competition events (events with is_team_event)
+ * Register the team with POST /api/student/events/:eventId/register (FREE) or
+ * /payment/initiate (PAID) passing { team_id } as the captain
+ */
+
+// 🔒 All team routes require STUDENT role
+router.use(authenticateToken);
+router.use(authorizeRoles('STUDENT'));
+
+/**
+ * @route   GET /api/teams/invites
+ * @desc    Pending team invites of the logged-in student
+ * @access  Private (STUDENT)
+ */
+router.get('/invites', teamController.getMyInvites);
+
+/**
+ * @route   POST /api/teams/invites/:memberId/accept
+ * @desc    Accept a team invite (other invites for the same event are declined)
+ * @access  Private (STUDENT - invitee)
+ */
+router.post('/invites/:memberId/accept', teamController.acceptInvite);
+
+/**
+ * @route   POST /api/teams/invites/:memberId/decline
+ * @desc    Decline a team invite
+ * @access  Private (STUDENT - invitee)
+ */
+router.post('/invites/:memberId/decline', teamController.declineInvite);
+
+/**
+ * @route   POST /api/teams/events/:eventId
+ * @desc    Create a team for a team event; the creator becomes captain
+ * @access  Private (STUDENT)
+ * @body    { team_name }
+ */
+router.post('/events/:eventId', teamController.createTeam);
+
+/**
+ * @route   GET /api/teams/events/:eventId/my
+ * @desc    Logged-in student's team for an event (members, pending invites, can_register)
+ * @access  Private (STUDENT)
+ */
+router.get('/events/:eventId/my', teamController.getMyTeam);
+
+/**
+ * @route   GET /api/teams/:teamId
+ * @desc    Team details with members
+ * @access  Private (STUDENT - member or invitee)
+ */
+router.get('/:teamId', teamController.getTeam);
+
+/**
+ * @route   POST /api/teams/:teamId/invites
+ * @desc    Invite a student by registration number
+ * @access  Private (STUDENT - captain)
+ * @body    { registration_no }
+ */
+router.post('/:teamId/invites', teamController.inviteMember);
+
+/**
+ * @route   DELETE /api/teams/:teamId/members/:memberId
+ * @desc    Remove a member or withdraw a pending invite
+ * @access  Private (STUDENT - captain)
+ */
+router.delete('/:teamId/members/:memberId', teamController.removeMember);
+
+/**
+ * @route   POST /api/teams/:teamId/leave
+ * @desc    Leave a team that has not registered yet
+ * @access  Private (STUDENT - member)
+ */
+router.post('/:teamId/leave', teamController.leaveTeam);
+
+/**
+ * @route   DELETE /api/teams/:teamId
+ * @desc    Disband a team that has not registered yet
+ * @access  Private (STUDENT - captain)
+ */
+router.delete('/:teamId', teamController.disbandTeam);
+
+export default router;
@@ -1,7 +1,9 @@
 import express from 'express';
 const router = express.Router();
 import volunteerController from '../controllers/volunteer.controller.js';
-import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { createPasswordResetController } from '../controllers/passwordReset.controller.js';
+import { authenticateToken, authenticateLimitedToken, authorizeRoles } from '../middleware/auth.js';
+import { authLimiter } from '../middleware/rateLimiter.js';
 
 /**
  * Volunteer Routes
@@ -13,22 +15,60 @@ import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
 router.post('/login', volunteerController.login);
 router.post('/register', volunteerController.register);
 
+// Forgot password: reset code sent to the registered email/phone, then a single-use reset token
+const passwordReset = createPasswordResetController('VOLUNTEER');
+router.post('/forgot-password', authLimiter, passwordReset.requestOtp);
+router.post('/forgot-password/verify', authLimiter, passwordReset.verifyOtp);
+router.post('/forgot-password/reset', authLimiter, passwordReset.resetPassword);
+
+// Identity verification for first-time login: the only routes that accept the
+// requires_verification token issued at login
+router.post('/verify-identity', authenticateLimitedToken, authorizeRoles('VOLUNTEER'), volunteerController.verifyIdentity);
+router.post('/reset-password', authenticateLimitedToken, authorizeRoles('VOLUNTEER'), volunteerController.resetPassword);
+
 // 🔒 Apply authentication to all routes below
 router.use(authenticateToken);
 
-// Identity verification (no role check - for first-time login)
-router.post('/verify-identity', volunteerController.verifyIdentity);
-router.post('/reset-password', volunteerController.resetPassword);
-
 // Volunteer-only protected routes
 router.post('/logout', authorizeRoles('VOLUNTEER'), volunteerController.logout);
 router.get('/profile', authorizeRoles('VOLUNTEER'), volunteerController.getProfile);
 
 // ✨ Smart QR scanning - Volunteer only
+// Body: { qr_code_token, event_id?, location? } - event_id is required while several assignments are open
 router.post('/scan/student', authorizeRoles('VOLUNTEER'), volunteerController.scanStudentQR);
+
+/**
+ * @route   POST /api/volunteer/scan/walk-in
+ * @desc    Register an unregistered student at the gate (ONSPOT_REGISTER, events with walk-ins enabled).
+ *          FREE: registered and checked in. PAID: payment link sent; scan again once paid to check in
+ * @body    { qr_code_token, event_id?, location?, form_responses? }
+ * @access  Private (VOLUNTEER)
+ */
+router.post('/scan/walk-in', authorizeRoles('VOLUNTEER'), volunteerController.registerWalkIn);
+
+/**
+ * @route   POST /api/volunteer/scan/sync
+ * @desc    Replay scans queued while the scanner was offline (applied in scan-time order)
+ * @body    { device_id, event_id?, location?, scans: [{ client_scan_id, qr_code_token, scanned_at, event_id?, location? }] }
+ * @access  Private (VOLUNTEER)
+ */
+router.post('/scan/sync', authorizeRoles('VOLUNTEER'), volunteerController.syncOfflineScans);
 // router.post('/scan/stall', authorizeRoles('VOLUNTEER'), volunteerController.scanStallQR);
 
-// Volunteer history - Volunteer only
+/**
+ * Stall queues - volunteers with STALL_QUEUE on the stall's event
+ * @route   GET  /api/volunteer/events/:eventId/stall-queues - Queue lengths of every stall in the event
+ * @route   GET  /api/volunteer/stalls/:stallId/queue - Called tokens and who is waiting
+ * @route   POST /api/volunteer/stalls/:stallId/queue/call-next - Call the next token (expires unclaimed ones first)
+ * @route   POST /api/volunteer/stalls/:stallId/queue/:tokenId/serve - Student reached the stall
+ * @access  Private (VOLUNTEER)
+ */
+router.get('/events/:eventId/stall-queues', authorizeRoles('VOLUNTEER'), volunteerController.getEventStallQueues);
+router.get('/stalls/:stallId/queue', authorizeRoles('VOLUNTEER'), volunteerController.getStallQueue);
+router.post('/stalls/:stallId/queue/call-next', authorizeRoles('VOLUNTEER'), volunteerController.callNextQueueToken);
+router.post('/stalls/:stallId/queue/:tokenId/serve', authorizeRoles('VOLUNTEER'), volunteerController.serveQueueToken);
+
+// Volunteer history - Volunteer only, needs VIEW_STUDENTS on the event
 router.get('/history', authorizeRoles('VOLUNTEER'), volunteerController.getHistory);
 
 // ============================================================
@@ -42,6 +82,27 @@ router.get('/history', authorizeRoles('VOLUNTEER'), volunteerController.getHisto
  */
 router.get('/assigned-events', authorizeRoles('VOLUNTEER'), volunteerController.getAssignedEvents);
 
+/**
+ * @route   GET /api/volunteer/scanner
+ * @desc    Scanner lock of this login session and the assigned events open for scanning
+ * @access  Private (VOLUNTEER)
+ */
+router.get('/scanner', authorizeRoles('VOLUNTEER'), volunteerController.getScanner);
+
+/**
+ * @route   PUT /api/volunteer/scanner
+ * @desc    Lock this scanner to one event and gate (body: { event_id, location? })
+ * @access  Private (VOLUNTEER)
+ */
+router.put('/scanner', authorizeRoles('VOLUNTEER'), volunteerController.lockScanner);
+
+/**
+ * @route   DELETE /api/volunteer/scanner
+ * @desc    Unlock this scanner
+ * @access  Private (VOLUNTEER)
+ */
+router.delete('/scanner', authorizeRoles('VOLUNTEER'), volunteerController.unlockScanner);
+
 // ============================================================
 // MANAGEMENT ROUTES (Admin and Event Manager only)
 // ============================================================
@@ -0,0 +1,183 @@
+/**
+ * Anomaly Detection Service
+ * Looks for feedback and ranking patterns that farm the leaderboards (feedback faster than
+ * a human could give it, copy-pasted comments, rankings from students who were barely
+ * inside, same-school vote rings) and queues them as anomaly_flags for admin review.
+ * Items of flags an admin EXCLUDES stop counting towards the stall, student and school
+ * leaderboards (see the notExcluded* conditions in models/AnomalyFlag.model.js).
+ */
+import AnomalyFlagModel from '../models/AnomalyFlag.model.js';
+import Stall from '../models/Stall.model.js';
+import { getVoteWeights } from './rankingConfig.service.js';
+import { query } from '../config/db.js';
+
+export const ANOMALY_THRESHOLDS = {
+  // Feedback less than 15s after the previous one, 3 or more times
+  feedback_burst: { min_interval_seconds: 15, min_burst_size: 3 },
+  // Same comment (20+ chars) on 2 or more stalls
+  duplicate_comment: { min_comment_length: 20, min_stalls: 2 },
+  // Top 3 submitted within 5 minutes of entering the event
+  low_duration_ranking: { min_minutes_inside: 5 },
+  // 5 or more same-school students with the same top 3, each within 10 minutes of the last
+  vote_ring: { window_minutes: 10, min_ring_size: 5 }
+};
+
+const toInt = (value) => parseInt(value || 0);
+const toMinutes = (value) => Number(parseFloat(value || 0).toFixed(1));
+
+/**
+ * Detectors: query the event's activity and turn each hit into flag data
+ */
+const DETECTORS = [
+  {
+    type: 'FEEDBACK_BURST',
+    find: (eventId, t) => AnomalyFlagModel.findFeedbackBursts(
+      eventId, t.feedback_burst.min_interval_seconds, t.feedback_burst.min_burst_size
+    ),
+    toFlag: (row) => ({
+      fingerprint: row.student_id,
+      student_id: row.student_id,
+      school_id: row.school_id,
+      feedback_ids: row.feedback_ids,
+      details: {
+        fast_feedbacks: toInt(row.fast_feedbacks),
+        min_gap_seconds: Number(parseFloat(row.min_gap_seconds || 0).toFixed(1)),
+        avg_gap_seconds: Number(parseFloat(row.avg_gap_seconds || 0).toFixed(1)),
+        first_submitted_at: row.first_submitted_at,
+        last_submitted_at: row.last_submitted_at
+      }
+    })
+  },
+  {
+    type: 'DUPLICATE_COMMENT',
+    find: (eventId, t) => AnomalyFlagModel.findDuplicateComments(
+      eventId, t.duplicate_comment.min_comment_length, t.duplicate_comment.min_stalls
+    ),
+    toFlag: (row) => ({
+      fingerprint: row.student_id,
+      student_id: row.student_id,
+      school_id: row.school_id,
+      feedback_ids: row.feedback_ids,
+      details: {
+        repeated_comments: toInt(row.repeated_comments),
+        stalls_count: toInt(row.stalls_count),
+        sample_comment: row.sample_comment
+      }
+    })
+  },
+  {
+    type: 'LOW_DURATION_RANKING',
+    find: (eventId, t) => AnomalyFlagModel.findLowDurationRankings(
+      eventId, t.low_duration_ranking.min_minutes_inside
+    ),
+    toFlag: (row) => ({
+      fingerprint: row.student_id,
+      student_id: row.student_id,
+      school_id: row.school_id,
+      ranking_ids: row.ranking_ids,
+      details: {
+        submitted_at: row.submitted_at,
+        first_check_in: row.first_check_in,
+        minutes_inside: row.first_check_in ? toMinutes(row.minutes_inside) : null
+      }
+    })
+  },
+  {
+    type: 'VOTE_RING',
+    find: (eventId, t) => AnomalyFlagModel.findVoteRings(
+      eventId, t.vote_ring.window_minutes, t.vote_ring.min_ring_size
+    ),
+    toFlag: (row) => ({
+      fingerprint: row.fingerprint,
+      student_id: null,
+      school_id: row.school_id,
+      ranking_ids: row.ranking_ids,
+      details: {
+        ring_size: toInt(row.ring_size),
+        student_ids: row.student_ids,
+        ballot_stall_ids: row.ballot.split(','),
+        first_submitted_at: row.first_submitted_at,
+        last_submitted_at: row.last_submitted_at
+      }
+    })
+  }
+];
+
+/**
+ * Run every detector on an event and refresh its review queue. Pending flags are
+ * replaced by what the run finds; reviewed flags keep their decision, and only items
+ * they do not already cover are queued again.
+ * @param {string} eventId - Event UUID
+ * @returns {Promise<Object>} { new_flags, updated_flags, removed_flags, by_type }
+ */
+export const detectAnomalies = async (eventId) => {
+  const reviewed = await AnomalyFlagModel.findReviewedByEvent(eventId);
+  const coveredItems = new Map();
+  for (const flag of reviewed) {
+    const key = `${flag.anomaly_type}:${flag.fingerprint}`;
+    const covered = coveredItems.get(key) || new Set();
+    [...flag.feedback_ids, ...flag.ranking_ids].forEach(id => covered.add(id));
+    coveredItems.set(key, covered);
+  }
+
+  const keptIds = [];
+  const summary = { new_flags: 0, updated_flags: 0, removed_flags: 0, by_type: {} };
+
+  for (const detector of DETECTORS) {
+    const rows = await detector.find(eventId, ANOMALY_THRESHOLDS);
+    summary.by_type[detector.type] = 0;
+
+    for (const row of rows) {
+      const flag = detector.toFlag(row);
+      const covered = coveredItems.get(`${detector.type}:${flag.fingerprint}`);
+      const feedbackIds = (flag.feedback_ids || []).filter(id => !covered?.has(id));
+      const rankingIds = (flag.ranking_ids || []).filter(id => !covered?.has(id));
+      if (feedbackIds.length === 0 && rankingIds.length === 0) continue;
+
+      const saved = await AnomalyFlagModel.upsertPending({
+        ...flag,
+        event_id: eventId,
+        anomaly_type: detector.type,
+        feedback_ids: feedbackIds,
+        ranking_ids: rankingIds
+      });
+
+      keptIds.push(saved.id);
+      summary.by_type[detector.type]++;
+      if (saved.inserted) summary.new_flags++;
+      else summary.updated_flags++;
+    }
+  }
+
+  summary.removed_flags = await AnomalyFlagModel.deleteStalePending(eventId, keptIds);
+  return summary;
+};
+
+/**
+ * Record an admin's decision on a flag and recount the votes and feedback of the
+ * stalls it touches, so cached stall scores follow the exclusion
+ * @param {Object} flag - anomaly_flags row
+ * @param {string} status - EXCLUDED or DISMISSED
+ * @param {string} adminId - Reviewing admin
+ * @param {string|null} note - Reviewer note
+ * @returns {Promise<Object>} { flag, stalls_recounted }
+ */
+export const reviewFlag = async (flag, status, adminId, note) => {
+  const updated = await AnomalyFlagModel.review(flag.id, status, adminId, note);
+
+  let stallsRecounted = 0;
+  if (flag.status !== status && (flag.status === 'EXCLUDED' || status === 'EXCLUDED')) {
+    const stallIds = await AnomalyFlagModel.getAffectedStallIds(flag);
+    stallsRecounted = await Stall.recountRankingStats(
+      flag.event_id, stallIds, await getVoteWeights(flag.event_id), query
+    );
+  }
+
+  return { flag: updated, stalls_recounted: stallsRecounted };
+};
+
+export default {
+  ANOMALY_THRESHOLDS,
+  detectAnomalies,
+  reviewFlag
+};
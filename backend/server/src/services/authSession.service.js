@@ -0,0 +1,355 @@
+/**
+ * Auth Session Service
+ * Login sessions for every role: a short-lived access JWT (carrying the session id as `sid`)
+ * plus a refresh token that rotates on every use. Sessions live in auth_sessions so users can
+ * list their devices and log them out, and admins can revoke all sessions of an account.
+ * Presenting a refresh token that has already been rotated revokes the whole session, since
+ * either the client or an attacker is holding a stolen copy.
+ *
+ * Config (env):
+ * - ACCESS_TOKEN_EXPIRES_IN: access JWT lifetime (default 15m)
+ * - REFRESH_TOKEN_TTL_DAYS: sessions expire after this many days without a refresh (default 30)
+ * - REFRESH_TOKEN_REUSE_GRACE_SECONDS: a token rotated this recently is rejected without
+ *   revoking the session, so parallel refreshes from one client don't log it out (default 30)
+ * - SESSION_CHECK_CACHE_SECONDS: how long an instance trusts a session check before asking
+ *   the database again; revocation reaches other instances within this time (default 30, 0 = always ask)
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { query } from '../config/db.js';
+import AuthSessionModel from '../models/AuthSession.model.js';
+import Admin from '../models/Admin.model.js';
+import Student from '../models/Student.model.js';
+import Volunteer from '../models/Volunteer.model.js';
+import EventManagerModel from '../models/EventManager.model.js';
+import {
+  setAuthCookie,
+  clearAuthCookie,
+  setRefreshCookie,
+  clearRefreshCookie,
+  getRefreshTokenFromCookie
+} from '../helpers/cookie.js';
+import { logAuditEvent, AuditEventType } from '../utils/auditLogger.js';
+import { isUuid } from '../utils/uuid.js';
+
+export const SESSION_ROLES = ['ADMIN', 'STUDENT', 'VOLUNTEER', 'EVENT_MANAGER'];
+
+const REFRESH_TOKEN_PATTERN = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\.([a-f0-9]{64})$/i;
+const SESSION_CACHE_MAX_ENTRIES = 5000;
+
+const getConfig = () => ({
+  accessTokenExpiry: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  reuseGraceSeconds: parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS ?? '30') || 0,
+  checkCacheSeconds: parseInt(process.env.SESSION_CHECK_CACHE_SECONDS ?? '30') || 0
+});
+
+/**
+ * How each role's account is loaded and which claims go into its access token
+ */
+const ACCOUNT_TYPES = {
+  ADMIN: {
+    findAccount: (id) => Admin.findById(id, query),
+    isActive: () => true,
+    claims: (admin) => ({ id: admin.id, email: admin.email, role: admin.role })
+  },
+  STUDENT: {
+    findAccount: (id) => Student.findById(id, query),
+    isActive: (student) => !student.password_reset_required,
+    claims: (student) => ({ id: student.id, registration_no: student.registration_no, role: student.role })
+  },
+  VOLUNTEER: {
+    findAccount: (id) => Volunteer.findById(id, query),
+    isActive: (volunteer) => volunteer.is_active !== false,
+    claims: (volunteer) => ({ id: volunteer.id, email: volunteer.email, role: volunteer.role })
+  },
+  EVENT_MANAGER: {
+    findAccount: (id) => EventManagerModel.findById(id),
+    isActive: (manager) => manager.is_active !== false,
+    claims: (manager) => ({ id: manager.id, email: manager.email, role: manager.role })
+  }
+};
+
+// sid -> time of the last successful check
+const activeSessionCache = new Map();
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshExpiry = (config) => new Date(Date.now() + config.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+const parseRefreshToken = (refreshToken) => {
+  const match = typeof refreshToken === 'string' ? refreshToken.match(REFRESH_TOKEN_PATTERN) : null;
+  return match ? { sessionId: match[1], secretHash: hashSecret(match[2]) } : null;
+};
+
+/**
+ * Check the shape of a session ID from a URL
+ * @param {string} sessionId
+ * @returns {boolean}
+ */
+export const isValidSessionId = (sessionId) => isUuid(sessionId);
+
+/**
+ * Short label for a device from its user agent, e.g. "Chrome on Android"
+ * @param {string} userAgent
+ * @returns {string|null}
+ */
+export const describeDevice = (userAgent) => {
+  if (!userAgent) return null;
+
+  const os = [
+    [/Android/i, 'Android'],
+    [/iPhone|iPad|iPod/i, 'iOS'],
+    [/Windows/i, 'Windows'],
+    [/Mac OS X|Macintosh/i, 'macOS'],
+    [/CrOS/i, 'ChromeOS'],
+    [/Linux/i, 'Linux']
+  ].find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  const browser = [
+    [/Edg\//i, 'Edge'],
+    [/OPR\/|Opera/i, 'Opera'],
+    [/SamsungBrowser/i, 'Samsung Internet'],
+    [/Firefox|FxiOS/i, 'Firefox'],
+    [/Chrome|CriOS/i, 'Chrome'],
+    [/Safari/i, 'Safari'],
+    [/PostmanRuntime/i, 'Postman'],
+    [/okhttp|Dart|Expo|CFNetwork/i, 'Mobile app']
+  ].find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  if (browser && os) return `${browser} on ${os}`;
+  return (browser || os || userAgent).substring(0, 100);
+};
+
+const signAccessToken = (claims, sessionId, config) => jwt.sign(
+  { ...claims, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: config.accessTokenExpiry }
+);
+
+/**
+ * Issue tokens for a session and set both cookies
+ * @returns {{ token: string, refresh_token: string, session_id: string, expires_in: string }}
+ */
+const issueTokens = (res, session, secret, claims, config) => {
+  const token = signAccessToken(claims, session.id, config);
+  const refreshToken = `${session.id}.${secret}`;
+
+  setAuthCookie(res, token);
+  setRefreshCookie(res, refreshToken, config.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+  return {
+    token,
+    refresh_token: refreshToken,
+    session_id: session.id,
+    expires_in: config.accessTokenExpiry
+  };
+};
+
+const forgetSession = (sessionId) => activeSessionCache.delete(sessionId);
+
+/**
+ * Start a session after a successful login
+ * @param {Object} req - Express request (device, IP)
+ * @param {Object} res - Express response (cookies are set on it)
+ * @param {string} role - ADMIN, STUDENT, VOLUNTEER or EVENT_MANAGER
+ * @param {Object} account - Account row (id and the role's token claims)
+ * @param {Object} [extraClaims] - Added to the first access token only (e.g. { verified: true })
+ * @returns {Promise<{ token: string, refresh_token: string, session_id: string, expires_in: string }>}
+ */
+export const startSession = async (req, res, role, account, extraClaims = {}) => {
+  const config = getConfig();
+  const secret = crypto.randomBytes(32).toString('hex');
+  const userAgent = req.get('user-agent') || null;
+
+  const session = await AuthSessionModel.create({
+    user_role: role,
+    user_id: account.id,
+    refresh_token_hash: hashSecret(secret),
+    device_name: describeDevice(userAgent),
+    user_agent: userAgent,
+    ip_address: req.ip || req.socket?.remoteAddress || null,
+    expires_at: refreshExpiry(config)
+  });
+
+  return issueTokens(res, session, secret, { ...ACCOUNT_TYPES[role].claims(account), ...extraClaims }, config);
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token
+ * @param {Object} req - Express request (refresh token from cookie or body.refresh_token)
+ * @param {Object} res - Express response (cookies are set on it)
+ * @returns {Promise<Object|{ error: string, status: number }>} Tokens as from startSession
+ */
+export const refreshSession = async (req, res) => {
+  const config = getConfig();
+  const parsed = parseRefreshToken(getRefreshTokenFromCookie(req) || req.body?.refresh_token);
+  if (!parsed) {
+    return { error: 'Refresh token required. Please login.', status: 401 };
+  }
+
+  const session = await AuthSessionModel.findById(parsed.sessionId);
+  if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    return { error: 'Session has expired or was logged out. Please login again.', status: 401 };
+  }
+
+  const account = await ACCOUNT_TYPES[session.user_role].findAccount(session.user_id);
+  if (!account || !ACCOUNT_TYPES[session.user_role].isActive(account)) {
+    await AuthSessionModel.revoke(session.id, 'ACCOUNT_INACTIVE');
+    forgetSession(session.id);
+    return { error: 'Session is no longer valid. Please login again.', status: 401 };
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  const userAgent = req.get('user-agent') || null;
+  const rotated = await AuthSessionModel.rotate(session.id, parsed.secretHash, {
+    refresh_token_hash: hashSecret(secret),
+    user_agent: userAgent,
+    ip_address: req.ip || req.socket?.remoteAddress || null,
+    expires_at: refreshExpiry(config)
+  });
+
+  if (rotated) {
+    return issueTokens(res, rotated, secret, ACCOUNT_TYPES[session.user_role].claims(account), config);
+  }
+
+  // Not the current token: either a parallel refresh that just lost the race, or a replayed old token
+  const latest = await AuthSessionModel.findById(session.id);
+  const justRotated = latest?.previous_token_hash === parsed.secretHash && latest.rotated_at &&
+    Date.now() - new Date(latest.rotated_at).getTime() < config.reuseGraceSeconds * 1000;
+  if (justRotated && !latest.revoked_at) {
+    return { error: 'Session was refreshed by another request. Retry with the latest token.', status: 409 };
+  }
+
+  await AuthSessionModel.revoke(session.id, 'TOKEN_REUSE');
+  forgetSession(session.id);
+  await logAuditEvent({
+    event_type: AuditEventType.REFRESH_TOKEN_REUSE_DETECTED,
+    user_id: session.user_id,
+    user_role: session.user_role,
+    ip_address: req.ip || null,
+    user_agent: userAgent,
+    resource_type: 'AUTH_SESSION',
+    resource_id: session.id,
+    metadata: { rotation_count: latest?.rotation_count ?? session.rotation_count }
+  });
+
+  return { error: 'Refresh token was already used. The session has been logged out for safety.', status: 401 };
+};
+
+/**
+ * Check that the session behind an access token is still active (used by authenticateToken)
+ * Also records the session as seen.
+ * @param {string} sessionId - `sid` claim
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sessionId) => {
+  const { checkCacheSeconds } = getConfig();
+  const checkedAt = activeSessionCache.get(sessionId);
+  if (checkedAt && Date.now() - checkedAt < checkCacheSeconds * 1000) {
+    return true;
+  }
+
+  const active = await AuthSessionModel.touch(sessionId);
+  if (!active) {
+    forgetSession(sessionId);
+    return false;
+  }
+
+  if (activeSessionCache.size >= SESSION_CACHE_MAX_ENTRIES) {
+    activeSessionCache.clear();
+  }
+  activeSessionCache.set(sessionId, Date.now());
+  return true;
+};
+
+/**
+ * End the current session (logout) and clear the auth cookies
+ * The session is taken from the access token (`req.user.sid`) or, when the access token has
+ * already expired, from the refresh token.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+export const endSession = async (req, res) => {
+  if (req.user?.sid) {
+    await AuthSessionModel.revoke(req.user.sid, 'LOGOUT', { role: req.user.role, id: req.user.id });
+    forgetSession(req.user.sid);
+  } else {
+    // Without an access token, the refresh token must still be the session's current one
+    const parsed = parseRefreshToken(getRefreshTokenFromCookie(req) || req.body?.refresh_token);
+    const session = parsed ? await AuthSessionModel.findById(parsed.sessionId) : null;
+    if (session && session.refresh_token_hash === parsed.secretHash) {
+      await AuthSessionModel.revoke(session.id, 'LOGOUT', { role: session.user_role, id: session.user_id });
+      forgetSession(session.id);
+    }
+  }
+
+  clearAuthCookie(res);
+  clearRefreshCookie(res);
+};
+
+/**
+ * Active sessions of a user
+ * @param {string} role - ADMIN, STUDENT, VOLUNTEER or EVENT_MANAGER
+ * @param {string} userId - User UUID
+ * @param {string} [currentSessionId] - Marked with current: true
+ * @returns {Promise<Array>}
+ */
+export const listSessions = async (role, userId, currentSessionId = null) => {
+  const sessions = await AuthSessionModel.findActiveByUser(role, userId);
+  return sessions.map(session => ({ ...session, current: session.id === currentSessionId }));
+};
+
+/**
+ * Revoke one of a user's own sessions
+ * @param {Object} user - req.user
+ * @param {string} sessionId - Session UUID
+ * @returns {Promise<Object|null>} Revoked session, or null if the user has no such active session
+ */
+export const revokeOwnSession = async (user, sessionId) => {
+  const session = await AuthSessionModel.findById(sessionId);
+  if (!session || session.user_role !== user.role || session.user_id !== user.id || session.revoked_at) {
+    return null;
+  }
+
+  const revoked = await AuthSessionModel.revoke(sessionId, 'USER_REVOKED', { role: user.role, id: user.id });
+  forgetSession(sessionId);
+  return revoked;
+};
+
+/**
+ * Revoke every session of a user (admin action, password reset)
+ * @param {string} role - ADMIN, STUDENT, VOLUNTEER or EVENT_MANAGER
+ * @param {string} userId - User UUID
+ * @param {string} reason - ADMIN_REVOKED, USER_REVOKED or PASSWORD_RESET
+ * @param {Object} [revokedBy] - { role, id }
+ * @returns {Promise<Array<string>>} IDs of the revoked sessions
+ */
+export const revokeAllSessions = async (role, userId, reason, revokedBy = {}) => {
+  const sessionIds = await AuthSessionModel.revokeAllForUser(role, userId, reason, revokedBy);
+  sessionIds.forEach(forgetSession);
+  return sessionIds;
+};
+
+/**
+ * Load the account of a role (for admin actions on a user's sessions)
+ * @param {string} role - ADMIN, STUDENT, VOLUNTEER or EVENT_MANAGER
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object|null>}
+ */
+export const findAccount = (role, userId) => ACCOUNT_TYPES[role].findAccount(userId);
+
+export default {
+  SESSION_ROLES,
+  isValidSessionId,
+  describeDevice,
+  startSession,
+  refreshSession,
+  isSessionActive,
+  endSession,
+  listSessions,
+  revokeOwnSession,
+  revokeAllSessions,
+  findAccount
+};
@@ -0,0 +1,239 @@
+/**
+ * Calendar Service
+ * iCalendar feeds for students (their registrations), volunteers (their assignments)
+ * and event managers (their events), served from a per-user secret URL so calendar
+ * apps can subscribe without logging in.
+ */
+import crypto from 'crypto';
+import CalendarFeedModel from '../models/CalendarFeed.model.js';
+import EventModel from '../models/Event.model.js';
+import EventRegistrationModel from '../models/EventRegistration.model.js';
+import EventVolunteerModel from '../models/EventVolunteer.model.js';
+import { buildCalendar, buildUid } from '../utils/icalendar.js';
+
+export const FEED_ROLES = ['STUDENT', 'VOLUNTEER', 'EVENT_MANAGER'];
+
+const TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+const MANAGER_EVENTS_PAGE_SIZE = 100;
+
+// Payment states of a cancelled registration that was never confirmed
+const UNCONFIRMED_PAYMENT_STATUSES = ['PENDING', 'FAILED'];
+
+const generateFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Check the shape of a token taken from a feed URL
+ * @param {string} token
+ * @returns {boolean}
+ */
+export const isValidFeedToken = (token) => typeof token === 'string' && TOKEN_PATTERN.test(token);
+
+/**
+ * Get a user's feed token, creating it on first use
+ * @param {string} userRole - STUDENT, VOLUNTEER or EVENT_MANAGER
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object>} Feed row
+ */
+export const getOrCreateFeed = async (userRole, userId) => {
+  const existing = await CalendarFeedModel.findByUser(userRole, userId);
+  if (existing) {
+    return existing;
+  }
+  return CalendarFeedModel.upsert(userRole, userId, generateFeedToken());
+};
+
+/**
+ * Replace a user's feed token; the previous URL stops working
+ * @param {string} userRole - STUDENT, VOLUNTEER or EVENT_MANAGER
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object>} Feed row
+ */
+export const regenerateFeed = (userRole, userId) => (
+  CalendarFeedModel.upsert(userRole, userId, generateFeedToken())
+);
+
+/**
+ * Subscription URLs for a feed token
+ * @param {Object} req - Express request (host fallback when CALENDAR_FEED_URL is not set)
+ * @param {string} token - Feed token
+ * @returns {{ feed_url: string, webcal_url: string }}
+ */
+export const getFeedUrls = (req, token) => {
+  const base = process.env.CALENDAR_FEED_URL ||
+    `${req.protocol}://${req.get('host')}/api/calendar/feeds`;
+  const feedUrl = `${base.replace(/\/+$/, '')}/${token}.ics`;
+
+  return {
+    feed_url: feedUrl,
+    webcal_url: feedUrl.replace(/^https?:\/\//, 'webcal://')
+  };
+};
+
+const latest = (...dates) => {
+  const times = dates.filter(Boolean).map(date => new Date(date).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+const joinParagraphs = (...parts) => parts.filter(Boolean).join('\n\n');
+
+/**
+ * Calendar entry for an event, optionally as seen by a registered student
+ * @param {Object} event - Event fields (id, event_name, event_code, venue, description, dates, status)
+ * @param {Object|null} registration - Student's registration for the event
+ * @returns {Object}
+ */
+export const toEventEntry = (event, registration = null) => {
+  const registrationCancelled = registration?.registration_status === 'CANCELLED';
+  const cancelled = event.status === 'CANCELLED' || registrationCancelled;
+
+  return {
+    uid: buildUid(event.id),
+    summary: event.event_name,
+    start: event.start_date,
+    end: event.end_date,
+    location: event.venue,
+    description: joinParagraphs(
+      event.status === 'CANCELLED' ? 'This event has been cancelled.' : null,
+      registrationCancelled && event.status !== 'CANCELLED' ? 'Your registration was cancelled.' : null,
+      event.description,
+      `Event code: ${event.event_code}`
+    ),
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+    last_modified: latest(event.updated_at, registration?.updated_at)
+  };
+};
+
+/**
+ * Student feed: confirmed registrations, plus cancelled ones so calendar apps drop them
+ * @param {string} studentId - Student UUID
+ * @returns {Promise<Array>} Calendar entries
+ */
+const getStudentEntries = async (studentId) => {
+  const registrations = await EventRegistrationModel.getStudentRegistrations(studentId);
+
+  return registrations
+    .filter(registration => (
+      (registration.registration_status === 'CONFIRMED' && registration.payment_status !== 'PENDING') ||
+      (registration.registration_status === 'CANCELLED' &&
+        !UNCONFIRMED_PAYMENT_STATUSES.includes(registration.payment_status))
+    ))
+    .map(registration => toEventEntry({
+      id: registration.event_id,
+      event_name: registration.event_name,
+      event_code: registration.event_code,
+      venue: registration.venue,
+      description: registration.event_description,
+      start_date: registration.start_date,
+      end_date: registration.end_date,
+      status: registration.event_status,
+      updated_at: registration.event_updated_at
+    }, registration));
+};
+
+/**
+ * Volunteer feed: active assignments (session assignments use the session's time and venue)
+ * @param {string} volunteerId - Volunteer UUID
+ * @returns {Promise<Array>} Calendar entries
+ */
+const getVolunteerEntries = async (volunteerId) => {
+  const assignments = await EventVolunteerModel.getVolunteerEvents(volunteerId, { is_active: true });
+
+  return assignments.map(assignment => {
+    const cancelled = assignment.event_status === 'CANCELLED';
+    const sessionLabel = assignment.session_name ? ` - ${assignment.session_name}` : '';
+
+    return {
+      uid: buildUid(assignment.id, 'volunteer'),
+      summary: `Volunteering: ${assignment.event_name}${sessionLabel}`,
+      start: assignment.session_start_time || assignment.start_date,
+      end: assignment.session_end_time || assignment.end_date,
+      location: assignment.session_venue || assignment.venue,
+      description: joinParagraphs(
+        cancelled ? 'This event has been cancelled.' : null,
+        assignment.assigned_location ? `Assigned location: ${assignment.assigned_location}` : null,
+        assignment.event_description,
+        `Event code: ${assignment.event_code}`,
+        assignment.manager_name ? `Event manager: ${assignment.manager_name} (${assignment.manager_email})` : null
+      ),
+      status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+      last_modified: latest(assignment.event_updated_at, assignment.updated_at)
+    };
+  });
+};
+
+/**
+ * Event manager feed: all of the manager's events (unapproved ones as tentative)
+ * @param {string} managerId - Event manager UUID
+ * @returns {Promise<Array>} Calendar entries
+ */
+const getManagerEntries = async (managerId) => {
+  const events = [];
+  for (let page = 1; ; page++) {
+    const { data, pagination } = await EventModel.getByManager(managerId, {
+      page,
+      limit: MANAGER_EVENTS_PAGE_SIZE
+    });
+    events.push(...data);
+    if (page >= pagination.totalPages) {
+      break;
+    }
+  }
+
+  return events.map(event => {
+    const entry = toEventEntry(event);
+    const unapproved = ['DRAFT', 'PENDING_APPROVAL'].includes(event.status);
+
+    return {
+      ...entry,
+      status: unapproved ? 'TENTATIVE' : entry.status,
+      description: joinParagraphs(
+        entry.description,
+        `Status: ${event.status}`,
+        `Registrations: ${event.current_registrations ?? 0}${event.max_capacity ? ` / ${event.max_capacity}` : ''}`
+      )
+    };
+  });
+};
+
+const FEED_SOURCES = {
+  STUDENT: { name: 'My SGTU Events', getEntries: getStudentEntries },
+  VOLUNTEER: { name: 'SGTU Volunteer Assignments', getEntries: getVolunteerEntries },
+  EVENT_MANAGER: { name: 'SGTU Managed Events', getEntries: getManagerEntries }
+};
+
+/**
+ * Render the .ics feed behind a feed token
+ * @param {Object} feed - Feed row (user_role, user_id)
+ * @returns {Promise<string>}
+ */
+export const renderFeed = async (feed) => {
+  const source = FEED_SOURCES[feed.user_role];
+
+  return buildCalendar({
+    name: source.name,
+    description: 'SGT University Event Management',
+    events: await source.getEntries(feed.user_id)
+  });
+};
+
+/**
+ * Render a single event as .ics (student download)
+ * @param {Object} event - Event row
+ * @param {Object|null} registration - Student's registration for the event
+ * @returns {string}
+ */
+export const renderEventCalendar = (event, registration = null) => buildCalendar({
+  name: event.event_name,
+  events: [toEventEntry(event, registration)]
+});
+
+export default {
+  FEED_ROLES,
+  isValidFeedToken,
+  getOrCreateFeed,
+  regenerateFeed,
+  getFeedUrls,
+  toEventEntry,
+  renderFeed,
+  renderEventCalendar
+};
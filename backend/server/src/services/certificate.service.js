@@ -0,0 +1,315 @@
+/**
+ * Certificate Service
+ * Eligibility, issuing and PDF rendering of attendance certificates.
+ * A certificate is a snapshot of the student's attendance at issue time;
+ * its verification code is checked publicly at GET /api/certificates/verify/:code.
+ */
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import CertificateModel from '../models/Certificate.model.js';
+
+// Used when the event manager has not configured a template (mirrors the column defaults)
+export const DEFAULT_TEMPLATE = {
+  title: 'Certificate of Participation',
+  body_text: 'This is to certify that {{student_name}} ({{registration_no}}) of {{school_name}} participated in ' +
+    '{{event_name}} held on {{event_dates}}, spending {{time_spent}} at the event.',
+  organization_name: 'SGT University',
+  signatory_name: null,
+  signatory_title: null,
+  accent_color: '#1E3A8A',
+  min_attendance_minutes: 0,
+  is_enabled: true
+};
+
+export const TEMPLATE_PLACEHOLDERS = [
+  'student_name', 'registration_no', 'school_name', 'event_name', 'event_code',
+  'event_dates', 'time_spent', 'days_attended', 'verification_code'
+];
+
+// No 0/O or 1/I so codes can be typed from a printed certificate
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MAX_CODE_ATTEMPTS = 5;
+
+/**
+ * Random verification code, e.g. SGTU-7KQ2-M9XD
+ * @returns {string}
+ */
+export const generateVerificationCode = () => {
+  const bytes = crypto.randomBytes(8);
+  const chars = Array.from(bytes, (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `SGTU-${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+/**
+ * Normalize a user-entered code (case, surrounding spaces)
+ * @param {string} code
+ * @returns {string}
+ */
+export const normalizeVerificationCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * 125 -> "2 hours 5 minutes"
+ * @param {number} minutes
+ * @returns {string}
+ */
+export const formatDuration = (minutes) => {
+  const total = Math.max(0, parseInt(minutes) || 0);
+  const hours = Math.floor(total / 60);
+  const mins = total % 60;
+  const parts = [];
+  if (hours > 0) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+  if (mins > 0 || hours === 0) parts.push(`${mins} minute${mins === 1 ? '' : 's'}`);
+  return parts.join(' ');
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+  timeZone: 'Asia/Kolkata'
+});
+
+/**
+ * "12 March 2026" or "12 March 2026 - 14 March 2026"
+ * @param {Date|string} startDate
+ * @param {Date|string} endDate
+ * @returns {string}
+ */
+export const formatEventDates = (startDate, endDate) => {
+  if (!startDate) return 'TBA';
+  const start = formatDate(startDate);
+  const end = endDate ? formatDate(endDate) : start;
+  return start === end ? start : `${start} - ${end}`;
+};
+
+/**
+ * Replace {{placeholders}}; unknown placeholders are left as-is
+ * @param {string} text - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string}
+ */
+export const fillTemplate = (text, values) =>
+  String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+  );
+
+/**
+ * Template for an event, falling back to the defaults
+ * @param {string} eventId - Event UUID
+ * @returns {Promise<Object>}
+ */
+export const getEffectiveTemplate = async (eventId) => {
+  const template = await CertificateModel.getTemplate(eventId);
+  return template || { ...DEFAULT_TEMPLATE, event_id: eventId };
+};
+
+/**
+ * Certificates are only issued once the event is over
+ * @param {Object} event - Event row
+ * @returns {boolean}
+ */
+export const isEventFinished = (event) =>
+  ['COMPLETED', 'ARCHIVED'].includes(event.status) ||
+  (event.status !== 'CANCELLED' && new Date(event.end_date) < new Date());
+
+/**
+ * Check whether a student's attendance earns a certificate
+ * @param {Object} event - Event row
+ * @param {Object} template - Effective template
+ * @param {Object|null} attendance - Row from CertificateModel.getAttendance
+ * @returns {Object} { eligible, reason }
+ */
+export const checkEligibility = (event, template, attendance) => {
+  if (!template.is_enabled) {
+    return { eligible: false, reason: 'Certificates are not enabled for this event' };
+  }
+
+  if (!isEventFinished(event)) {
+    return { eligible: false, reason: 'Certificates are available after the event ends' };
+  }
+
+  if (!attendance) {
+    return { eligible: false, reason: 'No check-in recorded for this event' };
+  }
+
+  const minMinutes = parseInt(template.min_attendance_minutes) || 0;
+  if (parseInt(attendance.time_spent_minutes) < minMinutes) {
+    return {
+      eligible: false,
+      reason: `Minimum attendance of ${formatDuration(minMinutes)} not met ` +
+        `(recorded: ${formatDuration(attendance.time_spent_minutes)})`
+    };
+  }
+
+  return { eligible: true, reason: null };
+};
+
+/**
+ * Issue a certificate (idempotent - returns the existing one if already issued)
+ * Caller must check eligibility first.
+ * @param {Object} event - Event row
+ * @param {Object} attendance - Row from CertificateModel.getAttendance
+ * @param {string|null} issuedByUserId - Manager/admin, or null when the student downloads it
+ * @returns {Promise<Object>} { certificate, created }
+ */
+export const issueCertificate = async (event, attendance, issuedByUserId = null) => {
+  for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+    const certificate = await CertificateModel.create({
+      event_id: event.id,
+      student_id: attendance.student_id,
+      registration_id: attendance.registration_id,
+      verification_code: generateVerificationCode(),
+      student_name: attendance.full_name,
+      registration_no: attendance.registration_no,
+      school_name: attendance.school_name,
+      event_name: event.event_name,
+      event_code: event.event_code,
+      first_check_in_at: attendance.first_check_in_at,
+      last_check_out_at: attendance.last_check_out_at,
+      days_attended: attendance.days_attended,
+      time_spent_minutes: attendance.time_spent_minutes,
+      issued_by_user_id: issuedByUserId
+    });
+
+    if (certificate) {
+      return { certificate, created: true };
+    }
+
+    // Either already issued (possibly concurrently) or a code collision - retry only the latter
+    const existing = await CertificateModel.findByEventAndStudent(event.id, attendance.student_id);
+    if (existing) {
+      return { certificate: existing, created: false };
+    }
+  }
+
+  throw new Error('Could not generate a unique verification code');
+};
+
+/**
+ * Public URL a verifier opens (also encoded in the certificate QR)
+ * CERTIFICATE_VERIFY_URL overrides the URL derived from the request (e.g. a frontend page)
+ * @param {Object} req - Express request
+ * @param {string} code - Verification code
+ * @returns {string}
+ */
+export const getVerifyUrl = (req, code) => {
+  const base = process.env.CERTIFICATE_VERIFY_URL ||
+    `${req.protocol}://${req.get('host')}/api/certificates/verify`;
+  return `${base.replace(/\/+$/, '')}/${encodeURIComponent(code)}`;
+};
+
+/**
+ * Render a certificate as an A4 landscape PDF
+ * @param {Object} certificate - Certificate row (joined with event start_date/end_date)
+ * @param {Object} template - Effective template
+ * @param {string} verifyUrl - Verification URL for the QR code
+ * @returns {Promise<Buffer>}
+ */
+export const renderCertificatePdf = async (certificate, template, verifyUrl) => {
+  const qrBuffer = await QRCode.toBuffer(verifyUrl, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+
+  const values = {
+    student_name: certificate.student_name,
+    registration_no: certificate.registration_no || '-',
+    school_name: certificate.school_name || template.organization_name,
+    event_name: certificate.event_name,
+    event_code: certificate.event_code || '',
+    event_dates: formatEventDates(certificate.start_date, certificate.end_date),
+    time_spent: formatDuration(certificate.time_spent_minutes),
+    days_attended: certificate.days_attended,
+    verification_code: certificate.verification_code
+  };
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: 0,
+    info: {
+      Title: `${template.title} - ${certificate.student_name}`,
+      Author: template.organization_name,
+      Subject: certificate.event_name
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const { width, height } = doc.page;
+  const accent = template.accent_color || DEFAULT_TEMPLATE.accent_color;
+  const contentX = 90;
+  const contentWidth = width - contentX * 2;
+
+  // Border
+  doc.lineWidth(6).strokeColor(accent).rect(20, 20, width - 40, height - 40).stroke();
+  doc.lineWidth(1).rect(32, 32, width - 64, height - 64).stroke();
+
+  doc.fillColor(accent).font('Helvetica-Bold').fontSize(18)
+    .text(template.organization_name.toUpperCase(), contentX, 70, { width: contentWidth, align: 'center', characterSpacing: 2 });
+
+  doc.fontSize(34)
+    .text(template.title, contentX, 110, { width: contentWidth, align: 'center' });
+
+  doc.fillColor('#444444').font('Helvetica').fontSize(14)
+    .text('This certificate is presented to', contentX, 180, { width: contentWidth, align: 'center' });
+
+  doc.fillColor('#111111').font('Helvetica-Bold').fontSize(28)
+    .text(certificate.student_name, contentX, 210, { width: contentWidth, align: 'center' });
+
+  doc.fillColor('#333333').font('Helvetica').fontSize(14)
+    .text(fillTemplate(template.body_text, values), contentX + 30, 270, {
+      width: contentWidth - 60,
+      align: 'center',
+      lineGap: 4
+    });
+
+  // Signatory (bottom left)
+  const footerY = height - 150;
+  if (template.signatory_name) {
+    doc.lineWidth(1).strokeColor('#999999').moveTo(contentX, footerY + 30).lineTo(contentX + 200, footerY + 30).stroke();
+    doc.fillColor('#111111').font('Helvetica-Bold').fontSize(12)
+      .text(template.signatory_name, contentX, footerY + 38, { width: 200, align: 'center' });
+    if (template.signatory_title) {
+      doc.fillColor('#555555').font('Helvetica').fontSize(10)
+        .text(template.signatory_title, contentX, footerY + 54, { width: 200, align: 'center' });
+    }
+  }
+
+  doc.fillColor('#555555').font('Helvetica').fontSize(10)
+    .text(`Issued on ${formatDate(certificate.issued_at || new Date())}`, contentX, height - 70, { width: 300 });
+
+  // Verification QR + code (bottom right)
+  const qrSize = 90;
+  const qrX = width - contentX - qrSize;
+  doc.image(qrBuffer, qrX, footerY - 10, { width: qrSize, height: qrSize });
+  doc.fillColor('#333333').font('Helvetica-Bold').fontSize(10)
+    .text(certificate.verification_code, qrX - 60, footerY + qrSize - 4, { width: qrSize + 60, align: 'right' });
+  doc.font('Helvetica').fontSize(8)
+    .text('Scan or visit the verification link to confirm authenticity', qrX - 160, footerY + qrSize + 10, {
+      width: qrSize + 160,
+      align: 'right'
+    });
+
+  doc.end();
+  return done;
+};
+
+export default {
+  DEFAULT_TEMPLATE,
+  TEMPLATE_PLACEHOLDERS,
+  generateVerificationCode,
+  normalizeVerificationCode,
+  formatDuration,
+  formatEventDates,
+  fillTemplate,
+  getEffectiveTemplate,
+  isEventFinished,
+  checkEligibility,
+  issueCertificate,
+  getVerifyUrl,
+  renderCertificatePdf
+};
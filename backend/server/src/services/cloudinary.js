@@ -78,6 +78,25 @@ const uploadStallImage = async (base64Image, eventId, stallId) => {
   }
 };
 
+/**
+ * Upload a file attached to a registration form answer
+ * @param {string} base64File - Base64 data URI (image, PDF, document or zip)
+ * @param {string} eventId - Event ID for folder organization
+ * @returns {Promise<string>} - Cloudinary URL
+ */
+const uploadRegistrationFile = async (base64File, eventId) => {
+  try {
+    const result = await cloudinary.uploader.upload(base64File, {
+      folder: `sgtu-events/events/${eventId}/registration-files`,
+      resource_type: 'auto'
+    });
+    return result.secure_url;
+  } catch (error) {
+    console.error('Error uploading registration file to Cloudinary:', error);
+    throw new Error('Failed to upload registration file');
+  }
+};
+
 /**
  * Delete image from Cloudinary
  * @param {string} imageUrl - Cloudinary image URL to delete
@@ -102,5 +121,6 @@ export {
   uploadEventBanner,
   uploadEventImage,
   uploadStallImage,
+  uploadRegistrationFile,
   deleteImage,
 };
@@ -0,0 +1,378 @@
+/**
+ * Event Lifecycle Service
+ * Background scheduler that moves events through their date-driven states
+ * and cleans up stale records:
+ * - APPROVED -> ACTIVE when start_date passes
+ * - APPROVED/ACTIVE -> COMPLETED when end_date passes (students still inside are checked out)
+ * - Students still inside a session when its end_time passes are checked out of it
+ * - COMPLETED -> ARCHIVED after EVENT_ARCHIVE_AFTER_DAYS
+ * - PENDING bulk_registration_requests past expires_at -> EXPIRED
+ * - Unpaid PENDING registrations older than PAYMENT_PENDING_EXPIRY_MINUTES -> EXPIRED
+ * - Stall queue tokens called but not claimed in time, or left open when the event ended -> EXPIRED (not audited)
+ * - Failed notifications whose retry backoff has elapsed are sent again (not audited)
+ *
+ * Every transition is written to the audit log.
+ *
+ * Config (env):
+ * - LIFECYCLE_SCHEDULER_ENABLED: set to 'false' to disable (default: enabled)
+ * - LIFECYCLE_INTERVAL_SECONDS: seconds between runs (default: 60)
+ * - EVENT_ARCHIVE_AFTER_DAYS: days after end_date before archiving (default: 30)
+ * - PAYMENT_PENDING_EXPIRY_MINUTES: minutes before an unpaid registration expires (default: 30)
+ */
+import { pool, query } from '../config/db.js';
+import EventRegistrationModel from '../models/EventRegistration.model.js';
+import Student from '../models/Student.model.js';
+import CheckInOut from '../models/CheckInOut.model.js';
+import EventSessionModel from '../models/EventSession.model.js';
+import { promoteFromWaitlist } from './waitlist.service.js';
+import { expireStaleTokens } from './stallQueue.service.js';
+import { publishOccupancy, publishRegistrationCount } from './realtime.js';
+import NotificationService from './notification.js';
+import { logAuditEvent, AuditEventType } from '../utils/auditLogger.js';
+
+// Same cap the gate scanner applies to a single visit
+const MAX_VISIT_DURATION_MINUTES = 600;
+
+const SCHEDULER_ACTOR = {
+  user_id: null,
+  user_role: 'SYSTEM'
+};
+
+let schedulerTimer = null;
+let isRunning = false;
+
+const getConfig = () => ({
+  intervalSeconds: parseInt(process.env.LIFECYCLE_INTERVAL_SECONDS) || 60,
+  archiveAfterDays: parseInt(process.env.EVENT_ARCHIVE_AFTER_DAYS) || 30,
+  paymentExpiryMinutes: parseInt(process.env.PAYMENT_PENDING_EXPIRY_MINUTES) || 30
+});
+
+/**
+ * Audit one event status change made by the scheduler
+ * @param {Object} event - { id, event_name, event_code, previous_status, status }
+ */
+const logStatusChange = (event) =>
+  logAuditEvent({
+    ...SCHEDULER_ACTOR,
+    event_type: AuditEventType.EVENT_STATUS_CHANGED,
+    resource_type: 'EVENT',
+    resource_id: event.id,
+    metadata: {
+      source: 'lifecycle_scheduler',
+      event_name: event.event_name,
+      event_code: event.event_code,
+      from: event.previous_status,
+      to: event.status
+    }
+  });
+
+/**
+ * APPROVED -> ACTIVE for events that have started
+ * @returns {Promise<Array>} Activated events
+ */
+export const activateStartedEvents = async () => {
+  const events = await pool`
+    UPDATE events
+    SET status = 'ACTIVE', updated_at = NOW()
+    WHERE status = 'APPROVED'
+      AND start_date <= NOW()
+      AND end_date > NOW()
+    RETURNING id, event_name, event_code, status, 'APPROVED' AS previous_status
+  `;
+
+  for (const event of events) {
+    await logStatusChange(event);
+  }
+
+  return events;
+};
+
+/**
+ * Check out students still inside an event that has ended
+ * Writes a CHECKOUT scan (no volunteer) and credits the capped visit duration
+ * @param {string} eventId - Event UUID
+ * @returns {Promise<number>} Number of students checked out
+ */
+export const autoCheckOutEvent = async (eventId) => {
+  const registrations = await EventRegistrationModel.autoCheckOut(eventId, MAX_VISIT_DURATION_MINUTES);
+
+  for (const registration of registrations) {
+    const student = await Student.recordGateScan(registration.student_id, false, query);
+
+    await CheckInOut.create({
+      student_id: registration.student_id,
+      volunteer_id: null,
+      event_id: eventId,
+      scan_type: 'CHECKOUT',
+      scan_number: student.total_scan_count,
+      duration_minutes: registration.duration_minutes,
+      is_auto_checkout: true
+    }, query);
+
+    await Student.updateActiveDuration(registration.student_id, registration.duration_minutes, query);
+
+    await logAuditEvent({
+      ...SCHEDULER_ACTOR,
+      event_type: AuditEventType.STUDENT_AUTO_CHECKED_OUT,
+      resource_type: 'REGISTRATION',
+      resource_id: registration.id,
+      metadata: {
+        source: 'lifecycle_scheduler',
+        event_id: eventId,
+        student_id: registration.student_id,
+        duration_minutes: registration.duration_minutes
+      }
+    });
+  }
+
+  if (registrations.length > 0) {
+    publishOccupancy(eventId);
+  }
+
+  return registrations.length;
+};
+
+/**
+ * APPROVED/ACTIVE -> COMPLETED for events that have ended
+ * @returns {Promise<Object>} { events, checked_out }
+ */
+export const completeEndedEvents = async () => {
+  const events = await pool`
+    UPDATE events e
+    SET status = 'COMPLETED', updated_at = NOW()
+    FROM (
+      SELECT id, status AS previous_status
+      FROM events
+      WHERE status IN ('APPROVED', 'ACTIVE')
+        AND end_date <= NOW()
+    ) ended
+    WHERE e.id = ended.id
+    RETURNING e.id, e.event_name, e.event_code, e.status, ended.previous_status
+  `;
+
+  let checkedOut = 0;
+  for (const event of events) {
+    await logStatusChange(event);
+    checkedOut += await autoCheckOutEvent(event.id);
+  }
+
+  return { events, checked_out: checkedOut };
+};
+
+/**
+ * Check students out of sessions that have ended
+ * Visits are closed at the session's end_time; writes a CHECKOUT scan (no volunteer) per student
+ * @returns {Promise<Array>} Closed session attendance rows
+ */
+export const autoCheckOutEndedSessions = async () => {
+  const attendances = await EventSessionModel.autoCheckOutEnded();
+
+  for (const attendance of attendances) {
+    const student = await Student.incrementScanCount(attendance.student_id, query);
+
+    await CheckInOut.create({
+      student_id: attendance.student_id,
+      volunteer_id: null,
+      event_id: attendance.event_id,
+      session_id: attendance.session_id,
+      scan_type: 'CHECKOUT',
+      scan_number: student.total_scan_count,
+      scanned_at: attendance.last_check_out_at,
+      duration_minutes: attendance.duration_minutes,
+      is_auto_checkout: true
+    }, query);
+  }
+
+  return attendances;
+};
+
+/**
+ * COMPLETED -> ARCHIVED once an event has been over for archiveAfterDays
+ * @param {number} archiveAfterDays - Days after end_date
+ * @returns {Promise<Array>} Archived events
+ */
+export const archiveCompletedEvents = async (archiveAfterDays) => {
+  const events = await pool(
+    `UPDATE events
+     SET status = 'ARCHIVED', updated_at = NOW()
+     WHERE status = 'COMPLETED'
+       AND end_date <= NOW() - ($1 || ' days')::interval
+     RETURNING id, event_name, event_code, status, 'COMPLETED' AS previous_status`,
+    [archiveAfterDays]
+  );
+
+  for (const event of events) {
+    await logStatusChange(event);
+  }
+
+  return events;
+};
+
+/**
+ * PENDING -> EXPIRED for bulk registration requests past expires_at
+ * @returns {Promise<Array>} Expired requests
+ */
+export const expireBulkRequests = async () => {
+  const requests = await pool`
+    UPDATE bulk_registration_requests
+    SET status = 'EXPIRED', updated_at = NOW()
+    WHERE status = 'PENDING'
+      AND expires_at < NOW()
+    RETURNING id, event_id, requested_by_user_id, total_count
+  `;
+
+  for (const request of requests) {
+    await logAuditEvent({
+      ...SCHEDULER_ACTOR,
+      event_type: AuditEventType.BULK_REQUEST_EXPIRED,
+      resource_type: 'BULK_REGISTRATION_REQUEST',
+      resource_id: request.id,
+      metadata: {
+        source: 'lifecycle_scheduler',
+        event_id: request.event_id,
+        requested_by: request.requested_by_user_id,
+        total_count: request.total_count
+      }
+    });
+  }
+
+  return requests;
+};
+
+/**
+ * Expire unpaid registrations and hand their seats to the waitlist
+ * @param {number} olderThanMinutes - Age after which a pending payment is abandoned
+ * @returns {Promise<Object>} { registrations, promoted }
+ */
+export const expirePendingRegistrations = async (olderThanMinutes) => {
+  const registrations = await EventRegistrationModel.expirePendingPayments(olderThanMinutes);
+
+  for (const registration of registrations) {
+    await logAuditEvent({
+      ...SCHEDULER_ACTOR,
+      event_type: AuditEventType.REGISTRATION_EXPIRED,
+      resource_type: 'REGISTRATION',
+      resource_id: registration.id,
+      metadata: {
+        source: 'lifecycle_scheduler',
+        event_id: registration.event_id,
+        student_id: registration.student_id,
+        razorpay_order_id: registration.razorpay_order_id,
+        from: 'PENDING',
+        to: 'EXPIRED'
+      }
+    });
+  }
+
+  // Released seats go to the waitlist, one promotion run per event
+  const releasedPerEvent = registrations.reduce((acc, registration) => {
+    acc[registration.event_id] = (acc[registration.event_id] || 0) + 1;
+    return acc;
+  }, {});
+
+  let promoted = 0;
+  for (const [eventId, spots] of Object.entries(releasedPerEvent)) {
+    const result = await promoteFromWaitlist(eventId, spots);
+    promoted += result.promoted_count;
+    publishRegistrationCount(eventId);
+  }
+
+  return { registrations, promoted };
+};
+
+/**
+ * Run every lifecycle step once
+ * A failing step is logged and does not stop the others
+ * @returns {Promise<Object>} Summary counts per step
+ */
+export const runLifecycleTick = async () => {
+  const config = getConfig();
+  const summary = {};
+
+  const steps = [
+    ['activated', async () => (await activateStartedEvents()).length],
+    ['completed', async () => {
+      const { events, checked_out } = await completeEndedEvents();
+      summary.auto_checked_out = checked_out;
+      return events.length;
+    }],
+    ['sessions_checked_out', async () => (await autoCheckOutEndedSessions()).length],
+    ['archived', async () => (await archiveCompletedEvents(config.archiveAfterDays)).length],
+    ['bulk_requests_expired', async () => (await expireBulkRequests()).length],
+    ['registrations_expired', async () => {
+      const { registrations, promoted } = await expirePendingRegistrations(config.paymentExpiryMinutes);
+      summary.waitlist_promoted = promoted;
+      return registrations.length;
+    }],
+    ['queue_tokens_expired', async () => (await expireStaleTokens()).length],
+    ['notifications_retried', async () => (await NotificationService.retryDue()).sent]
+  ];
+
+  for (const [name, step] of steps) {
+    try {
+      summary[name] = await step();
+    } catch (error) {
+      console.error(`❌ [LIFECYCLE] ${name} step failed:`, error.message);
+      summary[name] = null;
+    }
+  }
+
+  const changes = Object.values(summary).some((count) => count > 0);
+  if (changes) {
+    console.log('🔄 [LIFECYCLE]', JSON.stringify(summary));
+  }
+
+  return summary;
+};
+
+/**
+ * Start the background scheduler (no-op if disabled or already running)
+ */
+export const startLifecycleScheduler = () => {
+  if (schedulerTimer || process.env.LIFECYCLE_SCHEDULER_ENABLED === 'false') {
+    return;
+  }
+
+  const { intervalSeconds } = getConfig();
+
+  const tick = async () => {
+    // Skip if the previous run is still going (slow DB)
+    if (isRunning) return;
+    isRunning = true;
+    try {
+      await runLifecycleTick();
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, intervalSeconds * 1000);
+  // Don't keep the process alive just for the scheduler
+  schedulerTimer.unref();
+  tick();
+
+  console.log(`⏰ Lifecycle scheduler running every ${intervalSeconds}s`);
+};
+
+/**
+ * Stop the background scheduler
+ */
+export const stopLifecycleScheduler = () => {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+};
+
+export default {
+  activateStartedEvents,
+  completeEndedEvents,
+  archiveCompletedEvents,
+  expireBulkRequests,
+  expirePendingRegistrations,
+  autoCheckOutEvent,
+  autoCheckOutEndedSessions,
+  runLifecycleTick,
+  startLifecycleScheduler,
+  stopLifecycleScheduler
+};
@@ -0,0 +1,292 @@
+/**
+ * Event Template Service
+ * Snapshots an event's reusable setup (settings, refund tiers, registration form, stalls,
+ * volunteer assignments, pricing rules) and creates new DRAFT events from a snapshot,
+ * either directly (clone) or from a saved template. Dates are shifted so the copy keeps
+ * the source's schedule relative to the new start date.
+ */
+import { query } from '../config/db.js';
+import EventModel from '../models/Event.model.js';
+import EventVolunteerModel from '../models/EventVolunteer.model.js';
+import PricingRuleModel from '../models/PricingRule.model.js';
+import Stall from '../models/Stall.model.js';
+import QRCodeService from './qrCode.js';
+
+export const SNAPSHOT_VERSION = 1;
+
+const EVENT_CODE_PATTERN = /^[A-Z0-9_-]+$/;
+const STALL_PREFIX_PATTERN = /^[A-Z0-9]{1,8}$/;
+const MAX_STALL_NUMBER_LENGTH = 20;
+
+// Event columns carried over to copies (dates are shifted separately)
+const EVENT_FIELDS = [
+  'event_name', 'description', 'event_type', 'price', 'currency',
+  'event_category', 'tags', 'venue', 'max_capacity', 'waitlist_enabled', 'allow_walk_ins',
+  'refund_policy', 'refund_enabled', 'cancellation_deadline_hours', 'refund_tiers',
+  'banner_image_url', 'event_images', 'registration_form',
+  'is_team_event', 'team_min_size', 'team_max_size'
+];
+
+const EVENT_DATE_FIELDS = ['start_date', 'end_date', 'registration_start_date', 'registration_end_date'];
+
+const shiftDate = (date, offsetMs) => (date ? new Date(new Date(date).getTime() + offsetMs) : null);
+
+/**
+ * Capture the reusable setup of an event
+ * @param {Object} event - Event row
+ * @returns {Promise<Object>} { version, event, stalls, volunteers, pricing_rules }
+ */
+export const buildEventSnapshot = async (event) => {
+  const eventData = {};
+  for (const field of [...EVENT_FIELDS, ...EVENT_DATE_FIELDS]) {
+    eventData[field] = event[field] ?? null;
+  }
+
+  const stalls = await Stall.findByEvent(event.id, query);
+  const volunteers = await EventVolunteerModel.getEventVolunteers(event.id);
+  const pricingRules = await PricingRuleModel.findByEvent(event.id);
+
+  return {
+    version: SNAPSHOT_VERSION,
+    event: eventData,
+    stalls: stalls.map(stall => ({
+      stall_number: stall.stall_number,
+      stall_name: stall.stall_name,
+      school_id: stall.school_id,
+      description: stall.description,
+      location: stall.location,
+      image_url: stall.image_url
+    })),
+    volunteers: volunteers.map(assignment => ({
+      volunteer_id: assignment.volunteer_id,
+      volunteer_name: assignment.volunteer_name,
+      assigned_location: assignment.assigned_location,
+      permissions: assignment.permissions
+    })),
+    pricing_rules: pricingRules.map(rule => ({
+      rule_name: rule.rule_name,
+      rule_type: rule.rule_type,
+      discount_type: rule.discount_type,
+      discount_value: rule.discount_value,
+      coupon_code: rule.coupon_code,
+      school_id: rule.school_id,
+      min_group_size: rule.min_group_size,
+      valid_from: rule.valid_from,
+      valid_until: rule.valid_until,
+      max_uses: rule.max_uses,
+      is_active: rule.is_active
+    }))
+  };
+};
+
+/**
+ * Validate the new identity and schedule of a copy
+ * Registration dates default to the source's, shifted with the start date
+ * @param {Object} body - { event_code, event_name, start_date, end_date,
+ *                          registration_start_date, registration_end_date, stall_number_prefix }
+ * @param {Object} snapshot - Source snapshot
+ * @returns {Promise<{ data: Object }|{ error: string, status: number }>}
+ */
+export const validateCopyInput = async (body, snapshot) => {
+  const eventCode = typeof body.event_code === 'string' ? body.event_code.trim() : '';
+  if (!eventCode) {
+    return { error: 'event_code is required', status: 400 };
+  }
+  if (!EVENT_CODE_PATTERN.test(eventCode)) {
+    return { error: 'Event code must contain only uppercase letters, numbers, hyphens, and underscores', status: 400 };
+  }
+  if (await EventModel.findByCode(eventCode)) {
+    return { error: 'Event code already exists', status: 400 };
+  }
+
+  if (!body.start_date || !body.end_date) {
+    return { error: 'start_date and end_date are required', status: 400 };
+  }
+
+  const startDate = new Date(body.start_date);
+  const endDate = new Date(body.end_date);
+  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    return { error: 'Invalid date format', status: 400 };
+  }
+  if (startDate >= endDate) {
+    return { error: 'Event start date must be before end date', status: 400 };
+  }
+
+  // Everything else in the snapshot moves by the same amount as the start date
+  const offsetMs = startDate.getTime() - new Date(snapshot.event.start_date).getTime();
+
+  const regStartDate = body.registration_start_date
+    ? new Date(body.registration_start_date)
+    : shiftDate(snapshot.event.registration_start_date, offsetMs);
+  const regEndDate = body.registration_end_date
+    ? new Date(body.registration_end_date)
+    : shiftDate(snapshot.event.registration_end_date, offsetMs);
+
+  if (!regStartDate || !regEndDate || isNaN(regStartDate.getTime()) || isNaN(regEndDate.getTime())) {
+    return { error: 'Invalid registration date format', status: 400 };
+  }
+  if (regStartDate >= regEndDate) {
+    return { error: 'Registration start date must be before registration end date', status: 400 };
+  }
+  if (regEndDate > startDate) {
+    return { error: 'Registration must close before event starts', status: 400 };
+  }
+
+  const eventName = body.event_name !== undefined ? String(body.event_name).trim() : snapshot.event.event_name;
+  if (!eventName) {
+    return { error: 'event_name cannot be empty', status: 400 };
+  }
+
+  // Stall numbers (and the stall QR tokens derived from them) are unique across all events
+  const stallNumbers = {};
+  if (snapshot.stalls.length > 0) {
+    const prefix = typeof body.stall_number_prefix === 'string' ? body.stall_number_prefix.trim().toUpperCase() : '';
+    if (!STALL_PREFIX_PATTERN.test(prefix)) {
+      return {
+        error: 'stall_number_prefix (1-8 letters/digits) is required to number the copied stalls, e.g. "S26" turns CS-001 into S26-CS-001',
+        status: 400
+      };
+    }
+
+    for (const stall of snapshot.stalls) {
+      stallNumbers[stall.stall_number] = `${prefix}-${stall.stall_number}`;
+    }
+
+    const tooLong = Object.values(stallNumbers).filter(number => number.length > MAX_STALL_NUMBER_LENGTH);
+    if (tooLong.length > 0) {
+      return { error: `Stall numbers would exceed ${MAX_STALL_NUMBER_LENGTH} characters: ${tooLong.join(', ')}. Use a shorter prefix.`, status: 400 };
+    }
+
+    const taken = await query(
+      'SELECT stall_number FROM stalls WHERE stall_number = ANY($1)',
+      [Object.values(stallNumbers)]
+    );
+    if (taken.length > 0) {
+      return {
+        error: `Stall numbers already in use: ${taken.map(row => row.stall_number).join(', ')}. Choose another stall_number_prefix.`,
+        status: 409
+      };
+    }
+  }
+
+  return {
+    data: {
+      event_code: eventCode,
+      event_name: eventName,
+      start_date: startDate,
+      end_date: endDate,
+      registration_start_date: regStartDate,
+      registration_end_date: regEndDate,
+      offset_ms: offsetMs,
+      stall_numbers: stallNumbers
+    }
+  };
+};
+
+/**
+ * Create a DRAFT event with everything in the snapshot
+ * @param {Object} snapshot - From buildEventSnapshot (or a saved template)
+ * @param {Object} input - data from validateCopyInput
+ * @param {string} managerId - Event manager creating the copy
+ * @param {Object} source - { cloned_from_event_id } or { created_from_template_id }
+ * @returns {Promise<Object>} { event, stalls, volunteers, pricing_rules, skipped_volunteers }
+ */
+export const createEventFromSnapshot = async (snapshot, input, managerId, source = {}) => {
+  const eventData = {};
+  for (const field of EVENT_FIELDS) {
+    if (snapshot.event[field] !== null && snapshot.event[field] !== undefined) {
+      eventData[field] = snapshot.event[field];
+    }
+  }
+
+  const event = await EventModel.create({
+    ...eventData,
+    event_name: input.event_name,
+    event_code: input.event_code,
+    start_date: input.start_date,
+    end_date: input.end_date,
+    registration_start_date: input.registration_start_date,
+    registration_end_date: input.registration_end_date,
+    cloned_from_event_id: source.cloned_from_event_id || null,
+    created_from_template_id: source.created_from_template_id || null
+  }, managerId);
+
+  // The copy is built with separate writes (QR tokens need the stall IDs), so a failure
+  // partway removes the new event instead of leaving a half-built DRAFT holding its event_code
+  try {
+    if (Array.isArray(snapshot.event.registration_form) && snapshot.event.registration_form.length > 0) {
+      await EventModel.updateRegistrationForm(event.id, snapshot.event.registration_form);
+    }
+
+    const stalls = [];
+    for (const stall of snapshot.stalls) {
+      const created = await Stall.create({
+        ...stall,
+        stall_number: input.stall_numbers[stall.stall_number],
+        event_id: event.id
+      }, query);
+      await QRCodeService.generateAndSaveStallQR(created, query);
+      stalls.push({
+        id: created.id,
+        stall_number: created.stall_number,
+        stall_name: created.stall_name,
+        copied_from_stall_number: stall.stall_number
+      });
+    }
+
+    // Only volunteers whose accounts are still active are re-assigned
+    const volunteers = [];
+    const skippedVolunteers = [];
+    if (snapshot.volunteers.length > 0) {
+      const active = await query(
+        'SELECT id FROM volunteers WHERE id = ANY($1) AND is_active = true',
+        [snapshot.volunteers.map(volunteer => volunteer.volunteer_id)]
+      );
+      const activeIds = new Set(active.map(row => row.id));
+
+      for (const volunteer of snapshot.volunteers) {
+        if (!activeIds.has(volunteer.volunteer_id)) {
+          skippedVolunteers.push({ volunteer_id: volunteer.volunteer_id, volunteer_name: volunteer.volunteer_name });
+          continue;
+        }
+        volunteers.push(await EventVolunteerModel.assignVolunteer(event.id, volunteer.volunteer_id, managerId, {
+          assigned_location: volunteer.assigned_location,
+          permissions: volunteer.permissions
+        }));
+      }
+    }
+
+    const pricingRules = [];
+    if (event.event_type === 'PAID') {
+      for (const rule of snapshot.pricing_rules) {
+        pricingRules.push(await PricingRuleModel.create(event.id, {
+          ...rule,
+          valid_from: shiftDate(rule.valid_from, input.offset_ms),
+          valid_until: shiftDate(rule.valid_until, input.offset_ms)
+        }, managerId));
+      }
+    }
+
+    return {
+      event: await EventModel.findById(event.id),
+      stalls,
+      volunteers,
+      pricing_rules: pricingRules,
+      skipped_volunteers: skippedVolunteers
+    };
+  } catch (error) {
+    try {
+      await EventModel.discardDraft(event.id);
+    } catch (cleanupError) {
+      console.error(`❌ [EVENT COPY] Could not remove incomplete event ${event.id}:`, cleanupError);
+    }
+    throw error;
+  }
+};
+
+export default {
+  SNAPSHOT_VERSION,
+  buildEventSnapshot,
+  validateCopyInput,
+  createEventFromSnapshot
+};
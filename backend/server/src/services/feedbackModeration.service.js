@@ -0,0 +1,335 @@
+/**
+ * Feedback Moderation Service
+ * Screens feedback comments before stalls see them. An event stores only the settings it
+ * overrides (events.moderation_config); everything else comes from DEFAULT_MODERATION_CONFIG.
+ * Comments the rules catch are held as PENDING until an admin or the event's manager
+ * approves, rejects or redacts them. Only APPROVED feedback is shown to stalls and
+ * counted in rankings.
+ */
+import EventModel from '../models/Event.model.js';
+
+export const MODERATION_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+export const MODERATION_ACTIONS = ['APPROVE', 'REJECT', 'REDACT'];
+
+/**
+ * What happens to a comment containing a listed word:
+ * HOLD it for review, REDACT the words and publish it, or BLOCK the submission
+ */
+export const WORD_LIST_ACTIONS = ['HOLD', 'REDACT', 'BLOCK'];
+
+// Longest comment a student can submit or a moderator can publish in its place
+export const MAX_COMMENT_LENGTH = 1000;
+
+// Built-in word list (English and common Hindi abuse); events can add words or allow some
+export const DEFAULT_WORD_LIST = [
+  'fuck', 'shit', 'bitch', 'bastard', 'asshole', 'dickhead', 'motherfucker', 'bullshit',
+  'slut', 'whore', 'retard', 'idiot',
+  'chutiya', 'madarchod', 'behenchod', 'bhenchod', 'bhosdike', 'gandu', 'harami', 'randi', 'kamina'
+];
+
+/**
+ * Rules used when an event has no overrides
+ */
+export const DEFAULT_MODERATION_CONFIG = {
+  enabled: true,
+  use_default_word_list: true,
+  // Extra words or phrases for this event
+  word_list: [],
+  // Words never matched, even if the default list has them
+  allowed_words: [],
+  word_list_action: 'HOLD',
+  // Hold comments containing links or e-mail addresses
+  hold_links: true,
+  // Pre-moderate every comment
+  hold_all_comments: false
+};
+
+const MAX_WORDS = 500;
+const MAX_WORD_LENGTH = 50;
+const LINK_PATTERN = /(https?:\/\/|www\.|\b[a-z0-9-]+\.(com|in|net|org|io|co|xyz|ly)\b|[^\s@]+@[^\s@]+\.[a-z]{2,})/i;
+// Look-alike characters folded before matching (same length, so matches map back to the comment)
+const LOOK_ALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+const WORD_SUFFIXES = '(?:s|es|ed|er|ers|ing|y)?';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const parseWordList = (value, path) => {
+  if (!Array.isArray(value)) {
+    return { error: `${path} must be an array of words` };
+  }
+  if (value.length > MAX_WORDS) {
+    return { error: `${path} can hold at most ${MAX_WORDS} words` };
+  }
+
+  const words = [];
+  for (const entry of value) {
+    const word = typeof entry === 'string' ? entry.trim().toLowerCase().replace(/\s+/g, ' ') : '';
+    if (!word || word.length > MAX_WORD_LENGTH || !/^[\p{L}\p{N}' -]+$/u.test(word)) {
+      return { error: `${path} entries must be words or phrases of up to ${MAX_WORD_LENGTH} letters` };
+    }
+    words.push(word);
+  }
+  return { words: [...new Set(words)] };
+};
+
+/**
+ * Validate and normalize moderation overrides from a request body.
+ * Omitted settings keep their defaults.
+ * @param {Object} input
+ * @returns {{ config: Object }|{ error: string }}
+ */
+export const validateModerationConfig = (input) => {
+  if (!isPlainObject(input)) {
+    return { error: 'config must be an object' };
+  }
+  const allowed = Object.keys(DEFAULT_MODERATION_CONFIG);
+  const unknown = Object.keys(input).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Unknown moderation setting(s): ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}` };
+  }
+
+  const config = {};
+
+  for (const key of ['enabled', 'use_default_word_list', 'hold_links', 'hold_all_comments']) {
+    if (input[key] === undefined) continue;
+    if (typeof input[key] !== 'boolean') {
+      return { error: `${key} must be true or false` };
+    }
+    config[key] = input[key];
+  }
+
+  for (const key of ['word_list', 'allowed_words']) {
+    if (input[key] === undefined) continue;
+    const { words, error } = parseWordList(input[key], key);
+    if (error) return { error };
+    config[key] = words;
+  }
+
+  if (input.word_list_action !== undefined) {
+    const action = String(input.word_list_action).toUpperCase();
+    if (!WORD_LIST_ACTIONS.includes(action)) {
+      return { error: `word_list_action must be one of: ${WORD_LIST_ACTIONS.join(', ')}` };
+    }
+    config.word_list_action = action;
+  }
+
+  return { config };
+};
+
+/**
+ * Overrides on top of the defaults
+ * @param {Object|null} overrides - events.moderation_config
+ * @returns {Object}
+ */
+export const resolveModerationConfig = (overrides) => ({
+  ...DEFAULT_MODERATION_CONFIG,
+  ...(overrides || {})
+});
+
+/**
+ * Effective moderation config of an event (defaults if the event has none or does not exist)
+ * @param {string} eventId - Event UUID
+ * @returns {Promise<Object>}
+ */
+export const getModerationConfig = async (eventId) => {
+  const event = eventId ? await EventModel.findById(eventId) : null;
+  return resolveModerationConfig(event?.moderation_config);
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercase and fold look-alikes one UTF-16 unit at a time, keeping offsets aligned with the input
+const foldLookAlikes = (text, lookAlikes = LOOK_ALIKES) => text.split('').map((char) => {
+  const lower = char.toLowerCase();
+  return lookAlikes[lower] || (lower.length === 1 ? lower : char);
+}).join('');
+
+/**
+ * Listed words found in a comment, as [start, end) ranges of the comment
+ * @param {string} comment
+ * @param {Object} config - Effective moderation config
+ * @returns {Array<Object>} [{ word, start, end }]
+ */
+export const findListedWords = (comment, config) => {
+  const allowedWords = new Set(config.allowed_words);
+  const words = [
+    ...(config.use_default_word_list ? DEFAULT_WORD_LIST : []),
+    ...config.word_list
+  ].filter(word => !allowedWords.has(word));
+  if (!comment || words.length === 0) return [];
+
+  const alternatives = [...new Set(words)]
+    .sort((a, b) => b.length - a.length)
+    .map(word => escapeRegExp(word).replace(/ /g, '\\s+'));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})${WORD_SUFFIXES}(?![\\p{L}\\p{N}])`, 'gu');
+
+  // Look-alikes are also punctuation ("idiot!" folds to "idioti"), so the plain text is matched too
+  const matches = [foldLookAlikes(comment), foldLookAlikes(comment, {})]
+    .flatMap(text => [...text.matchAll(pattern)])
+    .filter(match => !allowedWords.has(match[0]))
+    .map(match => ({ word: match[0], start: match.index, end: match.index + match[0].length }))
+    .sort((a, b) => a.start - b.start);
+
+  // Keep one match per range of the comment
+  return matches.filter((match, index) => index === 0 || match.start >= matches[index - 1].end);
+};
+
+/**
+ * Comment with the given ranges masked
+ * @param {string} comment
+ * @param {Array<Object>} matches - findListedWords result
+ * @returns {string}
+ */
+const maskRanges = (comment, matches) => matches.reduceRight(
+  (text, { start, end }) => text.slice(0, start) + '*'.repeat(end - start) + text.slice(end),
+  comment
+);
+
+/**
+ * Screen a new comment with an event's rules
+ * @param {string|null} comment - Comment as submitted
+ * @param {Object} config - Effective moderation config
+ * @returns {Object} { blocked, moderation_status, comment, original_comment, comment_redacted, moderation_reasons }
+ */
+export const screenComment = (comment, config) => {
+  const text = typeof comment === 'string' ? comment.trim() : '';
+  const result = {
+    blocked: false,
+    moderation_status: 'APPROVED',
+    comment: text || null,
+    original_comment: null,
+    comment_redacted: false,
+    moderation_reasons: []
+  };
+  if (!text || !config.enabled) return result;
+
+  const holdReasons = [];
+  const matches = findListedWords(text, config);
+  if (matches.length > 0) {
+    result.moderation_reasons.push('WORD_LIST');
+    if (config.word_list_action === 'BLOCK') {
+      return { ...result, blocked: true };
+    }
+    if (config.word_list_action === 'REDACT') {
+      result.comment = maskRanges(text, matches);
+      result.original_comment = text;
+      result.comment_redacted = true;
+    } else {
+      holdReasons.push('WORD_LIST');
+    }
+  }
+  if (config.hold_links && LINK_PATTERN.test(text)) {
+    result.moderation_reasons.push('LINK');
+    holdReasons.push('LINK');
+  }
+  if (config.hold_all_comments) {
+    result.moderation_reasons.push('HOLD_ALL');
+    holdReasons.push('HOLD_ALL');
+  }
+
+  if (holdReasons.length > 0) {
+    result.moderation_status = 'PENDING';
+  }
+  return result;
+};
+
+/**
+ * Screen a new feedback's comment and questionnaire answers with an event's rules
+ * Answers follow the same rules as the comment; one held answer holds the whole feedback.
+ * @param {string|null} comment - Comment as submitted
+ * @param {Object|null} answers - Question key -> answer text
+ * @param {Object} config - Effective moderation config
+ * @returns {Object} screenComment result plus { answers, original_answers }
+ */
+export const screenFeedback = (comment, answers, config) => {
+  const result = { ...screenComment(comment, config), answers: answers || null, original_answers: null };
+  if (result.blocked || !answers) return result;
+
+  const reasons = new Set(result.moderation_reasons);
+  const screenedAnswers = {};
+  let answersRedacted = false;
+  for (const [key, text] of Object.entries(answers)) {
+    const screened = screenComment(text, config);
+    screened.moderation_reasons.forEach(reason => reasons.add(reason));
+    if (screened.blocked) {
+      return { ...result, blocked: true, moderation_reasons: [...reasons] };
+    }
+    if (screened.moderation_status === 'PENDING') {
+      result.moderation_status = 'PENDING';
+    }
+    answersRedacted = answersRedacted || screened.comment_redacted;
+    screenedAnswers[key] = screened.comment;
+  }
+
+  return {
+    ...result,
+    moderation_reasons: [...reasons],
+    answers: screenedAnswers,
+    original_answers: answersRedacted ? answers : null
+  };
+};
+
+/**
+ * Changes to a feedback row for a moderator's action
+ * @param {Object} feedback - feedbacks row
+ * @param {string} action - APPROVE, REJECT or REDACT
+ * @param {Object} config - Effective moderation config of the event
+ * @param {string|null} redactedComment - REDACT only: replacement comment, trimmed and at most
+ *   MAX_COMMENT_LENGTH characters (default: listed words masked)
+ * @returns {{ changes: Object }|{ error: string }}
+ */
+export const applyModerationAction = (feedback, action, config, redactedComment = null) => {
+  if (action === 'APPROVE') {
+    return { changes: { moderation_status: 'APPROVED' } };
+  }
+  if (action === 'REJECT') {
+    return { changes: { moderation_status: 'REJECTED' } };
+  }
+
+  const original = feedback.original_comment || feedback.comment;
+  if (!original) {
+    return { error: 'This feedback has no comment to redact' };
+  }
+
+  let comment;
+  if (redactedComment !== null && redactedComment !== undefined) {
+    comment = typeof redactedComment === 'string' ? redactedComment.trim() : '';
+    if (!comment) {
+      return { error: 'comment must be non-empty text' };
+    }
+    if (comment.length > MAX_COMMENT_LENGTH) {
+      return { error: `comment can be at most ${MAX_COMMENT_LENGTH} characters` };
+    }
+  } else {
+    const matches = findListedWords(original, config);
+    if (matches.length === 0) {
+      return { error: 'No listed words found in the comment; send the redacted comment text' };
+    }
+    comment = maskRanges(original, matches);
+  }
+
+  return {
+    changes: {
+      moderation_status: 'APPROVED',
+      comment,
+      original_comment: original,
+      comment_redacted: true
+    }
+  };
+};
+
+export default {
+  MODERATION_STATUSES,
+  MODERATION_ACTIONS,
+  WORD_LIST_ACTIONS,
+  MAX_COMMENT_LENGTH,
+  DEFAULT_WORD_LIST,
+  DEFAULT_MODERATION_CONFIG,
+  validateModerationConfig,
+  resolveModerationConfig,
+  getModerationConfig,
+  findListedWords,
+  screenComment,
+  screenFeedback,
+  applyModerationAction
+};
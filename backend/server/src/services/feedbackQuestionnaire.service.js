@@ -0,0 +1,283 @@
+/**
+ * Feedback Questionnaire Service
+ * An event can replace the single 1-5 rating with a questionnaire (events.feedback_questionnaire):
+ * rated criteria with weights (e.g. innovation, presentation, usefulness) and optional
+ * short-answer questions. feedbacks.rating then holds the weighted average of the criteria,
+ * rounded to 1-5, so rankings and older screens keep working.
+ */
+import EventModel from '../models/Event.model.js';
+
+export const RATING_MIN = 1;
+export const RATING_MAX = 5;
+
+const MAX_CRITERIA = 10;
+const MAX_QUESTIONS = 10;
+const MAX_LABEL_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_WEIGHT = 100;
+const DEFAULT_ANSWER_LENGTH = 300;
+const MAX_ANSWER_LENGTH = 1000;
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isRating = (value) => Number.isInteger(value) && value >= RATING_MIN && value <= RATING_MAX;
+
+const parseText = (value, path, maxLength, required) => {
+  if (value === undefined || value === null || value === '') {
+    return required ? { error: `${path} is required` } : { text: null };
+  }
+  if (typeof value !== 'string' || !value.trim() || value.trim().length > maxLength) {
+    return { error: `${path} must be text of up to ${maxLength} characters` };
+  }
+  return { text: value.trim() };
+};
+
+const checkKeys = (item, allowed, what) => {
+  const unknown = Object.keys(item).filter(key => !allowed.includes(key));
+  return unknown.length > 0
+    ? `Unknown ${what}: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`
+    : null;
+};
+
+const parseItem = (item, path, allowed, usedKeys) => {
+  if (!isPlainObject(item)) {
+    return { error: `${path} must be an object` };
+  }
+  const keyError = checkKeys(item, allowed, `setting(s) in ${path}`);
+  if (keyError) return { error: keyError };
+
+  if (typeof item.key !== 'string' || !KEY_PATTERN.test(item.key)) {
+    return { error: `${path}.key must start with a letter and use only a-z, 0-9 and _ (max 40)` };
+  }
+  if (usedKeys.has(item.key)) {
+    return { error: `${path}.key "${item.key}" is used more than once` };
+  }
+  usedKeys.add(item.key);
+
+  const label = parseText(item.label, `${path}.label`, MAX_LABEL_LENGTH, true);
+  if (label.error) return { error: label.error };
+
+  const description = parseText(item.description, `${path}.description`, MAX_DESCRIPTION_LENGTH, false);
+  if (description.error) return { error: description.error };
+
+  if (item.required !== undefined && typeof item.required !== 'boolean') {
+    return { error: `${path}.required must be true or false` };
+  }
+
+  return { key: item.key, label: label.text, description: description.text };
+};
+
+/**
+ * Validate and normalize a questionnaire from a request body
+ * Criteria default to required with weight 1; questions default to optional.
+ * @param {Object} input - { criteria: [...], questions: [...] }
+ * @returns {{ questionnaire: Object }|{ error: string }}
+ */
+export const validateQuestionnaire = (input) => {
+  if (!isPlainObject(input)) {
+    return { error: 'questionnaire must be an object' };
+  }
+  const keyError = checkKeys(input, ['criteria', 'questions'], 'questionnaire setting(s)');
+  if (keyError) return { error: keyError };
+
+  const criteriaInput = input.criteria ?? [];
+  const questionsInput = input.questions ?? [];
+  if (!Array.isArray(criteriaInput) || criteriaInput.length > MAX_CRITERIA) {
+    return { error: `criteria must be an array of at most ${MAX_CRITERIA} items` };
+  }
+  if (!Array.isArray(questionsInput) || questionsInput.length > MAX_QUESTIONS) {
+    return { error: `questions must be an array of at most ${MAX_QUESTIONS} items` };
+  }
+  if (criteriaInput.length === 0) {
+    return { error: 'A questionnaire needs at least one rated criterion' };
+  }
+
+  // Criteria and questions share one key space, so answers can never be ambiguous
+  const usedKeys = new Set();
+
+  const criteria = [];
+  for (const [index, item] of criteriaInput.entries()) {
+    const path = `criteria[${index}]`;
+    const parsed = parseItem(item, path, ['key', 'label', 'description', 'weight', 'required'], usedKeys);
+    if (parsed.error) return { error: parsed.error };
+
+    const weight = item.weight ?? 1;
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0 || weight > MAX_WEIGHT) {
+      return { error: `${path}.weight must be a number above 0 and at most ${MAX_WEIGHT}` };
+    }
+
+    criteria.push({ ...parsed, weight, required: item.required ?? true });
+  }
+
+  const questions = [];
+  for (const [index, item] of questionsInput.entries()) {
+    const path = `questions[${index}]`;
+    const parsed = parseItem(item, path, ['key', 'label', 'description', 'required', 'max_length'], usedKeys);
+    if (parsed.error) return { error: parsed.error };
+
+    const maxLength = item.max_length ?? DEFAULT_ANSWER_LENGTH;
+    if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > MAX_ANSWER_LENGTH) {
+      return { error: `${path}.max_length must be a whole number from 1 to ${MAX_ANSWER_LENGTH}` };
+    }
+
+    questions.push({ ...parsed, required: item.required ?? false, max_length: maxLength });
+  }
+
+  if (!criteria.some(criterion => criterion.required)) {
+    return { error: 'At least one criterion must be required' };
+  }
+
+  return { questionnaire: { criteria, questions } };
+};
+
+/**
+ * Questionnaire of an event (null if the event uses the single rating)
+ * @param {string} eventId - Event UUID
+ * @returns {Promise<Object|null>}
+ */
+export const getQuestionnaire = async (eventId) => {
+  const event = eventId ? await EventModel.findById(eventId) : null;
+  return event?.feedback_questionnaire || null;
+};
+
+/**
+ * Weighted average of criterion ratings (criteria without a rating are left out)
+ * @param {Array<Object>} criteria - Questionnaire criteria
+ * @param {Object} ratings - Criterion key -> rating
+ * @returns {number|null}
+ */
+export const weightedRating = (criteria, ratings) => {
+  let total = 0;
+  let weights = 0;
+  for (const criterion of criteria) {
+    const value = ratings[criterion.key];
+    if (value === undefined || value === null) continue;
+    total += Number(value) * criterion.weight;
+    weights += criterion.weight;
+  }
+  return weights > 0 ? total / weights : null;
+};
+
+/**
+ * Check a submitted feedback against the event's questionnaire
+ * Without a questionnaire only `rating` (1-5) is taken, as before.
+ * @param {Object|null} questionnaire - events.feedback_questionnaire
+ * @param {Object} body - { rating, criteria: { key: 1-5 }, answers: { key: text } }
+ * @returns {{ rating: number, criteria_ratings: Object|null, answers: Object|null }|{ error: string }}
+ */
+export const validateFeedbackResponse = (questionnaire, { rating, criteria, answers } = {}) => {
+  if (!questionnaire) {
+    if (rating === undefined || rating === null || rating === '') {
+      return { error: 'Rating is required' };
+    }
+    if (!isRating(Number(rating))) {
+      return { error: `Rating must be between ${RATING_MIN} and ${RATING_MAX}` };
+    }
+    return { rating: Number(rating), criteria_ratings: null, answers: null };
+  }
+
+  if (!isPlainObject(criteria)) {
+    return { error: `criteria must be an object of ratings (${questionnaire.criteria.map(c => c.key).join(', ')})` };
+  }
+  const criteriaError = checkKeys(criteria, questionnaire.criteria.map(c => c.key), 'criteria');
+  if (criteriaError) return { error: criteriaError };
+
+  const criteriaRatings = {};
+  for (const criterion of questionnaire.criteria) {
+    const value = criteria[criterion.key];
+    if (value === undefined || value === null || value === '') {
+      if (criterion.required) {
+        return { error: `Please rate "${criterion.label}"` };
+      }
+      continue;
+    }
+    if (!isRating(Number(value))) {
+      return { error: `"${criterion.label}" must be rated from ${RATING_MIN} to ${RATING_MAX}` };
+    }
+    criteriaRatings[criterion.key] = Number(value);
+  }
+
+  if (answers !== undefined && answers !== null && !isPlainObject(answers)) {
+    return { error: 'answers must be an object of question key -> text' };
+  }
+  const answersInput = answers || {};
+  const answersError = checkKeys(answersInput, questionnaire.questions.map(q => q.key), 'question(s) in answers');
+  if (answersError) return { error: answersError };
+
+  const cleanAnswers = {};
+  for (const question of questionnaire.questions) {
+    const value = answersInput[question.key];
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      return { error: `The answer to "${question.label}" must be text` };
+    }
+    if (!text) {
+      if (question.required) {
+        return { error: `Please answer "${question.label}"` };
+      }
+      continue;
+    }
+    if (text.length > question.max_length) {
+      return { error: `The answer to "${question.label}" can be at most ${question.max_length} characters` };
+    }
+    cleanAnswers[question.key] = text;
+  }
+
+  return {
+    rating: Math.round(weightedRating(questionnaire.criteria, criteriaRatings)),
+    criteria_ratings: criteriaRatings,
+    answers: Object.keys(cleanAnswers).length > 0 ? cleanAnswers : null
+  };
+};
+
+/**
+ * Per-criterion breakdown of feedbacks
+ * @param {Object} questionnaire - events.feedback_questionnaire
+ * @param {Array<Object>} feedbacks - Rows with criteria_ratings
+ * @returns {{ criteria: Array<Object>, weighted_average: number }}
+ */
+export const summarizeCriteria = (questionnaire, feedbacks) => {
+  const criteria = questionnaire.criteria.map((criterion) => {
+    const values = feedbacks
+      .map(f => f.criteria_ratings?.[criterion.key])
+      .filter(value => value !== undefined && value !== null)
+      .map(Number);
+
+    const distribution = {};
+    for (let value = RATING_MAX; value >= RATING_MIN; value--) {
+      distribution[value] = values.filter(v => v === value).length;
+    }
+
+    return {
+      key: criterion.key,
+      label: criterion.label,
+      weight: criterion.weight,
+      responses: values.length,
+      average_rating: values.length > 0
+        ? parseFloat((values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(2))
+        : 0,
+      rating_distribution: distribution
+    };
+  });
+
+  const averages = Object.fromEntries(
+    criteria.filter(c => c.responses > 0).map(c => [c.key, c.average_rating])
+  );
+  const weighted = weightedRating(questionnaire.criteria, averages);
+
+  return {
+    criteria,
+    weighted_average: weighted === null ? 0 : parseFloat(weighted.toFixed(2))
+  };
+};
+
+export default {
+  RATING_MIN,
+  RATING_MAX,
+  validateQuestionnaire,
+  getQuestionnaire,
+  weightedRating,
+  validateFeedbackResponse,
+  summarizeCriteria
+};
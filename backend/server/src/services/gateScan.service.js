@@ -0,0 +1,221 @@
+/**
+ * Gate Scan Service
+ * Applies one entry/exit scan for a student at an event gate, or at a session
+ * when the volunteer is assigned to one.
+ * Shared by the live scanner (POST /api/volunteer/scan/student) and the
+ * offline batch sync (POST /api/volunteer/scan/sync).
+ */
+import Student from '../models/Student.model.js';
+import CheckInOut from '../models/CheckInOut.model.js';
+import EventRegistrationModel from '../models/EventRegistration.model.js';
+import EventSessionModel from '../models/EventSession.model.js';
+import PaymentService from './payment.js';
+import { settleCapturedPayment } from './paymentSettlement.service.js';
+import { query } from '../config/db.js';
+
+// A single visit counts for at most 10 hours (leaderboard fairness)
+export const MAX_VISIT_MINUTES = 10 * 60;
+
+// Session doors open this long before the scheduled start
+export const SESSION_CHECKIN_OPEN_MINUTES = parseInt(process.env.SESSION_CHECKIN_OPEN_MINUTES) || 30;
+
+/**
+ * Record an entry or exit, decided by the registration's presence in this event
+ * (not the global student flag - a missed checkout elsewhere must not turn an entry into an exit)
+ * @param {Object} params
+ * @param {Object} params.student - Student row
+ * @param {Object} params.registration - event_registrations row for the scanned event
+ * @param {string} params.volunteerId - Scanning volunteer UUID
+ * @param {string} params.eventId - Event UUID
+ * @param {Date|null} params.scannedAt - Scan time for offline scans; defaults to now
+ * @returns {Promise<Object|null>} { action, registration, student, record, duration_minutes, actual_duration_minutes },
+ *                                 or null if a concurrent scan changed the presence first
+ */
+export const applyGateScan = async ({ student, registration, volunteerId, eventId, scannedAt = null }) => {
+  const action = registration.is_inside_event === true ? 'EXIT' : 'ENTRY';
+
+  // Per-event presence first (guarded, so a concurrent duplicate scan is rejected)
+  const updatedRegistration = action === 'ENTRY'
+    ? await EventRegistrationModel.recordCheckIn(registration.id, scannedAt)
+    : await EventRegistrationModel.recordCheckOut(registration.id, MAX_VISIT_MINUTES, scannedAt);
+
+  if (!updatedRegistration) {
+    return null;
+  }
+
+  // Mirror the scan on the student record (scan count + latest status)
+  const updatedStudent = await Student.recordGateScan(student.id, action === 'ENTRY', query, scannedAt);
+
+  const durationMinutes = action === 'EXIT' ? updatedRegistration.duration_minutes : 0;
+
+  const record = await CheckInOut.create({
+    student_id: student.id,
+    volunteer_id: volunteerId,
+    event_id: eventId,
+    scan_type: action === 'ENTRY' ? 'CHECKIN' : 'CHECKOUT',
+    scan_number: updatedStudent.total_scan_count,
+    duration_minutes: action === 'EXIT' ? durationMinutes : null,
+    scanned_at: scannedAt
+  }, query);
+
+  if (action === 'EXIT') {
+    await Student.updateActiveDuration(student.id, durationMinutes, query);
+  }
+
+  await query(
+    'UPDATE volunteers SET total_scans_performed = total_scans_performed + 1 WHERE id = $1',
+    [volunteerId]
+  );
+
+  return {
+    action,
+    registration: updatedRegistration,
+    student: updatedStudent,
+    record,
+    duration_minutes: durationMinutes,
+    actual_duration_minutes: action === 'EXIT' ? updatedRegistration.actual_duration_minutes : 0
+  };
+};
+
+/**
+ * Check a session accepts this scan
+ * Entries are accepted from SESSION_CHECKIN_OPEN_MINUTES before start until the end;
+ * exits are always accepted (time after the end is not counted)
+ * @param {Object} session - event_sessions row
+ * @param {boolean} isEntry - Student is outside the session
+ * @param {Date|null} scannedAt - Scan time; defaults to now
+ * @returns {string|null} Rejection message, or null if the scan is allowed
+ */
+export const getSessionScanError = (session, isEntry, scannedAt = null) => {
+  if (!session.is_active) {
+    return `Session "${session.session_name}" is not active`;
+  }
+
+  if (!isEntry) {
+    return null;
+  }
+
+  const at = (scannedAt || new Date()).getTime();
+  const opensAt = new Date(session.start_time).getTime() - SESSION_CHECKIN_OPEN_MINUTES * 60 * 1000;
+
+  if (at < opensAt) {
+    return `Session "${session.session_name}" opens ${SESSION_CHECKIN_OPEN_MINUTES} minutes before it starts`;
+  }
+  if (at >= new Date(session.end_time).getTime()) {
+    return `Session "${session.session_name}" has ended`;
+  }
+
+  return null;
+};
+
+/**
+ * Record an entry or exit for a session, decided by the student's presence in that session
+ * Session scans do not move the student through the event gate; they are logged in
+ * check_in_outs with session_id and counted in session_attendances.
+ * Caller checks getSessionScanError and capacity first.
+ * @param {Object} params
+ * @param {Object} params.student - Student row
+ * @param {Object} params.registration - event_registrations row for the session's event
+ * @param {Object} params.session - event_sessions row
+ * @param {Object|null} params.attendance - Current session_attendances row, if any
+ * @param {string} params.volunteerId - Scanning volunteer UUID
+ * @param {Date|null} params.scannedAt - Scan time for offline scans; defaults to now
+ * @returns {Promise<Object|null>} { action, attendance, student, record, duration_minutes, actual_duration_minutes },
+ *                                 or null if a concurrent scan changed the presence first or the session filled up
+ */
+export const applySessionScan = async ({ student, registration, session, attendance, volunteerId, scannedAt = null }) => {
+  const action = attendance?.is_inside === true ? 'EXIT' : 'ENTRY';
+
+  const updatedAttendance = action === 'ENTRY'
+    ? await EventSessionModel.recordCheckIn(session, registration, scannedAt)
+    : await EventSessionModel.recordCheckOut(session, student.id, scannedAt);
+
+  if (!updatedAttendance) {
+    return null;
+  }
+
+  const updatedStudent = await Student.incrementScanCount(student.id, query);
+  const durationMinutes = action === 'EXIT' ? updatedAttendance.duration_minutes : 0;
+
+  const record = await CheckInOut.create({
+    student_id: student.id,
+    volunteer_id: volunteerId,
+    event_id: session.event_id,
+    session_id: session.id,
+    scan_type: action === 'ENTRY' ? 'CHECKIN' : 'CHECKOUT',
+    scan_number: updatedStudent.total_scan_count,
+    duration_minutes: action === 'EXIT' ? durationMinutes : null,
+    scanned_at: scannedAt
+  }, query);
+
+  await query(
+    'UPDATE volunteers SET total_scans_performed = total_scans_performed + 1 WHERE id = $1',
+    [volunteerId]
+  );
+
+  return {
+    action,
+    attendance: updatedAttendance,
+    student: updatedStudent,
+    record,
+    duration_minutes: durationMinutes,
+    actual_duration_minutes: action === 'EXIT' ? updatedAttendance.actual_duration_minutes : 0
+  };
+};
+
+/**
+ * Re-check a pending online payment with Razorpay at the gate (volunteers with VERIFY_PAYMENTS)
+ * Completes the registration when the order turns out to be paid but the payment callback never arrived.
+ * @param {Object} registration - event_registrations row
+ * @returns {Promise<Object|null>} Confirmed registration, or null if the order is unpaid or can't be checked
+ */
+export const verifyPendingPayment = async (registration) => {
+  if (registration.payment_status !== 'PENDING' ||
+      (!registration.razorpay_order_id && !registration.razorpay_payment_link_id)) {
+    return null;
+  }
+
+  let paymentId;
+  try {
+    if (registration.razorpay_payment_link_id) {
+      // Walk-ins pay through a payment link
+      const link = await PaymentService.getPaymentLinkDetails(registration.razorpay_payment_link_id);
+      if (link.status !== 'paid') {
+        return null;
+      }
+      paymentId = link.payment_id;
+    } else {
+      const order = await PaymentService.getOrderDetails(registration.razorpay_order_id);
+      if (order.status !== 'paid' && order.amount_due !== 0) {
+        return null;
+      }
+
+      const payments = await PaymentService.getRazorpayInstance().orders.fetchPayments(registration.razorpay_order_id);
+      paymentId = (payments?.items?.find(item => item.status === 'captured') || payments?.items?.[0])?.id;
+    }
+  } catch (error) {
+    console.error('❌ [SCAN] Payment check failed:', error.message);
+    return null;
+  }
+
+  const settlement = await settleCapturedPayment(registration, {
+    razorpay_payment_id: paymentId || 'verified_via_api',
+    razorpay_signature: 'verified_at_gate',
+    source: 'gate_scan'
+  });
+  const updated = settlement.registration;
+  if (updated.payment_status !== 'COMPLETED') {
+    return null;
+  }
+
+  return updated;
+};
+
+export default {
+  MAX_VISIT_MINUTES,
+  SESSION_CHECKIN_OPEN_MINUTES,
+  applyGateScan,
+  getSessionScanError,
+  applySessionScan,
+  verifyPendingPayment
+};
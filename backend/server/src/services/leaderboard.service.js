@@ -0,0 +1,522 @@
+/**
+ * Leaderboard Service
+ * Stall, student and school leaderboards of an event, scored with the event's ranking
+ * config (services/rankingConfig.service.js). Metrics are read with plain SQL and scored
+ * here, so a proposed config can be previewed against the saved one on the same data.
+ */
+import RankingModel from '../models/Ranking.model.js';
+import { STALL_METRICS, STUDENT_METRICS } from './rankingConfig.service.js';
+import { query } from '../config/db.js';
+
+// Points per unit of each stall metric before normalizing against the best stall
+const STALL_METRIC_POINTS = {
+  average_rating: 20,
+  feedback_count: 0.1,
+  unique_visitors: 0.05
+};
+
+// Progressive curves as [share of the target, points]; the target itself earns 100
+const DURATION_CURVE = [[0, 0], [0.25, 50], [0.5, 75], [0.75, 90], [1, 100]];
+const FEEDBACK_CURVE = [[0, 0], [40 / 180, 50], [80 / 180, 70], [120 / 180, 85], [1, 100]];
+
+/**
+ * Identity, display name and score fields of each leaderboard's entries
+ */
+export const LEADERBOARD_KEYS = {
+  stalls: { id: 'stall_id', name: 'stall_name', score: 'final_score' },
+  students: { id: 'student_id', name: 'full_name', score: 'final_score' },
+  schools: { id: 'school_id', name: 'school_name', score: 'total_score' }
+};
+
+// Consistency: regular visitors on several days get the multi-day formula
+const CONSISTENT_MIN_VISITS = 6;
+const CONSISTENT_MIN_DAYS = 2;
+
+const toInt = (value) => parseInt(value || 0);
+const toFloat = (value) => parseFloat(value || 0);
+
+/**
+ * Shares of a weight set (weights are relative and need not add up to 100)
+ * @param {Object} weights - { metric: weight }
+ * @returns {Object} { metric: share 0-1 }
+ */
+const toShares = (weights) => {
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  return Object.fromEntries(Object.entries(weights).map(([metric, weight]) => [metric, total > 0 ? weight / total : 0]));
+};
+
+const formatShare = (share) => `${Number((share * 100).toFixed(1))}%`;
+
+/**
+ * Score 0-100 of a value on a progressive curve scaled to a target
+ * @param {number} value
+ * @param {number} target
+ * @param {Array} curve - [share of target, points] breakpoints
+ * @returns {number}
+ */
+const scoreOnCurve = (value, target, curve) => {
+  const ratio = target > 0 ? value / target : 0;
+  for (let i = 1; i < curve.length; i++) {
+    const [toRatio, toPoints] = curve[i];
+    if (ratio < toRatio) {
+      const [fromRatio, fromPoints] = curve[i - 1];
+      return fromPoints + ((ratio - fromRatio) / (toRatio - fromRatio)) * (toPoints - fromPoints);
+    }
+  }
+  return 100;
+};
+
+/**
+ * "0-6h: 0-50 pts" style tier labels of a curve
+ */
+const describeCurve = (target, curve, formatValue) => curve.slice(1).map(([toRatio, toPoints], i) => {
+  const [fromRatio, fromPoints] = curve[i];
+  return `${formatValue(fromRatio * target)}-${formatValue(toRatio * target)}: ${fromPoints}-${toPoints} pts`;
+});
+
+const formatHours = (minutes) => `${Number((minutes / 60).toFixed(1))}h`;
+
+/**
+ * Sort scored entries (highest score first), break ties on the configured fields,
+ * then by name so the order is stable; positions are assigned after sorting
+ */
+const rank = (entries, tieBreakers) => {
+  entries.sort((a, b) => {
+    if (b.score !== a.score) return b.score - a.score;
+    for (const field of tieBreakers) {
+      if (b.tie[field] !== a.tie[field]) return b.tie[field] - a.tie[field];
+    }
+    return String(a.name).localeCompare(String(b.name));
+  });
+  return entries.map((entry, index) => entry.format(index + 1));
+};
+
+const votePoints = (votes, weights) => (
+  votes.rank_1 * weights.rank_1 + votes.rank_2 * weights.rank_2 + votes.rank_3 * weights.rank_3
+);
+
+/**
+ * Score stall metrics: each metric is normalized against the best stall (0-100)
+ * and the weighted shares are summed into a 0-100 final score
+ * @param {Array} rows - RankingModel.getStallLeaderboardMetrics
+ * @param {Object} config - Effective ranking config
+ * @returns {Array} Full leaderboard
+ */
+export const scoreStalls = (rows, config) => {
+  const shares = toShares(config.stalls.weights);
+
+  const stalls = rows.map((row) => {
+    const votes = { rank_1: toInt(row.rank_1_votes), rank_2: toInt(row.rank_2_votes), rank_3: toInt(row.rank_3_votes) };
+    const metrics = {
+      total_feedbacks: toInt(row.total_feedbacks),
+      avg_rating: toFloat(row.avg_rating),
+      unique_visitors: toInt(row.unique_visitors),
+      feedback_with_comments: toInt(row.feedback_with_comments)
+    };
+    return {
+      row,
+      votes,
+      metrics,
+      points: {
+        ranking_votes: votePoints(votes, config.vote_weights),
+        average_rating: metrics.avg_rating * STALL_METRIC_POINTS.average_rating,
+        feedback_count: metrics.total_feedbacks * STALL_METRIC_POINTS.feedback_count,
+        unique_visitors: metrics.unique_visitors * STALL_METRIC_POINTS.unique_visitors
+      }
+    };
+  });
+
+  const best = Object.fromEntries(STALL_METRICS.map(metric => [
+    metric,
+    Math.max(1, ...stalls.map(stall => stall.points[metric]))
+  ]));
+
+  return rank(stalls.map((stall) => {
+    const weighted = Object.fromEntries(STALL_METRICS.map(metric => [
+      metric,
+      (stall.points[metric] / best[metric]) * 100 * shares[metric]
+    ]));
+    const score = Object.values(weighted).reduce((sum, value) => sum + value, 0);
+    const { row, votes, metrics } = stall;
+
+    return {
+      score,
+      name: row.stall_name,
+      tie: {
+        ...metrics,
+        ranking_points: stall.points.ranking_votes,
+        rank_1_votes: votes.rank_1
+      },
+      format: (position) => ({
+        position,
+        stall_id: row.stall_id,
+        stall_name: row.stall_name,
+        stall_number: row.stall_number,
+        school_name: row.school_name,
+        location: row.location,
+        final_score: score.toFixed(2),
+        score_breakdown: {
+          ranking_score: weighted.ranking_votes.toFixed(2),
+          rating_score: weighted.average_rating.toFixed(2),
+          feedback_score: weighted.feedback_count.toFixed(2),
+          visitor_score: weighted.unique_visitors.toFixed(2)
+        },
+        metrics: {
+          ranking_votes: {
+            rank_1: votes.rank_1,
+            rank_2: votes.rank_2,
+            rank_3: votes.rank_3,
+            total_points: stall.points.ranking_votes.toFixed(0)
+          },
+          feedback: {
+            avg_rating: metrics.avg_rating.toFixed(2),
+            total_feedbacks: metrics.total_feedbacks,
+            feedbacks_with_comments: metrics.feedback_with_comments,
+            comment_rate: metrics.total_feedbacks > 0
+              ? (metrics.feedback_with_comments / metrics.total_feedbacks * 100).toFixed(1) + '%'
+              : '0%'
+          },
+          visitors: {
+            unique_visitors: metrics.unique_visitors
+          }
+        }
+      })
+    };
+  }), config.stalls.tie_breakers);
+};
+
+/**
+ * Score student metrics: duration and feedback quantity on progressive curves scaled
+ * to the event's targets, plus feedback quality, engagement and consistency (each 0-100)
+ * @param {Array} rows - RankingModel.getStudentLeaderboardMetrics
+ * @param {Object} config - Effective ranking config
+ * @param {Object} context - { stall_count }
+ * @returns {Array} Full leaderboard
+ */
+export const scoreStudents = (rows, config, context = {}) => {
+  const settings = config.students;
+  const shares = toShares(settings.weights);
+  const { min_comment_length: minCommentLength, comment_depth_cap: depthCap } = settings.quality;
+
+  return rank(rows.map((row) => {
+    const duration = toInt(row.total_duration_minutes);
+    const feedbacks = toInt(row.total_feedbacks);
+    const qualityFeedbacks = toInt(row.quality_feedbacks);
+    const avgCommentLength = toFloat(row.avg_comment_length);
+    const visits = toInt(row.total_visits);
+    const days = toInt(row.unique_days_attended);
+    const completedRanking = row.completed_ranking === true;
+    const avgSession = visits > 0 ? duration / visits : 0;
+
+    const components = {
+      duration: scoreOnCurve(duration, settings.duration_target_minutes, DURATION_CURVE),
+      feedback_quantity: scoreOnCurve(feedbacks, settings.feedback_target, FEEDBACK_CURVE),
+      // 60% share of comments above the threshold + 40% average comment depth
+      feedback_quality: feedbacks > 0
+        ? (qualityFeedbacks / feedbacks) * 60 + (Math.min(avgCommentLength, depthCap) / depthCap) * 40
+        : 0,
+      // 40 for completing the ranking + 30 for visits + 30 for attending every day
+      engagement: (completedRanking ? 40 : 0) +
+        (Math.min(visits, settings.visit_target) / settings.visit_target) * 30 +
+        (Math.min(days, settings.event_days) / settings.event_days) * 30,
+      // Regular visits across days beat one marathon session
+      consistency: visits >= CONSISTENT_MIN_VISITS && days >= CONSISTENT_MIN_DAYS
+        ? Math.min((avgSession / settings.session_target_minutes) * 50 + (Math.min(days, settings.event_days) / settings.event_days) * 50, 100)
+        : visits > 0 ? Math.min((avgSession / settings.session_target_minutes) * 100, 100) : 0
+    };
+
+    const weighted = Object.fromEntries(STUDENT_METRICS.map(metric => [metric, components[metric] * shares[metric]]));
+    const score = Object.values(weighted).reduce((sum, value) => sum + value, 0);
+
+    return {
+      score,
+      name: row.full_name,
+      tie: {
+        total_feedbacks: feedbacks,
+        total_duration_minutes: duration,
+        quality_feedbacks: qualityFeedbacks,
+        total_visits: visits,
+        unique_days_attended: days
+      },
+      format: (position) => ({
+        position,
+        student_id: row.student_id,
+        registration_no: row.registration_no,
+        full_name: row.full_name,
+        school_name: row.school_name,
+        final_score: score.toFixed(2),
+        score_breakdown: {
+          duration_score: weighted.duration.toFixed(2),
+          feedback_quantity_score: weighted.feedback_quantity.toFixed(2),
+          feedback_quality_score: weighted.feedback_quality.toFixed(2),
+          engagement_score: weighted.engagement.toFixed(2),
+          consistency_score: weighted.consistency.toFixed(2)
+        },
+        metrics: {
+          event_participation: {
+            total_duration_minutes: duration,
+            duration_formatted: `${Math.floor(duration / 60)}h ${duration % 60}m`,
+            total_visits: visits,
+            unique_days_attended: days,
+            avg_duration_per_visit: visits > 0 ? avgSession.toFixed(1) + ' min' : '0 min'
+          },
+          feedback_stats: {
+            total_feedbacks: feedbacks,
+            quality_feedbacks: qualityFeedbacks,
+            quality_threshold: `comments longer than ${minCommentLength} characters`,
+            avg_comment_length: avgCommentLength.toFixed(0),
+            quality_rate: feedbacks > 0 ? (qualityFeedbacks / feedbacks * 100).toFixed(1) + '%' : '0%',
+            coverage_rate: context.stall_count > 0
+              ? (feedbacks / context.stall_count * 100).toFixed(1) + '%'
+              : '0%'
+          },
+          engagement: {
+            completed_ranking: completedRanking,
+            account_age_hours: toFloat(row.account_age_hours).toFixed(1)
+          }
+        }
+      })
+    };
+  }), settings.tie_breakers);
+};
+
+/**
+ * Score schools by the votes their students gave to their own school's stalls
+ * @param {Array} rows - RankingModel.getSchoolLeaderboardMetrics
+ * @param {Object} config - Effective ranking config
+ * @returns {Array} Full leaderboard (schools with 0 points left out)
+ */
+export const scoreSchools = (rows, config) => rank(rows.map((row) => {
+  const votes = { rank_1: toInt(row.rank_1_count), rank_2: toInt(row.rank_2_count), rank_3: toInt(row.rank_3_count) };
+  const score = votePoints(votes, config.vote_weights);
+  const studentsRanked = toInt(row.total_students_ranked);
+  const stallsRanked = toInt(row.ranked_stalls_count);
+
+  return {
+    score,
+    name: row.school_name,
+    tie: {
+      total_students_ranked: studentsRanked,
+      rank_1_votes: votes.rank_1,
+      stalls_ranked: stallsRanked
+    },
+    format: (position) => ({
+      position,
+      school_id: row.school_id,
+      school_name: row.school_name,
+      total_score: Number(score.toFixed(2)),
+      breakdown: {
+        rank_1_votes: votes.rank_1,
+        rank_2_votes: votes.rank_2,
+        rank_3_votes: votes.rank_3
+      },
+      students_participated: studentsRanked,
+      stalls_ranked: stallsRanked
+    })
+  };
+}).filter(entry => entry.score > 0), config.schools.tie_breakers);
+
+const pointsLabel = (points) => `${points} point${points === 1 ? '' : 's'}`;
+
+/**
+ * How the stall leaderboard is scored, for API responses
+ * @param {Object} config - Effective ranking config
+ * @returns {Object}
+ */
+export const describeStallFormula = (config) => {
+  const shares = toShares(config.stalls.weights);
+  const { rank_1, rank_2, rank_3 } = config.vote_weights;
+
+  return {
+    description: 'Comprehensive weighted scoring system',
+    weights: Object.fromEntries(STALL_METRICS.map(metric => [metric, formatShare(shares[metric])])),
+    ranking_points: `Rank1(×${rank_1}) + Rank2(×${rank_2}) + Rank3(×${rank_3})`,
+    tie_breakers: config.stalls.tie_breakers,
+    max_score: 100
+  };
+};
+
+/**
+ * How the student leaderboard is scored, for API responses
+ * @param {Object} config - Effective ranking config
+ * @param {Object} context - { stall_count }
+ * @returns {Object}
+ */
+export const describeStudentFormula = (config, context = {}) => {
+  const settings = config.students;
+  const shares = toShares(settings.weights);
+
+  return {
+    description: `Progressive engagement scoring for a ${settings.event_days}-day event with ${context.stall_count || 0} stalls`,
+    event_context: {
+      total_days: settings.event_days,
+      total_stalls: context.stall_count || 0,
+      duration_target: formatHours(settings.duration_target_minutes),
+      feedback_target: settings.feedback_target,
+      visit_target: settings.visit_target,
+      session_target_minutes: settings.session_target_minutes
+    },
+    weights: {
+      event_duration: formatShare(shares.duration),
+      feedback_quantity: formatShare(shares.feedback_quantity),
+      feedback_quality: formatShare(shares.feedback_quality),
+      engagement_activities: formatShare(shares.engagement),
+      consistency: formatShare(shares.consistency)
+    },
+    quality_thresholds: settings.quality,
+    progressive_scoring: {
+      duration_tiers: describeCurve(settings.duration_target_minutes, DURATION_CURVE, formatHours),
+      feedback_tiers: describeCurve(settings.feedback_target, FEEDBACK_CURVE, value => Math.round(value))
+    },
+    tie_breakers: settings.tie_breakers,
+    max_score: 100
+  };
+};
+
+/**
+ * How the school leaderboard is scored, for API responses
+ * @param {Object} config - Effective ranking config
+ * @returns {Object}
+ */
+export const describeSchoolFormula = (config) => ({
+  rank_1: pointsLabel(config.vote_weights.rank_1),
+  rank_2: pointsLabel(config.vote_weights.rank_2),
+  rank_3: pointsLabel(config.vote_weights.rank_3),
+  description: 'Schools earn points when their stalls are ranked by students from their own school',
+  tie_breakers: config.schools.tie_breakers
+});
+
+/**
+ * Stall leaderboard of an event
+ * @param {string} eventId - Event UUID
+ * @param {Object} ranking - rankingConfig.loadRankingConfig result
+ * @returns {Promise<Array>}
+ */
+export const getStallLeaderboard = async (eventId, ranking) => (
+  scoreStalls(await RankingModel.getStallLeaderboardMetrics(eventId, query), ranking.config)
+);
+
+/**
+ * Student leaderboard of an event
+ * @param {string} eventId - Event UUID
+ * @param {Object} ranking - rankingConfig.loadRankingConfig result
+ * @returns {Promise<Array>}
+ */
+export const getStudentLeaderboard = async (eventId, ranking) => {
+  const rows = await RankingModel.getStudentLeaderboardMetrics(
+    eventId, ranking.config.students.quality.min_comment_length, query
+  );
+  return scoreStudents(rows, ranking.config, ranking.context);
+};
+
+/**
+ * School leaderboard of an event
+ * @param {string} eventId - Event UUID
+ * @param {Object} ranking - rankingConfig.loadRankingConfig result
+ * @returns {Promise<Array>}
+ */
+export const getSchoolLeaderboard = async (eventId, ranking) => (
+  scoreSchools(await RankingModel.getSchoolLeaderboardMetrics(eventId, query), ranking.config)
+);
+
+/**
+ * Top of a proposed leaderboard with each entry's position on the current one
+ * @param {Array} current - Leaderboard before the change (saved config, older snapshot)
+ * @param {Array} proposed - Leaderboard after the change
+ * @param {Object} keys - LEADERBOARD_KEYS entry of the leaderboard
+ * @param {number} limit - Entries to compare
+ * @returns {Object} { leaderboard, dropped_out, positions_changed }
+ */
+export const compareLeaderboards = (current, proposed, keys, limit) => {
+  const currentById = new Map(current.map(entry => [entry[keys.id], entry]));
+  const proposedById = new Map(proposed.map(entry => [entry[keys.id], entry]));
+
+  const leaderboard = proposed.slice(0, limit).map((entry) => {
+    const previous = currentById.get(entry[keys.id]);
+    const change = previous ? previous.position - entry.position : null;
+    return {
+      position: entry.position,
+      [keys.id]: entry[keys.id],
+      [keys.name]: entry[keys.name],
+      score: entry[keys.score],
+      previous_position: previous?.position ?? null,
+      previous_score: previous?.[keys.score] ?? null,
+      position_change: change,
+      movement: change === null ? 'NEW' : change > 0 ? 'UP' : change < 0 ? 'DOWN' : 'SAME'
+    };
+  });
+
+  const dropped_out = current.slice(0, limit)
+    .filter(entry => !leaderboard.some(row => row[keys.id] === entry[keys.id]))
+    .map(entry => ({
+      [keys.id]: entry[keys.id],
+      [keys.name]: entry[keys.name],
+      previous_position: entry.position,
+      new_position: proposedById.get(entry[keys.id])?.position ?? null
+    }));
+
+  return {
+    leaderboard,
+    dropped_out,
+    positions_changed: leaderboard.filter(row => row.movement !== 'SAME').length
+  };
+};
+
+/**
+ * Compare the leaderboards of the saved and a proposed config on the same data
+ * @param {string} eventId - Event UUID
+ * @param {Object} current - loadRankingConfig result with the saved config
+ * @param {Object} proposed - loadRankingConfig result with the proposed config
+ * @param {number} limit - Top N of each leaderboard to compare
+ * @returns {Promise<Object>} { stalls, students, schools }
+ */
+export const previewLeaderboards = async (eventId, current, proposed, limit) => {
+  const currentThreshold = current.config.students.quality.min_comment_length;
+  const proposedThreshold = proposed.config.students.quality.min_comment_length;
+
+  const [stallRows, schoolRows, currentStudentRows] = await Promise.all([
+    RankingModel.getStallLeaderboardMetrics(eventId, query),
+    RankingModel.getSchoolLeaderboardMetrics(eventId, query),
+    RankingModel.getStudentLeaderboardMetrics(eventId, currentThreshold, query)
+  ]);
+  // Quality feedback is counted in SQL, so a new threshold needs its own read
+  const proposedStudentRows = proposedThreshold === currentThreshold
+    ? currentStudentRows
+    : await RankingModel.getStudentLeaderboardMetrics(eventId, proposedThreshold, query);
+
+  return {
+    stalls: compareLeaderboards(
+      scoreStalls(stallRows, current.config),
+      scoreStalls(stallRows, proposed.config),
+      LEADERBOARD_KEYS.stalls,
+      limit
+    ),
+    students: compareLeaderboards(
+      scoreStudents(currentStudentRows, current.config, current.context),
+      scoreStudents(proposedStudentRows, proposed.config, proposed.context),
+      LEADERBOARD_KEYS.students,
+      limit
+    ),
+    schools: compareLeaderboards(
+      scoreSchools(schoolRows, current.config),
+      scoreSchools(schoolRows, proposed.config),
+      LEADERBOARD_KEYS.schools,
+      limit
+    )
+  };
+};
+
+export default {
+  LEADERBOARD_KEYS,
+  scoreStalls,
+  scoreStudents,
+  scoreSchools,
+  describeStallFormula,
+  describeStudentFormula,
+  describeSchoolFormula,
+  getStallLeaderboard,
+  getStudentLeaderboard,
+  getSchoolLeaderboard,
+  compareLeaderboards,
+  previewLeaderboards
+};
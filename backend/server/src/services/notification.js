@@ -1 +1,243 @@
-// Notification service for emails/SMS/push notifications
+// Notification service for emails/SMS
+import { pool } from '../config/db.js';
+import NotificationModel from '../models/Notification.model.js';
+import { renderTemplate, NotificationTrigger } from './notificationTemplates.js';
+import { getEmailProvider, getSmsProvider, getProviderByName } from './notificationProviders.js';
+
+// Deliveries in flight at once (NOTIFICATION_CONCURRENCY); the rest wait their turn
+const MAX_CONCURRENT_DELIVERIES = parseInt(process.env.NOTIFICATION_CONCURRENCY) || 5;
+// Students notified per batch when a whole event is cancelled
+const CANCELLATION_BATCH_SIZE = 20;
+
+let activeDeliveries = 0;
+const waitingDeliveries = [];
+
+const acquireDeliverySlot = () => {
+  if (activeDeliveries < MAX_CONCURRENT_DELIVERIES) {
+    activeDeliveries++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => waitingDeliveries.push(resolve));
+};
+
+const releaseDeliverySlot = () => {
+  const next = waitingDeliveries.shift();
+  if (next) {
+    next();
+  } else {
+    activeDeliveries--;
+  }
+};
+
+class NotificationService {
+  /**
+   * Load event fields used by templates
+   * @param {string} eventId - Event UUID
+   * @returns {Promise<Object>}
+   */
+  static async getEventTemplateData(eventId) {
+    if (!eventId) return {};
+
+    const result = await pool`
+      SELECT event_name, event_code, start_date, end_date, venue,
+             registration_start_date, price, event_type
+      FROM events
+      WHERE id = ${eventId}
+      LIMIT 1
+    `;
+
+    return result[0] || {};
+  }
+
+  /**
+   * Render, log and deliver one notification per enabled channel
+   * Never throws - notification failures must not break the main operation
+   * @param {string} trigger - NotificationTrigger value
+   * @param {Object} recipient - { type, id, name, email, phone }
+   * @param {Object} data - Template variables
+   * @param {Object} context - { event_id, registration_id }
+   * @returns {Promise<Array>} Notification log rows
+   */
+  static async send(trigger, recipient, data = {}, context = {}) {
+    const sent = [];
+
+    try {
+      const eventData = await this.getEventTemplateData(context.event_id);
+      const rendered = renderTemplate(trigger, {
+        ...eventData,
+        ...data,
+        recipient_name: recipient.name
+      });
+
+      const deliveries = [
+        { provider: getEmailProvider(), destination: recipient.email, subject: rendered.subject, body: rendered.text },
+        { provider: getSmsProvider(), destination: recipient.phone, subject: null, body: rendered.sms }
+      ];
+
+      for (const delivery of deliveries) {
+        if (!delivery.provider || !delivery.destination) continue;
+
+        const notification = await NotificationModel.create({
+          trigger_type: trigger,
+          channel: delivery.provider.channel,
+          recipient_type: recipient.type,
+          recipient_id: recipient.id,
+          destination: delivery.destination,
+          subject: delivery.subject,
+          body: delivery.body,
+          event_id: context.event_id || null,
+          registration_id: context.registration_id || null,
+          provider: delivery.provider.name,
+          metadata: data
+        });
+
+        sent.push(await this.deliver(notification, delivery.provider));
+      }
+    } catch (error) {
+      console.error(`❌ [NOTIFICATION] ${trigger} failed:`, error.message);
+    }
+
+    return sent;
+  }
+
+  /**
+   * Attempt delivery of a logged notification and record the outcome
+   * @param {Object} notification - notifications row
+   * @param {Object} provider - Provider adapter
+   * @returns {Promise<Object>} Updated notifications row
+   */
+  static async deliver(notification, provider) {
+    await acquireDeliverySlot();
+    try {
+      const { message_id } = await provider.send({
+        to: notification.destination,
+        subject: notification.subject,
+        text: notification.body
+      });
+
+      return await NotificationModel.markSent(notification.id, message_id);
+    } catch (error) {
+      console.error(`⚠️  [NOTIFICATION] ${notification.channel} to ${notification.destination} failed: ${error.message}`);
+      return await NotificationModel.markAttemptFailed(notification.id, error.message);
+    } finally {
+      releaseDeliverySlot();
+    }
+  }
+
+  /**
+   * Notify a student
+   * Never rejects, so request handlers call it without await and respond straight away
+   * @param {string} trigger - NotificationTrigger value
+   * @param {string} studentId - Student UUID
+   * @param {Object} data - Template variables
+   * @param {Object} context - { event_id, registration_id }
+   * @returns {Promise<Array>}
+   */
+  static async notifyStudent(trigger, studentId, data = {}, context = {}) {
+    try {
+      const result = await pool`
+        SELECT id, full_name, email, phone FROM students WHERE id = ${studentId} LIMIT 1
+      `;
+      if (result.length === 0) return [];
+
+      const student = result[0];
+      return await this.send(trigger, {
+        type: 'STUDENT',
+        id: student.id,
+        name: student.full_name,
+        email: student.email,
+        phone: student.phone
+      }, data, context);
+    } catch (error) {
+      console.error(`❌ [NOTIFICATION] ${trigger} for student ${studentId} failed:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Notify an event manager (never rejects, like notifyStudent)
+   * @param {string} trigger - NotificationTrigger value
+   * @param {string} managerId - Event manager UUID
+   * @param {Object} data - Template variables
+   * @param {Object} context - { event_id }
+   * @returns {Promise<Array>}
+   */
+  static async notifyEventManager(trigger, managerId, data = {}, context = {}) {
+    try {
+      const result = await pool`
+        SELECT id, full_name, email, phone FROM event_managers WHERE id = ${managerId} LIMIT 1
+      `;
+      if (result.length === 0) return [];
+
+      const manager = result[0];
+      return await this.send(trigger, {
+        type: 'EVENT_MANAGER',
+        id: manager.id,
+        name: manager.full_name,
+        email: manager.email,
+        phone: manager.phone
+      }, data, context);
+    } catch (error) {
+      console.error(`❌ [NOTIFICATION] ${trigger} for manager ${managerId} failed:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Notify every student affected by an event cancellation, a batch at a time
+   * @param {string} eventId - Event UUID
+   * @param {Array} affectedRegistrations - [{ registration_id, student_id, refund_amount }]
+   * @param {string} reason - Cancellation reason
+   * @returns {Promise<number>} Number of students notified
+   */
+  static async notifyEventCancelled(eventId, affectedRegistrations = [], reason = null) {
+    let notified = 0;
+
+    for (let i = 0; i < affectedRegistrations.length; i += CANCELLATION_BATCH_SIZE) {
+      const batch = affectedRegistrations.slice(i, i + CANCELLATION_BATCH_SIZE);
+      const results = await Promise.all(
+        batch.map((reg) =>
+          this.notifyStudent(
+            NotificationTrigger.EVENT_CANCELLED,
+            reg.student_id,
+            { reason, refund_amount: reg.refund_amount },
+            { event_id: eventId, registration_id: reg.registration_id }
+          )
+        )
+      );
+      notified += results.filter((sent) => sent.length > 0).length;
+    }
+
+    return notified;
+  }
+
+  /**
+   * Retry notifications whose backoff has elapsed
+   * @param {number} limit - Max notifications per run
+   * @returns {Promise<Object>} { attempted, sent, failed }
+   */
+  static async retryDue(limit = 50) {
+    const due = await NotificationModel.findDueForRetry(limit);
+    let sentCount = 0;
+
+    for (const notification of due) {
+      const provider = getProviderByName(notification.provider, notification.channel);
+      if (!provider) {
+        await NotificationModel.markAttemptFailed(notification.id, `Provider ${notification.provider} not available`);
+        continue;
+      }
+
+      const updated = await this.deliver(notification, provider);
+      if (updated.status === 'SENT') sentCount++;
+    }
+
+    return {
+      attempted: due.length,
+      sent: sentCount,
+      failed: due.length - sentCount
+    };
+  }
+}
+
+export { NotificationTrigger };
+export default NotificationService;
@@ -0,0 +1,182 @@
+/**
+ * Notification Provider Adapters
+ * Every provider exposes: name, channel, send({ to, subject, text }) -> { message_id }
+ *
+ * Selection (env):
+ * - NOTIFICATION_EMAIL_PROVIDER: smtp | console | none (default: smtp when SMTP_HOST is set, else console)
+ * - NOTIFICATION_SMS_PROVIDER: gateway | console | none (default: gateway when SMS_GATEWAY_URL is set, else none)
+ * - NOTIFICATION_LOG_FILE: console provider also appends JSON lines here (useful in tests)
+ * - NOTIFICATION_SEND_TIMEOUT_MS: give up on a slow SMTP server or SMS gateway after this long (default: 10000);
+ *   the attempt is logged as failed and retried
+ */
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+const getSendTimeoutMs = () => parseInt(process.env.NOTIFICATION_SEND_TIMEOUT_MS) || 10000;
+
+/**
+ * SMTP email provider (nodemailer)
+ */
+class SmtpProvider {
+  constructor() {
+    this.name = 'smtp';
+    this.channel = 'EMAIL';
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      connectionTimeout: getSendTimeoutMs(),
+      greetingTimeout: getSendTimeoutMs(),
+      socketTimeout: getSendTimeoutMs(),
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+
+  async send({ to, subject, text }) {
+    const info = await this.transporter.sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      text
+    });
+
+    return { message_id: info.messageId };
+  }
+}
+
+/**
+ * HTTP SMS gateway provider
+ * POSTs JSON { to, message, sender } to SMS_GATEWAY_URL with Bearer SMS_GATEWAY_API_KEY
+ */
+class SmsGatewayProvider {
+  constructor() {
+    this.name = 'sms_gateway';
+    this.channel = 'SMS';
+  }
+
+  async send({ to, text }) {
+    const response = await fetch(process.env.SMS_GATEWAY_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY}`
+      },
+      body: JSON.stringify({
+        to,
+        message: text,
+        sender: process.env.SMS_SENDER_ID || 'SGTUEV'
+      }),
+      signal: AbortSignal.timeout(getSendTimeoutMs())
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`SMS gateway responded ${response.status}: ${body.substring(0, 200)}`);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    return { message_id: data.message_id || data.id || null };
+  }
+}
+
+/**
+ * Console/file provider (development and tests)
+ * Never fails; optionally appends each message to NOTIFICATION_LOG_FILE
+ */
+class ConsoleProvider {
+  constructor(channel) {
+    this.name = 'console';
+    this.channel = channel;
+  }
+
+  async send({ to, subject, text }) {
+    const messageId = `console-${crypto.randomUUID()}`;
+
+    console.log(`📨 [NOTIFICATION:${this.channel}] to=${to}${subject ? ` subject="${subject}"` : ''}`);
+
+    if (process.env.NOTIFICATION_LOG_FILE) {
+      await fs.appendFile(
+        process.env.NOTIFICATION_LOG_FILE,
+        JSON.stringify({ message_id: messageId, channel: this.channel, to, subject, text, sent_at: new Date().toISOString() }) + '\n'
+      );
+    }
+
+    return { message_id: messageId };
+  }
+}
+
+let emailProvider;
+let smsProvider;
+
+/**
+ * Get configured email provider (null when disabled)
+ * @returns {Object|null}
+ */
+export const getEmailProvider = () => {
+  if (emailProvider !== undefined) return emailProvider;
+
+  const choice = process.env.NOTIFICATION_EMAIL_PROVIDER || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+  switch (choice) {
+    case 'smtp':
+      emailProvider = new SmtpProvider();
+      break;
+    case 'console':
+      emailProvider = new ConsoleProvider('EMAIL');
+      break;
+    default:
+      emailProvider = null;
+  }
+
+  return emailProvider;
+};
+
+/**
+ * Get configured SMS provider (null when disabled)
+ * @returns {Object|null}
+ */
+export const getSmsProvider = () => {
+  if (smsProvider !== undefined) return smsProvider;
+
+  const choice = process.env.NOTIFICATION_SMS_PROVIDER || (process.env.SMS_GATEWAY_URL ? 'gateway' : 'none');
+
+  switch (choice) {
+    case 'gateway':
+      smsProvider = new SmsGatewayProvider();
+      break;
+    case 'console':
+      smsProvider = new ConsoleProvider('SMS');
+      break;
+    default:
+      smsProvider = null;
+  }
+
+  return smsProvider;
+};
+
+/**
+ * Get provider by its stored name (used for retries)
+ * @param {string} name - Provider name from notifications.provider
+ * @param {string} channel - EMAIL | SMS
+ * @returns {Object|null}
+ */
+export const getProviderByName = (name, channel) => {
+  const current = channel === 'SMS' ? getSmsProvider() : getEmailProvider();
+  if (current && current.name === name) return current;
+
+  switch (name) {
+    case 'smtp':
+      return new SmtpProvider();
+    case 'sms_gateway':
+      return new SmsGatewayProvider();
+    case 'console':
+      return new ConsoleProvider(channel);
+    default:
+      return null;
+  }
+};
+
+export default { getEmailProvider, getSmsProvider, getProviderByName };
@@ -0,0 +1,155 @@
+/**
+ * Notification Templates
+ * One template per trigger. Each returns { subject, text, sms }.
+ */
+
+/**
+ * Notification triggers
+ */
+export const NotificationTrigger = {
+  REGISTRATION_CONFIRMED: 'REGISTRATION_CONFIRMED',
+  REGISTRATION_WAITLISTED: 'REGISTRATION_WAITLISTED',
+  PAYMENT_CONFIRMED: 'PAYMENT_CONFIRMED',
+  WAITLIST_PROMOTED: 'WAITLIST_PROMOTED',
+  REGISTRATION_CANCELLED: 'REGISTRATION_CANCELLED',
+  REFUND_PROCESSED: 'REFUND_PROCESSED',
+  EVENT_CANCELLED: 'EVENT_CANCELLED',
+  EVENT_APPROVED: 'EVENT_APPROVED',
+  EVENT_REJECTED: 'EVENT_REJECTED',
+  CERTIFICATE_ISSUED: 'CERTIFICATE_ISSUED',
+  TEAM_INVITE: 'TEAM_INVITE',
+  TEAM_REGISTERED: 'TEAM_REGISTERED'
+};
+
+const formatDate = (date) => {
+  if (!date) return 'TBA';
+  return new Date(date).toLocaleString('en-IN', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: 'Asia/Kolkata'
+  });
+};
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toFixed(2)}`;
+
+const SIGNATURE = '\n\n— SGT University Events';
+
+const templates = {
+  [NotificationTrigger.REGISTRATION_CONFIRMED]: (d) => ({
+    subject: `Registration confirmed: ${d.event_name}`,
+    text: `Hi ${d.recipient_name},\n\nYou are registered for ${d.event_name} (${d.event_code}).\n` +
+      `When: ${formatDate(d.start_date)}\nWhere: ${d.venue || 'TBA'}\n\n` +
+      `Show your event QR code at the gate to check in.${SIGNATURE}`,
+    sms: `SGTU Events: You are registered for ${d.event_name} on ${formatDate(d.start_date)}. Show your QR at the gate.`
+  }),
+
+  [NotificationTrigger.REGISTRATION_WAITLISTED]: (d) => ({
+    subject: `Waitlisted: ${d.event_name}`,
+    text: `Hi ${d.recipient_name},\n\n${d.event_name} is full, so you have been added to the waitlist.\n` +
+      `We will notify you as soon as a spot opens up.${SIGNATURE}`,
+    sms: `SGTU Events: ${d.event_name} is full. You are on the waitlist and will be notified if a spot opens.`
+  }),
+
+  [NotificationTrigger.PAYMENT_CONFIRMED]: (d) => ({
+    subject: `Payment received: ${d.event_name}`,
+    text: `Hi ${d.recipient_name},\n\nWe received your payment of ${formatAmount(d.amount)} for ${d.event_name} (${d.event_code}).\n` +
+      `Payment ID: ${d.payment_id || 'N/A'}\n` +
+      `When: ${formatDate(d.start_date)}\nWhere: ${d.venue || 'TBA'}\n\n` +
+      `Your registration is confirmed.${SIGNATURE}`,
+    sms: `SGTU Events: Payment of ${formatAmount(d.amount)} received. You are registered for ${d.event_name}.`
+  }),
+
+  [NotificationTrigger.WAITLIST_PROMOTED]: (d) => ({
+    subject: `A spot opened up: ${d.event_name}`,
+    text: `Hi ${d.recipient_name},\n\nGood news! A spot opened up for ${d.event_name} and you have been moved off the waitlist.\n` +
+      (d.payment_required
+        ? `Please complete your payment of ${formatAmount(d.amount)} to confirm your place.`
+        : 'Your registration is now confirmed.') +
+      `\n\nWhen: ${formatDate(d.start_date)}\nWhere: ${d.venue || 'TBA'}${SIGNATURE}`,
+    sms: d.payment_required
+      ? `SGTU Events: A spot opened for ${d.event_name}. Complete payment of ${formatAmount(d.amount)} to confirm.`
+      : `SGTU Events: A spot opened for ${d.event_name}. Your registration is confirmed.`
+  }),
+
+  [NotificationTrigger.REGISTRATION_CANCELLED]: (d) => ({
+    subject: `Registration cancelled: ${d.event_name}`,
+    text: `Hi ${d.recipient_name},\n\nYour registration for ${d.event_name} (${d.event_code}) has been cancelled.\n` +
+      (d.reason ? `Reason: ${d.reason}\n` : '') + SIGNATURE.trimStart(),
+    sms: `SGTU Events: Your registration for ${d.event_name} has been cancelled.`
+  }),
+
+  [NotificationTrigger.REFUND_PROCESSED]: (d) => ({
+    subject: `Refund processed: ${d.event_name}`,
+    text: `Hi ${d.recipient_name},\n\nA refund of ${formatAmount(d.refund_amount)} for ${d.event_name} has been processed.\n` +
+      (d.refund_id ? `Refund ID: ${d.refund_id}\n` : '') +
+      (d.reason ? `Reason: ${d.reason}\n` : '') +
+      `It usually reaches your account within 5-7 business days.${SIGNATURE}`,
+    sms: `SGTU Events: Refund of ${formatAmount(d.refund_amount)} for ${d.event_name} processed. Expect it in 5-7 business days.`
+  }),
+
+  [NotificationTrigger.EVENT_CANCELLED]: (d) => ({
+    subject: `Event cancelled: ${d.event_name}`,
+    text: `Hi ${d.recipient_name},\n\nUnfortunately ${d.event_name} (${d.event_code}) scheduled for ${formatDate(d.start_date)} has been cancelled.\n` +
+      (d.reason ? `Reason: ${d.reason}\n` : '') +
+      (parseFloat(d.refund_amount) > 0
+        ? `A refund of ${formatAmount(d.refund_amount)} has been initiated to your original payment method.\n`
+        : '') + SIGNATURE.trimStart(),
+    sms: `SGTU Events: ${d.event_name} on ${formatDate(d.start_date)} has been cancelled.` +
+      (parseFloat(d.refund_amount) > 0 ? ` Refund of ${formatAmount(d.refund_amount)} initiated.` : '')
+  }),
+
+  [NotificationTrigger.EVENT_APPROVED]: (d) => ({
+    subject: `Event approved: ${d.event_name}`,
+    text: `Hi ${d.recipient_name},\n\nYour event ${d.event_name} (${d.event_code}) has been approved by the admin ` +
+      `and is now open for registrations from ${formatDate(d.registration_start_date)}.${SIGNATURE}`,
+    sms: `SGTU Events: Your event ${d.event_name} has been approved.`
+  }),
+
+  [NotificationTrigger.EVENT_REJECTED]: (d) => ({
+    subject: `Event not approved: ${d.event_name}`,
+    text: `Hi ${d.recipient_name},\n\nYour event ${d.event_name} (${d.event_code}) was not approved.\n` +
+      `Reason: ${d.reason || 'Not specified'}\n\nYou can update the event and submit it again.${SIGNATURE}`,
+    sms: `SGTU Events: Your event ${d.event_name} was not approved. Check your email for the reason.`
+  }),
+
+  [NotificationTrigger.CERTIFICATE_ISSUED]: (d) => ({
+    subject: `Your certificate for ${d.event_name}`,
+    text: `Hi ${d.recipient_name},\n\nYour certificate of participation for ${d.event_name} (${d.event_code}) is ready.\n` +
+      `Download it from My Certificates in your student dashboard.\n` +
+      `Verification code: ${d.verification_code}${SIGNATURE}`,
+    sms: `SGTU Events: Your certificate for ${d.event_name} is ready. Download it from your student dashboard.`
+  }),
+
+  [NotificationTrigger.TEAM_INVITE]: (d) => ({
+    subject: `Team invite: ${d.team_name} for ${d.event_name}`,
+    text: `Hi ${d.recipient_name},\n\n${d.captain_name} has invited you to join team "${d.team_name}" for ${d.event_name} ` +
+      `(${d.event_code}) on ${formatDate(d.start_date)}.\n` +
+      `Accept or decline the invite from Team Invites in your student dashboard.${SIGNATURE}`,
+    sms: `SGTU Events: ${d.captain_name} invited you to team "${d.team_name}" for ${d.event_name}. Respond from your dashboard.`
+  }),
+
+  [NotificationTrigger.TEAM_REGISTERED]: (d) => ({
+    subject: `Team ${d.team_name} is registered for ${d.event_name}`,
+    text: `Hi ${d.recipient_name},\n\nYour team "${d.team_name}" is registered for ${d.event_name} (${d.event_code}).\n` +
+      `When: ${formatDate(d.start_date)}\nWhere: ${d.venue || 'TBA'}\n\n` +
+      `Each member checks in with their own event QR code at the gate.${SIGNATURE}`,
+    sms: `SGTU Events: Team "${d.team_name}" is registered for ${d.event_name} on ${formatDate(d.start_date)}.`
+  })
+};
+
+/**
+ * Render template for a trigger
+ * @param {string} trigger - NotificationTrigger value
+ * @param {Object} data - Template variables
+ * @returns {Object} { subject, text, sms }
+ */
+export const renderTemplate = (trigger, data) => {
+  const template = templates[trigger];
+  if (!template) {
+    throw new Error(`No notification template for trigger: ${trigger}`);
+  }
+
+  return template({ recipient_name: 'there', ...data });
+};
+
+export default { NotificationTrigger, renderTemplate };
@@ -0,0 +1,421 @@
+/**
+ * Password Reset Service
+ * Self-service account recovery by one-time code for students, volunteers and event managers:
+ * request a code (sent to the account's email or phone), exchange it for a short-lived reset
+ * token, then set a new password with the token. Codes are stored as keyed hashes, expire,
+ * allow a limited number of attempts, and requests are throttled per identifier entered, so
+ * unknown accounts are throttled (and answered) exactly like real ones.
+ *
+ * Config (env):
+ * - PASSWORD_RESET_OTP_CHANNEL: EMAIL | SMS (default EMAIL)
+ * - PASSWORD_RESET_OTP_PROVIDER: provider name overriding the channel's notification provider
+ *   (e.g. console to log codes locally instead of sending them)
+ * - PASSWORD_RESET_OTP_TTL_MINUTES (default 10), PASSWORD_RESET_OTP_MAX_ATTEMPTS (default 5)
+ * - PASSWORD_RESET_OTP_MAX_REQUESTS per PASSWORD_RESET_OTP_WINDOW_MINUTES (default 3 per 15);
+ *   counted in Redis, or per instance while Redis is unavailable
+ * - PASSWORD_RESET_REQUIRE_DOB_PINCODE: students must also confirm date of birth + pincode
+ */
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import { query } from '../config/db.js';
+import redisClient from '../config/redis.js';
+import Student from '../models/Student.model.js';
+import Volunteer from '../models/Volunteer.model.js';
+import EventManagerModel from '../models/EventManager.model.js';
+import PasswordResetOtpModel from '../models/PasswordResetOtp.model.js';
+import { getEmailProvider, getSmsProvider, getProviderByName } from './notificationProviders.js';
+import { logAuditEvent, AuditEventType } from '../utils/auditLogger.js';
+import { revokeAllSessions } from './authSession.service.js';
+
+const OTP_LENGTH = 6;
+const RESET_TOKEN_PURPOSE = 'password_reset';
+const RESET_TOKEN_EXPIRY = '10m';
+
+const getConfig = () => ({
+  channel: process.env.PASSWORD_RESET_OTP_CHANNEL === 'SMS' ? 'SMS' : 'EMAIL',
+  ttlMinutes: parseInt(process.env.PASSWORD_RESET_OTP_TTL_MINUTES) || 10,
+  maxAttempts: parseInt(process.env.PASSWORD_RESET_OTP_MAX_ATTEMPTS) || 5,
+  maxRequests: parseInt(process.env.PASSWORD_RESET_OTP_MAX_REQUESTS) || 3,
+  windowMinutes: parseInt(process.env.PASSWORD_RESET_OTP_WINDOW_MINUTES) || 15,
+  requireDobPincode: process.env.PASSWORD_RESET_REQUIRE_DOB_PINCODE === 'true'
+});
+
+const isStrongManagerPassword = (password) => (
+  password.length >= 8 &&
+  /[A-Z]/.test(password) &&
+  /[a-z]/.test(password) &&
+  /[0-9]/.test(password) &&
+  /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)
+);
+
+/**
+ * How each account type is looked up, which contact details it has and how its password is set
+ */
+const ACCOUNT_TYPES = {
+  STUDENT: {
+    identifier: 'registration_no',
+    findAccount: (identifier) => Student.findByRegistrationNo(identifier, query),
+    isActive: () => true,
+    passwordRule: 'Password must be at least 8 characters with at least one letter and one number',
+    isValidPassword: (password) => Student.isValidPassword(password),
+    setPassword: (id, password) => Student.resetPassword(id, password, query)
+  },
+  VOLUNTEER: {
+    identifier: 'email',
+    findAccount: (identifier) => Volunteer.findByEmail(identifier, query),
+    isActive: (account) => account.is_active,
+    passwordRule: 'Password must be at least 6 characters',
+    isValidPassword: (password) => password.length >= 6,
+    setPassword: (id, password) => Volunteer.changePassword(id, password, query)
+  },
+  EVENT_MANAGER: {
+    identifier: 'email',
+    findAccount: (identifier) => EventManagerModel.findByEmail(identifier),
+    isActive: (account) => account.is_active,
+    passwordRule: 'Password must be at least 8 characters and contain at least one uppercase letter, ' +
+      'one lowercase letter, one number, and one special character',
+    isValidPassword: isStrongManagerPassword,
+    setPassword: async (id, password) => {
+      const passwordHash = await bcrypt.hash(password, await bcrypt.genSalt(12));
+      await query(
+        'UPDATE event_managers SET password_hash = $1, password_reset_required = false, updated_at = NOW() WHERE id = $2',
+        [passwordHash, id]
+      );
+    }
+  }
+};
+
+/**
+ * Request body field that identifies the account (registration_no for students, email otherwise)
+ * @param {string} accountType - STUDENT, VOLUNTEER or EVENT_MANAGER
+ * @returns {string}
+ */
+export const getIdentifierField = (accountType) => ACCOUNT_TYPES[accountType].identifier;
+
+const hashOtp = (accountType, userId, otp) => crypto
+  .createHmac('sha256', process.env.PASSWORD_RESET_OTP_SECRET || process.env.JWT_SECRET)
+  .update(`${accountType}:${userId}:${otp}`)
+  .digest('hex');
+
+const otpMatches = (otpRow, otp) => {
+  const expected = Buffer.from(otpRow.otp_hash, 'hex');
+  const actual = Buffer.from(hashOtp(otpRow.user_role, otpRow.user_id, otp), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const getDeliveryProvider = (channel) => {
+  if (process.env.PASSWORD_RESET_OTP_PROVIDER) {
+    return getProviderByName(process.env.PASSWORD_RESET_OTP_PROVIDER, channel);
+  }
+  return channel === 'SMS' ? getSmsProvider() : getEmailProvider();
+};
+
+// Identifier key -> times of recent code requests, used while Redis is unavailable
+const recentRequests = new Map();
+const RECENT_REQUESTS_MAX_KEYS = 10000;
+
+// Identifiers are hashed so raw emails and registration numbers don't end up in Redis keys
+const getIdentifierKey = (accountType, identifier) => crypto
+  .createHash('sha256')
+  .update(`${accountType}:${identifier.trim().toLowerCase()}`)
+  .digest('hex');
+
+/**
+ * Count a code request against the identifier's limit, whether or not an account matches it
+ * @returns {Promise<{ allowed: boolean, retry_after_seconds?: number }>}
+ */
+const checkRequestLimit = async (accountType, identifier, config) => {
+  const windowSeconds = config.windowMinutes * 60;
+  const identifierKey = getIdentifierKey(accountType, identifier);
+
+  if (redisClient.isConnected) {
+    const key = `password-reset:otp:${identifierKey}`;
+    const count = await redisClient.increment(key, windowSeconds);
+    if (count > config.maxRequests) {
+      const ttl = await redisClient.ttl(key);
+      return { allowed: false, retry_after_seconds: ttl > 0 ? ttl : windowSeconds };
+    }
+    return { allowed: true };
+  }
+
+  const now = Date.now();
+  const recent = (recentRequests.get(identifierKey) || []).filter(at => at > now - windowSeconds * 1000);
+  if (recent.length >= config.maxRequests) {
+    recentRequests.set(identifierKey, recent);
+    return { allowed: false, retry_after_seconds: Math.ceil((recent[0] + windowSeconds * 1000 - now) / 1000) };
+  }
+
+  recent.push(now);
+  recentRequests.delete(identifierKey);
+  recentRequests.set(identifierKey, recent);
+  if (recentRequests.size > RECENT_REQUESTS_MAX_KEYS) {
+    recentRequests.delete(recentRequests.keys().next().value);
+  }
+  return { allowed: true };
+};
+
+/**
+ * Send a reset code to the account's registered email or phone
+ * Unknown or inactive accounts get the same response as known ones (no account enumeration):
+ * requests are throttled on the identifier before any lookup, and a failed delivery is
+ * logged but answered like a successful one
+ * @param {string} accountType - STUDENT, VOLUNTEER or EVENT_MANAGER
+ * @param {string} identifier - Registration number (students) or email
+ * @param {Object} requestInfo - { ip_address, user_agent } for audit
+ * @returns {Promise<{ channel: string, expires_in_minutes: number }|{ error: string, status: number }>}
+ */
+export const requestOtp = async (accountType, identifier, requestInfo = {}) => {
+  const config = getConfig();
+  const accountConfig = ACCOUNT_TYPES[accountType];
+  const result = { channel: config.channel, expires_in_minutes: config.ttlMinutes };
+
+  const limit = await checkRequestLimit(accountType, identifier, config);
+  if (!limit.allowed) {
+    return {
+      error: `Too many reset codes requested. Try again in ${Math.ceil(limit.retry_after_seconds / 60)} minutes.`,
+      status: 429
+    };
+  }
+
+  const provider = getDeliveryProvider(config.channel);
+  if (!provider) {
+    return { error: 'Password reset codes cannot be sent right now. Please contact support.', status: 503 };
+  }
+
+  const account = await accountConfig.findAccount(identifier.trim());
+  const destination = config.channel === 'SMS' ? account?.phone : account?.email;
+  if (!account || !accountConfig.isActive(account) || !destination) {
+    return result;
+  }
+
+  const otp = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+  const otpRow = await PasswordResetOtpModel.create({
+    user_role: accountType,
+    user_id: account.id,
+    otp_hash: hashOtp(accountType, account.id, otp),
+    channel: config.channel,
+    destination,
+    expires_at: new Date(Date.now() + config.ttlMinutes * 60 * 1000),
+    ip_address: requestInfo.ip_address || null
+  });
+
+  try {
+    await provider.send({
+      to: destination,
+      subject: 'Your SGTU Events password reset code',
+      text: config.channel === 'SMS'
+        ? `SGTU Events: ${otp} is your password reset code. It expires in ${config.ttlMinutes} minutes. Do not share it.`
+        : `Hi ${account.full_name || 'there'},\n\nYour password reset code is ${otp}.\n` +
+          `It expires in ${config.ttlMinutes} minutes. If you did not request a reset, you can ignore this message ` +
+          `- your password has not been changed.\n\n— SGT University Events`
+    });
+  } catch (error) {
+    console.error(`❌ Password reset code delivery failed (${provider.name}):`, error.message);
+    await PasswordResetOtpModel.invalidate(otpRow.id);
+    await logAuditEvent({
+      event_type: AuditEventType.PASSWORD_RESET_REQUESTED,
+      user_id: account.id,
+      user_role: accountType,
+      ...requestInfo,
+      resource_type: accountType,
+      resource_id: account.id,
+      metadata: { channel: config.channel, provider: provider.name, otp_id: otpRow.id, delivery_failed: true, error: error.message }
+    });
+    return result;
+  }
+
+  await logAuditEvent({
+    event_type: AuditEventType.PASSWORD_RESET_REQUESTED,
+    user_id: account.id,
+    user_role: accountType,
+    ...requestInfo,
+    resource_type: accountType,
+    resource_id: account.id,
+    metadata: { channel: config.channel, provider: provider.name, otp_id: otpRow.id }
+  });
+
+  return result;
+};
+
+/**
+ * Check a student's date of birth + pincode (optional second factor)
+ * @returns {Promise<{ ok: boolean }|{ error: string, status: number }>}
+ */
+const checkSecondFactor = async (account, secondFactor, config) => {
+  const { date_of_birth, pincode } = secondFactor;
+  const provided = Boolean(date_of_birth || pincode);
+
+  if (!provided) {
+    return config.requireDobPincode
+      ? { error: 'Date of birth and pincode are required to reset your password', status: 400 }
+      : { ok: true };
+  }
+
+  if (!date_of_birth || !pincode) {
+    return { error: 'Provide both date of birth and pincode', status: 400 };
+  }
+  if (!Student.isValidPincode(pincode)) {
+    return { error: 'Pincode must be exactly 6 digits', status: 400 };
+  }
+  if (!Student.isValidDateOfBirth(date_of_birth)) {
+    return { error: 'Invalid date of birth format or age requirement not met', status: 400 };
+  }
+
+  const match = await Student.verifyResetCredentials(account.registration_no, date_of_birth, pincode, query);
+  return match ? { ok: true } : { ok: false };
+};
+
+/**
+ * Exchange a reset code for a reset token
+ * @param {string} accountType - STUDENT, VOLUNTEER or EVENT_MANAGER
+ * @param {string} identifier - Registration number (students) or email
+ * @param {string} otp - Code the user received
+ * @param {Object} secondFactor - { date_of_birth, pincode } (students)
+ * @returns {Promise<{ reset_token: string, account: Object }|{ error: string, status: number, attempts_remaining?: number }>}
+ */
+export const verifyOtp = async (accountType, identifier, otp, secondFactor = {}) => {
+  const config = getConfig();
+  const invalid = { error: 'Invalid or expired reset code. Request a new code.', status: 400 };
+
+  const account = await ACCOUNT_TYPES[accountType].findAccount(identifier.trim());
+  if (!account) {
+    return invalid;
+  }
+
+  const otpRow = await PasswordResetOtpModel.findActive(accountType, account.id);
+  if (!otpRow) {
+    return invalid;
+  }
+
+  let secondFactorCheck = { ok: true };
+  if (accountType === 'STUDENT') {
+    secondFactorCheck = await checkSecondFactor(account, secondFactor, config);
+    if (secondFactorCheck.error) {
+      return secondFactorCheck;
+    }
+  }
+
+  if (!/^\d+$/.test(String(otp)) || !otpMatches(otpRow, String(otp)) || !secondFactorCheck.ok) {
+    const updated = await PasswordResetOtpModel.recordFailedAttempt(otpRow.id, config.maxAttempts);
+    const attemptsRemaining = Math.max(config.maxAttempts - updated.attempts, 0);
+    if (attemptsRemaining === 0) {
+      return { error: 'Too many incorrect attempts. Request a new reset code.', status: 429, attempts_remaining: 0 };
+    }
+    return {
+      error: secondFactorCheck.ok
+        ? 'Incorrect reset code'
+        : 'Reset code, date of birth or pincode is incorrect',
+      status: 401,
+      attempts_remaining: attemptsRemaining
+    };
+  }
+
+  if (!await PasswordResetOtpModel.markVerified(otpRow.id)) {
+    return invalid;
+  }
+
+  const resetToken = jwt.sign(
+    {
+      id: account.id,
+      account_type: accountType,
+      otp_id: otpRow.id,
+      purpose: RESET_TOKEN_PURPOSE,
+      ...(accountType === 'STUDENT' ? { registration_no: account.registration_no } : {})
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: RESET_TOKEN_EXPIRY }
+  );
+
+  return { reset_token: resetToken, account };
+};
+
+/**
+ * Validate a reset token and mark it used (each token changes the password once)
+ * @param {string} accountType - STUDENT, VOLUNTEER or EVENT_MANAGER
+ * @param {string} resetToken - Token from verifyOtp
+ * @returns {Promise<{ user_id: string }|{ error: string, status: number }>}
+ */
+export const consumeResetToken = async (accountType, resetToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(resetToken, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return { error: 'Reset token has expired. Please request a new reset code.', status: 401 };
+    }
+    return { error: 'Invalid reset token', status: 401 };
+  }
+
+  if (decoded.purpose !== RESET_TOKEN_PURPOSE || decoded.account_type !== accountType) {
+    return { error: 'Invalid reset token', status: 401 };
+  }
+
+  // First-time login tokens (students) stay valid only until the password has been set
+  if (decoded.first_login) {
+    const student = accountType === 'STUDENT' ? await Student.findById(decoded.id, query) : null;
+    if (!student || !student.password_reset_required) {
+      return { error: 'This reset token has already been used. Please log in.', status: 401 };
+    }
+    return { user_id: decoded.id };
+  }
+
+  if (!decoded.otp_id || !await PasswordResetOtpModel.markPasswordReset(decoded.otp_id)) {
+    return { error: 'This reset token has already been used. Please request a new reset code.', status: 401 };
+  }
+
+  return { user_id: decoded.id };
+};
+
+/**
+ * Set a new password with a reset token and log out all of the account's sessions
+ * @param {string} accountType - STUDENT, VOLUNTEER or EVENT_MANAGER
+ * @param {string} resetToken - Token from verifyOtp
+ * @param {string} newPassword
+ * @param {Object} requestInfo - { ip_address, user_agent } for audit
+ * @returns {Promise<{ user_id: string }|{ error: string, status: number }>}
+ */
+export const resetPassword = async (accountType, resetToken, newPassword, requestInfo = {}) => {
+  const accountConfig = ACCOUNT_TYPES[accountType];
+  if (!accountConfig.isValidPassword(newPassword)) {
+    return { error: accountConfig.passwordRule, status: 400 };
+  }
+
+  const consumed = await consumeResetToken(accountType, resetToken);
+  if (consumed.error) {
+    return consumed;
+  }
+
+  await accountConfig.setPassword(consumed.user_id, newPassword);
+  await logPasswordReset(accountType, consumed.user_id, requestInfo);
+
+  // Whoever knew the old password may still be logged in somewhere
+  await revokeAllSessions(accountType, consumed.user_id, 'PASSWORD_RESET');
+
+  return consumed;
+};
+
+/**
+ * Audit a completed password reset
+ * @param {string} accountType - STUDENT, VOLUNTEER or EVENT_MANAGER
+ * @param {string} userId - User UUID
+ * @param {Object} requestInfo - { ip_address, user_agent }
+ * @returns {Promise<void>}
+ */
+export const logPasswordReset = (accountType, userId, requestInfo = {}) => logAuditEvent({
+  event_type: AuditEventType.PASSWORD_RESET_COMPLETED,
+  user_id: userId,
+  user_role: accountType,
+  ...requestInfo,
+  resource_type: accountType,
+  resource_id: userId
+});
+
+export default {
+  getIdentifierField,
+  requestOtp,
+  verifyOtp,
+  consumeResetToken,
+  resetPassword,
+  logPasswordReset
+};
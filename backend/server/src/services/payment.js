@@ -281,10 +281,21 @@ class PaymentService {
             status: 'processed'
           };
 
+        case 'payment_link.paid':
+          return {
+            type: 'payment_link_paid',
+            payment_link_id: payload.payment_link.entity.id,
+            order_id: payload.order?.entity?.id || payload.payment?.entity?.order_id || null,
+            payment_id: payload.payment?.entity?.id || null,
+            amount_paid: payload.payment_link.entity.amount_paid / 100,
+            status: 'paid'
+          };
+
         case 'order.paid':
           return {
             type: 'order_paid',
             order_id: payload.order.entity.id,
+            payment_id: payload.payment?.entity?.id || null,
             amount_paid: payload.order.entity.amount_paid / 100,
             status: 'paid'
           };
@@ -304,7 +315,10 @@ class PaymentService {
 
   /**
    * Generate payment link for event (alternative to checkout)
-   * @param {Object} linkData - { amount, currency, description, customer, event_id }
+   * @param {Object} linkData - { amount, currency, description, customer, event_id, event_code,
+   *   student_id, reference_id, expire_by }
+   *   reference_id: our reference (registration ID), unique per link
+   *   expire_by: Date after which the link can no longer be paid
    * @returns {Promise<Object>} Payment link details
    */
   static async createPaymentLink(linkData) {
@@ -315,7 +329,10 @@ class PaymentService {
         description,
         customer,
         event_id,
-        event_code
+        event_code,
+        student_id = null,
+        reference_id = null,
+        expire_by = null
       } = linkData;
 
       const razorpay = this.getRazorpayInstance();
@@ -334,9 +351,12 @@ class PaymentService {
           email: true
         },
         reminder_enable: true,
+        ...(reference_id && { reference_id }),
+        ...(expire_by && { expire_by: Math.floor(expire_by.getTime() / 1000) }),
         notes: {
           event_id,
           event_code,
+          ...(student_id && { student_id }),
           purpose: 'event_registration'
         },
         callback_url: `${process.env.CLIENT_URL}/payment/callback`,
@@ -350,7 +370,8 @@ class PaymentService {
         short_url: link.short_url,
         amount: link.amount / 100,
         currency: link.currency,
-        status: link.status
+        status: link.status,
+        expire_by: link.expire_by ? new Date(link.expire_by * 1000) : null
       };
     } catch (error) {
       console.error('❌ [RAZORPAY] Payment link creation failed:', error);
@@ -358,6 +379,29 @@ class PaymentService {
     }
   }
 
+  /**
+   * Fetch payment link status from Razorpay
+   * @param {string} paymentLinkId - Razorpay payment link ID
+   * @returns {Promise<Object>} { id, status, amount_paid, payment_id }
+   */
+  static async getPaymentLinkDetails(paymentLinkId) {
+    try {
+      const razorpay = this.getRazorpayInstance();
+      const link = await razorpay.paymentLink.fetch(paymentLinkId);
+      const payment = (link.payments || []).find(item => item.status === 'captured') || null;
+
+      return {
+        id: link.id,
+        status: link.status,
+        amount_paid: (link.amount_paid || 0) / 100,
+        payment_id: payment?.payment_id || null
+      };
+    } catch (error) {
+      console.error('❌ [RAZORPAY] Fetch payment link failed:', error);
+      throw new Error(`Failed to fetch payment link: ${error.message}`);
+    }
+  }
+
   /**
    * Check if Razorpay is configured
    * @returns {boolean}
@@ -0,0 +1,157 @@
+/**
+ * Payment Settlement Service
+ * Applies a captured Razorpay payment to its registration. Shared by the webhook,
+ * the checkout callback, the status check fallback and the gate payment check.
+ *
+ * Razorpay orders don't expire with our pending window, so a payment can be captured
+ * after the lifecycle job expired the registration. Such a registration is reopened
+ * when the event still has a seat; otherwise the payment is refunded automatically.
+ */
+import EventRegistrationModel from '../models/EventRegistration.model.js';
+import PaymentService from './payment.js';
+import NotificationService, { NotificationTrigger } from './notification.js';
+import { completeTeamRegistration } from './team.service.js';
+import { publishRegistrationCount } from './realtime.js';
+import { logAuditEvent, AuditEventType } from '../utils/auditLogger.js';
+
+/**
+ * Settlement outcomes
+ */
+export const SettlementStatus = {
+  COMPLETED: 'COMPLETED',               // Pending registration confirmed
+  RECOVERED: 'RECOVERED',               // Expired registration reopened and confirmed
+  REFUNDED: 'REFUNDED',                 // No seat left, payment refunded
+  ALREADY_SETTLED: 'ALREADY_SETTLED',   // Nothing to do
+  UNMATCHED: 'UNMATCHED'                // Late payment without a payment ID to refund
+};
+
+const LATE_REFUND_REASON = 'Payment received after the registration expired and the event had no seat left';
+
+// Placeholders stored when the payment ID couldn't be read from Razorpay
+const isRazorpayPaymentId = (paymentId) => typeof paymentId === 'string' && paymentId.startsWith('pay_');
+
+const confirm = async (registration, paymentId) => {
+  NotificationService.notifyStudent(
+    NotificationTrigger.PAYMENT_CONFIRMED,
+    registration.student_id,
+    { amount: registration.payment_amount, payment_id: paymentId },
+    { event_id: registration.event_id, registration_id: registration.id }
+  );
+  await completeTeamRegistration(registration);
+  publishRegistrationCount(registration.event_id);
+};
+
+const refundLatePayment = async (registration, paymentId, source) => {
+  let refund;
+  try {
+    refund = await PaymentService.processRefund({
+      payment_id: paymentId,
+      notes: { registration_id: registration.id, reason: 'late_capture' }
+    });
+  } catch (error) {
+    await logAuditEvent({
+      event_type: AuditEventType.REFUND_FAILED,
+      user_id: null,
+      user_role: 'SYSTEM',
+      resource_type: 'REGISTRATION',
+      resource_id: registration.id,
+      metadata: { source, reason: 'late_capture', payment_id: paymentId, error: error.message }
+    });
+    throw error;
+  }
+
+  const updated = await EventRegistrationModel.recordLatePaymentRefund(
+    registration.id, paymentId, refund, LATE_REFUND_REASON
+  );
+
+  await logAuditEvent({
+    event_type: AuditEventType.REFUND_INITIATED,
+    user_id: null,
+    user_role: 'SYSTEM',
+    resource_type: 'REGISTRATION',
+    resource_id: registration.id,
+    metadata: {
+      source,
+      reason: 'late_capture',
+      payment_id: paymentId,
+      refund_id: refund.id,
+      amount: refund.amount
+    }
+  });
+
+  NotificationService.notifyStudent(
+    NotificationTrigger.REFUND_PROCESSED,
+    registration.student_id,
+    { refund_amount: refund.amount, refund_id: refund.id, reason: LATE_REFUND_REASON },
+    { event_id: registration.event_id, registration_id: registration.id }
+  );
+
+  return { status: SettlementStatus.REFUNDED, registration: updated || registration, refund };
+};
+
+/**
+ * Apply a captured payment to a registration
+ * @param {Object} registration - event_registrations row the payment belongs to
+ * @param {Object} paymentData - { razorpay_payment_id, razorpay_signature, source }
+ * @returns {Promise<{ status: string, registration: Object, refund?: Object }>}
+ */
+export const settleCapturedPayment = async (registration, paymentData) => {
+  const { razorpay_payment_id, razorpay_signature, source } = paymentData;
+
+  let current = registration;
+  if (current.payment_status === 'PENDING') {
+    try {
+      const updated = await EventRegistrationModel.completePayment(current.id, {
+        razorpay_payment_id,
+        razorpay_signature
+      });
+      await confirm(updated, razorpay_payment_id);
+      return { status: SettlementStatus.COMPLETED, registration: updated };
+    } catch (error) {
+      // The row may have been settled or expired since it was read
+      current = await EventRegistrationModel.findById(registration.id);
+      if (!current || current.payment_status === 'PENDING') {
+        throw error;
+      }
+    }
+  }
+
+  if (current.payment_status !== 'FAILED') {
+    return { status: SettlementStatus.ALREADY_SETTLED, registration: current };
+  }
+
+  // This payment was already refunded by an earlier delivery
+  if (current.razorpay_refund_id && current.razorpay_payment_id === razorpay_payment_id) {
+    return { status: SettlementStatus.REFUNDED, registration: current };
+  }
+
+  const recovered = await EventRegistrationModel.recoverLatePayment(current.id, {
+    razorpay_payment_id,
+    razorpay_signature
+  });
+
+  if (recovered) {
+    await logAuditEvent({
+      event_type: AuditEventType.PAYMENT_COMPLETED,
+      user_id: null,
+      user_role: 'SYSTEM',
+      resource_type: 'REGISTRATION',
+      resource_id: recovered.id,
+      metadata: { source, late_capture: true, payment_id: razorpay_payment_id }
+    });
+    await confirm(recovered, razorpay_payment_id);
+    return { status: SettlementStatus.RECOVERED, registration: recovered };
+  }
+
+  if (!isRazorpayPaymentId(razorpay_payment_id)) {
+    console.error(`❌ [PAYMENT] Late payment on registration ${current.id} has no payment ID to refund`);
+    return { status: SettlementStatus.UNMATCHED, registration: current };
+  }
+
+  return refundLatePayment(current, razorpay_payment_id, source);
+};
+
+export default {
+  SettlementStatus,
+  settleCapturedPayment
+};
@@ -0,0 +1,287 @@
+/**
+ * Pricing Service
+ * Computes what a student pays for a PAID event from the event's pricing rules.
+ * Rules do not stack: the single rule giving the largest discount is applied and
+ * stored on the registration, so refunds are calculated against the amount charged.
+ */
+import PricingRuleModel, { PRICING_RULE_TYPES, DISCOUNT_TYPES } from '../models/PricingRule.model.js';
+
+// Razorpay does not accept orders below Rs. 1
+export const MIN_CHARGE_AMOUNT = 1;
+
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,50}$/;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Normalize a coupon code as entered by a student or manager
+ * @param {string} code
+ * @returns {string|null}
+ */
+export const normalizeCouponCode = (code) => {
+  if (typeof code !== 'string' || code.trim() === '') {
+    return null;
+  }
+  return code.trim().toUpperCase();
+};
+
+/**
+ * Discount a rule gives on a base price (never more than the price itself)
+ * @param {number} basePrice
+ * @param {Object} rule - Pricing rule row
+ * @returns {number}
+ */
+export const calculateDiscount = (basePrice, rule) => {
+  const value = parseFloat(rule.discount_value);
+  const discount = rule.discount_type === 'PERCENT' ? (basePrice * value) / 100 : value;
+  return roundAmount(Math.min(discount, basePrice));
+};
+
+/**
+ * Why a coupon rule cannot be used right now
+ * @param {Object|null} rule - Coupon rule row (with used_count)
+ * @param {Date} at
+ * @returns {string|null} Reason, or null if usable
+ */
+const getCouponError = (rule, at) => {
+  if (!rule || !rule.is_active) {
+    return 'Invalid coupon code';
+  }
+  if (rule.valid_from && new Date(rule.valid_from) > at) {
+    return 'Coupon is not active yet';
+  }
+  if (rule.valid_until && new Date(rule.valid_until) <= at) {
+    return 'Coupon has expired';
+  }
+  if (rule.max_uses && rule.used_count >= rule.max_uses) {
+    return 'Coupon usage limit reached';
+  }
+  return null;
+};
+
+/**
+ * Price a student's registration for a PAID event
+ * @param {Object} event - Event row
+ * @param {Object} student - { id, school_id }
+ * @param {Object} options - { couponCode, registrationId (existing unpaid registration), at }
+ * @returns {Promise<Object>} { base_amount, discount_amount, final_amount, currency, rule, coupon }
+ *   coupon is null when no code was given, otherwise { code, valid, applied, reason }
+ */
+export const calculatePrice = async (event, student, { couponCode = null, registrationId = null, at = new Date() } = {}) => {
+  const basePrice = roundAmount(parseFloat(event.price));
+  const code = normalizeCouponCode(couponCode);
+
+  const rules = await PricingRuleModel.findAvailable(event.id, { at, excludeRegistrationId: registrationId });
+
+  let schoolRegistrations = null;
+  if (student.school_id && rules.some(rule => rule.rule_type === 'GROUP')) {
+    schoolRegistrations = await PricingRuleModel.countSchoolRegistrations(event.id, student.school_id, student.id);
+  }
+
+  const applicable = rules.filter((rule) => {
+    switch (rule.rule_type) {
+      case 'EARLY_BIRD':
+        return true;
+      case 'COUPON':
+        return code !== null && rule.coupon_code === code;
+      case 'SCHOOL':
+        return student.school_id && rule.school_id === student.school_id;
+      case 'GROUP':
+        // The student being priced counts towards the group
+        return schoolRegistrations !== null && schoolRegistrations + 1 >= rule.min_group_size;
+      default:
+        return false;
+    }
+  });
+
+  let best = null;
+  let bestDiscount = 0;
+  for (const rule of applicable) {
+    const discount = calculateDiscount(basePrice, rule);
+    if (discount > bestDiscount) {
+      best = rule;
+      bestDiscount = discount;
+    }
+  }
+
+  const finalAmount = roundAmount(Math.max(basePrice - bestDiscount, Math.min(basePrice, MIN_CHARGE_AMOUNT)));
+
+  let coupon = null;
+  if (code) {
+    if (best && best.rule_type === 'COUPON') {
+      coupon = { code, valid: true, applied: true, reason: null };
+    } else if (applicable.some(rule => rule.rule_type === 'COUPON')) {
+      coupon = { code, valid: true, applied: false, reason: `A better discount already applies (${best.rule_name})` };
+    } else {
+      const couponRule = await PricingRuleModel.findByCouponCode(event.id, code);
+      const usage = couponRule ? await PricingRuleModel.findById(couponRule.id) : null;
+      coupon = { code, valid: false, applied: false, reason: getCouponError(usage, at) || 'Invalid coupon code' };
+    }
+  }
+
+  return {
+    base_amount: basePrice,
+    discount_amount: roundAmount(basePrice - finalAmount),
+    final_amount: finalAmount,
+    currency: event.currency,
+    rule: best ? {
+      id: best.id,
+      rule_name: best.rule_name,
+      rule_type: best.rule_type,
+      discount_type: best.discount_type,
+      discount_value: parseFloat(best.discount_value)
+    } : null,
+    coupon
+  };
+};
+
+/**
+ * Validate pricing rule input from an event manager
+ * @param {Object} body - Request body
+ * @param {Object} event - Event row (price, start_date)
+ * @param {Object|null} existing - Rule being updated
+ * @returns {{ data: Object }|{ error: string }}
+ */
+export const validatePricingRule = (body, event, existing = null) => {
+  const data = {};
+
+  if (existing) {
+    if (body.rule_type !== undefined && body.rule_type !== existing.rule_type) {
+      return { error: 'rule_type cannot be changed; create a new rule instead' };
+    }
+  } else if (!PRICING_RULE_TYPES.includes(body.rule_type)) {
+    return { error: `rule_type must be one of: ${PRICING_RULE_TYPES.join(', ')}` };
+  } else {
+    data.rule_type = body.rule_type;
+  }
+  const ruleType = existing ? existing.rule_type : body.rule_type;
+
+  if (body.rule_name !== undefined || !existing) {
+    if (typeof body.rule_name !== 'string' || body.rule_name.trim() === '') {
+      return { error: 'rule_name is required' };
+    }
+    if (body.rule_name.trim().length > 150) {
+      return { error: 'rule_name must be at most 150 characters' };
+    }
+    data.rule_name = body.rule_name.trim();
+  }
+
+  if (body.discount_type !== undefined || !existing) {
+    if (!DISCOUNT_TYPES.includes(body.discount_type)) {
+      return { error: `discount_type must be one of: ${DISCOUNT_TYPES.join(', ')}` };
+    }
+    data.discount_type = body.discount_type;
+  }
+
+  if (body.discount_value !== undefined || body.discount_type !== undefined || !existing) {
+    const discountType = data.discount_type || existing.discount_type;
+    const value = parseFloat(body.discount_value ?? existing?.discount_value);
+    if (isNaN(value) || value <= 0) {
+      return { error: 'discount_value must be greater than 0' };
+    }
+    if (discountType === 'PERCENT' && value >= 100) {
+      return { error: 'Percentage discount must be less than 100' };
+    }
+    if (discountType === 'FLAT' && value >= parseFloat(event.price)) {
+      return { error: `Flat discount must be less than the event price (${event.price})` };
+    }
+    data.discount_value = roundAmount(value);
+  }
+
+  if (body.coupon_code !== undefined) {
+    if (ruleType !== 'COUPON') {
+      return { error: 'coupon_code only applies to COUPON rules' };
+    }
+    const code = normalizeCouponCode(body.coupon_code);
+    if (!code || !COUPON_CODE_PATTERN.test(code)) {
+      return { error: 'coupon_code must be 3-50 letters, digits, "-" or "_"' };
+    }
+    data.coupon_code = code;
+  } else if (!existing && ruleType === 'COUPON') {
+    return { error: 'coupon_code is required for COUPON rules' };
+  }
+
+  if (body.school_id !== undefined) {
+    if (ruleType !== 'SCHOOL') {
+      return { error: 'school_id only applies to SCHOOL rules' };
+    }
+    if (!body.school_id) {
+      return { error: 'school_id is required for SCHOOL rules' };
+    }
+    data.school_id = body.school_id;
+  } else if (!existing && ruleType === 'SCHOOL') {
+    return { error: 'school_id is required for SCHOOL rules' };
+  }
+
+  if (body.min_group_size !== undefined) {
+    if (ruleType !== 'GROUP') {
+      return { error: 'min_group_size only applies to GROUP rules' };
+    }
+    const size = Number(body.min_group_size);
+    if (!Number.isInteger(size) || size < 2) {
+      return { error: 'min_group_size must be an integer of at least 2' };
+    }
+    data.min_group_size = size;
+  } else if (!existing && ruleType === 'GROUP') {
+    return { error: 'min_group_size is required for GROUP rules' };
+  }
+
+  for (const field of ['valid_from', 'valid_until']) {
+    if (body[field] !== undefined) {
+      if (body[field] === null) {
+        data[field] = null;
+      } else {
+        const date = new Date(body[field]);
+        if (isNaN(date.getTime())) {
+          return { error: `${field} must be a valid date` };
+        }
+        data[field] = date;
+      }
+    }
+  }
+
+  const validFrom = data.valid_from !== undefined ? data.valid_from : existing?.valid_from;
+  const validUntil = data.valid_until !== undefined ? data.valid_until : existing?.valid_until;
+
+  if (validFrom && validUntil && new Date(validUntil) <= new Date(validFrom)) {
+    return { error: 'valid_until must be after valid_from' };
+  }
+
+  if (ruleType === 'EARLY_BIRD') {
+    if (!validUntil) {
+      return { error: 'valid_until (early-bird cutoff) is required for EARLY_BIRD rules' };
+    }
+    if (new Date(validUntil) > new Date(event.start_date)) {
+      return { error: 'Early-bird cutoff must be before the event starts' };
+    }
+  }
+
+  if (body.max_uses !== undefined) {
+    if (body.max_uses === null) {
+      data.max_uses = null;
+    } else {
+      const maxUses = Number(body.max_uses);
+      if (!Number.isInteger(maxUses) || maxUses <= 0) {
+        return { error: 'max_uses must be a positive integer' };
+      }
+      data.max_uses = maxUses;
+    }
+  }
+
+  if (body.is_active !== undefined) {
+    if (typeof body.is_active !== 'boolean') {
+      return { error: 'is_active must be a boolean' };
+    }
+    data.is_active = body.is_active;
+  }
+
+  return { data };
+};
+
+export default {
+  MIN_CHARGE_AMOUNT,
+  normalizeCouponCode,
+  calculateDiscount,
+  calculatePrice,
+  validatePricingRule
+};
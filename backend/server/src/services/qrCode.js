@@ -18,7 +18,16 @@ class QRCodeService {
    * @returns {number} Current time window
    */
   static getCurrentTimeWindow() {
-    return Math.floor(Date.now() / 1000 / this.ROTATION_INTERVAL_SECONDS);
+    return this.getTimeWindowAt(Date.now());
+  }
+
+  /**
+   * Get time window for a given moment (used when replaying offline scans)
+   * @param {number|Date} timestamp - Milliseconds since epoch or Date
+   * @returns {number} Time window at that moment
+   */
+  static getTimeWindowAt(timestamp) {
+    return Math.floor(new Date(timestamp).getTime() / 1000 / this.ROTATION_INTERVAL_SECONDS);
   }
 
   /**
@@ -70,13 +79,21 @@ class QRCodeService {
    * UNIVERSAL QR CODE: Token identifies student only, not event
    * Event authorization checked separately in database during scanning
    * 
+   * Offline scans pass the time the QR was scanned so the grace window (and JWT expiry)
+   * are checked against scan time instead of sync time
+   * 
    * @param {string} token - JWT token from QR code
+   * @param {Date|number|null} scannedAt - When the QR was scanned (default: now)
    * @returns {Object} { valid, registration_no, time_window, isStatic } or { valid: false }
    */
-  static verifyRotatingStudentToken(token) {
+  static verifyRotatingStudentToken(token, scannedAt = null) {
     try {
+      const scanTime = scannedAt ? new Date(scannedAt).getTime() : Date.now();
+
       // 1. Decode JWT
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+        clockTimestamp: Math.floor(scanTime / 1000)
+      });
 
       // 2. Check if it's a rotating token
       if (decoded.t !== 'RS') {
@@ -100,7 +117,7 @@ class QRCodeService {
       }
 
       // 5. Check if time window is within grace period
-      const currentWindow = this.getCurrentTimeWindow();
+      const currentWindow = this.getTimeWindowAt(scanTime);
       const windowDifference = currentWindow - tokenWindow;
 
       if (windowDifference > this.GRACE_PERIOD_WINDOWS || windowDifference < 0) {
@@ -0,0 +1,316 @@
+/**
+ * Ranking Config Service
+ * Per-event formulas behind the stall, student and school leaderboards.
+ * An event stores only the settings it overrides (events.ranking_config); everything
+ * else comes from DEFAULT_RANKING_CONFIG. The student duration and feedback targets
+ * default to values derived from the event itself (8 hours per event day, 90% of its
+ * active stalls), so a one-day seminar is not scored like a three-day, 200-stall fair.
+ */
+import EventModel from '../models/Event.model.js';
+import StallModel from '../models/Stall.model.js';
+import { query } from '../config/db.js';
+
+// Attendance per event day that earns a full duration score
+const MINUTES_PER_EVENT_DAY = 480;
+// Share of the event's stalls a student must review for a full feedback quantity score
+const FEEDBACK_COVERAGE_TARGET = 0.9;
+const MAX_WEIGHT = 100;
+
+export const VOTE_RANKS = ['rank_1', 'rank_2', 'rank_3'];
+export const STALL_METRICS = ['ranking_votes', 'average_rating', 'feedback_count', 'unique_visitors'];
+export const STUDENT_METRICS = ['duration', 'feedback_quantity', 'feedback_quality', 'engagement', 'consistency'];
+
+/**
+ * Fields each leaderboard can break ties on (all compared highest first)
+ */
+export const TIE_BREAKERS = {
+  stalls: ['avg_rating', 'total_feedbacks', 'unique_visitors', 'ranking_points', 'rank_1_votes', 'feedback_with_comments'],
+  students: ['total_feedbacks', 'total_duration_minutes', 'quality_feedbacks', 'total_visits', 'unique_days_attended'],
+  schools: ['total_students_ranked', 'rank_1_votes', 'stalls_ranked']
+};
+
+/**
+ * Formulas used when an event has no overrides.
+ * Weights are relative (a weight of 0 leaves the metric out); nulls are derived from the event.
+ */
+export const DEFAULT_RANKING_CONFIG = {
+  vote_weights: { rank_1: 5, rank_2: 3, rank_3: 1 },
+  stalls: {
+    weights: { ranking_votes: 40, average_rating: 35, feedback_count: 15, unique_visitors: 10 },
+    tie_breakers: ['avg_rating', 'total_feedbacks']
+  },
+  students: {
+    weights: { duration: 30, feedback_quantity: 25, feedback_quality: 20, engagement: 15, consistency: 10 },
+    event_days: null,
+    duration_target_minutes: null,
+    feedback_target: null,
+    visit_target: 15,
+    session_target_minutes: 180,
+    quality: { min_comment_length: 20, comment_depth_cap: 150 },
+    tie_breakers: ['total_feedbacks', 'total_duration_minutes']
+  },
+  schools: {
+    tie_breakers: ['total_students_ranked']
+  }
+};
+
+// [min, max] of the integer student settings; null means "derive from the event"
+const STUDENT_LIMITS = {
+  event_days: [1, 60],
+  duration_target_minutes: [1, 60 * 24 * 60],
+  feedback_target: [1, 10000],
+  visit_target: [1, 1000],
+  session_target_minutes: [1, 1440]
+};
+const DERIVED_STUDENT_SETTINGS = ['event_days', 'duration_target_minutes', 'feedback_target'];
+const QUALITY_LIMITS = {
+  min_comment_length: [0, 2000],
+  comment_depth_cap: [1, 5000]
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const checkKeys = (value, allowed, path) => {
+  if (!isPlainObject(value)) {
+    return `${path} must be an object`;
+  }
+  const unknown = Object.keys(value).filter(key => !allowed.includes(key));
+  return unknown.length > 0
+    ? `Unknown ${path} setting(s): ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`
+    : null;
+};
+
+const parseWeights = (value, keys, path) => {
+  const error = checkKeys(value, keys, path);
+  if (error) return { error };
+
+  const weights = {};
+  for (const [key, weight] of Object.entries(value)) {
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > MAX_WEIGHT) {
+      return { error: `${path}.${key} must be a number from 0 to ${MAX_WEIGHT}` };
+    }
+    weights[key] = weight;
+  }
+  return { weights };
+};
+
+const parseInteger = (value, [min, max], path) => {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    return { error: `${path} must be a whole number from ${min} to ${max}` };
+  }
+  return { value };
+};
+
+const parseTieBreakers = (value, board) => {
+  const path = `${board}.tie_breakers`;
+  if (!Array.isArray(value)) {
+    return { error: `${path} must be an array` };
+  }
+
+  const normalized = [...new Set(value.map(field => String(field).trim().toLowerCase()))];
+  const unknown = normalized.filter(field => !TIE_BREAKERS[board].includes(field));
+  if (unknown.length > 0) {
+    return { error: `Unknown ${path}: ${unknown.join(', ')}. Allowed: ${TIE_BREAKERS[board].join(', ')}` };
+  }
+  return { tie_breakers: normalized };
+};
+
+/**
+ * Overrides on top of the defaults (derived settings left null)
+ * @param {Object} overrides - events.ranking_config
+ * @returns {Object}
+ */
+const mergeConfig = (overrides = {}) => ({
+  vote_weights: { ...DEFAULT_RANKING_CONFIG.vote_weights, ...overrides.vote_weights },
+  stalls: {
+    weights: { ...DEFAULT_RANKING_CONFIG.stalls.weights, ...overrides.stalls?.weights },
+    tie_breakers: overrides.stalls?.tie_breakers || DEFAULT_RANKING_CONFIG.stalls.tie_breakers
+  },
+  students: {
+    ...DEFAULT_RANKING_CONFIG.students,
+    ...overrides.students,
+    weights: { ...DEFAULT_RANKING_CONFIG.students.weights, ...overrides.students?.weights },
+    quality: { ...DEFAULT_RANKING_CONFIG.students.quality, ...overrides.students?.quality },
+    tie_breakers: overrides.students?.tie_breakers || DEFAULT_RANKING_CONFIG.students.tie_breakers
+  },
+  schools: {
+    tie_breakers: overrides.schools?.tie_breakers || DEFAULT_RANKING_CONFIG.schools.tie_breakers
+  }
+});
+
+/**
+ * Validate and normalize ranking config overrides from a request body.
+ * Omitted settings keep their defaults.
+ * @param {Object} input
+ * @returns {{ config: Object }|{ error: string }}
+ */
+export const validateRankingConfig = (input) => {
+  const topError = checkKeys(input, Object.keys(DEFAULT_RANKING_CONFIG), 'config');
+  if (topError) return { error: topError };
+
+  const config = {};
+
+  if (input.vote_weights !== undefined) {
+    const { weights, error } = parseWeights(input.vote_weights, VOTE_RANKS, 'vote_weights');
+    if (error) return { error };
+    config.vote_weights = weights;
+  }
+
+  if (input.stalls !== undefined) {
+    const error = checkKeys(input.stalls, ['weights', 'tie_breakers'], 'stalls');
+    if (error) return { error };
+
+    config.stalls = {};
+    if (input.stalls.weights !== undefined) {
+      const parsed = parseWeights(input.stalls.weights, STALL_METRICS, 'stalls.weights');
+      if (parsed.error) return { error: parsed.error };
+      config.stalls.weights = parsed.weights;
+    }
+    if (input.stalls.tie_breakers !== undefined) {
+      const parsed = parseTieBreakers(input.stalls.tie_breakers, 'stalls');
+      if (parsed.error) return { error: parsed.error };
+      config.stalls.tie_breakers = parsed.tie_breakers;
+    }
+  }
+
+  if (input.students !== undefined) {
+    const allowed = ['weights', 'quality', 'tie_breakers', ...Object.keys(STUDENT_LIMITS)];
+    const error = checkKeys(input.students, allowed, 'students');
+    if (error) return { error };
+
+    config.students = {};
+    if (input.students.weights !== undefined) {
+      const parsed = parseWeights(input.students.weights, STUDENT_METRICS, 'students.weights');
+      if (parsed.error) return { error: parsed.error };
+      config.students.weights = parsed.weights;
+    }
+    for (const [key, limits] of Object.entries(STUDENT_LIMITS)) {
+      const value = input.students[key];
+      if (value === undefined) continue;
+      if (value === null && DERIVED_STUDENT_SETTINGS.includes(key)) {
+        config.students[key] = null;
+        continue;
+      }
+      const parsed = parseInteger(value, limits, `students.${key}`);
+      if (parsed.error) return { error: parsed.error };
+      config.students[key] = parsed.value;
+    }
+    if (input.students.quality !== undefined) {
+      const qualityError = checkKeys(input.students.quality, Object.keys(QUALITY_LIMITS), 'students.quality');
+      if (qualityError) return { error: qualityError };
+
+      config.students.quality = {};
+      for (const [key, value] of Object.entries(input.students.quality)) {
+        const parsed = parseInteger(value, QUALITY_LIMITS[key], `students.quality.${key}`);
+        if (parsed.error) return { error: parsed.error };
+        config.students.quality[key] = parsed.value;
+      }
+    }
+    if (input.students.tie_breakers !== undefined) {
+      const parsed = parseTieBreakers(input.students.tie_breakers, 'students');
+      if (parsed.error) return { error: parsed.error };
+      config.students.tie_breakers = parsed.tie_breakers;
+    }
+  }
+
+  if (input.schools !== undefined) {
+    const error = checkKeys(input.schools, ['tie_breakers'], 'schools');
+    if (error) return { error };
+
+    config.schools = {};
+    if (input.schools.tie_breakers !== undefined) {
+      const parsed = parseTieBreakers(input.schools.tie_breakers, 'schools');
+      if (parsed.error) return { error: parsed.error };
+      config.schools.tie_breakers = parsed.tie_breakers;
+    }
+  }
+
+  // Checks on the combined result (an override can conflict with a default)
+  const merged = mergeConfig(config);
+  const { rank_1, rank_2, rank_3 } = merged.vote_weights;
+  if (rank_1 <= 0) {
+    return { error: 'vote_weights.rank_1 must be worth more than 0 points' };
+  }
+  if (rank_1 < rank_2 || rank_2 < rank_3) {
+    return { error: 'vote_weights must not favour a lower rank (rank_1 >= rank_2 >= rank_3)' };
+  }
+  for (const board of ['stalls', 'students']) {
+    if (!Object.values(merged[board].weights).some(weight => weight > 0)) {
+      return { error: `${board}.weights: at least one metric must have a weight above 0` };
+    }
+  }
+
+  return { config };
+};
+
+/**
+ * Calendar days an event runs (IST), at least 1
+ * @param {Object} event - { start_date, end_date }
+ * @returns {number}
+ */
+export const getEventDays = (event) => {
+  if (!event?.start_date || !event?.end_date) return 1;
+
+  const toDay = (date) => Date.parse(new Date(date).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }));
+  return Math.max(1, Math.round((toDay(event.end_date) - toDay(event.start_date)) / 86400000) + 1);
+};
+
+/**
+ * Effective config of an event: overrides + defaults, derived targets filled in
+ * @param {Object|null} overrides - events.ranking_config
+ * @param {Object} context - { event_days, stall_count }
+ * @returns {Object}
+ */
+export const resolveRankingConfig = (overrides, { event_days = 1, stall_count = 0 } = {}) => {
+  const config = mergeConfig(overrides || {});
+  const { students } = config;
+
+  students.event_days = students.event_days || event_days;
+  students.duration_target_minutes = students.duration_target_minutes || students.event_days * MINUTES_PER_EVENT_DAY;
+  students.feedback_target = students.feedback_target || Math.max(1, Math.round(stall_count * FEEDBACK_COVERAGE_TARGET));
+
+  return config;
+};
+
+/**
+ * Load the effective ranking config of an event
+ * @param {Object} event - events row (EventModel.findById)
+ * @param {Object|null} overrides - Use these instead of the saved overrides (previews)
+ * @returns {Promise<Object>} { config, overrides, is_default, context }
+ */
+export const loadRankingConfig = async (event, overrides = event.ranking_config || null) => {
+  const context = {
+    event_days: getEventDays(event),
+    stall_count: await StallModel.countByEvent(event.id, query)
+  };
+
+  return {
+    config: resolveRankingConfig(overrides, context),
+    overrides,
+    is_default: !overrides,
+    context
+  };
+};
+
+/**
+ * Vote weights of an event (defaults if the event has none or does not exist)
+ * @param {string} eventId - Event UUID
+ * @returns {Promise<Object>} { rank_1, rank_2, rank_3 }
+ */
+export const getVoteWeights = async (eventId) => {
+  const event = eventId ? await EventModel.findById(eventId) : null;
+  return mergeConfig(event?.ranking_config || {}).vote_weights;
+};
+
+export default {
+  VOTE_RANKS,
+  STALL_METRICS,
+  STUDENT_METRICS,
+  TIE_BREAKERS,
+  DEFAULT_RANKING_CONFIG,
+  validateRankingConfig,
+  getEventDays,
+  resolveRankingConfig,
+  loadRankingConfig,
+  getVoteWeights
+};
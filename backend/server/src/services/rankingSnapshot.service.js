@@ -0,0 +1,171 @@
+/**
+ * Ranking Snapshot Service
+ * Publishing an event's rankings freezes its stall, student and school leaderboards
+ * into a new version of ranking_snapshots. Public leaderboards serve the latest version,
+ * so feedback edited or deleted after publication does not change the published winners.
+ */
+import RankingSnapshotModel from '../models/RankingSnapshot.model.js';
+import RankingModel from '../models/Ranking.model.js';
+import { loadRankingConfig } from './rankingConfig.service.js';
+import {
+  LEADERBOARD_KEYS,
+  getStallLeaderboard,
+  getStudentLeaderboard,
+  getSchoolLeaderboard,
+  describeStallFormula,
+  describeStudentFormula,
+  describeSchoolFormula,
+  compareLeaderboards
+} from './leaderboard.service.js';
+import { query } from '../config/db.js';
+
+export const SNAPSHOT_BOARDS = ['stalls', 'students', 'schools'];
+
+// Entries of a stored leaderboard (schools keep theirs under top_schools, like the API response)
+const boardEntries = (boards, board) => (
+  board === 'schools' ? boards.schools.top_schools : boards[board].leaderboard
+);
+
+// JSON with sorted keys (jsonb does not keep key order)
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Full leaderboards of an event as they would be published now
+ * @param {Object} event - events row
+ * @returns {Promise<Object>} { stalls, students, schools, ranking_config }
+ */
+export const buildRankingBoards = async (event) => {
+  const ranking = await loadRankingConfig(event);
+  const [stalls, students, schools, schoolStats] = await Promise.all([
+    getStallLeaderboard(event.id, ranking),
+    getStudentLeaderboard(event.id, ranking),
+    getSchoolLeaderboard(event.id, ranking),
+    RankingModel.getSchoolLeaderboardStats(event.id, query)
+  ]);
+
+  return {
+    stalls: {
+      leaderboard: stalls,
+      scoring_formula: describeStallFormula(ranking.config)
+    },
+    students: {
+      leaderboard: students,
+      scoring_formula: describeStudentFormula(ranking.config, ranking.context)
+    },
+    schools: {
+      top_schools: schools,
+      scoring_system: describeSchoolFormula(ranking.config),
+      overall_stats: {
+        total_students_participated: parseInt(schoolStats?.total_students_participated || 0),
+        total_schools_participated: parseInt(schoolStats?.total_schools_participated || 0),
+        total_stalls_ranked: parseInt(schoolStats?.total_stalls_ranked || 0)
+      }
+    },
+    ranking_config: ranking.config
+  };
+};
+
+/**
+ * Freeze the current leaderboards of an event as its next snapshot version
+ * @param {Object} event - events row
+ * @param {string} adminId - Admin publishing the rankings
+ * @returns {Promise<Object>} Stored snapshot
+ */
+export const takeSnapshot = async (event, adminId) => {
+  const boards = await buildRankingBoards(event);
+  return RankingSnapshotModel.create({ event_id: event.id, ...boards, published_by_admin_id: adminId });
+};
+
+/**
+ * Version details shown with snapshot data
+ * @param {Object} snapshot - ranking_snapshots row
+ * @returns {Object}
+ */
+export const describeSnapshot = (snapshot) => ({
+  version: snapshot.version,
+  published_at: snapshot.published_at,
+  published_by_admin_id: snapshot.published_by_admin_id,
+  published_by_name: snapshot.published_by_name || null
+});
+
+/**
+ * Public leaderboard data served from a snapshot (same shape as the live response)
+ * @param {Object} snapshot - ranking_snapshots row
+ * @param {string} board - stalls, students or schools
+ * @param {number} limit - Top N
+ * @returns {Object}
+ */
+export const getSnapshotLeaderboard = (snapshot, board, limit) => {
+  const snapshotInfo = describeSnapshot(snapshot);
+
+  if (board === 'schools') {
+    return {
+      event_id: snapshot.event_id,
+      top_schools: snapshot.schools.top_schools.slice(0, limit),
+      scoring_system: snapshot.schools.scoring_system,
+      overall_stats: snapshot.schools.overall_stats,
+      snapshot: snapshotInfo
+    };
+  }
+
+  const leaderboard = snapshot[board].leaderboard.slice(0, limit);
+  return {
+    leaderboard,
+    [board === 'stalls' ? 'total_stalls' : 'total_students']: leaderboard.length,
+    scoring_formula: snapshot[board].scoring_formula,
+    snapshot: snapshotInfo
+  };
+};
+
+/**
+ * Compare two snapshot versions of an event, or a version with the live leaderboards
+ * @param {Object} event - events row
+ * @param {number} fromVersion - Older snapshot version
+ * @param {number|string} toVersion - Newer snapshot version, or 'live'
+ * @param {number} limit - Top N of each leaderboard to compare
+ * @returns {Promise<Object>} { from, to, config_changed, stalls, students, schools } or { status, error }
+ */
+export const compareSnapshots = async (event, fromVersion, toVersion, limit) => {
+  const from = await RankingSnapshotModel.findByVersion(event.id, fromVersion);
+  if (!from) {
+    return { status: 404, error: `Snapshot version ${fromVersion} not found` };
+  }
+
+  let to;
+  let toInfo;
+  if (toVersion === 'live') {
+    to = await buildRankingBoards(event);
+    toInfo = { live: true, computed_at: new Date() };
+  } else {
+    to = await RankingSnapshotModel.findByVersion(event.id, toVersion);
+    if (!to) {
+      return { status: 404, error: `Snapshot version ${toVersion} not found` };
+    }
+    toInfo = describeSnapshot(to);
+  }
+
+  return {
+    from: describeSnapshot(from),
+    to: toInfo,
+    config_changed: stableStringify(from.ranking_config) !== stableStringify(to.ranking_config),
+    ...Object.fromEntries(SNAPSHOT_BOARDS.map(board => [
+      board,
+      compareLeaderboards(boardEntries(from, board), boardEntries(to, board), LEADERBOARD_KEYS[board], limit)
+    ]))
+  };
+};
+
+export default {
+  SNAPSHOT_BOARDS,
+  buildRankingBoards,
+  takeSnapshot,
+  describeSnapshot,
+  getSnapshotLeaderboard,
+  compareSnapshots
+};
@@ -0,0 +1,350 @@
+/**
+ * Realtime Service
+ * Authenticated WebSocket server with one room per event.
+ * Pushes gate scans, feedback submissions, registration counts, live
+ * occupancy and stall queue lengths so dashboards don't have to poll /api/check-in-out.
+ *
+ * Connect: ws(s)://<host>/ws[?event_id=<uuid>]
+ * Auth: same JWT as authenticateToken (HTTP-only "token" cookie or Authorization: Bearer)
+ *
+ * Client -> server: { type: 'SUBSCRIBE' | 'UNSUBSCRIBE', event_id } | { type: 'PING' }
+ * Server -> client: { type, event_id, data, timestamp }
+ *
+ * Room access: ADMIN (any event, also receives every event's updates),
+ * EVENT_MANAGER (own events), VOLUNTEER (assigned events)
+ */
+import { WebSocketServer, WebSocket } from 'ws';
+import jwt from 'jsonwebtoken';
+import cookieParser from 'cookie-parser';
+import { getTokenFromCookie } from '../helpers/cookie.js';
+import { isSessionActive } from './authSession.service.js';
+import Event from '../models/Event.model.js';
+import EventVolunteerModel from '../models/EventVolunteer.model.js';
+import EventRegistrationModel from '../models/EventRegistration.model.js';
+import { isUuid } from '../utils/uuid.js';
+
+export const WS_PATH = '/ws';
+
+/**
+ * Message types
+ */
+export const RealtimeMessage = {
+  CONNECTED: 'CONNECTED',
+  SUBSCRIBED: 'SUBSCRIBED',
+  UNSUBSCRIBED: 'UNSUBSCRIBED',
+  ERROR: 'ERROR',
+  PONG: 'PONG',
+  SCAN: 'SCAN',
+  FEEDBACK_SUBMITTED: 'FEEDBACK_SUBMITTED',
+  REGISTRATION_COUNT: 'REGISTRATION_COUNT',
+  OCCUPANCY: 'OCCUPANCY',
+  STALL_QUEUE: 'STALL_QUEUE'
+};
+
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Room key for admins watching every event
+const ALL_EVENTS_ROOM = '*';
+
+const parseCookies = cookieParser();
+
+let wss = null;
+let heartbeatTimer = null;
+const rooms = new Map(); // room key -> Set<WebSocket>
+
+/**
+ * Extract and verify the JWT from an upgrade request (its login session must still be active)
+ * @param {Object} req - HTTP upgrade request
+ * @returns {Promise<Object|null>} Decoded user ({ id, email, role }) or null
+ */
+const authenticateUpgrade = async (req) => {
+  parseCookies(req, null, () => {});
+
+  let token = getTokenFromCookie(req);
+  if (!token) {
+    const authHeader = req.headers['authorization'];
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      token = authHeader.substring(7);
+    }
+  }
+
+  if (!token) return null;
+
+  try {
+    const user = jwt.verify(token, process.env.JWT_SECRET);
+    // Only login sessions: single-purpose and pre-session tokens carry no sid
+    if (!user.sid || !(await isSessionActive(user.sid))) return null;
+    return user;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Check whether a user may join an event room
+ * @param {Object} user - Decoded JWT payload
+ * @param {string} eventId - Event UUID
+ * @returns {Promise<boolean>}
+ */
+const canAccessEvent = async (user, eventId) => {
+  switch (user.role) {
+    case 'ADMIN':
+      return true;
+    case 'EVENT_MANAGER': {
+      const event = await Event.findById(eventId);
+      return !!event && event.created_by_manager_id === user.id;
+    }
+    case 'VOLUNTEER':
+      return !!(await EventVolunteerModel.findAssignment(eventId, user.id));
+    default:
+      return false;
+  }
+};
+
+const send = (socket, type, eventId = null, data = null) => {
+  if (socket.readyState !== WebSocket.OPEN) return;
+  socket.send(JSON.stringify({
+    type,
+    event_id: eventId,
+    data,
+    timestamp: new Date().toISOString()
+  }));
+};
+
+const joinRoom = (socket, room) => {
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  rooms.get(room).add(socket);
+  socket.rooms.add(room);
+};
+
+const leaveRoom = (socket, room) => {
+  const members = rooms.get(room);
+  if (members) {
+    members.delete(socket);
+    if (members.size === 0) rooms.delete(room);
+  }
+  socket.rooms.delete(room);
+};
+
+/**
+ * Subscribe a socket to an event room (after access check)
+ * Sends current counts so the dashboard starts from fresh numbers
+ */
+const subscribe = async (socket, eventId) => {
+  if (!isUuid(eventId)) {
+    return send(socket, RealtimeMessage.ERROR, eventId, { message: 'Valid event_id is required' });
+  }
+
+  if (!(await canAccessEvent(socket.user, eventId))) {
+    return send(socket, RealtimeMessage.ERROR, eventId, { message: 'You do not have access to this event' });
+  }
+
+  joinRoom(socket, eventId);
+  send(socket, RealtimeMessage.SUBSCRIBED, eventId);
+
+  const counts = await EventRegistrationModel.getLiveCounts(eventId);
+  if (counts) {
+    send(socket, RealtimeMessage.REGISTRATION_COUNT, eventId, counts);
+  }
+};
+
+const handleMessage = async (socket, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch {
+    return send(socket, RealtimeMessage.ERROR, null, { message: 'Messages must be JSON' });
+  }
+
+  switch (message.type) {
+    case 'SUBSCRIBE':
+      return subscribe(socket, message.event_id);
+    case 'UNSUBSCRIBE':
+      leaveRoom(socket, message.event_id);
+      return send(socket, RealtimeMessage.UNSUBSCRIBED, message.event_id);
+    case 'PING':
+      return send(socket, RealtimeMessage.PONG);
+    default:
+      return send(socket, RealtimeMessage.ERROR, null, { message: `Unknown message type: ${message.type}` });
+  }
+};
+
+/**
+ * Attach the WebSocket server to the HTTP server
+ * @param {Object} server - http.Server returned by app.listen
+ * @returns {WebSocketServer}
+ */
+export const attachRealtimeServer = (server) => {
+  if (wss) return wss;
+
+  wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== WS_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    const user = await authenticateUpgrade(req);
+    if (!user) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.user = user;
+      wss.emit('connection', ws, req);
+    });
+  });
+
+  wss.on('connection', (socket, req) => {
+    socket.isAlive = true;
+    socket.rooms = new Set();
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    socket.on('message', (raw) => {
+      handleMessage(socket, raw).catch((error) => {
+        console.error('❌ [REALTIME] Message handling failed:', error.message);
+        send(socket, RealtimeMessage.ERROR, null, { message: 'Request failed' });
+      });
+    });
+
+    socket.on('close', () => {
+      for (const room of [...socket.rooms]) {
+        leaveRoom(socket, room);
+      }
+    });
+
+    if (socket.user.role === 'ADMIN') {
+      joinRoom(socket, ALL_EVENTS_ROOM);
+    }
+
+    send(socket, RealtimeMessage.CONNECTED, null, {
+      user_id: socket.user.id,
+      role: socket.user.role
+    });
+
+    const eventId = new URL(req.url, 'http://localhost').searchParams.get('event_id');
+    if (eventId) {
+      subscribe(socket, eventId).catch((error) => {
+        console.error('❌ [REALTIME] Subscribe failed:', error.message);
+      });
+    }
+  });
+
+  // Drop connections that stopped answering pings
+  heartbeatTimer = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeatTimer.unref();
+
+  console.log(`🔌 WebSocket server listening on ${WS_PATH}`);
+  return wss;
+};
+
+/**
+ * Close all connections and stop the heartbeat
+ */
+export const closeRealtimeServer = () => {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+  if (wss) {
+    for (const socket of wss.clients) {
+      socket.terminate();
+    }
+    wss.close();
+    wss = null;
+  }
+  rooms.clear();
+};
+
+/**
+ * Whether anyone is listening for an event's updates
+ * @param {string} eventId - Event UUID
+ * @returns {boolean}
+ */
+const hasListeners = (eventId) =>
+  (rooms.get(eventId)?.size || 0) + (rooms.get(ALL_EVENTS_ROOM)?.size || 0) > 0;
+
+/**
+ * Broadcast a message to an event room (and to admins watching all events)
+ * @param {string} eventId - Event UUID
+ * @param {string} type - RealtimeMessage value
+ * @param {Object} data - Payload
+ */
+export const publishToEvent = (eventId, type, data) => {
+  if (!eventId || !hasListeners(eventId)) return;
+
+  const recipients = new Set([
+    ...(rooms.get(eventId) || []),
+    ...(rooms.get(ALL_EVENTS_ROOM) || [])
+  ]);
+
+  for (const socket of recipients) {
+    send(socket, type, eventId, data);
+  }
+};
+
+/**
+ * Push current registration counts for an event
+ * Never throws - realtime failures must not break the main operation
+ * @param {string} eventId - Event UUID
+ */
+export const publishRegistrationCount = async (eventId) => {
+  if (!eventId || !hasListeners(eventId)) return;
+
+  try {
+    const counts = await EventRegistrationModel.getLiveCounts(eventId);
+    if (counts) {
+      publishToEvent(eventId, RealtimeMessage.REGISTRATION_COUNT, counts);
+    }
+  } catch (error) {
+    console.error(`❌ [REALTIME] Registration count for ${eventId} failed:`, error.message);
+  }
+};
+
+/**
+ * Push live occupancy (students currently inside) for an event
+ * Never throws - realtime failures must not break the main operation
+ * @param {string} eventId - Event UUID
+ */
+export const publishOccupancy = async (eventId) => {
+  if (!eventId || !hasListeners(eventId)) return;
+
+  try {
+    const counts = await EventRegistrationModel.getLiveCounts(eventId);
+    if (counts) {
+      publishToEvent(eventId, RealtimeMessage.OCCUPANCY, {
+        currently_inside: counts.currently_inside,
+        total_checked_in: counts.total_checked_in,
+        max_capacity: counts.max_capacity
+      });
+    }
+  } catch (error) {
+    console.error(`❌ [REALTIME] Occupancy for ${eventId} failed:`, error.message);
+  }
+};
+
+export default {
+  WS_PATH,
+  RealtimeMessage,
+  attachRealtimeServer,
+  closeRealtimeServer,
+  publishToEvent,
+  publishRegistrationCount,
+  publishOccupancy
+};
@@ -0,0 +1,215 @@
+/**
+ * Scan Assignment Service
+ * Picks the event assignment a volunteer scan belongs to. Volunteers can hold several
+ * concurrent assignments, so a scan uses (in order) the explicit event_id, the event the
+ * scanner is locked to, or the only assignment open for scanning - never a guess.
+ *
+ * Environment Variables:
+ * - GATE_SCAN_OPEN_MINUTES: Minutes before an event starts that its gates accept scans (default: 60)
+ */
+import EventVolunteerModel from '../models/EventVolunteer.model.js';
+import VolunteerScannerLockModel from '../models/VolunteerScannerLock.model.js';
+import { isUuid } from '../utils/uuid.js';
+
+export const GATE_SCAN_OPEN_MINUTES = parseInt(process.env.GATE_SCAN_OPEN_MINUTES) || 60;
+
+// Event statuses that accept live scans (offline sync also accepts COMPLETED)
+export const LIVE_EVENT_STATUSES = ['APPROVED', 'ACTIVE'];
+
+/**
+ * Why a scan could not be matched to an assignment
+ */
+export const ScanAssignmentError = {
+  NOT_ASSIGNED: 'NOT_ASSIGNED',
+  EVENT_NOT_LIVE: 'EVENT_NOT_LIVE',
+  OUTSIDE_SCAN_WINDOW: 'OUTSIDE_SCAN_WINDOW',
+  WRONG_LOCATION: 'WRONG_LOCATION',
+  LOCATION_REQUIRED: 'LOCATION_REQUIRED',
+  EVENT_SELECTION_REQUIRED: 'EVENT_SELECTION_REQUIRED',
+  SCANNER_LOCKED: 'SCANNER_LOCKED'
+};
+
+/**
+ * Check an event_id from a scanner is a well-formed UUID
+ * @param {string} eventId
+ * @returns {boolean}
+ */
+export const isValidEventId = (eventId) => isUuid(eventId);
+
+const normalizeLocation = (location) => String(location || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Check an assignment can take a scan at this time and gate
+ * @param {Object} assignment - event_volunteers row joined with the event
+ * @param {Object} options - { location, scannedAt, statuses, requireLocation }
+ *   requireLocation: an assignment with an assigned_location only fits a scan from that gate
+ * @returns {{ code: string, message: string }|null} Rejection, or null if the scan fits
+ */
+export const getAssignmentScanError = (assignment, {
+  location = null,
+  scannedAt = null,
+  statuses = LIVE_EVENT_STATUSES,
+  requireLocation = false
+} = {}) => {
+  if (!statuses.includes(assignment.event_status)) {
+    return {
+      code: ScanAssignmentError.EVENT_NOT_LIVE,
+      message: `Event "${assignment.event_name}" is ${assignment.event_status}`
+    };
+  }
+
+  const at = (scannedAt || new Date()).getTime();
+  const opensAt = new Date(assignment.start_date).getTime() - GATE_SCAN_OPEN_MINUTES * 60 * 1000;
+  if (at < opensAt) {
+    return {
+      code: ScanAssignmentError.OUTSIDE_SCAN_WINDOW,
+      message: `Scanning for "${assignment.event_name}" opens ${GATE_SCAN_OPEN_MINUTES} minutes before the event starts`
+    };
+  }
+  if (at >= new Date(assignment.end_date).getTime()) {
+    return {
+      code: ScanAssignmentError.OUTSIDE_SCAN_WINDOW,
+      message: `Event "${assignment.event_name}" has ended`
+    };
+  }
+
+  if (requireLocation && assignment.assigned_location && !normalizeLocation(location)) {
+    return {
+      code: ScanAssignmentError.LOCATION_REQUIRED,
+      message: `You are assigned to ${assignment.assigned_location} for "${assignment.event_name}". Send the scanner's location or lock the scanner to that gate.`
+    };
+  }
+
+  if (location && assignment.assigned_location &&
+      normalizeLocation(location) !== normalizeLocation(assignment.assigned_location)) {
+    return {
+      code: ScanAssignmentError.WRONG_LOCATION,
+      message: `You are assigned to ${assignment.assigned_location} for "${assignment.event_name}", not ${location}`
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Short form of an assignment for the scanner's event picker
+ * @param {Object} assignment - event_volunteers row joined with the event
+ * @returns {Object}
+ */
+export const describeAssignment = (assignment) => ({
+  event_id: assignment.event_id,
+  event_name: assignment.event_name,
+  event_code: assignment.event_code,
+  event_status: assignment.event_status,
+  start_date: assignment.start_date,
+  end_date: assignment.end_date,
+  assigned_location: assignment.assigned_location,
+  session_id: assignment.session_id,
+  session_name: assignment.session_name
+});
+
+/**
+ * Scanner lock of the volunteer's login session (tokens without a session have none)
+ * @param {Object} user - req.user
+ * @returns {Promise<Object|null>}
+ */
+export const getScannerLock = async (user) => (
+  user?.sid ? await VolunteerScannerLockModel.findBySession(user.sid) : null
+);
+
+/**
+ * Pick the assignment a scan belongs to
+ * @param {string} volunteerId - Volunteer UUID
+ * @param {Object} options
+ * @param {string|null} options.eventId - Event chosen on the scanner
+ * @param {string|null} options.location - Gate the scanner is at
+ * @param {Object|null} options.lock - Scanner lock (getScannerLock)
+ * @param {Date|null} options.scannedAt - Scan time; defaults to now
+ * @param {Array<string>} options.statuses - Event statuses that accept the scan
+ * @param {Function} options.findAssignment - (eventId) => assignment; lets batch callers cache lookups
+ * @param {Function} options.listAssignments - () => active assignments; lets batch callers cache lookups
+ * @returns {Promise<{ assignment: Object }|{ status: number, code: string, error: string, candidates?: Array }>}
+ */
+export const resolveScanAssignment = async (volunteerId, options = {}) => {
+  const {
+    eventId = null,
+    location = null,
+    lock = null,
+    scannedAt = null,
+    statuses = LIVE_EVENT_STATUSES,
+    findAssignment = (id) => EventVolunteerModel.findAssignment(id, volunteerId),
+    listAssignments = () => EventVolunteerModel.getVolunteerEvents(volunteerId, { is_active: true })
+  } = options;
+
+  let selectedEventId = eventId;
+  let gate = location;
+
+  if (lock) {
+    const locationMismatch = location && lock.location && normalizeLocation(location) !== normalizeLocation(lock.location);
+    if ((eventId && eventId !== lock.event_id) || locationMismatch) {
+      return {
+        status: 409,
+        code: ScanAssignmentError.SCANNER_LOCKED,
+        error: `This scanner is locked to "${lock.event_name}"${lock.location ? ` (${lock.location})` : ''}. Unlock it to scan elsewhere.`
+      };
+    }
+    selectedEventId = lock.event_id;
+    gate = location || lock.location;
+  }
+
+  if (selectedEventId) {
+    const assignment = await findAssignment(selectedEventId);
+    if (!assignment) {
+      return { status: 403, code: ScanAssignmentError.NOT_ASSIGNED, error: 'You are not assigned to this event' };
+    }
+
+    const scanError = getAssignmentScanError(assignment, { location: gate, scannedAt, statuses, requireLocation: true });
+    if (scanError) {
+      return { status: 403, code: scanError.code, error: scanError.message };
+    }
+    return { assignment };
+  }
+
+  const assignments = await listAssignments();
+  const checkOptions = { location: gate, scannedAt, statuses, requireLocation: true };
+  const open = assignments.filter(assignment => !getAssignmentScanError(assignment, checkOptions));
+
+  if (open.length === 1) {
+    return { assignment: open[0] };
+  }
+
+  if (open.length > 1) {
+    return {
+      status: 409,
+      code: ScanAssignmentError.EVENT_SELECTION_REQUIRED,
+      error: 'You are assigned to more than one event running now. Choose the event on the scanner.',
+      candidates: open.map(describeAssignment)
+    };
+  }
+
+  // Nothing open: explain the one live assignment, if there is exactly one
+  const live = assignments.filter(assignment => statuses.includes(assignment.event_status));
+  if (live.length === 1) {
+    const scanError = getAssignmentScanError(live[0], checkOptions);
+    return { status: 403, code: scanError.code, error: scanError.message };
+  }
+
+  return {
+    status: 403,
+    code: ScanAssignmentError.NOT_ASSIGNED,
+    error: live.length === 0
+      ? 'You are not assigned to any active event. Please contact your event manager.'
+      : 'None of your assigned events is open for scanning right now'
+  };
+};
+
+export default {
+  GATE_SCAN_OPEN_MINUTES,
+  LIVE_EVENT_STATUSES,
+  ScanAssignmentError,
+  isValidEventId,
+  getAssignmentScanError,
+  describeAssignment,
+  getScannerLock,
+  resolveScanAssignment
+};
@@ -0,0 +1,342 @@
+/**
+ * Stall Queue Service
+ * Virtual queue per stall: a student scans the stall QR and gets the next token;
+ * stall volunteers (STALL_QUEUE permission) call tokens in order and mark them served.
+ * A called token must be claimed within STALL_QUEUE_CLAIM_MINUTES or it expires.
+ *
+ * Estimated wait = position x the stall's recent pace (average minutes between calls),
+ * falling back to STALL_QUEUE_DEFAULT_SERVICE_MINUTES until a stall has called a few tokens.
+ *
+ * Config (env):
+ * - STALL_QUEUE_CLAIM_MINUTES: minutes a called student has to reach the stall (default: 5)
+ * - STALL_QUEUE_DEFAULT_SERVICE_MINUTES: assumed minutes per visitor without recent calls (default: 3)
+ * - STALL_QUEUE_MAX_OPEN_TOKENS: queues a student can wait in at once (default: 3)
+ */
+import StallQueueTokenModel from '../models/StallQueueToken.model.js';
+import { publishToEvent, RealtimeMessage } from './realtime.js';
+import { isUuid } from '../utils/uuid.js';
+
+// Recent calls used for a stall's pace
+const PACE_WINDOW_MINUTES = 120;
+const PACE_SAMPLE_SIZE = 10;
+
+const getConfig = () => ({
+  claimMinutes: parseInt(process.env.STALL_QUEUE_CLAIM_MINUTES) || 5,
+  defaultServiceMinutes: parseFloat(process.env.STALL_QUEUE_DEFAULT_SERVICE_MINUTES) || 3,
+  maxOpenTokens: parseInt(process.env.STALL_QUEUE_MAX_OPEN_TOKENS) || 3
+});
+
+const PACE_OPTIONS = { pace_window_minutes: PACE_WINDOW_MINUTES, pace_sample_size: PACE_SAMPLE_SIZE };
+
+/**
+ * Validate a stall or queue token ID from a route param
+ * @param {string} id
+ * @returns {boolean}
+ */
+export const isValidQueueId = (id) => isUuid(id);
+
+/**
+ * Minutes per visitor at a stall: its recent pace, or the configured default
+ * @param {number|string|null} avgCallIntervalMinutes - From the model's pace join
+ * @returns {number}
+ */
+const getServiceMinutes = (avgCallIntervalMinutes) => {
+  const pace = parseFloat(avgCallIntervalMinutes);
+  return pace > 0 ? pace : getConfig().defaultServiceMinutes;
+};
+
+/**
+ * Shape a token for the student (position and estimated wait while WAITING)
+ * @param {Object} token - Row from StallQueueTokenModel.findByStudent
+ * @returns {Object}
+ */
+export const describeToken = (token) => {
+  const serviceMinutes = getServiceMinutes(token.avg_call_interval_minutes);
+
+  return {
+    id: token.id,
+    token_number: token.token_number,
+    status: token.status,
+    stall: {
+      id: token.stall_id,
+      stall_number: token.stall_number,
+      stall_name: token.stall_name,
+      location: token.stall_location
+    },
+    event_id: token.event_id,
+    event_name: token.event_name,
+    position: token.status === 'WAITING' ? token.position : null,
+    estimated_wait_minutes: token.status === 'WAITING' ? Math.ceil(token.position * serviceMinutes) : null,
+    joined_at: token.joined_at,
+    called_at: token.called_at,
+    claim_expires_at: token.status === 'CALLED' ? token.claim_expires_at : null,
+    served_at: token.served_at,
+    closed_at: token.closed_at
+  };
+};
+
+/**
+ * Shape a stall's queue counters (event manager overview, stall volunteers)
+ * @param {Object} summary - Row from StallQueueTokenModel.getStallSummaries
+ * @returns {Object}
+ */
+export const describeStallQueue = (summary) => {
+  const serviceMinutes = getServiceMinutes(summary.avg_call_interval_minutes);
+
+  return {
+    stall_id: summary.stall_id,
+    stall_number: summary.stall_number,
+    stall_name: summary.stall_name,
+    location: summary.location,
+    waiting: summary.waiting_count,
+    called: summary.called_count,
+    served: summary.served_count,
+    expired: summary.expired_count,
+    left: summary.left_count,
+    last_token_issued: summary.last_token_issued,
+    last_token_called: summary.last_token_called,
+    oldest_waiting_since: summary.oldest_waiting_since,
+    minutes_per_visitor: Math.round(serviceMinutes * 10) / 10,
+    estimated_wait_minutes: Math.ceil((summary.waiting_count + 1) * serviceMinutes)
+  };
+};
+
+/**
+ * Queue counters of one stall
+ * @param {string} stallId - Stall UUID
+ * @returns {Promise<Object|null>}
+ */
+export const getStallQueueSummary = async (stallId) => {
+  const [summary] = await StallQueueTokenModel.getStallSummaries({ stall_id: stallId }, PACE_OPTIONS);
+  return summary ? describeStallQueue(summary) : null;
+};
+
+/**
+ * Push a stall's queue counters to the event's dashboards
+ * Never throws - realtime failures must not break the main operation
+ * @param {Object} stall - { id, event_id }
+ */
+const publishStallQueue = async (stall) => {
+  try {
+    const summary = await getStallQueueSummary(stall.id);
+    if (summary) {
+      publishToEvent(stall.event_id, RealtimeMessage.STALL_QUEUE, summary);
+    }
+  } catch (error) {
+    console.error(`❌ [REALTIME] Stall queue for ${stall.id} failed:`, error.message);
+  }
+};
+
+/**
+ * A student's token at a stall, with position and estimated wait
+ * @param {string} studentId - Student UUID
+ * @param {string} tokenId - Token UUID
+ * @returns {Promise<Object|null>}
+ */
+const findStudentToken = async (studentId, tokenId) => {
+  const tokens = await StallQueueTokenModel.findByStudent(studentId, { ...PACE_OPTIONS, include_closed: true });
+  const token = tokens.find(row => row.id === tokenId);
+  return token ? describeToken(token) : null;
+};
+
+/**
+ * Join a stall's queue (returns the open token if the student already has one there)
+ * The caller checks the student is inside the stall's event
+ * @param {Object} stall - Stall row (id, event_id, is_active)
+ * @param {string} studentId - Student UUID
+ * @returns {Promise<Object>} { token, already_queued } or { status, error }
+ */
+export const joinQueue = async (stall, studentId) => {
+  if (!stall.is_active) {
+    return { status: 400, error: 'This stall is not taking visitors right now' };
+  }
+
+  const existing = await StallQueueTokenModel.findOpen(stall.id, studentId);
+  if (existing) {
+    return { token: await findStudentToken(studentId, existing.id), already_queued: true };
+  }
+
+  const { maxOpenTokens } = getConfig();
+  if (await StallQueueTokenModel.countOpenByStudent(studentId) >= maxOpenTokens) {
+    return {
+      status: 409,
+      error: `You can wait in up to ${maxOpenTokens} stall queues at a time. Leave one to join another.`
+    };
+  }
+
+  let created;
+  try {
+    created = await StallQueueTokenModel.create({
+      stall_id: stall.id,
+      event_id: stall.event_id,
+      student_id: studentId
+    });
+  } catch (error) {
+    // Double tap: the partial unique index allows one open token per stall
+    const raced = await StallQueueTokenModel.findOpen(stall.id, studentId);
+    if (!raced) throw error;
+    return { token: await findStudentToken(studentId, raced.id), already_queued: true };
+  }
+
+  publishStallQueue(stall);
+
+  return { token: await findStudentToken(studentId, created.id), already_queued: false };
+};
+
+/**
+ * Leave a queue
+ * @param {string} studentId - Student UUID
+ * @param {string} tokenId - Token UUID
+ * @returns {Promise<Object>} { token } or { status, error }
+ */
+export const leaveQueue = async (studentId, tokenId) => {
+  const token = await StallQueueTokenModel.findById(tokenId);
+  if (!token || token.student_id !== studentId) {
+    return { status: 404, error: 'Queue token not found' };
+  }
+
+  const closed = await StallQueueTokenModel.close(tokenId, 'LEFT');
+  if (!closed) {
+    return { status: 409, error: `This token is already ${token.status.toLowerCase()}` };
+  }
+
+  publishStallQueue({ id: closed.stall_id, event_id: closed.event_id });
+
+  return { token: closed };
+};
+
+/**
+ * A student's queue tokens (open first) with position and estimated wait
+ * @param {string} studentId - Student UUID
+ * @param {Object} options - { event_id, include_closed }
+ * @returns {Promise<Array>}
+ */
+export const getStudentTokens = async (studentId, options = {}) => {
+  const tokens = await StallQueueTokenModel.findByStudent(studentId, { ...PACE_OPTIONS, ...options });
+  return tokens.map(describeToken);
+};
+
+/**
+ * A stall's live queue for its volunteers: counters, called tokens and who is waiting
+ * Unclaimed called tokens are expired first
+ * @param {Object} stall - Stall row
+ * @returns {Promise<Object>}
+ */
+export const getStallQueue = async (stall) => {
+  await StallQueueTokenModel.expireUnclaimed(stall.id);
+
+  const [summary, tokens] = await Promise.all([
+    getStallQueueSummary(stall.id),
+    StallQueueTokenModel.getOpenByStall(stall.id)
+  ]);
+
+  const shape = (token) => ({
+    id: token.id,
+    token_number: token.token_number,
+    status: token.status,
+    student_name: token.student_name,
+    registration_no: token.registration_no,
+    joined_at: token.joined_at,
+    called_at: token.called_at,
+    claim_expires_at: token.claim_expires_at
+  });
+
+  return {
+    summary,
+    called: tokens.filter(token => token.status === 'CALLED').map(shape),
+    waiting: tokens.filter(token => token.status === 'WAITING').map(shape)
+  };
+};
+
+/**
+ * Call the next waiting token of a stall (unclaimed called tokens are expired first)
+ * @param {Object} stall - Stall row
+ * @param {string} volunteerId - Volunteer calling it
+ * @returns {Promise<Object|null>} Called token with student details, or null if nobody is waiting
+ */
+export const callNextToken = async (stall, volunteerId) => {
+  const { claimMinutes } = getConfig();
+
+  await StallQueueTokenModel.expireUnclaimed(stall.id);
+  const called = await StallQueueTokenModel.callNext(stall.id, volunteerId, claimMinutes);
+
+  publishStallQueue(stall);
+  return called;
+};
+
+/**
+ * Mark a called token served (the student reached the stall)
+ * @param {Object} stall - Stall row
+ * @param {string} tokenId - Token UUID
+ * @returns {Promise<Object>} { token } or { status, error }
+ */
+export const serveToken = async (stall, tokenId) => {
+  const token = await StallQueueTokenModel.findById(tokenId);
+  if (!token || token.stall_id !== stall.id) {
+    return { status: 404, error: 'Queue token not found at this stall' };
+  }
+
+  if (token.status === 'CALLED' && new Date(token.claim_expires_at) < new Date()) {
+    await StallQueueTokenModel.close(tokenId, 'EXPIRED', ['CALLED']);
+    publishStallQueue(stall);
+    return { status: 410, error: `Token ${token.token_number} was not claimed in time and has expired` };
+  }
+
+  const served = await StallQueueTokenModel.close(tokenId, 'SERVED', ['CALLED']);
+  if (!served) {
+    return {
+      status: 409,
+      error: token.status === 'WAITING'
+        ? `Token ${token.token_number} has not been called yet`
+        : `Token ${token.token_number} is already ${token.status.toLowerCase()}`
+    };
+  }
+
+  publishStallQueue(stall);
+  return { token: served };
+};
+
+/**
+ * Queue counters for every stall of an event (busiest first)
+ * @param {string} eventId - Event UUID
+ * @returns {Promise<Object>} { stalls, totals }
+ */
+export const getEventQueueOverview = async (eventId) => {
+  const summaries = await StallQueueTokenModel.getStallSummaries({ event_id: eventId }, PACE_OPTIONS);
+  const stalls = summaries.map(describeStallQueue);
+
+  return {
+    stalls,
+    totals: {
+      waiting: stalls.reduce((sum, stall) => sum + stall.waiting, 0),
+      called: stalls.reduce((sum, stall) => sum + stall.called, 0),
+      served: stalls.reduce((sum, stall) => sum + stall.served, 0),
+      stalls_with_queue: stalls.filter(stall => stall.waiting > 0).length
+    }
+  };
+};
+
+/**
+ * Expire unclaimed called tokens and open tokens of events that have ended (lifecycle scheduler)
+ * @returns {Promise<Array>} Expired tokens
+ */
+export const expireStaleTokens = async () => {
+  const unclaimed = await StallQueueTokenModel.expireUnclaimed();
+  const ended = await StallQueueTokenModel.expireForEndedEvents();
+  return [...unclaimed, ...ended];
+};
+
+export default {
+  isValidQueueId,
+  describeToken,
+  describeStallQueue,
+  getStallQueueSummary,
+  joinQueue,
+  leaveQueue,
+  getStudentTokens,
+  getStallQueue,
+  callNextToken,
+  serveToken,
+  getEventQueueOverview,
+  expireStaleTokens
+};
@@ -0,0 +1,212 @@
+/**
+ * Team Service
+ * Rules for team registrations on competition events: a team is one registration
+ * (the captain's, which holds the capacity slot and the payment) plus member
+ * registrations created once the captain's registration is confirmed.
+ */
+import TeamModel from '../models/Team.model.js';
+import NotificationService, { NotificationTrigger } from './notification.js';
+import { logAuditEvent, AuditEventType } from '../utils/auditLogger.js';
+
+// Upper bound for team_max_size set by event managers
+export const MAX_TEAM_SIZE = 20;
+
+/**
+ * Validate a team name
+ * @param {string} name
+ * @returns {{ name: string }|{ error: string }}
+ */
+export const validateTeamName = (name) => {
+  if (typeof name !== 'string' || name.trim().length < 2) {
+    return { error: 'team_name must be at least 2 characters' };
+  }
+  if (name.trim().length > 100) {
+    return { error: 'team_name must be at most 100 characters' };
+  }
+  return { name: name.trim().replace(/\s+/g, ' ') };
+};
+
+/**
+ * Validate team settings from an event create/update body
+ * @param {Object} body - { is_team_event, team_min_size, team_max_size }
+ * @param {Object|null} existing - Event being updated
+ * @returns {{ data: Object }|{ error: string }}
+ */
+export const validateTeamSettings = (body, existing = null) => {
+  const data = {};
+
+  if (body.is_team_event !== undefined) {
+    if (typeof body.is_team_event !== 'boolean') {
+      return { error: 'is_team_event must be a boolean' };
+    }
+    data.is_team_event = body.is_team_event;
+  }
+
+  const isTeamEvent = data.is_team_event ?? existing?.is_team_event ?? false;
+  if (!isTeamEvent) {
+    if (data.is_team_event === false) {
+      // Switching an event back to individual registrations clears the size limits
+      return { data: { ...data, team_min_size: null, team_max_size: null } };
+    }
+    if (body.team_min_size !== undefined || body.team_max_size !== undefined) {
+      return { error: 'team_min_size and team_max_size only apply to team events (is_team_event: true)' };
+    }
+    return { data };
+  }
+
+  for (const field of ['team_min_size', 'team_max_size']) {
+    if (body[field] !== undefined) {
+      const size = Number(body[field]);
+      if (!Number.isInteger(size) || size < 1 || size > MAX_TEAM_SIZE) {
+        return { error: `${field} must be an integer between 1 and ${MAX_TEAM_SIZE}` };
+      }
+      data[field] = size;
+    }
+  }
+
+  const minSize = data.team_min_size ?? existing?.team_min_size;
+  const maxSize = data.team_max_size ?? existing?.team_max_size;
+
+  if (!minSize || !maxSize) {
+    return { error: 'team_min_size and team_max_size are required for team events' };
+  }
+  if (minSize > maxSize) {
+    return { error: 'team_min_size cannot exceed team_max_size' };
+  }
+  if (maxSize < 2) {
+    return { error: 'team_max_size must be at least 2 for team events' };
+  }
+
+  return { data };
+};
+
+/**
+ * Resolve the team a captain is registering for a team event
+ * @param {Object} event - Event row
+ * @param {string} teamId - Team UUID from the request body
+ * @param {string} studentId - Student registering
+ * @returns {Promise<{ team: Object }|{ error: string, status: number }>}
+ */
+export const getTeamForRegistration = async (event, teamId, studentId) => {
+  if (!teamId) {
+    return { error: 'This is a team event. Create a team and register with its team_id.', status: 400 };
+  }
+
+  const team = await TeamModel.findById(teamId);
+  if (!team || team.event_id !== event.id) {
+    return { error: 'Team not found for this event', status: 404 };
+  }
+
+  if (team.captain_student_id !== studentId) {
+    return { error: 'Only the team captain can register the team', status: 403 };
+  }
+
+  if (team.status !== 'FORMING') {
+    return { error: `Team is already ${team.status.toLowerCase()}`, status: 400 };
+  }
+
+  if (team.accepted_count < event.team_min_size || team.accepted_count > event.team_max_size) {
+    return {
+      error: `Team must have between ${event.team_min_size} and ${event.team_max_size} members ` +
+        `(currently ${team.accepted_count}). Pending invites do not count.`,
+      status: 400
+    };
+  }
+
+  return { team };
+};
+
+/**
+ * Register the members of a team once the captain's registration is confirmed
+ * (free registration, or payment completed). No-op for non-team registrations.
+ * @param {Object} captainRegistration - Confirmed registration with team_id
+ * @returns {Promise<Array|null>} Member registrations created, or null
+ */
+export const completeTeamRegistration = async (captainRegistration) => {
+  if (!captainRegistration?.team_id || captainRegistration.team_role !== 'CAPTAIN') {
+    return null;
+  }
+
+  const team = await TeamModel.findById(captainRegistration.team_id);
+  if (!team) {
+    return null;
+  }
+
+  const members = await TeamModel.registerMembers(team, captainRegistration);
+  if (!members) {
+    return null;
+  }
+
+  await logAuditEvent({
+    event_type: AuditEventType.TEAM_REGISTERED,
+    user_id: captainRegistration.student_id,
+    user_role: 'STUDENT',
+    resource_type: 'TEAM',
+    resource_id: team.id,
+    metadata: {
+      event_id: team.event_id,
+      team_name: team.team_name,
+      captain_registration_id: captainRegistration.id,
+      member_count: members.length + 1
+    }
+  });
+
+  for (const member of members) {
+    NotificationService.notifyStudent(
+      NotificationTrigger.TEAM_REGISTERED,
+      member.student_id,
+      { team_name: team.team_name },
+      { event_id: team.event_id, registration_id: member.id }
+    );
+  }
+
+  return members;
+};
+
+/**
+ * Cancel the member registrations of a team whose captain registration was cancelled
+ * @param {Object} captainRegistration - Cancelled captain registration
+ * @param {Object} actor - { user_id, user_role, reason } for audit and notifications
+ * @returns {Promise<Array>} Member registrations cancelled
+ */
+export const cancelTeamRegistration = async (captainRegistration, { user_id, user_role, reason = null }) => {
+  if (!captainRegistration?.team_id || captainRegistration.team_role !== 'CAPTAIN') {
+    return [];
+  }
+
+  const members = await TeamModel.cancelRegistration(captainRegistration.team_id);
+
+  await logAuditEvent({
+    event_type: AuditEventType.TEAM_CANCELLED,
+    user_id,
+    user_role,
+    resource_type: 'TEAM',
+    resource_id: captainRegistration.team_id,
+    metadata: {
+      event_id: captainRegistration.event_id,
+      captain_registration_id: captainRegistration.id,
+      cancelled_members: members.length,
+      reason
+    }
+  });
+
+  for (const member of members) {
+    NotificationService.notifyStudent(
+      NotificationTrigger.REGISTRATION_CANCELLED,
+      member.student_id,
+      { reason: reason || 'Your team registration was cancelled' },
+      { event_id: member.event_id, registration_id: member.id }
+    );
+  }
+
+  return members;
+};
+
+export default {
+  MAX_TEAM_SIZE,
+  validateTeamName,
+  validateTeamSettings,
+  getTeamForRegistration,
+  completeTeamRegistration,
+  cancelTeamRegistration
+};
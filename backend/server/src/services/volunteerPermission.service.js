@@ -0,0 +1,152 @@
+/**
+ * Volunteer Permission Service
+ * What a volunteer may do at an event is the permission set on their event_volunteers row.
+ * Checked on every volunteer action (live scans, offline sync, student lookups);
+ * denied attempts are written to the audit log so event managers can review them.
+ */
+import EventVolunteerModel from '../models/EventVolunteer.model.js';
+import { logAuditEvent, AuditEventType } from '../utils/auditLogger.js';
+
+/**
+ * Volunteer permissions
+ */
+export const VolunteerPermission = {
+  SCAN: 'SCAN',
+  VIEW_STUDENTS: 'VIEW_STUDENTS',
+  ENTRY_ONLY: 'ENTRY_ONLY',
+  EXIT_ONLY: 'EXIT_ONLY',
+  VERIFY_PAYMENTS: 'VERIFY_PAYMENTS',
+  ONSPOT_REGISTER: 'ONSPOT_REGISTER',
+  STALL_QUEUE: 'STALL_QUEUE'
+};
+
+export const DEFAULT_PERMISSIONS = [VolunteerPermission.SCAN, VolunteerPermission.VIEW_STUDENTS];
+
+/**
+ * Labels for the permission editor
+ */
+export const PERMISSION_DESCRIPTIONS = {
+  SCAN: 'Scan student QR codes at the gate or assigned session',
+  VIEW_STUDENTS: 'View student check-in/out records',
+  ENTRY_ONLY: 'Entry gate: may only check students in',
+  EXIT_ONLY: 'Exit gate: may only check students out',
+  VERIFY_PAYMENTS: 'Re-check a pending online payment with the gateway while scanning',
+  ONSPOT_REGISTER: 'Register walk-in students at the gate',
+  STALL_QUEUE: 'Run stall queues: call the next token and mark visitors served'
+};
+
+/**
+ * Validate and normalize a permission list from a request body
+ * @param {Array<string>} permissions
+ * @returns {{ permissions: Array<string> }|{ error: string }}
+ */
+export const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return { error: 'permissions must be an array' };
+  }
+
+  const normalized = [...new Set(permissions.map(permission => String(permission).trim().toUpperCase()))];
+  const unknown = normalized.filter(permission => !VolunteerPermission[permission]);
+  if (unknown.length > 0) {
+    return { error: `Unknown permission(s): ${unknown.join(', ')}. Allowed: ${Object.keys(VolunteerPermission).join(', ')}` };
+  }
+
+  if (normalized.includes(VolunteerPermission.ENTRY_ONLY) && normalized.includes(VolunteerPermission.EXIT_ONLY)) {
+    return { error: 'ENTRY_ONLY and EXIT_ONLY cannot be combined' };
+  }
+  const needsScan = [VolunteerPermission.ENTRY_ONLY, VolunteerPermission.EXIT_ONLY, VolunteerPermission.VERIFY_PAYMENTS]
+    .filter(permission => normalized.includes(permission));
+  if (needsScan.length > 0 && !normalized.includes(VolunteerPermission.SCAN)) {
+    return { error: `${needsScan.join(', ')} require(s) the SCAN permission` };
+  }
+
+  return { permissions: normalized };
+};
+
+/**
+ * Check one permission of an assignment (rows without a permission set get the defaults)
+ * @param {Object} assignment - event_volunteers row
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export const hasPermission = (assignment, permission) => (
+  (assignment?.permissions || DEFAULT_PERMISSIONS).includes(permission)
+);
+
+/**
+ * Check whether an assignment may record this scan
+ * @param {Object} assignment - event_volunteers row
+ * @param {string|null} action - ENTRY or EXIT the scan would record (null checks SCAN only)
+ * @returns {{ permission: string, message: string }|null} Denial, or null if allowed
+ */
+export const getScanDenial = (assignment, action) => {
+  if (!hasPermission(assignment, VolunteerPermission.SCAN)) {
+    return {
+      permission: VolunteerPermission.SCAN,
+      message: 'You do not have permission to scan students for this event. Contact your event manager.'
+    };
+  }
+  if (action === 'EXIT' && hasPermission(assignment, VolunteerPermission.ENTRY_ONLY)) {
+    return {
+      permission: VolunteerPermission.ENTRY_ONLY,
+      message: 'This is an entry-only gate. The student is already inside - send them to an exit gate.'
+    };
+  }
+  if (action === 'ENTRY' && hasPermission(assignment, VolunteerPermission.EXIT_ONLY)) {
+    return {
+      permission: VolunteerPermission.EXIT_ONLY,
+      message: 'This is an exit-only gate. The student is not inside - send them to an entry gate.'
+    };
+  }
+  return null;
+};
+
+/**
+ * Check a permission for a volunteer action that is not tied to one event:
+ * allowed if any active assignment (or the given event's assignment) grants it
+ * @param {string} volunteerId - Volunteer UUID
+ * @param {string} permission
+ * @param {string|null} eventId - Restrict the check to this event
+ * @returns {Promise<boolean>}
+ */
+export const volunteerHasPermission = async (volunteerId, permission, eventId = null) => {
+  if (eventId) {
+    return hasPermission(await EventVolunteerModel.findAssignment(eventId, volunteerId), permission);
+  }
+  const assignments = await EventVolunteerModel.getVolunteerEvents(volunteerId);
+  return assignments.some(assignment => hasPermission(assignment, permission));
+};
+
+/**
+ * Audit a denied volunteer action
+ * @param {Object} params
+ * @param {string} params.volunteerId - Volunteer UUID
+ * @param {string|null} params.eventId - Event the action was for
+ * @param {string} params.permission - Permission that was missing (or restricted the action)
+ * @param {string} params.action - What was attempted, e.g. SCAN_ENTRY, SCAN_EXIT, VIEW_STUDENTS
+ * @param {Object} params.requestInfo - { ip_address, user_agent }
+ * @param {Object} params.metadata - Extra details (student_id, offline, ...)
+ * @returns {Promise<void>}
+ */
+export const recordPermissionDenied = ({ volunteerId, eventId = null, permission, action, requestInfo = {}, metadata = {} }) => (
+  logAuditEvent({
+    event_type: AuditEventType.VOLUNTEER_PERMISSION_DENIED,
+    user_id: volunteerId,
+    user_role: 'VOLUNTEER',
+    ...requestInfo,
+    resource_type: 'EVENT',
+    resource_id: eventId,
+    metadata: { permission, attempted_action: action, ...metadata }
+  })
+);
+
+export default {
+  VolunteerPermission,
+  DEFAULT_PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  validatePermissions,
+  hasPermission,
+  getScanDenial,
+  volunteerHasPermission,
+  recordPermissionDenied
+};
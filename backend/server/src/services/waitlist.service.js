@@ -3,6 +3,7 @@
  * Handles automatic waitlist promotion when capacity becomes available
  */
 import { pool } from '../config/db.js';
+import NotificationService, { NotificationTrigger } from './notification.js';
 
 /**
  * Promote students from waitlist to confirmed
@@ -18,7 +19,7 @@ export const promoteFromWaitlist = async (eventId, spotsAvailable = 1) => {
   try {
     // Get event details to determine registration type
     const eventResult = await pool`
-      SELECT event_type, max_capacity, current_registrations
+      SELECT event_type, price, max_capacity, current_registrations
       FROM events
       WHERE id = ${eventId}
       LIMIT 1
@@ -81,6 +82,15 @@ export const promoteFromWaitlist = async (eventId, spotsAvailable = 1) => {
       promotedStudentIds.push(student.student_id);
     }
 
+    waitlistedStudents.forEach((student) =>
+      NotificationService.notifyStudent(
+        NotificationTrigger.WAITLIST_PROMOTED,
+        student.student_id,
+        { payment_required: event.event_type === 'PAID', amount: event.price },
+        { event_id: eventId, registration_id: student.id }
+      )
+    );
+
     // Note: Event counters are automatically updated by database trigger
     // See: update_event_registration_count() trigger
 
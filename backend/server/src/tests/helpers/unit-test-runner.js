@@ -0,0 +1,61 @@
+// Unit Test Runner - shared checks and summary for the node-script unit tests in tests/unit/
+// Run the suites through their npm scripts, which also provide the test environment.
+
+/**
+ * Compare values and print any mismatch
+ * @param {string} label - What is being checked
+ * @param {*} actual
+ * @param {*} expected
+ * @returns {boolean}
+ */
+export const expectEqual = (label, actual, expected) => {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    return true;
+  }
+  console.log(`   ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  return false;
+};
+
+/**
+ * Print the outcome of a group of checks
+ * @param {string} name - Group name
+ * @param {boolean[]} checks - expectEqual results
+ * @returns {boolean} True when every check passed
+ */
+export const report = (name, checks) => {
+  const passed = checks.every(Boolean);
+  console.log(`${passed ? '✅' : '❌'} ${name}: ${passed ? 'PASSED' : 'FAILED'}`);
+  return passed;
+};
+
+/**
+ * Run test functions in order, print the summary and exit (1 when any test failed)
+ * @param {string} title - Suite title for the banner
+ * @param {Array<{ name: string, fn: Function }>} tests - Each fn returns (a promise of) a boolean
+ */
+export const runTests = async (title, tests) => {
+  console.log('\n');
+  console.log('═'.repeat(60));
+  console.log(`🧪 ${title}`);
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  try {
+    for (const test of tests) {
+      if (await test.fn()) {
+        passed++;
+      }
+    }
+  } catch (error) {
+    console.error('\n❌ Test suite error:', error);
+    process.exit(1);
+  }
+
+  console.log('\n');
+  console.log('═'.repeat(60));
+  console.log(`✅ Passed: ${passed}/${tests.length}`);
+  console.log(`❌ Failed: ${tests.length - passed}/${tests.length}`);
+  console.log('═'.repeat(60));
+
+  process.exit(passed === tests.length ? 0 : 1);
+};
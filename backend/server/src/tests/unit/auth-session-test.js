@@ -0,0 +1,257 @@
+// Auth Session Tests - refresh token rotation, reuse detection and session-bound access tokens
+// (services/authSession.service.js, middleware/auth.js). Sessions are kept in memory; no query
+// reaches the database.
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { startSession, refreshSession, endSession } from '../../services/authSession.service.js';
+import { authenticateToken, authenticateLimitedToken } from '../../middleware/auth.js';
+import AuthSessionModel from '../../models/AuthSession.model.js';
+import Student from '../../models/Student.model.js';
+import AuditLogModel from '../../models/AuditLog.model.js';
+import { AuditEventType } from '../../utils/auditLogger.js';
+import { expectEqual, report, runTests } from '../helpers/unit-test-runner.js';
+
+process.env.JWT_SECRET = 'auth-session-test-secret';
+
+const STUDENT = {
+  id: '6f1c2b3a-0d4e-4f5a-8b6c-7d8e9f0a1b2c',
+  registration_no: '2024SGTU00001',
+  role: 'STUDENT',
+  password_reset_required: false
+};
+
+/**
+ * Keep auth sessions in memory, following the model's SQL conditions
+ * @param {Object} account - Student returned for the session's user
+ * @returns {Object} { sessions, calls }
+ */
+const useSessions = (account = STUDENT) => {
+  const sessions = new Map();
+  const calls = { revoked: [], audits: [] };
+  const isActive = (session) => session && !session.revoked_at && new Date(session.expires_at) > new Date();
+
+  AuthSessionModel.create = async (data) => {
+    const session = {
+      id: crypto.randomUUID(),
+      ...data,
+      previous_token_hash: null,
+      rotated_at: null,
+      rotation_count: 0,
+      revoked_at: null
+    };
+    sessions.set(session.id, session);
+    return { ...session };
+  };
+  AuthSessionModel.findById = async (id) => (sessions.has(id) ? { ...sessions.get(id) } : null);
+  AuthSessionModel.rotate = async (id, currentHash, data) => {
+    const session = sessions.get(id);
+    if (!isActive(session) || session.refresh_token_hash !== currentHash) return null;
+    Object.assign(session, {
+      previous_token_hash: session.refresh_token_hash,
+      refresh_token_hash: data.refresh_token_hash,
+      rotated_at: new Date(),
+      rotation_count: session.rotation_count + 1,
+      expires_at: data.expires_at
+    });
+    return { ...session };
+  };
+  AuthSessionModel.touch = async (id) => isActive(sessions.get(id));
+  AuthSessionModel.revoke = async (id, reason) => {
+    const session = sessions.get(id);
+    if (!isActive(session)) return null;
+    Object.assign(session, { revoked_at: new Date(), revoke_reason: reason });
+    calls.revoked.push(reason);
+    return { ...session };
+  };
+
+  Student.findById = async () => account;
+  AuditLogModel.create = async (data) => {
+    calls.audits.push(data.event_type);
+    return {};
+  };
+  return { sessions, calls };
+};
+
+const mockRequest = ({ refreshToken, accessToken } = {}) => ({
+  cookies: {},
+  headers: accessToken ? { authorization: `Bearer ${accessToken}` } : {},
+  body: refreshToken ? { refresh_token: refreshToken } : {},
+  ip: '10.0.0.1',
+  socket: {},
+  get: (name) => (name.toLowerCase() === 'user-agent' ? 'Mozilla/5.0 (Linux; Android 14) Chrome/120.0' : undefined)
+});
+
+const mockResponse = () => ({
+  cookies: {},
+  cookie(name, value) {
+    this.cookies[name] = value;
+  },
+  clearCookie(name) {
+    delete this.cookies[name];
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const refresh = (refreshToken) => refreshSession(mockRequest({ refreshToken }), mockResponse());
+
+/**
+ * Run an auth middleware with a bearer token
+ * @returns {Promise<{ passed: boolean, status: number|null, code: string|null }>}
+ */
+const authenticate = async (middleware, accessToken) => {
+  const req = mockRequest({ accessToken });
+  const res = mockResponse();
+  let passed = false;
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  return { passed, status: res.statusCode ?? null, code: res.body?.code ?? null };
+};
+
+const hashOf = (refreshToken) => crypto.createHash('sha256').update(refreshToken.split('.')[1]).digest('hex');
+
+/**
+ * Test 1: Refresh rotates the token
+ */
+async function testRotation() {
+  console.log('\n🔄 Test 1: Refresh token rotation');
+  console.log('━'.repeat(60));
+
+  const { sessions } = useSessions();
+  const res = mockResponse();
+  const login = await startSession(mockRequest(), res, 'STUDENT', STUDENT);
+  const refreshed = await refresh(login.refresh_token);
+  const session = sessions.get(login.session_id);
+
+  return report('New tokens issued, the old one kept as previous', [
+    expectEqual('access token bound to the session', jwt.decode(login.token).sid, login.session_id),
+    expectEqual('refresh cookie set', res.cookies.refresh_token, login.refresh_token),
+    expectEqual('same session', refreshed.session_id, login.session_id),
+    expectEqual('new refresh token', refreshed.refresh_token !== login.refresh_token, true),
+    expectEqual('new access token', jwt.decode(refreshed.token).sid, login.session_id),
+    expectEqual('rotation stored', [session.rotation_count, session.previous_token_hash], [1, hashOf(login.refresh_token)]),
+    expectEqual('device recorded', session.device_name, 'Chrome on Android')
+  ]);
+}
+
+/**
+ * Test 2: A replayed token revokes the session
+ */
+async function testReuseDetection() {
+  console.log('\n🚨 Test 2: Refresh token reuse');
+  console.log('━'.repeat(60));
+
+  const { sessions, calls } = useSessions();
+  const login = await startSession(mockRequest(), mockResponse(), 'STUDENT', STUDENT);
+  const first = await refresh(login.refresh_token);
+  const second = await refresh(first.refresh_token);
+
+  // The stolen copy is replayed after the grace window
+  sessions.get(login.session_id).rotated_at = new Date(Date.now() - 5 * 60 * 1000);
+  const replayed = await refresh(first.refresh_token);
+  const latestAfterReuse = await refresh(second.refresh_token);
+  const accessAfterReuse = await authenticate(authenticateToken, second.token);
+
+  return report('Session revoked and the reuse audited', [
+    expectEqual('chain keeps working', Boolean(second.token), true),
+    expectEqual('replay rejected', [replayed.status, replayed.error],
+      [401, 'Refresh token was already used. The session has been logged out for safety.']),
+    expectEqual('session revoked', calls.revoked, ['TOKEN_REUSE']),
+    expectEqual('reuse audited', calls.audits, [AuditEventType.REFRESH_TOKEN_REUSE_DETECTED]),
+    expectEqual('latest token revoked too', latestAfterReuse.status, 401),
+    expectEqual('access token revoked too', [accessAfterReuse.passed, accessAfterReuse.code], [false, 'SESSION_REVOKED'])
+  ]);
+}
+
+/**
+ * Test 3: Parallel refreshes from one client
+ */
+async function testParallelRefresh() {
+  console.log('\n⏱️  Test 3: Parallel refresh within the grace window');
+  console.log('━'.repeat(60));
+
+  const { calls } = useSessions();
+  const login = await startSession(mockRequest(), mockResponse(), 'STUDENT', STUDENT);
+  const winner = await refresh(login.refresh_token);
+  const loser = await refresh(login.refresh_token);
+  const next = await refresh(winner.refresh_token);
+
+  return report('Losing request told to retry, session kept', [
+    expectEqual('conflict', loser.status, 409),
+    expectEqual('not revoked', calls.revoked, []),
+    expectEqual('latest token still works', Boolean(next.token), true)
+  ]);
+}
+
+/**
+ * Test 4: Tokens that cannot refresh
+ */
+async function testRejectedRefresh() {
+  console.log('\n🚫 Test 4: Rejected refresh tokens');
+  console.log('━'.repeat(60));
+
+  useSessions();
+  const missing = await refresh(undefined);
+  const malformed = await refresh('not-a-refresh-token');
+  const unknown = await refresh(`${crypto.randomUUID()}.${'a'.repeat(64)}`);
+
+  const logoutRes = mockResponse();
+  const loggedOut = await startSession(mockRequest(), mockResponse(), 'STUDENT', STUDENT);
+  await endSession({ ...mockRequest(), user: jwt.decode(loggedOut.token) }, logoutRes);
+  const afterLogout = await refresh(loggedOut.refresh_token);
+
+  const inactive = useSessions({ ...STUDENT, password_reset_required: true });
+  const login = await startSession(mockRequest(), mockResponse(), 'STUDENT', STUDENT);
+  const blocked = await refresh(login.refresh_token);
+
+  return report('Missing, unknown, logged out and inactive', [
+    expectEqual('missing', missing.status, 401),
+    expectEqual('malformed', malformed.status, 401),
+    expectEqual('unknown session', unknown.status, 401),
+    expectEqual('after logout', afterLogout.status, 401),
+    expectEqual('inactive account', [blocked.status, inactive.calls.revoked], [401, ['ACCOUNT_INACTIVE']])
+  ]);
+}
+
+/**
+ * Test 5: Access tokens need an active session
+ */
+async function testAccessTokens() {
+  console.log('\n🔐 Test 5: Session-bound access tokens');
+  console.log('━'.repeat(60));
+
+  useSessions();
+  const login = await startSession(mockRequest(), mockResponse(), 'STUDENT', STUDENT);
+  const withSession = await authenticate(authenticateToken, login.token);
+  const withoutSession = await authenticate(authenticateToken, jwt.sign({ id: STUDENT.id, role: 'STUDENT' }, process.env.JWT_SECRET));
+  const unknownSession = await authenticate(authenticateToken,
+    jwt.sign({ id: STUDENT.id, role: 'STUDENT', sid: crypto.randomUUID() }, process.env.JWT_SECRET));
+
+  const verification = jwt.sign({ id: 'volunteer-1', role: 'VOLUNTEER', requires_verification: true }, process.env.JWT_SECRET);
+  const verificationOnFullRoute = await authenticate(authenticateToken, verification);
+  const verificationOnLimitedRoute = await authenticate(authenticateLimitedToken, verification);
+
+  return report('Only session tokens get full access', [
+    expectEqual('active session', withSession.passed, true),
+    expectEqual('no session id', [withoutSession.passed, withoutSession.status, withoutSession.code], [false, 401, 'SESSION_REVOKED']),
+    expectEqual('unknown session', [unknownSession.passed, unknownSession.status], [false, 401]),
+    expectEqual('verification token on a full route', [verificationOnFullRoute.passed, verificationOnFullRoute.status], [false, 403]),
+    expectEqual('verification token on its own routes', verificationOnLimitedRoute.passed, true)
+  ]);
+}
+
+runTests('AUTH SESSIONS - UNIT TESTS', [
+  { name: 'Refresh Token Rotation', fn: testRotation },
+  { name: 'Refresh Token Reuse', fn: testReuseDetection },
+  { name: 'Parallel Refresh', fn: testParallelRefresh },
+  { name: 'Rejected Refresh Tokens', fn: testRejectedRefresh },
+  { name: 'Session-bound Access Tokens', fn: testAccessTokens }
+]);
@@ -0,0 +1,159 @@
+// Feedback Moderation Tests - word-list matching and HOLD / REDACT / BLOCK rules
+// (services/feedbackModeration.service.js)
+
+import {
+  resolveModerationConfig,
+  validateModerationConfig,
+  findListedWords,
+  screenComment,
+  screenFeedback,
+  applyModerationAction,
+  MAX_COMMENT_LENGTH
+} from '../../services/feedbackModeration.service.js';
+import { expectEqual, report, runTests } from '../helpers/unit-test-runner.js';
+
+const DEFAULTS = resolveModerationConfig(null);
+const withRules = (overrides) => resolveModerationConfig(overrides);
+
+const wordsIn = (comment, config = DEFAULTS) => findListedWords(comment, config).map(match => match.word);
+
+/**
+ * Test 1: Word-list matching
+ */
+function testWordListMatching() {
+  console.log('\n🔎 Test 1: Word-list matching');
+  console.log('━'.repeat(60));
+
+  const phrases = withRules({ word_list: ['fake stall'] });
+
+  return report('Whole words, suffixes and phrases', [
+    expectEqual('listed word', wordsIn('That was BULLSHIT honestly'), ['bullshit']),
+    expectEqual('suffix', wordsIn('Total idiots at the counter'), ['idiots']),
+    expectEqual('inside another word', wordsIn('Loved the shitake soup'), []),
+    expectEqual('ranges', findListedWords('You idiot!', DEFAULTS), [{ word: 'idiot', start: 4, end: 9 }]),
+    expectEqual('no duplicates', wordsIn('idiot, sh1t'), ['idiot', 'shit']),
+    expectEqual('event phrase', wordsIn('A fake   stall, avoid', phrases), ['fake   stall']),
+    expectEqual('clean comment', wordsIn('Great demo, very helpful team'), [])
+  ]);
+}
+
+/**
+ * Test 2: Look-alike characters are folded before matching
+ */
+function testLookAlikes() {
+  console.log('\n🔤 Test 2: Look-alike folding');
+  console.log('━'.repeat(60));
+
+  const matches = findListedWords('what a 1d!0t move', DEFAULTS);
+
+  return report('Digits and symbols standing in for letters', [
+    expectEqual('digits', wordsIn('pure sh1t'), ['shit']),
+    expectEqual('symbols', matches.map(match => match.word), ['idiot']),
+    expectEqual('range maps to the comment', 'what a 1d!0t move'.slice(matches[0].start, matches[0].end), '1d!0t'),
+    expectEqual('dollar sign', wordsIn('such a $lut'), ['slut'])
+  ]);
+}
+
+/**
+ * Test 3: allowed_words and the default list switch
+ */
+function testAllowedWords() {
+  console.log('\n✅ Test 3: Allowed words');
+  console.log('━'.repeat(60));
+
+  const allowIdiot = withRules({ allowed_words: ['idiot'] });
+  const ownListOnly = withRules({ use_default_word_list: false, word_list: ['boring'] });
+
+  return report('Allowed words never match', [
+    expectEqual('allowed word', wordsIn('Idiot proof setup', allowIdiot), []),
+    expectEqual('allowed look-alike', wordsIn('1diot proof setup', allowIdiot), []),
+    expectEqual('others still match', wordsIn('idiot and bullshit', allowIdiot), ['bullshit']),
+    expectEqual('default list off', wordsIn('bullshit but boring', ownListOnly), ['boring'])
+  ]);
+}
+
+/**
+ * Test 4: HOLD, REDACT and BLOCK actions on new comments
+ */
+function testScreenActions() {
+  console.log('\n🛡️  Test 4: Word-list actions');
+  console.log('━'.repeat(60));
+
+  const held = screenComment('  You idiot  ', DEFAULTS);
+  const redacted = screenComment('You idiot, nice stall', withRules({ word_list_action: 'REDACT' }));
+  const blocked = screenComment('You idiot', withRules({ word_list_action: 'BLOCK' }));
+  const link = screenComment('More at www.example.com', DEFAULTS);
+  const holdAll = screenComment('Nice stall', withRules({ hold_all_comments: true }));
+  const disabled = screenComment('You idiot', withRules({ enabled: false }));
+  const clean = screenComment('Nice stall', DEFAULTS);
+
+  return report('Rules decide the moderation status', [
+    expectEqual('hold', [held.moderation_status, held.comment, held.moderation_reasons], ['PENDING', 'You idiot', ['WORD_LIST']]),
+    expectEqual('redact', [redacted.moderation_status, redacted.comment, redacted.original_comment, redacted.comment_redacted],
+      ['APPROVED', 'You *****, nice stall', 'You idiot, nice stall', true]),
+    expectEqual('block', [blocked.blocked, blocked.moderation_reasons], [true, ['WORD_LIST']]),
+    expectEqual('link', [link.moderation_status, link.moderation_reasons], ['PENDING', ['LINK']]),
+    expectEqual('hold all', [holdAll.moderation_status, holdAll.moderation_reasons], ['PENDING', ['HOLD_ALL']]),
+    expectEqual('disabled', [disabled.moderation_status, disabled.moderation_reasons], ['APPROVED', []]),
+    expectEqual('clean', [clean.moderation_status, clean.blocked], ['APPROVED', false])
+  ]);
+}
+
+/**
+ * Test 5: Questionnaire answers follow the comment rules
+ */
+function testScreenFeedback() {
+  console.log('\n📝 Test 5: Questionnaire answers');
+  console.log('━'.repeat(60));
+
+  const held = screenFeedback('Great', { improve: 'Staff were idiots' }, DEFAULTS);
+  const redacted = screenFeedback(null, { improve: 'Staff were idiots' }, withRules({ word_list_action: 'REDACT' }));
+  const blocked = screenFeedback('Great', { improve: 'idiot' }, withRules({ word_list_action: 'BLOCK' }));
+
+  return report('One answer decides for the whole feedback', [
+    expectEqual('held', [held.moderation_status, held.moderation_reasons], ['PENDING', ['WORD_LIST']]),
+    expectEqual('redacted', [redacted.answers, redacted.original_answers],
+      [{ improve: 'Staff were ******' }, { improve: 'Staff were idiots' }]),
+    expectEqual('blocked', blocked.blocked, true)
+  ]);
+}
+
+/**
+ * Test 6: Moderator actions and config validation
+ */
+function testModeratorActions() {
+  console.log('\n👮 Test 6: Moderator actions');
+  console.log('━'.repeat(60));
+
+  const feedback = { comment: 'You idiot', original_comment: null };
+  const redact = applyModerationAction(feedback, 'REDACT', DEFAULTS);
+  const custom = applyModerationAction(feedback, 'REDACT', DEFAULTS, '  Comment removed ');
+  const redactError = (comment) => applyModerationAction(feedback, 'REDACT', DEFAULTS, comment).error;
+
+  return report('Approve, reject, redact; settings checked', [
+    expectEqual('approve', applyModerationAction(feedback, 'APPROVE', DEFAULTS).changes, { moderation_status: 'APPROVED' }),
+    expectEqual('reject', applyModerationAction(feedback, 'REJECT', DEFAULTS).changes, { moderation_status: 'REJECTED' }),
+    expectEqual('redact', redact.changes, {
+      moderation_status: 'APPROVED', comment: 'You *****', original_comment: 'You idiot', comment_redacted: true
+    }),
+    expectEqual('custom redaction', custom.changes.comment, 'Comment removed'),
+    expectEqual('blank redaction', redactError('   '), 'comment must be non-empty text'),
+    expectEqual('redaction not text', redactError(42), 'comment must be non-empty text'),
+    expectEqual('redaction too long', redactError('x'.repeat(MAX_COMMENT_LENGTH + 1)),
+      `comment can be at most ${MAX_COMMENT_LENGTH} characters`),
+    expectEqual('nothing to mask', applyModerationAction({ comment: 'Nice' }, 'REDACT', DEFAULTS).error,
+      'No listed words found in the comment; send the redacted comment text'),
+    expectEqual('action normalized', validateModerationConfig({ word_list_action: 'redact' }).config, { word_list_action: 'REDACT' }),
+    expectEqual('unknown setting', validateModerationConfig({ strict: true }).error?.startsWith('Unknown moderation setting(s): strict'), true),
+    expectEqual('words normalized', validateModerationConfig({ word_list: [' Fake  Stall ', 'fake stall'] }).config, { word_list: ['fake stall'] })
+  ]);
+}
+
+runTests('FEEDBACK MODERATION - UNIT TESTS', [
+  { name: 'Word-list Matching', fn: testWordListMatching },
+  { name: 'Look-alike Folding', fn: testLookAlikes },
+  { name: 'Allowed Words', fn: testAllowedWords },
+  { name: 'Word-list Actions', fn: testScreenActions },
+  { name: 'Questionnaire Answers', fn: testScreenFeedback },
+  { name: 'Moderator Actions', fn: testModeratorActions }
+]);
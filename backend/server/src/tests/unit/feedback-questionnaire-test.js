@@ -0,0 +1,140 @@
+// Feedback Questionnaire Tests - weighted criteria and the 1-5 rating stored in feedbacks.rating
+// (services/feedbackQuestionnaire.service.js)
+
+import {
+  validateQuestionnaire,
+  validateFeedbackResponse,
+  weightedRating,
+  summarizeCriteria
+} from '../../services/feedbackQuestionnaire.service.js';
+import { expectEqual, report, runTests } from '../helpers/unit-test-runner.js';
+
+const { questionnaire: QUESTIONNAIRE } = validateQuestionnaire({
+  criteria: [
+    { key: 'innovation', label: 'Innovation', weight: 3 },
+    { key: 'presentation', label: 'Presentation' },
+    { key: 'snacks', label: 'Snacks', weight: 0.5, required: false }
+  ],
+  questions: [
+    { key: 'best_part', label: 'Best part', required: true, max_length: 20 },
+    { key: 'improve', label: 'What to improve' }
+  ]
+});
+
+const respond = (criteria, answers = { best_part: 'Demo' }) =>
+  validateFeedbackResponse(QUESTIONNAIRE, { criteria, answers });
+
+/**
+ * Test 1: Questionnaire settings
+ */
+function testQuestionnaireValidation() {
+  console.log('\n🧾 Test 1: Questionnaire settings');
+  console.log('━'.repeat(60));
+
+  const errorOf = (input) => validateQuestionnaire(input).error ?? null;
+  const criterion = { key: 'quality', label: 'Quality' };
+
+  return report('Defaults and rules', [
+    expectEqual('defaults', QUESTIONNAIRE.criteria[1], {
+      key: 'presentation', label: 'Presentation', description: null, weight: 1, required: true
+    }),
+    expectEqual('question default', [QUESTIONNAIRE.questions[1].required, QUESTIONNAIRE.questions[1].max_length], [false, 300]),
+    expectEqual('no criteria', errorOf({ criteria: [] }), 'A questionnaire needs at least one rated criterion'),
+    expectEqual('bad weight', errorOf({ criteria: [{ ...criterion, weight: 0 }] }), 'criteria[0].weight must be a number above 0 and at most 100'),
+    expectEqual('shared keys', errorOf({ criteria: [criterion], questions: [{ key: 'quality', label: 'Why' }] }),
+      'questions[0].key "quality" is used more than once'),
+    expectEqual('nothing required', errorOf({ criteria: [{ ...criterion, required: false }] }), 'At least one criterion must be required')
+  ]);
+}
+
+/**
+ * Test 2: Required criteria and questions
+ */
+function testRequiredAnswers() {
+  console.log('\n❗ Test 2: Required criteria and questions');
+  console.log('━'.repeat(60));
+
+  return report('Missing or invalid answers rejected', [
+    expectEqual('missing criterion', respond({ innovation: 4 }).error, 'Please rate "Presentation"'),
+    expectEqual('out of range', respond({ innovation: 6, presentation: 4 }).error, '"Innovation" must be rated from 1 to 5'),
+    expectEqual('not whole', respond({ innovation: 3.5, presentation: 4 }).error, '"Innovation" must be rated from 1 to 5'),
+    expectEqual('unknown criterion', respond({ innovation: 4, presentation: 4, taste: 5 }).error?.startsWith('Unknown criteria: taste'), true),
+    expectEqual('criteria not an object', respond(null).error?.startsWith('criteria must be an object of ratings'), true),
+    expectEqual('missing question', respond({ innovation: 4, presentation: 4 }, {}).error, 'Please answer "Best part"'),
+    expectEqual('answer too long', respond({ innovation: 4, presentation: 4 }, { best_part: 'x'.repeat(21) }).error,
+      'The answer to "Best part" can be at most 20 characters'),
+    expectEqual('optional criterion skipped', respond({ innovation: '4', presentation: 4 }).criteria_ratings, { innovation: 4, presentation: 4 })
+  ]);
+}
+
+/**
+ * Test 3: Weighted average rounded into the INTEGER rating
+ */
+function testWeightedRating() {
+  console.log('\n⚖️  Test 3: Weighted rating');
+  console.log('━'.repeat(60));
+
+  // (5*3 + 1*1) / 4 = 4
+  const weighted = respond({ innovation: 5, presentation: 1 });
+  // (4*3 + 5*1 + 1*0.5) / 4.5 = 3.89 -> 4
+  const withOptional = respond({ innovation: 4, presentation: 5, snacks: 1 });
+  // (2*3 + 5*1) / 4 = 2.75 -> 3
+  const roundedUp = respond({ innovation: 2, presentation: 5 });
+  // (3*3 + 5*1) / 4 = 3.5 -> 4
+  const half = respond({ innovation: 3, presentation: 5 });
+
+  return report('Weights applied, rating is a whole 1-5', [
+    expectEqual('weights', weighted.rating, 4),
+    expectEqual('optional criterion counts when rated', withOptional.rating, 4),
+    expectEqual('rounded', roundedUp.rating, 3),
+    expectEqual('half rounds up', half.rating, 4),
+    expectEqual('integer', [weighted, withOptional, roundedUp, half].every(r => Number.isInteger(r.rating)), true),
+    expectEqual('exact average', weightedRating(QUESTIONNAIRE.criteria, { innovation: 2, presentation: 5 }), 2.75),
+    expectEqual('nothing rated', weightedRating(QUESTIONNAIRE.criteria, {}), null),
+    expectEqual('answers kept', withOptional.answers, { best_part: 'Demo' })
+  ]);
+}
+
+/**
+ * Test 4: Events without a questionnaire keep the single rating
+ */
+function testSingleRating() {
+  console.log('\n⭐ Test 4: Single rating');
+  console.log('━'.repeat(60));
+
+  return report('Plain 1-5 rating', [
+    expectEqual('valid', validateFeedbackResponse(null, { rating: '5' }), { rating: 5, criteria_ratings: null, answers: null }),
+    expectEqual('missing', validateFeedbackResponse(null, {}).error, 'Rating is required'),
+    expectEqual('not whole', validateFeedbackResponse(null, { rating: 4.5 }).error, 'Rating must be between 1 and 5')
+  ]);
+}
+
+/**
+ * Test 5: Per-criterion statistics
+ */
+function testSummary() {
+  console.log('\n📊 Test 5: Per-criterion statistics');
+  console.log('━'.repeat(60));
+
+  const summary = summarizeCriteria(QUESTIONNAIRE, [
+    { criteria_ratings: { innovation: 5, presentation: 3 } },
+    { criteria_ratings: { innovation: 4, presentation: 2, snacks: 5 } }
+  ]);
+  const innovation = summary.criteria.find(c => c.key === 'innovation');
+
+  return report('Averages and distribution', [
+    expectEqual('responses', summary.criteria.map(c => c.responses), [2, 2, 1]),
+    expectEqual('average', innovation.average_rating, 4.5),
+    expectEqual('distribution', innovation.rating_distribution, { 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 }),
+    // (4.5*3 + 2.5*1 + 5*0.5) / 4.5 = 4.11
+    expectEqual('weighted average', summary.weighted_average, 4.11)
+  ]);
+}
+
+runTests('FEEDBACK QUESTIONNAIRE - UNIT TESTS', [
+  { name: 'Questionnaire Settings', fn: testQuestionnaireValidation },
+  { name: 'Required Answers', fn: testRequiredAnswers },
+  { name: 'Weighted Rating', fn: testWeightedRating },
+  { name: 'Single Rating', fn: testSingleRating },
+  { name: 'Per-criterion Statistics', fn: testSummary }
+]);
@@ -0,0 +1,251 @@
+// Payment Webhook Tests - Razorpay signature check, delivery claims and reconciliation
+// (controllers/payment.controller.js). Model calls are served in memory; no query reaches the database.
+
+import crypto from 'crypto';
+import PaymentController from '../../controllers/payment.controller.js';
+import PaymentService from '../../services/payment.js';
+import PaymentWebhookEventModel from '../../models/PaymentWebhookEvent.model.js';
+import EventRegistrationModel from '../../models/EventRegistration.model.js';
+import AuditLogModel from '../../models/AuditLog.model.js';
+import NotificationService from '../../services/notification.js';
+import { expectEqual, report, runTests } from '../helpers/unit-test-runner.js';
+
+const WEBHOOK_SECRET = 'webhook-test-secret';
+process.env.RAZORPAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+const PENDING_REGISTRATION = {
+  id: 'registration-1',
+  student_id: 'student-1',
+  event_id: 'event-1',
+  payment_status: 'PENDING',
+  payment_amount: '200.00'
+};
+
+const sign = (body, secret = WEBHOOK_SECRET) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const capturedPayload = (paymentId = 'pay_1', orderId = 'order_1') => ({
+  event: 'payment.captured',
+  payload: { payment: { entity: { id: paymentId, order_id: orderId, amount: 20000 } } }
+});
+
+/**
+ * Serve webhook deliveries and registrations for the controller
+ * @param {Object} data - { delivery, existing, registration, completePayment }
+ * @returns {Object} Calls made to the models
+ */
+const useModels = ({
+  delivery = { id: 'delivery-1' },
+  existing = null,
+  registration = PENDING_REGISTRATION,
+  completePayment = async (id, payment) => ({ ...registration, payment_status: 'COMPLETED', ...payment })
+} = {}) => {
+  const calls = { recordDelivery: [], markFinished: [], completePayment: [], processRefund: [], notifications: [] };
+
+  PaymentWebhookEventModel.recordDelivery = async (data) => {
+    calls.recordDelivery.push(data);
+    return delivery;
+  };
+  PaymentWebhookEventModel.findByEventId = async () => existing;
+  PaymentWebhookEventModel.markFinished = async (id, status, details) => {
+    calls.markFinished.push({ id, status, ...details });
+  };
+
+  EventRegistrationModel.findByOrderId = async (orderId) => (registration?.razorpay_order_id ?? 'order_1') === orderId ? registration : null;
+  EventRegistrationModel.findByPaymentId = async () => registration;
+  EventRegistrationModel.findById = async () => registration;
+  EventRegistrationModel.completePayment = async (id, payment) => {
+    calls.completePayment.push({ id, ...payment });
+    return completePayment(id, payment);
+  };
+  EventRegistrationModel.processRefund = async (id, amount) => {
+    calls.processRefund.push({ id, amount });
+  };
+
+  AuditLogModel.create = async () => ({});
+  NotificationService.notifyStudent = async (trigger) => {
+    calls.notifications.push(trigger);
+  };
+  return calls;
+};
+
+/**
+ * Send a webhook through the controller
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+const deliver = async (payload, { signature, eventId = 'evt_1' } = {}) => {
+  const rawBody = Buffer.from(JSON.stringify(payload));
+  const headers = {
+    'x-razorpay-signature': signature ?? sign(rawBody),
+    'x-razorpay-event-id': eventId
+  };
+  const req = { rawBody, body: payload, get: (name) => headers[name.toLowerCase()] };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+
+  let thrown = null;
+  await PaymentController.handleRazorpayWebhook(req, res, (error) => {
+    thrown = error;
+  });
+  if (thrown) throw thrown;
+  return { status: res.statusCode, body: res.body };
+};
+
+/**
+ * Test 1: Signature check against the raw body
+ */
+function testSignature() {
+  console.log('\n🔏 Test 1: Webhook signature');
+  console.log('━'.repeat(60));
+
+  const body = JSON.stringify(capturedPayload());
+  const valid = PaymentService.verifyWebhookSignature(body, sign(body));
+  const tampered = PaymentService.verifyWebhookSignature(body.replace('20000', '1'), sign(body));
+  const wrongSecret = PaymentService.verifyWebhookSignature(body, sign(body, 'other-secret'));
+  const truncated = PaymentService.verifyWebhookSignature(body, sign(body).slice(0, 10));
+
+  delete process.env.RAZORPAY_WEBHOOK_SECRET;
+  const noSecret = PaymentService.verifyWebhookSignature(body, sign(body));
+  process.env.RAZORPAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+  return report('Only the secret\'s HMAC of the exact body passes', [
+    expectEqual('valid', valid, true),
+    expectEqual('tampered body', tampered, false),
+    expectEqual('wrong secret', wrongSecret, false),
+    expectEqual('truncated signature', truncated, false),
+    expectEqual('secret not configured', noSecret, false)
+  ]);
+}
+
+/**
+ * Test 2: Rejected deliveries are never stored
+ */
+async function testRejectedDeliveries() {
+  console.log('\n🚫 Test 2: Rejected deliveries');
+  console.log('━'.repeat(60));
+
+  const calls = useModels();
+  const badSignature = await deliver(capturedPayload(), { signature: sign('something else') });
+  const noSignature = await deliver(capturedPayload(), { signature: '' });
+
+  return report('Bad or missing signatures rejected', [
+    expectEqual('bad signature', badSignature.status, 401),
+    expectEqual('missing signature', noSignature.status, 400),
+    expectEqual('nothing stored', calls.recordDelivery.length, 0),
+    expectEqual('nothing settled', calls.completePayment.length, 0)
+  ]);
+}
+
+/**
+ * Test 3: Captured payment completes the pending registration
+ */
+async function testCapturedPayment() {
+  console.log('\n💳 Test 3: Captured payment');
+  console.log('━'.repeat(60));
+
+  const calls = useModels();
+  const response = await deliver(capturedPayload());
+
+  return report('Registration completed and delivery finished', [
+    expectEqual('status', response.status, 200),
+    expectEqual('outcome', response.body.data, { event_id: 'evt_1', status: 'PROCESSED', registration_id: 'registration-1' }),
+    expectEqual('delivery stored', [calls.recordDelivery[0]?.razorpay_order_id, calls.recordDelivery[0]?.razorpay_payment_id], ['order_1', 'pay_1']),
+    expectEqual('payment completed', calls.completePayment, [
+      { id: 'registration-1', razorpay_payment_id: 'pay_1', razorpay_signature: 'verified_via_webhook' }
+    ]),
+    expectEqual('delivery finished', calls.markFinished, [
+      { id: 'delivery-1', status: 'PROCESSED', registration_id: 'registration-1', message: 'Payment completed' }
+    ]),
+    expectEqual('student notified', calls.notifications, ['PAYMENT_CONFIRMED'])
+  ]);
+}
+
+/**
+ * Test 4: Retries of the same event
+ */
+async function testRetries() {
+  console.log('\n🔁 Test 4: Retried deliveries');
+  console.log('━'.repeat(60));
+
+  const finished = useModels({ delivery: null, existing: { status: 'PROCESSED' } });
+  const duplicate = await deliver(capturedPayload());
+
+  const inProgress = useModels({ delivery: null, existing: { status: 'RECEIVED' } });
+  const stillClaimed = await deliver(capturedPayload());
+
+  return report('Finished deliveries skipped, claimed ones retried later', [
+    expectEqual('duplicate answered', [duplicate.status, duplicate.body.data?.duplicate], [200, true]),
+    expectEqual('duplicate not settled', finished.completePayment.length + finished.markFinished.length, 0),
+    expectEqual('claimed delivery asks for a retry', stillClaimed.status, 409),
+    expectEqual('claimed delivery not settled', inProgress.completePayment.length + inProgress.markFinished.length, 0)
+  ]);
+}
+
+/**
+ * Test 5: Failed reconciliation lets Razorpay retry
+ */
+async function testFailedReconciliation() {
+  console.log('\n💥 Test 5: Failed reconciliation');
+  console.log('━'.repeat(60));
+
+  const calls = useModels({
+    completePayment: async () => {
+      throw new Error('connection reset');
+    }
+  });
+  const response = await deliver(capturedPayload());
+
+  return report('Delivery marked FAILED with a non-2xx answer', [
+    expectEqual('status', response.status, 500),
+    expectEqual('delivery failed', calls.markFinished, [{ id: 'delivery-1', status: 'FAILED', message: 'connection reset' }])
+  ]);
+}
+
+/**
+ * Test 6: Failed payments and refunds
+ */
+async function testFailedPaymentAndRefund() {
+  console.log('\n↩️  Test 6: Failed payment and refund');
+  console.log('━'.repeat(60));
+
+  const failedCalls = useModels();
+  const failed = await deliver({
+    event: 'payment.failed',
+    payload: { payment: { entity: { id: 'pay_2', order_id: 'order_1', error_code: 'BAD_REQUEST_ERROR' } } }
+  }, { eventId: 'evt_2' });
+
+  const unknownOrderCalls = useModels();
+  const unknownOrder = await deliver(capturedPayload('pay_3', 'order_unknown'), { eventId: 'evt_3' });
+
+  const refundCalls = useModels({ registration: { ...PENDING_REGISTRATION, payment_status: 'COMPLETED' } });
+  const refund = await deliver({
+    event: 'refund.processed',
+    payload: { refund: { entity: { id: 'rfnd_1', payment_id: 'pay_1', amount: 15000 } } }
+  }, { eventId: 'evt_4' });
+
+  return report('Failed attempts keep the seat, refunds are recorded', [
+    expectEqual('failed attempt', [failed.body.data?.status, failedCalls.completePayment.length], ['PROCESSED', 0]),
+    expectEqual('still pending', failedCalls.markFinished[0]?.message, 'Payment attempt failed; registration still pending'),
+    expectEqual('unknown order', [unknownOrder.body.data?.status, unknownOrderCalls.markFinished[0]?.message],
+      ['IGNORED', 'No registration for order order_unknown']),
+    expectEqual('refund recorded', refundCalls.processRefund, [{ id: 'registration-1', amount: 150 }]),
+    expectEqual('refund outcome', refund.body.data?.status, 'PROCESSED'),
+    expectEqual('refund notified', refundCalls.notifications, ['REFUND_PROCESSED'])
+  ]);
+}
+
+runTests('PAYMENT WEBHOOK - UNIT TESTS', [
+  { name: 'Webhook Signature', fn: testSignature },
+  { name: 'Rejected Deliveries', fn: testRejectedDeliveries },
+  { name: 'Captured Payment', fn: testCapturedPayment },
+  { name: 'Retried Deliveries', fn: testRetries },
+  { name: 'Failed Reconciliation', fn: testFailedReconciliation },
+  { name: 'Failed Payment And Refund', fn: testFailedPaymentAndRefund }
+]);
@@ -0,0 +1,213 @@
+// Pricing & Refund Tests - calculatePrice rule selection and calculateRefund on the amount charged
+// Pricing rules are served from in-memory rows; no query reaches the database.
+
+import { calculatePrice, MIN_CHARGE_AMOUNT } from '../../services/pricing.service.js';
+import PricingRuleModel from '../../models/PricingRule.model.js';
+import { calculateRefund } from '../../utils/refundCalculator.js';
+import { expectEqual, report, runTests } from '../helpers/unit-test-runner.js';
+
+const EVENT = { id: 'event-1', price: '200.00', currency: 'INR' };
+const STUDENT = { id: 'student-1', school_id: 'school-1' };
+const NOW = new Date('2026-03-01T10:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+const rule = (overrides) => ({
+  id: `rule-${overrides.rule_type.toLowerCase()}`,
+  rule_name: overrides.rule_type,
+  discount_type: 'PERCENT',
+  is_active: true,
+  ...overrides
+});
+
+/**
+ * Serve pricing rules for calculatePrice
+ * @param {Object} data - { available, schoolRegistrations, couponRule, couponUsage }
+ * @returns {Object} Calls made to the model
+ */
+const useRules = ({ available = [], schoolRegistrations = 0, couponRule = null, couponUsage = null } = {}) => {
+  const calls = { findAvailable: [], countSchoolRegistrations: 0 };
+  PricingRuleModel.findAvailable = async (eventId, options) => {
+    calls.findAvailable.push(options);
+    return available;
+  };
+  PricingRuleModel.countSchoolRegistrations = async () => {
+    calls.countSchoolRegistrations++;
+    return schoolRegistrations;
+  };
+  PricingRuleModel.findByCouponCode = async () => couponRule;
+  PricingRuleModel.findById = async () => couponUsage;
+  return calls;
+};
+
+/**
+ * Test 1: Best rule wins, rules never stack
+ */
+async function testBestRuleChoice() {
+  console.log('\n🏷️  Test 1: Best rule choice');
+  console.log('━'.repeat(60));
+
+  useRules({
+    available: [
+      rule({ rule_type: 'EARLY_BIRD', discount_value: '10' }),
+      rule({ rule_type: 'SCHOOL', discount_type: 'FLAT', discount_value: '30', school_id: 'school-1' }),
+      rule({ rule_type: 'SCHOOL', discount_type: 'FLAT', discount_value: '90', school_id: 'school-2' })
+    ]
+  });
+  const price = await calculatePrice(EVENT, STUDENT, { at: NOW });
+
+  return report('Largest applicable discount', [
+    expectEqual('rule', price.rule?.rule_type, 'SCHOOL'),
+    expectEqual('discount', price.discount_amount, 30),
+    expectEqual('final', price.final_amount, 170),
+    expectEqual('coupon', price.coupon, null)
+  ]);
+}
+
+/**
+ * Test 2: Coupon codes
+ */
+async function testCoupons() {
+  console.log('\n🎟️  Test 2: Coupon codes');
+  console.log('━'.repeat(60));
+
+  const coupon = rule({ rule_type: 'COUPON', discount_value: '50', coupon_code: 'SAVE50' });
+  const calls = useRules({ available: [coupon] });
+  const applied = await calculatePrice(EVENT, STUDENT, { couponCode: ' save50 ', registrationId: 'reg-1', at: NOW });
+
+  useRules({
+    available: [
+      rule({ rule_type: 'COUPON', discount_value: '5', coupon_code: 'SAVE5' }),
+      rule({ rule_type: 'EARLY_BIRD', rule_name: 'Early bird', discount_value: '10' })
+    ]
+  });
+  const beaten = await calculatePrice(EVENT, STUDENT, { couponCode: 'SAVE5', at: NOW });
+
+  useRules({ available: [coupon] });
+  const otherCode = await calculatePrice(EVENT, STUDENT, { couponCode: 'NOPE', at: NOW });
+
+  return report('Coupon applied, beaten and unknown', [
+    expectEqual('applied', applied.coupon, { code: 'SAVE50', valid: true, applied: true, reason: null }),
+    expectEqual('applied final', applied.final_amount, 100),
+    expectEqual('excluded registration', calls.findAvailable[0].excludeRegistrationId, 'reg-1'),
+    expectEqual('beaten valid', beaten.coupon.valid, true),
+    expectEqual('beaten applied', beaten.coupon.applied, false),
+    expectEqual('beaten reason', beaten.coupon.reason, 'A better discount already applies (Early bird)'),
+    expectEqual('beaten rule', beaten.rule.rule_type, 'EARLY_BIRD'),
+    expectEqual('unknown', otherCode.coupon, { code: 'NOPE', valid: false, applied: false, reason: 'Invalid coupon code' }),
+    expectEqual('unknown final', otherCode.final_amount, 200)
+  ]);
+}
+
+/**
+ * Test 3: Coupons that are not available explain why
+ */
+async function testUnavailableCoupons() {
+  console.log('\n⛔ Test 3: Unavailable coupons');
+  console.log('━'.repeat(60));
+
+  const couponRule = { id: 'rule-coupon' };
+  const reasonFor = async (usage) => {
+    useRules({ available: [], couponRule, couponUsage: { is_active: true, used_count: 0, ...usage } });
+    const price = await calculatePrice(EVENT, STUDENT, { couponCode: 'SAVE50', at: NOW });
+    return [price.coupon.valid, price.coupon.reason, price.final_amount];
+  };
+
+  return report('Expired, used up, not started, inactive', [
+    expectEqual('expired', await reasonFor({ valid_until: new Date(NOW.getTime() - HOUR) }),
+      [false, 'Coupon has expired', 200]),
+    expectEqual('used up', await reasonFor({ max_uses: 10, used_count: 10 }),
+      [false, 'Coupon usage limit reached', 200]),
+    expectEqual('not started', await reasonFor({ valid_from: new Date(NOW.getTime() + HOUR) }),
+      [false, 'Coupon is not active yet', 200]),
+    expectEqual('inactive', await reasonFor({ is_active: false }),
+      [false, 'Invalid coupon code', 200])
+  ]);
+}
+
+/**
+ * Test 4: GROUP rules count the student being priced
+ */
+async function testGroupCounting() {
+  console.log('\n👥 Test 4: Group discounts');
+  console.log('━'.repeat(60));
+
+  const group = rule({ rule_type: 'GROUP', discount_value: '20', min_group_size: 5 });
+
+  useRules({ available: [group], schoolRegistrations: 4 });
+  const fifth = await calculatePrice(EVENT, STUDENT, { at: NOW });
+
+  useRules({ available: [group], schoolRegistrations: 3 });
+  const fourth = await calculatePrice(EVENT, STUDENT, { at: NOW });
+
+  const calls = useRules({ available: [group], schoolRegistrations: 10 });
+  const noSchool = await calculatePrice(EVENT, { id: 'student-2', school_id: null }, { at: NOW });
+
+  return report('Group size reached by the fifth student', [
+    expectEqual('fifth student', fifth.final_amount, 160),
+    expectEqual('fourth student', fourth.final_amount, 200),
+    expectEqual('no school', noSchool.rule, null),
+    expectEqual('no school lookup', calls.countSchoolRegistrations, 0)
+  ]);
+}
+
+/**
+ * Test 5: Never below the minimum Razorpay charge
+ */
+async function testMinimumCharge() {
+  console.log('\n🪙 Test 5: Minimum charge');
+  console.log('━'.repeat(60));
+
+  useRules({ available: [rule({ rule_type: 'EARLY_BIRD', discount_type: 'FLAT', discount_value: '500' })] });
+  const capped = await calculatePrice(EVENT, STUDENT, { at: NOW });
+
+  useRules({ available: [rule({ rule_type: 'EARLY_BIRD', discount_value: '99.9' })] });
+  const cheap = await calculatePrice({ ...EVENT, price: '0.50' }, STUDENT, { at: NOW });
+
+  return report(`Floor of Rs. ${MIN_CHARGE_AMOUNT}`, [
+    expectEqual('final', capped.final_amount, MIN_CHARGE_AMOUNT),
+    expectEqual('discount', capped.discount_amount, 199),
+    expectEqual('price below floor', cheap.final_amount, 0.5),
+    expectEqual('price below floor discount', cheap.discount_amount, 0)
+  ]);
+}
+
+/**
+ * Test 6: Refunds are calculated on the amount charged
+ */
+async function testRefundOnAmountPaid() {
+  console.log('\n💸 Test 6: Refund on amount paid');
+  console.log('━'.repeat(60));
+
+  const event = {
+    event_type: 'PAID',
+    price: '500.00',
+    refund_enabled: true,
+    start_date: new Date(NOW.getTime() + 3 * 24 * HOUR),
+    refund_tiers: [{ days_before: 7, percent: 100 }, { days_before: 2, percent: 50 }]
+  };
+
+  const discounted = calculateRefund(event, NOW, '250.50');
+  const fullPrice = calculateRefund(event, NOW);
+  const noTiers = calculateRefund({ ...event, refund_tiers: [] }, NOW, 400);
+  const tooLate = calculateRefund(event, new Date(event.start_date.getTime() - 24 * HOUR), 400);
+  const deadline = calculateRefund({ ...event, cancellation_deadline_hours: 96 }, NOW, 400);
+  const disabled = calculateRefund({ ...event, refund_enabled: false }, NOW, 400);
+
+  return report('Tiers apply to payment_amount', [
+    expectEqual('discounted', [discounted.eligible, discounted.amount, discounted.percent], [true, 125.25, 50]),
+    expectEqual('event price fallback', fullPrice.amount, 250),
+    expectEqual('no tiers', [noTiers.amount, noTiers.percent], [400, 100]),
+    expectEqual('no tier matches', [tooLate.eligible, tooLate.amount], [false, 0]),
+    expectEqual('deadline passed', [deadline.eligible, deadline.amount], [false, 0]),
+    expectEqual('refunds disabled', [disabled.eligible, disabled.amount], [false, 0])
+  ]);
+}
+
+runTests('PRICING & REFUND - UNIT TESTS', [
+  { name: 'Best Rule Choice', fn: testBestRuleChoice },
+  { name: 'Coupons', fn: testCoupons },
+  { name: 'Unavailable Coupons', fn: testUnavailableCoupons },
+  { name: 'Group Counting', fn: testGroupCounting },
+  { name: 'Minimum Charge', fn: testMinimumCharge },
+  { name: 'Refund On Amount Paid', fn: testRefundOnAmountPaid }
+]);
@@ -0,0 +1,155 @@
+// Registration Form Tests - form schema validation and student answers (utils/registrationForm.js)
+import { validateFormSchema, validateFormResponses } from '../../utils/registrationForm.js';
+import { expectEqual, report, runTests } from '../helpers/unit-test-runner.js';
+
+const PDF = `data:application/pdf;base64,${'A'.repeat(400)}`;
+const UPLOADED = { url: 'https://res.cloudinary.com/demo/raw/upload/resume.pdf', mime_type: 'application/pdf', size_bytes: 300 };
+
+const { fields: FORM } = validateFormSchema([
+  { key: 'github', label: 'GitHub profile', type: 'text', format: 'url', required: true },
+  { key: 'roll_code', label: 'Roll code', type: 'text', pattern: '^[A-Z]{3}[0-9]{3}$', min_length: 6, max_length: 6 },
+  { key: 'track', label: 'Track', type: 'select', options: ['Web', 'AI'], required: true },
+  { key: 'skills', label: 'Skills', type: 'checkbox', options: ['JS', 'Python', 'Go'] },
+  { key: 'consent', label: 'Consent', type: 'checkbox', required: true },
+  { key: 'team_size', label: 'Team size', type: 'number', min: 1, max: 4, integer: true },
+  { key: 'resume', label: 'Resume', type: 'file', allowed_file_types: ['pdf'], max_file_size_mb: 0.001, required: true }
+]);
+
+const VALID_ANSWERS = {
+  github: ' https://github.com/student ',
+  roll_code: 'ABC123',
+  track: 'AI',
+  skills: ['JS', 'JS', 'Go'],
+  consent: true,
+  team_size: '3',
+  resume: PDF
+};
+
+// Error of one field, or null
+const errorFor = (answers, key, stored = {}) =>
+  validateFormResponses(FORM, answers, stored).errors.find(error => error.field === key)?.message ?? null;
+
+/**
+ * Test 1: Schema validation
+ */
+function testSchemaValidation() {
+  console.log('\n🧾 Test 1: Form schema validation');
+  console.log('━'.repeat(60));
+
+  const errorOf = (fields) => validateFormSchema(fields).error ?? null;
+  const text = { key: 'name', label: 'Name', type: 'text' };
+
+  return report('Schema rules', [
+    expectEqual('form parsed', FORM.length, 7),
+    expectEqual('defaults', FORM[0].required && FORM[1].required === false, true),
+    expectEqual('options deduplicated', validateFormSchema([{ key: 'pick', label: 'Pick', type: 'select', options: ['A', ' A '] }]).fields[0].options, ['A']),
+    expectEqual('not an array', errorOf({}), 'fields must be an array'),
+    expectEqual('bad key', errorOf([{ ...text, key: 'Full Name' }]), 'Field 1: key must be snake_case (letters, digits, _), max 50 characters'),
+    expectEqual('duplicate key', errorOf([text, text]), 'Field 2: duplicate key "name"'),
+    expectEqual('unknown type', errorOf([{ ...text, type: 'date' }]), 'name: type must be one of text, select, checkbox, file, number'),
+    expectEqual('select without options', errorOf([{ ...text, type: 'select' }]), 'name: options must be a non-empty array of strings'),
+    expectEqual('bad pattern', errorOf([{ ...text, pattern: '[' }]), 'name: pattern is not a valid regular expression'),
+    expectEqual('length bounds', errorOf([{ ...text, min_length: 10, max_length: 5 }]), 'name: min_length cannot exceed max_length'),
+    expectEqual('number bounds', errorOf([{ ...text, type: 'number', min: 5, max: 1 }]), 'name: min cannot exceed max'),
+    expectEqual('file type', errorOf([{ ...text, type: 'file', allowed_file_types: ['exe'] }]).startsWith('name: allowed_file_types must be from'), true),
+    expectEqual('file size', errorOf([{ ...text, type: 'file', max_file_size_mb: 11 }]), 'name: max_file_size_mb must be between 0 and 10')
+  ]);
+}
+
+/**
+ * Test 2: Valid answers of every field type
+ */
+function testValidAnswers() {
+  console.log('\n✍️  Test 2: Valid answers');
+  console.log('━'.repeat(60));
+
+  const result = validateFormResponses(FORM, { ...VALID_ANSWERS, unknown_key: 'dropped' });
+
+  return report('Answers normalized for storage', [
+    expectEqual('valid', result.valid, true),
+    expectEqual('responses', result.responses, {
+      github: 'https://github.com/student',
+      roll_code: 'ABC123',
+      track: 'AI',
+      skills: ['JS', 'Go'],
+      consent: true,
+      team_size: 3
+    }),
+    expectEqual('upload', result.uploads.map(({ key, mime_type, size_bytes }) => ({ key, mime_type, size_bytes })),
+      [{ key: 'resume', mime_type: 'application/pdf', size_bytes: 300 }])
+  ]);
+}
+
+/**
+ * Test 3: Required fields and invalid answers
+ */
+function testInvalidAnswers() {
+  console.log('\n🚫 Test 3: Required fields and invalid answers');
+  console.log('━'.repeat(60));
+
+  const empty = validateFormResponses(FORM, {});
+
+  return report('Each field type rejects bad input', [
+    expectEqual('required', empty.errors.map(error => error.field), ['github', 'track', 'consent', 'resume']),
+    expectEqual('unticked consent', errorFor({ ...VALID_ANSWERS, consent: false }, 'consent'), 'Consent is required'),
+    expectEqual('url', errorFor({ ...VALID_ANSWERS, github: 'ftp://x.org' }, 'github'), 'GitHub profile must be a valid http(s) link'),
+    expectEqual('pattern', errorFor({ ...VALID_ANSWERS, roll_code: 'abc123' }, 'roll_code'), 'Roll code is not in the expected format'),
+    expectEqual('min length', errorFor({ ...VALID_ANSWERS, roll_code: 'AB1' }, 'roll_code'), 'Roll code must be at least 6 characters'),
+    expectEqual('select', errorFor({ ...VALID_ANSWERS, track: 'Design' }, 'track'), 'Track must be one of: Web, AI'),
+    expectEqual('checkbox options', errorFor({ ...VALID_ANSWERS, skills: ['Rust'] }, 'skills'), 'Skills options must be from: JS, Python, Go'),
+    expectEqual('yes/no checkbox', errorFor({ ...VALID_ANSWERS, consent: 'yes' }, 'consent'), 'Consent must be true or false'),
+    expectEqual('number', errorFor({ ...VALID_ANSWERS, team_size: 'four' }, 'team_size'), 'Team size must be a number'),
+    expectEqual('integer', errorFor({ ...VALID_ANSWERS, team_size: 2.5 }, 'team_size'), 'Team size must be a whole number'),
+    expectEqual('max', errorFor({ ...VALID_ANSWERS, team_size: 5 }, 'team_size'), 'Team size must be at most 4')
+  ]);
+}
+
+/**
+ * Test 4: File MIME type and size
+ */
+function testFileChecks() {
+  console.log('\n📎 Test 4: File checks');
+  console.log('━'.repeat(60));
+
+  return report('File answers', [
+    expectEqual('not a data URI', errorFor({ ...VALID_ANSWERS, resume: 'resume.pdf' }, 'resume'),
+      'Resume must be a base64 data URI (data:<mime>;base64,...)'),
+    expectEqual('wrong type', errorFor({ ...VALID_ANSWERS, resume: `data:image/png;base64,${'A'.repeat(40)}` }, 'resume'),
+      'Resume file type must be pdf'),
+    expectEqual('too large', errorFor({ ...VALID_ANSWERS, resume: `data:application/pdf;base64,${'A'.repeat(2000)}` }, 'resume'),
+      'Resume file must be at most 0.001MB')
+  ]);
+}
+
+/**
+ * Test 5: Already uploaded files come only from the saved registration
+ */
+function testCarriedOverFiles() {
+  console.log('\n♻️  Test 5: Carried-over files');
+  console.log('━'.repeat(60));
+
+  const { resume, ...withoutFile } = VALID_ANSWERS;
+  const stored = { resume: UPLOADED, track: 'Web' };
+
+  const carried = validateFormResponses(FORM, withoutFile, stored);
+  const replaced = validateFormResponses(FORM, VALID_ANSWERS, stored);
+  const storedOnly = validateFormResponses(FORM, { github: 'https://github.com/student', consent: true }, stored);
+
+  return report('Stored files reused, client file objects rejected', [
+    expectEqual('carried over', [carried.valid, carried.responses.resume, carried.uploads.length], [true, UPLOADED, 0]),
+    expectEqual('new upload replaces stored file', [replaced.valid, replaced.responses.resume, replaced.uploads.length], [true, undefined, 1]),
+    expectEqual('other stored answers', storedOnly.responses.track, 'Web'),
+    expectEqual('forged file object', errorFor({ ...withoutFile, resume: UPLOADED }, 'resume'),
+      'Resume must be a base64 data URI (data:<mime>;base64,...)'),
+    expectEqual('forged even with a stored file', errorFor({ ...withoutFile, resume: { url: 'https://evil.example/x.pdf' } }, 'resume', stored),
+      'Resume must be a base64 data URI (data:<mime>;base64,...)')
+  ]);
+}
+
+runTests('REGISTRATION FORM - UNIT TESTS', [
+  { name: 'Schema Validation', fn: testSchemaValidation },
+  { name: 'Valid Answers', fn: testValidAnswers },
+  { name: 'Invalid Answers', fn: testInvalidAnswers },
+  { name: 'File Checks', fn: testFileChecks },
+  { name: 'Carried-over Files', fn: testCarriedOverFiles }
+]);
@@ -1,8 +1,9 @@
 /**
  * Audit Logger Utility
  * Tracks critical operations for security and compliance
+ * Every event is written to the audit_logs table (migration 006) and echoed to the console
  */
-import { query } from '../config/db.js';
+import AuditLogModel from '../models/AuditLog.model.js';
 
 /**
  * Audit event types
@@ -10,6 +11,9 @@ import { query } from '../config/db.js';
 export const AuditEventType = {
   EVENT_CREATED: 'EVENT_CREATED',
   EVENT_UPDATED: 'EVENT_UPDATED',
+  EVENT_CLONED: 'EVENT_CLONED',
+  EVENT_TEMPLATE_SAVED: 'EVENT_TEMPLATE_SAVED',
+  EVENT_TEMPLATE_DELETED: 'EVENT_TEMPLATE_DELETED',
   EVENT_DELETED: 'EVENT_DELETED',
   EVENT_APPROVED: 'EVENT_APPROVED',
   EVENT_REJECTED: 'EVENT_REJECTED',
@@ -17,8 +21,53 @@ export const AuditEventType = {
   VOLUNTEER_ASSIGNED: 'VOLUNTEER_ASSIGNED',
   VOLUNTEER_REMOVED: 'VOLUNTEER_REMOVED',
   REGISTRATION_CREATED: 'REGISTRATION_CREATED',
+  REGISTRATION_CANCELLED: 'REGISTRATION_CANCELLED',
+  REGISTRATION_EXPIRED: 'REGISTRATION_EXPIRED',
+  WALK_IN_REGISTERED: 'WALK_IN_REGISTERED',
+  BULK_REQUEST_EXPIRED: 'BULK_REQUEST_EXPIRED',
+  STUDENT_AUTO_CHECKED_OUT: 'STUDENT_AUTO_CHECKED_OUT',
   PAYMENT_COMPLETED: 'PAYMENT_COMPLETED',
   PAYMENT_FAILED: 'PAYMENT_FAILED',
+  REFUND_INITIATED: 'REFUND_INITIATED',
+  REFUND_PROCESSED: 'REFUND_PROCESSED',
+  REFUND_FAILED: 'REFUND_FAILED',
+  EVENT_CANCELLED: 'EVENT_CANCELLED',
+  EVENT_CAPACITY_UPDATED: 'EVENT_CAPACITY_UPDATED',
+  BULK_REGISTRATION_COMPLETED: 'BULK_REGISTRATION_COMPLETED',
+  BULK_REGISTRATION_REQUESTED: 'BULK_REGISTRATION_REQUESTED',
+  BULK_REGISTRATION_APPROVED: 'BULK_REGISTRATION_APPROVED',
+  BULK_REGISTRATION_REJECTED: 'BULK_REGISTRATION_REJECTED',
+  BULK_CANCELLATION_COMPLETED: 'BULK_CANCELLATION_COMPLETED',
+  RANKINGS_PUBLISHED: 'RANKINGS_PUBLISHED',
+  RANKINGS_UNPUBLISHED: 'RANKINGS_UNPUBLISHED',
+  RANKINGS_VISIBILITY_RESET: 'RANKINGS_VISIBILITY_RESET',
+  RANKING_CONFIG_UPDATED: 'RANKING_CONFIG_UPDATED',
+  ANOMALY_FLAG_REVIEWED: 'ANOMALY_FLAG_REVIEWED',
+  MODERATION_CONFIG_UPDATED: 'MODERATION_CONFIG_UPDATED',
+  FEEDBACK_MODERATED: 'FEEDBACK_MODERATED',
+  FEEDBACK_REPLY_UPDATED: 'FEEDBACK_REPLY_UPDATED',
+  FEEDBACK_QUESTIONNAIRE_UPDATED: 'FEEDBACK_QUESTIONNAIRE_UPDATED',
+  SESSION_CREATED: 'SESSION_CREATED',
+  SESSION_UPDATED: 'SESSION_UPDATED',
+  SESSION_DELETED: 'SESSION_DELETED',
+  PRICING_RULE_CREATED: 'PRICING_RULE_CREATED',
+  PRICING_RULE_UPDATED: 'PRICING_RULE_UPDATED',
+  PRICING_RULE_DELETED: 'PRICING_RULE_DELETED',
+  REGISTRATION_FORM_UPDATED: 'REGISTRATION_FORM_UPDATED',
+  CERTIFICATE_TEMPLATE_UPDATED: 'CERTIFICATE_TEMPLATE_UPDATED',
+  CERTIFICATE_ISSUED: 'CERTIFICATE_ISSUED',
+  CERTIFICATE_REVOKED: 'CERTIFICATE_REVOKED',
+  TEAM_CREATED: 'TEAM_CREATED',
+  TEAM_REGISTERED: 'TEAM_REGISTERED',
+  TEAM_CANCELLED: 'TEAM_CANCELLED',
+  CALENDAR_FEED_REGENERATED: 'CALENDAR_FEED_REGENERATED',
+  PASSWORD_RESET_REQUESTED: 'PASSWORD_RESET_REQUESTED',
+  PASSWORD_RESET_COMPLETED: 'PASSWORD_RESET_COMPLETED',
+  AUTH_SESSION_REVOKED: 'AUTH_SESSION_REVOKED',
+  AUTH_SESSIONS_REVOKED_ALL: 'AUTH_SESSIONS_REVOKED_ALL',
+  REFRESH_TOKEN_REUSE_DETECTED: 'REFRESH_TOKEN_REUSE_DETECTED',
+  VOLUNTEER_PERMISSIONS_UPDATED: 'VOLUNTEER_PERMISSIONS_UPDATED',
+  VOLUNTEER_PERMISSION_DENIED: 'VOLUNTEER_PERMISSION_DENIED',
   MANAGER_CREATED: 'MANAGER_CREATED',
   MANAGER_UPDATED: 'MANAGER_UPDATED',
   MANAGER_DELETED: 'MANAGER_DELETED',
@@ -52,10 +101,16 @@ export const logAuditEvent = async (auditData) => {
   } = auditData;
 
   try {
-    // For now, log to console and/or winston logger
-    // In production, this should write to a dedicated audit_logs table
-    const auditLog = {
+    console.log('[AUDIT]', JSON.stringify({
       timestamp: new Date().toISOString(),
+      event_type,
+      user_id,
+      user_role,
+      resource_type,
+      resource_id
+    }));
+
+    await AuditLogModel.create({
       event_type,
       user_id,
       user_role,
@@ -64,25 +119,23 @@ export const logAuditEvent = async (auditData) => {
       metadata,
       ip_address,
       user_agent
-    };
-
-    console.log('[AUDIT]', JSON.stringify(auditLog));
-
-    // TODO: Implement database logging when audit_logs table is created
-    /*
-    await query(
-      `INSERT INTO audit_logs 
-       (event_type, user_id, user_role, resource_type, resource_id, metadata, ip_address, user_agent)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-      [event_type, user_id, user_role, resource_type, resource_id, JSON.stringify(metadata), ip_address, user_agent]
-    );
-    */
+    });
   } catch (error) {
-    console.error('Audit logging error:', error);
+    console.error('Audit logging error:', error.message);
     // Don't throw - audit logging failures should not break the main operation
   }
 };
 
+/**
+ * Request details stored with an audit event
+ * @param {Object} req - Express request
+ * @returns {Object} { ip_address, user_agent }
+ */
+export const getAuditRequestInfo = (req) => ({
+  ip_address: req.ip || req.socket?.remoteAddress || null,
+  user_agent: req.get('user-agent') || null
+});
+
 /**
  * Express middleware to extract request metadata for audit logging
  */
@@ -95,37 +148,15 @@ export const auditMiddleware = (req, res, next) => {
       resource_type,
       resource_id,
       metadata,
-      ip_address: req.ip || req.connection.remoteAddress,
-      user_agent: req.get('user-agent')
+      ...getAuditRequestInfo(req)
     });
   };
   next();
 };
 
-/**
- * Create audit log table migration (for future use)
- * 
- * CREATE TABLE IF NOT EXISTS audit_logs (
- *   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
- *   event_type VARCHAR(50) NOT NULL,
- *   user_id UUID,
- *   user_role VARCHAR(20),
- *   resource_type VARCHAR(50) NOT NULL,
- *   resource_id UUID NOT NULL,
- *   metadata JSONB DEFAULT '{}'::jsonb,
- *   ip_address VARCHAR(45),
- *   user_agent TEXT,
- *   created_at TIMESTAMP DEFAULT NOW()
- * );
- * 
- * CREATE INDEX idx_audit_logs_event_type ON audit_logs(event_type);
- * CREATE INDEX idx_audit_logs_user_id ON audit_logs(user_id);
- * CREATE INDEX idx_audit_logs_resource ON audit_logs(resource_type, resource_id);
- * CREATE INDEX idx_audit_logs_created_at ON audit_logs(created_at DESC);
- */
-
 export default {
   AuditEventType,
   logAuditEvent,
+  getAuditRequestInfo,
   auditMiddleware
 };
@@ -1,4 +1,5 @@
 import ExcelJS from 'exceljs';
+import { isUuid } from './uuid.js';
 
 /**
  * Excel Parser Utility for Bulk Student Uploads
@@ -218,10 +219,7 @@ export const validateStudents = (students) => {
         error: 'School ID is required',
       });
     } else {
-      // Validate UUID format
-      const uuidRegex =
-        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-      if (!uuidRegex.test(student.school_id)) {
+      if (!isUuid(student.school_id)) {
         rowErrors.push({
           field: 'school_id',
           error: 'School ID must be a valid UUID',
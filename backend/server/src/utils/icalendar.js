@@ -0,0 +1,148 @@
+/**
+ * iCalendar Utility
+ * Renders RFC 5545 calendars (.ics) for subscription feeds and single-event downloads
+ */
+
+export const ICS_CONTENT_TYPE = 'text/calendar; charset=utf-8';
+export const EVENT_STATUSES = ['CONFIRMED', 'TENTATIVE', 'CANCELLED'];
+
+const PRODUCT_ID = '-//SGT University//Event Management//EN';
+const UID_DOMAIN = 'sgtu-events';
+const MAX_LINE_OCTETS = 75;
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+// How often calendar apps should re-fetch a subscribed feed
+const REFRESH_INTERVAL = 'PT1H';
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r\n|\r|\n/g, '\\n');
+
+/**
+ * Format a date as UTC date-time, e.g. 20261019T093000Z
+ * @param {Date|string} date
+ * @returns {string}
+ */
+export const formatDateTime = (date) => new Date(date).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line to 75 octets, without splitting multi-byte characters
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build a calendar event UID that stays stable across feed refreshes
+ * @param {string} id - Record UUID
+ * @param {string} prefix - Optional record kind, e.g. 'volunteer'
+ * @returns {string}
+ */
+export const buildUid = (id, prefix = null) => `${prefix ? `${prefix}-` : ''}${id}@${UID_DOMAIN}`;
+
+/**
+ * Render the lines of one VEVENT
+ * @param {Object} event - { uid, summary, start, end, location, description, status, last_modified }
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>}
+ */
+const renderEvent = (event, stamp) => {
+  const start = new Date(event.start);
+  const end = event.end ? new Date(event.end) : new Date(start.getTime() + DEFAULT_DURATION_MS);
+  const status = EVENT_STATUSES.includes(event.status) ? event.status : 'CONFIRMED';
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(status === 'CANCELLED' ? `Cancelled: ${event.summary}` : event.summary)}`
+  ];
+
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.last_modified) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(event.last_modified)}`);
+  }
+
+  lines.push(`STATUS:${status}`);
+  // Cancelled events no longer block time in the attendee's calendar
+  lines.push(`TRANSP:${status === 'CANCELLED' ? 'TRANSPARENT' : 'OPAQUE'}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Render a calendar
+ * @param {Object} calendar - { name, description, events: [{ uid, summary, start, end,
+ *                            location, description, status, last_modified }] }
+ * @returns {string} .ics document (CRLF line endings)
+ */
+export const buildCalendar = ({ name, description = null, events = [] }) => {
+  const stamp = formatDateTime(new Date());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `NAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+  ];
+  if (description) {
+    lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  }
+
+  for (const event of events) {
+    if (event.start) {
+      lines.push(...renderEvent(event, stamp));
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+export default { ICS_CONTENT_TYPE, escapeText, formatDateTime, buildUid, buildCalendar };
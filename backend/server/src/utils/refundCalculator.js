@@ -7,9 +7,13 @@
  * Calculate refund eligibility and amount
  * @param {Object} event - Event object with refund configuration
  * @param {Date} currentDate - Current date/time
+ * @param {number|string|null} amountPaid - Amount the student was charged (registration payment_amount);
+ *                                          falls back to the event price
  * @returns {Object} { eligible, amount, percent, reason }
  */
-export const calculateRefund = (event, currentDate = new Date()) => {
+export const calculateRefund = (event, currentDate = new Date(), amountPaid = null) => {
+  const paidAmount = parseFloat(amountPaid ?? event.price);
+
   // Check 1: Refunds enabled?
   if (!event.refund_enabled) {
     return {
@@ -62,7 +66,7 @@ export const calculateRefund = (event, currentDate = new Date()) => {
     // Default: full refund if no tiers defined
     return {
       eligible: true,
-      amount: parseFloat(event.price),
+      amount: paidAmount,
       percent: 100,
       reason: 'Full refund (no tiers defined)'
     };
@@ -74,7 +78,7 @@ export const calculateRefund = (event, currentDate = new Date()) => {
   // Match refund tier
   for (const tier of sortedTiers) {
     if (daysUntilEvent >= tier.days_before) {
-      const refundAmount = (parseFloat(event.price) * tier.percent) / 100;
+      const refundAmount = (paidAmount * tier.percent) / 100;
 
       return {
         eligible: true,
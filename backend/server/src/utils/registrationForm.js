@@ -0,0 +1,330 @@
+/**
+ * Registration Form Utility
+ * Validates per-event registration form schemas (events.registration_form)
+ * and the answers students submit with their registration
+ */
+
+export const FORM_FIELD_TYPES = ['text', 'select', 'checkbox', 'file', 'number'];
+export const TEXT_FORMATS = ['url', 'email'];
+
+export const MAX_FORM_FIELDS = 30;
+export const DEFAULT_MAX_FILE_SIZE_MB = 5;
+export const MAX_FILE_SIZE_MB = 10;
+const MAX_TEXT_LENGTH = 2000;
+
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATA_URI_PATTERN = /^data:([\w.+-]+\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]+)$/;
+
+// File extensions accepted by file fields, by MIME type
+const FILE_MIME_TYPES = {
+  pdf: ['application/pdf'],
+  png: ['image/png'],
+  jpg: ['image/jpeg'],
+  jpeg: ['image/jpeg'],
+  webp: ['image/webp'],
+  doc: ['application/msword'],
+  docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  zip: ['application/zip', 'application/x-zip-compressed']
+};
+
+const isValidUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate a registration form schema set by an event manager
+ * @param {Array} fields - [{ key, label, type, required, help_text, options, min_length, max_length,
+ *                           pattern, format, min, max, integer, allowed_file_types, max_file_size_mb }]
+ * @returns {Object} { valid, error, fields } - fields normalized for storage
+ */
+export const validateFormSchema = (fields) => {
+  if (!Array.isArray(fields)) {
+    return { valid: false, error: 'fields must be an array' };
+  }
+
+  if (fields.length > MAX_FORM_FIELDS) {
+    return { valid: false, error: `A form can have at most ${MAX_FORM_FIELDS} fields` };
+  }
+
+  const keys = new Set();
+  const normalized = [];
+
+  for (const [index, field] of fields.entries()) {
+    const position = `Field ${index + 1}`;
+
+    if (!field || typeof field !== 'object') {
+      return { valid: false, error: `${position}: must be an object` };
+    }
+
+    if (typeof field.key !== 'string' || !FIELD_KEY_PATTERN.test(field.key)) {
+      return { valid: false, error: `${position}: key must be snake_case (letters, digits, _), max 50 characters` };
+    }
+    if (keys.has(field.key)) {
+      return { valid: false, error: `${position}: duplicate key "${field.key}"` };
+    }
+    keys.add(field.key);
+
+    if (typeof field.label !== 'string' || field.label.trim() === '' || field.label.length > 200) {
+      return { valid: false, error: `${field.key}: label is required (max 200 characters)` };
+    }
+
+    if (!FORM_FIELD_TYPES.includes(field.type)) {
+      return { valid: false, error: `${field.key}: type must be one of ${FORM_FIELD_TYPES.join(', ')}` };
+    }
+
+    const entry = {
+      key: field.key,
+      label: field.label.trim(),
+      type: field.type,
+      required: field.required === true,
+      help_text: typeof field.help_text === 'string' ? field.help_text.trim() : null
+    };
+
+    if (field.type === 'select' || (field.type === 'checkbox' && field.options !== undefined)) {
+      // checkbox with options = pick any; checkbox without options = single yes/no tick
+      if (!Array.isArray(field.options) || field.options.length === 0 ||
+          field.options.some(option => typeof option !== 'string' || option.trim() === '')) {
+        return { valid: false, error: `${field.key}: options must be a non-empty array of strings` };
+      }
+      entry.options = [...new Set(field.options.map(option => option.trim()))];
+    }
+
+    if (field.type === 'text') {
+      for (const bound of ['min_length', 'max_length']) {
+        if (field[bound] !== undefined && (!Number.isInteger(field[bound]) || field[bound] < 0)) {
+          return { valid: false, error: `${field.key}: ${bound} must be a non-negative integer` };
+        }
+      }
+      entry.min_length = field.min_length ?? null;
+      entry.max_length = Math.min(field.max_length ?? MAX_TEXT_LENGTH, MAX_TEXT_LENGTH);
+      if (entry.min_length !== null && entry.min_length > entry.max_length) {
+        return { valid: false, error: `${field.key}: min_length cannot exceed max_length` };
+      }
+
+      if (field.format !== undefined && !TEXT_FORMATS.includes(field.format)) {
+        return { valid: false, error: `${field.key}: format must be one of ${TEXT_FORMATS.join(', ')}` };
+      }
+      entry.format = field.format ?? null;
+
+      if (field.pattern !== undefined) {
+        try {
+          new RegExp(field.pattern);
+        } catch {
+          return { valid: false, error: `${field.key}: pattern is not a valid regular expression` };
+        }
+        entry.pattern = field.pattern;
+      }
+    }
+
+    if (field.type === 'number') {
+      for (const bound of ['min', 'max']) {
+        if (field[bound] !== undefined && typeof field[bound] !== 'number') {
+          return { valid: false, error: `${field.key}: ${bound} must be a number` };
+        }
+      }
+      if (field.min !== undefined && field.max !== undefined && field.min > field.max) {
+        return { valid: false, error: `${field.key}: min cannot exceed max` };
+      }
+      entry.min = field.min ?? null;
+      entry.max = field.max ?? null;
+      entry.integer = field.integer === true;
+    }
+
+    if (field.type === 'file') {
+      const allowed = field.allowed_file_types ?? ['pdf', 'png', 'jpg', 'jpeg'];
+      if (!Array.isArray(allowed) || allowed.length === 0 ||
+          allowed.some(ext => !FILE_MIME_TYPES[String(ext).toLowerCase()])) {
+        return {
+          valid: false,
+          error: `${field.key}: allowed_file_types must be from ${Object.keys(FILE_MIME_TYPES).join(', ')}`
+        };
+      }
+      const maxSize = field.max_file_size_mb ?? DEFAULT_MAX_FILE_SIZE_MB;
+      if (typeof maxSize !== 'number' || maxSize <= 0 || maxSize > MAX_FILE_SIZE_MB) {
+        return { valid: false, error: `${field.key}: max_file_size_mb must be between 0 and ${MAX_FILE_SIZE_MB}` };
+      }
+      entry.allowed_file_types = allowed.map(ext => String(ext).toLowerCase());
+      entry.max_file_size_mb = maxSize;
+    }
+
+    normalized.push(entry);
+  }
+
+  return { valid: true, fields: normalized };
+};
+
+/**
+ * Validate a single answer against its field definition
+ * @param {Object} field - Normalized field definition
+ * @param {*} value - Submitted answer (not empty)
+ * @returns {Object} { error } or { value } - value normalized for storage
+ */
+const validateAnswer = (field, value) => {
+  switch (field.type) {
+    case 'text': {
+      if (typeof value !== 'string') {
+        return { error: 'must be text' };
+      }
+      const text = value.trim();
+      if (field.min_length !== null && text.length < field.min_length) {
+        return { error: `must be at least ${field.min_length} characters` };
+      }
+      if (text.length > field.max_length) {
+        return { error: `must be at most ${field.max_length} characters` };
+      }
+      if (field.format === 'url' && !isValidUrl(text)) {
+        return { error: 'must be a valid http(s) link' };
+      }
+      if (field.format === 'email' && !EMAIL_PATTERN.test(text)) {
+        return { error: 'must be a valid email address' };
+      }
+      if (field.pattern && !new RegExp(field.pattern).test(text)) {
+        return { error: 'is not in the expected format' };
+      }
+      return { value: text };
+    }
+
+    case 'select':
+      if (!field.options.includes(value)) {
+        return { error: `must be one of: ${field.options.join(', ')}` };
+      }
+      return { value };
+
+    case 'checkbox':
+      if (field.options) {
+        const selected = Array.isArray(value) ? value : [value];
+        if (selected.some(option => !field.options.includes(option))) {
+          return { error: `options must be from: ${field.options.join(', ')}` };
+        }
+        return { value: [...new Set(selected)] };
+      }
+      if (typeof value !== 'boolean') {
+        return { error: 'must be true or false' };
+      }
+      return { value };
+
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(value);
+      if (typeof value === 'boolean' || !Number.isFinite(number)) {
+        return { error: 'must be a number' };
+      }
+      if (field.integer && !Number.isInteger(number)) {
+        return { error: 'must be a whole number' };
+      }
+      if (field.min !== null && number < field.min) {
+        return { error: `must be at least ${field.min}` };
+      }
+      if (field.max !== null && number > field.max) {
+        return { error: `must be at most ${field.max}` };
+      }
+      return { value: number };
+    }
+
+    case 'file': {
+      const match = typeof value === 'string' ? value.match(DATA_URI_PATTERN) : null;
+      if (!match) {
+        return { error: 'must be a base64 data URI (data:<mime>;base64,...)' };
+      }
+      const mimeType = match[1].toLowerCase();
+      const allowedMimeTypes = field.allowed_file_types.flatMap(ext => FILE_MIME_TYPES[ext]);
+      if (!allowedMimeTypes.includes(mimeType)) {
+        return { error: `file type must be ${field.allowed_file_types.join(', ')}` };
+      }
+      const sizeBytes = Math.floor((match[2].replace(/\s/g, '').length * 3) / 4);
+      if (sizeBytes > field.max_file_size_mb * 1024 * 1024) {
+        return { error: `file must be at most ${field.max_file_size_mb}MB` };
+      }
+      return { value, upload: true, mime_type: mimeType, size_bytes: sizeBytes };
+    }
+
+    default:
+      return { error: 'has an unsupported field type' };
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate registration answers against the event's form
+ * Unknown keys are dropped; file answers come back flagged for upload.
+ * Fields missing from answers fall back to storedResponses (a previous payment attempt),
+ * which is the only place already-uploaded files are taken from.
+ * @param {Array} fields - events.registration_form
+ * @param {Object} answers - { [field.key]: value } from the request body
+ * @param {Object} storedResponses - form_responses already saved on the registration
+ * @returns {Object} { valid, errors: [{ field, message }], responses, uploads: [{ key, data, mime_type, size_bytes }] }
+ */
+export const validateFormResponses = (fields, answers, storedResponses = {}) => {
+  const formFields = Array.isArray(fields) ? fields : [];
+  const input = isPlainObject(answers) ? answers : {};
+  const stored = isPlainObject(storedResponses) ? storedResponses : {};
+
+  const errors = [];
+  const responses = {};
+  const uploads = [];
+
+  for (const field of formFields) {
+    const submitted = Object.hasOwn(input, field.key);
+    const value = submitted ? input[field.key] : stored[field.key];
+
+    // Already uploaded file, carried over from the saved registration
+    if (!submitted && field.type === 'file' && isPlainObject(value) && typeof value.url === 'string') {
+      responses[field.key] = value;
+      continue;
+    }
+    const isEmpty = value === undefined || value === null || value === '' ||
+      (Array.isArray(value) && value.length === 0) ||
+      (field.type === 'checkbox' && !field.options && value === false);
+
+    if (isEmpty) {
+      if (field.required) {
+        errors.push({ field: field.key, message: `${field.label} is required` });
+      }
+      continue;
+    }
+
+    const result = validateAnswer(field, value);
+    if (result.error) {
+      errors.push({ field: field.key, message: `${field.label} ${result.error}` });
+      continue;
+    }
+
+    if (result.upload) {
+      uploads.push({ key: field.key, data: result.value, mime_type: result.mime_type, size_bytes: result.size_bytes });
+    } else {
+      responses[field.key] = result.value;
+    }
+  }
+
+  return { valid: errors.length === 0, errors, responses, uploads };
+};
+
+/**
+ * Flatten an answer for display (Excel export, CSV)
+ * @param {Object} field - Field definition
+ * @param {*} value - Stored answer
+ * @returns {string}
+ */
+export const formatFormAnswer = (field, value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (field.type === 'file') {
+    return value.url || '';
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  return String(value);
+};
+
+export default { validateFormSchema, validateFormResponses, formatFormAnswer };
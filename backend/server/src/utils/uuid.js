@@ -0,0 +1,14 @@
+/**
+ * UUID Utility
+ * Checks ids from requests before they reach a ::uuid cast (a malformed id would be a 500)
+ */
+
+export const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * @param {*} value
+ * @returns {boolean} True if value is a UUID string
+ */
+export const isUuid = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+
+export default { UUID_PATTERN, isUuid };
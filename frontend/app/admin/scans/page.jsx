@@ -1,6 +1,6 @@
 "use client";
 
-import { useEffect, useState, useMemo } from "react";
+import { useEffect, useState, useMemo, useRef } from "react";
 import AdminSidebar from "@/components/admin/AdminSidebar";
 import AdminHeader from "@/components/admin/AdminHeader";
 import AdminMobileNav from "@/components/admin/AdminMobileNav";
@@ -8,6 +8,8 @@ import api from "@/lib/api";
 import { useRouter } from "next/navigation";
 import { filterData, filterByField, sortData, paginateData } from "@/lib/utils";
 import { useAdminAuth } from "@/hooks/useAuth";
+import useWebSocket from "@/hooks/useWebSocket";
+import { getWebSocketURL, scanMessageToRecord } from "@/lib/websocket";
 import * as XLSX from 'xlsx';
 import { saveAs } from 'file-saver';
 
@@ -25,6 +27,9 @@ export default function AdminScansPage() {
   const router = useRouter();
 
   const [fetchError, setFetchError] = useState(null);
+  const [wsUrl, setWsUrl] = useState(null);
+  const { messages } = useWebSocket(wsUrl);
+  const lastMessageRef = useRef(null);
 
   const fetchScans = async () => {
     try {
@@ -94,9 +99,22 @@ export default function AdminScansPage() {
     if (!isChecking && isAuthenticated) {
       setAdminName(localStorage.getItem("admin_name") || "Admin");
       fetchScans();
+      setWsUrl(getWebSocketURL());
     }
   }, [isChecking, isAuthenticated]);
 
+  // Live scans pushed by the server (newest message first)
+  useEffect(() => {
+    const lastSeenIndex = messages.indexOf(lastMessageRef.current);
+    const unseen = lastSeenIndex === -1 ? messages : messages.slice(0, lastSeenIndex);
+    lastMessageRef.current = messages[0] || null;
+
+    const newScans = unseen.filter((m) => m.type === "SCAN").map(scanMessageToRecord);
+    if (newScans.length > 0) {
+      setAllScans((prev) => [...newScans, ...prev]);
+    }
+  }, [messages]);
+
   // Apply filters, search, and sort
   const processedScans = useMemo(() => {
     let result = [...allScans];
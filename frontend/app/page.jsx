@@ -31,6 +31,7 @@ export default function LoginPage() {
   const [dateOfBirth, setDateOfBirth] = useState("");
   const [pincode, setPincode] = useState("");
   const [registrationNo, setRegistrationNo] = useState(""); // Store from step 1
+  const [loginToken, setLoginToken] = useState(""); // Proof of step 1 password check
 
   // Step 3: Reset password
   const [resetToken, setResetToken] = useState("");
@@ -82,6 +83,7 @@ export default function LoginPage() {
         if (role === "student" && data.requires_password_reset) {
           // Move to verification step
           setRegistrationNo(data.registration_no);
+          setLoginToken(data.login_token);
           setStep(2);
           setLoading(false);
           return;
@@ -130,7 +132,7 @@ export default function LoginPage() {
 
     try {
       const response = await verifyResetCredentials(
-        registrationNo,
+        loginToken,
         dateOfBirth,
         pincode
       );
@@ -5,25 +5,58 @@ import api from "@/lib/api";
 import Link from "next/link";
 
 /**
- * Student Password Reset Flow - Step 1: Verify Credentials
+ * Student Password Reset Flow - Step 1: Request and verify a reset code
  */
 export default function StudentForgotPasswordPage() {
+  const [codeSent, setCodeSent] = useState(false);
   const [formData, setFormData] = useState({
     registration_no: "",
+    otp: "",
     date_of_birth: "",
     pincode: ""
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  const [info, setInfo] = useState("");
 
-  const handleSubmit = async (e) => {
+  const handleRequestCode = async (e) => {
     e.preventDefault();
     setError("");
     setLoading(true);
 
     try {
-      const response = await api.post("/student/verify-reset-credentials", formData);
-      
+      const response = await api.post("/student/forgot-password", {
+        registration_no: formData.registration_no
+      });
+
+      if (response.data?.success) {
+        setInfo(response.data.message);
+        setCodeSent(true);
+      } else {
+        setError(response.data?.message || "Could not send reset code");
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not send reset code. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+
+    try {
+      // Date of birth and pincode are optional unless the server requires them
+      const payload = { registration_no: formData.registration_no, otp: formData.otp };
+      if (formData.date_of_birth || formData.pincode) {
+        payload.date_of_birth = formData.date_of_birth;
+        payload.pincode = formData.pincode;
+      }
+
+      const response = await api.post("/student/forgot-password/verify", payload);
+
       if (response.data?.success) {
         // Store verification token and redirect
         localStorage.setItem("reset_token", response.data.data.reset_token);
@@ -33,12 +66,18 @@ export default function StudentForgotPasswordPage() {
         setError(response.data?.message || "Verification failed");
       }
     } catch (err) {
-      setError(err.response?.data?.message || "Failed to verify credentials. Please check your information.");
+      const remaining = err.response?.data?.errors?.attempts_remaining;
+      setError(
+        (err.response?.data?.message || "Failed to verify the reset code.") +
+        (remaining ? ` ${remaining} attempt(s) left.` : "")
+      );
     } finally {
       setLoading(false);
     }
   };
 
+  const inputClass = "w-full px-4 py-3 border border-light-gray-border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary";
+
   return (
     <div className="min-h-screen bg-soft-background flex items-center justify-center p-4">
       <div className="bg-card-background rounded-xl border border-light-gray-border shadow-soft max-w-md w-full p-8">
@@ -47,7 +86,11 @@ export default function StudentForgotPasswordPage() {
             <span className="material-symbols-outlined text-primary text-4xl">lock_reset</span>
           </div>
           <h1 className="text-2xl font-bold text-dark-text mb-2">Reset Password</h1>
-          <p className="text-gray-700 text-sm">Enter your details to verify your identity</p>
+          <p className="text-gray-700 text-sm">
+            {codeSent
+              ? "Enter the code we sent to your registered email"
+              : "Enter your registration number to receive a reset code"}
+          </p>
         </div>
 
         {error && (
@@ -56,57 +99,98 @@ export default function StudentForgotPasswordPage() {
           </div>
         )}
 
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-dark-text mb-2">
-              Registration Number *
-            </label>
-            <input
-              type="text"
-              required
-              value={formData.registration_no}
-              onChange={(e) => setFormData({ ...formData, registration_no: e.target.value })}
-              className="w-full px-4 py-3 border border-light-gray-border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary"
-              placeholder="Enter your registration number"
-            />
+        {info && codeSent && !error && (
+          <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
+            <p className="text-green-700 text-sm">{info}</p>
           </div>
+        )}
 
-          <div>
-            <label className="block text-sm font-medium text-dark-text mb-2">
-              Date of Birth *
-            </label>
-            <input
-              type="date"
-              required
-              value={formData.date_of_birth}
-              onChange={(e) => setFormData({ ...formData, date_of_birth: e.target.value })}
-              className="w-full px-4 py-3 border border-light-gray-border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary"
-            />
-          </div>
+        {!codeSent ? (
+          <form onSubmit={handleRequestCode} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-dark-text mb-2">
+                Registration Number *
+              </label>
+              <input
+                type="text"
+                required
+                value={formData.registration_no}
+                onChange={(e) => setFormData({ ...formData, registration_no: e.target.value })}
+                className={inputClass}
+                placeholder="Enter your registration number"
+              />
+            </div>
 
-          <div>
-            <label className="block text-sm font-medium text-dark-text mb-2">
-              Pincode *
-            </label>
-            <input
-              type="text"
-              required
-              value={formData.pincode}
-              onChange={(e) => setFormData({ ...formData, pincode: e.target.value })}
-              className="w-full px-4 py-3 border border-light-gray-border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary"
-              placeholder="Enter your pincode"
-              maxLength={6}
-            />
-          </div>
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full py-3 bg-primary text-white rounded-lg hover:bg-primary/90 transition disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+            >
+              {loading ? "Sending..." : "Send Reset Code"}
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={handleVerify} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-dark-text mb-2">
+                Reset Code *
+              </label>
+              <input
+                type="text"
+                required
+                inputMode="numeric"
+                value={formData.otp}
+                onChange={(e) => setFormData({ ...formData, otp: e.target.value.replace(/\D/g, "") })}
+                className={inputClass}
+                placeholder="6-digit code"
+                maxLength={6}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-dark-text mb-2">
+                Date of Birth
+              </label>
+              <input
+                type="date"
+                value={formData.date_of_birth}
+                onChange={(e) => setFormData({ ...formData, date_of_birth: e.target.value })}
+                className={inputClass}
+              />
+            </div>
 
-          <button
-            type="submit"
-            disabled={loading}
-            className="w-full py-3 bg-primary text-white rounded-lg hover:bg-primary/90 transition disabled:opacity-50 disabled:cursor-not-allowed font-medium"
-          >
-            {loading ? "Verifying..." : "Verify & Continue"}
-          </button>
-        </form>
+            <div>
+              <label className="block text-sm font-medium text-dark-text mb-2">
+                Pincode
+              </label>
+              <input
+                type="text"
+                value={formData.pincode}
+                onChange={(e) => setFormData({ ...formData, pincode: e.target.value })}
+                className={inputClass}
+                placeholder="Enter your pincode"
+                maxLength={6}
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full py-3 bg-primary text-white rounded-lg hover:bg-primary/90 transition disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+            >
+              {loading ? "Verifying..." : "Verify & Continue"}
+            </button>
+
+            <button
+              type="button"
+              disabled={loading}
+              onClick={handleRequestCode}
+              className="w-full py-2 text-primary text-sm hover:underline disabled:opacity-50"
+            >
+              Resend code
+            </button>
+          </form>
+        )}
 
         <div className="mt-6 text-center">
           <Link href="/" className="text-primary text-sm hover:underline">
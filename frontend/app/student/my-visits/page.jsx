@@ -18,6 +18,7 @@ export default function MyVisitsPage() {
   const [visits, setVisits] = useState([]);
   const [totalEventVisits, setTotalEventVisits] = useState(0);
   const [totalFeedbacks, setTotalFeedbacks] = useState(0);
+  const [queues, setQueues] = useState([]);
 
   // ---------------------- THEME ----------------------
   useEffect(() => {
@@ -59,6 +60,7 @@ export default function MyVisitsPage() {
           setTotalEventVisits(res.data.data.total_event_visits || 0);
           setTotalFeedbacks(res.data.data.total_feedbacks || 0);
           setVisits(res.data.data.visits || []);
+          setQueues(res.data.data.queues || []);
         }
       } catch (err) {
         console.error("Fetch error:", err);
@@ -69,6 +71,34 @@ export default function MyVisitsPage() {
     load();
   }, []);
 
+  // Refresh queue positions while the student is waiting somewhere
+  const hasOpenQueues = queues.length > 0;
+  useEffect(() => {
+    if (!hasOpenQueues) return;
+
+    const timer = setInterval(async () => {
+      try {
+        const res = await api.get("/student/stall-queue");
+        if (res.data?.success) {
+          setQueues(res.data.data.tokens || []);
+        }
+      } catch (err) {
+        console.error("Queue refresh error:", err);
+      }
+    }, 20000);
+
+    return () => clearInterval(timer);
+  }, [hasOpenQueues]);
+
+  const leaveQueue = async (tokenId) => {
+    try {
+      await api.delete(`/student/stall-queue/${tokenId}`);
+      setQueues((current) => current.filter((token) => token.id !== tokenId));
+    } catch (err) {
+      alert(err.response?.data?.message || "Could not leave the queue");
+    }
+  };
+
   // Show loading while checking authentication
   if (isChecking) {
     return (
@@ -134,6 +164,26 @@ export default function MyVisitsPage() {
 
             </div>
 
+            {/* STALL QUEUES */}
+            <div className="flex justify-center">
+              <button
+                onClick={() => router.push("/student/stall-scan?mode=queue")}
+                className="flex items-center gap-2 px-5 py-2.5 rounded-xl bg-primary text-white font-medium shadow-soft hover:opacity-90 transition"
+              >
+                <span className="material-symbols-outlined text-base">confirmation_number</span>
+                Join a stall queue
+              </button>
+            </div>
+
+            {queues.length > 0 && (
+              <div className="space-y-4">
+                <h2 className="text-xl font-semibold">Stall Queues</h2>
+                {queues.map((token) => (
+                  <QueueTokenCard key={token.id} token={token} onLeave={leaveQueue} />
+                ))}
+              </div>
+            )}
+
             {/* VISITS LIST */}
             <div className="space-y-4">
               {visits.length === 0 && (
@@ -177,6 +227,46 @@ function SummaryCard({ title, value, icon, iconColor, bgColor }) {
   );
 }
 
+function QueueTokenCard({ token, onLeave }) {
+  const isCalled = token.status === "CALLED";
+
+  return (
+    <div className={`bg-white border rounded-2xl p-6 shadow-soft ${isCalled ? "border-green-400" : "border-light-gray-border"}`}>
+      <div className="flex justify-between items-start">
+        <div className="flex-1">
+          <h3 className="text-lg font-semibold text-gray-900">
+            {token.stall?.stall_name} <span className="text-sm text-gray-500">({token.stall?.stall_number})</span>
+          </h3>
+          <p className="text-sm text-gray-600 mt-1">{token.event_name}</p>
+
+          {isCalled ? (
+            <p className="text-sm font-semibold text-green-700 mt-3 flex items-center gap-2">
+              <span className="material-symbols-outlined text-base">campaign</span>
+              Your turn! Go to the stall
+              {token.claim_expires_at && ` before ${new Date(token.claim_expires_at).toLocaleTimeString()}`}
+            </p>
+          ) : (
+            <p className="text-sm text-gray-600 mt-3 flex items-center gap-2">
+              <span className="material-symbols-outlined text-base text-primary">hourglass_top</span>
+              Position {token.position} · about {token.estimated_wait_minutes} min
+            </p>
+          )}
+        </div>
+
+        <div className="ml-4 flex flex-col items-center gap-2">
+          <div className={`text-center rounded-xl px-4 py-3 border ${isCalled ? "bg-green-50 border-green-200" : "bg-blue-50 border-blue-200"}`}>
+            <p className={`text-2xl font-bold ${isCalled ? "text-green-600" : "text-primary"}`}>#{token.token_number}</p>
+            <p className="text-xs text-gray-600 mt-1">Token</p>
+          </div>
+          <button onClick={() => onLeave(token.id)} className="text-xs text-red-600 hover:underline">
+            Leave queue
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 function EventVisitCard({ event }) {
   return (
     <div className="bg-white border border-light-gray-border rounded-2xl p-6 shadow-soft hover:shadow-md transition">
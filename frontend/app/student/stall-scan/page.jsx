@@ -476,6 +476,13 @@ export default function StallScanPage() {
     try {
       setStatus("processing");
       
+      // Opened from "Join a stall queue" on My Visits: take a queue token instead of rating
+      if (new URLSearchParams(window.location.search).get("mode") === "queue") {
+        await api.post("/student/stall-queue/join", { stall_qr_token: decodedText });
+        router.push("/student/my-visits");
+        return;
+      }
+
       console.log("📤 Sending stall scan request...");
       const res = await api.post("/student/scan-stall", {
         stall_qr_token: decodedText
@@ -4,6 +4,14 @@ import { useEffect, useRef, useState } from "react";
 import api from "@/lib/api";
 import { useRouter } from "next/navigation";
 import { useVolunteerAuth } from "@/hooks/useAuth";
+import {
+  queueScan,
+  getQueuedScans,
+  syncQueuedScans,
+  isNetworkError,
+  cacheAssignedEvents,
+  getCachedAssignedEvents,
+} from "@/lib/offlineScanQueue";
 
 import VolunteerSidebar from "@/components/volunteer/VolunteerSidebar";
 import VolunteerHeader from "@/components/volunteer/VolunteerHeader";
@@ -46,6 +54,11 @@ export default function VolunteerScannerPage() {
   const isRestartingRef = useRef(false);
   const [showReadyButton, setShowReadyButton] = useState(false);
 
+  // Offline queue (scans saved on the device while the network is down)
+  const [pendingScanCount, setPendingScanCount] = useState(0);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [syncMessage, setSyncMessage] = useState(null);
+
   /* LOAD THEME + VOLUNTEER NAME */
   useEffect(() => {
     const savedTheme = localStorage.getItem("theme") || "light";
@@ -85,6 +98,7 @@ export default function VolunteerScannerPage() {
       if (res.data?.success) {
         const events = res.data.data?.events || [];
         setAssignedEvents(events);
+        cacheAssignedEvents(events);
         
         // Check if any event is currently active (between start_date and end_date)
         const now = new Date();
@@ -122,6 +136,24 @@ export default function VolunteerScannerPage() {
       }
     } catch (error) {
       console.error("Failed to check event time:", error);
+
+      // Offline: keep scanning for the event that was active when we last had a connection
+      if (isNetworkError(error)) {
+        const now = new Date();
+        const cachedEvents = getCachedAssignedEvents();
+        const cachedActiveEvent = cachedEvents.find(event =>
+          now >= new Date(event.start_date) && now <= new Date(event.end_date)
+        );
+
+        if (cachedActiveEvent) {
+          setAssignedEvents(cachedEvents);
+          setActiveEvent(cachedActiveEvent);
+          setEventTimeError(null);
+          setCheckingEventTime(false);
+          return true;
+        }
+      }
+
       setEventTimeError("Failed to verify event timing. Please check your internet connection.");
       setCheckingEventTime(false);
       return false;
@@ -583,6 +615,41 @@ export default function VolunteerScannerPage() {
     };
   }, [currentCameraId]);
 
+  /* SYNC OFFLINE SCANS */
+  const syncOfflineScans = async () => {
+    if (isSyncing || getQueuedScans().length === 0) return;
+
+    try {
+      setIsSyncing(true);
+      const { summary } = await syncQueuedScans();
+      const problems = (summary.CONFLICT || 0) + (summary.REJECTED || 0) + (summary.DUPLICATE || 0);
+      setSyncMessage(
+        `Synced ${summary.total} offline scan${summary.total === 1 ? "" : "s"}: ` +
+        `${summary.APPLIED || 0} applied` +
+        (problems > 0 ? `, ${problems} not applied (duplicate, conflict or invalid)` : "")
+      );
+    } catch (err) {
+      console.warn("⚠️ Offline sync failed:", err.response?.status || err.name);
+      setSyncMessage("Sync failed. Scans are still saved on this device.");
+    } finally {
+      setPendingScanCount(getQueuedScans().length);
+      setIsSyncing(false);
+    }
+  };
+
+  /* LOAD OFFLINE QUEUE + SYNC WHEN BACK ONLINE */
+  useEffect(() => {
+    if (isChecking || !isAuthenticated) return;
+
+    setPendingScanCount(getQueuedScans().length);
+    if (navigator.onLine) {
+      syncOfflineScans();
+    }
+
+    window.addEventListener("online", syncOfflineScans);
+    return () => window.removeEventListener("online", syncOfflineScans);
+  }, [isChecking, isAuthenticated]);
+
   /* HANDLE SUCCESSFUL SCAN */
   const onScanSuccess = async (decodedText) => {
     // CRITICAL: Immediate check to prevent ANY duplicate processing
@@ -637,8 +704,10 @@ export default function VolunteerScannerPage() {
       console.log("📤 Sending scan request...");
       console.log("🔑 QR Token (first 50 chars):", qrToken.substring(0, 50) + "...");
       
+      // Send the event shown on this scanner so volunteers with parallel events scan into the right one
       const res = await api.post("/volunteer/scan/student", {
         qr_code_token: qrToken,
+        event_id: activeEvent?.event_id,
       });
 
       console.log("📥 Response received:", res.data);
@@ -681,6 +750,33 @@ export default function VolunteerScannerPage() {
 
     } catch (err) {
       console.warn("⚠️ Scan failed:", err.response?.status || err.name);
+
+      // No connection: save the scan and sync it later
+      if (isNetworkError(err)) {
+        queueScan(qrToken, activeEvent?.event_id);
+        setPendingScanCount(getQueuedScans().length);
+
+        setSuccessData({
+          name: "Saved offline",
+          reg: "Will sync when back online",
+          type: "QUEUED",
+          count: getQueuedScans().length,
+          isIn: true,
+          isQueued: true
+        });
+        setShowSuccess(true);
+        setStatus("success");
+
+        setTimeout(() => {
+          setShowSuccess(false);
+          setSuccessData(null);
+          setShowReadyButton(true);
+          setStatus("waiting");
+          setIsProcessing(false);
+          isRestartingRef.current = false;
+        }, 1500);
+        return;
+      }
       
       // Extract detailed error message
       let errorMsg = "Scan failed";
@@ -890,6 +986,31 @@ export default function VolunteerScannerPage() {
             </div>
           )}
 
+          {/* Offline Queue */}
+          {(pendingScanCount > 0 || syncMessage) && (
+            <div className="w-full max-w-md mb-4 bg-orange-50 border border-orange-300 rounded-xl p-4">
+              {pendingScanCount > 0 && (
+                <div className="flex items-center justify-between gap-3">
+                  <p className="text-orange-800 font-medium text-sm">
+                    📴 {pendingScanCount} scan{pendingScanCount === 1 ? "" : "s"} saved offline
+                  </p>
+                  <button
+                    onClick={syncOfflineScans}
+                    disabled={isSyncing}
+                    className="px-3 py-2 bg-orange-600 hover:bg-orange-700 disabled:opacity-60 text-white rounded-lg text-sm font-medium"
+                  >
+                    {isSyncing ? "Syncing..." : "Sync now"}
+                  </button>
+                </div>
+              )}
+              {syncMessage && (
+                <p className={`text-orange-700 text-xs ${pendingScanCount > 0 ? "mt-2" : ""}`}>
+                  {syncMessage}
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Status Message */}
           <div className="w-full max-w-md">
             {status === "waiting" && (
@@ -1123,11 +1244,11 @@ export default function VolunteerScannerPage() {
 
             {/* Status Title */}
             <h2 className="text-2xl font-bold text-center mb-1 text-dark-text">
-              {successData.isIn ? "Checked In ✓" : "Checked Out ✓"}
+              {successData.isQueued ? "Saved Offline" : successData.isIn ? "Checked In ✓" : "Checked Out ✓"}
             </h2>
             
             <p className="text-center text-gray-700 text-sm mb-5">
-              Scan successful
+              {successData.isQueued ? "No connection - entry/exit will be recorded on sync" : "Scan successful"}
             </p>
 
             {/* Student Info */}
@@ -1148,12 +1269,12 @@ export default function VolunteerScannerPage() {
                   ${successData.isIn 
                     ? "bg-green-100 text-green-700" 
                     : "bg-yellow-100 text-yellow-700"}`}>
-                  {successData.isIn ? "INSIDE" : "EXITED"}
+                  {successData.isQueued ? "PENDING SYNC" : successData.isIn ? "INSIDE" : "EXITED"}
                 </span>
               </div>
               
               <div className="flex items-center justify-between pt-1">
-                <span className="text-xs text-gray-700">Total Scans</span>
+                <span className="text-xs text-gray-700">{successData.isQueued ? "Saved Offline" : "Total Scans"}</span>
                 <span className="text-xs font-bold text-primary">{successData.count}</span>
               </div>
             </div>
@@ -9,7 +9,7 @@ import axios from "axios";
 // ============================================
 
 // Determine API base URL based on environment
-const getBaseURL = () => {
+export const getBaseURL = () => {
   // First priority: Use environment variable if set
   if (process.env.NEXT_PUBLIC_API_URL) {
     return process.env.NEXT_PUBLIC_API_URL;
@@ -80,12 +80,62 @@ api.interceptors.request.use(
   }
 );
 
+// Access tokens are short-lived; a refresh token (HTTP-only cookie) gets a new one.
+// Concurrent expired requests share one refresh, since each refresh token works only once.
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${getBaseURL()}/auth/refresh`, {}, { withCredentials: true, timeout: 30000 })
+      .then((response) => {
+        const newToken = response.data?.data?.token;
+        if (!newToken) {
+          throw new Error("No token in refresh response");
+        }
+
+        // Replace whichever token the request interceptor is using
+        if (localStorage.getItem("admin_token")) {
+          localStorage.setItem("admin_token", newToken);
+        } else if (localStorage.getItem("event_manager_token")) {
+          localStorage.setItem("event_manager_token", newToken);
+        } else {
+          localStorage.setItem("token", newToken);
+        }
+        return newToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor - Handle authentication errors
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
+  async (error) => {
+    // Expired access token - refresh once and retry the request
+    const originalRequest = error?.config;
+    if (
+      typeof window !== "undefined" &&
+      error.response?.status === 403 &&
+      error.response?.data?.code === "TOKEN_EXPIRED" &&
+      originalRequest &&
+      !originalRequest._retry
+    ) {
+      originalRequest._retry = true;
+      try {
+        const newToken = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${newToken}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        console.warn('🔒 Session refresh failed - logging out');
+      }
+    }
+
     // Enhanced error logging for debugging
     console.group('❌ API Error Details');
     console.log('Raw error object:', error);
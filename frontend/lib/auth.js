@@ -31,20 +31,20 @@ export async function studentLogin(registration_no, password) {
 }
 
 /**
- * Step 2: Verify Reset Credentials
- * @param {string} registration_no - Student registration number
+ * Step 2: Verify Reset Credentials (first-time login)
+ * @param {string} login_token - login_token from the step 1 login response
  * @param {string} date_of_birth - Student date of birth (YYYY-MM-DD)
  * @param {string} pincode - Student pincode (6 digits)
  * @returns {Promise<Object>} Verification response with reset_token
  */
 export async function verifyResetCredentials(
-  registration_no,
+  login_token,
   date_of_birth,
   pincode
 ) {
   try {
     const response = await api.post("/student/verify-reset-credentials", {
-      registration_no,
+      login_token,
       date_of_birth,
       pincode,
     });
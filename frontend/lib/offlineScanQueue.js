@@ -0,0 +1,104 @@
+// lib/offlineScanQueue.js
+import api from "./api";
+
+const QUEUE_KEY = "offline_scan_queue";
+const DEVICE_KEY = "scanner_device_id";
+const EVENTS_KEY = "volunteer_assigned_events";
+
+// Must match MAX_SYNC_BATCH_SIZE in the volunteer controller
+const SYNC_BATCH_SIZE = 200;
+
+const readJSON = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Stable ID for this scanner device (with client_scan_id it makes sync idempotent)
+ */
+export function getDeviceId() {
+  let deviceId = localStorage.getItem(DEVICE_KEY);
+  if (!deviceId) {
+    deviceId = crypto.randomUUID();
+    localStorage.setItem(DEVICE_KEY, deviceId);
+  }
+  return deviceId;
+}
+
+/**
+ * True when a failed request never reached the server (offline, DNS, timeout)
+ * @param {Error} err - Axios error
+ */
+export function isNetworkError(err) {
+  return !err?.response && (typeof navigator === "undefined" || !navigator.onLine || !!err?.request);
+}
+
+export function getQueuedScans() {
+  return readJSON(QUEUE_KEY, []);
+}
+
+/**
+ * Queue a scan to send later
+ * @param {string} qrToken - Scanned QR token
+ * @param {string} [eventId] - Event the volunteer was scanning for
+ */
+export function queueScan(qrToken, eventId) {
+  const queue = getQueuedScans();
+  const scan = {
+    client_scan_id: crypto.randomUUID(),
+    qr_code_token: qrToken,
+    scanned_at: new Date().toISOString(),
+    event_id: eventId || null,
+  };
+  queue.push(scan);
+  localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  return scan;
+}
+
+/**
+ * Send queued scans to POST /volunteer/scan/sync.
+ * Every scan the server answered (applied, duplicate, conflict, rejected) leaves the queue;
+ * scans that errored server-side stay queued for the next sync.
+ * @returns {Promise<{ summary: Object, results: Array }>}
+ */
+export async function syncQueuedScans() {
+  const queue = getQueuedScans();
+  const results = [];
+  const summary = { total: 0 };
+
+  for (let i = 0; i < queue.length; i += SYNC_BATCH_SIZE) {
+    const batch = queue.slice(i, i + SYNC_BATCH_SIZE);
+    const res = await api.post("/volunteer/scan/sync", {
+      device_id: getDeviceId(),
+      scans: batch,
+    });
+
+    const data = res.data?.data || { results: [], summary: {} };
+    results.push(...data.results);
+    for (const [key, count] of Object.entries(data.summary)) {
+      summary[key] = (summary[key] || 0) + count;
+    }
+
+    const done = new Set(
+      data.results.filter((r) => r.result !== "ERROR").map((r) => r.client_scan_id)
+    );
+    const remaining = getQueuedScans().filter((scan) => !done.has(scan.client_scan_id));
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(remaining));
+  }
+
+  return { summary, results };
+}
+
+/**
+ * Cache assigned events so the scanner can still pick the active event offline
+ */
+export function cacheAssignedEvents(events) {
+  localStorage.setItem(EVENTS_KEY, JSON.stringify(events || []));
+}
+
+export function getCachedAssignedEvents() {
+  return readJSON(EVENTS_KEY, []);
+}
@@ -0,0 +1,39 @@
+// lib/websocket.js
+import { getBaseURL } from "./api";
+
+/**
+ * WebSocket URL for live dashboard updates.
+ * Same host as the API, on /ws. Auth uses the HTTP-only token cookie set at login.
+ * @param {string} [eventId] - Subscribe to this event's room on connect
+ */
+export function getWebSocketURL(eventId) {
+  const url = new URL(getBaseURL());
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  url.pathname = "/ws";
+  url.search = eventId ? `?event_id=${encodeURIComponent(eventId)}` : "";
+  return url.toString();
+}
+
+/**
+ * Map a SCAN message to the record shape used by the scans table
+ * @param {Object} message - { type: 'SCAN', event_id, data, timestamp }
+ */
+export function scanMessageToRecord(message) {
+  const { data } = message;
+  const isEntry = data.action === "ENTRY";
+
+  return {
+    id: data.scan_id,
+    event_id: message.event_id,
+    student_id: data.student_id,
+    student_name: data.student_name,
+    registration_no: data.registration_no,
+    student_registration_no: data.registration_no,
+    volunteer_name: data.volunteer_name,
+    scan_type: isEntry ? "CHECKIN" : "CHECKOUT",
+    scanned_at: data.scanned_at,
+    duration_minutes: data.duration_minutes,
+    check_in_time: isEntry ? data.scanned_at : null,
+    check_out_time: isEntry ? null : data.scanned_at,
+  };
+}